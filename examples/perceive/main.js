@@ -40,17 +40,17 @@ function feature_selected(feature) {
 }
 
 function getFeatureList() {
-	var obj_attrs = d3.values(pbpSettings.obj_attrs).map(function(feature) {
+	var obj_attrs = d3.values(PBP.settings.obj_attrs).map(function(feature) {
     return { key: feature.prototype.key
            , src: feature
            , enabled: true };
   });
-  var grp_attrs = d3.values(pbpSettings.group_attrs).map(function(feature) {
+  var grp_attrs = d3.values(PBP.settings.group_attrs).map(function(feature) {
     return { key: feature.prototype.key
            , src: feature
            , enabled: false };
   });
-  var rels = d3.values(pbpSettings.obj_rels).map(function(feature) {
+  var rels = d3.values(PBP.settings.obj_rels).map(function(feature) {
     return { key: feature.prototype.key
            , src: feature
            , enabled: false };
@@ -112,7 +112,7 @@ function loadSVG(path) {
 
   // create physics scene, oracle and scene node
   ps = new s2p.PhysicsScene(world);
-  sn = new SceneNode(scene, new s2p.PhysicsOracle(ps));
+  sn = new PBP.SceneNode(scene, new s2p.PhysicsOracle(ps));
   sn.registerObjects();
   //sn.oracle.gotoState('start');
   //sn.perceiveAll();
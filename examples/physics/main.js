@@ -27,7 +27,7 @@ function loadSVG(path) {
 
   // create physics scene, oracle and scene node
   ps = new s2p.PhysicsScene(world);
-  sn = new SceneNode(scene, new s2p.PhysicsOracle(ps));
+  sn = new PBP.SceneNode(scene, new s2p.PhysicsOracle(ps));
   sn.registerObjects();
 
   // Things we could do with the scene node:
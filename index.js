@@ -0,0 +1,19 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// CommonJS entry point for node.js. Exports the PBP namespace of the built library
+/// (run `make` first) and sets up svg2physics to work without a DOM.
+///
+/// Usage:
+///   var PBP = require('physics-perception');
+///   var scene = PBP.s2p.SVGSceneParser.parseFile('scene.svg');
+///   var sn = PBP.SceneNode.fromSVGScene(scene);
+///   sn.perceiveAll();
+///   console.log(sn.describe());
+var fs = require('fs')
+  , DOMParser = require('@xmldom/xmldom').DOMParser
+  , PBP = require('./physics-perception.js');
+
+PBP.s2p.SVGSceneParser.DOMParser = DOMParser;
+PBP.s2p.SVGSceneParser.readFile = function(file) { return fs.readFileSync(file, 'utf8') };
+
+module.exports = PBP;
@@ -0,0 +1,21 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// ES module entry point. Exports the PBP namespace as default export and its main
+/// classes as named exports, see index.js.
+import PBP from './index.js';
+
+export default PBP;
+export { PBP };
+export var settings = PBP.settings
+         , SceneNode = PBP.SceneNode
+         , ObjectNode = PBP.ObjectNode
+         , GroupNode = PBP.GroupNode
+         , Selector = PBP.Selector
+         , Solution = PBP.Solution
+         , CollisionGraph = PBP.CollisionGraph
+         , registerFeature = PBP.registerFeature
+         , unregisterFeature = PBP.unregisterFeature
+         , registerState = PBP.registerState
+         , unregisterState = PBP.unregisterState
+         , loadMembershipProfile = PBP.loadMembershipProfile
+         , useMembershipProfile = PBP.useMembershipProfile;
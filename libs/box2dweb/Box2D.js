@@ -10864,4 +10864,6 @@ Box2D.postDefs = [];
 })(); //post-definitions
 var i;
 for (i = 0; i < Box2D.postDefs.length; ++i) Box2D.postDefs[i]();
-delete Box2D.postDefs;
\ No newline at end of file
+delete Box2D.postDefs;
+
+if (typeof(module) != 'undefined' && module.exports) module.exports = Box2D;
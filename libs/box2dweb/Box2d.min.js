@@ -1,8 +1,8 @@
-var Box2D={};(function(t,i){if(!(Object.prototype.defineProperty instanceof Function)&&Object.prototype.__defineGetter__ instanceof Function&&Object.prototype.__defineSetter__ instanceof Function){Object.defineProperty=function(t,i,o){if(o.get instanceof Function)t.__defineGetter__(i,o.get);if(o.set instanceof Function)t.__defineSetter__(i,o.set)}}function o(){}t.inherit=function(t,i){var e=t;o.prototype=i.prototype;t.prototype=new o;t.prototype.constructor=e};t.generateCallback=function e(t,i){return function(){i.apply(t,arguments)}};t.NVector=function n(t){if(t===i)t=0;var o=new Array(t||0);for(var e=0;e<t;++e)o[e]=0;return o};t.is=function s(t,o){if(t===null)return false;if(o instanceof Function&&t instanceof o)return true;if(t.constructor.__implements!=i&&t.constructor.__implements[o])return true;return false};t.parseUInt=function(t){return Math.abs(parseInt(t))}})(Box2D);if(typeof Box2D==="undefined")Box2D={};if(typeof Box2D.Collision==="undefined")Box2D.Collision={};if(typeof Box2D.Collision.Shapes==="undefined")Box2D.Collision.Shapes={};if(typeof Box2D.Common==="undefined")Box2D.Common={};if(typeof Box2D.Common.Math==="undefined")Box2D.Common.Math={};if(typeof Box2D.Dynamics==="undefined")Box2D.Dynamics={};if(typeof Box2D.Dynamics.Contacts==="undefined")Box2D.Dynamics.Contacts={};if(typeof Box2D.Dynamics.Controllers==="undefined")Box2D.Dynamics.Controllers={};if(typeof Box2D.Dynamics.Joints==="undefined")Box2D.Dynamics.Joints={};Box2D.Vector=Array;Box2D.Vector_a2j_Number=Box2D.NVector;(function(){Box2D.Collision.IBroadPhase="Box2D.Collision.IBroadPhase";function t(){t.b2AABB.apply(this,arguments)}Box2D.Collision.b2AABB=t;function i(){i.b2Bound.apply(this,arguments)}Box2D.Collision.b2Bound=i;function o(){o.b2BoundValues.apply(this,arguments);if(this.constructor===o)this.b2BoundValues.apply(this,arguments)}Box2D.Collision.b2BoundValues=o;function e(){e.b2Collision.apply(this,arguments)}Box2D.Collision.b2Collision=e;function n(){n.b2ContactID.apply(this,arguments);if(this.constructor===n)this.b2ContactID.apply(this,arguments)}Box2D.Collision.b2ContactID=n;function s(){s.b2ContactPoint.apply(this,arguments)}Box2D.Collision.b2ContactPoint=s;function r(){r.b2Distance.apply(this,arguments)}Box2D.Collision.b2Distance=r;function a(){a.b2DistanceInput.apply(this,arguments)}Box2D.Collision.b2DistanceInput=a;function l(){l.b2DistanceOutput.apply(this,arguments)}Box2D.Collision.b2DistanceOutput=l;function m(){m.b2DistanceProxy.apply(this,arguments)}Box2D.Collision.b2DistanceProxy=m;function c(){c.b2DynamicTree.apply(this,arguments);if(this.constructor===c)this.b2DynamicTree.apply(this,arguments)}Box2D.Collision.b2DynamicTree=c;function h(){h.b2DynamicTreeBroadPhase.apply(this,arguments)}Box2D.Collision.b2DynamicTreeBroadPhase=h;function _(){_.b2DynamicTreeNode.apply(this,arguments)}Box2D.Collision.b2DynamicTreeNode=_;function p(){p.b2DynamicTreePair.apply(this,arguments)}Box2D.Collision.b2DynamicTreePair=p;function u(){u.b2Manifold.apply(this,arguments);if(this.constructor===u)this.b2Manifold.apply(this,arguments)}Box2D.Collision.b2Manifold=u;function y(){y.b2ManifoldPoint.apply(this,arguments);if(this.constructor===y)this.b2ManifoldPoint.apply(this,arguments)}Box2D.Collision.b2ManifoldPoint=y;function x(){x.b2Point.apply(this,arguments)}Box2D.Collision.b2Point=x;function f(){f.b2RayCastInput.apply(this,arguments);if(this.constructor===f)this.b2RayCastInput.apply(this,arguments)}Box2D.Collision.b2RayCastInput=f;function v(){v.b2RayCastOutput.apply(this,arguments)}Box2D.Collision.b2RayCastOutput=v;function d(){d.b2Segment.apply(this,arguments)}Box2D.Collision.b2Segment=d;function b(){b.b2SeparationFunction.apply(this,arguments)}Box2D.Collision.b2SeparationFunction=b;function D(){D.b2Simplex.apply(this,arguments);if(this.constructor===D)this.b2Simplex.apply(this,arguments)}Box2D.Collision.b2Simplex=D;function B(){B.b2SimplexCache.apply(this,arguments)}Box2D.Collision.b2SimplexCache=B;function C(){C.b2SimplexVertex.apply(this,arguments)}Box2D.Collision.b2SimplexVertex=C;function g(){g.b2TimeOfImpact.apply(this,arguments)}Box2D.Collision.b2TimeOfImpact=g;function A(){A.b2TOIInput.apply(this,arguments)}Box2D.Collision.b2TOIInput=A;function S(){S.b2WorldManifold.apply(this,arguments);if(this.constructor===S)this.b2WorldManifold.apply(this,arguments)}Box2D.Collision.b2WorldManifold=S;function w(){w.ClipVertex.apply(this,arguments)}Box2D.Collision.ClipVertex=w;function M(){M.Features.apply(this,arguments)}Box2D.Collision.Features=M;function V(){V.b2CircleShape.apply(this,arguments);if(this.constructor===V)this.b2CircleShape.apply(this,arguments)}Box2D.Collision.Shapes.b2CircleShape=V;function I(){I.b2EdgeChainDef.apply(this,arguments);if(this.constructor===I)this.b2EdgeChainDef.apply(this,arguments)}Box2D.Collision.Shapes.b2EdgeChainDef=I;function G(){G.b2EdgeShape.apply(this,arguments);if(this.constructor===G)this.b2EdgeShape.apply(this,arguments)}Box2D.Collision.Shapes.b2EdgeShape=G;function L(){L.b2MassData.apply(this,arguments)}Box2D.Collision.Shapes.b2MassData=L;function J(){J.b2PolygonShape.apply(this,arguments);if(this.constructor===J)this.b2PolygonShape.apply(this,arguments)}Box2D.Collision.Shapes.b2PolygonShape=J;function F(){F.b2Shape.apply(this,arguments);if(this.constructor===F)this.b2Shape.apply(this,arguments)}Box2D.Collision.Shapes.b2Shape=F;Box2D.Common.b2internal="Box2D.Common.b2internal";function P(){P.b2Color.apply(this,arguments);if(this.constructor===P)this.b2Color.apply(this,arguments)}Box2D.Common.b2Color=P;function R(){R.b2Settings.apply(this,arguments)}Box2D.Common.b2Settings=R;function T(){T.b2Mat22.apply(this,arguments);if(this.constructor===T)this.b2Mat22.apply(this,arguments)}Box2D.Common.Math.b2Mat22=T;function k(){k.b2Mat33.apply(this,arguments);if(this.constructor===k)this.b2Mat33.apply(this,arguments)}Box2D.Common.Math.b2Mat33=k;function N(){N.b2Math.apply(this,arguments)}Box2D.Common.Math.b2Math=N;function z(){z.b2Sweep.apply(this,arguments)}Box2D.Common.Math.b2Sweep=z;function E(){E.b2Transform.apply(this,arguments);if(this.constructor===E)this.b2Transform.apply(this,arguments)}Box2D.Common.Math.b2Transform=E;function j(){j.b2Vec2.apply(this,arguments);if(this.constructor===j)this.b2Vec2.apply(this,arguments)}Box2D.Common.Math.b2Vec2=j;function O(){O.b2Vec3.apply(this,arguments);if(this.constructor===O)this.b2Vec3.apply(this,arguments)}Box2D.Common.Math.b2Vec3=O;function U(){U.b2Body.apply(this,arguments);if(this.constructor===U)this.b2Body.apply(this,arguments)}Box2D.Dynamics.b2Body=U;function q(){q.b2BodyDef.apply(this,arguments);if(this.constructor===q)this.b2BodyDef.apply(this,arguments)}Box2D.Dynamics.b2BodyDef=q;function K(){K.b2ContactFilter.apply(this,arguments)}Box2D.Dynamics.b2ContactFilter=K;function W(){W.b2ContactImpulse.apply(this,arguments)}Box2D.Dynamics.b2ContactImpulse=W;function X(){X.b2ContactListener.apply(this,arguments)}Box2D.Dynamics.b2ContactListener=X;function Z(){Z.b2ContactManager.apply(this,arguments);if(this.constructor===Z)this.b2ContactManager.apply(this,arguments)}Box2D.Dynamics.b2ContactManager=Z;function H(){H.b2DebugDraw.apply(this,arguments);if(this.constructor===H)this.b2DebugDraw.apply(this,arguments)}Box2D.Dynamics.b2DebugDraw=H;function Y(){Y.b2DestructionListener.apply(this,arguments)}Box2D.Dynamics.b2DestructionListener=Y;function Q(){Q.b2FilterData.apply(this,arguments)}Box2D.Dynamics.b2FilterData=Q;function $(){$.b2Fixture.apply(this,arguments);if(this.constructor===$)this.b2Fixture.apply(this,arguments)}Box2D.Dynamics.b2Fixture=$;function ti(){ti.b2FixtureDef.apply(this,arguments);if(this.constructor===ti)this.b2FixtureDef.apply(this,arguments)}Box2D.Dynamics.b2FixtureDef=ti;function ii(){ii.b2Island.apply(this,arguments);if(this.constructor===ii)this.b2Island.apply(this,arguments)}Box2D.Dynamics.b2Island=ii;function oi(){oi.b2TimeStep.apply(this,arguments)}Box2D.Dynamics.b2TimeStep=oi;function ei(){ei.b2World.apply(this,arguments);if(this.constructor===ei)this.b2World.apply(this,arguments)}Box2D.Dynamics.b2World=ei;function ni(){ni.b2CircleContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2CircleContact=ni;function si(){si.b2Contact.apply(this,arguments);if(this.constructor===si)this.b2Contact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2Contact=si;function ri(){ri.b2ContactConstraint.apply(this,arguments);if(this.constructor===ri)this.b2ContactConstraint.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactConstraint=ri;function ai(){ai.b2ContactConstraintPoint.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactConstraintPoint=ai;function li(){li.b2ContactEdge.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactEdge=li;function mi(){mi.b2ContactFactory.apply(this,arguments);if(this.constructor===mi)this.b2ContactFactory.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactFactory=mi;function ci(){ci.b2ContactRegister.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactRegister=ci;function hi(){hi.b2ContactResult.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactResult=hi;function _i(){_i.b2ContactSolver.apply(this,arguments);if(this.constructor===_i)this.b2ContactSolver.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactSolver=_i;function pi(){pi.b2EdgeAndCircleContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2EdgeAndCircleContact=pi;function ui(){ui.b2NullContact.apply(this,arguments);if(this.constructor===ui)this.b2NullContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2NullContact=ui;function yi(){yi.b2PolyAndCircleContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2PolyAndCircleContact=yi;function xi(){xi.b2PolyAndEdgeContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2PolyAndEdgeContact=xi;function fi(){fi.b2PolygonContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2PolygonContact=fi;function vi(){vi.b2PositionSolverManifold.apply(this,arguments);if(this.constructor===vi)this.b2PositionSolverManifold.apply(this,arguments)}Box2D.Dynamics.Contacts.b2PositionSolverManifold=vi;function di(){di.b2BuoyancyController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2BuoyancyController=di;function bi(){bi.b2ConstantAccelController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2ConstantAccelController=bi;function Di(){Di.b2ConstantForceController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2ConstantForceController=Di;function Bi(){Bi.b2Controller.apply(this,arguments)}Box2D.Dynamics.Controllers.b2Controller=Bi;function Ci(){Ci.b2ControllerEdge.apply(this,arguments)}Box2D.Dynamics.Controllers.b2ControllerEdge=Ci;function gi(){gi.b2GravityController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2GravityController=gi;function Ai(){Ai.b2TensorDampingController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2TensorDampingController=Ai;function Si(){Si.b2DistanceJoint.apply(this,arguments);if(this.constructor===Si)this.b2DistanceJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2DistanceJoint=Si;function wi(){wi.b2DistanceJointDef.apply(this,arguments);if(this.constructor===wi)this.b2DistanceJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2DistanceJointDef=wi;function Mi(){Mi.b2FrictionJoint.apply(this,arguments);if(this.constructor===Mi)this.b2FrictionJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2FrictionJoint=Mi;function Vi(){Vi.b2FrictionJointDef.apply(this,arguments);if(this.constructor===Vi)this.b2FrictionJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2FrictionJointDef=Vi;function Ii(){Ii.b2GearJoint.apply(this,arguments);if(this.constructor===Ii)this.b2GearJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2GearJoint=Ii;function Gi(){Gi.b2GearJointDef.apply(this,arguments);if(this.constructor===Gi)this.b2GearJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2GearJointDef=Gi;function Li(){Li.b2Jacobian.apply(this,arguments)}Box2D.Dynamics.Joints.b2Jacobian=Li;function Ji(){Ji.b2Joint.apply(this,arguments);if(this.constructor===Ji)this.b2Joint.apply(this,arguments)}Box2D.Dynamics.Joints.b2Joint=Ji;function Fi(){Fi.b2JointDef.apply(this,arguments);if(this.constructor===Fi)this.b2JointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2JointDef=Fi;function Pi(){Pi.b2JointEdge.apply(this,arguments)}Box2D.Dynamics.Joints.b2JointEdge=Pi;function Ri(){Ri.b2LineJoint.apply(this,arguments);if(this.constructor===Ri)this.b2LineJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2LineJoint=Ri;function Ti(){Ti.b2LineJointDef.apply(this,arguments);if(this.constructor===Ti)this.b2LineJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2LineJointDef=Ti;function ki(){ki.b2MouseJoint.apply(this,arguments);if(this.constructor===ki)this.b2MouseJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2MouseJoint=ki;function Ni(){Ni.b2MouseJointDef.apply(this,arguments);if(this.constructor===Ni)this.b2MouseJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2MouseJointDef=Ni;function zi(){zi.b2PrismaticJoint.apply(this,arguments);if(this.constructor===zi)this.b2PrismaticJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2PrismaticJoint=zi;function Ei(){Ei.b2PrismaticJointDef.apply(this,arguments);if(this.constructor===Ei)this.b2PrismaticJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2PrismaticJointDef=Ei;function ji(){ji.b2PulleyJoint.apply(this,arguments);if(this.constructor===ji)this.b2PulleyJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2PulleyJoint=ji;function Oi(){Oi.b2PulleyJointDef.apply(this,arguments);if(this.constructor===Oi)this.b2PulleyJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2PulleyJointDef=Oi;function Ui(){Ui.b2RevoluteJoint.apply(this,arguments);if(this.constructor===Ui)this.b2RevoluteJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2RevoluteJoint=Ui;function qi(){qi.b2RevoluteJointDef.apply(this,arguments);if(this.constructor===qi)this.b2RevoluteJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2RevoluteJointDef=qi;function Ki(){Ki.b2WeldJoint.apply(this,arguments);if(this.constructor===Ki)this.b2WeldJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2WeldJoint=Ki;function Wi(){Wi.b2WeldJointDef.apply(this,arguments);if(this.constructor===Wi)this.b2WeldJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2WeldJointDef=Wi})();Box2D.postDefs=[];(function(){var t=Box2D.Collision.Shapes.b2CircleShape,i=Box2D.Collision.Shapes.b2EdgeChainDef,o=Box2D.Collision.Shapes.b2EdgeShape,e=Box2D.Collision.Shapes.b2MassData,n=Box2D.Collision.Shapes.b2PolygonShape,s=Box2D.Collision.Shapes.b2Shape,r=Box2D.Common.b2Color,a=Box2D.Common.b2internal,l=Box2D.Common.b2Settings,m=Box2D.Common.Math.b2Mat22,c=Box2D.Common.Math.b2Mat33,h=Box2D.Common.Math.b2Math,_=Box2D.Common.Math.b2Sweep,p=Box2D.Common.Math.b2Transform,u=Box2D.Common.Math.b2Vec2,y=Box2D.Common.Math.b2Vec3,x=Box2D.Collision.b2AABB,f=Box2D.Collision.b2Bound,v=Box2D.Collision.b2BoundValues,d=Box2D.Collision.b2Collision,b=Box2D.Collision.b2ContactID,D=Box2D.Collision.b2ContactPoint,B=Box2D.Collision.b2Distance,C=Box2D.Collision.b2DistanceInput,g=Box2D.Collision.b2DistanceOutput,A=Box2D.Collision.b2DistanceProxy,S=Box2D.Collision.b2DynamicTree,w=Box2D.Collision.b2DynamicTreeBroadPhase,M=Box2D.Collision.b2DynamicTreeNode,V=Box2D.Collision.b2DynamicTreePair,I=Box2D.Collision.b2Manifold,G=Box2D.Collision.b2ManifoldPoint,L=Box2D.Collision.b2Point,J=Box2D.Collision.b2RayCastInput,F=Box2D.Collision.b2RayCastOutput,P=Box2D.Collision.b2Segment,R=Box2D.Collision.b2SeparationFunction,T=Box2D.Collision.b2Simplex,k=Box2D.Collision.b2SimplexCache,N=Box2D.Collision.b2SimplexVertex,z=Box2D.Collision.b2TimeOfImpact,E=Box2D.Collision.b2TOIInput,j=Box2D.Collision.b2WorldManifold,O=Box2D.Collision.ClipVertex,U=Box2D.Collision.Features,q=Box2D.Collision.IBroadPhase;x.b2AABB=function(){this.lowerBound=new u;this.upperBound=new u};x.prototype.IsValid=function(){var t=this.upperBound.x-this.lowerBound.x;var i=this.upperBound.y-this.lowerBound.y;var o=t>=0&&i>=0;o=o&&this.lowerBound.IsValid()&&this.upperBound.IsValid();return o};x.prototype.GetCenter=function(){return new u((this.lowerBound.x+this.upperBound.x)/2,(this.lowerBound.y+this.upperBound.y)/2)};x.prototype.GetExtents=function(){return new u((this.upperBound.x-this.lowerBound.x)/2,(this.upperBound.y-this.lowerBound.y)/2)};x.prototype.Contains=function(t){var i=true;i=i&&this.lowerBound.x<=t.lowerBound.x;i=i&&this.lowerBound.y<=t.lowerBound.y;i=i&&t.upperBound.x<=this.upperBound.x;i=i&&t.upperBound.y<=this.upperBound.y;return i};x.prototype.RayCast=function(t,i){var o=-Number.MAX_VALUE;var e=Number.MAX_VALUE;var n=i.p1.x;var s=i.p1.y;var r=i.p2.x-i.p1.x;var a=i.p2.y-i.p1.y;var l=Math.abs(r);var m=Math.abs(a);var c=t.normal;var h=0;var _=0;var p=0;var u=0;var y=0;{if(l<Number.MIN_VALUE){if(n<this.lowerBound.x||this.upperBound.x<n)return false}else{h=1/r;_=(this.lowerBound.x-n)*h;p=(this.upperBound.x-n)*h;y=-1;if(_>p){u=_;_=p;p=u;y=1}if(_>o){c.x=y;c.y=0;o=_}e=Math.min(e,p);if(o>e)return false}}{if(m<Number.MIN_VALUE){if(s<this.lowerBound.y||this.upperBound.y<s)return false}else{h=1/a;_=(this.lowerBound.y-s)*h;p=(this.upperBound.y-s)*h;y=-1;if(_>p){u=_;_=p;p=u;y=1}if(_>o){c.y=y;c.x=0;o=_}e=Math.min(e,p);if(o>e)return false}}t.fraction=o;return true};x.prototype.TestOverlap=function(t){var i=t.lowerBound.x-this.upperBound.x;var o=t.lowerBound.y-this.upperBound.y;var e=this.lowerBound.x-t.upperBound.x;var n=this.lowerBound.y-t.upperBound.y;if(i>0||o>0)return false;if(e>0||n>0)return false;return true};x.Combine=function(t,i){var o=new x;o.Combine(t,i);return o};x.prototype.Combine=function(t,i){this.lowerBound.x=Math.min(t.lowerBound.x,i.lowerBound.x);this.lowerBound.y=Math.min(t.lowerBound.y,i.lowerBound.y);this.upperBound.x=Math.max(t.upperBound.x,i.upperBound.x);this.upperBound.y=Math.max(t.upperBound.y,i.upperBound.y)};f.b2Bound=function(){};f.prototype.IsLower=function(){return(this.value&1)==0};f.prototype.IsUpper=function(){return(this.value&1)==1};f.prototype.Swap=function(t){var i=this.value;var o=this.proxy;var e=this.stabbingCount;this.value=t.value;this.proxy=t.proxy;this.stabbingCount=t.stabbingCount;t.value=i;t.proxy=o;t.stabbingCount=e};v.b2BoundValues=function(){};v.prototype.b2BoundValues=function(){this.lowerValues=new Box2D.Vector_a2j_Number;this.lowerValues[0]=0;this.lowerValues[1]=0;this.upperValues=new Box2D.Vector_a2j_Number;this.upperValues[0]=0;this.upperValues[1]=0};d.b2Collision=function(){};d.ClipSegmentToLine=function(t,i,o,e){if(e===undefined)e=0;var n;var s=0;n=i[0];var r=n.v;n=i[1];var a=n.v;var l=o.x*r.x+o.y*r.y-e;var m=o.x*a.x+o.y*a.y-e;if(l<=0)t[s++].Set(i[0]);if(m<=0)t[s++].Set(i[1]);if(l*m<0){var c=l/(l-m);n=t[s];var h=n.v;h.x=r.x+c*(a.x-r.x);h.y=r.y+c*(a.y-r.y);n=t[s];var _;if(l>0){_=i[0];n.id=_.id}else{_=i[1];n.id=_.id}++s}return s};d.EdgeSeparation=function(t,i,o,e,n){if(o===undefined)o=0;var s=parseInt(t.m_vertexCount);var r=t.m_vertices;var a=t.m_normals;var l=parseInt(e.m_vertexCount);var m=e.m_vertices;var c;var h;c=i.R;h=a[o];var _=c.col1.x*h.x+c.col2.x*h.y;var p=c.col1.y*h.x+c.col2.y*h.y;c=n.R;var u=c.col1.x*_+c.col1.y*p;var y=c.col2.x*_+c.col2.y*p;var x=0;var f=Number.MAX_VALUE;for(var v=0;v<l;++v){h=m[v];var d=h.x*u+h.y*y;if(d<f){f=d;x=v}}h=r[o];c=i.R;var b=i.position.x+(c.col1.x*h.x+c.col2.x*h.y);var D=i.position.y+(c.col1.y*h.x+c.col2.y*h.y);h=m[x];c=n.R;var B=n.position.x+(c.col1.x*h.x+c.col2.x*h.y);var C=n.position.y+(c.col1.y*h.x+c.col2.y*h.y);B-=b;C-=D;var g=B*_+C*p;return g};d.FindMaxSeparation=function(t,i,o,e,n){var s=parseInt(i.m_vertexCount);var r=i.m_normals;var a;var l;l=n.R;a=e.m_centroid;var m=n.position.x+(l.col1.x*a.x+l.col2.x*a.y);var c=n.position.y+(l.col1.y*a.x+l.col2.y*a.y);l=o.R;a=i.m_centroid;m-=o.position.x+(l.col1.x*a.x+l.col2.x*a.y);c-=o.position.y+(l.col1.y*a.x+l.col2.y*a.y);var h=m*o.R.col1.x+c*o.R.col1.y;var _=m*o.R.col2.x+c*o.R.col2.y;var p=0;var u=-Number.MAX_VALUE;for(var y=0;y<s;++y){a=r[y];var x=a.x*h+a.y*_;if(x>u){u=x;p=y}}var f=d.EdgeSeparation(i,o,p,e,n);var v=parseInt(p-1>=0?p-1:s-1);var b=d.EdgeSeparation(i,o,v,e,n);var D=parseInt(p+1<s?p+1:0);var B=d.EdgeSeparation(i,o,D,e,n);var C=0;var g=0;var A=0;if(b>f&&b>B){A=-1;C=v;g=b}else if(B>f){A=1;C=D;g=B}else{t[0]=p;return f}while(true){if(A==-1)p=C-1>=0?C-1:s-1;else p=C+1<s?C+1:0;f=d.EdgeSeparation(i,o,p,e,n);if(f>g){C=p;g=f}else{break}}t[0]=C;return g};d.FindIncidentEdge=function(t,i,o,e,n,s){if(e===undefined)e=0;var r=parseInt(i.m_vertexCount);var a=i.m_normals;var l=parseInt(n.m_vertexCount);var m=n.m_vertices;var c=n.m_normals;var h;var _;h=o.R;_=a[e];var p=h.col1.x*_.x+h.col2.x*_.y;var u=h.col1.y*_.x+h.col2.y*_.y;h=s.R;var y=h.col1.x*p+h.col1.y*u;u=h.col2.x*p+h.col2.y*u;p=y;var x=0;var f=Number.MAX_VALUE;for(var v=0;v<l;++v){_=c[v];var d=p*_.x+u*_.y;if(d<f){f=d;x=v}}var b;var D=parseInt(x);var B=parseInt(D+1<l?D+1:0);b=t[0];_=m[D];h=s.R;b.v.x=s.position.x+(h.col1.x*_.x+h.col2.x*_.y);b.v.y=s.position.y+(h.col1.y*_.x+h.col2.y*_.y);b.id.features.referenceEdge=e;b.id.features.incidentEdge=D;b.id.features.incidentVertex=0;b=t[1];_=m[B];h=s.R;b.v.x=s.position.x+(h.col1.x*_.x+h.col2.x*_.y);b.v.y=s.position.y+(h.col1.y*_.x+h.col2.y*_.y);b.id.features.referenceEdge=e;b.id.features.incidentEdge=B;b.id.features.incidentVertex=1};d.MakeClipPointVector=function(){var t=new Box2D.Vector(2);t[0]=new O;t[1]=new O;return t};d.CollidePolygons=function(t,i,o,e,n){var s;t.m_pointCount=0;var r=i.m_radius+e.m_radius;var a=0;d.s_edgeAO[0]=a;var m=d.FindMaxSeparation(d.s_edgeAO,i,o,e,n);a=d.s_edgeAO[0];if(m>r)return;var c=0;d.s_edgeBO[0]=c;var h=d.FindMaxSeparation(d.s_edgeBO,e,n,i,o);c=d.s_edgeBO[0];if(h>r)return;var _;var p;var u;var y;var x=0;var f=0;var v=.98;var b=.001;var D;if(h>v*m+b){_=e;p=i;u=n;y=o;x=c;t.m_type=I.e_faceB;f=1}else{_=i;p=e;u=o;y=n;x=a;t.m_type=I.e_faceA;f=0}var B=d.s_incidentEdge;d.FindIncidentEdge(B,_,u,x,p,y);var C=parseInt(_.m_vertexCount);var g=_.m_vertices;var A=g[x];var S;if(x+1<C){S=g[parseInt(x+1)]}else{S=g[0]}var w=d.s_localTangent;w.Set(S.x-A.x,S.y-A.y);w.Normalize();var M=d.s_localNormal;M.x=w.y;M.y=-w.x;var V=d.s_planePoint;V.Set(.5*(A.x+S.x),.5*(A.y+S.y));var G=d.s_tangent;D=u.R;G.x=D.col1.x*w.x+D.col2.x*w.y;G.y=D.col1.y*w.x+D.col2.y*w.y;var L=d.s_tangent2;L.x=-G.x;L.y=-G.y;var J=d.s_normal;J.x=G.y;J.y=-G.x;var F=d.s_v11;var P=d.s_v12;F.x=u.position.x+(D.col1.x*A.x+D.col2.x*A.y);F.y=u.position.y+(D.col1.y*A.x+D.col2.y*A.y);P.x=u.position.x+(D.col1.x*S.x+D.col2.x*S.y);P.y=u.position.y+(D.col1.y*S.x+D.col2.y*S.y);var R=J.x*F.x+J.y*F.y;var T=-G.x*F.x-G.y*F.y+r;var k=G.x*P.x+G.y*P.y+r;var N=d.s_clipPoints1;var z=d.s_clipPoints2;var E=0;E=d.ClipSegmentToLine(N,B,L,T);if(E<2)return;E=d.ClipSegmentToLine(z,N,G,k);if(E<2)return;t.m_localPlaneNormal.SetV(M);t.m_localPoint.SetV(V);var j=0;for(var O=0;O<l.b2_maxManifoldPoints;++O){s=z[O];var U=J.x*s.v.x+J.y*s.v.y-R;if(U<=r){var q=t.m_points[j];D=y.R;var K=s.v.x-y.position.x;var W=s.v.y-y.position.y;q.m_localPoint.x=K*D.col1.x+W*D.col1.y;q.m_localPoint.y=K*D.col2.x+W*D.col2.y;q.m_id.Set(s.id);q.m_id.features.flip=f;++j}}t.m_pointCount=j};d.CollideCircles=function(t,i,o,e,n){t.m_pointCount=0;var s;var r;s=o.R;r=i.m_p;var a=o.position.x+(s.col1.x*r.x+s.col2.x*r.y);var l=o.position.y+(s.col1.y*r.x+s.col2.y*r.y);s=n.R;r=e.m_p;var m=n.position.x+(s.col1.x*r.x+s.col2.x*r.y);var c=n.position.y+(s.col1.y*r.x+s.col2.y*r.y);var h=m-a;var _=c-l;var p=h*h+_*_;var u=i.m_radius+e.m_radius;if(p>u*u){return}t.m_type=I.e_circles;t.m_localPoint.SetV(i.m_p);t.m_localPlaneNormal.SetZero();t.m_pointCount=1;t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0};d.CollidePolygonAndCircle=function(t,i,o,e,n){t.m_pointCount=0;var s;var r=0;var a=0;var l=0;var m=0;var c;var h;h=n.R;c=e.m_p;var _=n.position.x+(h.col1.x*c.x+h.col2.x*c.y);var p=n.position.y+(h.col1.y*c.x+h.col2.y*c.y);r=_-o.position.x;a=p-o.position.y;h=o.R;var u=r*h.col1.x+a*h.col1.y;var y=r*h.col2.x+a*h.col2.y;var x=0;var f=0;var v=-Number.MAX_VALUE;var d=i.m_radius+e.m_radius;var b=parseInt(i.m_vertexCount);var D=i.m_vertices;var B=i.m_normals;for(var C=0;C<b;++C){c=D[C];r=u-c.x;a=y-c.y;c=B[C];var g=c.x*r+c.y*a;if(g>d){return}if(g>v){v=g;f=C}}var A=parseInt(f);var S=parseInt(A+1<b?A+1:0);var w=D[A];var M=D[S];if(v<Number.MIN_VALUE){t.m_pointCount=1;t.m_type=I.e_faceA;t.m_localPlaneNormal.SetV(B[f]);t.m_localPoint.x=.5*(w.x+M.x);t.m_localPoint.y=.5*(w.y+M.y);t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0;return}var V=(u-w.x)*(M.x-w.x)+(y-w.y)*(M.y-w.y);var G=(u-M.x)*(w.x-M.x)+(y-M.y)*(w.y-M.y);if(V<=0){if((u-w.x)*(u-w.x)+(y-w.y)*(y-w.y)>d*d)return;t.m_pointCount=1;t.m_type=I.e_faceA;t.m_localPlaneNormal.x=u-w.x;t.m_localPlaneNormal.y=y-w.y;t.m_localPlaneNormal.Normalize();t.m_localPoint.SetV(w);t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0}else if(G<=0){if((u-M.x)*(u-M.x)+(y-M.y)*(y-M.y)>d*d)return;t.m_pointCount=1;t.m_type=I.e_faceA;t.m_localPlaneNormal.x=u-M.x;t.m_localPlaneNormal.y=y-M.y;t.m_localPlaneNormal.Normalize();t.m_localPoint.SetV(M);t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0}else{var L=.5*(w.x+M.x);var J=.5*(w.y+M.y);v=(u-L)*B[A].x+(y-J)*B[A].y;if(v>d)return;t.m_pointCount=1;t.m_type=I.e_faceA;t.m_localPlaneNormal.x=B[A].x;t.m_localPlaneNormal.y=B[A].y;t.m_localPlaneNormal.Normalize();t.m_localPoint.Set(L,J);t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0}};d.TestOverlap=function(t,i){var o=i.lowerBound;var e=t.upperBound;var n=o.x-e.x;var s=o.y-e.y;o=t.lowerBound;e=i.upperBound;var r=o.x-e.x;var a=o.y-e.y;if(n>0||s>0)return false;if(r>0||a>0)return false;return true};Box2D.postDefs.push(function(){Box2D.Collision.b2Collision.s_incidentEdge=d.MakeClipPointVector();Box2D.Collision.b2Collision.s_clipPoints1=d.MakeClipPointVector();Box2D.Collision.b2Collision.s_clipPoints2=d.MakeClipPointVector();Box2D.Collision.b2Collision.s_edgeAO=new Box2D.Vector_a2j_Number(1);Box2D.Collision.b2Collision.s_edgeBO=new Box2D.Vector_a2j_Number(1);Box2D.Collision.b2Collision.s_localTangent=new u;Box2D.Collision.b2Collision.s_localNormal=new u;Box2D.Collision.b2Collision.s_planePoint=new u;Box2D.Collision.b2Collision.s_normal=new u;Box2D.Collision.b2Collision.s_tangent=new u;Box2D.Collision.b2Collision.s_tangent2=new u;Box2D.Collision.b2Collision.s_v11=new u;Box2D.Collision.b2Collision.s_v12=new u;Box2D.Collision.b2Collision.b2CollidePolyTempVec=new u;Box2D.Collision.b2Collision.b2_nullFeature=255});b.b2ContactID=function(){this.features=new U};b.prototype.b2ContactID=function(){this.features._m_id=this};b.prototype.Set=function(t){this.key=t._key};b.prototype.Copy=function(){var t=new b;t.key=this.key;return t};Object.defineProperty(b.prototype,"key",{enumerable:false,configurable:true,get:function(){return this._key}});Object.defineProperty(b.prototype,"key",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._key=t;this.features._referenceEdge=this._key&255;this.features._incidentEdge=(this._key&65280)>>8&255;this.features._incidentVertex=(this._key&16711680)>>16&255;this.features._flip=(this._key&4278190080)>>24&255}});D.b2ContactPoint=function(){this.position=new u;this.velocity=new u;this.normal=new u;this.id=new b};B.b2Distance=function(){};B.Distance=function(t,i,o){++B.b2_gjkCalls;var e=o.proxyA;var n=o.proxyB;var s=o.transformA;var r=o.transformB;var a=B.s_simplex;a.ReadCache(i,e,s,n,r);var m=a.m_vertices;var c=20;var _=B.s_saveA;var p=B.s_saveB;var y=0;var x=a.GetClosestPoint();var f=x.LengthSquared();var v=f;var d=0;var b;var D=0;while(D<c){y=a.m_count;for(d=0;d<y;d++){_[d]=m[d].indexA;p[d]=m[d].indexB}switch(a.m_count){case 1:break;case 2:a.Solve2();break;case 3:a.Solve3();break;default:l.b2Assert(false)}if(a.m_count==3){break}b=a.GetClosestPoint();v=b.LengthSquared();if(v>f){}f=v;var C=a.GetSearchDirection();if(C.LengthSquared()<Number.MIN_VALUE*Number.MIN_VALUE){break}var g=m[a.m_count];g.indexA=e.GetSupport(h.MulTMV(s.R,C.GetNegative()));g.wA=h.MulX(s,e.GetVertex(g.indexA));g.indexB=n.GetSupport(h.MulTMV(r.R,C));g.wB=h.MulX(r,n.GetVertex(g.indexB));g.w=h.SubtractVV(g.wB,g.wA);++D;++B.b2_gjkIters;var A=false;for(d=0;d<y;d++){if(g.indexA==_[d]&&g.indexB==p[d]){A=true;break}}if(A){break}++a.m_count}B.b2_gjkMaxIters=h.Max(B.b2_gjkMaxIters,D);a.GetWitnessPoints(t.pointA,t.pointB);t.distance=h.SubtractVV(t.pointA,t.pointB).Length();t.iterations=D;a.WriteCache(i);if(o.useRadii){var S=e.m_radius;var w=n.m_radius;if(t.distance>S+w&&t.distance>Number.MIN_VALUE){t.distance-=S+w;var M=h.SubtractVV(t.pointB,t.pointA);M.Normalize();t.pointA.x+=S*M.x;t.pointA.y+=S*M.y;t.pointB.x-=w*M.x;t.pointB.y-=w*M.y}else{b=new u;b.x=.5*(t.pointA.x+t.pointB.x);b.y=.5*(t.pointA.y+t.pointB.y);t.pointA.x=t.pointB.x=b.x;t.pointA.y=t.pointB.y=b.y;t.distance=0}}};Box2D.postDefs.push(function(){Box2D.Collision.b2Distance.s_simplex=new T;Box2D.Collision.b2Distance.s_saveA=new Box2D.Vector_a2j_Number(3);Box2D.Collision.b2Distance.s_saveB=new Box2D.Vector_a2j_Number(3)});C.b2DistanceInput=function(){};g.b2DistanceOutput=function(){this.pointA=new u;this.pointB=new u};A.b2DistanceProxy=function(){};A.prototype.Set=function(i){switch(i.GetType()){case s.e_circleShape:{var o=i instanceof t?i:null;this.m_vertices=new Box2D.Vector(1,true);this.m_vertices[0]=o.m_p;this.m_count=1;this.m_radius=o.m_radius}break;case s.e_polygonShape:{var e=i instanceof n?i:null;this.m_vertices=e.m_vertices;this.m_count=e.m_vertexCount;this.m_radius=e.m_radius}break;default:l.b2Assert(false)}};A.prototype.GetSupport=function(t){var i=0;var o=this.m_vertices[0].x*t.x+this.m_vertices[0].y*t.y;for(var e=1;e<this.m_count;++e){var n=this.m_vertices[e].x*t.x+this.m_vertices[e].y*t.y;if(n>o){i=e;o=n}}return i};A.prototype.GetSupportVertex=function(t){var i=0;var o=this.m_vertices[0].x*t.x+this.m_vertices[0].y*t.y;for(var e=1;e<this.m_count;++e){var n=this.m_vertices[e].x*t.x+this.m_vertices[e].y*t.y;if(n>o){i=e;o=n}}return this.m_vertices[i]};A.prototype.GetVertexCount=function(){return this.m_count};A.prototype.GetVertex=function(t){if(t===undefined)t=0;l.b2Assert(0<=t&&t<this.m_count);return this.m_vertices[t]};S.b2DynamicTree=function(){};S.prototype.b2DynamicTree=function(){this.m_root=null;this.m_freeList=null;this.m_path=0;this.m_insertionCount=0};S.prototype.CreateProxy=function(t,i){var o=this.AllocateNode();var e=l.b2_aabbExtension;var n=l.b2_aabbExtension;o.aabb.lowerBound.x=t.lowerBound.x-e;o.aabb.lowerBound.y=t.lowerBound.y-n;o.aabb.upperBound.x=t.upperBound.x+e;o.aabb.upperBound.y=t.upperBound.y+n;o.userData=i;this.InsertLeaf(o);return o};S.prototype.DestroyProxy=function(t){this.RemoveLeaf(t);this.FreeNode(t)};S.prototype.MoveProxy=function(t,i,o){l.b2Assert(t.IsLeaf());if(t.aabb.Contains(i)){return false}this.RemoveLeaf(t);var e=l.b2_aabbExtension+l.b2_aabbMultiplier*(o.x>0?o.x:-o.x);var n=l.b2_aabbExtension+l.b2_aabbMultiplier*(o.y>0?o.y:-o.y);t.aabb.lowerBound.x=i.lowerBound.x-e;t.aabb.lowerBound.y=i.lowerBound.y-n;t.aabb.upperBound.x=i.upperBound.x+e;t.aabb.upperBound.y=i.upperBound.y+n;this.InsertLeaf(t);return true};S.prototype.Rebalance=function(t){if(t===undefined)t=0;if(this.m_root==null)return;for(var i=0;i<t;i++){var o=this.m_root;var e=0;while(o.IsLeaf()==false){o=this.m_path>>e&1?o.child2:o.child1;e=e+1&31}++this.m_path;this.RemoveLeaf(o);this.InsertLeaf(o)}};S.prototype.GetFatAABB=function(t){return t.aabb};S.prototype.GetUserData=function(t){return t.userData};S.prototype.Query=function(t,i){if(this.m_root==null)return;var o=new Box2D.Vector;var e=0;o[e++]=this.m_root;while(e>0){var n=o[--e];if(n.aabb.TestOverlap(i)){if(n.IsLeaf()){var s=t(n);if(!s)return}else{o[e++]=n.child1;o[e++]=n.child2}}}};S.prototype.RayCast=function(t,i){if(this.m_root==null)return;var o=i.p1;var e=i.p2;var n=h.SubtractVV(o,e);n.Normalize();var s=h.CrossFV(1,n);var r=h.AbsV(s);var a=i.maxFraction;var l=new x;var m=0;var c=0;{m=o.x+a*(e.x-o.x);c=o.y+a*(e.y-o.y);l.lowerBound.x=Math.min(o.x,m);l.lowerBound.y=Math.min(o.y,c);l.upperBound.x=Math.max(o.x,m);l.upperBound.y=Math.max(o.y,c)}var _=new Box2D.Vector;var p=0;_[p++]=this.m_root;while(p>0){var u=_[--p];if(u.aabb.TestOverlap(l)==false){continue}var y=u.aabb.GetCenter();var f=u.aabb.GetExtents();var v=Math.abs(s.x*(o.x-y.x)+s.y*(o.y-y.y))-r.x*f.x-r.y*f.y;
-if(v>0)continue;if(u.IsLeaf()){var d=new J;d.p1=i.p1;d.p2=i.p2;d.maxFraction=i.maxFraction;a=t(d,u);if(a==0)return;if(a>0){m=o.x+a*(e.x-o.x);c=o.y+a*(e.y-o.y);l.lowerBound.x=Math.min(o.x,m);l.lowerBound.y=Math.min(o.y,c);l.upperBound.x=Math.max(o.x,m);l.upperBound.y=Math.max(o.y,c)}}else{_[p++]=u.child1;_[p++]=u.child2}}};S.prototype.AllocateNode=function(){if(this.m_freeList){var t=this.m_freeList;this.m_freeList=t.parent;t.parent=null;t.child1=null;t.child2=null;return t}return new M};S.prototype.FreeNode=function(t){t.parent=this.m_freeList;this.m_freeList=t};S.prototype.InsertLeaf=function(t){++this.m_insertionCount;if(this.m_root==null){this.m_root=t;this.m_root.parent=null;return}var i=t.aabb.GetCenter();var o=this.m_root;if(o.IsLeaf()==false){do{var e=o.child1;var n=o.child2;var s=Math.abs((e.aabb.lowerBound.x+e.aabb.upperBound.x)/2-i.x)+Math.abs((e.aabb.lowerBound.y+e.aabb.upperBound.y)/2-i.y);var r=Math.abs((n.aabb.lowerBound.x+n.aabb.upperBound.x)/2-i.x)+Math.abs((n.aabb.lowerBound.y+n.aabb.upperBound.y)/2-i.y);if(s<r){o=e}else{o=n}}while(o.IsLeaf()==false)}var a=o.parent;var l=this.AllocateNode();l.parent=a;l.userData=null;l.aabb.Combine(t.aabb,o.aabb);if(a){if(o.parent.child1==o){a.child1=l}else{a.child2=l}l.child1=o;l.child2=t;o.parent=l;t.parent=l;do{if(a.aabb.Contains(l.aabb))break;a.aabb.Combine(a.child1.aabb,a.child2.aabb);l=a;a=a.parent}while(a)}else{l.child1=o;l.child2=t;o.parent=l;t.parent=l;this.m_root=l}};S.prototype.RemoveLeaf=function(t){if(t==this.m_root){this.m_root=null;return}var i=t.parent;var o=i.parent;var e;if(i.child1==t){e=i.child2}else{e=i.child1}if(o){if(o.child1==i){o.child1=e}else{o.child2=e}e.parent=o;this.FreeNode(i);while(o){var n=o.aabb;o.aabb=x.Combine(o.child1.aabb,o.child2.aabb);if(n.Contains(o.aabb))break;o=o.parent}}else{this.m_root=e;e.parent=null;this.FreeNode(i)}};w.b2DynamicTreeBroadPhase=function(){this.m_tree=new S;this.m_moveBuffer=new Box2D.Vector;this.m_pairBuffer=new Box2D.Vector;this.m_pairCount=0};w.prototype.CreateProxy=function(t,i){var o=this.m_tree.CreateProxy(t,i);++this.m_proxyCount;this.BufferMove(o);return o};w.prototype.DestroyProxy=function(t){this.UnBufferMove(t);--this.m_proxyCount;this.m_tree.DestroyProxy(t)};w.prototype.MoveProxy=function(t,i,o){var e=this.m_tree.MoveProxy(t,i,o);if(e){this.BufferMove(t)}};w.prototype.TestOverlap=function(t,i){var o=this.m_tree.GetFatAABB(t);var e=this.m_tree.GetFatAABB(i);return o.TestOverlap(e)};w.prototype.GetUserData=function(t){return this.m_tree.GetUserData(t)};w.prototype.GetFatAABB=function(t){return this.m_tree.GetFatAABB(t)};w.prototype.GetProxyCount=function(){return this.m_proxyCount};w.prototype.UpdatePairs=function(t){var i=this;i.m_pairCount=0;var o=0,e;for(o=0;o<i.m_moveBuffer.length;++o){e=i.m_moveBuffer[o];function n(t){if(t==e)return true;if(i.m_pairCount==i.m_pairBuffer.length){i.m_pairBuffer[i.m_pairCount]=new V}var o=i.m_pairBuffer[i.m_pairCount];o.proxyA=t<e?t:e;o.proxyB=t>=e?t:e;++i.m_pairCount;return true}var s=i.m_tree.GetFatAABB(e);i.m_tree.Query(n,s)}i.m_moveBuffer.length=0;for(var o=0;o<i.m_pairCount;){var r=i.m_pairBuffer[o];var a=i.m_tree.GetUserData(r.proxyA);var l=i.m_tree.GetUserData(r.proxyB);t(a,l);++o;while(o<i.m_pairCount){var m=i.m_pairBuffer[o];if(m.proxyA!=r.proxyA||m.proxyB!=r.proxyB){break}++o}}};w.prototype.Query=function(t,i){this.m_tree.Query(t,i)};w.prototype.RayCast=function(t,i){this.m_tree.RayCast(t,i)};w.prototype.Validate=function(){};w.prototype.Rebalance=function(t){if(t===undefined)t=0;this.m_tree.Rebalance(t)};w.prototype.BufferMove=function(t){this.m_moveBuffer[this.m_moveBuffer.length]=t};w.prototype.UnBufferMove=function(t){var i=parseInt(this.m_moveBuffer.indexOf(t));this.m_moveBuffer.splice(i,1)};w.prototype.ComparePairs=function(t,i){return 0};w.__implements={};w.__implements[q]=true;M.b2DynamicTreeNode=function(){this.aabb=new x};M.prototype.IsLeaf=function(){return this.child1==null};V.b2DynamicTreePair=function(){};I.b2Manifold=function(){this.m_pointCount=0};I.prototype.b2Manifold=function(){this.m_points=new Box2D.Vector(l.b2_maxManifoldPoints);for(var t=0;t<l.b2_maxManifoldPoints;t++){this.m_points[t]=new G}this.m_localPlaneNormal=new u;this.m_localPoint=new u};I.prototype.Reset=function(){for(var t=0;t<l.b2_maxManifoldPoints;t++){(this.m_points[t]instanceof G?this.m_points[t]:null).Reset()}this.m_localPlaneNormal.SetZero();this.m_localPoint.SetZero();this.m_type=0;this.m_pointCount=0};I.prototype.Set=function(t){this.m_pointCount=t.m_pointCount;for(var i=0;i<l.b2_maxManifoldPoints;i++){(this.m_points[i]instanceof G?this.m_points[i]:null).Set(t.m_points[i])}this.m_localPlaneNormal.SetV(t.m_localPlaneNormal);this.m_localPoint.SetV(t.m_localPoint);this.m_type=t.m_type};I.prototype.Copy=function(){var t=new I;t.Set(this);return t};Box2D.postDefs.push(function(){Box2D.Collision.b2Manifold.e_circles=1;Box2D.Collision.b2Manifold.e_faceA=2;Box2D.Collision.b2Manifold.e_faceB=4});G.b2ManifoldPoint=function(){this.m_localPoint=new u;this.m_id=new b};G.prototype.b2ManifoldPoint=function(){this.Reset()};G.prototype.Reset=function(){this.m_localPoint.SetZero();this.m_normalImpulse=0;this.m_tangentImpulse=0;this.m_id.key=0};G.prototype.Set=function(t){this.m_localPoint.SetV(t.m_localPoint);this.m_normalImpulse=t.m_normalImpulse;this.m_tangentImpulse=t.m_tangentImpulse;this.m_id.Set(t.m_id)};L.b2Point=function(){this.p=new u};L.prototype.Support=function(t,i,o){if(i===undefined)i=0;if(o===undefined)o=0;return this.p};L.prototype.GetFirstVertex=function(t){return this.p};J.b2RayCastInput=function(){this.p1=new u;this.p2=new u};J.prototype.b2RayCastInput=function(t,i,o){if(t===undefined)t=null;if(i===undefined)i=null;if(o===undefined)o=1;if(t)this.p1.SetV(t);if(i)this.p2.SetV(i);this.maxFraction=o};F.b2RayCastOutput=function(){this.normal=new u};P.b2Segment=function(){this.p1=new u;this.p2=new u};P.prototype.TestSegment=function(t,i,o,e){if(e===undefined)e=0;var n=o.p1;var s=o.p2.x-n.x;var r=o.p2.y-n.y;var a=this.p2.x-this.p1.x;var l=this.p2.y-this.p1.y;var m=l;var c=-a;var h=100*Number.MIN_VALUE;var _=-(s*m+r*c);if(_>h){var p=n.x-this.p1.x;var u=n.y-this.p1.y;var y=p*m+u*c;if(0<=y&&y<=e*_){var x=-s*u+r*p;if(-h*_<=x&&x<=_*(1+h)){y/=_;var f=Math.sqrt(m*m+c*c);m/=f;c/=f;t[0]=y;i.Set(m,c);return true}}}return false};P.prototype.Extend=function(t){this.ExtendForward(t);this.ExtendBackward(t)};P.prototype.ExtendForward=function(t){var i=this.p2.x-this.p1.x;var o=this.p2.y-this.p1.y;var e=Math.min(i>0?(t.upperBound.x-this.p1.x)/i:i<0?(t.lowerBound.x-this.p1.x)/i:Number.POSITIVE_INFINITY,o>0?(t.upperBound.y-this.p1.y)/o:o<0?(t.lowerBound.y-this.p1.y)/o:Number.POSITIVE_INFINITY);this.p2.x=this.p1.x+i*e;this.p2.y=this.p1.y+o*e};P.prototype.ExtendBackward=function(t){var i=-this.p2.x+this.p1.x;var o=-this.p2.y+this.p1.y;var e=Math.min(i>0?(t.upperBound.x-this.p2.x)/i:i<0?(t.lowerBound.x-this.p2.x)/i:Number.POSITIVE_INFINITY,o>0?(t.upperBound.y-this.p2.y)/o:o<0?(t.lowerBound.y-this.p2.y)/o:Number.POSITIVE_INFINITY);this.p1.x=this.p2.x+i*e;this.p1.y=this.p2.y+o*e};R.b2SeparationFunction=function(){this.m_localPoint=new u;this.m_axis=new u};R.prototype.Initialize=function(t,i,o,e,n){this.m_proxyA=i;this.m_proxyB=e;var s=parseInt(t.count);l.b2Assert(0<s&&s<3);var r;var a;var m;var c;var _;var p;var y=0;var x=0;var f=0;var v=0;var d=0;var b=0;var D;var B;var C=0;var g=0;if(s==1){this.m_type=R.e_points;r=this.m_proxyA.GetVertex(t.indexA[0]);c=this.m_proxyB.GetVertex(t.indexB[0]);B=r;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=c;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);this.m_axis.x=f-y;this.m_axis.y=v-x;this.m_axis.Normalize()}else if(t.indexB[0]==t.indexB[1]){this.m_type=R.e_faceA;a=this.m_proxyA.GetVertex(t.indexA[0]);m=this.m_proxyA.GetVertex(t.indexA[1]);c=this.m_proxyB.GetVertex(t.indexB[0]);this.m_localPoint.x=.5*(a.x+m.x);this.m_localPoint.y=.5*(a.y+m.y);this.m_axis=h.CrossVF(h.SubtractVV(m,a),1);this.m_axis.Normalize();B=this.m_axis;D=o.R;d=D.col1.x*B.x+D.col2.x*B.y;b=D.col1.y*B.x+D.col2.y*B.y;B=this.m_localPoint;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=c;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);C=(f-y)*d+(v-x)*b;if(C<0){this.m_axis.NegativeSelf()}}else if(t.indexA[0]==t.indexA[0]){this.m_type=R.e_faceB;_=this.m_proxyB.GetVertex(t.indexB[0]);p=this.m_proxyB.GetVertex(t.indexB[1]);r=this.m_proxyA.GetVertex(t.indexA[0]);this.m_localPoint.x=.5*(_.x+p.x);this.m_localPoint.y=.5*(_.y+p.y);this.m_axis=h.CrossVF(h.SubtractVV(p,_),1);this.m_axis.Normalize();B=this.m_axis;D=n.R;d=D.col1.x*B.x+D.col2.x*B.y;b=D.col1.y*B.x+D.col2.y*B.y;B=this.m_localPoint;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=r;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);C=(y-f)*d+(x-v)*b;if(C<0){this.m_axis.NegativeSelf()}}else{a=this.m_proxyA.GetVertex(t.indexA[0]);m=this.m_proxyA.GetVertex(t.indexA[1]);_=this.m_proxyB.GetVertex(t.indexB[0]);p=this.m_proxyB.GetVertex(t.indexB[1]);var A=h.MulX(o,r);var S=h.MulMV(o.R,h.SubtractVV(m,a));var w=h.MulX(n,c);var M=h.MulMV(n.R,h.SubtractVV(p,_));var V=S.x*S.x+S.y*S.y;var I=M.x*M.x+M.y*M.y;var G=h.SubtractVV(M,S);var L=S.x*G.x+S.y*G.y;var J=M.x*G.x+M.y*G.y;var F=S.x*M.x+S.y*M.y;var P=V*I-F*F;C=0;if(P!=0){C=h.Clamp((F*J-L*I)/P,0,1)}var T=(F*C+J)/I;if(T<0){T=0;C=h.Clamp((F-L)/V,0,1)}r=new u;r.x=a.x+C*(m.x-a.x);r.y=a.y+C*(m.y-a.y);c=new u;c.x=_.x+C*(p.x-_.x);c.y=_.y+C*(p.y-_.y);if(C==0||C==1){this.m_type=R.e_faceB;this.m_axis=h.CrossVF(h.SubtractVV(p,_),1);this.m_axis.Normalize();this.m_localPoint=c;B=this.m_axis;D=n.R;d=D.col1.x*B.x+D.col2.x*B.y;b=D.col1.y*B.x+D.col2.y*B.y;B=this.m_localPoint;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=r;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);g=(y-f)*d+(x-v)*b;if(C<0){this.m_axis.NegativeSelf()}}else{this.m_type=R.e_faceA;this.m_axis=h.CrossVF(h.SubtractVV(m,a),1);this.m_localPoint=r;B=this.m_axis;D=o.R;d=D.col1.x*B.x+D.col2.x*B.y;b=D.col1.y*B.x+D.col2.y*B.y;B=this.m_localPoint;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=c;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);g=(f-y)*d+(v-x)*b;if(C<0){this.m_axis.NegativeSelf()}}}};R.prototype.Evaluate=function(t,i){var o;var e;var n;var s;var r;var a;var m=0;var c;switch(this.m_type){case R.e_points:{o=h.MulTMV(t.R,this.m_axis);e=h.MulTMV(i.R,this.m_axis.GetNegative());n=this.m_proxyA.GetSupportVertex(o);s=this.m_proxyB.GetSupportVertex(e);r=h.MulX(t,n);a=h.MulX(i,s);m=(a.x-r.x)*this.m_axis.x+(a.y-r.y)*this.m_axis.y;return m}case R.e_faceA:{c=h.MulMV(t.R,this.m_axis);r=h.MulX(t,this.m_localPoint);e=h.MulTMV(i.R,c.GetNegative());s=this.m_proxyB.GetSupportVertex(e);a=h.MulX(i,s);m=(a.x-r.x)*c.x+(a.y-r.y)*c.y;return m}case R.e_faceB:{c=h.MulMV(i.R,this.m_axis);a=h.MulX(i,this.m_localPoint);o=h.MulTMV(t.R,c.GetNegative());n=this.m_proxyA.GetSupportVertex(o);r=h.MulX(t,n);m=(r.x-a.x)*c.x+(r.y-a.y)*c.y;return m}default:l.b2Assert(false);return 0}};Box2D.postDefs.push(function(){Box2D.Collision.b2SeparationFunction.e_points=1;Box2D.Collision.b2SeparationFunction.e_faceA=2;Box2D.Collision.b2SeparationFunction.e_faceB=4});T.b2Simplex=function(){this.m_v1=new N;this.m_v2=new N;this.m_v3=new N;this.m_vertices=new Box2D.Vector(3)};T.prototype.b2Simplex=function(){this.m_vertices[0]=this.m_v1;this.m_vertices[1]=this.m_v2;this.m_vertices[2]=this.m_v3};T.prototype.ReadCache=function(t,i,o,e,n){l.b2Assert(0<=t.count&&t.count<=3);var s;var r;this.m_count=t.count;var a=this.m_vertices;for(var m=0;m<this.m_count;m++){var c=a[m];c.indexA=t.indexA[m];c.indexB=t.indexB[m];s=i.GetVertex(c.indexA);r=e.GetVertex(c.indexB);c.wA=h.MulX(o,s);c.wB=h.MulX(n,r);c.w=h.SubtractVV(c.wB,c.wA);c.a=0}if(this.m_count>1){var _=t.metric;var p=this.GetMetric();if(p<.5*_||2*_<p||p<Number.MIN_VALUE){this.m_count=0}}if(this.m_count==0){c=a[0];c.indexA=0;c.indexB=0;s=i.GetVertex(0);r=e.GetVertex(0);c.wA=h.MulX(o,s);c.wB=h.MulX(n,r);c.w=h.SubtractVV(c.wB,c.wA);this.m_count=1}};T.prototype.WriteCache=function(t){t.metric=this.GetMetric();t.count=Box2D.parseUInt(this.m_count);var i=this.m_vertices;for(var o=0;o<this.m_count;o++){t.indexA[o]=Box2D.parseUInt(i[o].indexA);t.indexB[o]=Box2D.parseUInt(i[o].indexB)}};T.prototype.GetSearchDirection=function(){switch(this.m_count){case 1:return this.m_v1.w.GetNegative();case 2:{var t=h.SubtractVV(this.m_v2.w,this.m_v1.w);var i=h.CrossVV(t,this.m_v1.w.GetNegative());if(i>0){return h.CrossFV(1,t)}else{return h.CrossVF(t,1)}}default:l.b2Assert(false);return new u}};T.prototype.GetClosestPoint=function(){switch(this.m_count){case 0:l.b2Assert(false);return new u;case 1:return this.m_v1.w;case 2:return new u(this.m_v1.a*this.m_v1.w.x+this.m_v2.a*this.m_v2.w.x,this.m_v1.a*this.m_v1.w.y+this.m_v2.a*this.m_v2.w.y);default:l.b2Assert(false);return new u}};T.prototype.GetWitnessPoints=function(t,i){switch(this.m_count){case 0:l.b2Assert(false);break;case 1:t.SetV(this.m_v1.wA);i.SetV(this.m_v1.wB);break;case 2:t.x=this.m_v1.a*this.m_v1.wA.x+this.m_v2.a*this.m_v2.wA.x;t.y=this.m_v1.a*this.m_v1.wA.y+this.m_v2.a*this.m_v2.wA.y;i.x=this.m_v1.a*this.m_v1.wB.x+this.m_v2.a*this.m_v2.wB.x;i.y=this.m_v1.a*this.m_v1.wB.y+this.m_v2.a*this.m_v2.wB.y;break;case 3:i.x=t.x=this.m_v1.a*this.m_v1.wA.x+this.m_v2.a*this.m_v2.wA.x+this.m_v3.a*this.m_v3.wA.x;i.y=t.y=this.m_v1.a*this.m_v1.wA.y+this.m_v2.a*this.m_v2.wA.y+this.m_v3.a*this.m_v3.wA.y;break;default:l.b2Assert(false);break}};T.prototype.GetMetric=function(){switch(this.m_count){case 0:l.b2Assert(false);return 0;case 1:return 0;case 2:return h.SubtractVV(this.m_v1.w,this.m_v2.w).Length();case 3:return h.CrossVV(h.SubtractVV(this.m_v2.w,this.m_v1.w),h.SubtractVV(this.m_v3.w,this.m_v1.w));default:l.b2Assert(false);return 0}};T.prototype.Solve2=function(){var t=this.m_v1.w;var i=this.m_v2.w;var o=h.SubtractVV(i,t);var e=-(t.x*o.x+t.y*o.y);if(e<=0){this.m_v1.a=1;this.m_count=1;return}var n=i.x*o.x+i.y*o.y;if(n<=0){this.m_v2.a=1;this.m_count=1;this.m_v1.Set(this.m_v2);return}var s=1/(n+e);this.m_v1.a=n*s;this.m_v2.a=e*s;this.m_count=2};T.prototype.Solve3=function(){var t=this.m_v1.w;var i=this.m_v2.w;var o=this.m_v3.w;var e=h.SubtractVV(i,t);var n=h.Dot(t,e);var s=h.Dot(i,e);var r=s;var a=-n;var l=h.SubtractVV(o,t);var m=h.Dot(t,l);var c=h.Dot(o,l);var _=c;var p=-m;var u=h.SubtractVV(o,i);var y=h.Dot(i,u);var x=h.Dot(o,u);var f=x;var v=-y;var d=h.CrossVV(e,l);var b=d*h.CrossVV(i,o);var D=d*h.CrossVV(o,t);var B=d*h.CrossVV(t,i);if(a<=0&&p<=0){this.m_v1.a=1;this.m_count=1;return}if(r>0&&a>0&&B<=0){var C=1/(r+a);this.m_v1.a=r*C;this.m_v2.a=a*C;this.m_count=2;return}if(_>0&&p>0&&D<=0){var g=1/(_+p);this.m_v1.a=_*g;this.m_v3.a=p*g;this.m_count=2;this.m_v2.Set(this.m_v3);return}if(r<=0&&v<=0){this.m_v2.a=1;this.m_count=1;this.m_v1.Set(this.m_v2);return}if(_<=0&&f<=0){this.m_v3.a=1;this.m_count=1;this.m_v1.Set(this.m_v3);return}if(f>0&&v>0&&b<=0){var A=1/(f+v);this.m_v2.a=f*A;this.m_v3.a=v*A;this.m_count=2;this.m_v1.Set(this.m_v3);return}var S=1/(b+D+B);this.m_v1.a=b*S;this.m_v2.a=D*S;this.m_v3.a=B*S;this.m_count=3};k.b2SimplexCache=function(){this.indexA=new Box2D.Vector_a2j_Number(3);this.indexB=new Box2D.Vector_a2j_Number(3)};N.b2SimplexVertex=function(){};N.prototype.Set=function(t){this.wA.SetV(t.wA);this.wB.SetV(t.wB);this.w.SetV(t.w);this.a=t.a;this.indexA=t.indexA;this.indexB=t.indexB};z.b2TimeOfImpact=function(){};z.TimeOfImpact=function(t){++z.b2_toiCalls;var i=t.proxyA;var o=t.proxyB;var e=t.sweepA;var n=t.sweepB;l.b2Assert(e.t0==n.t0);l.b2Assert(1-e.t0>Number.MIN_VALUE);var s=i.m_radius+o.m_radius;var r=t.tolerance;var a=0;var m=1e3;var c=0;var _=0;z.s_cache.count=0;z.s_distanceInput.useRadii=false;for(;;){e.GetTransform(z.s_xfA,a);n.GetTransform(z.s_xfB,a);z.s_distanceInput.proxyA=i;z.s_distanceInput.proxyB=o;z.s_distanceInput.transformA=z.s_xfA;z.s_distanceInput.transformB=z.s_xfB;B.Distance(z.s_distanceOutput,z.s_cache,z.s_distanceInput);if(z.s_distanceOutput.distance<=0){a=1;break}z.s_fcn.Initialize(z.s_cache,i,z.s_xfA,o,z.s_xfB);var p=z.s_fcn.Evaluate(z.s_xfA,z.s_xfB);if(p<=0){a=1;break}if(c==0){if(p>s){_=h.Max(s-r,.75*s)}else{_=h.Max(p-r,.02*s)}}if(p-_<.5*r){if(c==0){a=1;break}break}var u=a;{var y=a;var x=1;var f=p;e.GetTransform(z.s_xfA,x);n.GetTransform(z.s_xfB,x);var v=z.s_fcn.Evaluate(z.s_xfA,z.s_xfB);if(v>=_){a=1;break}var d=0;for(;;){var b=0;if(d&1){b=y+(_-f)*(x-y)/(v-f)}else{b=.5*(y+x)}e.GetTransform(z.s_xfA,b);n.GetTransform(z.s_xfB,b);var D=z.s_fcn.Evaluate(z.s_xfA,z.s_xfB);if(h.Abs(D-_)<.025*r){u=b;break}if(D>_){y=b;f=D}else{x=b;v=D}++d;++z.b2_toiRootIters;if(d==50){break}}z.b2_toiMaxRootIters=h.Max(z.b2_toiMaxRootIters,d)}if(u<(1+100*Number.MIN_VALUE)*a){break}a=u;c++;++z.b2_toiIters;if(c==m){break}}z.b2_toiMaxIters=h.Max(z.b2_toiMaxIters,c);return a};Box2D.postDefs.push(function(){Box2D.Collision.b2TimeOfImpact.b2_toiCalls=0;Box2D.Collision.b2TimeOfImpact.b2_toiIters=0;Box2D.Collision.b2TimeOfImpact.b2_toiMaxIters=0;Box2D.Collision.b2TimeOfImpact.b2_toiRootIters=0;Box2D.Collision.b2TimeOfImpact.b2_toiMaxRootIters=0;Box2D.Collision.b2TimeOfImpact.s_cache=new k;Box2D.Collision.b2TimeOfImpact.s_distanceInput=new C;Box2D.Collision.b2TimeOfImpact.s_xfA=new p;Box2D.Collision.b2TimeOfImpact.s_xfB=new p;Box2D.Collision.b2TimeOfImpact.s_fcn=new R;Box2D.Collision.b2TimeOfImpact.s_distanceOutput=new g});E.b2TOIInput=function(){this.proxyA=new A;this.proxyB=new A;this.sweepA=new _;this.sweepB=new _};j.b2WorldManifold=function(){this.m_normal=new u};j.prototype.b2WorldManifold=function(){this.m_points=new Box2D.Vector(l.b2_maxManifoldPoints);for(var t=0;t<l.b2_maxManifoldPoints;t++){this.m_points[t]=new u}};j.prototype.Initialize=function(t,i,o,e,n){if(o===undefined)o=0;if(n===undefined)n=0;if(t.m_pointCount==0){return}var s=0;var r;var a;var l=0;var m=0;var c=0;var h=0;var _=0;var p=0;switch(t.m_type){case I.e_circles:{a=i.R;r=t.m_localPoint;var u=i.position.x+a.col1.x*r.x+a.col2.x*r.y;var y=i.position.y+a.col1.y*r.x+a.col2.y*r.y;a=e.R;r=t.m_points[0].m_localPoint;var x=e.position.x+a.col1.x*r.x+a.col2.x*r.y;var f=e.position.y+a.col1.y*r.x+a.col2.y*r.y;var v=x-u;var d=f-y;var b=v*v+d*d;if(b>Number.MIN_VALUE*Number.MIN_VALUE){var D=Math.sqrt(b);this.m_normal.x=v/D;this.m_normal.y=d/D}else{this.m_normal.x=1;this.m_normal.y=0}var B=u+o*this.m_normal.x;var C=y+o*this.m_normal.y;var g=x-n*this.m_normal.x;var A=f-n*this.m_normal.y;this.m_points[0].x=.5*(B+g);this.m_points[0].y=.5*(C+A)}break;case I.e_faceA:{a=i.R;r=t.m_localPlaneNormal;l=a.col1.x*r.x+a.col2.x*r.y;m=a.col1.y*r.x+a.col2.y*r.y;a=i.R;r=t.m_localPoint;c=i.position.x+a.col1.x*r.x+a.col2.x*r.y;h=i.position.y+a.col1.y*r.x+a.col2.y*r.y;this.m_normal.x=l;this.m_normal.y=m;for(s=0;s<t.m_pointCount;s++){a=e.R;r=t.m_points[s].m_localPoint;_=e.position.x+a.col1.x*r.x+a.col2.x*r.y;p=e.position.y+a.col1.y*r.x+a.col2.y*r.y;this.m_points[s].x=_+.5*(o-(_-c)*l-(p-h)*m-n)*l;this.m_points[s].y=p+.5*(o-(_-c)*l-(p-h)*m-n)*m}}break;case I.e_faceB:{a=e.R;r=t.m_localPlaneNormal;l=a.col1.x*r.x+a.col2.x*r.y;m=a.col1.y*r.x+a.col2.y*r.y;a=e.R;r=t.m_localPoint;c=e.position.x+a.col1.x*r.x+a.col2.x*r.y;h=e.position.y+a.col1.y*r.x+a.col2.y*r.y;this.m_normal.x=-l;this.m_normal.y=-m;for(s=0;s<t.m_pointCount;s++){a=i.R;r=t.m_points[s].m_localPoint;_=i.position.x+a.col1.x*r.x+a.col2.x*r.y;p=i.position.y+a.col1.y*r.x+a.col2.y*r.y;this.m_points[s].x=_+.5*(n-(_-c)*l-(p-h)*m-o)*l;this.m_points[s].y=p+.5*(n-(_-c)*l-(p-h)*m-o)*m}}break}};O.ClipVertex=function(){this.v=new u;this.id=new b};O.prototype.Set=function(t){this.v.SetV(t.v);this.id.Set(t.id)};U.Features=function(){};Object.defineProperty(U.prototype,"referenceEdge",{enumerable:false,configurable:true,get:function(){return this._referenceEdge}});Object.defineProperty(U.prototype,"referenceEdge",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._referenceEdge=t;this._m_id._key=this._m_id._key&4294967040|this._referenceEdge&255}});Object.defineProperty(U.prototype,"incidentEdge",{enumerable:false,configurable:true,get:function(){return this._incidentEdge}});Object.defineProperty(U.prototype,"incidentEdge",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._incidentEdge=t;this._m_id._key=this._m_id._key&4294902015|this._incidentEdge<<8&65280}});Object.defineProperty(U.prototype,"incidentVertex",{enumerable:false,configurable:true,get:function(){return this._incidentVertex}});Object.defineProperty(U.prototype,"incidentVertex",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._incidentVertex=t;this._m_id._key=this._m_id._key&4278255615|this._incidentVertex<<16&16711680}});Object.defineProperty(U.prototype,"flip",{enumerable:false,configurable:true,get:function(){return this._flip}});Object.defineProperty(U.prototype,"flip",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._flip=t;this._m_id._key=this._m_id._key&16777215|this._flip<<24&4278190080}})})();(function(){var t=Box2D.Common.b2Color,i=Box2D.Common.b2internal,o=Box2D.Common.b2Settings,e=Box2D.Collision.Shapes.b2CircleShape,n=Box2D.Collision.Shapes.b2EdgeChainDef,s=Box2D.Collision.Shapes.b2EdgeShape,r=Box2D.Collision.Shapes.b2MassData,a=Box2D.Collision.Shapes.b2PolygonShape,l=Box2D.Collision.Shapes.b2Shape,m=Box2D.Common.Math.b2Mat22,c=Box2D.Common.Math.b2Mat33,h=Box2D.Common.Math.b2Math,_=Box2D.Common.Math.b2Sweep,p=Box2D.Common.Math.b2Transform,u=Box2D.Common.Math.b2Vec2,y=Box2D.Common.Math.b2Vec3,x=Box2D.Dynamics.b2Body,f=Box2D.Dynamics.b2BodyDef,v=Box2D.Dynamics.b2ContactFilter,d=Box2D.Dynamics.b2ContactImpulse,b=Box2D.Dynamics.b2ContactListener,D=Box2D.Dynamics.b2ContactManager,B=Box2D.Dynamics.b2DebugDraw,C=Box2D.Dynamics.b2DestructionListener,g=Box2D.Dynamics.b2FilterData,A=Box2D.Dynamics.b2Fixture,S=Box2D.Dynamics.b2FixtureDef,w=Box2D.Dynamics.b2Island,M=Box2D.Dynamics.b2TimeStep,V=Box2D.Dynamics.b2World,I=Box2D.Collision.b2AABB,G=Box2D.Collision.b2Bound,L=Box2D.Collision.b2BoundValues,J=Box2D.Collision.b2Collision,F=Box2D.Collision.b2ContactID,P=Box2D.Collision.b2ContactPoint,R=Box2D.Collision.b2Distance,T=Box2D.Collision.b2DistanceInput,k=Box2D.Collision.b2DistanceOutput,N=Box2D.Collision.b2DistanceProxy,z=Box2D.Collision.b2DynamicTree,E=Box2D.Collision.b2DynamicTreeBroadPhase,j=Box2D.Collision.b2DynamicTreeNode,O=Box2D.Collision.b2DynamicTreePair,U=Box2D.Collision.b2Manifold,q=Box2D.Collision.b2ManifoldPoint,K=Box2D.Collision.b2Point,W=Box2D.Collision.b2RayCastInput,X=Box2D.Collision.b2RayCastOutput,Z=Box2D.Collision.b2Segment,H=Box2D.Collision.b2SeparationFunction,Y=Box2D.Collision.b2Simplex,Q=Box2D.Collision.b2SimplexCache,$=Box2D.Collision.b2SimplexVertex,ti=Box2D.Collision.b2TimeOfImpact,ii=Box2D.Collision.b2TOIInput,oi=Box2D.Collision.b2WorldManifold,ei=Box2D.Collision.ClipVertex,ni=Box2D.Collision.Features,si=Box2D.Collision.IBroadPhase;Box2D.inherit(e,Box2D.Collision.Shapes.b2Shape);e.prototype.__super=Box2D.Collision.Shapes.b2Shape.prototype;e.b2CircleShape=function(){Box2D.Collision.Shapes.b2Shape.b2Shape.apply(this,arguments);this.m_p=new u};e.prototype.Copy=function(){var t=new e;t.Set(this);return t};e.prototype.Set=function(t){this.__super.Set.call(this,t);if(Box2D.is(t,e)){var i=t instanceof e?t:null;this.m_p.SetV(i.m_p)}};e.prototype.TestPoint=function(t,i){var o=t.R;var e=t.position.x+(o.col1.x*this.m_p.x+o.col2.x*this.m_p.y);var n=t.position.y+(o.col1.y*this.m_p.x+o.col2.y*this.m_p.y);e=i.x-e;n=i.y-n;return e*e+n*n<=this.m_radius*this.m_radius};e.prototype.RayCast=function(t,i,o){var e=o.R;var n=o.position.x+(e.col1.x*this.m_p.x+e.col2.x*this.m_p.y);var s=o.position.y+(e.col1.y*this.m_p.x+e.col2.y*this.m_p.y);var r=i.p1.x-n;var a=i.p1.y-s;var l=r*r+a*a-this.m_radius*this.m_radius;var m=i.p2.x-i.p1.x;var c=i.p2.y-i.p1.y;var h=r*m+a*c;var _=m*m+c*c;var p=h*h-_*l;if(p<0||_<Number.MIN_VALUE){return false}var u=-(h+Math.sqrt(p));if(0<=u&&u<=i.maxFraction*_){u/=_;t.fraction=u;t.normal.x=r+u*m;t.normal.y=a+u*c;t.normal.Normalize();return true}return false};e.prototype.ComputeAABB=function(t,i){var o=i.R;var e=i.position.x+(o.col1.x*this.m_p.x+o.col2.x*this.m_p.y);var n=i.position.y+(o.col1.y*this.m_p.x+o.col2.y*this.m_p.y);t.lowerBound.Set(e-this.m_radius,n-this.m_radius);t.upperBound.Set(e+this.m_radius,n+this.m_radius)};e.prototype.ComputeMass=function(t,i){if(i===undefined)i=0;t.mass=i*o.b2_pi*this.m_radius*this.m_radius;t.center.SetV(this.m_p);t.I=t.mass*(.5*this.m_radius*this.m_radius+(this.m_p.x*this.m_p.x+this.m_p.y*this.m_p.y))};e.prototype.ComputeSubmergedArea=function(t,i,o,e){if(i===undefined)i=0;var n=h.MulX(o,this.m_p);var s=-(h.Dot(t,n)-i);if(s<-this.m_radius+Number.MIN_VALUE){return 0}if(s>this.m_radius){e.SetV(n);return Math.PI*this.m_radius*this.m_radius}var r=this.m_radius*this.m_radius;var a=s*s;var l=r*(Math.asin(s/this.m_radius)+Math.PI/2)+s*Math.sqrt(r-a);var m=-2/3*Math.pow(r-a,1.5)/l;e.x=n.x+t.x*m;e.y=n.y+t.y*m;return l};e.prototype.GetLocalPosition=function(){return this.m_p};e.prototype.SetLocalPosition=function(t){this.m_p.SetV(t)};e.prototype.GetRadius=function(){return this.m_radius};e.prototype.SetRadius=function(t){if(t===undefined)t=0;this.m_radius=t};e.prototype.b2CircleShape=function(t){if(t===undefined)t=0;this.__super.b2Shape.call(this);this.m_type=l.e_circleShape;this.m_radius=t};n.b2EdgeChainDef=function(){};n.prototype.b2EdgeChainDef=function(){this.vertexCount=0;this.isALoop=true;this.vertices=[]};Box2D.inherit(s,Box2D.Collision.Shapes.b2Shape);s.prototype.__super=Box2D.Collision.Shapes.b2Shape.prototype;s.b2EdgeShape=function(){Box2D.Collision.Shapes.b2Shape.b2Shape.apply(this,arguments);this.s_supportVec=new u;this.m_v1=new u;this.m_v2=new u;this.m_coreV1=new u;this.m_coreV2=new u;this.m_normal=new u;this.m_direction=new u;this.m_cornerDir1=new u;this.m_cornerDir2=new u};s.prototype.TestPoint=function(t,i){return false};s.prototype.RayCast=function(t,i,o){var e;var n=i.p2.x-i.p1.x;var s=i.p2.y-i.p1.y;e=o.R;var r=o.position.x+(e.col1.x*this.m_v1.x+e.col2.x*this.m_v1.y);var a=o.position.y+(e.col1.y*this.m_v1.x+e.col2.y*this.m_v1.y);var l=o.position.y+(e.col1.y*this.m_v2.x+e.col2.y*this.m_v2.y)-a;var m=-(o.position.x+(e.col1.x*this.m_v2.x+e.col2.x*this.m_v2.y)-r);var c=100*Number.MIN_VALUE;var h=-(n*l+s*m);if(h>c){var _=i.p1.x-r;var p=i.p1.y-a;var u=_*l+p*m;if(0<=u&&u<=i.maxFraction*h){var y=-n*p+s*_;if(-c*h<=y&&y<=h*(1+c)){u/=h;t.fraction=u;var x=Math.sqrt(l*l+m*m);t.normal.x=l/x;t.normal.y=m/x;return true}}}return false};s.prototype.ComputeAABB=function(t,i){var o=i.R;var e=i.position.x+(o.col1.x*this.m_v1.x+o.col2.x*this.m_v1.y);var n=i.position.y+(o.col1.y*this.m_v1.x+o.col2.y*this.m_v1.y);var s=i.position.x+(o.col1.x*this.m_v2.x+o.col2.x*this.m_v2.y);var r=i.position.y+(o.col1.y*this.m_v2.x+o.col2.y*this.m_v2.y);if(e<s){t.lowerBound.x=e;t.upperBound.x=s}else{t.lowerBound.x=s;t.upperBound.x=e}if(n<r){t.lowerBound.y=n;t.upperBound.y=r}else{t.lowerBound.y=r;t.upperBound.y=n}};s.prototype.ComputeMass=function(t,i){if(i===undefined)i=0;t.mass=0;t.center.SetV(this.m_v1);t.I=0};s.prototype.ComputeSubmergedArea=function(t,i,o,e){if(i===undefined)i=0;var n=new u(t.x*i,t.y*i);var s=h.MulX(o,this.m_v1);var r=h.MulX(o,this.m_v2);var a=h.Dot(t,s)-i;var l=h.Dot(t,r)-i;if(a>0){if(l>0){return 0}else{s.x=-l/(a-l)*s.x+a/(a-l)*r.x;s.y=-l/(a-l)*s.y+a/(a-l)*r.y}}else{if(l>0){r.x=-l/(a-l)*s.x+a/(a-l)*r.x;r.y=-l/(a-l)*s.y+a/(a-l)*r.y}else{}}e.x=(n.x+s.x+r.x)/3;e.y=(n.y+s.y+r.y)/3;return.5*((s.x-n.x)*(r.y-n.y)-(s.y-n.y)*(r.x-n.x))};s.prototype.GetLength=function(){return this.m_length};s.prototype.GetVertex1=function(){return this.m_v1};s.prototype.GetVertex2=function(){return this.m_v2};s.prototype.GetCoreVertex1=function(){return this.m_coreV1};s.prototype.GetCoreVertex2=function(){return this.m_coreV2};s.prototype.GetNormalVector=function(){return this.m_normal};s.prototype.GetDirectionVector=function(){return this.m_direction};s.prototype.GetCorner1Vector=function(){return this.m_cornerDir1};s.prototype.GetCorner2Vector=function(){return this.m_cornerDir2};s.prototype.Corner1IsConvex=function(){return this.m_cornerConvex1};s.prototype.Corner2IsConvex=function(){return this.m_cornerConvex2};s.prototype.GetFirstVertex=function(t){var i=t.R;return new u(t.position.x+(i.col1.x*this.m_coreV1.x+i.col2.x*this.m_coreV1.y),t.position.y+(i.col1.y*this.m_coreV1.x+i.col2.y*this.m_coreV1.y))};s.prototype.GetNextEdge=function(){return this.m_nextEdge};s.prototype.GetPrevEdge=function(){return this.m_prevEdge};s.prototype.Support=function(t,i,o){if(i===undefined)i=0;if(o===undefined)o=0;var e=t.R;var n=t.position.x+(e.col1.x*this.m_coreV1.x+e.col2.x*this.m_coreV1.y);var s=t.position.y+(e.col1.y*this.m_coreV1.x+e.col2.y*this.m_coreV1.y);var r=t.position.x+(e.col1.x*this.m_coreV2.x+e.col2.x*this.m_coreV2.y);var a=t.position.y+(e.col1.y*this.m_coreV2.x+e.col2.y*this.m_coreV2.y);if(n*i+s*o>r*i+a*o){this.s_supportVec.x=n;this.s_supportVec.y=s}else{this.s_supportVec.x=r;this.s_supportVec.y=a}return this.s_supportVec};s.prototype.b2EdgeShape=function(t,i){this.__super.b2Shape.call(this);this.m_type=l.e_edgeShape;this.m_prevEdge=null;this.m_nextEdge=null;this.m_v1=t;this.m_v2=i;this.m_direction.Set(this.m_v2.x-this.m_v1.x,this.m_v2.y-this.m_v1.y);this.m_length=this.m_direction.Normalize();this.m_normal.Set(this.m_direction.y,-this.m_direction.x);this.m_coreV1.Set(-o.b2_toiSlop*(this.m_normal.x-this.m_direction.x)+this.m_v1.x,-o.b2_toiSlop*(this.m_normal.y-this.m_direction.y)+this.m_v1.y);this.m_coreV2.Set(-o.b2_toiSlop*(this.m_normal.x+this.m_direction.x)+this.m_v2.x,-o.b2_toiSlop*(this.m_normal.y+this.m_direction.y)+this.m_v2.y);this.m_cornerDir1=this.m_normal;this.m_cornerDir2.Set(-this.m_normal.x,-this.m_normal.y)};s.prototype.SetPrevEdge=function(t,i,o,e){this.m_prevEdge=t;this.m_coreV1=i;this.m_cornerDir1=o;this.m_cornerConvex1=e};s.prototype.SetNextEdge=function(t,i,o,e){this.m_nextEdge=t;this.m_coreV2=i;this.m_cornerDir2=o;this.m_cornerConvex2=e};r.b2MassData=function(){this.mass=0;this.center=new u(0,0);this.I=0};Box2D.inherit(a,Box2D.Collision.Shapes.b2Shape);a.prototype.__super=Box2D.Collision.Shapes.b2Shape.prototype;a.b2PolygonShape=function(){Box2D.Collision.Shapes.b2Shape.b2Shape.apply(this,arguments)};a.prototype.Copy=function(){var t=new a;t.Set(this);return t};a.prototype.Set=function(t){this.__super.Set.call(this,t);if(Box2D.is(t,a)){var i=t instanceof a?t:null;this.m_centroid.SetV(i.m_centroid);this.m_vertexCount=i.m_vertexCount;this.Reserve(this.m_vertexCount);for(var o=0;o<this.m_vertexCount;o++){this.m_vertices[o].SetV(i.m_vertices[o]);this.m_normals[o].SetV(i.m_normals[o])}}};a.prototype.SetAsArray=function(t,i){if(i===undefined)i=0;var o=new Box2D.Vector;var e=0,n;for(e=0;e<t.length;++e){n=t[e];o.push(n)}this.SetAsVector(o,i)};a.AsArray=function(t,i){if(i===undefined)i=0;var o=new a;o.SetAsArray(t,i);return o};a.prototype.SetAsVector=function(t,i){if(i===undefined)i=0;if(i==0)i=t.length;o.b2Assert(2<=i);this.m_vertexCount=i;this.Reserve(i);var e=0;for(e=0;e<this.m_vertexCount;e++){this.m_vertices[e].SetV(t[e])}for(e=0;e<this.m_vertexCount;++e){var n=parseInt(e);var s=parseInt(e+1<this.m_vertexCount?e+1:0);var r=h.SubtractVV(this.m_vertices[s],this.m_vertices[n]);o.b2Assert(r.LengthSquared()>Number.MIN_VALUE);this.m_normals[e].SetV(h.CrossVF(r,1));this.m_normals[e].Normalize()}this.m_centroid=a.ComputeCentroid(this.m_vertices,this.m_vertexCount)};a.AsVector=function(t,i){if(i===undefined)i=0;var o=new a;o.SetAsVector(t,i);return o};a.prototype.SetAsBox=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.m_vertexCount=4;this.Reserve(4);this.m_vertices[0].Set(-t,-i);this.m_vertices[1].Set(t,-i);this.m_vertices[2].Set(t,i);this.m_vertices[3].Set(-t,i);this.m_normals[0].Set(0,-1);this.m_normals[1].Set(1,0);this.m_normals[2].Set(0,1);this.m_normals[3].Set(-1,0);
-this.m_centroid.SetZero()};a.AsBox=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;var o=new a;o.SetAsBox(t,i);return o};a.prototype.SetAsOrientedBox=function(t,i,o,e){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=null;if(e===undefined)e=0;this.m_vertexCount=4;this.Reserve(4);this.m_vertices[0].Set(-t,-i);this.m_vertices[1].Set(t,-i);this.m_vertices[2].Set(t,i);this.m_vertices[3].Set(-t,i);this.m_normals[0].Set(0,-1);this.m_normals[1].Set(1,0);this.m_normals[2].Set(0,1);this.m_normals[3].Set(-1,0);this.m_centroid=o;var n=new p;n.position=o;n.R.Set(e);for(var s=0;s<this.m_vertexCount;++s){this.m_vertices[s]=h.MulX(n,this.m_vertices[s]);this.m_normals[s]=h.MulMV(n.R,this.m_normals[s])}};a.AsOrientedBox=function(t,i,o,e){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=null;if(e===undefined)e=0;var n=new a;n.SetAsOrientedBox(t,i,o,e);return n};a.prototype.SetAsEdge=function(t,i){this.m_vertexCount=2;this.Reserve(2);this.m_vertices[0].SetV(t);this.m_vertices[1].SetV(i);this.m_centroid.x=.5*(t.x+i.x);this.m_centroid.y=.5*(t.y+i.y);this.m_normals[0]=h.CrossVF(h.SubtractVV(i,t),1);this.m_normals[0].Normalize();this.m_normals[1].x=-this.m_normals[0].x;this.m_normals[1].y=-this.m_normals[0].y};a.AsEdge=function(t,i){var o=new a;o.SetAsEdge(t,i);return o};a.prototype.TestPoint=function(t,i){var o;var e=t.R;var n=i.x-t.position.x;var s=i.y-t.position.y;var r=n*e.col1.x+s*e.col1.y;var a=n*e.col2.x+s*e.col2.y;for(var l=0;l<this.m_vertexCount;++l){o=this.m_vertices[l];n=r-o.x;s=a-o.y;o=this.m_normals[l];var m=o.x*n+o.y*s;if(m>0){return false}}return true};a.prototype.RayCast=function(t,i,o){var e=0;var n=i.maxFraction;var s=0;var r=0;var a;var l;s=i.p1.x-o.position.x;r=i.p1.y-o.position.y;a=o.R;var m=s*a.col1.x+r*a.col1.y;var c=s*a.col2.x+r*a.col2.y;s=i.p2.x-o.position.x;r=i.p2.y-o.position.y;a=o.R;var h=s*a.col1.x+r*a.col1.y;var _=s*a.col2.x+r*a.col2.y;var p=h-m;var u=_-c;var y=parseInt(-1);for(var x=0;x<this.m_vertexCount;++x){l=this.m_vertices[x];s=l.x-m;r=l.y-c;l=this.m_normals[x];var f=l.x*s+l.y*r;var v=l.x*p+l.y*u;if(v==0){if(f<0){return false}}else{if(v<0&&f<e*v){e=f/v;y=x}else if(v>0&&f<n*v){n=f/v}}if(n<e-Number.MIN_VALUE){return false}}if(y>=0){t.fraction=e;a=o.R;l=this.m_normals[y];t.normal.x=a.col1.x*l.x+a.col2.x*l.y;t.normal.y=a.col1.y*l.x+a.col2.y*l.y;return true}return false};a.prototype.ComputeAABB=function(t,i){var o=i.R;var e=this.m_vertices[0];var n=i.position.x+(o.col1.x*e.x+o.col2.x*e.y);var s=i.position.y+(o.col1.y*e.x+o.col2.y*e.y);var r=n;var a=s;for(var l=1;l<this.m_vertexCount;++l){e=this.m_vertices[l];var m=i.position.x+(o.col1.x*e.x+o.col2.x*e.y);var c=i.position.y+(o.col1.y*e.x+o.col2.y*e.y);n=n<m?n:m;s=s<c?s:c;r=r>m?r:m;a=a>c?a:c}t.lowerBound.x=n-this.m_radius;t.lowerBound.y=s-this.m_radius;t.upperBound.x=r+this.m_radius;t.upperBound.y=a+this.m_radius};a.prototype.ComputeMass=function(t,i){if(i===undefined)i=0;if(this.m_vertexCount==2){t.center.x=.5*(this.m_vertices[0].x+this.m_vertices[1].x);t.center.y=.5*(this.m_vertices[0].y+this.m_vertices[1].y);t.mass=0;t.I=0;return}var o=0;var e=0;var n=0;var s=0;var r=0;var a=0;var l=1/3;for(var m=0;m<this.m_vertexCount;++m){var c=this.m_vertices[m];var h=m+1<this.m_vertexCount?this.m_vertices[parseInt(m+1)]:this.m_vertices[0];var _=c.x-r;var p=c.y-a;var u=h.x-r;var y=h.y-a;var x=_*y-p*u;var f=.5*x;n+=f;o+=f*l*(r+c.x+h.x);e+=f*l*(a+c.y+h.y);var v=r;var d=a;var b=_;var D=p;var B=u;var C=y;var g=l*(.25*(b*b+B*b+B*B)+(v*b+v*B))+.5*v*v;var A=l*(.25*(D*D+C*D+C*C)+(d*D+d*C))+.5*d*d;s+=x*(g+A)}t.mass=i*n;o*=1/n;e*=1/n;t.center.Set(o,e);t.I=i*s};a.prototype.ComputeSubmergedArea=function(t,i,o,e){if(i===undefined)i=0;var n=h.MulTMV(o.R,t);var s=i-h.Dot(t,o.position);var a=new Box2D.Vector_a2j_Number;var l=0;var m=parseInt(-1);var c=parseInt(-1);var _=false;var p=0;for(p=0;p<this.m_vertexCount;++p){a[p]=h.Dot(n,this.m_vertices[p])-s;var y=a[p]<-Number.MIN_VALUE;if(p>0){if(y){if(!_){m=p-1;l++}}else{if(_){c=p-1;l++}}}_=y}switch(l){case 0:if(_){var x=new r;this.ComputeMass(x,1);e.SetV(h.MulX(o,x.center));return x.mass}else{return 0}break;case 1:if(m==-1){m=this.m_vertexCount-1}else{c=this.m_vertexCount-1}break}var f=parseInt((m+1)%this.m_vertexCount);var v=parseInt((c+1)%this.m_vertexCount);var d=(0-a[m])/(a[f]-a[m]);var b=(0-a[c])/(a[v]-a[c]);var D=new u(this.m_vertices[m].x*(1-d)+this.m_vertices[f].x*d,this.m_vertices[m].y*(1-d)+this.m_vertices[f].y*d);var B=new u(this.m_vertices[c].x*(1-b)+this.m_vertices[v].x*b,this.m_vertices[c].y*(1-b)+this.m_vertices[v].y*b);var C=0;var g=new u;var A=this.m_vertices[f];var S;p=f;while(p!=v){p=(p+1)%this.m_vertexCount;if(p==v)S=B;else S=this.m_vertices[p];var w=.5*((A.x-D.x)*(S.y-D.y)-(A.y-D.y)*(S.x-D.x));C+=w;g.x+=w*(D.x+A.x+S.x)/3;g.y+=w*(D.y+A.y+S.y)/3;A=S}g.Multiply(1/C);e.SetV(h.MulX(o,g));return C};a.prototype.GetVertexCount=function(){return this.m_vertexCount};a.prototype.GetVertices=function(){return this.m_vertices};a.prototype.GetNormals=function(){return this.m_normals};a.prototype.GetSupport=function(t){var i=0;var o=this.m_vertices[0].x*t.x+this.m_vertices[0].y*t.y;for(var e=1;e<this.m_vertexCount;++e){var n=this.m_vertices[e].x*t.x+this.m_vertices[e].y*t.y;if(n>o){i=e;o=n}}return i};a.prototype.GetSupportVertex=function(t){var i=0;var o=this.m_vertices[0].x*t.x+this.m_vertices[0].y*t.y;for(var e=1;e<this.m_vertexCount;++e){var n=this.m_vertices[e].x*t.x+this.m_vertices[e].y*t.y;if(n>o){i=e;o=n}}return this.m_vertices[i]};a.prototype.Validate=function(){return false};a.prototype.b2PolygonShape=function(){this.__super.b2Shape.call(this);this.m_type=l.e_polygonShape;this.m_centroid=new u;this.m_vertices=new Box2D.Vector;this.m_normals=new Box2D.Vector};a.prototype.Reserve=function(t){if(t===undefined)t=0;for(var i=parseInt(this.m_vertices.length);i<t;i++){this.m_vertices[i]=new u;this.m_normals[i]=new u}};a.ComputeCentroid=function(t,i){if(i===undefined)i=0;var o=new u;var e=0;var n=0;var s=0;var r=1/3;for(var a=0;a<i;++a){var l=t[a];var m=a+1<i?t[parseInt(a+1)]:t[0];var c=l.x-n;var h=l.y-s;var _=m.x-n;var p=m.y-s;var y=c*p-h*_;var x=.5*y;e+=x;o.x+=x*r*(n+l.x+m.x);o.y+=x*r*(s+l.y+m.y)}o.x*=1/e;o.y*=1/e;return o};a.ComputeOBB=function(t,i,o){if(o===undefined)o=0;var e=0;var n=new Box2D.Vector(o+1);for(e=0;e<o;++e){n[e]=i[e]}n[o]=n[0];var s=Number.MAX_VALUE;for(e=1;e<=o;++e){var r=n[parseInt(e-1)];var a=n[e].x-r.x;var l=n[e].y-r.y;var m=Math.sqrt(a*a+l*l);a/=m;l/=m;var c=-l;var h=a;var _=Number.MAX_VALUE;var p=Number.MAX_VALUE;var u=-Number.MAX_VALUE;var y=-Number.MAX_VALUE;for(var x=0;x<o;++x){var f=n[x].x-r.x;var v=n[x].y-r.y;var d=a*f+l*v;var b=c*f+h*v;if(d<_)_=d;if(b<p)p=b;if(d>u)u=d;if(b>y)y=b}var D=(u-_)*(y-p);if(D<.95*s){s=D;t.R.col1.x=a;t.R.col1.y=l;t.R.col2.x=c;t.R.col2.y=h;var B=.5*(_+u);var C=.5*(p+y);var g=t.R;t.center.x=r.x+(g.col1.x*B+g.col2.x*C);t.center.y=r.y+(g.col1.y*B+g.col2.y*C);t.extents.x=.5*(u-_);t.extents.y=.5*(y-p)}}};Box2D.postDefs.push(function(){Box2D.Collision.Shapes.b2PolygonShape.s_mat=new m});l.b2Shape=function(){};l.prototype.Copy=function(){return null};l.prototype.Set=function(t){this.m_radius=t.m_radius};l.prototype.GetType=function(){return this.m_type};l.prototype.TestPoint=function(t,i){return false};l.prototype.RayCast=function(t,i,o){return false};l.prototype.ComputeAABB=function(t,i){};l.prototype.ComputeMass=function(t,i){if(i===undefined)i=0};l.prototype.ComputeSubmergedArea=function(t,i,o,e){if(i===undefined)i=0;return 0};l.TestOverlap=function(t,i,o,e){var n=new T;n.proxyA=new N;n.proxyA.Set(t);n.proxyB=new N;n.proxyB.Set(o);n.transformA=i;n.transformB=e;n.useRadii=true;var s=new Q;s.count=0;var r=new k;R.Distance(r,s,n);return r.distance<10*Number.MIN_VALUE};l.prototype.b2Shape=function(){this.m_type=l.e_unknownShape;this.m_radius=o.b2_linearSlop};Box2D.postDefs.push(function(){Box2D.Collision.Shapes.b2Shape.e_unknownShape=parseInt(-1);Box2D.Collision.Shapes.b2Shape.e_circleShape=0;Box2D.Collision.Shapes.b2Shape.e_polygonShape=1;Box2D.Collision.Shapes.b2Shape.e_edgeShape=2;Box2D.Collision.Shapes.b2Shape.e_shapeTypeCount=3;Box2D.Collision.Shapes.b2Shape.e_hitCollide=1;Box2D.Collision.Shapes.b2Shape.e_missCollide=0;Box2D.Collision.Shapes.b2Shape.e_startsInsideCollide=parseInt(-1)})})();(function(){var t=Box2D.Common.b2Color,i=Box2D.Common.b2internal,o=Box2D.Common.b2Settings,e=Box2D.Common.Math.b2Mat22,n=Box2D.Common.Math.b2Mat33,s=Box2D.Common.Math.b2Math,r=Box2D.Common.Math.b2Sweep,a=Box2D.Common.Math.b2Transform,l=Box2D.Common.Math.b2Vec2,m=Box2D.Common.Math.b2Vec3;t.b2Color=function(){this._r=0;this._g=0;this._b=0};t.prototype.b2Color=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;this._r=Box2D.parseUInt(255*s.Clamp(t,0,1));this._g=Box2D.parseUInt(255*s.Clamp(i,0,1));this._b=Box2D.parseUInt(255*s.Clamp(o,0,1))};t.prototype.Set=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;this._r=Box2D.parseUInt(255*s.Clamp(t,0,1));this._g=Box2D.parseUInt(255*s.Clamp(i,0,1));this._b=Box2D.parseUInt(255*s.Clamp(o,0,1))};Object.defineProperty(t.prototype,"r",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._r=Box2D.parseUInt(255*s.Clamp(t,0,1))}});Object.defineProperty(t.prototype,"g",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._g=Box2D.parseUInt(255*s.Clamp(t,0,1))}});Object.defineProperty(t.prototype,"b",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._b=Box2D.parseUInt(255*s.Clamp(t,0,1))}});Object.defineProperty(t.prototype,"color",{enumerable:false,configurable:true,get:function(){return this._r<<16|this._g<<8|this._b}});o.b2Settings=function(){};o.b2MixFriction=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return Math.sqrt(t*i)};o.b2MixRestitution=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return t>i?t:i};o.b2Assert=function(t){if(!t){throw"Assertion Failed"}};Box2D.postDefs.push(function(){Box2D.Common.b2Settings.VERSION="2.1alpha";Box2D.Common.b2Settings.USHRT_MAX=65535;Box2D.Common.b2Settings.b2_pi=Math.PI;Box2D.Common.b2Settings.b2_maxManifoldPoints=2;Box2D.Common.b2Settings.b2_aabbExtension=.1;Box2D.Common.b2Settings.b2_aabbMultiplier=2;Box2D.Common.b2Settings.b2_polygonRadius=2*o.b2_linearSlop;Box2D.Common.b2Settings.b2_linearSlop=.005;Box2D.Common.b2Settings.b2_angularSlop=2/180*o.b2_pi;Box2D.Common.b2Settings.b2_toiSlop=8*o.b2_linearSlop;Box2D.Common.b2Settings.b2_maxTOIContactsPerIsland=32;Box2D.Common.b2Settings.b2_maxTOIJointsPerIsland=32;Box2D.Common.b2Settings.b2_velocityThreshold=1;Box2D.Common.b2Settings.b2_maxLinearCorrection=.2;Box2D.Common.b2Settings.b2_maxAngularCorrection=8/180*o.b2_pi;Box2D.Common.b2Settings.b2_maxTranslation=2;Box2D.Common.b2Settings.b2_maxTranslationSquared=o.b2_maxTranslation*o.b2_maxTranslation;Box2D.Common.b2Settings.b2_maxRotation=.5*o.b2_pi;Box2D.Common.b2Settings.b2_maxRotationSquared=o.b2_maxRotation*o.b2_maxRotation;Box2D.Common.b2Settings.b2_contactBaumgarte=.2;Box2D.Common.b2Settings.b2_timeToSleep=.5;Box2D.Common.b2Settings.b2_linearSleepTolerance=.01;Box2D.Common.b2Settings.b2_angularSleepTolerance=2/180*o.b2_pi})})();(function(){var t=Box2D.Collision.b2AABB,i=Box2D.Common.b2Color,o=Box2D.Common.b2internal,e=Box2D.Common.b2Settings,n=Box2D.Common.Math.b2Mat22,s=Box2D.Common.Math.b2Mat33,r=Box2D.Common.Math.b2Math,a=Box2D.Common.Math.b2Sweep,l=Box2D.Common.Math.b2Transform,m=Box2D.Common.Math.b2Vec2,c=Box2D.Common.Math.b2Vec3;n.b2Mat22=function(){this.col1=new m;this.col2=new m};n.prototype.b2Mat22=function(){this.SetIdentity()};n.FromAngle=function(t){if(t===undefined)t=0;var i=new n;i.Set(t);return i};n.FromVV=function(t,i){var o=new n;o.SetVV(t,i);return o};n.prototype.Set=function(t){if(t===undefined)t=0;var i=Math.cos(t);var o=Math.sin(t);this.col1.x=i;this.col2.x=-o;this.col1.y=o;this.col2.y=i};n.prototype.SetVV=function(t,i){this.col1.SetV(t);this.col2.SetV(i)};n.prototype.Copy=function(){var t=new n;t.SetM(this);return t};n.prototype.SetM=function(t){this.col1.SetV(t.col1);this.col2.SetV(t.col2)};n.prototype.AddM=function(t){this.col1.x+=t.col1.x;this.col1.y+=t.col1.y;this.col2.x+=t.col2.x;this.col2.y+=t.col2.y};n.prototype.SetIdentity=function(){this.col1.x=1;this.col2.x=0;this.col1.y=0;this.col2.y=1};n.prototype.SetZero=function(){this.col1.x=0;this.col2.x=0;this.col1.y=0;this.col2.y=0};n.prototype.GetAngle=function(){return Math.atan2(this.col1.y,this.col1.x)};n.prototype.GetInverse=function(t){var i=this.col1.x;var o=this.col2.x;var e=this.col1.y;var n=this.col2.y;var s=i*n-o*e;if(s!=0){s=1/s}t.col1.x=s*n;t.col2.x=-s*o;t.col1.y=-s*e;t.col2.y=s*i;return t};n.prototype.Solve=function(t,i,o){if(i===undefined)i=0;if(o===undefined)o=0;var e=this.col1.x;var n=this.col2.x;var s=this.col1.y;var r=this.col2.y;var a=e*r-n*s;if(a!=0){a=1/a}t.x=a*(r*i-n*o);t.y=a*(e*o-s*i);return t};n.prototype.Abs=function(){this.col1.Abs();this.col2.Abs()};s.b2Mat33=function(){this.col1=new c;this.col2=new c;this.col3=new c};s.prototype.b2Mat33=function(t,i,o){if(t===undefined)t=null;if(i===undefined)i=null;if(o===undefined)o=null;if(!t&&!i&&!o){this.col1.SetZero();this.col2.SetZero();this.col3.SetZero()}else{this.col1.SetV(t);this.col2.SetV(i);this.col3.SetV(o)}};s.prototype.SetVVV=function(t,i,o){this.col1.SetV(t);this.col2.SetV(i);this.col3.SetV(o)};s.prototype.Copy=function(){return new s(this.col1,this.col2,this.col3)};s.prototype.SetM=function(t){this.col1.SetV(t.col1);this.col2.SetV(t.col2);this.col3.SetV(t.col3)};s.prototype.AddM=function(t){this.col1.x+=t.col1.x;this.col1.y+=t.col1.y;this.col1.z+=t.col1.z;this.col2.x+=t.col2.x;this.col2.y+=t.col2.y;this.col2.z+=t.col2.z;this.col3.x+=t.col3.x;this.col3.y+=t.col3.y;this.col3.z+=t.col3.z};s.prototype.SetIdentity=function(){this.col1.x=1;this.col2.x=0;this.col3.x=0;this.col1.y=0;this.col2.y=1;this.col3.y=0;this.col1.z=0;this.col2.z=0;this.col3.z=1};s.prototype.SetZero=function(){this.col1.x=0;this.col2.x=0;this.col3.x=0;this.col1.y=0;this.col2.y=0;this.col3.y=0;this.col1.z=0;this.col2.z=0;this.col3.z=0};s.prototype.Solve22=function(t,i,o){if(i===undefined)i=0;if(o===undefined)o=0;var e=this.col1.x;var n=this.col2.x;var s=this.col1.y;var r=this.col2.y;var a=e*r-n*s;if(a!=0){a=1/a}t.x=a*(r*i-n*o);t.y=a*(e*o-s*i);return t};s.prototype.Solve33=function(t,i,o,e){if(i===undefined)i=0;if(o===undefined)o=0;if(e===undefined)e=0;var n=this.col1.x;var s=this.col1.y;var r=this.col1.z;var a=this.col2.x;var l=this.col2.y;var m=this.col2.z;var c=this.col3.x;var h=this.col3.y;var _=this.col3.z;var p=n*(l*_-m*h)+s*(m*c-a*_)+r*(a*h-l*c);if(p!=0){p=1/p}t.x=p*(i*(l*_-m*h)+o*(m*c-a*_)+e*(a*h-l*c));t.y=p*(n*(o*_-e*h)+s*(e*c-i*_)+r*(i*h-o*c));t.z=p*(n*(l*e-m*o)+s*(m*i-a*e)+r*(a*o-l*i));return t};r.b2Math=function(){};r.IsValid=function(t){if(t===undefined)t=0;return isFinite(t)};r.Dot=function(t,i){return t.x*i.x+t.y*i.y};r.CrossVV=function(t,i){return t.x*i.y-t.y*i.x};r.CrossVF=function(t,i){if(i===undefined)i=0;var o=new m(i*t.y,-i*t.x);return o};r.CrossFV=function(t,i){if(t===undefined)t=0;var o=new m(-t*i.y,t*i.x);return o};r.MulMV=function(t,i){var o=new m(t.col1.x*i.x+t.col2.x*i.y,t.col1.y*i.x+t.col2.y*i.y);return o};r.MulTMV=function(t,i){var o=new m(r.Dot(i,t.col1),r.Dot(i,t.col2));return o};r.MulX=function(t,i){var o=r.MulMV(t.R,i);o.x+=t.position.x;o.y+=t.position.y;return o};r.MulXT=function(t,i){var o=r.SubtractVV(i,t.position);var e=o.x*t.R.col1.x+o.y*t.R.col1.y;o.y=o.x*t.R.col2.x+o.y*t.R.col2.y;o.x=e;return o};r.AddVV=function(t,i){var o=new m(t.x+i.x,t.y+i.y);return o};r.SubtractVV=function(t,i){var o=new m(t.x-i.x,t.y-i.y);return o};r.Distance=function(t,i){var o=t.x-i.x;var e=t.y-i.y;return Math.sqrt(o*o+e*e)};r.DistanceSquared=function(t,i){var o=t.x-i.x;var e=t.y-i.y;return o*o+e*e};r.MulFV=function(t,i){if(t===undefined)t=0;var o=new m(t*i.x,t*i.y);return o};r.AddMM=function(t,i){var o=n.FromVV(r.AddVV(t.col1,i.col1),r.AddVV(t.col2,i.col2));return o};r.MulMM=function(t,i){var o=n.FromVV(r.MulMV(t,i.col1),r.MulMV(t,i.col2));return o};r.MulTMM=function(t,i){var o=new m(r.Dot(t.col1,i.col1),r.Dot(t.col2,i.col1));var e=new m(r.Dot(t.col1,i.col2),r.Dot(t.col2,i.col2));var s=n.FromVV(o,e);return s};r.Abs=function(t){if(t===undefined)t=0;return t>0?t:-t};r.AbsV=function(t){var i=new m(r.Abs(t.x),r.Abs(t.y));return i};r.AbsM=function(t){var i=n.FromVV(r.AbsV(t.col1),r.AbsV(t.col2));return i};r.Min=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return t<i?t:i};r.MinV=function(t,i){var o=new m(r.Min(t.x,i.x),r.Min(t.y,i.y));return o};r.Max=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return t>i?t:i};r.MaxV=function(t,i){var o=new m(r.Max(t.x,i.x),r.Max(t.y,i.y));return o};r.Clamp=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;return t<i?i:t>o?o:t};r.ClampV=function(t,i,o){return r.MaxV(i,r.MinV(t,o))};r.Swap=function(t,i){var o=t[0];t[0]=i[0];i[0]=o};r.Random=function(){return Math.random()*2-1};r.RandomRange=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;var o=Math.random();o=(i-t)*o+t;return o};r.NextPowerOfTwo=function(t){if(t===undefined)t=0;t|=t>>1&2147483647;t|=t>>2&1073741823;t|=t>>4&268435455;t|=t>>8&16777215;t|=t>>16&65535;return t+1};r.IsPowerOfTwo=function(t){if(t===undefined)t=0;var i=t>0&&(t&t-1)==0;return i};Box2D.postDefs.push(function(){Box2D.Common.Math.b2Math.b2Vec2_zero=new m(0,0);Box2D.Common.Math.b2Math.b2Mat22_identity=n.FromVV(new m(1,0),new m(0,1));Box2D.Common.Math.b2Math.b2Transform_identity=new l(r.b2Vec2_zero,r.b2Mat22_identity)});a.b2Sweep=function(){this.localCenter=new m;this.c0=new m;this.c=new m};a.prototype.Set=function(t){this.localCenter.SetV(t.localCenter);this.c0.SetV(t.c0);this.c.SetV(t.c);this.a0=t.a0;this.a=t.a;this.t0=t.t0};a.prototype.Copy=function(){var t=new a;t.localCenter.SetV(this.localCenter);t.c0.SetV(this.c0);t.c.SetV(this.c);t.a0=this.a0;t.a=this.a;t.t0=this.t0;return t};a.prototype.GetTransform=function(t,i){if(i===undefined)i=0;t.position.x=(1-i)*this.c0.x+i*this.c.x;t.position.y=(1-i)*this.c0.y+i*this.c.y;var o=(1-i)*this.a0+i*this.a;t.R.Set(o);var e=t.R;t.position.x-=e.col1.x*this.localCenter.x+e.col2.x*this.localCenter.y;t.position.y-=e.col1.y*this.localCenter.x+e.col2.y*this.localCenter.y};a.prototype.Advance=function(t){if(t===undefined)t=0;if(this.t0<t&&1-this.t0>Number.MIN_VALUE){var i=(t-this.t0)/(1-this.t0);this.c0.x=(1-i)*this.c0.x+i*this.c.x;this.c0.y=(1-i)*this.c0.y+i*this.c.y;this.a0=(1-i)*this.a0+i*this.a;this.t0=t}};l.b2Transform=function(){this.position=new m;this.R=new n};l.prototype.b2Transform=function(t,i){if(t===undefined)t=null;if(i===undefined)i=null;if(t){this.position.SetV(t);this.R.SetM(i)}};l.prototype.Initialize=function(t,i){this.position.SetV(t);this.R.SetM(i)};l.prototype.SetIdentity=function(){this.position.SetZero();this.R.SetIdentity()};l.prototype.Set=function(t){this.position.SetV(t.position);this.R.SetM(t.R)};l.prototype.GetAngle=function(){return Math.atan2(this.R.col1.y,this.R.col1.x)};m.b2Vec2=function(){};m.prototype.b2Vec2=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.x=t;this.y=i};m.prototype.SetZero=function(){this.x=0;this.y=0};m.prototype.Set=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.x=t;this.y=i};m.prototype.SetV=function(t){this.x=t.x;this.y=t.y};m.prototype.GetNegative=function(){return new m(-this.x,-this.y)};m.prototype.NegativeSelf=function(){this.x=-this.x;this.y=-this.y};m.Make=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return new m(t,i)};m.prototype.Copy=function(){return new m(this.x,this.y)};m.prototype.Add=function(t){this.x+=t.x;this.y+=t.y};m.prototype.Subtract=function(t){this.x-=t.x;this.y-=t.y};m.prototype.Multiply=function(t){if(t===undefined)t=0;this.x*=t;this.y*=t};m.prototype.MulM=function(t){var i=this.x;this.x=t.col1.x*i+t.col2.x*this.y;this.y=t.col1.y*i+t.col2.y*this.y};m.prototype.MulTM=function(t){var i=r.Dot(this,t.col1);this.y=r.Dot(this,t.col2);this.x=i};m.prototype.CrossVF=function(t){if(t===undefined)t=0;var i=this.x;this.x=t*this.y;this.y=-t*i};m.prototype.CrossFV=function(t){if(t===undefined)t=0;var i=this.x;this.x=-t*this.y;this.y=t*i};m.prototype.MinV=function(t){this.x=this.x<t.x?this.x:t.x;this.y=this.y<t.y?this.y:t.y};m.prototype.MaxV=function(t){this.x=this.x>t.x?this.x:t.x;this.y=this.y>t.y?this.y:t.y};m.prototype.Abs=function(){if(this.x<0)this.x=-this.x;if(this.y<0)this.y=-this.y};m.prototype.Length=function(){return Math.sqrt(this.x*this.x+this.y*this.y)};m.prototype.LengthSquared=function(){return this.x*this.x+this.y*this.y};m.prototype.Normalize=function(){var t=Math.sqrt(this.x*this.x+this.y*this.y);if(t<Number.MIN_VALUE){return 0}var i=1/t;this.x*=i;this.y*=i;return t};m.prototype.IsValid=function(){return r.IsValid(this.x)&&r.IsValid(this.y)};c.b2Vec3=function(){};c.prototype.b2Vec3=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;this.x=t;this.y=i;this.z=o};c.prototype.SetZero=function(){this.x=this.y=this.z=0};c.prototype.Set=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;this.x=t;this.y=i;this.z=o};c.prototype.SetV=function(t){this.x=t.x;this.y=t.y;this.z=t.z};c.prototype.GetNegative=function(){return new c(-this.x,-this.y,-this.z)};c.prototype.NegativeSelf=function(){this.x=-this.x;this.y=-this.y;this.z=-this.z};c.prototype.Copy=function(){return new c(this.x,this.y,this.z)};c.prototype.Add=function(t){this.x+=t.x;this.y+=t.y;this.z+=t.z};c.prototype.Subtract=function(t){this.x-=t.x;this.y-=t.y;this.z-=t.z};c.prototype.Multiply=function(t){if(t===undefined)t=0;this.x*=t;this.y*=t;this.z*=t}})();(function(){var t=Box2D.Dynamics.Controllers.b2ControllerEdge,i=Box2D.Common.Math.b2Mat22,o=Box2D.Common.Math.b2Mat33,e=Box2D.Common.Math.b2Math,n=Box2D.Common.Math.b2Sweep,s=Box2D.Common.Math.b2Transform,r=Box2D.Common.Math.b2Vec2,a=Box2D.Common.Math.b2Vec3,l=Box2D.Common.b2Color,m=Box2D.Common.b2internal,c=Box2D.Common.b2Settings,h=Box2D.Collision.b2AABB,_=Box2D.Collision.b2Bound,p=Box2D.Collision.b2BoundValues,u=Box2D.Collision.b2Collision,y=Box2D.Collision.b2ContactID,x=Box2D.Collision.b2ContactPoint,f=Box2D.Collision.b2Distance,v=Box2D.Collision.b2DistanceInput,d=Box2D.Collision.b2DistanceOutput,b=Box2D.Collision.b2DistanceProxy,D=Box2D.Collision.b2DynamicTree,B=Box2D.Collision.b2DynamicTreeBroadPhase,C=Box2D.Collision.b2DynamicTreeNode,g=Box2D.Collision.b2DynamicTreePair,A=Box2D.Collision.b2Manifold,S=Box2D.Collision.b2ManifoldPoint,w=Box2D.Collision.b2Point,M=Box2D.Collision.b2RayCastInput,V=Box2D.Collision.b2RayCastOutput,I=Box2D.Collision.b2Segment,G=Box2D.Collision.b2SeparationFunction,L=Box2D.Collision.b2Simplex,J=Box2D.Collision.b2SimplexCache,F=Box2D.Collision.b2SimplexVertex,P=Box2D.Collision.b2TimeOfImpact,R=Box2D.Collision.b2TOIInput,T=Box2D.Collision.b2WorldManifold,k=Box2D.Collision.ClipVertex,N=Box2D.Collision.Features,z=Box2D.Collision.IBroadPhase,E=Box2D.Collision.Shapes.b2CircleShape,j=Box2D.Collision.Shapes.b2EdgeChainDef,O=Box2D.Collision.Shapes.b2EdgeShape,U=Box2D.Collision.Shapes.b2MassData,q=Box2D.Collision.Shapes.b2PolygonShape,K=Box2D.Collision.Shapes.b2Shape,W=Box2D.Dynamics.b2Body,X=Box2D.Dynamics.b2BodyDef,Z=Box2D.Dynamics.b2ContactFilter,H=Box2D.Dynamics.b2ContactImpulse,Y=Box2D.Dynamics.b2ContactListener,Q=Box2D.Dynamics.b2ContactManager,$=Box2D.Dynamics.b2DebugDraw,ti=Box2D.Dynamics.b2DestructionListener,ii=Box2D.Dynamics.b2FilterData,oi=Box2D.Dynamics.b2Fixture,ei=Box2D.Dynamics.b2FixtureDef,ni=Box2D.Dynamics.b2Island,si=Box2D.Dynamics.b2TimeStep,ri=Box2D.Dynamics.b2World,ai=Box2D.Dynamics.Contacts.b2CircleContact,li=Box2D.Dynamics.Contacts.b2Contact,mi=Box2D.Dynamics.Contacts.b2ContactConstraint,ci=Box2D.Dynamics.Contacts.b2ContactConstraintPoint,hi=Box2D.Dynamics.Contacts.b2ContactEdge,_i=Box2D.Dynamics.Contacts.b2ContactFactory,pi=Box2D.Dynamics.Contacts.b2ContactRegister,ui=Box2D.Dynamics.Contacts.b2ContactResult,yi=Box2D.Dynamics.Contacts.b2ContactSolver,xi=Box2D.Dynamics.Contacts.b2EdgeAndCircleContact,fi=Box2D.Dynamics.Contacts.b2NullContact,vi=Box2D.Dynamics.Contacts.b2PolyAndCircleContact,di=Box2D.Dynamics.Contacts.b2PolyAndEdgeContact,bi=Box2D.Dynamics.Contacts.b2PolygonContact,Di=Box2D.Dynamics.Contacts.b2PositionSolverManifold,Bi=Box2D.Dynamics.Controllers.b2Controller,Ci=Box2D.Dynamics.Joints.b2DistanceJoint,gi=Box2D.Dynamics.Joints.b2DistanceJointDef,Ai=Box2D.Dynamics.Joints.b2FrictionJoint,Si=Box2D.Dynamics.Joints.b2FrictionJointDef,wi=Box2D.Dynamics.Joints.b2GearJoint,Mi=Box2D.Dynamics.Joints.b2GearJointDef,Vi=Box2D.Dynamics.Joints.b2Jacobian,Ii=Box2D.Dynamics.Joints.b2Joint,Gi=Box2D.Dynamics.Joints.b2JointDef,Li=Box2D.Dynamics.Joints.b2JointEdge,Ji=Box2D.Dynamics.Joints.b2LineJoint,Fi=Box2D.Dynamics.Joints.b2LineJointDef,Pi=Box2D.Dynamics.Joints.b2MouseJoint,Ri=Box2D.Dynamics.Joints.b2MouseJointDef,Ti=Box2D.Dynamics.Joints.b2PrismaticJoint,ki=Box2D.Dynamics.Joints.b2PrismaticJointDef,Ni=Box2D.Dynamics.Joints.b2PulleyJoint,zi=Box2D.Dynamics.Joints.b2PulleyJointDef,Ei=Box2D.Dynamics.Joints.b2RevoluteJoint,ji=Box2D.Dynamics.Joints.b2RevoluteJointDef,Oi=Box2D.Dynamics.Joints.b2WeldJoint,Ui=Box2D.Dynamics.Joints.b2WeldJointDef;W.b2Body=function(){this.m_xf=new s;this.m_sweep=new n;this.m_linearVelocity=new r;this.m_force=new r};W.prototype.connectEdges=function(t,i,o){if(o===undefined)o=0;var n=Math.atan2(i.GetDirectionVector().y,i.GetDirectionVector().x);var s=Math.tan((n-o)*.5);var r=e.MulFV(s,i.GetDirectionVector());r=e.SubtractVV(r,i.GetNormalVector());r=e.MulFV(c.b2_toiSlop,r);r=e.AddVV(r,i.GetVertex1());var a=e.AddVV(t.GetDirectionVector(),i.GetDirectionVector());a.Normalize();var l=e.Dot(t.GetDirectionVector(),i.GetNormalVector())>0;t.SetNextEdge(i,r,a,l);i.SetPrevEdge(t,r,a,l);return n};W.prototype.CreateFixture=function(t){if(this.m_world.IsLocked()==true){return null}var i=new oi;i.Create(this,this.m_xf,t);if(this.m_flags&W.e_activeFlag){var o=this.m_world.m_contactManager.m_broadPhase;i.CreateProxy(o,this.m_xf)}i.m_next=this.m_fixtureList;this.m_fixtureList=i;++this.m_fixtureCount;i.m_body=this;if(i.m_density>0){this.ResetMassData()}this.m_world.m_flags|=ri.e_newFixture;return i};W.prototype.CreateFixture2=function(t,i){if(i===undefined)i=0;var o=new ei;o.shape=t;o.density=i;return this.CreateFixture(o)};W.prototype.DestroyFixture=function(t){if(this.m_world.IsLocked()==true){return}var i=this.m_fixtureList;var o=null;var e=false;while(i!=null){if(i==t){if(o)o.m_next=t.m_next;else this.m_fixtureList=t.m_next;e=true;break}o=i;i=i.m_next}var n=this.m_contactList;while(n){var s=n.contact;n=n.next;var r=s.GetFixtureA();var a=s.GetFixtureB();if(t==r||t==a){this.m_world.m_contactManager.Destroy(s)}}if(this.m_flags&W.e_activeFlag){var l=this.m_world.m_contactManager.m_broadPhase;t.DestroyProxy(l)}else{}t.Destroy();t.m_body=null;t.m_next=null;--this.m_fixtureCount;this.ResetMassData()};W.prototype.SetPositionAndAngle=function(t,i){if(i===undefined)i=0;var o;if(this.m_world.IsLocked()==true){return}this.m_xf.R.Set(i);this.m_xf.position.SetV(t);var e=this.m_xf.R;var n=this.m_sweep.localCenter;this.m_sweep.c.x=e.col1.x*n.x+e.col2.x*n.y;this.m_sweep.c.y=e.col1.y*n.x+e.col2.y*n.y;this.m_sweep.c.x+=this.m_xf.position.x;this.m_sweep.c.y+=this.m_xf.position.y;this.m_sweep.c0.SetV(this.m_sweep.c);this.m_sweep.a0=this.m_sweep.a=i;var s=this.m_world.m_contactManager.m_broadPhase;for(o=this.m_fixtureList;o;o=o.m_next){o.Synchronize(s,this.m_xf,this.m_xf)}this.m_world.m_contactManager.FindNewContacts()};W.prototype.SetTransform=function(t){this.SetPositionAndAngle(t.position,t.GetAngle())};W.prototype.GetTransform=function(){return this.m_xf};W.prototype.GetPosition=function(){return this.m_xf.position};W.prototype.SetPosition=function(t){this.SetPositionAndAngle(t,this.GetAngle())};W.prototype.GetAngle=function(){return this.m_sweep.a};W.prototype.SetAngle=function(t){if(t===undefined)t=0;this.SetPositionAndAngle(this.GetPosition(),t)};W.prototype.GetWorldCenter=function(){return this.m_sweep.c};W.prototype.GetLocalCenter=function(){return this.m_sweep.localCenter};W.prototype.SetLinearVelocity=function(t){if(this.m_type==W.b2_staticBody){return}this.m_linearVelocity.SetV(t)};W.prototype.GetLinearVelocity=function(){return this.m_linearVelocity};W.prototype.SetAngularVelocity=function(t){if(t===undefined)t=0;if(this.m_type==W.b2_staticBody){return}this.m_angularVelocity=t};W.prototype.GetAngularVelocity=function(){return this.m_angularVelocity};W.prototype.GetDefinition=function(){var t=new X;t.type=this.GetType();t.allowSleep=(this.m_flags&W.e_allowSleepFlag)==W.e_allowSleepFlag;t.angle=this.GetAngle();t.angularDamping=this.m_angularDamping;t.angularVelocity=this.m_angularVelocity;t.fixedRotation=(this.m_flags&W.e_fixedRotationFlag)==W.e_fixedRotationFlag;t.bullet=(this.m_flags&W.e_bulletFlag)==W.e_bulletFlag;t.awake=(this.m_flags&W.e_awakeFlag)==W.e_awakeFlag;t.linearDamping=this.m_linearDamping;t.linearVelocity.SetV(this.GetLinearVelocity());t.position=this.GetPosition();t.userData=this.GetUserData();return t};W.prototype.ApplyForce=function(t,i){if(this.m_type!=W.b2_dynamicBody){return}if(this.IsAwake()==false){this.SetAwake(true)}this.m_force.x+=t.x;this.m_force.y+=t.y;this.m_torque+=(i.x-this.m_sweep.c.x)*t.y-(i.y-this.m_sweep.c.y)*t.x};W.prototype.ApplyTorque=function(t){if(t===undefined)t=0;if(this.m_type!=W.b2_dynamicBody){return}if(this.IsAwake()==false){this.SetAwake(true)}this.m_torque+=t};W.prototype.ApplyImpulse=function(t,i){if(this.m_type!=W.b2_dynamicBody){return}if(this.IsAwake()==false){this.SetAwake(true)}this.m_linearVelocity.x+=this.m_invMass*t.x;this.m_linearVelocity.y+=this.m_invMass*t.y;this.m_angularVelocity+=this.m_invI*((i.x-this.m_sweep.c.x)*t.y-(i.y-this.m_sweep.c.y)*t.x)};W.prototype.Split=function(t){var i=this.GetLinearVelocity().Copy();var o=this.GetAngularVelocity();var n=this.GetWorldCenter();var s=this;var r=this.m_world.CreateBody(this.GetDefinition());var a;for(var l=s.m_fixtureList;l;){if(t(l)){var m=l.m_next;if(a){a.m_next=m}else{s.m_fixtureList=m}s.m_fixtureCount--;l.m_next=r.m_fixtureList;r.m_fixtureList=l;r.m_fixtureCount++;l.m_body=r;l=m}else{a=l;l=l.m_next}}s.ResetMassData();r.ResetMassData();var c=s.GetWorldCenter();var h=r.GetWorldCenter();var _=e.AddVV(i,e.CrossFV(o,e.SubtractVV(c,n)));var p=e.AddVV(i,e.CrossFV(o,e.SubtractVV(h,n)));s.SetLinearVelocity(_);r.SetLinearVelocity(p);s.SetAngularVelocity(o);r.SetAngularVelocity(o);s.SynchronizeFixtures();r.SynchronizeFixtures();return r};W.prototype.Merge=function(t){var i;for(i=t.m_fixtureList;i;){var o=i.m_next;t.m_fixtureCount--;i.m_next=this.m_fixtureList;this.m_fixtureList=i;this.m_fixtureCount++;i.m_body=n;i=o}e.m_fixtureCount=0;var e=this;var n=t;var s=e.GetWorldCenter();var r=n.GetWorldCenter();var a=e.GetLinearVelocity().Copy();var l=n.GetLinearVelocity().Copy();var m=e.GetAngularVelocity();var c=n.GetAngularVelocity();e.ResetMassData();this.SynchronizeFixtures()};W.prototype.GetMass=function(){return this.m_mass};W.prototype.GetInertia=function(){return this.m_I};W.prototype.GetMassData=function(t){t.mass=this.m_mass;t.I=this.m_I;t.center.SetV(this.m_sweep.localCenter)};W.prototype.SetMassData=function(t){c.b2Assert(this.m_world.IsLocked()==false);if(this.m_world.IsLocked()==true){return}if(this.m_type!=W.b2_dynamicBody){return}this.m_invMass=0;this.m_I=0;this.m_invI=0;this.m_mass=t.mass;if(this.m_mass<=0){this.m_mass=1}this.m_invMass=1/this.m_mass;if(t.I>0&&(this.m_flags&W.e_fixedRotationFlag)==0){this.m_I=t.I-this.m_mass*(t.center.x*t.center.x+t.center.y*t.center.y);this.m_invI=1/this.m_I}var i=this.m_sweep.c.Copy();this.m_sweep.localCenter.SetV(t.center);this.m_sweep.c0.SetV(e.MulX(this.m_xf,this.m_sweep.localCenter));this.m_sweep.c.SetV(this.m_sweep.c0);this.m_linearVelocity.x+=this.m_angularVelocity*-(this.m_sweep.c.y-i.y);this.m_linearVelocity.y+=this.m_angularVelocity*+(this.m_sweep.c.x-i.x)};W.prototype.ResetMassData=function(){this.m_mass=0;this.m_invMass=0;this.m_I=0;this.m_invI=0;this.m_sweep.localCenter.SetZero();if(this.m_type==W.b2_staticBody||this.m_type==W.b2_kinematicBody){return}var t=r.Make(0,0);for(var i=this.m_fixtureList;i;i=i.m_next){if(i.m_density==0){continue
-}var o=i.GetMassData();this.m_mass+=o.mass;t.x+=o.center.x*o.mass;t.y+=o.center.y*o.mass;this.m_I+=o.I}if(this.m_mass>0){this.m_invMass=1/this.m_mass;t.x*=this.m_invMass;t.y*=this.m_invMass}else{this.m_mass=1;this.m_invMass=1}if(this.m_I>0&&(this.m_flags&W.e_fixedRotationFlag)==0){this.m_I-=this.m_mass*(t.x*t.x+t.y*t.y);this.m_I*=this.m_inertiaScale;c.b2Assert(this.m_I>0);this.m_invI=1/this.m_I}else{this.m_I=0;this.m_invI=0}var n=this.m_sweep.c.Copy();this.m_sweep.localCenter.SetV(t);this.m_sweep.c0.SetV(e.MulX(this.m_xf,this.m_sweep.localCenter));this.m_sweep.c.SetV(this.m_sweep.c0);this.m_linearVelocity.x+=this.m_angularVelocity*-(this.m_sweep.c.y-n.y);this.m_linearVelocity.y+=this.m_angularVelocity*+(this.m_sweep.c.x-n.x)};W.prototype.GetWorldPoint=function(t){var i=this.m_xf.R;var o=new r(i.col1.x*t.x+i.col2.x*t.y,i.col1.y*t.x+i.col2.y*t.y);o.x+=this.m_xf.position.x;o.y+=this.m_xf.position.y;return o};W.prototype.GetWorldVector=function(t){return e.MulMV(this.m_xf.R,t)};W.prototype.GetLocalPoint=function(t){return e.MulXT(this.m_xf,t)};W.prototype.GetLocalVector=function(t){return e.MulTMV(this.m_xf.R,t)};W.prototype.GetLinearVelocityFromWorldPoint=function(t){return new r(this.m_linearVelocity.x-this.m_angularVelocity*(t.y-this.m_sweep.c.y),this.m_linearVelocity.y+this.m_angularVelocity*(t.x-this.m_sweep.c.x))};W.prototype.GetLinearVelocityFromLocalPoint=function(t){var i=this.m_xf.R;var o=new r(i.col1.x*t.x+i.col2.x*t.y,i.col1.y*t.x+i.col2.y*t.y);o.x+=this.m_xf.position.x;o.y+=this.m_xf.position.y;return new r(this.m_linearVelocity.x-this.m_angularVelocity*(o.y-this.m_sweep.c.y),this.m_linearVelocity.y+this.m_angularVelocity*(o.x-this.m_sweep.c.x))};W.prototype.GetLinearDamping=function(){return this.m_linearDamping};W.prototype.SetLinearDamping=function(t){if(t===undefined)t=0;this.m_linearDamping=t};W.prototype.GetAngularDamping=function(){return this.m_angularDamping};W.prototype.SetAngularDamping=function(t){if(t===undefined)t=0;this.m_angularDamping=t};W.prototype.SetType=function(t){if(t===undefined)t=0;if(this.m_type==t){return}this.m_type=t;this.ResetMassData();if(this.m_type==W.b2_staticBody){this.m_linearVelocity.SetZero();this.m_angularVelocity=0}this.SetAwake(true);this.m_force.SetZero();this.m_torque=0;for(var i=this.m_contactList;i;i=i.next){i.contact.FlagForFiltering()}};W.prototype.GetType=function(){return this.m_type};W.prototype.SetBullet=function(t){if(t){this.m_flags|=W.e_bulletFlag}else{this.m_flags&=~W.e_bulletFlag}};W.prototype.IsBullet=function(){return(this.m_flags&W.e_bulletFlag)==W.e_bulletFlag};W.prototype.SetSleepingAllowed=function(t){if(t){this.m_flags|=W.e_allowSleepFlag}else{this.m_flags&=~W.e_allowSleepFlag;this.SetAwake(true)}};W.prototype.SetAwake=function(t){if(t){this.m_flags|=W.e_awakeFlag;this.m_sleepTime=0}else{this.m_flags&=~W.e_awakeFlag;this.m_sleepTime=0;this.m_linearVelocity.SetZero();this.m_angularVelocity=0;this.m_force.SetZero();this.m_torque=0}};W.prototype.IsAwake=function(){return(this.m_flags&W.e_awakeFlag)==W.e_awakeFlag};W.prototype.SetFixedRotation=function(t){if(t){this.m_flags|=W.e_fixedRotationFlag}else{this.m_flags&=~W.e_fixedRotationFlag}this.ResetMassData()};W.prototype.IsFixedRotation=function(){return(this.m_flags&W.e_fixedRotationFlag)==W.e_fixedRotationFlag};W.prototype.SetActive=function(t){if(t==this.IsActive()){return}var i;var o;if(t){this.m_flags|=W.e_activeFlag;i=this.m_world.m_contactManager.m_broadPhase;for(o=this.m_fixtureList;o;o=o.m_next){o.CreateProxy(i,this.m_xf)}}else{this.m_flags&=~W.e_activeFlag;i=this.m_world.m_contactManager.m_broadPhase;for(o=this.m_fixtureList;o;o=o.m_next){o.DestroyProxy(i)}var e=this.m_contactList;while(e){var n=e;e=e.next;this.m_world.m_contactManager.Destroy(n.contact)}this.m_contactList=null}};W.prototype.IsActive=function(){return(this.m_flags&W.e_activeFlag)==W.e_activeFlag};W.prototype.IsSleepingAllowed=function(){return(this.m_flags&W.e_allowSleepFlag)==W.e_allowSleepFlag};W.prototype.GetFixtureList=function(){return this.m_fixtureList};W.prototype.GetJointList=function(){return this.m_jointList};W.prototype.GetControllerList=function(){return this.m_controllerList};W.prototype.GetContactList=function(){return this.m_contactList};W.prototype.GetNext=function(){return this.m_next};W.prototype.GetUserData=function(){return this.m_userData};W.prototype.SetUserData=function(t){this.m_userData=t};W.prototype.GetWorld=function(){return this.m_world};W.prototype.b2Body=function(t,i){this.m_flags=0;if(t.bullet){this.m_flags|=W.e_bulletFlag}if(t.fixedRotation){this.m_flags|=W.e_fixedRotationFlag}if(t.allowSleep){this.m_flags|=W.e_allowSleepFlag}if(t.awake){this.m_flags|=W.e_awakeFlag}if(t.active){this.m_flags|=W.e_activeFlag}this.m_world=i;this.m_xf.position.SetV(t.position);this.m_xf.R.Set(t.angle);this.m_sweep.localCenter.SetZero();this.m_sweep.t0=1;this.m_sweep.a0=this.m_sweep.a=t.angle;var o=this.m_xf.R;var e=this.m_sweep.localCenter;this.m_sweep.c.x=o.col1.x*e.x+o.col2.x*e.y;this.m_sweep.c.y=o.col1.y*e.x+o.col2.y*e.y;this.m_sweep.c.x+=this.m_xf.position.x;this.m_sweep.c.y+=this.m_xf.position.y;this.m_sweep.c0.SetV(this.m_sweep.c);this.m_jointList=null;this.m_controllerList=null;this.m_contactList=null;this.m_controllerCount=0;this.m_prev=null;this.m_next=null;this.m_linearVelocity.SetV(t.linearVelocity);this.m_angularVelocity=t.angularVelocity;this.m_linearDamping=t.linearDamping;this.m_angularDamping=t.angularDamping;this.m_force.Set(0,0);this.m_torque=0;this.m_sleepTime=0;this.m_type=t.type;if(this.m_type==W.b2_dynamicBody){this.m_mass=1;this.m_invMass=1}else{this.m_mass=0;this.m_invMass=0}this.m_I=0;this.m_invI=0;this.m_inertiaScale=t.inertiaScale;this.m_userData=t.userData;this.m_fixtureList=null;this.m_fixtureCount=0};W.prototype.SynchronizeFixtures=function(){var t=W.s_xf1;t.R.Set(this.m_sweep.a0);var i=t.R;var o=this.m_sweep.localCenter;t.position.x=this.m_sweep.c0.x-(i.col1.x*o.x+i.col2.x*o.y);t.position.y=this.m_sweep.c0.y-(i.col1.y*o.x+i.col2.y*o.y);var e;var n=this.m_world.m_contactManager.m_broadPhase;for(e=this.m_fixtureList;e;e=e.m_next){e.Synchronize(n,t,this.m_xf)}};W.prototype.SynchronizeTransform=function(){this.m_xf.R.Set(this.m_sweep.a);var t=this.m_xf.R;var i=this.m_sweep.localCenter;this.m_xf.position.x=this.m_sweep.c.x-(t.col1.x*i.x+t.col2.x*i.y);this.m_xf.position.y=this.m_sweep.c.y-(t.col1.y*i.x+t.col2.y*i.y)};W.prototype.ShouldCollide=function(t){if(this.m_type!=W.b2_dynamicBody&&t.m_type!=W.b2_dynamicBody){return false}for(var i=this.m_jointList;i;i=i.next){if(i.other==t)if(i.joint.m_collideConnected==false){return false}}return true};W.prototype.Advance=function(t){if(t===undefined)t=0;this.m_sweep.Advance(t);this.m_sweep.c.SetV(this.m_sweep.c0);this.m_sweep.a=this.m_sweep.a0;this.SynchronizeTransform()};Box2D.postDefs.push(function(){Box2D.Dynamics.b2Body.s_xf1=new s;Box2D.Dynamics.b2Body.e_islandFlag=1;Box2D.Dynamics.b2Body.e_awakeFlag=2;Box2D.Dynamics.b2Body.e_allowSleepFlag=4;Box2D.Dynamics.b2Body.e_bulletFlag=8;Box2D.Dynamics.b2Body.e_fixedRotationFlag=16;Box2D.Dynamics.b2Body.e_activeFlag=32;Box2D.Dynamics.b2Body.b2_staticBody=0;Box2D.Dynamics.b2Body.b2_kinematicBody=1;Box2D.Dynamics.b2Body.b2_dynamicBody=2});X.b2BodyDef=function(){this.position=new r;this.linearVelocity=new r};X.prototype.b2BodyDef=function(){this.userData=null;this.position.Set(0,0);this.angle=0;this.linearVelocity.Set(0,0);this.angularVelocity=0;this.linearDamping=0;this.angularDamping=0;this.allowSleep=true;this.awake=true;this.fixedRotation=false;this.bullet=false;this.type=W.b2_staticBody;this.active=true;this.inertiaScale=1};Z.b2ContactFilter=function(){};Z.prototype.ShouldCollide=function(t,i){var o=t.GetFilterData();var e=i.GetFilterData();if(o.groupIndex==e.groupIndex&&o.groupIndex!=0){return o.groupIndex>0}var n=(o.maskBits&e.categoryBits)!=0&&(o.categoryBits&e.maskBits)!=0;return n};Z.prototype.RayCollide=function(t,i){if(!t)return true;return this.ShouldCollide(t instanceof oi?t:null,i)};Box2D.postDefs.push(function(){Box2D.Dynamics.b2ContactFilter.b2_defaultFilter=new Z});H.b2ContactImpulse=function(){this.normalImpulses=new Box2D.Vector_a2j_Number(c.b2_maxManifoldPoints);this.tangentImpulses=new Box2D.Vector_a2j_Number(c.b2_maxManifoldPoints)};Y.b2ContactListener=function(){};Y.prototype.BeginContact=function(t){};Y.prototype.EndContact=function(t){};Y.prototype.PreSolve=function(t,i){};Y.prototype.PostSolve=function(t,i){};Box2D.postDefs.push(function(){Box2D.Dynamics.b2ContactListener.b2_defaultListener=new Y});Q.b2ContactManager=function(){};Q.prototype.b2ContactManager=function(){this.m_world=null;this.m_contactCount=0;this.m_contactFilter=Z.b2_defaultFilter;this.m_contactListener=Y.b2_defaultListener;this.m_contactFactory=new _i(this.m_allocator);this.m_broadPhase=new B};Q.prototype.AddPair=function(t,i){var o=t instanceof oi?t:null;var e=i instanceof oi?i:null;var n=o.GetBody();var s=e.GetBody();if(n==s)return;var r=s.GetContactList();while(r){if(r.other==n){var a=r.contact.GetFixtureA();var l=r.contact.GetFixtureB();if(a==o&&l==e)return;if(a==e&&l==o)return}r=r.next}if(s.ShouldCollide(n)==false){return}if(this.m_contactFilter.ShouldCollide(o,e)==false){return}var m=this.m_contactFactory.Create(o,e);o=m.GetFixtureA();e=m.GetFixtureB();n=o.m_body;s=e.m_body;m.m_prev=null;m.m_next=this.m_world.m_contactList;if(this.m_world.m_contactList!=null){this.m_world.m_contactList.m_prev=m}this.m_world.m_contactList=m;m.m_nodeA.contact=m;m.m_nodeA.other=s;m.m_nodeA.prev=null;m.m_nodeA.next=n.m_contactList;if(n.m_contactList!=null){n.m_contactList.prev=m.m_nodeA}n.m_contactList=m.m_nodeA;m.m_nodeB.contact=m;m.m_nodeB.other=n;m.m_nodeB.prev=null;m.m_nodeB.next=s.m_contactList;if(s.m_contactList!=null){s.m_contactList.prev=m.m_nodeB}s.m_contactList=m.m_nodeB;++this.m_world.m_contactCount;return};Q.prototype.FindNewContacts=function(){this.m_broadPhase.UpdatePairs(Box2D.generateCallback(this,this.AddPair))};Q.prototype.Destroy=function(t){var i=t.GetFixtureA();var o=t.GetFixtureB();var e=i.GetBody();var n=o.GetBody();if(t.IsTouching()){this.m_contactListener.EndContact(t)}if(t.m_prev){t.m_prev.m_next=t.m_next}if(t.m_next){t.m_next.m_prev=t.m_prev}if(t==this.m_world.m_contactList){this.m_world.m_contactList=t.m_next}if(t.m_nodeA.prev){t.m_nodeA.prev.next=t.m_nodeA.next}if(t.m_nodeA.next){t.m_nodeA.next.prev=t.m_nodeA.prev}if(t.m_nodeA==e.m_contactList){e.m_contactList=t.m_nodeA.next}if(t.m_nodeB.prev){t.m_nodeB.prev.next=t.m_nodeB.next}if(t.m_nodeB.next){t.m_nodeB.next.prev=t.m_nodeB.prev}if(t.m_nodeB==n.m_contactList){n.m_contactList=t.m_nodeB.next}this.m_contactFactory.Destroy(t);--this.m_contactCount};Q.prototype.Collide=function(){var t=this.m_world.m_contactList;while(t){var i=t.GetFixtureA();var o=t.GetFixtureB();var e=i.GetBody();var n=o.GetBody();if(e.IsAwake()==false&&n.IsAwake()==false){t=t.GetNext();continue}if(t.m_flags&li.e_filterFlag){if(n.ShouldCollide(e)==false){var s=t;t=s.GetNext();this.Destroy(s);continue}if(this.m_contactFilter.ShouldCollide(i,o)==false){s=t;t=s.GetNext();this.Destroy(s);continue}t.m_flags&=~li.e_filterFlag}var r=i.m_proxy;var a=o.m_proxy;var l=this.m_broadPhase.TestOverlap(r,a);if(l==false){s=t;t=s.GetNext();this.Destroy(s);continue}t.Update(this.m_contactListener);t=t.GetNext()}};Box2D.postDefs.push(function(){Box2D.Dynamics.b2ContactManager.s_evalCP=new x});$.b2DebugDraw=function(){};$.prototype.b2DebugDraw=function(){};$.prototype.SetFlags=function(t){if(t===undefined)t=0};$.prototype.GetFlags=function(){};$.prototype.AppendFlags=function(t){if(t===undefined)t=0};$.prototype.ClearFlags=function(t){if(t===undefined)t=0};$.prototype.SetSprite=function(t){};$.prototype.GetSprite=function(){};$.prototype.SetDrawScale=function(t){if(t===undefined)t=0};$.prototype.GetDrawScale=function(){};$.prototype.SetLineThickness=function(t){if(t===undefined)t=0};$.prototype.GetLineThickness=function(){};$.prototype.SetAlpha=function(t){if(t===undefined)t=0};$.prototype.GetAlpha=function(){};$.prototype.SetFillAlpha=function(t){if(t===undefined)t=0};$.prototype.GetFillAlpha=function(){};$.prototype.SetXFormScale=function(t){if(t===undefined)t=0};$.prototype.GetXFormScale=function(){};$.prototype.DrawPolygon=function(t,i,o){if(i===undefined)i=0};$.prototype.DrawSolidPolygon=function(t,i,o){if(i===undefined)i=0};$.prototype.DrawCircle=function(t,i,o){if(i===undefined)i=0};$.prototype.DrawSolidCircle=function(t,i,o,e){if(i===undefined)i=0};$.prototype.DrawSegment=function(t,i,o){};$.prototype.DrawTransform=function(t){};Box2D.postDefs.push(function(){Box2D.Dynamics.b2DebugDraw.e_shapeBit=1;Box2D.Dynamics.b2DebugDraw.e_jointBit=2;Box2D.Dynamics.b2DebugDraw.e_aabbBit=4;Box2D.Dynamics.b2DebugDraw.e_pairBit=8;Box2D.Dynamics.b2DebugDraw.e_centerOfMassBit=16;Box2D.Dynamics.b2DebugDraw.e_controllerBit=32});ti.b2DestructionListener=function(){};ti.prototype.SayGoodbyeJoint=function(t){};ti.prototype.SayGoodbyeFixture=function(t){};ii.b2FilterData=function(){this.categoryBits=1;this.maskBits=65535;this.groupIndex=0};ii.prototype.Copy=function(){var t=new ii;t.categoryBits=this.categoryBits;t.maskBits=this.maskBits;t.groupIndex=this.groupIndex;return t};oi.b2Fixture=function(){this.m_filter=new ii};oi.prototype.GetType=function(){return this.m_shape.GetType()};oi.prototype.GetShape=function(){return this.m_shape};oi.prototype.SetSensor=function(t){if(this.m_isSensor==t)return;this.m_isSensor=t;if(this.m_body==null)return;var i=this.m_body.GetContactList();while(i){var o=i.contact;var e=o.GetFixtureA();var n=o.GetFixtureB();if(e==this||n==this)o.SetSensor(e.IsSensor()||n.IsSensor());i=i.next}};oi.prototype.IsSensor=function(){return this.m_isSensor};oi.prototype.SetFilterData=function(t){this.m_filter=t.Copy();if(!this.m_body)return;var i=this.m_body.GetContactList();while(i){var o=i.contact;var e=o.GetFixtureA();var n=o.GetFixtureB();if(e==this||n==this)o.FlagForFiltering();i=i.next}};oi.prototype.GetFilterData=function(){return this.m_filter.Copy()};oi.prototype.GetBody=function(){return this.m_body};oi.prototype.GetNext=function(){return this.m_next};oi.prototype.GetUserData=function(){return this.m_userData};oi.prototype.SetUserData=function(t){this.m_userData=t};oi.prototype.TestPoint=function(t){return this.m_shape.TestPoint(this.m_body.GetTransform(),t)};oi.prototype.RayCast=function(t,i){return this.m_shape.RayCast(t,i,this.m_body.GetTransform())};oi.prototype.GetMassData=function(t){if(t===undefined)t=null;if(t==null){t=new U}this.m_shape.ComputeMass(t,this.m_density);return t};oi.prototype.SetDensity=function(t){if(t===undefined)t=0;this.m_density=t};oi.prototype.GetDensity=function(){return this.m_density};oi.prototype.GetFriction=function(){return this.m_friction};oi.prototype.SetFriction=function(t){if(t===undefined)t=0;this.m_friction=t};oi.prototype.GetRestitution=function(){return this.m_restitution};oi.prototype.SetRestitution=function(t){if(t===undefined)t=0;this.m_restitution=t};oi.prototype.GetAABB=function(){return this.m_aabb};oi.prototype.b2Fixture=function(){this.m_aabb=new h;this.m_userData=null;this.m_body=null;this.m_next=null;this.m_shape=null;this.m_density=0;this.m_friction=0;this.m_restitution=0};oi.prototype.Create=function(t,i,o){this.m_userData=o.userData;this.m_friction=o.friction;this.m_restitution=o.restitution;this.m_body=t;this.m_next=null;this.m_filter=o.filter.Copy();this.m_isSensor=o.isSensor;this.m_shape=o.shape.Copy();this.m_density=o.density};oi.prototype.Destroy=function(){this.m_shape=null};oi.prototype.CreateProxy=function(t,i){this.m_shape.ComputeAABB(this.m_aabb,i);this.m_proxy=t.CreateProxy(this.m_aabb,this)};oi.prototype.DestroyProxy=function(t){if(this.m_proxy==null){return}t.DestroyProxy(this.m_proxy);this.m_proxy=null};oi.prototype.Synchronize=function(t,i,o){if(!this.m_proxy)return;var n=new h;var s=new h;this.m_shape.ComputeAABB(n,i);this.m_shape.ComputeAABB(s,o);this.m_aabb.Combine(n,s);var r=e.SubtractVV(o.position,i.position);t.MoveProxy(this.m_proxy,this.m_aabb,r)};ei.b2FixtureDef=function(){this.filter=new ii};ei.prototype.b2FixtureDef=function(){this.shape=null;this.userData=null;this.friction=.2;this.restitution=0;this.density=0;this.filter.categoryBits=1;this.filter.maskBits=65535;this.filter.groupIndex=0;this.isSensor=false};ni.b2Island=function(){};ni.prototype.b2Island=function(){this.m_bodies=new Box2D.Vector;this.m_contacts=new Box2D.Vector;this.m_joints=new Box2D.Vector};ni.prototype.Initialize=function(t,i,o,e,n,s){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;var r=0;this.m_bodyCapacity=t;this.m_contactCapacity=i;this.m_jointCapacity=o;this.m_bodyCount=0;this.m_contactCount=0;this.m_jointCount=0;this.m_allocator=e;this.m_listener=n;this.m_contactSolver=s;for(r=this.m_bodies.length;r<t;r++)this.m_bodies[r]=null;for(r=this.m_contacts.length;r<i;r++)this.m_contacts[r]=null;for(r=this.m_joints.length;r<o;r++)this.m_joints[r]=null};ni.prototype.Clear=function(){this.m_bodyCount=0;this.m_contactCount=0;this.m_jointCount=0};ni.prototype.Solve=function(t,i,o){var n=0;var s=0;var r;var a;for(n=0;n<this.m_bodyCount;++n){r=this.m_bodies[n];if(r.GetType()!=W.b2_dynamicBody)continue;r.m_linearVelocity.x+=t.dt*(i.x+r.m_invMass*r.m_force.x);r.m_linearVelocity.y+=t.dt*(i.y+r.m_invMass*r.m_force.y);r.m_angularVelocity+=t.dt*r.m_invI*r.m_torque;r.m_linearVelocity.Multiply(e.Clamp(1-t.dt*r.m_linearDamping,0,1));r.m_angularVelocity*=e.Clamp(1-t.dt*r.m_angularDamping,0,1)}this.m_contactSolver.Initialize(t,this.m_contacts,this.m_contactCount,this.m_allocator);var l=this.m_contactSolver;l.InitVelocityConstraints(t);for(n=0;n<this.m_jointCount;++n){a=this.m_joints[n];a.InitVelocityConstraints(t)}for(n=0;n<t.velocityIterations;++n){for(s=0;s<this.m_jointCount;++s){a=this.m_joints[s];a.SolveVelocityConstraints(t)}l.SolveVelocityConstraints()}for(n=0;n<this.m_jointCount;++n){a=this.m_joints[n];a.FinalizeVelocityConstraints()}l.FinalizeVelocityConstraints();for(n=0;n<this.m_bodyCount;++n){r=this.m_bodies[n];if(r.GetType()==W.b2_staticBody)continue;var m=t.dt*r.m_linearVelocity.x;var h=t.dt*r.m_linearVelocity.y;if(m*m+h*h>c.b2_maxTranslationSquared){r.m_linearVelocity.Normalize();r.m_linearVelocity.x*=c.b2_maxTranslation*t.inv_dt;r.m_linearVelocity.y*=c.b2_maxTranslation*t.inv_dt}var _=t.dt*r.m_angularVelocity;if(_*_>c.b2_maxRotationSquared){if(r.m_angularVelocity<0){r.m_angularVelocity=-c.b2_maxRotation*t.inv_dt}else{r.m_angularVelocity=c.b2_maxRotation*t.inv_dt}}r.m_sweep.c0.SetV(r.m_sweep.c);r.m_sweep.a0=r.m_sweep.a;r.m_sweep.c.x+=t.dt*r.m_linearVelocity.x;r.m_sweep.c.y+=t.dt*r.m_linearVelocity.y;r.m_sweep.a+=t.dt*r.m_angularVelocity;r.SynchronizeTransform()}for(n=0;n<t.positionIterations;++n){var p=l.SolvePositionConstraints(c.b2_contactBaumgarte);var u=true;for(s=0;s<this.m_jointCount;++s){a=this.m_joints[s];var y=a.SolvePositionConstraints(c.b2_contactBaumgarte);u=u&&y}if(p&&u){break}}this.Report(l.m_constraints);if(o){var x=Number.MAX_VALUE;var f=c.b2_linearSleepTolerance*c.b2_linearSleepTolerance;var v=c.b2_angularSleepTolerance*c.b2_angularSleepTolerance;for(n=0;n<this.m_bodyCount;++n){r=this.m_bodies[n];if(r.GetType()==W.b2_staticBody){continue}if((r.m_flags&W.e_allowSleepFlag)==0){r.m_sleepTime=0;x=0}if((r.m_flags&W.e_allowSleepFlag)==0||r.m_angularVelocity*r.m_angularVelocity>v||e.Dot(r.m_linearVelocity,r.m_linearVelocity)>f){r.m_sleepTime=0;x=0}else{r.m_sleepTime+=t.dt;x=e.Min(x,r.m_sleepTime)}}if(x>=c.b2_timeToSleep){for(n=0;n<this.m_bodyCount;++n){r=this.m_bodies[n];r.SetAwake(false)}}}};ni.prototype.SolveTOI=function(t){var i=0;var o=0;this.m_contactSolver.Initialize(t,this.m_contacts,this.m_contactCount,this.m_allocator);var e=this.m_contactSolver;for(i=0;i<this.m_jointCount;++i){this.m_joints[i].InitVelocityConstraints(t)}for(i=0;i<t.velocityIterations;++i){e.SolveVelocityConstraints();for(o=0;o<this.m_jointCount;++o){this.m_joints[o].SolveVelocityConstraints(t)}}for(i=0;i<this.m_bodyCount;++i){var n=this.m_bodies[i];if(n.GetType()==W.b2_staticBody)continue;var s=t.dt*n.m_linearVelocity.x;var r=t.dt*n.m_linearVelocity.y;if(s*s+r*r>c.b2_maxTranslationSquared){n.m_linearVelocity.Normalize();n.m_linearVelocity.x*=c.b2_maxTranslation*t.inv_dt;n.m_linearVelocity.y*=c.b2_maxTranslation*t.inv_dt}var a=t.dt*n.m_angularVelocity;if(a*a>c.b2_maxRotationSquared){if(n.m_angularVelocity<0){n.m_angularVelocity=-c.b2_maxRotation*t.inv_dt}else{n.m_angularVelocity=c.b2_maxRotation*t.inv_dt}}n.m_sweep.c0.SetV(n.m_sweep.c);n.m_sweep.a0=n.m_sweep.a;n.m_sweep.c.x+=t.dt*n.m_linearVelocity.x;n.m_sweep.c.y+=t.dt*n.m_linearVelocity.y;n.m_sweep.a+=t.dt*n.m_angularVelocity;n.SynchronizeTransform()}var l=.75;for(i=0;i<t.positionIterations;++i){var m=e.SolvePositionConstraints(l);var h=true;for(o=0;o<this.m_jointCount;++o){var _=this.m_joints[o].SolvePositionConstraints(c.b2_contactBaumgarte);h=h&&_}if(m&&h){break}}this.Report(e.m_constraints)};ni.prototype.Report=function(t){if(this.m_listener==null){return}for(var i=0;i<this.m_contactCount;++i){var o=this.m_contacts[i];var e=t[i];for(var n=0;n<e.pointCount;++n){ni.s_impulse.normalImpulses[n]=e.points[n].normalImpulse;ni.s_impulse.tangentImpulses[n]=e.points[n].tangentImpulse}this.m_listener.PostSolve(o,ni.s_impulse)}};ni.prototype.AddBody=function(t){t.m_islandIndex=this.m_bodyCount;this.m_bodies[this.m_bodyCount++]=t};ni.prototype.AddContact=function(t){this.m_contacts[this.m_contactCount++]=t};ni.prototype.AddJoint=function(t){this.m_joints[this.m_jointCount++]=t};Box2D.postDefs.push(function(){Box2D.Dynamics.b2Island.s_impulse=new H});si.b2TimeStep=function(){};si.prototype.Set=function(t){this.dt=t.dt;this.inv_dt=t.inv_dt;this.positionIterations=t.positionIterations;this.velocityIterations=t.velocityIterations;this.warmStarting=t.warmStarting};ri.b2World=function(){this.s_stack=new Box2D.Vector;this.m_contactManager=new Q;this.m_contactSolver=new yi;this.m_island=new ni};ri.prototype.b2World=function(t,i){this.m_destructionListener=null;this.m_debugDraw=null;this.m_bodyList=null;this.m_contactList=null;this.m_jointList=null;this.m_controllerList=null;this.m_bodyCount=0;this.m_contactCount=0;this.m_jointCount=0;this.m_controllerCount=0;ri.m_warmStarting=true;ri.m_continuousPhysics=true;this.m_allowSleep=i;this.m_gravity=t;this.m_inv_dt0=0;this.m_contactManager.m_world=this;var o=new X;this.m_groundBody=this.CreateBody(o)};ri.prototype.SetDestructionListener=function(t){this.m_destructionListener=t};ri.prototype.SetContactFilter=function(t){this.m_contactManager.m_contactFilter=t};ri.prototype.SetContactListener=function(t){this.m_contactManager.m_contactListener=t};ri.prototype.SetDebugDraw=function(t){this.m_debugDraw=t};ri.prototype.SetBroadPhase=function(t){var i=this.m_contactManager.m_broadPhase;this.m_contactManager.m_broadPhase=t;for(var o=this.m_bodyList;o;o=o.m_next){for(var e=o.m_fixtureList;e;e=e.m_next){e.m_proxy=t.CreateProxy(i.GetFatAABB(e.m_proxy),e)}}};ri.prototype.Validate=function(){this.m_contactManager.m_broadPhase.Validate()};ri.prototype.GetProxyCount=function(){return this.m_contactManager.m_broadPhase.GetProxyCount()};ri.prototype.CreateBody=function(t){if(this.IsLocked()==true){return null}var i=new W(t,this);i.m_prev=null;i.m_next=this.m_bodyList;if(this.m_bodyList){this.m_bodyList.m_prev=i}this.m_bodyList=i;++this.m_bodyCount;return i};ri.prototype.DestroyBody=function(t){if(this.IsLocked()==true){return}var i=t.m_jointList;while(i){var o=i;i=i.next;if(this.m_destructionListener){this.m_destructionListener.SayGoodbyeJoint(o.joint)}this.DestroyJoint(o.joint)}var e=t.m_controllerList;while(e){var n=e;e=e.nextController;n.controller.RemoveBody(t)}var s=t.m_contactList;while(s){var r=s;s=s.next;this.m_contactManager.Destroy(r.contact)}t.m_contactList=null;var a=t.m_fixtureList;while(a){var l=a;a=a.m_next;if(this.m_destructionListener){this.m_destructionListener.SayGoodbyeFixture(l)}l.DestroyProxy(this.m_contactManager.m_broadPhase);l.Destroy()}t.m_fixtureList=null;t.m_fixtureCount=0;if(t.m_prev){t.m_prev.m_next=t.m_next}if(t.m_next){t.m_next.m_prev=t.m_prev}if(t==this.m_bodyList){this.m_bodyList=t.m_next}--this.m_bodyCount};ri.prototype.CreateJoint=function(t){var i=Ii.Create(t,null);i.m_prev=null;i.m_next=this.m_jointList;if(this.m_jointList){this.m_jointList.m_prev=i}this.m_jointList=i;++this.m_jointCount;i.m_edgeA.joint=i;i.m_edgeA.other=i.m_bodyB;i.m_edgeA.prev=null;i.m_edgeA.next=i.m_bodyA.m_jointList;if(i.m_bodyA.m_jointList)i.m_bodyA.m_jointList.prev=i.m_edgeA;i.m_bodyA.m_jointList=i.m_edgeA;i.m_edgeB.joint=i;i.m_edgeB.other=i.m_bodyA;i.m_edgeB.prev=null;i.m_edgeB.next=i.m_bodyB.m_jointList;if(i.m_bodyB.m_jointList)i.m_bodyB.m_jointList.prev=i.m_edgeB;i.m_bodyB.m_jointList=i.m_edgeB;var o=t.bodyA;var e=t.bodyB;if(t.collideConnected==false){var n=e.GetContactList();while(n){if(n.other==o){n.contact.FlagForFiltering()}n=n.next}}return i};ri.prototype.DestroyJoint=function(t){var i=t.m_collideConnected;if(t.m_prev){t.m_prev.m_next=t.m_next}if(t.m_next){t.m_next.m_prev=t.m_prev}if(t==this.m_jointList){this.m_jointList=t.m_next}var o=t.m_bodyA;var e=t.m_bodyB;o.SetAwake(true);e.SetAwake(true);if(t.m_edgeA.prev){t.m_edgeA.prev.next=t.m_edgeA.next}if(t.m_edgeA.next){t.m_edgeA.next.prev=t.m_edgeA.prev}if(t.m_edgeA==o.m_jointList){o.m_jointList=t.m_edgeA.next}t.m_edgeA.prev=null;t.m_edgeA.next=null;if(t.m_edgeB.prev){t.m_edgeB.prev.next=t.m_edgeB.next}if(t.m_edgeB.next){t.m_edgeB.next.prev=t.m_edgeB.prev}if(t.m_edgeB==e.m_jointList){e.m_jointList=t.m_edgeB.next}t.m_edgeB.prev=null;t.m_edgeB.next=null;Ii.Destroy(t,null);--this.m_jointCount;if(i==false){var n=e.GetContactList();while(n){if(n.other==o){n.contact.FlagForFiltering()}n=n.next}}};ri.prototype.AddController=function(t){t.m_next=this.m_controllerList;t.m_prev=null;this.m_controllerList=t;t.m_world=this;this.m_controllerCount++;return t};ri.prototype.RemoveController=function(t){if(t.m_prev)t.m_prev.m_next=t.m_next;if(t.m_next)t.m_next.m_prev=t.m_prev;if(this.m_controllerList==t)this.m_controllerList=t.m_next;this.m_controllerCount--};ri.prototype.CreateController=function(t){if(t.m_world!=this)throw new Error("Controller can only be a member of one world");t.m_next=this.m_controllerList;t.m_prev=null;if(this.m_controllerList)this.m_controllerList.m_prev=t;this.m_controllerList=t;++this.m_controllerCount;t.m_world=this;return t};ri.prototype.DestroyController=function(t){t.Clear();if(t.m_next)t.m_next.m_prev=t.m_prev;if(t.m_prev)t.m_prev.m_next=t.m_next;if(t==this.m_controllerList)this.m_controllerList=t.m_next;--this.m_controllerCount};ri.prototype.SetWarmStarting=function(t){ri.m_warmStarting=t};ri.prototype.SetContinuousPhysics=function(t){ri.m_continuousPhysics=t};ri.prototype.GetBodyCount=function(){return this.m_bodyCount};ri.prototype.GetJointCount=function(){return this.m_jointCount};ri.prototype.GetContactCount=function(){return this.m_contactCount};ri.prototype.SetGravity=function(t){this.m_gravity=t};ri.prototype.GetGravity=function(){return this.m_gravity};ri.prototype.GetGroundBody=function(){return this.m_groundBody};ri.prototype.Step=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;if(this.m_flags&ri.e_newFixture){this.m_contactManager.FindNewContacts();this.m_flags&=~ri.e_newFixture}this.m_flags|=ri.e_locked;var e=ri.s_timestep2;e.dt=t;e.velocityIterations=i;e.positionIterations=o;if(t>0){e.inv_dt=1/t}else{e.inv_dt=0}e.dtRatio=this.m_inv_dt0*t;e.warmStarting=ri.m_warmStarting;this.m_contactManager.Collide();if(e.dt>0){this.Solve(e)}if(ri.m_continuousPhysics&&e.dt>0){this.SolveTOI(e)}if(e.dt>0){this.m_inv_dt0=e.inv_dt}this.m_flags&=~ri.e_locked};ri.prototype.ClearForces=function(){for(var t=this.m_bodyList;t;t=t.m_next){t.m_force.SetZero();t.m_torque=0}};ri.prototype.DrawDebugData=function(){if(this.m_debugDraw==null){return}this.m_debugDraw.m_sprite.graphics.clear();var t=this.m_debugDraw.GetFlags();var i=0;var o;var e;var n;var s;var a;var m=new r;var c=new r;var _=new r;var p;var u=new h;var y=new h;var x=[new r,new r,new r,new r];var f=new l(0,0,0);if(t&$.e_shapeBit){for(o=this.m_bodyList;o;o=o.m_next){p=o.m_xf;for(e=o.GetFixtureList();e;e=e.m_next){n=e.GetShape();if(o.IsActive()==false){f.Set(.5,.5,.3);this.DrawShape(n,p,f)}else if(o.GetType()==W.b2_staticBody){f.Set(.5,.9,.5);this.DrawShape(n,p,f)}else if(o.GetType()==W.b2_kinematicBody){f.Set(.5,.5,.9);this.DrawShape(n,p,f)}else if(o.IsAwake()==false){f.Set(.6,.6,.6);this.DrawShape(n,p,f)}else{f.Set(.9,.7,.7);this.DrawShape(n,p,f)}}}}if(t&$.e_jointBit){for(s=this.m_jointList;s;s=s.m_next){this.DrawJoint(s)}}if(t&$.e_controllerBit){for(var v=this.m_controllerList;v;v=v.m_next){v.Draw(this.m_debugDraw)}}if(t&$.e_pairBit){f.Set(.3,.9,.9);for(var d=this.m_contactManager.m_contactList;d;d=d.GetNext()){var b=d.GetFixtureA();var D=d.GetFixtureB();var B=b.GetAABB().GetCenter();var C=D.GetAABB().GetCenter();this.m_debugDraw.DrawSegment(B,C,f)}}if(t&$.e_aabbBit){a=this.m_contactManager.m_broadPhase;x=[new r,new r,new r,new r];for(o=this.m_bodyList;o;o=o.GetNext()){if(o.IsActive()==false){continue}for(e=o.GetFixtureList();e;e=e.GetNext()){var g=a.GetFatAABB(e.m_proxy);x[0].Set(g.lowerBound.x,g.lowerBound.y);x[1].Set(g.upperBound.x,g.lowerBound.y);x[2].Set(g.upperBound.x,g.upperBound.y);x[3].Set(g.lowerBound.x,g.upperBound.y);this.m_debugDraw.DrawPolygon(x,4,f)}}}if(t&$.e_centerOfMassBit){for(o=this.m_bodyList;o;o=o.m_next){p=ri.s_xf;p.R=o.m_xf.R;p.position=o.GetWorldCenter();this.m_debugDraw.DrawTransform(p)}}};ri.prototype.QueryAABB=function(t,i){var o=this;var e=o.m_contactManager.m_broadPhase;function n(i){return t(e.GetUserData(i))}e.Query(n,i)};ri.prototype.QueryShape=function(t,i,o){var e=this;if(o===undefined)o=null;if(o==null){o=new s;o.SetIdentity()}var n=e.m_contactManager.m_broadPhase;function r(e){var s=n.GetUserData(e)instanceof oi?n.GetUserData(e):null;if(K.TestOverlap(i,o,s.GetShape(),s.GetBody().GetTransform()))return t(s);return true}var a=new h;i.ComputeAABB(a,o);n.Query(r,a)};ri.prototype.QueryPoint=function(t,i){var o=this;var e=o.m_contactManager.m_broadPhase;function n(o){var n=e.GetUserData(o)instanceof oi?e.GetUserData(o):null;if(n.TestPoint(i))return t(n);return true}var s=new h;s.lowerBound.Set(i.x-c.b2_linearSlop,i.y-c.b2_linearSlop);s.upperBound.Set(i.x+c.b2_linearSlop,i.y+c.b2_linearSlop);e.Query(n,s)};ri.prototype.RayCast=function(t,i,o){var e=this;var n=e.m_contactManager.m_broadPhase;var s=new V;function a(e,a){var l=n.GetUserData(a);var m=l instanceof oi?l:null;var c=m.RayCast(s,e);if(c){var h=s.fraction;var _=new r((1-h)*i.x+h*o.x,(1-h)*i.y+h*o.y);return t(m,_,s.normal,h)}return e.maxFraction}var l=new M(i,o);n.RayCast(a,l)};ri.prototype.RayCastOne=function(t,i){var o=this;var e;function n(t,i,o,n){if(n===undefined)n=0;e=t;return n}o.RayCast(n,t,i);return e};ri.prototype.RayCastAll=function(t,i){var o=this;var e=new Box2D.Vector;function n(t,i,o,n){if(n===undefined)n=0;e[e.length]=t;return 1}o.RayCast(n,t,i);return e};ri.prototype.GetBodyList=function(){return this.m_bodyList};ri.prototype.GetJointList=function(){return this.m_jointList};ri.prototype.GetContactList=function(){return this.m_contactList};ri.prototype.IsLocked=function(){return(this.m_flags&ri.e_locked)>0};ri.prototype.Solve=function(t){var i;for(var o=this.m_controllerList;o;o=o.m_next){o.Step(t)}var e=this.m_island;e.Initialize(this.m_bodyCount,this.m_contactCount,this.m_jointCount,null,this.m_contactManager.m_contactListener,this.m_contactSolver);for(i=this.m_bodyList;i;i=i.m_next){i.m_flags&=~W.e_islandFlag}for(var n=this.m_contactList;n;n=n.m_next){n.m_flags&=~li.e_islandFlag}for(var s=this.m_jointList;s;s=s.m_next){s.m_islandFlag=false}var r=parseInt(this.m_bodyCount);var a=this.s_stack;for(var l=this.m_bodyList;l;l=l.m_next){if(l.m_flags&W.e_islandFlag){continue}if(l.IsAwake()==false||l.IsActive()==false){continue}if(l.GetType()==W.b2_staticBody){continue}e.Clear();var m=0;a[m++]=l;l.m_flags|=W.e_islandFlag;while(m>0){i=a[--m];e.AddBody(i);if(i.IsAwake()==false){i.SetAwake(true)}if(i.GetType()==W.b2_staticBody){continue}var c;for(var h=i.m_contactList;h;h=h.next){if(h.contact.m_flags&li.e_islandFlag){continue
-}if(h.contact.IsSensor()==true||h.contact.IsEnabled()==false||h.contact.IsTouching()==false){continue}e.AddContact(h.contact);h.contact.m_flags|=li.e_islandFlag;c=h.other;if(c.m_flags&W.e_islandFlag){continue}a[m++]=c;c.m_flags|=W.e_islandFlag}for(var _=i.m_jointList;_;_=_.next){if(_.joint.m_islandFlag==true){continue}c=_.other;if(c.IsActive()==false){continue}e.AddJoint(_.joint);_.joint.m_islandFlag=true;if(c.m_flags&W.e_islandFlag){continue}a[m++]=c;c.m_flags|=W.e_islandFlag}}e.Solve(t,this.m_gravity,this.m_allowSleep);for(var p=0;p<e.m_bodyCount;++p){i=e.m_bodies[p];if(i.GetType()==W.b2_staticBody){i.m_flags&=~W.e_islandFlag}}}for(p=0;p<a.length;++p){if(!a[p])break;a[p]=null}for(i=this.m_bodyList;i;i=i.m_next){if(i.IsAwake()==false||i.IsActive()==false){continue}if(i.GetType()==W.b2_staticBody){continue}i.SynchronizeFixtures()}this.m_contactManager.FindNewContacts()};ri.prototype.SolveTOI=function(t){var i;var o;var e;var n;var s;var r;var a;var l=this.m_island;l.Initialize(this.m_bodyCount,c.b2_maxTOIContactsPerIsland,c.b2_maxTOIJointsPerIsland,null,this.m_contactManager.m_contactListener,this.m_contactSolver);var m=ri.s_queue;for(i=this.m_bodyList;i;i=i.m_next){i.m_flags&=~W.e_islandFlag;i.m_sweep.t0=0}var h;for(h=this.m_contactList;h;h=h.m_next){h.m_flags&=~(li.e_toiFlag|li.e_islandFlag)}for(a=this.m_jointList;a;a=a.m_next){a.m_islandFlag=false}for(;;){var _=null;var p=1;for(h=this.m_contactList;h;h=h.m_next){if(h.IsSensor()==true||h.IsEnabled()==false||h.IsContinuous()==false){continue}var u=1;if(h.m_flags&li.e_toiFlag){u=h.m_toi}else{o=h.m_fixtureA;e=h.m_fixtureB;n=o.m_body;s=e.m_body;if((n.GetType()!=W.b2_dynamicBody||n.IsAwake()==false)&&(s.GetType()!=W.b2_dynamicBody||s.IsAwake()==false)){continue}var y=n.m_sweep.t0;if(n.m_sweep.t0<s.m_sweep.t0){y=s.m_sweep.t0;n.m_sweep.Advance(y)}else if(s.m_sweep.t0<n.m_sweep.t0){y=n.m_sweep.t0;s.m_sweep.Advance(y)}u=h.ComputeTOI(n.m_sweep,s.m_sweep);c.b2Assert(0<=u&&u<=1);if(u>0&&u<1){u=(1-u)*y+u;if(u>1)u=1}h.m_toi=u;h.m_flags|=li.e_toiFlag}if(Number.MIN_VALUE<u&&u<p){_=h;p=u}}if(_==null||1-100*Number.MIN_VALUE<p){break}o=_.m_fixtureA;e=_.m_fixtureB;n=o.m_body;s=e.m_body;ri.s_backupA.Set(n.m_sweep);ri.s_backupB.Set(s.m_sweep);n.Advance(p);s.Advance(p);_.Update(this.m_contactManager.m_contactListener);_.m_flags&=~li.e_toiFlag;if(_.IsSensor()==true||_.IsEnabled()==false){n.m_sweep.Set(ri.s_backupA);s.m_sweep.Set(ri.s_backupB);n.SynchronizeTransform();s.SynchronizeTransform();continue}if(_.IsTouching()==false){continue}var x=n;if(x.GetType()!=W.b2_dynamicBody){x=s}l.Clear();var f=0;var v=0;m[f+v++]=x;x.m_flags|=W.e_islandFlag;while(v>0){i=m[f++];--v;l.AddBody(i);if(i.IsAwake()==false){i.SetAwake(true)}if(i.GetType()!=W.b2_dynamicBody){continue}for(r=i.m_contactList;r;r=r.next){if(l.m_contactCount==l.m_contactCapacity){break}if(r.contact.m_flags&li.e_islandFlag){continue}if(r.contact.IsSensor()==true||r.contact.IsEnabled()==false||r.contact.IsTouching()==false){continue}l.AddContact(r.contact);r.contact.m_flags|=li.e_islandFlag;var d=r.other;if(d.m_flags&W.e_islandFlag){continue}if(d.GetType()!=W.b2_staticBody){d.Advance(p);d.SetAwake(true)}m[f+v]=d;++v;d.m_flags|=W.e_islandFlag}for(var b=i.m_jointList;b;b=b.next){if(l.m_jointCount==l.m_jointCapacity)continue;if(b.joint.m_islandFlag==true)continue;d=b.other;if(d.IsActive()==false){continue}l.AddJoint(b.joint);b.joint.m_islandFlag=true;if(d.m_flags&W.e_islandFlag)continue;if(d.GetType()!=W.b2_staticBody){d.Advance(p);d.SetAwake(true)}m[f+v]=d;++v;d.m_flags|=W.e_islandFlag}}var D=ri.s_timestep;D.warmStarting=false;D.dt=(1-p)*t.dt;D.inv_dt=1/D.dt;D.dtRatio=0;D.velocityIterations=t.velocityIterations;D.positionIterations=t.positionIterations;l.SolveTOI(D);var B=0;for(B=0;B<l.m_bodyCount;++B){i=l.m_bodies[B];i.m_flags&=~W.e_islandFlag;if(i.IsAwake()==false){continue}if(i.GetType()!=W.b2_dynamicBody){continue}i.SynchronizeFixtures();for(r=i.m_contactList;r;r=r.next){r.contact.m_flags&=~li.e_toiFlag}}for(B=0;B<l.m_contactCount;++B){h=l.m_contacts[B];h.m_flags&=~(li.e_toiFlag|li.e_islandFlag)}for(B=0;B<l.m_jointCount;++B){a=l.m_joints[B];a.m_islandFlag=false}this.m_contactManager.FindNewContacts()}};ri.prototype.DrawJoint=function(t){var i=t.GetBodyA();var o=t.GetBodyB();var e=i.m_xf;var n=o.m_xf;var s=e.position;var r=n.position;var a=t.GetAnchorA();var l=t.GetAnchorB();var m=ri.s_jointColor;switch(t.m_type){case Ii.e_distanceJoint:this.m_debugDraw.DrawSegment(a,l,m);break;case Ii.e_pulleyJoint:{var c=t instanceof Ni?t:null;var h=c.GetGroundAnchorA();var _=c.GetGroundAnchorB();this.m_debugDraw.DrawSegment(h,a,m);this.m_debugDraw.DrawSegment(_,l,m);this.m_debugDraw.DrawSegment(h,_,m)}break;case Ii.e_mouseJoint:this.m_debugDraw.DrawSegment(a,l,m);break;default:if(i!=this.m_groundBody)this.m_debugDraw.DrawSegment(s,a,m);this.m_debugDraw.DrawSegment(a,l,m);if(o!=this.m_groundBody)this.m_debugDraw.DrawSegment(r,l,m)}};ri.prototype.DrawShape=function(t,i,o){switch(t.m_type){case K.e_circleShape:{var n=t instanceof E?t:null;var s=e.MulX(i,n.m_p);var r=n.m_radius;var a=i.R.col1;this.m_debugDraw.DrawSolidCircle(s,r,a,o)}break;case K.e_polygonShape:{var l=0;var m=t instanceof q?t:null;var c=parseInt(m.GetVertexCount());var h=m.GetVertices();var _=new Box2D.Vector(c);for(l=0;l<c;++l){_[l]=e.MulX(i,h[l])}this.m_debugDraw.DrawSolidPolygon(_,c,o)}break;case K.e_edgeShape:{var p=t instanceof O?t:null;this.m_debugDraw.DrawSegment(e.MulX(i,p.GetVertex1()),e.MulX(i,p.GetVertex2()),o)}break}};Box2D.postDefs.push(function(){Box2D.Dynamics.b2World.s_timestep2=new si;Box2D.Dynamics.b2World.s_xf=new s;Box2D.Dynamics.b2World.s_backupA=new n;Box2D.Dynamics.b2World.s_backupB=new n;Box2D.Dynamics.b2World.s_timestep=new si;Box2D.Dynamics.b2World.s_queue=new Box2D.Vector;Box2D.Dynamics.b2World.s_jointColor=new l(.5,.8,.8);Box2D.Dynamics.b2World.e_newFixture=1;Box2D.Dynamics.b2World.e_locked=2})})();(function(){var t=Box2D.Collision.Shapes.b2CircleShape,i=Box2D.Collision.Shapes.b2EdgeChainDef,o=Box2D.Collision.Shapes.b2EdgeShape,e=Box2D.Collision.Shapes.b2MassData,n=Box2D.Collision.Shapes.b2PolygonShape,s=Box2D.Collision.Shapes.b2Shape,r=Box2D.Dynamics.Contacts.b2CircleContact,a=Box2D.Dynamics.Contacts.b2Contact,l=Box2D.Dynamics.Contacts.b2ContactConstraint,m=Box2D.Dynamics.Contacts.b2ContactConstraintPoint,c=Box2D.Dynamics.Contacts.b2ContactEdge,h=Box2D.Dynamics.Contacts.b2ContactFactory,_=Box2D.Dynamics.Contacts.b2ContactRegister,p=Box2D.Dynamics.Contacts.b2ContactResult,u=Box2D.Dynamics.Contacts.b2ContactSolver,y=Box2D.Dynamics.Contacts.b2EdgeAndCircleContact,x=Box2D.Dynamics.Contacts.b2NullContact,f=Box2D.Dynamics.Contacts.b2PolyAndCircleContact,v=Box2D.Dynamics.Contacts.b2PolyAndEdgeContact,d=Box2D.Dynamics.Contacts.b2PolygonContact,b=Box2D.Dynamics.Contacts.b2PositionSolverManifold,D=Box2D.Dynamics.b2Body,B=Box2D.Dynamics.b2BodyDef,C=Box2D.Dynamics.b2ContactFilter,g=Box2D.Dynamics.b2ContactImpulse,A=Box2D.Dynamics.b2ContactListener,S=Box2D.Dynamics.b2ContactManager,w=Box2D.Dynamics.b2DebugDraw,M=Box2D.Dynamics.b2DestructionListener,V=Box2D.Dynamics.b2FilterData,I=Box2D.Dynamics.b2Fixture,G=Box2D.Dynamics.b2FixtureDef,L=Box2D.Dynamics.b2Island,J=Box2D.Dynamics.b2TimeStep,F=Box2D.Dynamics.b2World,P=Box2D.Common.b2Color,R=Box2D.Common.b2internal,T=Box2D.Common.b2Settings,k=Box2D.Common.Math.b2Mat22,N=Box2D.Common.Math.b2Mat33,z=Box2D.Common.Math.b2Math,E=Box2D.Common.Math.b2Sweep,j=Box2D.Common.Math.b2Transform,O=Box2D.Common.Math.b2Vec2,U=Box2D.Common.Math.b2Vec3,q=Box2D.Collision.b2AABB,K=Box2D.Collision.b2Bound,W=Box2D.Collision.b2BoundValues,X=Box2D.Collision.b2Collision,Z=Box2D.Collision.b2ContactID,H=Box2D.Collision.b2ContactPoint,Y=Box2D.Collision.b2Distance,Q=Box2D.Collision.b2DistanceInput,$=Box2D.Collision.b2DistanceOutput,ti=Box2D.Collision.b2DistanceProxy,ii=Box2D.Collision.b2DynamicTree,oi=Box2D.Collision.b2DynamicTreeBroadPhase,ei=Box2D.Collision.b2DynamicTreeNode,ni=Box2D.Collision.b2DynamicTreePair,si=Box2D.Collision.b2Manifold,ri=Box2D.Collision.b2ManifoldPoint,ai=Box2D.Collision.b2Point,li=Box2D.Collision.b2RayCastInput,mi=Box2D.Collision.b2RayCastOutput,ci=Box2D.Collision.b2Segment,hi=Box2D.Collision.b2SeparationFunction,_i=Box2D.Collision.b2Simplex,pi=Box2D.Collision.b2SimplexCache,ui=Box2D.Collision.b2SimplexVertex,yi=Box2D.Collision.b2TimeOfImpact,xi=Box2D.Collision.b2TOIInput,fi=Box2D.Collision.b2WorldManifold,vi=Box2D.Collision.ClipVertex,di=Box2D.Collision.Features,bi=Box2D.Collision.IBroadPhase;Box2D.inherit(r,Box2D.Dynamics.Contacts.b2Contact);r.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;r.b2CircleContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};r.Create=function(t){return new r};r.Destroy=function(t,i){};r.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i)};r.prototype.Evaluate=function(){var i=this.m_fixtureA.GetBody();var o=this.m_fixtureB.GetBody();X.CollideCircles(this.m_manifold,this.m_fixtureA.GetShape()instanceof t?this.m_fixtureA.GetShape():null,i.m_xf,this.m_fixtureB.GetShape()instanceof t?this.m_fixtureB.GetShape():null,o.m_xf)};a.b2Contact=function(){this.m_nodeA=new c;this.m_nodeB=new c;this.m_manifold=new si;this.m_oldManifold=new si};a.prototype.GetManifold=function(){return this.m_manifold};a.prototype.GetWorldManifold=function(t){var i=this.m_fixtureA.GetBody();var o=this.m_fixtureB.GetBody();var e=this.m_fixtureA.GetShape();var n=this.m_fixtureB.GetShape();t.Initialize(this.m_manifold,i.GetTransform(),e.m_radius,o.GetTransform(),n.m_radius)};a.prototype.IsTouching=function(){return(this.m_flags&a.e_touchingFlag)==a.e_touchingFlag};a.prototype.IsContinuous=function(){return(this.m_flags&a.e_continuousFlag)==a.e_continuousFlag};a.prototype.SetSensor=function(t){if(t){this.m_flags|=a.e_sensorFlag}else{this.m_flags&=~a.e_sensorFlag}};a.prototype.IsSensor=function(){return(this.m_flags&a.e_sensorFlag)==a.e_sensorFlag};a.prototype.SetEnabled=function(t){if(t){this.m_flags|=a.e_enabledFlag}else{this.m_flags&=~a.e_enabledFlag}};a.prototype.IsEnabled=function(){return(this.m_flags&a.e_enabledFlag)==a.e_enabledFlag};a.prototype.GetNext=function(){return this.m_next};a.prototype.GetFixtureA=function(){return this.m_fixtureA};a.prototype.GetFixtureB=function(){return this.m_fixtureB};a.prototype.FlagForFiltering=function(){this.m_flags|=a.e_filterFlag};a.prototype.b2Contact=function(){};a.prototype.Reset=function(t,i){if(t===undefined)t=null;if(i===undefined)i=null;this.m_flags=a.e_enabledFlag;if(!t||!i){this.m_fixtureA=null;this.m_fixtureB=null;return}if(t.IsSensor()||i.IsSensor()){this.m_flags|=a.e_sensorFlag}var o=t.GetBody();var e=i.GetBody();if(o.GetType()!=D.b2_dynamicBody||o.IsBullet()||e.GetType()!=D.b2_dynamicBody||e.IsBullet()){this.m_flags|=a.e_continuousFlag}this.m_fixtureA=t;this.m_fixtureB=i;this.m_manifold.m_pointCount=0;this.m_prev=null;this.m_next=null;this.m_nodeA.contact=null;this.m_nodeA.prev=null;this.m_nodeA.next=null;this.m_nodeA.other=null;this.m_nodeB.contact=null;this.m_nodeB.prev=null;this.m_nodeB.next=null;this.m_nodeB.other=null};a.prototype.Update=function(t){var i=this.m_oldManifold;this.m_oldManifold=this.m_manifold;this.m_manifold=i;this.m_flags|=a.e_enabledFlag;var o=false;var e=(this.m_flags&a.e_touchingFlag)==a.e_touchingFlag;var n=this.m_fixtureA.m_body;var r=this.m_fixtureB.m_body;var l=this.m_fixtureA.m_aabb.TestOverlap(this.m_fixtureB.m_aabb);if(this.m_flags&a.e_sensorFlag){if(l){var m=this.m_fixtureA.GetShape();var c=this.m_fixtureB.GetShape();var h=n.GetTransform();var _=r.GetTransform();o=s.TestOverlap(m,h,c,_)}this.m_manifold.m_pointCount=0}else{if(n.GetType()!=D.b2_dynamicBody||n.IsBullet()||r.GetType()!=D.b2_dynamicBody||r.IsBullet()){this.m_flags|=a.e_continuousFlag}else{this.m_flags&=~a.e_continuousFlag}if(l){this.Evaluate();o=this.m_manifold.m_pointCount>0;for(var p=0;p<this.m_manifold.m_pointCount;++p){var u=this.m_manifold.m_points[p];u.m_normalImpulse=0;u.m_tangentImpulse=0;var y=u.m_id;for(var x=0;x<this.m_oldManifold.m_pointCount;++x){var f=this.m_oldManifold.m_points[x];if(f.m_id.key==y.key){u.m_normalImpulse=f.m_normalImpulse;u.m_tangentImpulse=f.m_tangentImpulse;break}}}}else{this.m_manifold.m_pointCount=0}if(o!=e){n.SetAwake(true);r.SetAwake(true)}}if(o){this.m_flags|=a.e_touchingFlag}else{this.m_flags&=~a.e_touchingFlag}if(e==false&&o==true){t.BeginContact(this)}if(e==true&&o==false){t.EndContact(this)}if((this.m_flags&a.e_sensorFlag)==0){t.PreSolve(this,this.m_oldManifold)}};a.prototype.Evaluate=function(){};a.prototype.ComputeTOI=function(t,i){a.s_input.proxyA.Set(this.m_fixtureA.GetShape());a.s_input.proxyB.Set(this.m_fixtureB.GetShape());a.s_input.sweepA=t;a.s_input.sweepB=i;a.s_input.tolerance=T.b2_linearSlop;return yi.TimeOfImpact(a.s_input)};Box2D.postDefs.push(function(){Box2D.Dynamics.Contacts.b2Contact.e_sensorFlag=1;Box2D.Dynamics.Contacts.b2Contact.e_continuousFlag=2;Box2D.Dynamics.Contacts.b2Contact.e_islandFlag=4;Box2D.Dynamics.Contacts.b2Contact.e_toiFlag=8;Box2D.Dynamics.Contacts.b2Contact.e_touchingFlag=16;Box2D.Dynamics.Contacts.b2Contact.e_enabledFlag=32;Box2D.Dynamics.Contacts.b2Contact.e_filterFlag=64;Box2D.Dynamics.Contacts.b2Contact.s_input=new xi});l.b2ContactConstraint=function(){this.localPlaneNormal=new O;this.localPoint=new O;this.normal=new O;this.normalMass=new k;this.K=new k};l.prototype.b2ContactConstraint=function(){this.points=new Box2D.Vector(T.b2_maxManifoldPoints);for(var t=0;t<T.b2_maxManifoldPoints;t++){this.points[t]=new m}};m.b2ContactConstraintPoint=function(){this.localPoint=new O;this.rA=new O;this.rB=new O};c.b2ContactEdge=function(){};h.b2ContactFactory=function(){};h.prototype.b2ContactFactory=function(t){this.m_allocator=t;this.InitializeRegisters()};h.prototype.AddType=function(t,i,o,e){if(o===undefined)o=0;if(e===undefined)e=0;this.m_registers[o][e].createFcn=t;this.m_registers[o][e].destroyFcn=i;this.m_registers[o][e].primary=true;if(o!=e){this.m_registers[e][o].createFcn=t;this.m_registers[e][o].destroyFcn=i;this.m_registers[e][o].primary=false}};h.prototype.InitializeRegisters=function(){this.m_registers=new Box2D.Vector(s.e_shapeTypeCount);for(var t=0;t<s.e_shapeTypeCount;t++){this.m_registers[t]=new Box2D.Vector(s.e_shapeTypeCount);for(var i=0;i<s.e_shapeTypeCount;i++){this.m_registers[t][i]=new _}}this.AddType(r.Create,r.Destroy,s.e_circleShape,s.e_circleShape);this.AddType(f.Create,f.Destroy,s.e_polygonShape,s.e_circleShape);this.AddType(d.Create,d.Destroy,s.e_polygonShape,s.e_polygonShape);this.AddType(y.Create,y.Destroy,s.e_edgeShape,s.e_circleShape);this.AddType(v.Create,v.Destroy,s.e_polygonShape,s.e_edgeShape)};h.prototype.Create=function(t,i){var o=parseInt(t.GetType());var e=parseInt(i.GetType());var n=this.m_registers[o][e];var s;if(n.pool){s=n.pool;n.pool=s.m_next;n.poolCount--;s.Reset(t,i);return s}var r=n.createFcn;if(r!=null){if(n.primary){s=r(this.m_allocator);s.Reset(t,i);return s}else{s=r(this.m_allocator);s.Reset(i,t);return s}}else{return null}};h.prototype.Destroy=function(t){if(t.m_manifold.m_pointCount>0){t.m_fixtureA.m_body.SetAwake(true);t.m_fixtureB.m_body.SetAwake(true)}var i=parseInt(t.m_fixtureA.GetType());var o=parseInt(t.m_fixtureB.GetType());var e=this.m_registers[i][o];if(true){e.poolCount++;t.m_next=e.pool;e.pool=t}var n=e.destroyFcn;n(t,this.m_allocator)};_.b2ContactRegister=function(){};p.b2ContactResult=function(){this.position=new O;this.normal=new O;this.id=new Z};u.b2ContactSolver=function(){this.m_step=new J;this.m_constraints=new Box2D.Vector};u.prototype.b2ContactSolver=function(){};u.prototype.Initialize=function(t,i,o,e){if(o===undefined)o=0;var n;this.m_step.Set(t);this.m_allocator=e;var s=0;var r;var a;this.m_constraintCount=o;while(this.m_constraints.length<this.m_constraintCount){this.m_constraints[this.m_constraints.length]=new l}for(s=0;s<o;++s){n=i[s];var m=n.m_fixtureA;var c=n.m_fixtureB;var h=m.m_shape;var _=c.m_shape;var p=h.m_radius;var y=_.m_radius;var x=m.m_body;var f=c.m_body;var v=n.GetManifold();var d=T.b2MixFriction(m.GetFriction(),c.GetFriction());var b=T.b2MixRestitution(m.GetRestitution(),c.GetRestitution());var D=x.m_linearVelocity.x;var B=x.m_linearVelocity.y;var C=f.m_linearVelocity.x;var g=f.m_linearVelocity.y;var A=x.m_angularVelocity;var S=f.m_angularVelocity;T.b2Assert(v.m_pointCount>0);u.s_worldManifold.Initialize(v,x.m_xf,p,f.m_xf,y);var w=u.s_worldManifold.m_normal.x;var M=u.s_worldManifold.m_normal.y;var V=this.m_constraints[s];V.bodyA=x;V.bodyB=f;V.manifold=v;V.normal.x=w;V.normal.y=M;V.pointCount=v.m_pointCount;V.friction=d;V.restitution=b;V.localPlaneNormal.x=v.m_localPlaneNormal.x;V.localPlaneNormal.y=v.m_localPlaneNormal.y;V.localPoint.x=v.m_localPoint.x;V.localPoint.y=v.m_localPoint.y;V.radius=p+y;V.type=v.m_type;for(var I=0;I<V.pointCount;++I){var G=v.m_points[I];var L=V.points[I];L.normalImpulse=G.m_normalImpulse;L.tangentImpulse=G.m_tangentImpulse;L.localPoint.SetV(G.m_localPoint);var J=L.rA.x=u.s_worldManifold.m_points[I].x-x.m_sweep.c.x;var F=L.rA.y=u.s_worldManifold.m_points[I].y-x.m_sweep.c.y;var P=L.rB.x=u.s_worldManifold.m_points[I].x-f.m_sweep.c.x;var R=L.rB.y=u.s_worldManifold.m_points[I].y-f.m_sweep.c.y;var k=J*M-F*w;var N=P*M-R*w;k*=k;N*=N;var z=x.m_invMass+f.m_invMass+x.m_invI*k+f.m_invI*N;L.normalMass=1/z;var E=x.m_mass*x.m_invMass+f.m_mass*f.m_invMass;E+=x.m_mass*x.m_invI*k+f.m_mass*f.m_invI*N;L.equalizedMass=1/E;var j=M;var O=-w;var U=J*O-F*j;var q=P*O-R*j;U*=U;q*=q;var K=x.m_invMass+f.m_invMass+x.m_invI*U+f.m_invI*q;L.tangentMass=1/K;L.velocityBias=0;var W=C+-S*R-D- -A*F;var X=g+S*P-B-A*J;var Z=V.normal.x*W+V.normal.y*X;if(Z<-T.b2_velocityThreshold){L.velocityBias+=-V.restitution*Z}}if(V.pointCount==2){var H=V.points[0];var Y=V.points[1];var Q=x.m_invMass;var $=x.m_invI;var ti=f.m_invMass;var ii=f.m_invI;var oi=H.rA.x*M-H.rA.y*w;var ei=H.rB.x*M-H.rB.y*w;var ni=Y.rA.x*M-Y.rA.y*w;var si=Y.rB.x*M-Y.rB.y*w;var ri=Q+ti+$*oi*oi+ii*ei*ei;var ai=Q+ti+$*ni*ni+ii*si*si;var li=Q+ti+$*oi*ni+ii*ei*si;var mi=100;if(ri*ri<mi*(ri*ai-li*li)){V.K.col1.Set(ri,li);V.K.col2.Set(li,ai);V.K.GetInverse(V.normalMass)}else{V.pointCount=1}}}};u.prototype.InitVelocityConstraints=function(t){var i;var o;var e;for(var n=0;n<this.m_constraintCount;++n){var s=this.m_constraints[n];var r=s.bodyA;var a=s.bodyB;var l=r.m_invMass;var m=r.m_invI;var c=a.m_invMass;var h=a.m_invI;var _=s.normal.x;var p=s.normal.y;var u=p;var y=-_;var x=0;var f=0;var v=0;if(t.warmStarting){v=s.pointCount;for(f=0;f<v;++f){var d=s.points[f];d.normalImpulse*=t.dtRatio;d.tangentImpulse*=t.dtRatio;var b=d.normalImpulse*_+d.tangentImpulse*u;var D=d.normalImpulse*p+d.tangentImpulse*y;r.m_angularVelocity-=m*(d.rA.x*D-d.rA.y*b);r.m_linearVelocity.x-=l*b;r.m_linearVelocity.y-=l*D;a.m_angularVelocity+=h*(d.rB.x*D-d.rB.y*b);a.m_linearVelocity.x+=c*b;a.m_linearVelocity.y+=c*D}}else{v=s.pointCount;for(f=0;f<v;++f){var B=s.points[f];B.normalImpulse=0;B.tangentImpulse=0}}}};u.prototype.SolveVelocityConstraints=function(){var t=0;var i;var o=0;var e=0;var n=0;var s=0;var r=0;var a=0;var l=0;var m=0;var c=0;var h=0;var _=0;var p=0;var u=0;var y=0;var x=0;var f=0;var v=0;var d=0;var b=0;var D;var B;for(var C=0;C<this.m_constraintCount;++C){var g=this.m_constraints[C];var A=g.bodyA;var S=g.bodyB;var w=A.m_angularVelocity;var M=S.m_angularVelocity;var V=A.m_linearVelocity;var I=S.m_linearVelocity;var G=A.m_invMass;var L=A.m_invI;var J=S.m_invMass;var F=S.m_invI;var P=g.normal.x;var R=g.normal.y;var T=R;var k=-P;var N=g.friction;var E=0;for(t=0;t<g.pointCount;t++){i=g.points[t];r=I.x-M*i.rB.y-V.x+w*i.rA.y;a=I.y+M*i.rB.x-V.y-w*i.rA.x;m=r*T+a*k;c=i.tangentMass*-m;h=N*i.normalImpulse;_=z.Clamp(i.tangentImpulse+c,-h,h);c=_-i.tangentImpulse;p=c*T;u=c*k;V.x-=G*p;V.y-=G*u;w-=L*(i.rA.x*u-i.rA.y*p);I.x+=J*p;I.y+=J*u;M+=F*(i.rB.x*u-i.rB.y*p);i.tangentImpulse=_}var j=parseInt(g.pointCount);if(g.pointCount==1){i=g.points[0];r=I.x+-M*i.rB.y-V.x- -w*i.rA.y;a=I.y+M*i.rB.x-V.y-w*i.rA.x;l=r*P+a*R;c=-i.normalMass*(l-i.velocityBias);_=i.normalImpulse+c;_=_>0?_:0;c=_-i.normalImpulse;p=c*P;u=c*R;V.x-=G*p;V.y-=G*u;w-=L*(i.rA.x*u-i.rA.y*p);I.x+=J*p;I.y+=J*u;M+=F*(i.rB.x*u-i.rB.y*p);i.normalImpulse=_}else{var O=g.points[0];var U=g.points[1];var q=O.normalImpulse;var K=U.normalImpulse;var W=I.x-M*O.rB.y-V.x+w*O.rA.y;var X=I.y+M*O.rB.x-V.y-w*O.rA.x;var Z=I.x-M*U.rB.y-V.x+w*U.rA.y;var H=I.y+M*U.rB.x-V.y-w*U.rA.x;var Y=W*P+X*R;var Q=Z*P+H*R;var $=Y-O.velocityBias;var ti=Q-U.velocityBias;D=g.K;$-=D.col1.x*q+D.col2.x*K;ti-=D.col1.y*q+D.col2.y*K;var ii=.001;for(;;){D=g.normalMass;var oi=-(D.col1.x*$+D.col2.x*ti);var ei=-(D.col1.y*$+D.col2.y*ti);if(oi>=0&&ei>=0){y=oi-q;x=ei-K;f=y*P;v=y*R;d=x*P;b=x*R;V.x-=G*(f+d);V.y-=G*(v+b);w-=L*(O.rA.x*v-O.rA.y*f+U.rA.x*b-U.rA.y*d);I.x+=J*(f+d);I.y+=J*(v+b);M+=F*(O.rB.x*v-O.rB.y*f+U.rB.x*b-U.rB.y*d);O.normalImpulse=oi;U.normalImpulse=ei;break}oi=-O.normalMass*$;ei=0;Y=0;Q=g.K.col1.y*oi+ti;if(oi>=0&&Q>=0){y=oi-q;x=ei-K;f=y*P;v=y*R;d=x*P;b=x*R;V.x-=G*(f+d);V.y-=G*(v+b);w-=L*(O.rA.x*v-O.rA.y*f+U.rA.x*b-U.rA.y*d);I.x+=J*(f+d);I.y+=J*(v+b);M+=F*(O.rB.x*v-O.rB.y*f+U.rB.x*b-U.rB.y*d);O.normalImpulse=oi;U.normalImpulse=ei;break}oi=0;ei=-U.normalMass*ti;Y=g.K.col2.x*ei+$;Q=0;if(ei>=0&&Y>=0){y=oi-q;x=ei-K;f=y*P;v=y*R;d=x*P;b=x*R;V.x-=G*(f+d);V.y-=G*(v+b);w-=L*(O.rA.x*v-O.rA.y*f+U.rA.x*b-U.rA.y*d);I.x+=J*(f+d);I.y+=J*(v+b);M+=F*(O.rB.x*v-O.rB.y*f+U.rB.x*b-U.rB.y*d);O.normalImpulse=oi;U.normalImpulse=ei;break}oi=0;ei=0;Y=$;Q=ti;if(Y>=0&&Q>=0){y=oi-q;x=ei-K;f=y*P;v=y*R;d=x*P;b=x*R;V.x-=G*(f+d);V.y-=G*(v+b);w-=L*(O.rA.x*v-O.rA.y*f+U.rA.x*b-U.rA.y*d);I.x+=J*(f+d);I.y+=J*(v+b);M+=F*(O.rB.x*v-O.rB.y*f+U.rB.x*b-U.rB.y*d);O.normalImpulse=oi;U.normalImpulse=ei;break}break}}A.m_angularVelocity=w;S.m_angularVelocity=M}};u.prototype.FinalizeVelocityConstraints=function(){for(var t=0;t<this.m_constraintCount;++t){var i=this.m_constraints[t];var o=i.manifold;for(var e=0;e<i.pointCount;++e){var n=o.m_points[e];var s=i.points[e];n.m_normalImpulse=s.normalImpulse;n.m_tangentImpulse=s.tangentImpulse}}};u.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;for(var o=0;o<this.m_constraintCount;o++){var e=this.m_constraints[o];var n=e.bodyA;var s=e.bodyB;var r=n.m_mass*n.m_invMass;var a=n.m_mass*n.m_invI;var l=s.m_mass*s.m_invMass;var m=s.m_mass*s.m_invI;u.s_psm.Initialize(e);var c=u.s_psm.m_normal;for(var h=0;h<e.pointCount;h++){var _=e.points[h];var p=u.s_psm.m_points[h];var y=u.s_psm.m_separations[h];var x=p.x-n.m_sweep.c.x;var f=p.y-n.m_sweep.c.y;var v=p.x-s.m_sweep.c.x;var d=p.y-s.m_sweep.c.y;i=i<y?i:y;var b=z.Clamp(t*(y+T.b2_linearSlop),-T.b2_maxLinearCorrection,0);var D=-_.equalizedMass*b;var B=D*c.x;var C=D*c.y;n.m_sweep.c.x-=r*B;n.m_sweep.c.y-=r*C;n.m_sweep.a-=a*(x*C-f*B);n.SynchronizeTransform();s.m_sweep.c.x+=l*B;s.m_sweep.c.y+=l*C;s.m_sweep.a+=m*(v*C-d*B);s.SynchronizeTransform()}}return i>-1.5*T.b2_linearSlop};Box2D.postDefs.push(function(){Box2D.Dynamics.Contacts.b2ContactSolver.s_worldManifold=new fi;Box2D.Dynamics.Contacts.b2ContactSolver.s_psm=new b});Box2D.inherit(y,Box2D.Dynamics.Contacts.b2Contact);y.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;y.b2EdgeAndCircleContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};y.Create=function(t){return new y};y.Destroy=function(t,i){};y.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i)};y.prototype.Evaluate=function(){var i=this.m_fixtureA.GetBody();var e=this.m_fixtureB.GetBody();this.b2CollideEdgeAndCircle(this.m_manifold,this.m_fixtureA.GetShape()instanceof o?this.m_fixtureA.GetShape():null,i.m_xf,this.m_fixtureB.GetShape()instanceof t?this.m_fixtureB.GetShape():null,e.m_xf)};y.prototype.b2CollideEdgeAndCircle=function(t,i,o,e,n){};Box2D.inherit(x,Box2D.Dynamics.Contacts.b2Contact);x.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;x.b2NullContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};x.prototype.b2NullContact=function(){this.__super.b2Contact.call(this)};x.prototype.Evaluate=function(){};Box2D.inherit(f,Box2D.Dynamics.Contacts.b2Contact);f.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;f.b2PolyAndCircleContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};f.Create=function(t){return new f};f.Destroy=function(t,i){};f.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i);T.b2Assert(t.GetType()==s.e_polygonShape);T.b2Assert(i.GetType()==s.e_circleShape)};f.prototype.Evaluate=function(){var i=this.m_fixtureA.m_body;var o=this.m_fixtureB.m_body;X.CollidePolygonAndCircle(this.m_manifold,this.m_fixtureA.GetShape()instanceof n?this.m_fixtureA.GetShape():null,i.m_xf,this.m_fixtureB.GetShape()instanceof t?this.m_fixtureB.GetShape():null,o.m_xf)};Box2D.inherit(v,Box2D.Dynamics.Contacts.b2Contact);v.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;v.b2PolyAndEdgeContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};v.Create=function(t){return new v};v.Destroy=function(t,i){};v.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i);T.b2Assert(t.GetType()==s.e_polygonShape);T.b2Assert(i.GetType()==s.e_edgeShape)};v.prototype.Evaluate=function(){var t=this.m_fixtureA.GetBody();var i=this.m_fixtureB.GetBody();this.b2CollidePolyAndEdge(this.m_manifold,this.m_fixtureA.GetShape()instanceof n?this.m_fixtureA.GetShape():null,t.m_xf,this.m_fixtureB.GetShape()instanceof o?this.m_fixtureB.GetShape():null,i.m_xf)};v.prototype.b2CollidePolyAndEdge=function(t,i,o,e,n){};Box2D.inherit(d,Box2D.Dynamics.Contacts.b2Contact);d.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;d.b2PolygonContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};d.Create=function(t){return new d};d.Destroy=function(t,i){};d.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i)};d.prototype.Evaluate=function(){var t=this.m_fixtureA.GetBody();var i=this.m_fixtureB.GetBody();X.CollidePolygons(this.m_manifold,this.m_fixtureA.GetShape()instanceof n?this.m_fixtureA.GetShape():null,t.m_xf,this.m_fixtureB.GetShape()instanceof n?this.m_fixtureB.GetShape():null,i.m_xf)};b.b2PositionSolverManifold=function(){};b.prototype.b2PositionSolverManifold=function(){this.m_normal=new O;this.m_separations=new Box2D.Vector_a2j_Number(T.b2_maxManifoldPoints);this.m_points=new Box2D.Vector(T.b2_maxManifoldPoints);for(var t=0;t<T.b2_maxManifoldPoints;t++){this.m_points[t]=new O}};b.prototype.Initialize=function(t){T.b2Assert(t.pointCount>0);var i=0;var o=0;var e=0;var n;var s;var r=0;var a=0;switch(t.type){case si.e_circles:{n=t.bodyA.m_xf.R;s=t.localPoint;var l=t.bodyA.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);var m=t.bodyA.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);n=t.bodyB.m_xf.R;s=t.points[0].localPoint;var c=t.bodyB.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);var h=t.bodyB.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);var _=c-l;var p=h-m;var u=_*_+p*p;if(u>Number.MIN_VALUE*Number.MIN_VALUE){var y=Math.sqrt(u);this.m_normal.x=_/y;this.m_normal.y=p/y}else{this.m_normal.x=1;this.m_normal.y=0}this.m_points[0].x=.5*(l+c);this.m_points[0].y=.5*(m+h);this.m_separations[0]=_*this.m_normal.x+p*this.m_normal.y-t.radius}break;case si.e_faceA:{n=t.bodyA.m_xf.R;s=t.localPlaneNormal;this.m_normal.x=n.col1.x*s.x+n.col2.x*s.y;this.m_normal.y=n.col1.y*s.x+n.col2.y*s.y;n=t.bodyA.m_xf.R;s=t.localPoint;r=t.bodyA.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);a=t.bodyA.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);n=t.bodyB.m_xf.R;for(i=0;i<t.pointCount;++i){s=t.points[i].localPoint;o=t.bodyB.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);e=t.bodyB.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);this.m_separations[i]=(o-r)*this.m_normal.x+(e-a)*this.m_normal.y-t.radius;this.m_points[i].x=o;this.m_points[i].y=e}}break;case si.e_faceB:{n=t.bodyB.m_xf.R;s=t.localPlaneNormal;this.m_normal.x=n.col1.x*s.x+n.col2.x*s.y;this.m_normal.y=n.col1.y*s.x+n.col2.y*s.y;n=t.bodyB.m_xf.R;s=t.localPoint;r=t.bodyB.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);a=t.bodyB.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);n=t.bodyA.m_xf.R;for(i=0;i<t.pointCount;++i){s=t.points[i].localPoint;o=t.bodyA.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);e=t.bodyA.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);this.m_separations[i]=(o-r)*this.m_normal.x+(e-a)*this.m_normal.y-t.radius;this.m_points[i].Set(o,e)}this.m_normal.x*=-1;this.m_normal.y*=-1}break}};Box2D.postDefs.push(function(){Box2D.Dynamics.Contacts.b2PositionSolverManifold.circlePointA=new O;Box2D.Dynamics.Contacts.b2PositionSolverManifold.circlePointB=new O})})();(function(){var t=Box2D.Dynamics.b2Body,i=Box2D.Dynamics.b2BodyDef,o=Box2D.Dynamics.b2ContactFilter,e=Box2D.Dynamics.b2ContactImpulse,n=Box2D.Dynamics.b2ContactListener,s=Box2D.Dynamics.b2ContactManager,r=Box2D.Dynamics.b2DebugDraw,a=Box2D.Dynamics.b2DestructionListener,l=Box2D.Dynamics.b2FilterData,m=Box2D.Dynamics.b2Fixture,c=Box2D.Dynamics.b2FixtureDef,h=Box2D.Dynamics.b2Island,_=Box2D.Dynamics.b2TimeStep,p=Box2D.Dynamics.b2World,u=Box2D.Common.Math.b2Mat22,y=Box2D.Common.Math.b2Mat33,x=Box2D.Common.Math.b2Math,f=Box2D.Common.Math.b2Sweep,v=Box2D.Common.Math.b2Transform,d=Box2D.Common.Math.b2Vec2,b=Box2D.Common.Math.b2Vec3,D=Box2D.Common.b2Color,B=Box2D.Common.b2internal,C=Box2D.Common.b2Settings,g=Box2D.Collision.Shapes.b2CircleShape,A=Box2D.Collision.Shapes.b2EdgeChainDef,S=Box2D.Collision.Shapes.b2EdgeShape,w=Box2D.Collision.Shapes.b2MassData,M=Box2D.Collision.Shapes.b2PolygonShape,V=Box2D.Collision.Shapes.b2Shape,I=Box2D.Dynamics.Controllers.b2BuoyancyController,G=Box2D.Dynamics.Controllers.b2ConstantAccelController,L=Box2D.Dynamics.Controllers.b2ConstantForceController,J=Box2D.Dynamics.Controllers.b2Controller,F=Box2D.Dynamics.Controllers.b2ControllerEdge,P=Box2D.Dynamics.Controllers.b2GravityController,R=Box2D.Dynamics.Controllers.b2TensorDampingController;Box2D.inherit(I,Box2D.Dynamics.Controllers.b2Controller);I.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;I.b2BuoyancyController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.normal=new d(0,-1);this.offset=0;this.density=0;this.velocity=new d(0,0);this.linearDrag=2;this.angularDrag=1;this.useDensity=false;this.useWorldGravity=true;this.gravity=null};I.prototype.Step=function(t){if(!this.m_bodyList)return;if(this.useWorldGravity){this.gravity=this.GetWorld().GetGravity().Copy()}for(var i=this.m_bodyList;i;i=i.nextBody){var o=i.body;if(o.IsAwake()==false){continue}var e=new d;var n=new d;var s=0;var r=0;for(var a=o.GetFixtureList();a;a=a.GetNext()){var l=new d;var m=a.GetShape().ComputeSubmergedArea(this.normal,this.offset,o.GetTransform(),l);s+=m;e.x+=m*l.x;e.y+=m*l.y;var c=0;if(this.useDensity){c=1}else{c=1}r+=m*c;n.x+=m*l.x*c;n.y+=m*l.y*c}e.x/=s;e.y/=s;n.x/=r;n.y/=r;if(s<Number.MIN_VALUE)continue;var h=this.gravity.GetNegative();h.Multiply(this.density*s);o.ApplyForce(h,n);var _=o.GetLinearVelocityFromWorldPoint(e);_.Subtract(this.velocity);_.Multiply(-this.linearDrag*s);o.ApplyForce(_,e);o.ApplyTorque(-o.GetInertia()/o.GetMass()*s*o.GetAngularVelocity()*this.angularDrag)}};I.prototype.Draw=function(t){var i=1e3;var o=new d;var e=new d;o.x=this.normal.x*this.offset+this.normal.y*i;o.y=this.normal.y*this.offset-this.normal.x*i;e.x=this.normal.x*this.offset-this.normal.y*i;e.y=this.normal.y*this.offset+this.normal.x*i;var n=new D(0,0,1);t.DrawSegment(o,e,n)};Box2D.inherit(G,Box2D.Dynamics.Controllers.b2Controller);G.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;G.b2ConstantAccelController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.A=new d(0,0)};G.prototype.Step=function(t){var i=new d(this.A.x*t.dt,this.A.y*t.dt);for(var o=this.m_bodyList;o;o=o.nextBody){var e=o.body;if(!e.IsAwake())continue;e.SetLinearVelocity(new d(e.GetLinearVelocity().x+i.x,e.GetLinearVelocity().y+i.y))}};Box2D.inherit(L,Box2D.Dynamics.Controllers.b2Controller);L.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;L.b2ConstantForceController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);
-this.F=new d(0,0)};L.prototype.Step=function(t){for(var i=this.m_bodyList;i;i=i.nextBody){var o=i.body;if(!o.IsAwake())continue;o.ApplyForce(this.F,o.GetWorldCenter())}};J.b2Controller=function(){};J.prototype.Step=function(t){};J.prototype.Draw=function(t){};J.prototype.AddBody=function(t){var i=new F;i.controller=this;i.body=t;i.nextBody=this.m_bodyList;i.prevBody=null;this.m_bodyList=i;if(i.nextBody)i.nextBody.prevBody=i;this.m_bodyCount++;i.nextController=t.m_controllerList;i.prevController=null;t.m_controllerList=i;if(i.nextController)i.nextController.prevController=i;t.m_controllerCount++};J.prototype.RemoveBody=function(t){var i=t.m_controllerList;while(i&&i.controller!=this)i=i.nextController;if(i.prevBody)i.prevBody.nextBody=i.nextBody;if(i.nextBody)i.nextBody.prevBody=i.prevBody;if(i.nextController)i.nextController.prevController=i.prevController;if(i.prevController)i.prevController.nextController=i.nextController;if(this.m_bodyList==i)this.m_bodyList=i.nextBody;if(t.m_controllerList==i)t.m_controllerList=i.nextController;t.m_controllerCount--;this.m_bodyCount--};J.prototype.Clear=function(){while(this.m_bodyList)this.RemoveBody(this.m_bodyList.body)};J.prototype.GetNext=function(){return this.m_next};J.prototype.GetWorld=function(){return this.m_world};J.prototype.GetBodyList=function(){return this.m_bodyList};F.b2ControllerEdge=function(){};Box2D.inherit(P,Box2D.Dynamics.Controllers.b2Controller);P.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;P.b2GravityController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.G=1;this.invSqr=true};P.prototype.Step=function(t){var i=null;var o=null;var e=null;var n=0;var s=null;var r=null;var a=null;var l=0;var m=0;var c=0;var h=null;if(this.invSqr){for(i=this.m_bodyList;i;i=i.nextBody){o=i.body;e=o.GetWorldCenter();n=o.GetMass();for(s=this.m_bodyList;s!=i;s=s.nextBody){r=s.body;a=r.GetWorldCenter();l=a.x-e.x;m=a.y-e.y;c=l*l+m*m;if(c<Number.MIN_VALUE)continue;h=new d(l,m);h.Multiply(this.G/c/Math.sqrt(c)*n*r.GetMass());if(o.IsAwake())o.ApplyForce(h,e);h.Multiply(-1);if(r.IsAwake())r.ApplyForce(h,a)}}}else{for(i=this.m_bodyList;i;i=i.nextBody){o=i.body;e=o.GetWorldCenter();n=o.GetMass();for(s=this.m_bodyList;s!=i;s=s.nextBody){r=s.body;a=r.GetWorldCenter();l=a.x-e.x;m=a.y-e.y;c=l*l+m*m;if(c<Number.MIN_VALUE)continue;h=new d(l,m);h.Multiply(this.G/c*n*r.GetMass());if(o.IsAwake())o.ApplyForce(h,e);h.Multiply(-1);if(r.IsAwake())r.ApplyForce(h,a)}}}};Box2D.inherit(R,Box2D.Dynamics.Controllers.b2Controller);R.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;R.b2TensorDampingController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.T=new u;this.maxTimestep=0};R.prototype.SetAxisAligned=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.T.col1.x=-t;this.T.col1.y=0;this.T.col2.x=0;this.T.col2.y=-i;if(t>0||i>0){this.maxTimestep=1/Math.max(t,i)}else{this.maxTimestep=0}};R.prototype.Step=function(t){var i=t.dt;if(i<=Number.MIN_VALUE)return;if(i>this.maxTimestep&&this.maxTimestep>0)i=this.maxTimestep;for(var o=this.m_bodyList;o;o=o.nextBody){var e=o.body;if(!e.IsAwake()){continue}var n=e.GetWorldVector(x.MulMV(this.T,e.GetLocalVector(e.GetLinearVelocity())));e.SetLinearVelocity(new d(e.GetLinearVelocity().x+n.x*i,e.GetLinearVelocity().y+n.y*i))}}})();(function(){var t=Box2D.Common.b2Color,i=Box2D.Common.b2internal,o=Box2D.Common.b2Settings,e=Box2D.Common.Math.b2Mat22,n=Box2D.Common.Math.b2Mat33,s=Box2D.Common.Math.b2Math,r=Box2D.Common.Math.b2Sweep,a=Box2D.Common.Math.b2Transform,l=Box2D.Common.Math.b2Vec2,m=Box2D.Common.Math.b2Vec3,c=Box2D.Dynamics.Joints.b2DistanceJoint,h=Box2D.Dynamics.Joints.b2DistanceJointDef,_=Box2D.Dynamics.Joints.b2FrictionJoint,p=Box2D.Dynamics.Joints.b2FrictionJointDef,u=Box2D.Dynamics.Joints.b2GearJoint,y=Box2D.Dynamics.Joints.b2GearJointDef,x=Box2D.Dynamics.Joints.b2Jacobian,f=Box2D.Dynamics.Joints.b2Joint,v=Box2D.Dynamics.Joints.b2JointDef,d=Box2D.Dynamics.Joints.b2JointEdge,b=Box2D.Dynamics.Joints.b2LineJoint,D=Box2D.Dynamics.Joints.b2LineJointDef,B=Box2D.Dynamics.Joints.b2MouseJoint,C=Box2D.Dynamics.Joints.b2MouseJointDef,g=Box2D.Dynamics.Joints.b2PrismaticJoint,A=Box2D.Dynamics.Joints.b2PrismaticJointDef,S=Box2D.Dynamics.Joints.b2PulleyJoint,w=Box2D.Dynamics.Joints.b2PulleyJointDef,M=Box2D.Dynamics.Joints.b2RevoluteJoint,V=Box2D.Dynamics.Joints.b2RevoluteJointDef,I=Box2D.Dynamics.Joints.b2WeldJoint,G=Box2D.Dynamics.Joints.b2WeldJointDef,L=Box2D.Dynamics.b2Body,J=Box2D.Dynamics.b2BodyDef,F=Box2D.Dynamics.b2ContactFilter,P=Box2D.Dynamics.b2ContactImpulse,R=Box2D.Dynamics.b2ContactListener,T=Box2D.Dynamics.b2ContactManager,k=Box2D.Dynamics.b2DebugDraw,N=Box2D.Dynamics.b2DestructionListener,z=Box2D.Dynamics.b2FilterData,E=Box2D.Dynamics.b2Fixture,j=Box2D.Dynamics.b2FixtureDef,O=Box2D.Dynamics.b2Island,U=Box2D.Dynamics.b2TimeStep,q=Box2D.Dynamics.b2World;Box2D.inherit(c,Box2D.Dynamics.Joints.b2Joint);c.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;c.b2DistanceJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_u=new l};c.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};c.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};c.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse*this.m_u.x,t*this.m_impulse*this.m_u.y)};c.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return 0};c.prototype.GetLength=function(){return this.m_length};c.prototype.SetLength=function(t){if(t===undefined)t=0;this.m_length=t};c.prototype.GetFrequency=function(){return this.m_frequencyHz};c.prototype.SetFrequency=function(t){if(t===undefined)t=0;this.m_frequencyHz=t};c.prototype.GetDampingRatio=function(){return this.m_dampingRatio};c.prototype.SetDampingRatio=function(t){if(t===undefined)t=0;this.m_dampingRatio=t};c.prototype.b2DistanceJoint=function(t){this.__super.b2Joint.call(this,t);var i;var o=0;var e=0;this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_length=t.length;this.m_frequencyHz=t.frequencyHz;this.m_dampingRatio=t.dampingRatio;this.m_impulse=0;this.m_gamma=0;this.m_bias=0};c.prototype.InitVelocityConstraints=function(t){var i;var e=0;var n=this.m_bodyA;var s=this.m_bodyB;i=n.m_xf.R;var r=this.m_localAnchor1.x-n.m_sweep.localCenter.x;var a=this.m_localAnchor1.y-n.m_sweep.localCenter.y;e=i.col1.x*r+i.col2.x*a;a=i.col1.y*r+i.col2.y*a;r=e;i=s.m_xf.R;var l=this.m_localAnchor2.x-s.m_sweep.localCenter.x;var m=this.m_localAnchor2.y-s.m_sweep.localCenter.y;e=i.col1.x*l+i.col2.x*m;m=i.col1.y*l+i.col2.y*m;l=e;this.m_u.x=s.m_sweep.c.x+l-n.m_sweep.c.x-r;this.m_u.y=s.m_sweep.c.y+m-n.m_sweep.c.y-a;var c=Math.sqrt(this.m_u.x*this.m_u.x+this.m_u.y*this.m_u.y);if(c>o.b2_linearSlop){this.m_u.Multiply(1/c)}else{this.m_u.SetZero()}var h=r*this.m_u.y-a*this.m_u.x;var _=l*this.m_u.y-m*this.m_u.x;var p=n.m_invMass+n.m_invI*h*h+s.m_invMass+s.m_invI*_*_;this.m_mass=p!=0?1/p:0;if(this.m_frequencyHz>0){var u=c-this.m_length;var y=2*Math.PI*this.m_frequencyHz;var x=2*this.m_mass*this.m_dampingRatio*y;var f=this.m_mass*y*y;this.m_gamma=t.dt*(x+t.dt*f);this.m_gamma=this.m_gamma!=0?1/this.m_gamma:0;this.m_bias=u*t.dt*f*this.m_gamma;this.m_mass=p+this.m_gamma;this.m_mass=this.m_mass!=0?1/this.m_mass:0}if(t.warmStarting){this.m_impulse*=t.dtRatio;var v=this.m_impulse*this.m_u.x;var d=this.m_impulse*this.m_u.y;n.m_linearVelocity.x-=n.m_invMass*v;n.m_linearVelocity.y-=n.m_invMass*d;n.m_angularVelocity-=n.m_invI*(r*d-a*v);s.m_linearVelocity.x+=s.m_invMass*v;s.m_linearVelocity.y+=s.m_invMass*d;s.m_angularVelocity+=s.m_invI*(l*d-m*v)}else{this.m_impulse=0}};c.prototype.SolveVelocityConstraints=function(t){var i;var o=this.m_bodyA;var e=this.m_bodyB;i=o.m_xf.R;var n=this.m_localAnchor1.x-o.m_sweep.localCenter.x;var s=this.m_localAnchor1.y-o.m_sweep.localCenter.y;var r=i.col1.x*n+i.col2.x*s;s=i.col1.y*n+i.col2.y*s;n=r;i=e.m_xf.R;var a=this.m_localAnchor2.x-e.m_sweep.localCenter.x;var l=this.m_localAnchor2.y-e.m_sweep.localCenter.y;r=i.col1.x*a+i.col2.x*l;l=i.col1.y*a+i.col2.y*l;a=r;var m=o.m_linearVelocity.x+-o.m_angularVelocity*s;var c=o.m_linearVelocity.y+o.m_angularVelocity*n;var h=e.m_linearVelocity.x+-e.m_angularVelocity*l;var _=e.m_linearVelocity.y+e.m_angularVelocity*a;var p=this.m_u.x*(h-m)+this.m_u.y*(_-c);var u=-this.m_mass*(p+this.m_bias+this.m_gamma*this.m_impulse);this.m_impulse+=u;var y=u*this.m_u.x;var x=u*this.m_u.y;o.m_linearVelocity.x-=o.m_invMass*y;o.m_linearVelocity.y-=o.m_invMass*x;o.m_angularVelocity-=o.m_invI*(n*x-s*y);e.m_linearVelocity.x+=e.m_invMass*y;e.m_linearVelocity.y+=e.m_invMass*x;e.m_angularVelocity+=e.m_invI*(a*x-l*y)};c.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i;if(this.m_frequencyHz>0){return true}var e=this.m_bodyA;var n=this.m_bodyB;i=e.m_xf.R;var r=this.m_localAnchor1.x-e.m_sweep.localCenter.x;var a=this.m_localAnchor1.y-e.m_sweep.localCenter.y;var l=i.col1.x*r+i.col2.x*a;a=i.col1.y*r+i.col2.y*a;r=l;i=n.m_xf.R;var m=this.m_localAnchor2.x-n.m_sweep.localCenter.x;var c=this.m_localAnchor2.y-n.m_sweep.localCenter.y;l=i.col1.x*m+i.col2.x*c;c=i.col1.y*m+i.col2.y*c;m=l;var h=n.m_sweep.c.x+m-e.m_sweep.c.x-r;var _=n.m_sweep.c.y+c-e.m_sweep.c.y-a;var p=Math.sqrt(h*h+_*_);h/=p;_/=p;var u=p-this.m_length;u=s.Clamp(u,-o.b2_maxLinearCorrection,o.b2_maxLinearCorrection);var y=-this.m_mass*u;this.m_u.Set(h,_);var x=y*this.m_u.x;var f=y*this.m_u.y;e.m_sweep.c.x-=e.m_invMass*x;e.m_sweep.c.y-=e.m_invMass*f;e.m_sweep.a-=e.m_invI*(r*f-a*x);n.m_sweep.c.x+=n.m_invMass*x;n.m_sweep.c.y+=n.m_invMass*f;n.m_sweep.a+=n.m_invI*(m*f-c*x);e.SynchronizeTransform();n.SynchronizeTransform();return s.Abs(u)<o.b2_linearSlop};Box2D.inherit(h,Box2D.Dynamics.Joints.b2JointDef);h.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;h.b2DistanceJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l};h.prototype.b2DistanceJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_distanceJoint;this.length=1;this.frequencyHz=0;this.dampingRatio=0};h.prototype.Initialize=function(t,i,o,e){this.bodyA=t;this.bodyB=i;this.localAnchorA.SetV(this.bodyA.GetLocalPoint(o));this.localAnchorB.SetV(this.bodyB.GetLocalPoint(e));var n=e.x-o.x;var s=e.y-o.y;this.length=Math.sqrt(n*n+s*s);this.frequencyHz=0;this.dampingRatio=0};Box2D.inherit(_,Box2D.Dynamics.Joints.b2Joint);_.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;_.b2FrictionJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchorA=new l;this.m_localAnchorB=new l;this.m_linearMass=new e;this.m_linearImpulse=new l};_.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchorA)};_.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchorB)};_.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_linearImpulse.x,t*this.m_linearImpulse.y)};_.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_angularImpulse};_.prototype.SetMaxForce=function(t){if(t===undefined)t=0;this.m_maxForce=t};_.prototype.GetMaxForce=function(){return this.m_maxForce};_.prototype.SetMaxTorque=function(t){if(t===undefined)t=0;this.m_maxTorque=t};_.prototype.GetMaxTorque=function(){return this.m_maxTorque};_.prototype.b2FrictionJoint=function(t){this.__super.b2Joint.call(this,t);this.m_localAnchorA.SetV(t.localAnchorA);this.m_localAnchorB.SetV(t.localAnchorB);this.m_linearMass.SetZero();this.m_angularMass=0;this.m_linearImpulse.SetZero();this.m_angularImpulse=0;this.m_maxForce=t.maxForce;this.m_maxTorque=t.maxTorque};_.prototype.InitVelocityConstraints=function(t){var i;var o=0;var n=this.m_bodyA;var s=this.m_bodyB;i=n.m_xf.R;var r=this.m_localAnchorA.x-n.m_sweep.localCenter.x;var a=this.m_localAnchorA.y-n.m_sweep.localCenter.y;o=i.col1.x*r+i.col2.x*a;a=i.col1.y*r+i.col2.y*a;r=o;i=s.m_xf.R;var l=this.m_localAnchorB.x-s.m_sweep.localCenter.x;var m=this.m_localAnchorB.y-s.m_sweep.localCenter.y;o=i.col1.x*l+i.col2.x*m;m=i.col1.y*l+i.col2.y*m;l=o;var c=n.m_invMass;var h=s.m_invMass;var _=n.m_invI;var p=s.m_invI;var u=new e;u.col1.x=c+h;u.col2.x=0;u.col1.y=0;u.col2.y=c+h;u.col1.x+=_*a*a;u.col2.x+=-_*r*a;u.col1.y+=-_*r*a;u.col2.y+=_*r*r;u.col1.x+=p*m*m;u.col2.x+=-p*l*m;u.col1.y+=-p*l*m;u.col2.y+=p*l*l;u.GetInverse(this.m_linearMass);this.m_angularMass=_+p;if(this.m_angularMass>0){this.m_angularMass=1/this.m_angularMass}if(t.warmStarting){this.m_linearImpulse.x*=t.dtRatio;this.m_linearImpulse.y*=t.dtRatio;this.m_angularImpulse*=t.dtRatio;var y=this.m_linearImpulse;n.m_linearVelocity.x-=c*y.x;n.m_linearVelocity.y-=c*y.y;n.m_angularVelocity-=_*(r*y.y-a*y.x+this.m_angularImpulse);s.m_linearVelocity.x+=h*y.x;s.m_linearVelocity.y+=h*y.y;s.m_angularVelocity+=p*(l*y.y-m*y.x+this.m_angularImpulse)}else{this.m_linearImpulse.SetZero();this.m_angularImpulse=0}};_.prototype.SolveVelocityConstraints=function(t){var i;var o=0;var e=this.m_bodyA;var n=this.m_bodyB;var r=e.m_linearVelocity;var a=e.m_angularVelocity;var m=n.m_linearVelocity;var c=n.m_angularVelocity;var h=e.m_invMass;var _=n.m_invMass;var p=e.m_invI;var u=n.m_invI;i=e.m_xf.R;var y=this.m_localAnchorA.x-e.m_sweep.localCenter.x;var x=this.m_localAnchorA.y-e.m_sweep.localCenter.y;o=i.col1.x*y+i.col2.x*x;x=i.col1.y*y+i.col2.y*x;y=o;i=n.m_xf.R;var f=this.m_localAnchorB.x-n.m_sweep.localCenter.x;var v=this.m_localAnchorB.y-n.m_sweep.localCenter.y;o=i.col1.x*f+i.col2.x*v;v=i.col1.y*f+i.col2.y*v;f=o;var d=0;{var b=c-a;var D=-this.m_angularMass*b;var B=this.m_angularImpulse;d=t.dt*this.m_maxTorque;this.m_angularImpulse=s.Clamp(this.m_angularImpulse+D,-d,d);D=this.m_angularImpulse-B;a-=p*D;c+=u*D}{var C=m.x-c*v-r.x+a*x;var g=m.y+c*f-r.y-a*y;var A=s.MulMV(this.m_linearMass,new l(-C,-g));var S=this.m_linearImpulse.Copy();this.m_linearImpulse.Add(A);d=t.dt*this.m_maxForce;if(this.m_linearImpulse.LengthSquared()>d*d){this.m_linearImpulse.Normalize();this.m_linearImpulse.Multiply(d)}A=s.SubtractVV(this.m_linearImpulse,S);r.x-=h*A.x;r.y-=h*A.y;a-=p*(y*A.y-x*A.x);m.x+=_*A.x;m.y+=_*A.y;c+=u*(f*A.y-v*A.x)}e.m_angularVelocity=a;n.m_angularVelocity=c};_.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;return true};Box2D.inherit(p,Box2D.Dynamics.Joints.b2JointDef);p.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;p.b2FrictionJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l};p.prototype.b2FrictionJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_frictionJoint;this.maxForce=0;this.maxTorque=0};p.prototype.Initialize=function(t,i,o){this.bodyA=t;this.bodyB=i;this.localAnchorA.SetV(this.bodyA.GetLocalPoint(o));this.localAnchorB.SetV(this.bodyB.GetLocalPoint(o))};Box2D.inherit(u,Box2D.Dynamics.Joints.b2Joint);u.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;u.b2GearJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_groundAnchor1=new l;this.m_groundAnchor2=new l;this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_J=new x};u.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};u.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};u.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse*this.m_J.linearB.x,t*this.m_impulse*this.m_J.linearB.y)};u.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;var i=this.m_bodyB.m_xf.R;var o=this.m_localAnchor1.x-this.m_bodyB.m_sweep.localCenter.x;var e=this.m_localAnchor1.y-this.m_bodyB.m_sweep.localCenter.y;var n=i.col1.x*o+i.col2.x*e;e=i.col1.y*o+i.col2.y*e;o=n;var s=this.m_impulse*this.m_J.linearB.x;var r=this.m_impulse*this.m_J.linearB.y;return t*(this.m_impulse*this.m_J.angularB-o*r+e*s)};u.prototype.GetRatio=function(){return this.m_ratio};u.prototype.SetRatio=function(t){if(t===undefined)t=0;this.m_ratio=t};u.prototype.b2GearJoint=function(t){this.__super.b2Joint.call(this,t);var i=parseInt(t.joint1.m_type);var o=parseInt(t.joint2.m_type);this.m_revolute1=null;this.m_prismatic1=null;this.m_revolute2=null;this.m_prismatic2=null;var e=0;var n=0;this.m_ground1=t.joint1.GetBodyA();this.m_bodyA=t.joint1.GetBodyB();if(i==f.e_revoluteJoint){this.m_revolute1=t.joint1 instanceof M?t.joint1:null;this.m_groundAnchor1.SetV(this.m_revolute1.m_localAnchor1);this.m_localAnchor1.SetV(this.m_revolute1.m_localAnchor2);e=this.m_revolute1.GetJointAngle()}else{this.m_prismatic1=t.joint1 instanceof g?t.joint1:null;this.m_groundAnchor1.SetV(this.m_prismatic1.m_localAnchor1);this.m_localAnchor1.SetV(this.m_prismatic1.m_localAnchor2);e=this.m_prismatic1.GetJointTranslation()}this.m_ground2=t.joint2.GetBodyA();this.m_bodyB=t.joint2.GetBodyB();if(o==f.e_revoluteJoint){this.m_revolute2=t.joint2 instanceof M?t.joint2:null;this.m_groundAnchor2.SetV(this.m_revolute2.m_localAnchor1);this.m_localAnchor2.SetV(this.m_revolute2.m_localAnchor2);n=this.m_revolute2.GetJointAngle()}else{this.m_prismatic2=t.joint2 instanceof g?t.joint2:null;this.m_groundAnchor2.SetV(this.m_prismatic2.m_localAnchor1);this.m_localAnchor2.SetV(this.m_prismatic2.m_localAnchor2);n=this.m_prismatic2.GetJointTranslation()}this.m_ratio=t.ratio;this.m_constant=e+this.m_ratio*n;this.m_impulse=0};u.prototype.InitVelocityConstraints=function(t){var i=this.m_ground1;var o=this.m_ground2;var e=this.m_bodyA;var n=this.m_bodyB;var s=0;var r=0;var a=0;var l=0;var m;var c;var h=0;var _=0;var p=0;this.m_J.SetZero();if(this.m_revolute1){this.m_J.angularA=-1;p+=e.m_invI}else{m=i.m_xf.R;c=this.m_prismatic1.m_localXAxis1;s=m.col1.x*c.x+m.col2.x*c.y;r=m.col1.y*c.x+m.col2.y*c.y;m=e.m_xf.R;a=this.m_localAnchor1.x-e.m_sweep.localCenter.x;l=this.m_localAnchor1.y-e.m_sweep.localCenter.y;_=m.col1.x*a+m.col2.x*l;l=m.col1.y*a+m.col2.y*l;a=_;h=a*r-l*s;this.m_J.linearA.Set(-s,-r);this.m_J.angularA=-h;p+=e.m_invMass+e.m_invI*h*h}if(this.m_revolute2){this.m_J.angularB=-this.m_ratio;p+=this.m_ratio*this.m_ratio*n.m_invI}else{m=o.m_xf.R;c=this.m_prismatic2.m_localXAxis1;s=m.col1.x*c.x+m.col2.x*c.y;r=m.col1.y*c.x+m.col2.y*c.y;m=n.m_xf.R;a=this.m_localAnchor2.x-n.m_sweep.localCenter.x;l=this.m_localAnchor2.y-n.m_sweep.localCenter.y;_=m.col1.x*a+m.col2.x*l;l=m.col1.y*a+m.col2.y*l;a=_;h=a*r-l*s;this.m_J.linearB.Set(-this.m_ratio*s,-this.m_ratio*r);this.m_J.angularB=-this.m_ratio*h;p+=this.m_ratio*this.m_ratio*(n.m_invMass+n.m_invI*h*h)}this.m_mass=p>0?1/p:0;if(t.warmStarting){e.m_linearVelocity.x+=e.m_invMass*this.m_impulse*this.m_J.linearA.x;e.m_linearVelocity.y+=e.m_invMass*this.m_impulse*this.m_J.linearA.y;e.m_angularVelocity+=e.m_invI*this.m_impulse*this.m_J.angularA;n.m_linearVelocity.x+=n.m_invMass*this.m_impulse*this.m_J.linearB.x;n.m_linearVelocity.y+=n.m_invMass*this.m_impulse*this.m_J.linearB.y;n.m_angularVelocity+=n.m_invI*this.m_impulse*this.m_J.angularB}else{this.m_impulse=0}};u.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e=this.m_J.Compute(i.m_linearVelocity,i.m_angularVelocity,o.m_linearVelocity,o.m_angularVelocity);var n=-this.m_mass*e;this.m_impulse+=n;i.m_linearVelocity.x+=i.m_invMass*n*this.m_J.linearA.x;i.m_linearVelocity.y+=i.m_invMass*n*this.m_J.linearA.y;i.m_angularVelocity+=i.m_invI*n*this.m_J.angularA;o.m_linearVelocity.x+=o.m_invMass*n*this.m_J.linearB.x;o.m_linearVelocity.y+=o.m_invMass*n*this.m_J.linearB.y;o.m_angularVelocity+=o.m_invI*n*this.m_J.angularB};u.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;var e=this.m_bodyA;var n=this.m_bodyB;var s=0;var r=0;if(this.m_revolute1){s=this.m_revolute1.GetJointAngle()}else{s=this.m_prismatic1.GetJointTranslation()}if(this.m_revolute2){r=this.m_revolute2.GetJointAngle()}else{r=this.m_prismatic2.GetJointTranslation()}var a=this.m_constant-(s+this.m_ratio*r);var l=-this.m_mass*a;e.m_sweep.c.x+=e.m_invMass*l*this.m_J.linearA.x;e.m_sweep.c.y+=e.m_invMass*l*this.m_J.linearA.y;e.m_sweep.a+=e.m_invI*l*this.m_J.angularA;n.m_sweep.c.x+=n.m_invMass*l*this.m_J.linearB.x;n.m_sweep.c.y+=n.m_invMass*l*this.m_J.linearB.y;n.m_sweep.a+=n.m_invI*l*this.m_J.angularB;e.SynchronizeTransform();n.SynchronizeTransform();return i<o.b2_linearSlop};Box2D.inherit(y,Box2D.Dynamics.Joints.b2JointDef);y.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;y.b2GearJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments)};y.prototype.b2GearJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_gearJoint;this.joint1=null;this.joint2=null;this.ratio=1};x.b2Jacobian=function(){this.linearA=new l;this.linearB=new l};x.prototype.SetZero=function(){this.linearA.SetZero();this.angularA=0;this.linearB.SetZero();this.angularB=0};x.prototype.Set=function(t,i,o,e){if(i===undefined)i=0;if(e===undefined)e=0;this.linearA.SetV(t);this.angularA=i;this.linearB.SetV(o);this.angularB=e};x.prototype.Compute=function(t,i,o,e){if(i===undefined)i=0;if(e===undefined)e=0;return this.linearA.x*t.x+this.linearA.y*t.y+this.angularA*i+(this.linearB.x*o.x+this.linearB.y*o.y)+this.angularB*e};f.b2Joint=function(){this.m_edgeA=new d;this.m_edgeB=new d;this.m_localCenterA=new l;this.m_localCenterB=new l};f.prototype.GetType=function(){return this.m_type};f.prototype.GetAnchorA=function(){return null};f.prototype.GetAnchorB=function(){return null};f.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return null};f.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return 0};f.prototype.GetBodyA=function(){return this.m_bodyA};f.prototype.GetBodyB=function(){return this.m_bodyB};f.prototype.GetNext=function(){return this.m_next};f.prototype.GetUserData=function(){return this.m_userData};f.prototype.SetUserData=function(t){this.m_userData=t};f.prototype.IsActive=function(){return this.m_bodyA.IsActive()&&this.m_bodyB.IsActive()};f.Create=function(t,i){var o=null;switch(t.type){case f.e_distanceJoint:{o=new c(t instanceof h?t:null)}break;case f.e_mouseJoint:{o=new B(t instanceof C?t:null)}break;case f.e_prismaticJoint:{o=new g(t instanceof A?t:null)}break;case f.e_revoluteJoint:{o=new M(t instanceof V?t:null)}break;case f.e_pulleyJoint:{o=new S(t instanceof w?t:null)}break;case f.e_gearJoint:{o=new u(t instanceof y?t:null)}break;case f.e_lineJoint:{o=new b(t instanceof D?t:null)}break;case f.e_weldJoint:{o=new I(t instanceof G?t:null)}break;case f.e_frictionJoint:{o=new _(t instanceof p?t:null)}break;default:break}return o};f.Destroy=function(t,i){};f.prototype.b2Joint=function(t){o.b2Assert(t.bodyA!=t.bodyB);this.m_type=t.type;this.m_prev=null;this.m_next=null;this.m_bodyA=t.bodyA;this.m_bodyB=t.bodyB;this.m_collideConnected=t.collideConnected;this.m_islandFlag=false;this.m_userData=t.userData};f.prototype.InitVelocityConstraints=function(t){};f.prototype.SolveVelocityConstraints=function(t){};f.prototype.FinalizeVelocityConstraints=function(){};f.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;return false};Box2D.postDefs.push(function(){Box2D.Dynamics.Joints.b2Joint.e_unknownJoint=0;Box2D.Dynamics.Joints.b2Joint.e_revoluteJoint=1;Box2D.Dynamics.Joints.b2Joint.e_prismaticJoint=2;Box2D.Dynamics.Joints.b2Joint.e_distanceJoint=3;Box2D.Dynamics.Joints.b2Joint.e_pulleyJoint=4;Box2D.Dynamics.Joints.b2Joint.e_mouseJoint=5;Box2D.Dynamics.Joints.b2Joint.e_gearJoint=6;Box2D.Dynamics.Joints.b2Joint.e_lineJoint=7;Box2D.Dynamics.Joints.b2Joint.e_weldJoint=8;Box2D.Dynamics.Joints.b2Joint.e_frictionJoint=9;Box2D.Dynamics.Joints.b2Joint.e_inactiveLimit=0;Box2D.Dynamics.Joints.b2Joint.e_atLowerLimit=1;Box2D.Dynamics.Joints.b2Joint.e_atUpperLimit=2;Box2D.Dynamics.Joints.b2Joint.e_equalLimits=3});v.b2JointDef=function(){};v.prototype.b2JointDef=function(){this.type=f.e_unknownJoint;this.userData=null;this.bodyA=null;this.bodyB=null;this.collideConnected=false};d.b2JointEdge=function(){};Box2D.inherit(b,Box2D.Dynamics.Joints.b2Joint);b.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;b.b2LineJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_localXAxis1=new l;this.m_localYAxis1=new l;this.m_axis=new l;this.m_perp=new l;this.m_K=new e;this.m_impulse=new l};b.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};b.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};b.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*(this.m_impulse.x*this.m_perp.x+(this.m_motorImpulse+this.m_impulse.y)*this.m_axis.x),t*(this.m_impulse.x*this.m_perp.y+(this.m_motorImpulse+this.m_impulse.y)*this.m_axis.y))};b.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_impulse.y};b.prototype.GetJointTranslation=function(){var t=this.m_bodyA;var i=this.m_bodyB;var o;var e=t.GetWorldPoint(this.m_localAnchor1);var n=i.GetWorldPoint(this.m_localAnchor2);var s=n.x-e.x;var r=n.y-e.y;var a=t.GetWorldVector(this.m_localXAxis1);var l=a.x*s+a.y*r;return l};b.prototype.GetJointSpeed=function(){var t=this.m_bodyA;var i=this.m_bodyB;var o;o=t.m_xf.R;var e=this.m_localAnchor1.x-t.m_sweep.localCenter.x;var n=this.m_localAnchor1.y-t.m_sweep.localCenter.y;var s=o.col1.x*e+o.col2.x*n;n=o.col1.y*e+o.col2.y*n;e=s;o=i.m_xf.R;var r=this.m_localAnchor2.x-i.m_sweep.localCenter.x;var a=this.m_localAnchor2.y-i.m_sweep.localCenter.y;s=o.col1.x*r+o.col2.x*a;a=o.col1.y*r+o.col2.y*a;r=s;var l=t.m_sweep.c.x+e;var m=t.m_sweep.c.y+n;var c=i.m_sweep.c.x+r;var h=i.m_sweep.c.y+a;var _=c-l;var p=h-m;var u=t.GetWorldVector(this.m_localXAxis1);var y=t.m_linearVelocity;var x=i.m_linearVelocity;var f=t.m_angularVelocity;var v=i.m_angularVelocity;var d=_*(-f*u.y)+p*(f*u.x)+(u.x*(x.x+-v*a-y.x- -f*n)+u.y*(x.y+v*r-y.y-f*e));return d};b.prototype.IsLimitEnabled=function(){return this.m_enableLimit};b.prototype.EnableLimit=function(t){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_enableLimit=t};b.prototype.GetLowerLimit=function(){return this.m_lowerTranslation};b.prototype.GetUpperLimit=function(){return this.m_upperTranslation};b.prototype.SetLimits=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_lowerTranslation=t;this.m_upperTranslation=i};b.prototype.IsMotorEnabled=function(){return this.m_enableMotor};b.prototype.EnableMotor=function(t){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_enableMotor=t};b.prototype.SetMotorSpeed=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_motorSpeed=t};b.prototype.GetMotorSpeed=function(){return this.m_motorSpeed};b.prototype.SetMaxMotorForce=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_maxMotorForce=t};b.prototype.GetMaxMotorForce=function(){return this.m_maxMotorForce};b.prototype.GetMotorForce=function(){return this.m_motorImpulse};b.prototype.b2LineJoint=function(t){this.__super.b2Joint.call(this,t);var i;var o=0;var e=0;this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_localXAxis1.SetV(t.localAxisA);this.m_localYAxis1.x=-this.m_localXAxis1.y;this.m_localYAxis1.y=this.m_localXAxis1.x;this.m_impulse.SetZero();this.m_motorMass=0;this.m_motorImpulse=0;this.m_lowerTranslation=t.lowerTranslation;this.m_upperTranslation=t.upperTranslation;this.m_maxMotorForce=t.maxMotorForce;this.m_motorSpeed=t.motorSpeed;this.m_enableLimit=t.enableLimit;this.m_enableMotor=t.enableMotor;this.m_limitState=f.e_inactiveLimit;this.m_axis.SetZero();this.m_perp.SetZero()};b.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyA;var e=this.m_bodyB;var n;var r=0;this.m_localCenterA.SetV(i.GetLocalCenter());this.m_localCenterB.SetV(e.GetLocalCenter());var a=i.GetTransform();var l=e.GetTransform();n=i.m_xf.R;var m=this.m_localAnchor1.x-this.m_localCenterA.x;var c=this.m_localAnchor1.y-this.m_localCenterA.y;r=n.col1.x*m+n.col2.x*c;c=n.col1.y*m+n.col2.y*c;m=r;n=e.m_xf.R;var h=this.m_localAnchor2.x-this.m_localCenterB.x;var _=this.m_localAnchor2.y-this.m_localCenterB.y;r=n.col1.x*h+n.col2.x*_;_=n.col1.y*h+n.col2.y*_;h=r;var p=e.m_sweep.c.x+h-i.m_sweep.c.x-m;var u=e.m_sweep.c.y+_-i.m_sweep.c.y-c;this.m_invMassA=i.m_invMass;this.m_invMassB=e.m_invMass;this.m_invIA=i.m_invI;this.m_invIB=e.m_invI;{this.m_axis.SetV(s.MulMV(a.R,this.m_localXAxis1));this.m_a1=(p+m)*this.m_axis.y-(u+c)*this.m_axis.x;this.m_a2=h*this.m_axis.y-_*this.m_axis.x;this.m_motorMass=this.m_invMassA+this.m_invMassB+this.m_invIA*this.m_a1*this.m_a1+this.m_invIB*this.m_a2*this.m_a2;this.m_motorMass=this.m_motorMass>Number.MIN_VALUE?1/this.m_motorMass:0}{this.m_perp.SetV(s.MulMV(a.R,this.m_localYAxis1));this.m_s1=(p+m)*this.m_perp.y-(u+c)*this.m_perp.x;this.m_s2=h*this.m_perp.y-_*this.m_perp.x;var y=this.m_invMassA;var x=this.m_invMassB;var v=this.m_invIA;var d=this.m_invIB;this.m_K.col1.x=y+x+v*this.m_s1*this.m_s1+d*this.m_s2*this.m_s2;this.m_K.col1.y=v*this.m_s1*this.m_a1+d*this.m_s2*this.m_a2;this.m_K.col2.x=this.m_K.col1.y;this.m_K.col2.y=y+x+v*this.m_a1*this.m_a1+d*this.m_a2*this.m_a2}if(this.m_enableLimit){var b=this.m_axis.x*p+this.m_axis.y*u;if(s.Abs(this.m_upperTranslation-this.m_lowerTranslation)<2*o.b2_linearSlop){this.m_limitState=f.e_equalLimits}else if(b<=this.m_lowerTranslation){if(this.m_limitState!=f.e_atLowerLimit){this.m_limitState=f.e_atLowerLimit;this.m_impulse.y=0}}else if(b>=this.m_upperTranslation){if(this.m_limitState!=f.e_atUpperLimit){this.m_limitState=f.e_atUpperLimit;this.m_impulse.y=0}}else{this.m_limitState=f.e_inactiveLimit;this.m_impulse.y=0}}else{this.m_limitState=f.e_inactiveLimit}if(this.m_enableMotor==false){this.m_motorImpulse=0}if(t.warmStarting){this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;this.m_motorImpulse*=t.dtRatio;var D=this.m_impulse.x*this.m_perp.x+(this.m_motorImpulse+this.m_impulse.y)*this.m_axis.x;var B=this.m_impulse.x*this.m_perp.y+(this.m_motorImpulse+this.m_impulse.y)*this.m_axis.y;var C=this.m_impulse.x*this.m_s1+(this.m_motorImpulse+this.m_impulse.y)*this.m_a1;var g=this.m_impulse.x*this.m_s2+(this.m_motorImpulse+this.m_impulse.y)*this.m_a2;i.m_linearVelocity.x-=this.m_invMassA*D;i.m_linearVelocity.y-=this.m_invMassA*B;i.m_angularVelocity-=this.m_invIA*C;e.m_linearVelocity.x+=this.m_invMassB*D;e.m_linearVelocity.y+=this.m_invMassB*B;e.m_angularVelocity+=this.m_invIB*g}else{this.m_impulse.SetZero();this.m_motorImpulse=0}};b.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e=i.m_linearVelocity;var n=i.m_angularVelocity;var r=o.m_linearVelocity;var a=o.m_angularVelocity;var m=0;var c=0;var h=0;var _=0;if(this.m_enableMotor&&this.m_limitState!=f.e_equalLimits){var p=this.m_axis.x*(r.x-e.x)+this.m_axis.y*(r.y-e.y)+this.m_a2*a-this.m_a1*n;var u=this.m_motorMass*(this.m_motorSpeed-p);var y=this.m_motorImpulse;var x=t.dt*this.m_maxMotorForce;this.m_motorImpulse=s.Clamp(this.m_motorImpulse+u,-x,x);u=this.m_motorImpulse-y;m=u*this.m_axis.x;c=u*this.m_axis.y;h=u*this.m_a1;_=u*this.m_a2;e.x-=this.m_invMassA*m;e.y-=this.m_invMassA*c;n-=this.m_invIA*h;r.x+=this.m_invMassB*m;r.y+=this.m_invMassB*c;a+=this.m_invIB*_}var v=this.m_perp.x*(r.x-e.x)+this.m_perp.y*(r.y-e.y)+this.m_s2*a-this.m_s1*n;if(this.m_enableLimit&&this.m_limitState!=f.e_inactiveLimit){var d=this.m_axis.x*(r.x-e.x)+this.m_axis.y*(r.y-e.y)+this.m_a2*a-this.m_a1*n;var b=this.m_impulse.Copy();var D=this.m_K.Solve(new l,-v,-d);this.m_impulse.Add(D);if(this.m_limitState==f.e_atLowerLimit){this.m_impulse.y=s.Max(this.m_impulse.y,0)}else if(this.m_limitState==f.e_atUpperLimit){this.m_impulse.y=s.Min(this.m_impulse.y,0)}var B=-v-(this.m_impulse.y-b.y)*this.m_K.col2.x;var C=0;if(this.m_K.col1.x!=0){C=B/this.m_K.col1.x+b.x}else{C=b.x}this.m_impulse.x=C;D.x=this.m_impulse.x-b.x;D.y=this.m_impulse.y-b.y;
-m=D.x*this.m_perp.x+D.y*this.m_axis.x;c=D.x*this.m_perp.y+D.y*this.m_axis.y;h=D.x*this.m_s1+D.y*this.m_a1;_=D.x*this.m_s2+D.y*this.m_a2;e.x-=this.m_invMassA*m;e.y-=this.m_invMassA*c;n-=this.m_invIA*h;r.x+=this.m_invMassB*m;r.y+=this.m_invMassB*c;a+=this.m_invIB*_}else{var g=0;if(this.m_K.col1.x!=0){g=-v/this.m_K.col1.x}else{g=0}this.m_impulse.x+=g;m=g*this.m_perp.x;c=g*this.m_perp.y;h=g*this.m_s1;_=g*this.m_s2;e.x-=this.m_invMassA*m;e.y-=this.m_invMassA*c;n-=this.m_invIA*h;r.x+=this.m_invMassB*m;r.y+=this.m_invMassB*c;a+=this.m_invIB*_}i.m_linearVelocity.SetV(e);i.m_angularVelocity=n;o.m_linearVelocity.SetV(r);o.m_angularVelocity=a};b.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;var n=0;var r=this.m_bodyA;var a=this.m_bodyB;var m=r.m_sweep.c;var c=r.m_sweep.a;var h=a.m_sweep.c;var _=a.m_sweep.a;var p;var u=0;var y=0;var x=0;var f=0;var v=0;var d=0;var b=0;var D=false;var B=0;var C=e.FromAngle(c);var g=e.FromAngle(_);p=C;var A=this.m_localAnchor1.x-this.m_localCenterA.x;var S=this.m_localAnchor1.y-this.m_localCenterA.y;u=p.col1.x*A+p.col2.x*S;S=p.col1.y*A+p.col2.y*S;A=u;p=g;var w=this.m_localAnchor2.x-this.m_localCenterB.x;var M=this.m_localAnchor2.y-this.m_localCenterB.y;u=p.col1.x*w+p.col2.x*M;M=p.col1.y*w+p.col2.y*M;w=u;var V=h.x+w-m.x-A;var I=h.y+M-m.y-S;if(this.m_enableLimit){this.m_axis=s.MulMV(C,this.m_localXAxis1);this.m_a1=(V+A)*this.m_axis.y-(I+S)*this.m_axis.x;this.m_a2=w*this.m_axis.y-M*this.m_axis.x;var G=this.m_axis.x*V+this.m_axis.y*I;if(s.Abs(this.m_upperTranslation-this.m_lowerTranslation)<2*o.b2_linearSlop){B=s.Clamp(G,-o.b2_maxLinearCorrection,o.b2_maxLinearCorrection);d=s.Abs(G);D=true}else if(G<=this.m_lowerTranslation){B=s.Clamp(G-this.m_lowerTranslation+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);d=this.m_lowerTranslation-G;D=true}else if(G>=this.m_upperTranslation){B=s.Clamp(G-this.m_upperTranslation+o.b2_linearSlop,0,o.b2_maxLinearCorrection);d=G-this.m_upperTranslation;D=true}}this.m_perp=s.MulMV(C,this.m_localYAxis1);this.m_s1=(V+A)*this.m_perp.y-(I+S)*this.m_perp.x;this.m_s2=w*this.m_perp.y-M*this.m_perp.x;var L=new l;var J=this.m_perp.x*V+this.m_perp.y*I;d=s.Max(d,s.Abs(J));b=0;if(D){y=this.m_invMassA;x=this.m_invMassB;f=this.m_invIA;v=this.m_invIB;this.m_K.col1.x=y+x+f*this.m_s1*this.m_s1+v*this.m_s2*this.m_s2;this.m_K.col1.y=f*this.m_s1*this.m_a1+v*this.m_s2*this.m_a2;this.m_K.col2.x=this.m_K.col1.y;this.m_K.col2.y=y+x+f*this.m_a1*this.m_a1+v*this.m_a2*this.m_a2;this.m_K.Solve(L,-J,-B)}else{y=this.m_invMassA;x=this.m_invMassB;f=this.m_invIA;v=this.m_invIB;var F=y+x+f*this.m_s1*this.m_s1+v*this.m_s2*this.m_s2;var P=0;if(F!=0){P=-J/F}else{P=0}L.x=P;L.y=0}var R=L.x*this.m_perp.x+L.y*this.m_axis.x;var T=L.x*this.m_perp.y+L.y*this.m_axis.y;var k=L.x*this.m_s1+L.y*this.m_a1;var N=L.x*this.m_s2+L.y*this.m_a2;m.x-=this.m_invMassA*R;m.y-=this.m_invMassA*T;c-=this.m_invIA*k;h.x+=this.m_invMassB*R;h.y+=this.m_invMassB*T;_+=this.m_invIB*N;r.m_sweep.a=c;a.m_sweep.a=_;r.SynchronizeTransform();a.SynchronizeTransform();return d<=o.b2_linearSlop&&b<=o.b2_angularSlop};Box2D.inherit(D,Box2D.Dynamics.Joints.b2JointDef);D.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;D.b2LineJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l;this.localAxisA=new l};D.prototype.b2LineJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_lineJoint;this.localAxisA.Set(1,0);this.enableLimit=false;this.lowerTranslation=0;this.upperTranslation=0;this.enableMotor=false;this.maxMotorForce=0;this.motorSpeed=0};D.prototype.Initialize=function(t,i,o,e){this.bodyA=t;this.bodyB=i;this.localAnchorA=this.bodyA.GetLocalPoint(o);this.localAnchorB=this.bodyB.GetLocalPoint(o);this.localAxisA=this.bodyA.GetLocalVector(e)};Box2D.inherit(B,Box2D.Dynamics.Joints.b2Joint);B.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;B.b2MouseJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.K=new e;this.K1=new e;this.K2=new e;this.m_localAnchor=new l;this.m_target=new l;this.m_impulse=new l;this.m_mass=new e;this.m_C=new l};B.prototype.GetAnchorA=function(){return this.m_target};B.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor)};B.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse.x,t*this.m_impulse.y)};B.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return 0};B.prototype.GetTarget=function(){return this.m_target};B.prototype.SetTarget=function(t){if(this.m_bodyB.IsAwake()==false){this.m_bodyB.SetAwake(true)}this.m_target=t};B.prototype.GetMaxForce=function(){return this.m_maxForce};B.prototype.SetMaxForce=function(t){if(t===undefined)t=0;this.m_maxForce=t};B.prototype.GetFrequency=function(){return this.m_frequencyHz};B.prototype.SetFrequency=function(t){if(t===undefined)t=0;this.m_frequencyHz=t};B.prototype.GetDampingRatio=function(){return this.m_dampingRatio};B.prototype.SetDampingRatio=function(t){if(t===undefined)t=0;this.m_dampingRatio=t};B.prototype.b2MouseJoint=function(t){this.__super.b2Joint.call(this,t);this.m_target.SetV(t.target);var i=this.m_target.x-this.m_bodyB.m_xf.position.x;var o=this.m_target.y-this.m_bodyB.m_xf.position.y;var e=this.m_bodyB.m_xf.R;this.m_localAnchor.x=i*e.col1.x+o*e.col1.y;this.m_localAnchor.y=i*e.col2.x+o*e.col2.y;this.m_maxForce=t.maxForce;this.m_impulse.SetZero();this.m_frequencyHz=t.frequencyHz;this.m_dampingRatio=t.dampingRatio;this.m_beta=0;this.m_gamma=0};B.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyB;var o=i.GetMass();var e=2*Math.PI*this.m_frequencyHz;var n=2*o*this.m_dampingRatio*e;var s=o*e*e;this.m_gamma=t.dt*(n+t.dt*s);this.m_gamma=this.m_gamma!=0?1/this.m_gamma:0;this.m_beta=t.dt*s*this.m_gamma;var r;r=i.m_xf.R;var a=this.m_localAnchor.x-i.m_sweep.localCenter.x;var l=this.m_localAnchor.y-i.m_sweep.localCenter.y;var m=r.col1.x*a+r.col2.x*l;l=r.col1.y*a+r.col2.y*l;a=m;var c=i.m_invMass;var h=i.m_invI;this.K1.col1.x=c;this.K1.col2.x=0;this.K1.col1.y=0;this.K1.col2.y=c;this.K2.col1.x=h*l*l;this.K2.col2.x=-h*a*l;this.K2.col1.y=-h*a*l;this.K2.col2.y=h*a*a;this.K.SetM(this.K1);this.K.AddM(this.K2);this.K.col1.x+=this.m_gamma;this.K.col2.y+=this.m_gamma;this.K.GetInverse(this.m_mass);this.m_C.x=i.m_sweep.c.x+a-this.m_target.x;this.m_C.y=i.m_sweep.c.y+l-this.m_target.y;i.m_angularVelocity*=.98;this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;i.m_linearVelocity.x+=c*this.m_impulse.x;i.m_linearVelocity.y+=c*this.m_impulse.y;i.m_angularVelocity+=h*(a*this.m_impulse.y-l*this.m_impulse.x)};B.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyB;var o;var e=0;var n=0;o=i.m_xf.R;var s=this.m_localAnchor.x-i.m_sweep.localCenter.x;var r=this.m_localAnchor.y-i.m_sweep.localCenter.y;e=o.col1.x*s+o.col2.x*r;r=o.col1.y*s+o.col2.y*r;s=e;var a=i.m_linearVelocity.x+-i.m_angularVelocity*r;var l=i.m_linearVelocity.y+i.m_angularVelocity*s;o=this.m_mass;e=a+this.m_beta*this.m_C.x+this.m_gamma*this.m_impulse.x;n=l+this.m_beta*this.m_C.y+this.m_gamma*this.m_impulse.y;var m=-(o.col1.x*e+o.col2.x*n);var c=-(o.col1.y*e+o.col2.y*n);var h=this.m_impulse.x;var _=this.m_impulse.y;this.m_impulse.x+=m;this.m_impulse.y+=c;var p=t.dt*this.m_maxForce;if(this.m_impulse.LengthSquared()>p*p){this.m_impulse.Multiply(p/this.m_impulse.Length())}m=this.m_impulse.x-h;c=this.m_impulse.y-_;i.m_linearVelocity.x+=i.m_invMass*m;i.m_linearVelocity.y+=i.m_invMass*c;i.m_angularVelocity+=i.m_invI*(s*c-r*m)};B.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;return true};Box2D.inherit(C,Box2D.Dynamics.Joints.b2JointDef);C.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;C.b2MouseJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.target=new l};C.prototype.b2MouseJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_mouseJoint;this.maxForce=0;this.frequencyHz=5;this.dampingRatio=.7};Box2D.inherit(g,Box2D.Dynamics.Joints.b2Joint);g.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;g.b2PrismaticJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_localXAxis1=new l;this.m_localYAxis1=new l;this.m_axis=new l;this.m_perp=new l;this.m_K=new n;this.m_impulse=new m};g.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};g.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};g.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*(this.m_impulse.x*this.m_perp.x+(this.m_motorImpulse+this.m_impulse.z)*this.m_axis.x),t*(this.m_impulse.x*this.m_perp.y+(this.m_motorImpulse+this.m_impulse.z)*this.m_axis.y))};g.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_impulse.y};g.prototype.GetJointTranslation=function(){var t=this.m_bodyA;var i=this.m_bodyB;var o;var e=t.GetWorldPoint(this.m_localAnchor1);var n=i.GetWorldPoint(this.m_localAnchor2);var s=n.x-e.x;var r=n.y-e.y;var a=t.GetWorldVector(this.m_localXAxis1);var l=a.x*s+a.y*r;return l};g.prototype.GetJointSpeed=function(){var t=this.m_bodyA;var i=this.m_bodyB;var o;o=t.m_xf.R;var e=this.m_localAnchor1.x-t.m_sweep.localCenter.x;var n=this.m_localAnchor1.y-t.m_sweep.localCenter.y;var s=o.col1.x*e+o.col2.x*n;n=o.col1.y*e+o.col2.y*n;e=s;o=i.m_xf.R;var r=this.m_localAnchor2.x-i.m_sweep.localCenter.x;var a=this.m_localAnchor2.y-i.m_sweep.localCenter.y;s=o.col1.x*r+o.col2.x*a;a=o.col1.y*r+o.col2.y*a;r=s;var l=t.m_sweep.c.x+e;var m=t.m_sweep.c.y+n;var c=i.m_sweep.c.x+r;var h=i.m_sweep.c.y+a;var _=c-l;var p=h-m;var u=t.GetWorldVector(this.m_localXAxis1);var y=t.m_linearVelocity;var x=i.m_linearVelocity;var f=t.m_angularVelocity;var v=i.m_angularVelocity;var d=_*(-f*u.y)+p*(f*u.x)+(u.x*(x.x+-v*a-y.x- -f*n)+u.y*(x.y+v*r-y.y-f*e));return d};g.prototype.IsLimitEnabled=function(){return this.m_enableLimit};g.prototype.EnableLimit=function(t){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_enableLimit=t};g.prototype.GetLowerLimit=function(){return this.m_lowerTranslation};g.prototype.GetUpperLimit=function(){return this.m_upperTranslation};g.prototype.SetLimits=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_lowerTranslation=t;this.m_upperTranslation=i};g.prototype.IsMotorEnabled=function(){return this.m_enableMotor};g.prototype.EnableMotor=function(t){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_enableMotor=t};g.prototype.SetMotorSpeed=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_motorSpeed=t};g.prototype.GetMotorSpeed=function(){return this.m_motorSpeed};g.prototype.SetMaxMotorForce=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_maxMotorForce=t};g.prototype.GetMotorForce=function(){return this.m_motorImpulse};g.prototype.b2PrismaticJoint=function(t){this.__super.b2Joint.call(this,t);var i;var o=0;var e=0;this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_localXAxis1.SetV(t.localAxisA);this.m_localYAxis1.x=-this.m_localXAxis1.y;this.m_localYAxis1.y=this.m_localXAxis1.x;this.m_refAngle=t.referenceAngle;this.m_impulse.SetZero();this.m_motorMass=0;this.m_motorImpulse=0;this.m_lowerTranslation=t.lowerTranslation;this.m_upperTranslation=t.upperTranslation;this.m_maxMotorForce=t.maxMotorForce;this.m_motorSpeed=t.motorSpeed;this.m_enableLimit=t.enableLimit;this.m_enableMotor=t.enableMotor;this.m_limitState=f.e_inactiveLimit;this.m_axis.SetZero();this.m_perp.SetZero()};g.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyA;var e=this.m_bodyB;var n;var r=0;this.m_localCenterA.SetV(i.GetLocalCenter());this.m_localCenterB.SetV(e.GetLocalCenter());var a=i.GetTransform();var l=e.GetTransform();n=i.m_xf.R;var m=this.m_localAnchor1.x-this.m_localCenterA.x;var c=this.m_localAnchor1.y-this.m_localCenterA.y;r=n.col1.x*m+n.col2.x*c;c=n.col1.y*m+n.col2.y*c;m=r;n=e.m_xf.R;var h=this.m_localAnchor2.x-this.m_localCenterB.x;var _=this.m_localAnchor2.y-this.m_localCenterB.y;r=n.col1.x*h+n.col2.x*_;_=n.col1.y*h+n.col2.y*_;h=r;var p=e.m_sweep.c.x+h-i.m_sweep.c.x-m;var u=e.m_sweep.c.y+_-i.m_sweep.c.y-c;this.m_invMassA=i.m_invMass;this.m_invMassB=e.m_invMass;this.m_invIA=i.m_invI;this.m_invIB=e.m_invI;{this.m_axis.SetV(s.MulMV(a.R,this.m_localXAxis1));this.m_a1=(p+m)*this.m_axis.y-(u+c)*this.m_axis.x;this.m_a2=h*this.m_axis.y-_*this.m_axis.x;this.m_motorMass=this.m_invMassA+this.m_invMassB+this.m_invIA*this.m_a1*this.m_a1+this.m_invIB*this.m_a2*this.m_a2;if(this.m_motorMass>Number.MIN_VALUE)this.m_motorMass=1/this.m_motorMass}{this.m_perp.SetV(s.MulMV(a.R,this.m_localYAxis1));this.m_s1=(p+m)*this.m_perp.y-(u+c)*this.m_perp.x;this.m_s2=h*this.m_perp.y-_*this.m_perp.x;var y=this.m_invMassA;var x=this.m_invMassB;var v=this.m_invIA;var d=this.m_invIB;this.m_K.col1.x=y+x+v*this.m_s1*this.m_s1+d*this.m_s2*this.m_s2;this.m_K.col1.y=v*this.m_s1+d*this.m_s2;this.m_K.col1.z=v*this.m_s1*this.m_a1+d*this.m_s2*this.m_a2;this.m_K.col2.x=this.m_K.col1.y;this.m_K.col2.y=v+d;this.m_K.col2.z=v*this.m_a1+d*this.m_a2;this.m_K.col3.x=this.m_K.col1.z;this.m_K.col3.y=this.m_K.col2.z;this.m_K.col3.z=y+x+v*this.m_a1*this.m_a1+d*this.m_a2*this.m_a2}if(this.m_enableLimit){var b=this.m_axis.x*p+this.m_axis.y*u;if(s.Abs(this.m_upperTranslation-this.m_lowerTranslation)<2*o.b2_linearSlop){this.m_limitState=f.e_equalLimits}else if(b<=this.m_lowerTranslation){if(this.m_limitState!=f.e_atLowerLimit){this.m_limitState=f.e_atLowerLimit;this.m_impulse.z=0}}else if(b>=this.m_upperTranslation){if(this.m_limitState!=f.e_atUpperLimit){this.m_limitState=f.e_atUpperLimit;this.m_impulse.z=0}}else{this.m_limitState=f.e_inactiveLimit;this.m_impulse.z=0}}else{this.m_limitState=f.e_inactiveLimit}if(this.m_enableMotor==false){this.m_motorImpulse=0}if(t.warmStarting){this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;this.m_motorImpulse*=t.dtRatio;var D=this.m_impulse.x*this.m_perp.x+(this.m_motorImpulse+this.m_impulse.z)*this.m_axis.x;var B=this.m_impulse.x*this.m_perp.y+(this.m_motorImpulse+this.m_impulse.z)*this.m_axis.y;var C=this.m_impulse.x*this.m_s1+this.m_impulse.y+(this.m_motorImpulse+this.m_impulse.z)*this.m_a1;var g=this.m_impulse.x*this.m_s2+this.m_impulse.y+(this.m_motorImpulse+this.m_impulse.z)*this.m_a2;i.m_linearVelocity.x-=this.m_invMassA*D;i.m_linearVelocity.y-=this.m_invMassA*B;i.m_angularVelocity-=this.m_invIA*C;e.m_linearVelocity.x+=this.m_invMassB*D;e.m_linearVelocity.y+=this.m_invMassB*B;e.m_angularVelocity+=this.m_invIB*g}else{this.m_impulse.SetZero();this.m_motorImpulse=0}};g.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e=i.m_linearVelocity;var n=i.m_angularVelocity;var r=o.m_linearVelocity;var a=o.m_angularVelocity;var c=0;var h=0;var _=0;var p=0;if(this.m_enableMotor&&this.m_limitState!=f.e_equalLimits){var u=this.m_axis.x*(r.x-e.x)+this.m_axis.y*(r.y-e.y)+this.m_a2*a-this.m_a1*n;var y=this.m_motorMass*(this.m_motorSpeed-u);var x=this.m_motorImpulse;var v=t.dt*this.m_maxMotorForce;this.m_motorImpulse=s.Clamp(this.m_motorImpulse+y,-v,v);y=this.m_motorImpulse-x;c=y*this.m_axis.x;h=y*this.m_axis.y;_=y*this.m_a1;p=y*this.m_a2;e.x-=this.m_invMassA*c;e.y-=this.m_invMassA*h;n-=this.m_invIA*_;r.x+=this.m_invMassB*c;r.y+=this.m_invMassB*h;a+=this.m_invIB*p}var d=this.m_perp.x*(r.x-e.x)+this.m_perp.y*(r.y-e.y)+this.m_s2*a-this.m_s1*n;var b=a-n;if(this.m_enableLimit&&this.m_limitState!=f.e_inactiveLimit){var D=this.m_axis.x*(r.x-e.x)+this.m_axis.y*(r.y-e.y)+this.m_a2*a-this.m_a1*n;var B=this.m_impulse.Copy();var C=this.m_K.Solve33(new m,-d,-b,-D);this.m_impulse.Add(C);if(this.m_limitState==f.e_atLowerLimit){this.m_impulse.z=s.Max(this.m_impulse.z,0)}else if(this.m_limitState==f.e_atUpperLimit){this.m_impulse.z=s.Min(this.m_impulse.z,0)}var g=-d-(this.m_impulse.z-B.z)*this.m_K.col3.x;var A=-b-(this.m_impulse.z-B.z)*this.m_K.col3.y;var S=this.m_K.Solve22(new l,g,A);S.x+=B.x;S.y+=B.y;this.m_impulse.x=S.x;this.m_impulse.y=S.y;C.x=this.m_impulse.x-B.x;C.y=this.m_impulse.y-B.y;C.z=this.m_impulse.z-B.z;c=C.x*this.m_perp.x+C.z*this.m_axis.x;h=C.x*this.m_perp.y+C.z*this.m_axis.y;_=C.x*this.m_s1+C.y+C.z*this.m_a1;p=C.x*this.m_s2+C.y+C.z*this.m_a2;e.x-=this.m_invMassA*c;e.y-=this.m_invMassA*h;n-=this.m_invIA*_;r.x+=this.m_invMassB*c;r.y+=this.m_invMassB*h;a+=this.m_invIB*p}else{var w=this.m_K.Solve22(new l,-d,-b);this.m_impulse.x+=w.x;this.m_impulse.y+=w.y;c=w.x*this.m_perp.x;h=w.x*this.m_perp.y;_=w.x*this.m_s1+w.y;p=w.x*this.m_s2+w.y;e.x-=this.m_invMassA*c;e.y-=this.m_invMassA*h;n-=this.m_invIA*_;r.x+=this.m_invMassB*c;r.y+=this.m_invMassB*h;a+=this.m_invIB*p}i.m_linearVelocity.SetV(e);i.m_angularVelocity=n;o.m_linearVelocity.SetV(r);o.m_angularVelocity=a};g.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;var n=0;var r=this.m_bodyA;var a=this.m_bodyB;var c=r.m_sweep.c;var h=r.m_sweep.a;var _=a.m_sweep.c;var p=a.m_sweep.a;var u;var y=0;var x=0;var f=0;var v=0;var d=0;var b=0;var D=0;var B=false;var C=0;var g=e.FromAngle(h);var A=e.FromAngle(p);u=g;var S=this.m_localAnchor1.x-this.m_localCenterA.x;var w=this.m_localAnchor1.y-this.m_localCenterA.y;y=u.col1.x*S+u.col2.x*w;w=u.col1.y*S+u.col2.y*w;S=y;u=A;var M=this.m_localAnchor2.x-this.m_localCenterB.x;var V=this.m_localAnchor2.y-this.m_localCenterB.y;y=u.col1.x*M+u.col2.x*V;V=u.col1.y*M+u.col2.y*V;M=y;var I=_.x+M-c.x-S;var G=_.y+V-c.y-w;if(this.m_enableLimit){this.m_axis=s.MulMV(g,this.m_localXAxis1);this.m_a1=(I+S)*this.m_axis.y-(G+w)*this.m_axis.x;this.m_a2=M*this.m_axis.y-V*this.m_axis.x;var L=this.m_axis.x*I+this.m_axis.y*G;if(s.Abs(this.m_upperTranslation-this.m_lowerTranslation)<2*o.b2_linearSlop){C=s.Clamp(L,-o.b2_maxLinearCorrection,o.b2_maxLinearCorrection);b=s.Abs(L);B=true}else if(L<=this.m_lowerTranslation){C=s.Clamp(L-this.m_lowerTranslation+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);b=this.m_lowerTranslation-L;B=true}else if(L>=this.m_upperTranslation){C=s.Clamp(L-this.m_upperTranslation+o.b2_linearSlop,0,o.b2_maxLinearCorrection);b=L-this.m_upperTranslation;B=true}}this.m_perp=s.MulMV(g,this.m_localYAxis1);this.m_s1=(I+S)*this.m_perp.y-(G+w)*this.m_perp.x;this.m_s2=M*this.m_perp.y-V*this.m_perp.x;var J=new m;var F=this.m_perp.x*I+this.m_perp.y*G;var P=p-h-this.m_refAngle;b=s.Max(b,s.Abs(F));D=s.Abs(P);if(B){x=this.m_invMassA;f=this.m_invMassB;v=this.m_invIA;d=this.m_invIB;this.m_K.col1.x=x+f+v*this.m_s1*this.m_s1+d*this.m_s2*this.m_s2;this.m_K.col1.y=v*this.m_s1+d*this.m_s2;this.m_K.col1.z=v*this.m_s1*this.m_a1+d*this.m_s2*this.m_a2;this.m_K.col2.x=this.m_K.col1.y;this.m_K.col2.y=v+d;this.m_K.col2.z=v*this.m_a1+d*this.m_a2;this.m_K.col3.x=this.m_K.col1.z;this.m_K.col3.y=this.m_K.col2.z;this.m_K.col3.z=x+f+v*this.m_a1*this.m_a1+d*this.m_a2*this.m_a2;this.m_K.Solve33(J,-F,-P,-C)}else{x=this.m_invMassA;f=this.m_invMassB;v=this.m_invIA;d=this.m_invIB;var R=x+f+v*this.m_s1*this.m_s1+d*this.m_s2*this.m_s2;var T=v*this.m_s1+d*this.m_s2;var k=v+d;this.m_K.col1.Set(R,T,0);this.m_K.col2.Set(T,k,0);var N=this.m_K.Solve22(new l,-F,-P);J.x=N.x;J.y=N.y;J.z=0}var z=J.x*this.m_perp.x+J.z*this.m_axis.x;var E=J.x*this.m_perp.y+J.z*this.m_axis.y;var j=J.x*this.m_s1+J.y+J.z*this.m_a1;var O=J.x*this.m_s2+J.y+J.z*this.m_a2;c.x-=this.m_invMassA*z;c.y-=this.m_invMassA*E;h-=this.m_invIA*j;_.x+=this.m_invMassB*z;_.y+=this.m_invMassB*E;p+=this.m_invIB*O;r.m_sweep.a=h;a.m_sweep.a=p;r.SynchronizeTransform();a.SynchronizeTransform();return b<=o.b2_linearSlop&&D<=o.b2_angularSlop};Box2D.inherit(A,Box2D.Dynamics.Joints.b2JointDef);A.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;A.b2PrismaticJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l;this.localAxisA=new l};A.prototype.b2PrismaticJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_prismaticJoint;this.localAxisA.Set(1,0);this.referenceAngle=0;this.enableLimit=false;this.lowerTranslation=0;this.upperTranslation=0;this.enableMotor=false;this.maxMotorForce=0;this.motorSpeed=0};A.prototype.Initialize=function(t,i,o,e){this.bodyA=t;this.bodyB=i;this.localAnchorA=this.bodyA.GetLocalPoint(o);this.localAnchorB=this.bodyB.GetLocalPoint(o);this.localAxisA=this.bodyA.GetLocalVector(e);this.referenceAngle=this.bodyB.GetAngle()-this.bodyA.GetAngle()};Box2D.inherit(S,Box2D.Dynamics.Joints.b2Joint);S.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;S.b2PulleyJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_groundAnchor1=new l;this.m_groundAnchor2=new l;this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_u1=new l;this.m_u2=new l};S.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};S.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};S.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse*this.m_u2.x,t*this.m_impulse*this.m_u2.y)};S.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return 0};S.prototype.GetGroundAnchorA=function(){var t=this.m_ground.m_xf.position.Copy();t.Add(this.m_groundAnchor1);return t};S.prototype.GetGroundAnchorB=function(){var t=this.m_ground.m_xf.position.Copy();t.Add(this.m_groundAnchor2);return t};S.prototype.GetLength1=function(){var t=this.m_bodyA.GetWorldPoint(this.m_localAnchor1);var i=this.m_ground.m_xf.position.x+this.m_groundAnchor1.x;var o=this.m_ground.m_xf.position.y+this.m_groundAnchor1.y;var e=t.x-i;var n=t.y-o;return Math.sqrt(e*e+n*n)};S.prototype.GetLength2=function(){var t=this.m_bodyB.GetWorldPoint(this.m_localAnchor2);var i=this.m_ground.m_xf.position.x+this.m_groundAnchor2.x;var o=this.m_ground.m_xf.position.y+this.m_groundAnchor2.y;var e=t.x-i;var n=t.y-o;return Math.sqrt(e*e+n*n)};S.prototype.GetRatio=function(){return this.m_ratio};S.prototype.b2PulleyJoint=function(t){this.__super.b2Joint.call(this,t);var i;var o=0;var e=0;this.m_ground=this.m_bodyA.m_world.m_groundBody;this.m_groundAnchor1.x=t.groundAnchorA.x-this.m_ground.m_xf.position.x;this.m_groundAnchor1.y=t.groundAnchorA.y-this.m_ground.m_xf.position.y;this.m_groundAnchor2.x=t.groundAnchorB.x-this.m_ground.m_xf.position.x;this.m_groundAnchor2.y=t.groundAnchorB.y-this.m_ground.m_xf.position.y;this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_ratio=t.ratio;this.m_constant=t.lengthA+this.m_ratio*t.lengthB;this.m_maxLength1=s.Min(t.maxLengthA,this.m_constant-this.m_ratio*S.b2_minPulleyLength);this.m_maxLength2=s.Min(t.maxLengthB,(this.m_constant-S.b2_minPulleyLength)/this.m_ratio);this.m_impulse=0;this.m_limitImpulse1=0;this.m_limitImpulse2=0};S.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyA;var e=this.m_bodyB;var n;n=i.m_xf.R;var s=this.m_localAnchor1.x-i.m_sweep.localCenter.x;var r=this.m_localAnchor1.y-i.m_sweep.localCenter.y;var a=n.col1.x*s+n.col2.x*r;r=n.col1.y*s+n.col2.y*r;s=a;n=e.m_xf.R;var l=this.m_localAnchor2.x-e.m_sweep.localCenter.x;var m=this.m_localAnchor2.y-e.m_sweep.localCenter.y;a=n.col1.x*l+n.col2.x*m;m=n.col1.y*l+n.col2.y*m;l=a;var c=i.m_sweep.c.x+s;var h=i.m_sweep.c.y+r;var _=e.m_sweep.c.x+l;var p=e.m_sweep.c.y+m;var u=this.m_ground.m_xf.position.x+this.m_groundAnchor1.x;var y=this.m_ground.m_xf.position.y+this.m_groundAnchor1.y;var x=this.m_ground.m_xf.position.x+this.m_groundAnchor2.x;var v=this.m_ground.m_xf.position.y+this.m_groundAnchor2.y;this.m_u1.Set(c-u,h-y);this.m_u2.Set(_-x,p-v);var d=this.m_u1.Length();var b=this.m_u2.Length();if(d>o.b2_linearSlop){this.m_u1.Multiply(1/d)}else{this.m_u1.SetZero()}if(b>o.b2_linearSlop){this.m_u2.Multiply(1/b)}else{this.m_u2.SetZero()}var D=this.m_constant-d-this.m_ratio*b;if(D>0){this.m_state=f.e_inactiveLimit;this.m_impulse=0}else{this.m_state=f.e_atUpperLimit}if(d<this.m_maxLength1){this.m_limitState1=f.e_inactiveLimit;this.m_limitImpulse1=0}else{this.m_limitState1=f.e_atUpperLimit}if(b<this.m_maxLength2){this.m_limitState2=f.e_inactiveLimit;this.m_limitImpulse2=0}else{this.m_limitState2=f.e_atUpperLimit}var B=s*this.m_u1.y-r*this.m_u1.x;var C=l*this.m_u2.y-m*this.m_u2.x;this.m_limitMass1=i.m_invMass+i.m_invI*B*B;this.m_limitMass2=e.m_invMass+e.m_invI*C*C;this.m_pulleyMass=this.m_limitMass1+this.m_ratio*this.m_ratio*this.m_limitMass2;this.m_limitMass1=1/this.m_limitMass1;this.m_limitMass2=1/this.m_limitMass2;this.m_pulleyMass=1/this.m_pulleyMass;if(t.warmStarting){this.m_impulse*=t.dtRatio;this.m_limitImpulse1*=t.dtRatio;this.m_limitImpulse2*=t.dtRatio;var g=(-this.m_impulse-this.m_limitImpulse1)*this.m_u1.x;var A=(-this.m_impulse-this.m_limitImpulse1)*this.m_u1.y;var S=(-this.m_ratio*this.m_impulse-this.m_limitImpulse2)*this.m_u2.x;var w=(-this.m_ratio*this.m_impulse-this.m_limitImpulse2)*this.m_u2.y;i.m_linearVelocity.x+=i.m_invMass*g;i.m_linearVelocity.y+=i.m_invMass*A;i.m_angularVelocity+=i.m_invI*(s*A-r*g);e.m_linearVelocity.x+=e.m_invMass*S;e.m_linearVelocity.y+=e.m_invMass*w;e.m_angularVelocity+=e.m_invI*(l*w-m*S)}else{this.m_impulse=0;this.m_limitImpulse1=0;this.m_limitImpulse2=0}};S.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e;e=i.m_xf.R;var n=this.m_localAnchor1.x-i.m_sweep.localCenter.x;var r=this.m_localAnchor1.y-i.m_sweep.localCenter.y;var a=e.col1.x*n+e.col2.x*r;r=e.col1.y*n+e.col2.y*r;n=a;e=o.m_xf.R;var l=this.m_localAnchor2.x-o.m_sweep.localCenter.x;var m=this.m_localAnchor2.y-o.m_sweep.localCenter.y;a=e.col1.x*l+e.col2.x*m;m=e.col1.y*l+e.col2.y*m;l=a;var c=0;var h=0;var _=0;var p=0;var u=0;var y=0;var x=0;var v=0;var d=0;var b=0;var D=0;if(this.m_state==f.e_atUpperLimit){c=i.m_linearVelocity.x+-i.m_angularVelocity*r;h=i.m_linearVelocity.y+i.m_angularVelocity*n;_=o.m_linearVelocity.x+-o.m_angularVelocity*m;p=o.m_linearVelocity.y+o.m_angularVelocity*l;d=-(this.m_u1.x*c+this.m_u1.y*h)-this.m_ratio*(this.m_u2.x*_+this.m_u2.y*p);b=this.m_pulleyMass*-d;D=this.m_impulse;this.m_impulse=s.Max(0,this.m_impulse+b);b=this.m_impulse-D;u=-b*this.m_u1.x;y=-b*this.m_u1.y;x=-this.m_ratio*b*this.m_u2.x;v=-this.m_ratio*b*this.m_u2.y;i.m_linearVelocity.x+=i.m_invMass*u;i.m_linearVelocity.y+=i.m_invMass*y;i.m_angularVelocity+=i.m_invI*(n*y-r*u);o.m_linearVelocity.x+=o.m_invMass*x;o.m_linearVelocity.y+=o.m_invMass*v;o.m_angularVelocity+=o.m_invI*(l*v-m*x)}if(this.m_limitState1==f.e_atUpperLimit){c=i.m_linearVelocity.x+-i.m_angularVelocity*r;h=i.m_linearVelocity.y+i.m_angularVelocity*n;d=-(this.m_u1.x*c+this.m_u1.y*h);b=-this.m_limitMass1*d;D=this.m_limitImpulse1;this.m_limitImpulse1=s.Max(0,this.m_limitImpulse1+b);b=this.m_limitImpulse1-D;u=-b*this.m_u1.x;y=-b*this.m_u1.y;i.m_linearVelocity.x+=i.m_invMass*u;i.m_linearVelocity.y+=i.m_invMass*y;i.m_angularVelocity+=i.m_invI*(n*y-r*u)}if(this.m_limitState2==f.e_atUpperLimit){_=o.m_linearVelocity.x+-o.m_angularVelocity*m;p=o.m_linearVelocity.y+o.m_angularVelocity*l;d=-(this.m_u2.x*_+this.m_u2.y*p);b=-this.m_limitMass2*d;D=this.m_limitImpulse2;this.m_limitImpulse2=s.Max(0,this.m_limitImpulse2+b);b=this.m_limitImpulse2-D;x=-b*this.m_u2.x;v=-b*this.m_u2.y;o.m_linearVelocity.x+=o.m_invMass*x;o.m_linearVelocity.y+=o.m_invMass*v;o.m_angularVelocity+=o.m_invI*(l*v-m*x)}};S.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=this.m_bodyA;var e=this.m_bodyB;var n;var r=this.m_ground.m_xf.position.x+this.m_groundAnchor1.x;var a=this.m_ground.m_xf.position.y+this.m_groundAnchor1.y;var l=this.m_ground.m_xf.position.x+this.m_groundAnchor2.x;var m=this.m_ground.m_xf.position.y+this.m_groundAnchor2.y;var c=0;var h=0;var _=0;var p=0;var u=0;var y=0;var x=0;var v=0;var d=0;var b=0;var D=0;var B=0;var C=0;var g=0;var A=0;var S=0;if(this.m_state==f.e_atUpperLimit){n=i.m_xf.R;c=this.m_localAnchor1.x-i.m_sweep.localCenter.x;h=this.m_localAnchor1.y-i.m_sweep.localCenter.y;A=n.col1.x*c+n.col2.x*h;h=n.col1.y*c+n.col2.y*h;c=A;n=e.m_xf.R;_=this.m_localAnchor2.x-e.m_sweep.localCenter.x;p=this.m_localAnchor2.y-e.m_sweep.localCenter.y;A=n.col1.x*_+n.col2.x*p;p=n.col1.y*_+n.col2.y*p;_=A;u=i.m_sweep.c.x+c;y=i.m_sweep.c.y+h;x=e.m_sweep.c.x+_;v=e.m_sweep.c.y+p;this.m_u1.Set(u-r,y-a);this.m_u2.Set(x-l,v-m);d=this.m_u1.Length();b=this.m_u2.Length();if(d>o.b2_linearSlop){this.m_u1.Multiply(1/d)}else{this.m_u1.SetZero()}if(b>o.b2_linearSlop){this.m_u2.Multiply(1/b)}else{this.m_u2.SetZero()}D=this.m_constant-d-this.m_ratio*b;S=s.Max(S,-D);D=s.Clamp(D+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);B=-this.m_pulleyMass*D;u=-B*this.m_u1.x;y=-B*this.m_u1.y;x=-this.m_ratio*B*this.m_u2.x;v=-this.m_ratio*B*this.m_u2.y;i.m_sweep.c.x+=i.m_invMass*u;i.m_sweep.c.y+=i.m_invMass*y;i.m_sweep.a+=i.m_invI*(c*y-h*u);e.m_sweep.c.x+=e.m_invMass*x;e.m_sweep.c.y+=e.m_invMass*v;e.m_sweep.a+=e.m_invI*(_*v-p*x);i.SynchronizeTransform();e.SynchronizeTransform()}if(this.m_limitState1==f.e_atUpperLimit){n=i.m_xf.R;c=this.m_localAnchor1.x-i.m_sweep.localCenter.x;h=this.m_localAnchor1.y-i.m_sweep.localCenter.y;A=n.col1.x*c+n.col2.x*h;h=n.col1.y*c+n.col2.y*h;c=A;u=i.m_sweep.c.x+c;y=i.m_sweep.c.y+h;this.m_u1.Set(u-r,y-a);d=this.m_u1.Length();if(d>o.b2_linearSlop){this.m_u1.x*=1/d;this.m_u1.y*=1/d}else{this.m_u1.SetZero()}D=this.m_maxLength1-d;S=s.Max(S,-D);D=s.Clamp(D+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);B=-this.m_limitMass1*D;u=-B*this.m_u1.x;y=-B*this.m_u1.y;i.m_sweep.c.x+=i.m_invMass*u;i.m_sweep.c.y+=i.m_invMass*y;i.m_sweep.a+=i.m_invI*(c*y-h*u);i.SynchronizeTransform()}if(this.m_limitState2==f.e_atUpperLimit){n=e.m_xf.R;_=this.m_localAnchor2.x-e.m_sweep.localCenter.x;p=this.m_localAnchor2.y-e.m_sweep.localCenter.y;A=n.col1.x*_+n.col2.x*p;p=n.col1.y*_+n.col2.y*p;_=A;x=e.m_sweep.c.x+_;v=e.m_sweep.c.y+p;this.m_u2.Set(x-l,v-m);b=this.m_u2.Length();if(b>o.b2_linearSlop){this.m_u2.x*=1/b;this.m_u2.y*=1/b}else{this.m_u2.SetZero()}D=this.m_maxLength2-b;S=s.Max(S,-D);D=s.Clamp(D+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);B=-this.m_limitMass2*D;x=-B*this.m_u2.x;v=-B*this.m_u2.y;e.m_sweep.c.x+=e.m_invMass*x;e.m_sweep.c.y+=e.m_invMass*v;e.m_sweep.a+=e.m_invI*(_*v-p*x);e.SynchronizeTransform()}return S<o.b2_linearSlop};Box2D.postDefs.push(function(){Box2D.Dynamics.Joints.b2PulleyJoint.b2_minPulleyLength=2});Box2D.inherit(w,Box2D.Dynamics.Joints.b2JointDef);w.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;w.b2PulleyJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.groundAnchorA=new l;this.groundAnchorB=new l;this.localAnchorA=new l;this.localAnchorB=new l};w.prototype.b2PulleyJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_pulleyJoint;this.groundAnchorA.Set(-1,1);this.groundAnchorB.Set(1,1);this.localAnchorA.Set(-1,0);this.localAnchorB.Set(1,0);this.lengthA=0;this.maxLengthA=0;this.lengthB=0;this.maxLengthB=0;this.ratio=1;this.collideConnected=true};w.prototype.Initialize=function(t,i,o,e,n,s,r){if(r===undefined)r=0;this.bodyA=t;this.bodyB=i;this.groundAnchorA.SetV(o);this.groundAnchorB.SetV(e);this.localAnchorA=this.bodyA.GetLocalPoint(n);this.localAnchorB=this.bodyB.GetLocalPoint(s);var a=n.x-o.x;var l=n.y-o.y;this.lengthA=Math.sqrt(a*a+l*l);var m=s.x-e.x;var c=s.y-e.y;this.lengthB=Math.sqrt(m*m+c*c);this.ratio=r;var h=this.lengthA+this.ratio*this.lengthB;this.maxLengthA=h-this.ratio*S.b2_minPulleyLength;this.maxLengthB=(h-S.b2_minPulleyLength)/this.ratio};Box2D.inherit(M,Box2D.Dynamics.Joints.b2Joint);M.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;M.b2RevoluteJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.K=new e;this.K1=new e;this.K2=new e;this.K3=new e;this.impulse3=new m;this.impulse2=new l;this.reduced=new l;this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_impulse=new m;this.m_mass=new n};M.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};M.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};M.prototype.GetReactionForce=function(t){if(t===undefined)t=0;
-return new l(t*this.m_impulse.x,t*this.m_impulse.y)};M.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_impulse.z};M.prototype.GetJointAngle=function(){return this.m_bodyB.m_sweep.a-this.m_bodyA.m_sweep.a-this.m_referenceAngle};M.prototype.GetJointSpeed=function(){return this.m_bodyB.m_angularVelocity-this.m_bodyA.m_angularVelocity};M.prototype.IsLimitEnabled=function(){return this.m_enableLimit};M.prototype.EnableLimit=function(t){this.m_enableLimit=t};M.prototype.GetLowerLimit=function(){return this.m_lowerAngle};M.prototype.GetUpperLimit=function(){return this.m_upperAngle};M.prototype.SetLimits=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.m_lowerAngle=t;this.m_upperAngle=i};M.prototype.IsMotorEnabled=function(){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);return this.m_enableMotor};M.prototype.EnableMotor=function(t){this.m_enableMotor=t};M.prototype.SetMotorSpeed=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_motorSpeed=t};M.prototype.GetMotorSpeed=function(){return this.m_motorSpeed};M.prototype.SetMaxMotorTorque=function(t){if(t===undefined)t=0;this.m_maxMotorTorque=t};M.prototype.GetMotorTorque=function(){return this.m_maxMotorTorque};M.prototype.b2RevoluteJoint=function(t){this.__super.b2Joint.call(this,t);this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_referenceAngle=t.referenceAngle;this.m_impulse.SetZero();this.m_motorImpulse=0;this.m_lowerAngle=t.lowerAngle;this.m_upperAngle=t.upperAngle;this.m_maxMotorTorque=t.maxMotorTorque;this.m_motorSpeed=t.motorSpeed;this.m_enableLimit=t.enableLimit;this.m_enableMotor=t.enableMotor;this.m_limitState=f.e_inactiveLimit};M.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyA;var e=this.m_bodyB;var n;var r=0;if(this.m_enableMotor||this.m_enableLimit){}n=i.m_xf.R;var a=this.m_localAnchor1.x-i.m_sweep.localCenter.x;var l=this.m_localAnchor1.y-i.m_sweep.localCenter.y;r=n.col1.x*a+n.col2.x*l;l=n.col1.y*a+n.col2.y*l;a=r;n=e.m_xf.R;var m=this.m_localAnchor2.x-e.m_sweep.localCenter.x;var c=this.m_localAnchor2.y-e.m_sweep.localCenter.y;r=n.col1.x*m+n.col2.x*c;c=n.col1.y*m+n.col2.y*c;m=r;var h=i.m_invMass;var _=e.m_invMass;var p=i.m_invI;var u=e.m_invI;this.m_mass.col1.x=h+_+l*l*p+c*c*u;this.m_mass.col2.x=-l*a*p-c*m*u;this.m_mass.col3.x=-l*p-c*u;this.m_mass.col1.y=this.m_mass.col2.x;this.m_mass.col2.y=h+_+a*a*p+m*m*u;this.m_mass.col3.y=a*p+m*u;this.m_mass.col1.z=this.m_mass.col3.x;this.m_mass.col2.z=this.m_mass.col3.y;this.m_mass.col3.z=p+u;this.m_motorMass=1/(p+u);if(this.m_enableMotor==false){this.m_motorImpulse=0}if(this.m_enableLimit){var y=e.m_sweep.a-i.m_sweep.a-this.m_referenceAngle;if(s.Abs(this.m_upperAngle-this.m_lowerAngle)<2*o.b2_angularSlop){this.m_limitState=f.e_equalLimits}else if(y<=this.m_lowerAngle){if(this.m_limitState!=f.e_atLowerLimit){this.m_impulse.z=0}this.m_limitState=f.e_atLowerLimit}else if(y>=this.m_upperAngle){if(this.m_limitState!=f.e_atUpperLimit){this.m_impulse.z=0}this.m_limitState=f.e_atUpperLimit}else{this.m_limitState=f.e_inactiveLimit;this.m_impulse.z=0}}else{this.m_limitState=f.e_inactiveLimit}if(t.warmStarting){this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;this.m_motorImpulse*=t.dtRatio;var x=this.m_impulse.x;var v=this.m_impulse.y;i.m_linearVelocity.x-=h*x;i.m_linearVelocity.y-=h*v;i.m_angularVelocity-=p*(a*v-l*x+this.m_motorImpulse+this.m_impulse.z);e.m_linearVelocity.x+=_*x;e.m_linearVelocity.y+=_*v;e.m_angularVelocity+=u*(m*v-c*x+this.m_motorImpulse+this.m_impulse.z)}else{this.m_impulse.SetZero();this.m_motorImpulse=0}};M.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e;var n=0;var r=0;var a=0;var l=0;var m=0;var c=0;var h=i.m_linearVelocity;var _=i.m_angularVelocity;var p=o.m_linearVelocity;var u=o.m_angularVelocity;var y=i.m_invMass;var x=o.m_invMass;var v=i.m_invI;var d=o.m_invI;if(this.m_enableMotor&&this.m_limitState!=f.e_equalLimits){var b=u-_-this.m_motorSpeed;var D=this.m_motorMass*-b;var B=this.m_motorImpulse;var C=t.dt*this.m_maxMotorTorque;this.m_motorImpulse=s.Clamp(this.m_motorImpulse+D,-C,C);D=this.m_motorImpulse-B;_-=v*D;u+=d*D}if(this.m_enableLimit&&this.m_limitState!=f.e_inactiveLimit){e=i.m_xf.R;a=this.m_localAnchor1.x-i.m_sweep.localCenter.x;l=this.m_localAnchor1.y-i.m_sweep.localCenter.y;n=e.col1.x*a+e.col2.x*l;l=e.col1.y*a+e.col2.y*l;a=n;e=o.m_xf.R;m=this.m_localAnchor2.x-o.m_sweep.localCenter.x;c=this.m_localAnchor2.y-o.m_sweep.localCenter.y;n=e.col1.x*m+e.col2.x*c;c=e.col1.y*m+e.col2.y*c;m=n;var g=p.x+-u*c-h.x- -_*l;var A=p.y+u*m-h.y-_*a;var S=u-_;this.m_mass.Solve33(this.impulse3,-g,-A,-S);if(this.m_limitState==f.e_equalLimits){this.m_impulse.Add(this.impulse3)}else if(this.m_limitState==f.e_atLowerLimit){r=this.m_impulse.z+this.impulse3.z;if(r<0){this.m_mass.Solve22(this.reduced,-g,-A);this.impulse3.x=this.reduced.x;this.impulse3.y=this.reduced.y;this.impulse3.z=-this.m_impulse.z;this.m_impulse.x+=this.reduced.x;this.m_impulse.y+=this.reduced.y;this.m_impulse.z=0}}else if(this.m_limitState==f.e_atUpperLimit){r=this.m_impulse.z+this.impulse3.z;if(r>0){this.m_mass.Solve22(this.reduced,-g,-A);this.impulse3.x=this.reduced.x;this.impulse3.y=this.reduced.y;this.impulse3.z=-this.m_impulse.z;this.m_impulse.x+=this.reduced.x;this.m_impulse.y+=this.reduced.y;this.m_impulse.z=0}}h.x-=y*this.impulse3.x;h.y-=y*this.impulse3.y;_-=v*(a*this.impulse3.y-l*this.impulse3.x+this.impulse3.z);p.x+=x*this.impulse3.x;p.y+=x*this.impulse3.y;u+=d*(m*this.impulse3.y-c*this.impulse3.x+this.impulse3.z)}else{e=i.m_xf.R;a=this.m_localAnchor1.x-i.m_sweep.localCenter.x;l=this.m_localAnchor1.y-i.m_sweep.localCenter.y;n=e.col1.x*a+e.col2.x*l;l=e.col1.y*a+e.col2.y*l;a=n;e=o.m_xf.R;m=this.m_localAnchor2.x-o.m_sweep.localCenter.x;c=this.m_localAnchor2.y-o.m_sweep.localCenter.y;n=e.col1.x*m+e.col2.x*c;c=e.col1.y*m+e.col2.y*c;m=n;var w=p.x+-u*c-h.x- -_*l;var M=p.y+u*m-h.y-_*a;this.m_mass.Solve22(this.impulse2,-w,-M);this.m_impulse.x+=this.impulse2.x;this.m_impulse.y+=this.impulse2.y;h.x-=y*this.impulse2.x;h.y-=y*this.impulse2.y;_-=v*(a*this.impulse2.y-l*this.impulse2.x);p.x+=x*this.impulse2.x;p.y+=x*this.impulse2.y;u+=d*(m*this.impulse2.y-c*this.impulse2.x)}i.m_linearVelocity.SetV(h);i.m_angularVelocity=_;o.m_linearVelocity.SetV(p);o.m_angularVelocity=u};M.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;var e=0;var n;var r=this.m_bodyA;var a=this.m_bodyB;var l=0;var m=0;var c=0;var h=0;var _=0;if(this.m_enableLimit&&this.m_limitState!=f.e_inactiveLimit){var p=a.m_sweep.a-r.m_sweep.a-this.m_referenceAngle;var u=0;if(this.m_limitState==f.e_equalLimits){e=s.Clamp(p-this.m_lowerAngle,-o.b2_maxAngularCorrection,o.b2_maxAngularCorrection);u=-this.m_motorMass*e;l=s.Abs(e)}else if(this.m_limitState==f.e_atLowerLimit){e=p-this.m_lowerAngle;l=-e;e=s.Clamp(e+o.b2_angularSlop,-o.b2_maxAngularCorrection,0);u=-this.m_motorMass*e}else if(this.m_limitState==f.e_atUpperLimit){e=p-this.m_upperAngle;l=e;e=s.Clamp(e-o.b2_angularSlop,0,o.b2_maxAngularCorrection);u=-this.m_motorMass*e}r.m_sweep.a-=r.m_invI*u;a.m_sweep.a+=a.m_invI*u;r.SynchronizeTransform();a.SynchronizeTransform()}{n=r.m_xf.R;var y=this.m_localAnchor1.x-r.m_sweep.localCenter.x;var x=this.m_localAnchor1.y-r.m_sweep.localCenter.y;c=n.col1.x*y+n.col2.x*x;x=n.col1.y*y+n.col2.y*x;y=c;n=a.m_xf.R;var v=this.m_localAnchor2.x-a.m_sweep.localCenter.x;var d=this.m_localAnchor2.y-a.m_sweep.localCenter.y;c=n.col1.x*v+n.col2.x*d;d=n.col1.y*v+n.col2.y*d;v=c;var b=a.m_sweep.c.x+v-r.m_sweep.c.x-y;var D=a.m_sweep.c.y+d-r.m_sweep.c.y-x;var B=b*b+D*D;var C=Math.sqrt(B);m=C;var g=r.m_invMass;var A=a.m_invMass;var S=r.m_invI;var w=a.m_invI;var V=10*o.b2_linearSlop;if(B>V*V){var I=b/C;var G=D/C;var L=g+A;var J=1/L;h=J*-b;_=J*-D;var F=.5;r.m_sweep.c.x-=F*g*h;r.m_sweep.c.y-=F*g*_;a.m_sweep.c.x+=F*A*h;a.m_sweep.c.y+=F*A*_;b=a.m_sweep.c.x+v-r.m_sweep.c.x-y;D=a.m_sweep.c.y+d-r.m_sweep.c.y-x}this.K1.col1.x=g+A;this.K1.col2.x=0;this.K1.col1.y=0;this.K1.col2.y=g+A;this.K2.col1.x=S*x*x;this.K2.col2.x=-S*y*x;this.K2.col1.y=-S*y*x;this.K2.col2.y=S*y*y;this.K3.col1.x=w*d*d;this.K3.col2.x=-w*v*d;this.K3.col1.y=-w*v*d;this.K3.col2.y=w*v*v;this.K.SetM(this.K1);this.K.AddM(this.K2);this.K.AddM(this.K3);this.K.Solve(M.tImpulse,-b,-D);h=M.tImpulse.x;_=M.tImpulse.y;r.m_sweep.c.x-=r.m_invMass*h;r.m_sweep.c.y-=r.m_invMass*_;r.m_sweep.a-=r.m_invI*(y*_-x*h);a.m_sweep.c.x+=a.m_invMass*h;a.m_sweep.c.y+=a.m_invMass*_;a.m_sweep.a+=a.m_invI*(v*_-d*h);r.SynchronizeTransform();a.SynchronizeTransform()}return m<=o.b2_linearSlop&&l<=o.b2_angularSlop};Box2D.postDefs.push(function(){Box2D.Dynamics.Joints.b2RevoluteJoint.tImpulse=new l});Box2D.inherit(V,Box2D.Dynamics.Joints.b2JointDef);V.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;V.b2RevoluteJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l};V.prototype.b2RevoluteJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_revoluteJoint;this.localAnchorA.Set(0,0);this.localAnchorB.Set(0,0);this.referenceAngle=0;this.lowerAngle=0;this.upperAngle=0;this.maxMotorTorque=0;this.motorSpeed=0;this.enableLimit=false;this.enableMotor=false};V.prototype.Initialize=function(t,i,o){this.bodyA=t;this.bodyB=i;this.localAnchorA=this.bodyA.GetLocalPoint(o);this.localAnchorB=this.bodyB.GetLocalPoint(o);this.referenceAngle=this.bodyB.GetAngle()-this.bodyA.GetAngle()};Box2D.inherit(I,Box2D.Dynamics.Joints.b2Joint);I.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;I.b2WeldJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchorA=new l;this.m_localAnchorB=new l;this.m_impulse=new m;this.m_mass=new n};I.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchorA)};I.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchorB)};I.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse.x,t*this.m_impulse.y)};I.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_impulse.z};I.prototype.b2WeldJoint=function(t){this.__super.b2Joint.call(this,t);this.m_localAnchorA.SetV(t.localAnchorA);this.m_localAnchorB.SetV(t.localAnchorB);this.m_referenceAngle=t.referenceAngle;this.m_impulse.SetZero();this.m_mass=new n};I.prototype.InitVelocityConstraints=function(t){var i;var o=0;var e=this.m_bodyA;var n=this.m_bodyB;i=e.m_xf.R;var s=this.m_localAnchorA.x-e.m_sweep.localCenter.x;var r=this.m_localAnchorA.y-e.m_sweep.localCenter.y;o=i.col1.x*s+i.col2.x*r;r=i.col1.y*s+i.col2.y*r;s=o;i=n.m_xf.R;var a=this.m_localAnchorB.x-n.m_sweep.localCenter.x;var l=this.m_localAnchorB.y-n.m_sweep.localCenter.y;o=i.col1.x*a+i.col2.x*l;l=i.col1.y*a+i.col2.y*l;a=o;var m=e.m_invMass;var c=n.m_invMass;var h=e.m_invI;var _=n.m_invI;this.m_mass.col1.x=m+c+r*r*h+l*l*_;this.m_mass.col2.x=-r*s*h-l*a*_;this.m_mass.col3.x=-r*h-l*_;this.m_mass.col1.y=this.m_mass.col2.x;this.m_mass.col2.y=m+c+s*s*h+a*a*_;this.m_mass.col3.y=s*h+a*_;this.m_mass.col1.z=this.m_mass.col3.x;this.m_mass.col2.z=this.m_mass.col3.y;this.m_mass.col3.z=h+_;if(t.warmStarting){this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;this.m_impulse.z*=t.dtRatio;e.m_linearVelocity.x-=m*this.m_impulse.x;e.m_linearVelocity.y-=m*this.m_impulse.y;e.m_angularVelocity-=h*(s*this.m_impulse.y-r*this.m_impulse.x+this.m_impulse.z);n.m_linearVelocity.x+=c*this.m_impulse.x;n.m_linearVelocity.y+=c*this.m_impulse.y;n.m_angularVelocity+=_*(a*this.m_impulse.y-l*this.m_impulse.x+this.m_impulse.z)}else{this.m_impulse.SetZero()}};I.prototype.SolveVelocityConstraints=function(t){var i;var o=0;var e=this.m_bodyA;var n=this.m_bodyB;var s=e.m_linearVelocity;var r=e.m_angularVelocity;var a=n.m_linearVelocity;var l=n.m_angularVelocity;var c=e.m_invMass;var h=n.m_invMass;var _=e.m_invI;var p=n.m_invI;i=e.m_xf.R;var u=this.m_localAnchorA.x-e.m_sweep.localCenter.x;var y=this.m_localAnchorA.y-e.m_sweep.localCenter.y;o=i.col1.x*u+i.col2.x*y;y=i.col1.y*u+i.col2.y*y;u=o;i=n.m_xf.R;var x=this.m_localAnchorB.x-n.m_sweep.localCenter.x;var f=this.m_localAnchorB.y-n.m_sweep.localCenter.y;o=i.col1.x*x+i.col2.x*f;f=i.col1.y*x+i.col2.y*f;x=o;var v=a.x-l*f-s.x+r*y;var d=a.y+l*x-s.y-r*u;var b=l-r;var D=new m;this.m_mass.Solve33(D,-v,-d,-b);this.m_impulse.Add(D);s.x-=c*D.x;s.y-=c*D.y;r-=_*(u*D.y-y*D.x+D.z);a.x+=h*D.x;a.y+=h*D.y;l+=p*(x*D.y-f*D.x+D.z);e.m_angularVelocity=r;n.m_angularVelocity=l};I.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i;var e=0;var n=this.m_bodyA;var r=this.m_bodyB;i=n.m_xf.R;var a=this.m_localAnchorA.x-n.m_sweep.localCenter.x;var l=this.m_localAnchorA.y-n.m_sweep.localCenter.y;e=i.col1.x*a+i.col2.x*l;l=i.col1.y*a+i.col2.y*l;a=e;i=r.m_xf.R;var c=this.m_localAnchorB.x-r.m_sweep.localCenter.x;var h=this.m_localAnchorB.y-r.m_sweep.localCenter.y;e=i.col1.x*c+i.col2.x*h;h=i.col1.y*c+i.col2.y*h;c=e;var _=n.m_invMass;var p=r.m_invMass;var u=n.m_invI;var y=r.m_invI;var x=r.m_sweep.c.x+c-n.m_sweep.c.x-a;var f=r.m_sweep.c.y+h-n.m_sweep.c.y-l;var v=r.m_sweep.a-n.m_sweep.a-this.m_referenceAngle;var d=10*o.b2_linearSlop;var b=Math.sqrt(x*x+f*f);var D=s.Abs(v);if(b>d){u*=1;y*=1}this.m_mass.col1.x=_+p+l*l*u+h*h*y;this.m_mass.col2.x=-l*a*u-h*c*y;this.m_mass.col3.x=-l*u-h*y;this.m_mass.col1.y=this.m_mass.col2.x;this.m_mass.col2.y=_+p+a*a*u+c*c*y;this.m_mass.col3.y=a*u+c*y;this.m_mass.col1.z=this.m_mass.col3.x;this.m_mass.col2.z=this.m_mass.col3.y;this.m_mass.col3.z=u+y;var B=new m;this.m_mass.Solve33(B,-x,-f,-v);n.m_sweep.c.x-=_*B.x;n.m_sweep.c.y-=_*B.y;n.m_sweep.a-=u*(a*B.y-l*B.x+B.z);r.m_sweep.c.x+=p*B.x;r.m_sweep.c.y+=p*B.y;r.m_sweep.a+=y*(c*B.y-h*B.x+B.z);n.SynchronizeTransform();r.SynchronizeTransform();return b<=o.b2_linearSlop&&D<=o.b2_angularSlop};Box2D.inherit(G,Box2D.Dynamics.Joints.b2JointDef);G.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;G.b2WeldJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l};G.prototype.b2WeldJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_weldJoint;this.referenceAngle=0};G.prototype.Initialize=function(t,i,o){this.bodyA=t;this.bodyB=i;this.localAnchorA.SetV(this.bodyA.GetLocalPoint(o));this.localAnchorB.SetV(this.bodyB.GetLocalPoint(o));this.referenceAngle=this.bodyB.GetAngle()-this.bodyA.GetAngle()}})();(function(){var t=Box2D.Dynamics.b2DebugDraw;t.b2DebugDraw=function(){this.m_drawScale=1;this.m_lineThickness=1;this.m_alpha=1;this.m_fillAlpha=1;this.m_xformScale=1;var t=this;this.m_sprite={graphics:{clear:function(){t.m_ctx.clearRect(0,0,t.m_ctx.canvas.width,t.m_ctx.canvas.height)}}}};t.prototype._color=function(t,i){return"rgba("+((t&16711680)>>16)+","+((t&65280)>>8)+","+(t&255)+","+i+")"};t.prototype.b2DebugDraw=function(){this.m_drawFlags=0};t.prototype.SetFlags=function(t){if(t===undefined)t=0;this.m_drawFlags=t};t.prototype.GetFlags=function(){return this.m_drawFlags};t.prototype.AppendFlags=function(t){if(t===undefined)t=0;this.m_drawFlags|=t};t.prototype.ClearFlags=function(t){if(t===undefined)t=0;this.m_drawFlags&=~t};t.prototype.SetSprite=function(t){this.m_ctx=t};t.prototype.GetSprite=function(){return this.m_ctx};t.prototype.SetDrawScale=function(t){if(t===undefined)t=0;this.m_drawScale=t};t.prototype.GetDrawScale=function(){return this.m_drawScale};t.prototype.SetLineThickness=function(t){if(t===undefined)t=0;this.m_lineThickness=t;this.m_ctx.strokeWidth=t};t.prototype.GetLineThickness=function(){return this.m_lineThickness};t.prototype.SetAlpha=function(t){if(t===undefined)t=0;this.m_alpha=t};t.prototype.GetAlpha=function(){return this.m_alpha};t.prototype.SetFillAlpha=function(t){if(t===undefined)t=0;this.m_fillAlpha=t};t.prototype.GetFillAlpha=function(){return this.m_fillAlpha};t.prototype.SetXFormScale=function(t){if(t===undefined)t=0;this.m_xformScale=t};t.prototype.GetXFormScale=function(){return this.m_xformScale};t.prototype.DrawPolygon=function(t,i,o){if(!i)return;var e=this.m_ctx;var n=this.m_drawScale;e.beginPath();e.strokeStyle=this._color(o.color,this.m_alpha);e.moveTo(t[0].x*n,t[0].y*n);for(var s=1;s<i;s++){e.lineTo(t[s].x*n,t[s].y*n)}e.lineTo(t[0].x*n,t[0].y*n);e.closePath();e.stroke()};t.prototype.DrawSolidPolygon=function(t,i,o){if(!i)return;var e=this.m_ctx;var n=this.m_drawScale;e.beginPath();e.strokeStyle=this._color(o.color,this.m_alpha);e.fillStyle=this._color(o.color,this.m_fillAlpha);e.moveTo(t[0].x*n,t[0].y*n);for(var s=1;s<i;s++){e.lineTo(t[s].x*n,t[s].y*n)}e.lineTo(t[0].x*n,t[0].y*n);e.closePath();e.fill();e.stroke()};t.prototype.DrawCircle=function(t,i,o){if(!i)return;var e=this.m_ctx;var n=this.m_drawScale;e.beginPath();e.strokeStyle=this._color(o.color,this.m_alpha);e.arc(t.x*n,t.y*n,i*n,0,Math.PI*2,true);e.closePath();e.stroke()};t.prototype.DrawSolidCircle=function(t,i,o,e){if(!i)return;var n=this.m_ctx,s=this.m_drawScale,r=t.x*s,a=t.y*s;n.moveTo(0,0);n.beginPath();n.strokeStyle=this._color(e.color,this.m_alpha);n.fillStyle=this._color(e.color,this.m_fillAlpha);n.arc(r,a,i*s,0,Math.PI*2,true);n.moveTo(r,a);n.lineTo((t.x+o.x*i)*s,(t.y+o.y*i)*s);n.closePath();n.fill();n.stroke()};t.prototype.DrawSegment=function(t,i,o){var e=this.m_ctx,n=this.m_drawScale;e.strokeStyle=this._color(o.color,this.m_alpha);e.beginPath();e.moveTo(t.x*n,t.y*n);e.lineTo(i.x*n,i.y*n);e.closePath();e.stroke()};t.prototype.DrawTransform=function(t){var i=this.m_ctx,o=this.m_drawScale;i.beginPath();i.strokeStyle=this._color(16711680,this.m_alpha);i.moveTo(t.position.x*o,t.position.y*o);i.lineTo((t.position.x+this.m_xformScale*t.R.col1.x)*o,(t.position.y+this.m_xformScale*t.R.col1.y)*o);i.strokeStyle=this._color(65280,this.m_alpha);i.moveTo(t.position.x*o,t.position.y*o);i.lineTo((t.position.x+this.m_xformScale*t.R.col2.x)*o,(t.position.y+this.m_xformScale*t.R.col2.y)*o);i.closePath();i.stroke()}})();var i;for(i=0;i<Box2D.postDefs.length;++i)Box2D.postDefs[i]();delete Box2D.postDefs;
\ No newline at end of file
+var Box2D={};(function(t,i){if(!(Object.prototype.defineProperty instanceof Function)&&Object.prototype.__defineGetter__ instanceof Function&&Object.prototype.__defineSetter__ instanceof Function){Object.defineProperty=function(t,i,o){if(o.get instanceof Function)t.__defineGetter__(i,o.get);if(o.set instanceof Function)t.__defineSetter__(i,o.set)}}function o(){}t.inherit=function(t,i){var e=t;o.prototype=i.prototype;t.prototype=new o;t.prototype.constructor=e};t.generateCallback=function t(i,o){return function(){o.apply(i,arguments)}};t.NVector=function t(o){if(o===i)o=0;var e=new Array(o||0);for(var n=0;n<o;++n)e[n]=0;return e};t.is=function t(o,e){if(o===null)return false;if(e instanceof Function&&o instanceof e)return true;if(o.constructor.__implements!=i&&o.constructor.__implements[e])return true;return false};t.parseUInt=function(t){return Math.abs(parseInt(t))}})(Box2D);if(typeof Box2D==="undefined")Box2D={};if(typeof Box2D.Collision==="undefined")Box2D.Collision={};if(typeof Box2D.Collision.Shapes==="undefined")Box2D.Collision.Shapes={};if(typeof Box2D.Common==="undefined")Box2D.Common={};if(typeof Box2D.Common.Math==="undefined")Box2D.Common.Math={};if(typeof Box2D.Dynamics==="undefined")Box2D.Dynamics={};if(typeof Box2D.Dynamics.Contacts==="undefined")Box2D.Dynamics.Contacts={};if(typeof Box2D.Dynamics.Controllers==="undefined")Box2D.Dynamics.Controllers={};if(typeof Box2D.Dynamics.Joints==="undefined")Box2D.Dynamics.Joints={};Box2D.Vector=Array;Box2D.Vector_a2j_Number=Box2D.NVector;(function(){Box2D.Collision.IBroadPhase="Box2D.Collision.IBroadPhase";function t(){t.b2AABB.apply(this,arguments)}Box2D.Collision.b2AABB=t;function i(){i.b2Bound.apply(this,arguments)}Box2D.Collision.b2Bound=i;function o(){o.b2BoundValues.apply(this,arguments);if(this.constructor===o)this.b2BoundValues.apply(this,arguments)}Box2D.Collision.b2BoundValues=o;function e(){e.b2Collision.apply(this,arguments)}Box2D.Collision.b2Collision=e;function n(){n.b2ContactID.apply(this,arguments);if(this.constructor===n)this.b2ContactID.apply(this,arguments)}Box2D.Collision.b2ContactID=n;function s(){s.b2ContactPoint.apply(this,arguments)}Box2D.Collision.b2ContactPoint=s;function r(){r.b2Distance.apply(this,arguments)}Box2D.Collision.b2Distance=r;function a(){a.b2DistanceInput.apply(this,arguments)}Box2D.Collision.b2DistanceInput=a;function l(){l.b2DistanceOutput.apply(this,arguments)}Box2D.Collision.b2DistanceOutput=l;function m(){m.b2DistanceProxy.apply(this,arguments)}Box2D.Collision.b2DistanceProxy=m;function c(){c.b2DynamicTree.apply(this,arguments);if(this.constructor===c)this.b2DynamicTree.apply(this,arguments)}Box2D.Collision.b2DynamicTree=c;function h(){h.b2DynamicTreeBroadPhase.apply(this,arguments)}Box2D.Collision.b2DynamicTreeBroadPhase=h;function _(){_.b2DynamicTreeNode.apply(this,arguments)}Box2D.Collision.b2DynamicTreeNode=_;function p(){p.b2DynamicTreePair.apply(this,arguments)}Box2D.Collision.b2DynamicTreePair=p;function u(){u.b2Manifold.apply(this,arguments);if(this.constructor===u)this.b2Manifold.apply(this,arguments)}Box2D.Collision.b2Manifold=u;function y(){y.b2ManifoldPoint.apply(this,arguments);if(this.constructor===y)this.b2ManifoldPoint.apply(this,arguments)}Box2D.Collision.b2ManifoldPoint=y;function x(){x.b2Point.apply(this,arguments)}Box2D.Collision.b2Point=x;function f(){f.b2RayCastInput.apply(this,arguments);if(this.constructor===f)this.b2RayCastInput.apply(this,arguments)}Box2D.Collision.b2RayCastInput=f;function v(){v.b2RayCastOutput.apply(this,arguments)}Box2D.Collision.b2RayCastOutput=v;function d(){d.b2Segment.apply(this,arguments)}Box2D.Collision.b2Segment=d;function b(){b.b2SeparationFunction.apply(this,arguments)}Box2D.Collision.b2SeparationFunction=b;function D(){D.b2Simplex.apply(this,arguments);if(this.constructor===D)this.b2Simplex.apply(this,arguments)}Box2D.Collision.b2Simplex=D;function B(){B.b2SimplexCache.apply(this,arguments)}Box2D.Collision.b2SimplexCache=B;function C(){C.b2SimplexVertex.apply(this,arguments)}Box2D.Collision.b2SimplexVertex=C;function A(){A.b2TimeOfImpact.apply(this,arguments)}Box2D.Collision.b2TimeOfImpact=A;function S(){S.b2TOIInput.apply(this,arguments)}Box2D.Collision.b2TOIInput=S;function w(){w.b2WorldManifold.apply(this,arguments);if(this.constructor===w)this.b2WorldManifold.apply(this,arguments)}Box2D.Collision.b2WorldManifold=w;function g(){g.ClipVertex.apply(this,arguments)}Box2D.Collision.ClipVertex=g;function M(){M.Features.apply(this,arguments)}Box2D.Collision.Features=M;function V(){V.b2CircleShape.apply(this,arguments);if(this.constructor===V)this.b2CircleShape.apply(this,arguments)}Box2D.Collision.Shapes.b2CircleShape=V;function I(){I.b2EdgeChainDef.apply(this,arguments);if(this.constructor===I)this.b2EdgeChainDef.apply(this,arguments)}Box2D.Collision.Shapes.b2EdgeChainDef=I;function G(){G.b2EdgeShape.apply(this,arguments);if(this.constructor===G)this.b2EdgeShape.apply(this,arguments)}Box2D.Collision.Shapes.b2EdgeShape=G;function L(){L.b2MassData.apply(this,arguments)}Box2D.Collision.Shapes.b2MassData=L;function J(){J.b2PolygonShape.apply(this,arguments);if(this.constructor===J)this.b2PolygonShape.apply(this,arguments)}Box2D.Collision.Shapes.b2PolygonShape=J;function F(){F.b2Shape.apply(this,arguments);if(this.constructor===F)this.b2Shape.apply(this,arguments)}Box2D.Collision.Shapes.b2Shape=F;Box2D.Common.b2internal="Box2D.Common.b2internal";function P(){P.b2Color.apply(this,arguments);if(this.constructor===P)this.b2Color.apply(this,arguments)}Box2D.Common.b2Color=P;function R(){R.b2Settings.apply(this,arguments)}Box2D.Common.b2Settings=R;function T(){T.b2Mat22.apply(this,arguments);if(this.constructor===T)this.b2Mat22.apply(this,arguments)}Box2D.Common.Math.b2Mat22=T;function k(){k.b2Mat33.apply(this,arguments);if(this.constructor===k)this.b2Mat33.apply(this,arguments)}Box2D.Common.Math.b2Mat33=k;function N(){N.b2Math.apply(this,arguments)}Box2D.Common.Math.b2Math=N;function z(){z.b2Sweep.apply(this,arguments)}Box2D.Common.Math.b2Sweep=z;function E(){E.b2Transform.apply(this,arguments);if(this.constructor===E)this.b2Transform.apply(this,arguments)}Box2D.Common.Math.b2Transform=E;function j(){j.b2Vec2.apply(this,arguments);if(this.constructor===j)this.b2Vec2.apply(this,arguments)}Box2D.Common.Math.b2Vec2=j;function O(){O.b2Vec3.apply(this,arguments);if(this.constructor===O)this.b2Vec3.apply(this,arguments)}Box2D.Common.Math.b2Vec3=O;function U(){U.b2Body.apply(this,arguments);if(this.constructor===U)this.b2Body.apply(this,arguments)}Box2D.Dynamics.b2Body=U;function q(){q.b2BodyDef.apply(this,arguments);if(this.constructor===q)this.b2BodyDef.apply(this,arguments)}Box2D.Dynamics.b2BodyDef=q;function K(){K.b2ContactFilter.apply(this,arguments)}Box2D.Dynamics.b2ContactFilter=K;function W(){W.b2ContactImpulse.apply(this,arguments)}Box2D.Dynamics.b2ContactImpulse=W;function X(){X.b2ContactListener.apply(this,arguments)}Box2D.Dynamics.b2ContactListener=X;function Z(){Z.b2ContactManager.apply(this,arguments);if(this.constructor===Z)this.b2ContactManager.apply(this,arguments)}Box2D.Dynamics.b2ContactManager=Z;function H(){H.b2DebugDraw.apply(this,arguments);if(this.constructor===H)this.b2DebugDraw.apply(this,arguments)}Box2D.Dynamics.b2DebugDraw=H;function Y(){Y.b2DestructionListener.apply(this,arguments)}Box2D.Dynamics.b2DestructionListener=Y;function Q(){Q.b2FilterData.apply(this,arguments)}Box2D.Dynamics.b2FilterData=Q;function $(){$.b2Fixture.apply(this,arguments);if(this.constructor===$)this.b2Fixture.apply(this,arguments)}Box2D.Dynamics.b2Fixture=$;function tt(){tt.b2FixtureDef.apply(this,arguments);if(this.constructor===tt)this.b2FixtureDef.apply(this,arguments)}Box2D.Dynamics.b2FixtureDef=tt;function it(){it.b2Island.apply(this,arguments);if(this.constructor===it)this.b2Island.apply(this,arguments)}Box2D.Dynamics.b2Island=it;function ot(){ot.b2TimeStep.apply(this,arguments)}Box2D.Dynamics.b2TimeStep=ot;function et(){et.b2World.apply(this,arguments);if(this.constructor===et)this.b2World.apply(this,arguments)}Box2D.Dynamics.b2World=et;function nt(){nt.b2CircleContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2CircleContact=nt;function st(){st.b2Contact.apply(this,arguments);if(this.constructor===st)this.b2Contact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2Contact=st;function rt(){rt.b2ContactConstraint.apply(this,arguments);if(this.constructor===rt)this.b2ContactConstraint.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactConstraint=rt;function at(){at.b2ContactConstraintPoint.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactConstraintPoint=at;function lt(){lt.b2ContactEdge.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactEdge=lt;function mt(){mt.b2ContactFactory.apply(this,arguments);if(this.constructor===mt)this.b2ContactFactory.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactFactory=mt;function ct(){ct.b2ContactRegister.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactRegister=ct;function ht(){ht.b2ContactResult.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactResult=ht;function _t(){_t.b2ContactSolver.apply(this,arguments);if(this.constructor===_t)this.b2ContactSolver.apply(this,arguments)}Box2D.Dynamics.Contacts.b2ContactSolver=_t;function pt(){pt.b2EdgeAndCircleContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2EdgeAndCircleContact=pt;function ut(){ut.b2NullContact.apply(this,arguments);if(this.constructor===ut)this.b2NullContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2NullContact=ut;function yt(){yt.b2PolyAndCircleContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2PolyAndCircleContact=yt;function xt(){xt.b2PolyAndEdgeContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2PolyAndEdgeContact=xt;function ft(){ft.b2PolygonContact.apply(this,arguments)}Box2D.Dynamics.Contacts.b2PolygonContact=ft;function vt(){vt.b2PositionSolverManifold.apply(this,arguments);if(this.constructor===vt)this.b2PositionSolverManifold.apply(this,arguments)}Box2D.Dynamics.Contacts.b2PositionSolverManifold=vt;function dt(){dt.b2BuoyancyController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2BuoyancyController=dt;function bt(){bt.b2ConstantAccelController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2ConstantAccelController=bt;function Dt(){Dt.b2ConstantForceController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2ConstantForceController=Dt;function Bt(){Bt.b2Controller.apply(this,arguments)}Box2D.Dynamics.Controllers.b2Controller=Bt;function Ct(){Ct.b2ControllerEdge.apply(this,arguments)}Box2D.Dynamics.Controllers.b2ControllerEdge=Ct;function At(){At.b2GravityController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2GravityController=At;function St(){St.b2TensorDampingController.apply(this,arguments)}Box2D.Dynamics.Controllers.b2TensorDampingController=St;function wt(){wt.b2DistanceJoint.apply(this,arguments);if(this.constructor===wt)this.b2DistanceJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2DistanceJoint=wt;function gt(){gt.b2DistanceJointDef.apply(this,arguments);if(this.constructor===gt)this.b2DistanceJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2DistanceJointDef=gt;function Mt(){Mt.b2FrictionJoint.apply(this,arguments);if(this.constructor===Mt)this.b2FrictionJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2FrictionJoint=Mt;function Vt(){Vt.b2FrictionJointDef.apply(this,arguments);if(this.constructor===Vt)this.b2FrictionJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2FrictionJointDef=Vt;function It(){It.b2GearJoint.apply(this,arguments);if(this.constructor===It)this.b2GearJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2GearJoint=It;function Gt(){Gt.b2GearJointDef.apply(this,arguments);if(this.constructor===Gt)this.b2GearJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2GearJointDef=Gt;function Lt(){Lt.b2Jacobian.apply(this,arguments)}Box2D.Dynamics.Joints.b2Jacobian=Lt;function Jt(){Jt.b2Joint.apply(this,arguments);if(this.constructor===Jt)this.b2Joint.apply(this,arguments)}Box2D.Dynamics.Joints.b2Joint=Jt;function Ft(){Ft.b2JointDef.apply(this,arguments);if(this.constructor===Ft)this.b2JointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2JointDef=Ft;function Pt(){Pt.b2JointEdge.apply(this,arguments)}Box2D.Dynamics.Joints.b2JointEdge=Pt;function Rt(){Rt.b2LineJoint.apply(this,arguments);if(this.constructor===Rt)this.b2LineJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2LineJoint=Rt;function Tt(){Tt.b2LineJointDef.apply(this,arguments);if(this.constructor===Tt)this.b2LineJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2LineJointDef=Tt;function kt(){kt.b2MouseJoint.apply(this,arguments);if(this.constructor===kt)this.b2MouseJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2MouseJoint=kt;function Nt(){Nt.b2MouseJointDef.apply(this,arguments);if(this.constructor===Nt)this.b2MouseJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2MouseJointDef=Nt;function zt(){zt.b2PrismaticJoint.apply(this,arguments);if(this.constructor===zt)this.b2PrismaticJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2PrismaticJoint=zt;function Et(){Et.b2PrismaticJointDef.apply(this,arguments);if(this.constructor===Et)this.b2PrismaticJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2PrismaticJointDef=Et;function jt(){jt.b2PulleyJoint.apply(this,arguments);if(this.constructor===jt)this.b2PulleyJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2PulleyJoint=jt;function Ot(){Ot.b2PulleyJointDef.apply(this,arguments);if(this.constructor===Ot)this.b2PulleyJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2PulleyJointDef=Ot;function Ut(){Ut.b2RevoluteJoint.apply(this,arguments);if(this.constructor===Ut)this.b2RevoluteJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2RevoluteJoint=Ut;function qt(){qt.b2RevoluteJointDef.apply(this,arguments);if(this.constructor===qt)this.b2RevoluteJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2RevoluteJointDef=qt;function Kt(){Kt.b2WeldJoint.apply(this,arguments);if(this.constructor===Kt)this.b2WeldJoint.apply(this,arguments)}Box2D.Dynamics.Joints.b2WeldJoint=Kt;function Wt(){Wt.b2WeldJointDef.apply(this,arguments);if(this.constructor===Wt)this.b2WeldJointDef.apply(this,arguments)}Box2D.Dynamics.Joints.b2WeldJointDef=Wt})();Box2D.postDefs=[];(function(){var t=Box2D.Collision.Shapes.b2CircleShape,i=Box2D.Collision.Shapes.b2EdgeChainDef,o=Box2D.Collision.Shapes.b2EdgeShape,e=Box2D.Collision.Shapes.b2MassData,n=Box2D.Collision.Shapes.b2PolygonShape,s=Box2D.Collision.Shapes.b2Shape,r=Box2D.Common.b2Color,a=Box2D.Common.b2internal,l=Box2D.Common.b2Settings,m=Box2D.Common.Math.b2Mat22,c=Box2D.Common.Math.b2Mat33,h=Box2D.Common.Math.b2Math,_=Box2D.Common.Math.b2Sweep,p=Box2D.Common.Math.b2Transform,u=Box2D.Common.Math.b2Vec2,y=Box2D.Common.Math.b2Vec3,x=Box2D.Collision.b2AABB,f=Box2D.Collision.b2Bound,v=Box2D.Collision.b2BoundValues,d=Box2D.Collision.b2Collision,b=Box2D.Collision.b2ContactID,D=Box2D.Collision.b2ContactPoint,B=Box2D.Collision.b2Distance,C=Box2D.Collision.b2DistanceInput,A=Box2D.Collision.b2DistanceOutput,S=Box2D.Collision.b2DistanceProxy,w=Box2D.Collision.b2DynamicTree,g=Box2D.Collision.b2DynamicTreeBroadPhase,M=Box2D.Collision.b2DynamicTreeNode,V=Box2D.Collision.b2DynamicTreePair,I=Box2D.Collision.b2Manifold,G=Box2D.Collision.b2ManifoldPoint,L=Box2D.Collision.b2Point,J=Box2D.Collision.b2RayCastInput,F=Box2D.Collision.b2RayCastOutput,P=Box2D.Collision.b2Segment,R=Box2D.Collision.b2SeparationFunction,T=Box2D.Collision.b2Simplex,k=Box2D.Collision.b2SimplexCache,N=Box2D.Collision.b2SimplexVertex,z=Box2D.Collision.b2TimeOfImpact,E=Box2D.Collision.b2TOIInput,j=Box2D.Collision.b2WorldManifold,O=Box2D.Collision.ClipVertex,U=Box2D.Collision.Features,q=Box2D.Collision.IBroadPhase;x.b2AABB=function(){this.lowerBound=new u;this.upperBound=new u};x.prototype.IsValid=function(){var t=this.upperBound.x-this.lowerBound.x;var i=this.upperBound.y-this.lowerBound.y;var o=t>=0&&i>=0;o=o&&this.lowerBound.IsValid()&&this.upperBound.IsValid();return o};x.prototype.GetCenter=function(){return new u((this.lowerBound.x+this.upperBound.x)/2,(this.lowerBound.y+this.upperBound.y)/2)};x.prototype.GetExtents=function(){return new u((this.upperBound.x-this.lowerBound.x)/2,(this.upperBound.y-this.lowerBound.y)/2)};x.prototype.Contains=function(t){var i=true;i=i&&this.lowerBound.x<=t.lowerBound.x;i=i&&this.lowerBound.y<=t.lowerBound.y;i=i&&t.upperBound.x<=this.upperBound.x;i=i&&t.upperBound.y<=this.upperBound.y;return i};x.prototype.RayCast=function(t,i){var o=-Number.MAX_VALUE;var e=Number.MAX_VALUE;var n=i.p1.x;var s=i.p1.y;var r=i.p2.x-i.p1.x;var a=i.p2.y-i.p1.y;var l=Math.abs(r);var m=Math.abs(a);var c=t.normal;var h=0;var _=0;var p=0;var u=0;var y=0;{if(l<Number.MIN_VALUE){if(n<this.lowerBound.x||this.upperBound.x<n)return false}else{h=1/r;_=(this.lowerBound.x-n)*h;p=(this.upperBound.x-n)*h;y=-1;if(_>p){u=_;_=p;p=u;y=1}if(_>o){c.x=y;c.y=0;o=_}e=Math.min(e,p);if(o>e)return false}}{if(m<Number.MIN_VALUE){if(s<this.lowerBound.y||this.upperBound.y<s)return false}else{h=1/a;_=(this.lowerBound.y-s)*h;p=(this.upperBound.y-s)*h;y=-1;if(_>p){u=_;_=p;p=u;y=1}if(_>o){c.y=y;c.x=0;o=_}e=Math.min(e,p);if(o>e)return false}}t.fraction=o;return true};x.prototype.TestOverlap=function(t){var i=t.lowerBound.x-this.upperBound.x;var o=t.lowerBound.y-this.upperBound.y;var e=this.lowerBound.x-t.upperBound.x;var n=this.lowerBound.y-t.upperBound.y;if(i>0||o>0)return false;if(e>0||n>0)return false;return true};x.Combine=function(t,i){var o=new x;o.Combine(t,i);return o};x.prototype.Combine=function(t,i){this.lowerBound.x=Math.min(t.lowerBound.x,i.lowerBound.x);this.lowerBound.y=Math.min(t.lowerBound.y,i.lowerBound.y);this.upperBound.x=Math.max(t.upperBound.x,i.upperBound.x);this.upperBound.y=Math.max(t.upperBound.y,i.upperBound.y)};f.b2Bound=function(){};f.prototype.IsLower=function(){return(this.value&1)==0};f.prototype.IsUpper=function(){return(this.value&1)==1};f.prototype.Swap=function(t){var i=this.value;var o=this.proxy;var e=this.stabbingCount;this.value=t.value;this.proxy=t.proxy;this.stabbingCount=t.stabbingCount;t.value=i;t.proxy=o;t.stabbingCount=e};v.b2BoundValues=function(){};v.prototype.b2BoundValues=function(){this.lowerValues=new Box2D.Vector_a2j_Number;this.lowerValues[0]=0;this.lowerValues[1]=0;this.upperValues=new Box2D.Vector_a2j_Number;this.upperValues[0]=0;this.upperValues[1]=0};d.b2Collision=function(){};d.ClipSegmentToLine=function(t,i,o,e){if(e===undefined)e=0;var n;var s=0;n=i[0];var r=n.v;n=i[1];var a=n.v;var l=o.x*r.x+o.y*r.y-e;var m=o.x*a.x+o.y*a.y-e;if(l<=0)t[s++].Set(i[0]);if(m<=0)t[s++].Set(i[1]);if(l*m<0){var c=l/(l-m);n=t[s];var h=n.v;h.x=r.x+c*(a.x-r.x);h.y=r.y+c*(a.y-r.y);n=t[s];var _;if(l>0){_=i[0];n.id=_.id}else{_=i[1];n.id=_.id}++s}return s};d.EdgeSeparation=function(t,i,o,e,n){if(o===undefined)o=0;var s=parseInt(t.m_vertexCount);var r=t.m_vertices;var a=t.m_normals;var l=parseInt(e.m_vertexCount);var m=e.m_vertices;var c;var h;c=i.R;h=a[o];var _=c.col1.x*h.x+c.col2.x*h.y;var p=c.col1.y*h.x+c.col2.y*h.y;c=n.R;var u=c.col1.x*_+c.col1.y*p;var y=c.col2.x*_+c.col2.y*p;var x=0;var f=Number.MAX_VALUE;for(var v=0;v<l;++v){h=m[v];var d=h.x*u+h.y*y;if(d<f){f=d;x=v}}h=r[o];c=i.R;var b=i.position.x+(c.col1.x*h.x+c.col2.x*h.y);var D=i.position.y+(c.col1.y*h.x+c.col2.y*h.y);h=m[x];c=n.R;var B=n.position.x+(c.col1.x*h.x+c.col2.x*h.y);var C=n.position.y+(c.col1.y*h.x+c.col2.y*h.y);B-=b;C-=D;var A=B*_+C*p;return A};d.FindMaxSeparation=function(t,i,o,e,n){var s=parseInt(i.m_vertexCount);var r=i.m_normals;var a;var l;l=n.R;a=e.m_centroid;var m=n.position.x+(l.col1.x*a.x+l.col2.x*a.y);var c=n.position.y+(l.col1.y*a.x+l.col2.y*a.y);l=o.R;a=i.m_centroid;m-=o.position.x+(l.col1.x*a.x+l.col2.x*a.y);c-=o.position.y+(l.col1.y*a.x+l.col2.y*a.y);var h=m*o.R.col1.x+c*o.R.col1.y;var _=m*o.R.col2.x+c*o.R.col2.y;var p=0;var u=-Number.MAX_VALUE;for(var y=0;y<s;++y){a=r[y];var x=a.x*h+a.y*_;if(x>u){u=x;p=y}}var f=d.EdgeSeparation(i,o,p,e,n);var v=parseInt(p-1>=0?p-1:s-1);var b=d.EdgeSeparation(i,o,v,e,n);var D=parseInt(p+1<s?p+1:0);var B=d.EdgeSeparation(i,o,D,e,n);var C=0;var A=0;var S=0;if(b>f&&b>B){S=-1;C=v;A=b}else if(B>f){S=1;C=D;A=B}else{t[0]=p;return f}while(true){if(S==-1)p=C-1>=0?C-1:s-1;else p=C+1<s?C+1:0;f=d.EdgeSeparation(i,o,p,e,n);if(f>A){C=p;A=f}else{break}}t[0]=C;return A};d.FindIncidentEdge=function(t,i,o,e,n,s){if(e===undefined)e=0;var r=parseInt(i.m_vertexCount);var a=i.m_normals;var l=parseInt(n.m_vertexCount);var m=n.m_vertices;var c=n.m_normals;var h;var _;h=o.R;_=a[e];var p=h.col1.x*_.x+h.col2.x*_.y;var u=h.col1.y*_.x+h.col2.y*_.y;h=s.R;var y=h.col1.x*p+h.col1.y*u;u=h.col2.x*p+h.col2.y*u;p=y;var x=0;var f=Number.MAX_VALUE;for(var v=0;v<l;++v){_=c[v];var d=p*_.x+u*_.y;if(d<f){f=d;x=v}}var b;var D=parseInt(x);var B=parseInt(D+1<l?D+1:0);b=t[0];_=m[D];h=s.R;b.v.x=s.position.x+(h.col1.x*_.x+h.col2.x*_.y);b.v.y=s.position.y+(h.col1.y*_.x+h.col2.y*_.y);b.id.features.referenceEdge=e;b.id.features.incidentEdge=D;b.id.features.incidentVertex=0;b=t[1];_=m[B];h=s.R;b.v.x=s.position.x+(h.col1.x*_.x+h.col2.x*_.y);b.v.y=s.position.y+(h.col1.y*_.x+h.col2.y*_.y);b.id.features.referenceEdge=e;b.id.features.incidentEdge=B;b.id.features.incidentVertex=1};d.MakeClipPointVector=function(){var t=new Box2D.Vector(2);t[0]=new O;t[1]=new O;return t};d.CollidePolygons=function(t,i,o,e,n){var s;t.m_pointCount=0;var r=i.m_radius+e.m_radius;var a=0;d.s_edgeAO[0]=a;var m=d.FindMaxSeparation(d.s_edgeAO,i,o,e,n);a=d.s_edgeAO[0];if(m>r)return;var c=0;d.s_edgeBO[0]=c;var h=d.FindMaxSeparation(d.s_edgeBO,e,n,i,o);c=d.s_edgeBO[0];if(h>r)return;var _;var p;var u;var y;var x=0;var f=0;var v=.98;var b=.001;var D;if(h>v*m+b){_=e;p=i;u=n;y=o;x=c;t.m_type=I.e_faceB;f=1}else{_=i;p=e;u=o;y=n;x=a;t.m_type=I.e_faceA;f=0}var B=d.s_incidentEdge;d.FindIncidentEdge(B,_,u,x,p,y);var C=parseInt(_.m_vertexCount);var A=_.m_vertices;var S=A[x];var w;if(x+1<C){w=A[parseInt(x+1)]}else{w=A[0]}var g=d.s_localTangent;g.Set(w.x-S.x,w.y-S.y);g.Normalize();var M=d.s_localNormal;M.x=g.y;M.y=-g.x;var V=d.s_planePoint;V.Set(.5*(S.x+w.x),.5*(S.y+w.y));var G=d.s_tangent;D=u.R;G.x=D.col1.x*g.x+D.col2.x*g.y;G.y=D.col1.y*g.x+D.col2.y*g.y;var L=d.s_tangent2;L.x=-G.x;L.y=-G.y;var J=d.s_normal;J.x=G.y;J.y=-G.x;var F=d.s_v11;var P=d.s_v12;F.x=u.position.x+(D.col1.x*S.x+D.col2.x*S.y);F.y=u.position.y+(D.col1.y*S.x+D.col2.y*S.y);P.x=u.position.x+(D.col1.x*w.x+D.col2.x*w.y);P.y=u.position.y+(D.col1.y*w.x+D.col2.y*w.y);var R=J.x*F.x+J.y*F.y;var T=-G.x*F.x-G.y*F.y+r;var k=G.x*P.x+G.y*P.y+r;var N=d.s_clipPoints1;var z=d.s_clipPoints2;var E=0;E=d.ClipSegmentToLine(N,B,L,T);if(E<2)return;E=d.ClipSegmentToLine(z,N,G,k);if(E<2)return;t.m_localPlaneNormal.SetV(M);t.m_localPoint.SetV(V);var j=0;for(var O=0;O<l.b2_maxManifoldPoints;++O){s=z[O];var U=J.x*s.v.x+J.y*s.v.y-R;if(U<=r){var q=t.m_points[j];D=y.R;var K=s.v.x-y.position.x;var W=s.v.y-y.position.y;q.m_localPoint.x=K*D.col1.x+W*D.col1.y;q.m_localPoint.y=K*D.col2.x+W*D.col2.y;q.m_id.Set(s.id);q.m_id.features.flip=f;++j}}t.m_pointCount=j};d.CollideCircles=function(t,i,o,e,n){t.m_pointCount=0;var s;var r;s=o.R;r=i.m_p;var a=o.position.x+(s.col1.x*r.x+s.col2.x*r.y);var l=o.position.y+(s.col1.y*r.x+s.col2.y*r.y);s=n.R;r=e.m_p;var m=n.position.x+(s.col1.x*r.x+s.col2.x*r.y);var c=n.position.y+(s.col1.y*r.x+s.col2.y*r.y);var h=m-a;var _=c-l;var p=h*h+_*_;var u=i.m_radius+e.m_radius;if(p>u*u){return}t.m_type=I.e_circles;t.m_localPoint.SetV(i.m_p);t.m_localPlaneNormal.SetZero();t.m_pointCount=1;t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0};d.CollidePolygonAndCircle=function(t,i,o,e,n){t.m_pointCount=0;var s;var r=0;var a=0;var l=0;var m=0;var c;var h;h=n.R;c=e.m_p;var _=n.position.x+(h.col1.x*c.x+h.col2.x*c.y);var p=n.position.y+(h.col1.y*c.x+h.col2.y*c.y);r=_-o.position.x;a=p-o.position.y;h=o.R;var u=r*h.col1.x+a*h.col1.y;var y=r*h.col2.x+a*h.col2.y;var x=0;var f=0;var v=-Number.MAX_VALUE;var d=i.m_radius+e.m_radius;var b=parseInt(i.m_vertexCount);var D=i.m_vertices;var B=i.m_normals;for(var C=0;C<b;++C){c=D[C];r=u-c.x;a=y-c.y;c=B[C];var A=c.x*r+c.y*a;if(A>d){return}if(A>v){v=A;f=C}}var S=parseInt(f);var w=parseInt(S+1<b?S+1:0);var g=D[S];var M=D[w];if(v<Number.MIN_VALUE){t.m_pointCount=1;t.m_type=I.e_faceA;t.m_localPlaneNormal.SetV(B[f]);t.m_localPoint.x=.5*(g.x+M.x);t.m_localPoint.y=.5*(g.y+M.y);t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0;return}var V=(u-g.x)*(M.x-g.x)+(y-g.y)*(M.y-g.y);var G=(u-M.x)*(g.x-M.x)+(y-M.y)*(g.y-M.y);if(V<=0){if((u-g.x)*(u-g.x)+(y-g.y)*(y-g.y)>d*d)return;t.m_pointCount=1;t.m_type=I.e_faceA;t.m_localPlaneNormal.x=u-g.x;t.m_localPlaneNormal.y=y-g.y;t.m_localPlaneNormal.Normalize();t.m_localPoint.SetV(g);t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0}else if(G<=0){if((u-M.x)*(u-M.x)+(y-M.y)*(y-M.y)>d*d)return;t.m_pointCount=1;t.m_type=I.e_faceA;t.m_localPlaneNormal.x=u-M.x;t.m_localPlaneNormal.y=y-M.y;t.m_localPlaneNormal.Normalize();t.m_localPoint.SetV(M);t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0}else{var L=.5*(g.x+M.x);var J=.5*(g.y+M.y);v=(u-L)*B[S].x+(y-J)*B[S].y;if(v>d)return;t.m_pointCount=1;t.m_type=I.e_faceA;t.m_localPlaneNormal.x=B[S].x;t.m_localPlaneNormal.y=B[S].y;t.m_localPlaneNormal.Normalize();t.m_localPoint.Set(L,J);t.m_points[0].m_localPoint.SetV(e.m_p);t.m_points[0].m_id.key=0}};d.TestOverlap=function(t,i){var o=i.lowerBound;var e=t.upperBound;var n=o.x-e.x;var s=o.y-e.y;o=t.lowerBound;e=i.upperBound;var r=o.x-e.x;var a=o.y-e.y;if(n>0||s>0)return false;if(r>0||a>0)return false;return true};Box2D.postDefs.push(function(){Box2D.Collision.b2Collision.s_incidentEdge=d.MakeClipPointVector();Box2D.Collision.b2Collision.s_clipPoints1=d.MakeClipPointVector();Box2D.Collision.b2Collision.s_clipPoints2=d.MakeClipPointVector();Box2D.Collision.b2Collision.s_edgeAO=new Box2D.Vector_a2j_Number(1);Box2D.Collision.b2Collision.s_edgeBO=new Box2D.Vector_a2j_Number(1);Box2D.Collision.b2Collision.s_localTangent=new u;Box2D.Collision.b2Collision.s_localNormal=new u;Box2D.Collision.b2Collision.s_planePoint=new u;Box2D.Collision.b2Collision.s_normal=new u;Box2D.Collision.b2Collision.s_tangent=new u;Box2D.Collision.b2Collision.s_tangent2=new u;Box2D.Collision.b2Collision.s_v11=new u;Box2D.Collision.b2Collision.s_v12=new u;Box2D.Collision.b2Collision.b2CollidePolyTempVec=new u;Box2D.Collision.b2Collision.b2_nullFeature=255});b.b2ContactID=function(){this.features=new U};b.prototype.b2ContactID=function(){this.features._m_id=this};b.prototype.Set=function(t){this.key=t._key};b.prototype.Copy=function(){var t=new b;t.key=this.key;return t};Object.defineProperty(b.prototype,"key",{enumerable:false,configurable:true,get:function(){return this._key}});Object.defineProperty(b.prototype,"key",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._key=t;this.features._referenceEdge=this._key&255;this.features._incidentEdge=(this._key&65280)>>8&255;this.features._incidentVertex=(this._key&16711680)>>16&255;this.features._flip=(this._key&4278190080)>>24&255}});D.b2ContactPoint=function(){this.position=new u;this.velocity=new u;this.normal=new u;this.id=new b};B.b2Distance=function(){};B.Distance=function(t,i,o){++B.b2_gjkCalls;var e=o.proxyA;var n=o.proxyB;var s=o.transformA;var r=o.transformB;var a=B.s_simplex;a.ReadCache(i,e,s,n,r);var m=a.m_vertices;var c=20;var _=B.s_saveA;var p=B.s_saveB;var y=0;var x=a.GetClosestPoint();var f=x.LengthSquared();var v=f;var d=0;var b;var D=0;while(D<c){y=a.m_count;for(d=0;d<y;d++){_[d]=m[d].indexA;p[d]=m[d].indexB}switch(a.m_count){case 1:break;case 2:a.Solve2();break;case 3:a.Solve3();break;default:l.b2Assert(false)}if(a.m_count==3){break}b=a.GetClosestPoint();v=b.LengthSquared();if(v>f){}f=v;var C=a.GetSearchDirection();if(C.LengthSquared()<Number.MIN_VALUE*Number.MIN_VALUE){break}var A=m[a.m_count];A.indexA=e.GetSupport(h.MulTMV(s.R,C.GetNegative()));A.wA=h.MulX(s,e.GetVertex(A.indexA));A.indexB=n.GetSupport(h.MulTMV(r.R,C));A.wB=h.MulX(r,n.GetVertex(A.indexB));A.w=h.SubtractVV(A.wB,A.wA);++D;++B.b2_gjkIters;var S=false;for(d=0;d<y;d++){if(A.indexA==_[d]&&A.indexB==p[d]){S=true;break}}if(S){break}++a.m_count}B.b2_gjkMaxIters=h.Max(B.b2_gjkMaxIters,D);a.GetWitnessPoints(t.pointA,t.pointB);t.distance=h.SubtractVV(t.pointA,t.pointB).Length();t.iterations=D;a.WriteCache(i);if(o.useRadii){var w=e.m_radius;var g=n.m_radius;if(t.distance>w+g&&t.distance>Number.MIN_VALUE){t.distance-=w+g;var M=h.SubtractVV(t.pointB,t.pointA);M.Normalize();t.pointA.x+=w*M.x;t.pointA.y+=w*M.y;t.pointB.x-=g*M.x;t.pointB.y-=g*M.y}else{b=new u;b.x=.5*(t.pointA.x+t.pointB.x);b.y=.5*(t.pointA.y+t.pointB.y);t.pointA.x=t.pointB.x=b.x;t.pointA.y=t.pointB.y=b.y;t.distance=0}}};Box2D.postDefs.push(function(){Box2D.Collision.b2Distance.s_simplex=new T;Box2D.Collision.b2Distance.s_saveA=new Box2D.Vector_a2j_Number(3);Box2D.Collision.b2Distance.s_saveB=new Box2D.Vector_a2j_Number(3)});C.b2DistanceInput=function(){};A.b2DistanceOutput=function(){this.pointA=new u;this.pointB=new u};S.b2DistanceProxy=function(){};S.prototype.Set=function(i){switch(i.GetType()){case s.e_circleShape:{var o=i instanceof t?i:null;this.m_vertices=new Box2D.Vector(1,true);this.m_vertices[0]=o.m_p;this.m_count=1;this.m_radius=o.m_radius}break;case s.e_polygonShape:{var e=i instanceof n?i:null;this.m_vertices=e.m_vertices;this.m_count=e.m_vertexCount;this.m_radius=e.m_radius}break;default:l.b2Assert(false)}};S.prototype.GetSupport=function(t){var i=0;var o=this.m_vertices[0].x*t.x+this.m_vertices[0].y*t.y;for(var e=1;e<this.m_count;++e){var n=this.m_vertices[e].x*t.x+this.m_vertices[e].y*t.y;if(n>o){i=e;o=n}}return i};S.prototype.GetSupportVertex=function(t){var i=0;var o=this.m_vertices[0].x*t.x+this.m_vertices[0].y*t.y;for(var e=1;e<this.m_count;++e){var n=this.m_vertices[e].x*t.x+this.m_vertices[e].y*t.y;if(n>o){i=e;o=n}}return this.m_vertices[i]};S.prototype.GetVertexCount=function(){return this.m_count};S.prototype.GetVertex=function(t){if(t===undefined)t=0;l.b2Assert(0<=t&&t<this.m_count);return this.m_vertices[t]};w.b2DynamicTree=function(){};w.prototype.b2DynamicTree=function(){this.m_root=null;this.m_freeList=null;this.m_path=0;this.m_insertionCount=0};w.prototype.CreateProxy=function(t,i){var o=this.AllocateNode();var e=l.b2_aabbExtension;var n=l.b2_aabbExtension;o.aabb.lowerBound.x=t.lowerBound.x-e;o.aabb.lowerBound.y=t.lowerBound.y-n;o.aabb.upperBound.x=t.upperBound.x+e;o.aabb.upperBound.y=t.upperBound.y+n;o.userData=i;this.InsertLeaf(o);return o};w.prototype.DestroyProxy=function(t){this.RemoveLeaf(t);this.FreeNode(t)};w.prototype.MoveProxy=function(t,i,o){l.b2Assert(t.IsLeaf());if(t.aabb.Contains(i)){return false}this.RemoveLeaf(t);var e=l.b2_aabbExtension+l.b2_aabbMultiplier*(o.x>0?o.x:-o.x);var n=l.b2_aabbExtension+l.b2_aabbMultiplier*(o.y>0?o.y:-o.y);t.aabb.lowerBound.x=i.lowerBound.x-e;t.aabb.lowerBound.y=i.lowerBound.y-n;t.aabb.upperBound.x=i.upperBound.x+e;t.aabb.upperBound.y=i.upperBound.y+n;this.InsertLeaf(t);return true};w.prototype.Rebalance=function(t){if(t===undefined)t=0;if(this.m_root==null)return;for(var i=0;i<t;i++){var o=this.m_root;var e=0;while(o.IsLeaf()==false){o=this.m_path>>e&1?o.child2:o.child1;e=e+1&31}++this.m_path;this.RemoveLeaf(o);this.InsertLeaf(o)}};w.prototype.GetFatAABB=function(t){return t.aabb};w.prototype.GetUserData=function(t){return t.userData};w.prototype.Query=function(t,i){if(this.m_root==null)return;var o=new Box2D.Vector;var e=0;o[e++]=this.m_root;while(e>0){var n=o[--e];if(n.aabb.TestOverlap(i)){if(n.IsLeaf()){var s=t(n);if(!s)return}else{o[e++]=n.child1;o[e++]=n.child2}}}};w.prototype.RayCast=function(t,i){if(this.m_root==null)return;var o=i.p1;var e=i.p2;var n=h.SubtractVV(o,e);n.Normalize();var s=h.CrossFV(1,n);var r=h.AbsV(s);var a=i.maxFraction;var l=new x;var m=0;var c=0;{m=o.x+a*(e.x-o.x);c=o.y+a*(e.y-o.y);l.lowerBound.x=Math.min(o.x,m);l.lowerBound.y=Math.min(o.y,c);l.upperBound.x=Math.max(o.x,m);l.upperBound.y=Math.max(o.y,c)}var _=new Box2D.Vector;var p=0;_[p++]=this.m_root;while(p>0){var u=_[--p];if(u.aabb.TestOverlap(l)==false){continue}var y=u.aabb.GetCenter();var f=u.aabb.GetExtents()
+;var v=Math.abs(s.x*(o.x-y.x)+s.y*(o.y-y.y))-r.x*f.x-r.y*f.y;if(v>0)continue;if(u.IsLeaf()){var d=new J;d.p1=i.p1;d.p2=i.p2;d.maxFraction=i.maxFraction;a=t(d,u);if(a==0)return;if(a>0){m=o.x+a*(e.x-o.x);c=o.y+a*(e.y-o.y);l.lowerBound.x=Math.min(o.x,m);l.lowerBound.y=Math.min(o.y,c);l.upperBound.x=Math.max(o.x,m);l.upperBound.y=Math.max(o.y,c)}}else{_[p++]=u.child1;_[p++]=u.child2}}};w.prototype.AllocateNode=function(){if(this.m_freeList){var t=this.m_freeList;this.m_freeList=t.parent;t.parent=null;t.child1=null;t.child2=null;return t}return new M};w.prototype.FreeNode=function(t){t.parent=this.m_freeList;this.m_freeList=t};w.prototype.InsertLeaf=function(t){++this.m_insertionCount;if(this.m_root==null){this.m_root=t;this.m_root.parent=null;return}var i=t.aabb.GetCenter();var o=this.m_root;if(o.IsLeaf()==false){do{var e=o.child1;var n=o.child2;var s=Math.abs((e.aabb.lowerBound.x+e.aabb.upperBound.x)/2-i.x)+Math.abs((e.aabb.lowerBound.y+e.aabb.upperBound.y)/2-i.y);var r=Math.abs((n.aabb.lowerBound.x+n.aabb.upperBound.x)/2-i.x)+Math.abs((n.aabb.lowerBound.y+n.aabb.upperBound.y)/2-i.y);if(s<r){o=e}else{o=n}}while(o.IsLeaf()==false)}var a=o.parent;var l=this.AllocateNode();l.parent=a;l.userData=null;l.aabb.Combine(t.aabb,o.aabb);if(a){if(o.parent.child1==o){a.child1=l}else{a.child2=l}l.child1=o;l.child2=t;o.parent=l;t.parent=l;do{if(a.aabb.Contains(l.aabb))break;a.aabb.Combine(a.child1.aabb,a.child2.aabb);l=a;a=a.parent}while(a)}else{l.child1=o;l.child2=t;o.parent=l;t.parent=l;this.m_root=l}};w.prototype.RemoveLeaf=function(t){if(t==this.m_root){this.m_root=null;return}var i=t.parent;var o=i.parent;var e;if(i.child1==t){e=i.child2}else{e=i.child1}if(o){if(o.child1==i){o.child1=e}else{o.child2=e}e.parent=o;this.FreeNode(i);while(o){var n=o.aabb;o.aabb=x.Combine(o.child1.aabb,o.child2.aabb);if(n.Contains(o.aabb))break;o=o.parent}}else{this.m_root=e;e.parent=null;this.FreeNode(i)}};g.b2DynamicTreeBroadPhase=function(){this.m_tree=new w;this.m_moveBuffer=new Box2D.Vector;this.m_pairBuffer=new Box2D.Vector;this.m_pairCount=0};g.prototype.CreateProxy=function(t,i){var o=this.m_tree.CreateProxy(t,i);++this.m_proxyCount;this.BufferMove(o);return o};g.prototype.DestroyProxy=function(t){this.UnBufferMove(t);--this.m_proxyCount;this.m_tree.DestroyProxy(t)};g.prototype.MoveProxy=function(t,i,o){var e=this.m_tree.MoveProxy(t,i,o);if(e){this.BufferMove(t)}};g.prototype.TestOverlap=function(t,i){var o=this.m_tree.GetFatAABB(t);var e=this.m_tree.GetFatAABB(i);return o.TestOverlap(e)};g.prototype.GetUserData=function(t){return this.m_tree.GetUserData(t)};g.prototype.GetFatAABB=function(t){return this.m_tree.GetFatAABB(t)};g.prototype.GetProxyCount=function(){return this.m_proxyCount};g.prototype.UpdatePairs=function(t){var i=this;i.m_pairCount=0;var o=0,e;for(o=0;o<i.m_moveBuffer.length;++o){e=i.m_moveBuffer[o];function n(t){if(t==e)return true;if(i.m_pairCount==i.m_pairBuffer.length){i.m_pairBuffer[i.m_pairCount]=new V}var o=i.m_pairBuffer[i.m_pairCount];o.proxyA=t<e?t:e;o.proxyB=t>=e?t:e;++i.m_pairCount;return true}var s=i.m_tree.GetFatAABB(e);i.m_tree.Query(n,s)}i.m_moveBuffer.length=0;for(var o=0;o<i.m_pairCount;){var r=i.m_pairBuffer[o];var a=i.m_tree.GetUserData(r.proxyA);var l=i.m_tree.GetUserData(r.proxyB);t(a,l);++o;while(o<i.m_pairCount){var m=i.m_pairBuffer[o];if(m.proxyA!=r.proxyA||m.proxyB!=r.proxyB){break}++o}}};g.prototype.Query=function(t,i){this.m_tree.Query(t,i)};g.prototype.RayCast=function(t,i){this.m_tree.RayCast(t,i)};g.prototype.Validate=function(){};g.prototype.Rebalance=function(t){if(t===undefined)t=0;this.m_tree.Rebalance(t)};g.prototype.BufferMove=function(t){this.m_moveBuffer[this.m_moveBuffer.length]=t};g.prototype.UnBufferMove=function(t){var i=parseInt(this.m_moveBuffer.indexOf(t));this.m_moveBuffer.splice(i,1)};g.prototype.ComparePairs=function(t,i){return 0};g.__implements={};g.__implements[q]=true;M.b2DynamicTreeNode=function(){this.aabb=new x};M.prototype.IsLeaf=function(){return this.child1==null};V.b2DynamicTreePair=function(){};I.b2Manifold=function(){this.m_pointCount=0};I.prototype.b2Manifold=function(){this.m_points=new Box2D.Vector(l.b2_maxManifoldPoints);for(var t=0;t<l.b2_maxManifoldPoints;t++){this.m_points[t]=new G}this.m_localPlaneNormal=new u;this.m_localPoint=new u};I.prototype.Reset=function(){for(var t=0;t<l.b2_maxManifoldPoints;t++){(this.m_points[t]instanceof G?this.m_points[t]:null).Reset()}this.m_localPlaneNormal.SetZero();this.m_localPoint.SetZero();this.m_type=0;this.m_pointCount=0};I.prototype.Set=function(t){this.m_pointCount=t.m_pointCount;for(var i=0;i<l.b2_maxManifoldPoints;i++){(this.m_points[i]instanceof G?this.m_points[i]:null).Set(t.m_points[i])}this.m_localPlaneNormal.SetV(t.m_localPlaneNormal);this.m_localPoint.SetV(t.m_localPoint);this.m_type=t.m_type};I.prototype.Copy=function(){var t=new I;t.Set(this);return t};Box2D.postDefs.push(function(){Box2D.Collision.b2Manifold.e_circles=1;Box2D.Collision.b2Manifold.e_faceA=2;Box2D.Collision.b2Manifold.e_faceB=4});G.b2ManifoldPoint=function(){this.m_localPoint=new u;this.m_id=new b};G.prototype.b2ManifoldPoint=function(){this.Reset()};G.prototype.Reset=function(){this.m_localPoint.SetZero();this.m_normalImpulse=0;this.m_tangentImpulse=0;this.m_id.key=0};G.prototype.Set=function(t){this.m_localPoint.SetV(t.m_localPoint);this.m_normalImpulse=t.m_normalImpulse;this.m_tangentImpulse=t.m_tangentImpulse;this.m_id.Set(t.m_id)};L.b2Point=function(){this.p=new u};L.prototype.Support=function(t,i,o){if(i===undefined)i=0;if(o===undefined)o=0;return this.p};L.prototype.GetFirstVertex=function(t){return this.p};J.b2RayCastInput=function(){this.p1=new u;this.p2=new u};J.prototype.b2RayCastInput=function(t,i,o){if(t===undefined)t=null;if(i===undefined)i=null;if(o===undefined)o=1;if(t)this.p1.SetV(t);if(i)this.p2.SetV(i);this.maxFraction=o};F.b2RayCastOutput=function(){this.normal=new u};P.b2Segment=function(){this.p1=new u;this.p2=new u};P.prototype.TestSegment=function(t,i,o,e){if(e===undefined)e=0;var n=o.p1;var s=o.p2.x-n.x;var r=o.p2.y-n.y;var a=this.p2.x-this.p1.x;var l=this.p2.y-this.p1.y;var m=l;var c=-a;var h=100*Number.MIN_VALUE;var _=-(s*m+r*c);if(_>h){var p=n.x-this.p1.x;var u=n.y-this.p1.y;var y=p*m+u*c;if(0<=y&&y<=e*_){var x=-s*u+r*p;if(-h*_<=x&&x<=_*(1+h)){y/=_;var f=Math.sqrt(m*m+c*c);m/=f;c/=f;t[0]=y;i.Set(m,c);return true}}}return false};P.prototype.Extend=function(t){this.ExtendForward(t);this.ExtendBackward(t)};P.prototype.ExtendForward=function(t){var i=this.p2.x-this.p1.x;var o=this.p2.y-this.p1.y;var e=Math.min(i>0?(t.upperBound.x-this.p1.x)/i:i<0?(t.lowerBound.x-this.p1.x)/i:Number.POSITIVE_INFINITY,o>0?(t.upperBound.y-this.p1.y)/o:o<0?(t.lowerBound.y-this.p1.y)/o:Number.POSITIVE_INFINITY);this.p2.x=this.p1.x+i*e;this.p2.y=this.p1.y+o*e};P.prototype.ExtendBackward=function(t){var i=-this.p2.x+this.p1.x;var o=-this.p2.y+this.p1.y;var e=Math.min(i>0?(t.upperBound.x-this.p2.x)/i:i<0?(t.lowerBound.x-this.p2.x)/i:Number.POSITIVE_INFINITY,o>0?(t.upperBound.y-this.p2.y)/o:o<0?(t.lowerBound.y-this.p2.y)/o:Number.POSITIVE_INFINITY);this.p1.x=this.p2.x+i*e;this.p1.y=this.p2.y+o*e};R.b2SeparationFunction=function(){this.m_localPoint=new u;this.m_axis=new u};R.prototype.Initialize=function(t,i,o,e,n){this.m_proxyA=i;this.m_proxyB=e;var s=parseInt(t.count);l.b2Assert(0<s&&s<3);var r;var a;var m;var c;var _;var p;var y=0;var x=0;var f=0;var v=0;var d=0;var b=0;var D;var B;var C=0;var A=0;if(s==1){this.m_type=R.e_points;r=this.m_proxyA.GetVertex(t.indexA[0]);c=this.m_proxyB.GetVertex(t.indexB[0]);B=r;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=c;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);this.m_axis.x=f-y;this.m_axis.y=v-x;this.m_axis.Normalize()}else if(t.indexB[0]==t.indexB[1]){this.m_type=R.e_faceA;a=this.m_proxyA.GetVertex(t.indexA[0]);m=this.m_proxyA.GetVertex(t.indexA[1]);c=this.m_proxyB.GetVertex(t.indexB[0]);this.m_localPoint.x=.5*(a.x+m.x);this.m_localPoint.y=.5*(a.y+m.y);this.m_axis=h.CrossVF(h.SubtractVV(m,a),1);this.m_axis.Normalize();B=this.m_axis;D=o.R;d=D.col1.x*B.x+D.col2.x*B.y;b=D.col1.y*B.x+D.col2.y*B.y;B=this.m_localPoint;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=c;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);C=(f-y)*d+(v-x)*b;if(C<0){this.m_axis.NegativeSelf()}}else if(t.indexA[0]==t.indexA[0]){this.m_type=R.e_faceB;_=this.m_proxyB.GetVertex(t.indexB[0]);p=this.m_proxyB.GetVertex(t.indexB[1]);r=this.m_proxyA.GetVertex(t.indexA[0]);this.m_localPoint.x=.5*(_.x+p.x);this.m_localPoint.y=.5*(_.y+p.y);this.m_axis=h.CrossVF(h.SubtractVV(p,_),1);this.m_axis.Normalize();B=this.m_axis;D=n.R;d=D.col1.x*B.x+D.col2.x*B.y;b=D.col1.y*B.x+D.col2.y*B.y;B=this.m_localPoint;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=r;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);C=(y-f)*d+(x-v)*b;if(C<0){this.m_axis.NegativeSelf()}}else{a=this.m_proxyA.GetVertex(t.indexA[0]);m=this.m_proxyA.GetVertex(t.indexA[1]);_=this.m_proxyB.GetVertex(t.indexB[0]);p=this.m_proxyB.GetVertex(t.indexB[1]);var S=h.MulX(o,r);var w=h.MulMV(o.R,h.SubtractVV(m,a));var g=h.MulX(n,c);var M=h.MulMV(n.R,h.SubtractVV(p,_));var V=w.x*w.x+w.y*w.y;var I=M.x*M.x+M.y*M.y;var G=h.SubtractVV(M,w);var L=w.x*G.x+w.y*G.y;var J=M.x*G.x+M.y*G.y;var F=w.x*M.x+w.y*M.y;var P=V*I-F*F;C=0;if(P!=0){C=h.Clamp((F*J-L*I)/P,0,1)}var T=(F*C+J)/I;if(T<0){T=0;C=h.Clamp((F-L)/V,0,1)}r=new u;r.x=a.x+C*(m.x-a.x);r.y=a.y+C*(m.y-a.y);c=new u;c.x=_.x+C*(p.x-_.x);c.y=_.y+C*(p.y-_.y);if(C==0||C==1){this.m_type=R.e_faceB;this.m_axis=h.CrossVF(h.SubtractVV(p,_),1);this.m_axis.Normalize();this.m_localPoint=c;B=this.m_axis;D=n.R;d=D.col1.x*B.x+D.col2.x*B.y;b=D.col1.y*B.x+D.col2.y*B.y;B=this.m_localPoint;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=r;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);A=(y-f)*d+(x-v)*b;if(C<0){this.m_axis.NegativeSelf()}}else{this.m_type=R.e_faceA;this.m_axis=h.CrossVF(h.SubtractVV(m,a),1);this.m_localPoint=r;B=this.m_axis;D=o.R;d=D.col1.x*B.x+D.col2.x*B.y;b=D.col1.y*B.x+D.col2.y*B.y;B=this.m_localPoint;D=o.R;y=o.position.x+(D.col1.x*B.x+D.col2.x*B.y);x=o.position.y+(D.col1.y*B.x+D.col2.y*B.y);B=c;D=n.R;f=n.position.x+(D.col1.x*B.x+D.col2.x*B.y);v=n.position.y+(D.col1.y*B.x+D.col2.y*B.y);A=(f-y)*d+(v-x)*b;if(C<0){this.m_axis.NegativeSelf()}}}};R.prototype.Evaluate=function(t,i){var o;var e;var n;var s;var r;var a;var m=0;var c;switch(this.m_type){case R.e_points:{o=h.MulTMV(t.R,this.m_axis);e=h.MulTMV(i.R,this.m_axis.GetNegative());n=this.m_proxyA.GetSupportVertex(o);s=this.m_proxyB.GetSupportVertex(e);r=h.MulX(t,n);a=h.MulX(i,s);m=(a.x-r.x)*this.m_axis.x+(a.y-r.y)*this.m_axis.y;return m}case R.e_faceA:{c=h.MulMV(t.R,this.m_axis);r=h.MulX(t,this.m_localPoint);e=h.MulTMV(i.R,c.GetNegative());s=this.m_proxyB.GetSupportVertex(e);a=h.MulX(i,s);m=(a.x-r.x)*c.x+(a.y-r.y)*c.y;return m}case R.e_faceB:{c=h.MulMV(i.R,this.m_axis);a=h.MulX(i,this.m_localPoint);o=h.MulTMV(t.R,c.GetNegative());n=this.m_proxyA.GetSupportVertex(o);r=h.MulX(t,n);m=(r.x-a.x)*c.x+(r.y-a.y)*c.y;return m}default:l.b2Assert(false);return 0}};Box2D.postDefs.push(function(){Box2D.Collision.b2SeparationFunction.e_points=1;Box2D.Collision.b2SeparationFunction.e_faceA=2;Box2D.Collision.b2SeparationFunction.e_faceB=4});T.b2Simplex=function(){this.m_v1=new N;this.m_v2=new N;this.m_v3=new N;this.m_vertices=new Box2D.Vector(3)};T.prototype.b2Simplex=function(){this.m_vertices[0]=this.m_v1;this.m_vertices[1]=this.m_v2;this.m_vertices[2]=this.m_v3};T.prototype.ReadCache=function(t,i,o,e,n){l.b2Assert(0<=t.count&&t.count<=3);var s;var r;this.m_count=t.count;var a=this.m_vertices;for(var m=0;m<this.m_count;m++){var c=a[m];c.indexA=t.indexA[m];c.indexB=t.indexB[m];s=i.GetVertex(c.indexA);r=e.GetVertex(c.indexB);c.wA=h.MulX(o,s);c.wB=h.MulX(n,r);c.w=h.SubtractVV(c.wB,c.wA);c.a=0}if(this.m_count>1){var _=t.metric;var p=this.GetMetric();if(p<.5*_||2*_<p||p<Number.MIN_VALUE){this.m_count=0}}if(this.m_count==0){c=a[0];c.indexA=0;c.indexB=0;s=i.GetVertex(0);r=e.GetVertex(0);c.wA=h.MulX(o,s);c.wB=h.MulX(n,r);c.w=h.SubtractVV(c.wB,c.wA);this.m_count=1}};T.prototype.WriteCache=function(t){t.metric=this.GetMetric();t.count=Box2D.parseUInt(this.m_count);var i=this.m_vertices;for(var o=0;o<this.m_count;o++){t.indexA[o]=Box2D.parseUInt(i[o].indexA);t.indexB[o]=Box2D.parseUInt(i[o].indexB)}};T.prototype.GetSearchDirection=function(){switch(this.m_count){case 1:return this.m_v1.w.GetNegative();case 2:{var t=h.SubtractVV(this.m_v2.w,this.m_v1.w);var i=h.CrossVV(t,this.m_v1.w.GetNegative());if(i>0){return h.CrossFV(1,t)}else{return h.CrossVF(t,1)}}default:l.b2Assert(false);return new u}};T.prototype.GetClosestPoint=function(){switch(this.m_count){case 0:l.b2Assert(false);return new u;case 1:return this.m_v1.w;case 2:return new u(this.m_v1.a*this.m_v1.w.x+this.m_v2.a*this.m_v2.w.x,this.m_v1.a*this.m_v1.w.y+this.m_v2.a*this.m_v2.w.y);default:l.b2Assert(false);return new u}};T.prototype.GetWitnessPoints=function(t,i){switch(this.m_count){case 0:l.b2Assert(false);break;case 1:t.SetV(this.m_v1.wA);i.SetV(this.m_v1.wB);break;case 2:t.x=this.m_v1.a*this.m_v1.wA.x+this.m_v2.a*this.m_v2.wA.x;t.y=this.m_v1.a*this.m_v1.wA.y+this.m_v2.a*this.m_v2.wA.y;i.x=this.m_v1.a*this.m_v1.wB.x+this.m_v2.a*this.m_v2.wB.x;i.y=this.m_v1.a*this.m_v1.wB.y+this.m_v2.a*this.m_v2.wB.y;break;case 3:i.x=t.x=this.m_v1.a*this.m_v1.wA.x+this.m_v2.a*this.m_v2.wA.x+this.m_v3.a*this.m_v3.wA.x;i.y=t.y=this.m_v1.a*this.m_v1.wA.y+this.m_v2.a*this.m_v2.wA.y+this.m_v3.a*this.m_v3.wA.y;break;default:l.b2Assert(false);break}};T.prototype.GetMetric=function(){switch(this.m_count){case 0:l.b2Assert(false);return 0;case 1:return 0;case 2:return h.SubtractVV(this.m_v1.w,this.m_v2.w).Length();case 3:return h.CrossVV(h.SubtractVV(this.m_v2.w,this.m_v1.w),h.SubtractVV(this.m_v3.w,this.m_v1.w));default:l.b2Assert(false);return 0}};T.prototype.Solve2=function(){var t=this.m_v1.w;var i=this.m_v2.w;var o=h.SubtractVV(i,t);var e=-(t.x*o.x+t.y*o.y);if(e<=0){this.m_v1.a=1;this.m_count=1;return}var n=i.x*o.x+i.y*o.y;if(n<=0){this.m_v2.a=1;this.m_count=1;this.m_v1.Set(this.m_v2);return}var s=1/(n+e);this.m_v1.a=n*s;this.m_v2.a=e*s;this.m_count=2};T.prototype.Solve3=function(){var t=this.m_v1.w;var i=this.m_v2.w;var o=this.m_v3.w;var e=h.SubtractVV(i,t);var n=h.Dot(t,e);var s=h.Dot(i,e);var r=s;var a=-n;var l=h.SubtractVV(o,t);var m=h.Dot(t,l);var c=h.Dot(o,l);var _=c;var p=-m;var u=h.SubtractVV(o,i);var y=h.Dot(i,u);var x=h.Dot(o,u);var f=x;var v=-y;var d=h.CrossVV(e,l);var b=d*h.CrossVV(i,o);var D=d*h.CrossVV(o,t);var B=d*h.CrossVV(t,i);if(a<=0&&p<=0){this.m_v1.a=1;this.m_count=1;return}if(r>0&&a>0&&B<=0){var C=1/(r+a);this.m_v1.a=r*C;this.m_v2.a=a*C;this.m_count=2;return}if(_>0&&p>0&&D<=0){var A=1/(_+p);this.m_v1.a=_*A;this.m_v3.a=p*A;this.m_count=2;this.m_v2.Set(this.m_v3);return}if(r<=0&&v<=0){this.m_v2.a=1;this.m_count=1;this.m_v1.Set(this.m_v2);return}if(_<=0&&f<=0){this.m_v3.a=1;this.m_count=1;this.m_v1.Set(this.m_v3);return}if(f>0&&v>0&&b<=0){var S=1/(f+v);this.m_v2.a=f*S;this.m_v3.a=v*S;this.m_count=2;this.m_v1.Set(this.m_v3);return}var w=1/(b+D+B);this.m_v1.a=b*w;this.m_v2.a=D*w;this.m_v3.a=B*w;this.m_count=3};k.b2SimplexCache=function(){this.indexA=new Box2D.Vector_a2j_Number(3);this.indexB=new Box2D.Vector_a2j_Number(3)};N.b2SimplexVertex=function(){};N.prototype.Set=function(t){this.wA.SetV(t.wA);this.wB.SetV(t.wB);this.w.SetV(t.w);this.a=t.a;this.indexA=t.indexA;this.indexB=t.indexB};z.b2TimeOfImpact=function(){};z.TimeOfImpact=function(t){++z.b2_toiCalls;var i=t.proxyA;var o=t.proxyB;var e=t.sweepA;var n=t.sweepB;l.b2Assert(e.t0==n.t0);l.b2Assert(1-e.t0>Number.MIN_VALUE);var s=i.m_radius+o.m_radius;var r=t.tolerance;var a=0;var m=1e3;var c=0;var _=0;z.s_cache.count=0;z.s_distanceInput.useRadii=false;for(;;){e.GetTransform(z.s_xfA,a);n.GetTransform(z.s_xfB,a);z.s_distanceInput.proxyA=i;z.s_distanceInput.proxyB=o;z.s_distanceInput.transformA=z.s_xfA;z.s_distanceInput.transformB=z.s_xfB;B.Distance(z.s_distanceOutput,z.s_cache,z.s_distanceInput);if(z.s_distanceOutput.distance<=0){a=1;break}z.s_fcn.Initialize(z.s_cache,i,z.s_xfA,o,z.s_xfB);var p=z.s_fcn.Evaluate(z.s_xfA,z.s_xfB);if(p<=0){a=1;break}if(c==0){if(p>s){_=h.Max(s-r,.75*s)}else{_=h.Max(p-r,.02*s)}}if(p-_<.5*r){if(c==0){a=1;break}break}var u=a;{var y=a;var x=1;var f=p;e.GetTransform(z.s_xfA,x);n.GetTransform(z.s_xfB,x);var v=z.s_fcn.Evaluate(z.s_xfA,z.s_xfB);if(v>=_){a=1;break}var d=0;for(;;){var b=0;if(d&1){b=y+(_-f)*(x-y)/(v-f)}else{b=.5*(y+x)}e.GetTransform(z.s_xfA,b);n.GetTransform(z.s_xfB,b);var D=z.s_fcn.Evaluate(z.s_xfA,z.s_xfB);if(h.Abs(D-_)<.025*r){u=b;break}if(D>_){y=b;f=D}else{x=b;v=D}++d;++z.b2_toiRootIters;if(d==50){break}}z.b2_toiMaxRootIters=h.Max(z.b2_toiMaxRootIters,d)}if(u<(1+100*Number.MIN_VALUE)*a){break}a=u;c++;++z.b2_toiIters;if(c==m){break}}z.b2_toiMaxIters=h.Max(z.b2_toiMaxIters,c);return a};Box2D.postDefs.push(function(){Box2D.Collision.b2TimeOfImpact.b2_toiCalls=0;Box2D.Collision.b2TimeOfImpact.b2_toiIters=0;Box2D.Collision.b2TimeOfImpact.b2_toiMaxIters=0;Box2D.Collision.b2TimeOfImpact.b2_toiRootIters=0;Box2D.Collision.b2TimeOfImpact.b2_toiMaxRootIters=0;Box2D.Collision.b2TimeOfImpact.s_cache=new k;Box2D.Collision.b2TimeOfImpact.s_distanceInput=new C;Box2D.Collision.b2TimeOfImpact.s_xfA=new p;Box2D.Collision.b2TimeOfImpact.s_xfB=new p;Box2D.Collision.b2TimeOfImpact.s_fcn=new R;Box2D.Collision.b2TimeOfImpact.s_distanceOutput=new A});E.b2TOIInput=function(){this.proxyA=new S;this.proxyB=new S;this.sweepA=new _;this.sweepB=new _};j.b2WorldManifold=function(){this.m_normal=new u};j.prototype.b2WorldManifold=function(){this.m_points=new Box2D.Vector(l.b2_maxManifoldPoints);for(var t=0;t<l.b2_maxManifoldPoints;t++){this.m_points[t]=new u}};j.prototype.Initialize=function(t,i,o,e,n){if(o===undefined)o=0;if(n===undefined)n=0;if(t.m_pointCount==0){return}var s=0;var r;var a;var l=0;var m=0;var c=0;var h=0;var _=0;var p=0;switch(t.m_type){case I.e_circles:{a=i.R;r=t.m_localPoint;var u=i.position.x+a.col1.x*r.x+a.col2.x*r.y;var y=i.position.y+a.col1.y*r.x+a.col2.y*r.y;a=e.R;r=t.m_points[0].m_localPoint;var x=e.position.x+a.col1.x*r.x+a.col2.x*r.y;var f=e.position.y+a.col1.y*r.x+a.col2.y*r.y;var v=x-u;var d=f-y;var b=v*v+d*d;if(b>Number.MIN_VALUE*Number.MIN_VALUE){var D=Math.sqrt(b);this.m_normal.x=v/D;this.m_normal.y=d/D}else{this.m_normal.x=1;this.m_normal.y=0}var B=u+o*this.m_normal.x;var C=y+o*this.m_normal.y;var A=x-n*this.m_normal.x;var S=f-n*this.m_normal.y;this.m_points[0].x=.5*(B+A);this.m_points[0].y=.5*(C+S)}break;case I.e_faceA:{a=i.R;r=t.m_localPlaneNormal;l=a.col1.x*r.x+a.col2.x*r.y;m=a.col1.y*r.x+a.col2.y*r.y;a=i.R;r=t.m_localPoint;c=i.position.x+a.col1.x*r.x+a.col2.x*r.y;h=i.position.y+a.col1.y*r.x+a.col2.y*r.y;this.m_normal.x=l;this.m_normal.y=m;for(s=0;s<t.m_pointCount;s++){a=e.R;r=t.m_points[s].m_localPoint;_=e.position.x+a.col1.x*r.x+a.col2.x*r.y;p=e.position.y+a.col1.y*r.x+a.col2.y*r.y;this.m_points[s].x=_+.5*(o-(_-c)*l-(p-h)*m-n)*l;this.m_points[s].y=p+.5*(o-(_-c)*l-(p-h)*m-n)*m}}break;case I.e_faceB:{a=e.R;r=t.m_localPlaneNormal;l=a.col1.x*r.x+a.col2.x*r.y;m=a.col1.y*r.x+a.col2.y*r.y;a=e.R;r=t.m_localPoint;c=e.position.x+a.col1.x*r.x+a.col2.x*r.y;h=e.position.y+a.col1.y*r.x+a.col2.y*r.y;this.m_normal.x=-l;this.m_normal.y=-m;for(s=0;s<t.m_pointCount;s++){a=i.R;r=t.m_points[s].m_localPoint;_=i.position.x+a.col1.x*r.x+a.col2.x*r.y;p=i.position.y+a.col1.y*r.x+a.col2.y*r.y;this.m_points[s].x=_+.5*(n-(_-c)*l-(p-h)*m-o)*l;this.m_points[s].y=p+.5*(n-(_-c)*l-(p-h)*m-o)*m}}break}};O.ClipVertex=function(){this.v=new u;this.id=new b};O.prototype.Set=function(t){this.v.SetV(t.v);this.id.Set(t.id)};U.Features=function(){};Object.defineProperty(U.prototype,"referenceEdge",{enumerable:false,configurable:true,get:function(){return this._referenceEdge}});Object.defineProperty(U.prototype,"referenceEdge",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._referenceEdge=t;this._m_id._key=this._m_id._key&4294967040|this._referenceEdge&255}});Object.defineProperty(U.prototype,"incidentEdge",{enumerable:false,configurable:true,get:function(){return this._incidentEdge}});Object.defineProperty(U.prototype,"incidentEdge",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._incidentEdge=t;this._m_id._key=this._m_id._key&4294902015|this._incidentEdge<<8&65280}});Object.defineProperty(U.prototype,"incidentVertex",{enumerable:false,configurable:true,get:function(){return this._incidentVertex}});Object.defineProperty(U.prototype,"incidentVertex",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._incidentVertex=t;this._m_id._key=this._m_id._key&4278255615|this._incidentVertex<<16&16711680}});Object.defineProperty(U.prototype,"flip",{enumerable:false,configurable:true,get:function(){return this._flip}});Object.defineProperty(U.prototype,"flip",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._flip=t;this._m_id._key=this._m_id._key&16777215|this._flip<<24&4278190080}})})();(function(){var t=Box2D.Common.b2Color,i=Box2D.Common.b2internal,o=Box2D.Common.b2Settings,e=Box2D.Collision.Shapes.b2CircleShape,n=Box2D.Collision.Shapes.b2EdgeChainDef,s=Box2D.Collision.Shapes.b2EdgeShape,r=Box2D.Collision.Shapes.b2MassData,a=Box2D.Collision.Shapes.b2PolygonShape,l=Box2D.Collision.Shapes.b2Shape,m=Box2D.Common.Math.b2Mat22,c=Box2D.Common.Math.b2Mat33,h=Box2D.Common.Math.b2Math,_=Box2D.Common.Math.b2Sweep,p=Box2D.Common.Math.b2Transform,u=Box2D.Common.Math.b2Vec2,y=Box2D.Common.Math.b2Vec3,x=Box2D.Dynamics.b2Body,f=Box2D.Dynamics.b2BodyDef,v=Box2D.Dynamics.b2ContactFilter,d=Box2D.Dynamics.b2ContactImpulse,b=Box2D.Dynamics.b2ContactListener,D=Box2D.Dynamics.b2ContactManager,B=Box2D.Dynamics.b2DebugDraw,C=Box2D.Dynamics.b2DestructionListener,A=Box2D.Dynamics.b2FilterData,S=Box2D.Dynamics.b2Fixture,w=Box2D.Dynamics.b2FixtureDef,g=Box2D.Dynamics.b2Island,M=Box2D.Dynamics.b2TimeStep,V=Box2D.Dynamics.b2World,I=Box2D.Collision.b2AABB,G=Box2D.Collision.b2Bound,L=Box2D.Collision.b2BoundValues,J=Box2D.Collision.b2Collision,F=Box2D.Collision.b2ContactID,P=Box2D.Collision.b2ContactPoint,R=Box2D.Collision.b2Distance,T=Box2D.Collision.b2DistanceInput,k=Box2D.Collision.b2DistanceOutput,N=Box2D.Collision.b2DistanceProxy,z=Box2D.Collision.b2DynamicTree,E=Box2D.Collision.b2DynamicTreeBroadPhase,j=Box2D.Collision.b2DynamicTreeNode,O=Box2D.Collision.b2DynamicTreePair,U=Box2D.Collision.b2Manifold,q=Box2D.Collision.b2ManifoldPoint,K=Box2D.Collision.b2Point,W=Box2D.Collision.b2RayCastInput,X=Box2D.Collision.b2RayCastOutput,Z=Box2D.Collision.b2Segment,H=Box2D.Collision.b2SeparationFunction,Y=Box2D.Collision.b2Simplex,Q=Box2D.Collision.b2SimplexCache,$=Box2D.Collision.b2SimplexVertex,tt=Box2D.Collision.b2TimeOfImpact,it=Box2D.Collision.b2TOIInput,ot=Box2D.Collision.b2WorldManifold,et=Box2D.Collision.ClipVertex,nt=Box2D.Collision.Features,st=Box2D.Collision.IBroadPhase;Box2D.inherit(e,Box2D.Collision.Shapes.b2Shape);e.prototype.__super=Box2D.Collision.Shapes.b2Shape.prototype;e.b2CircleShape=function(){Box2D.Collision.Shapes.b2Shape.b2Shape.apply(this,arguments);this.m_p=new u};e.prototype.Copy=function(){var t=new e;t.Set(this);return t};e.prototype.Set=function(t){this.__super.Set.call(this,t);if(Box2D.is(t,e)){var i=t instanceof e?t:null;this.m_p.SetV(i.m_p)}};e.prototype.TestPoint=function(t,i){var o=t.R;var e=t.position.x+(o.col1.x*this.m_p.x+o.col2.x*this.m_p.y);var n=t.position.y+(o.col1.y*this.m_p.x+o.col2.y*this.m_p.y);e=i.x-e;n=i.y-n;return e*e+n*n<=this.m_radius*this.m_radius};e.prototype.RayCast=function(t,i,o){var e=o.R;var n=o.position.x+(e.col1.x*this.m_p.x+e.col2.x*this.m_p.y);var s=o.position.y+(e.col1.y*this.m_p.x+e.col2.y*this.m_p.y);var r=i.p1.x-n;var a=i.p1.y-s;var l=r*r+a*a-this.m_radius*this.m_radius;var m=i.p2.x-i.p1.x;var c=i.p2.y-i.p1.y;var h=r*m+a*c;var _=m*m+c*c;var p=h*h-_*l;if(p<0||_<Number.MIN_VALUE){return false}var u=-(h+Math.sqrt(p));if(0<=u&&u<=i.maxFraction*_){u/=_;t.fraction=u;t.normal.x=r+u*m;t.normal.y=a+u*c;t.normal.Normalize();return true}return false};e.prototype.ComputeAABB=function(t,i){var o=i.R;var e=i.position.x+(o.col1.x*this.m_p.x+o.col2.x*this.m_p.y);var n=i.position.y+(o.col1.y*this.m_p.x+o.col2.y*this.m_p.y);t.lowerBound.Set(e-this.m_radius,n-this.m_radius);t.upperBound.Set(e+this.m_radius,n+this.m_radius)};e.prototype.ComputeMass=function(t,i){if(i===undefined)i=0;t.mass=i*o.b2_pi*this.m_radius*this.m_radius;t.center.SetV(this.m_p);t.I=t.mass*(.5*this.m_radius*this.m_radius+(this.m_p.x*this.m_p.x+this.m_p.y*this.m_p.y))};e.prototype.ComputeSubmergedArea=function(t,i,o,e){if(i===undefined)i=0;var n=h.MulX(o,this.m_p);var s=-(h.Dot(t,n)-i);if(s<-this.m_radius+Number.MIN_VALUE){return 0}if(s>this.m_radius){e.SetV(n);return Math.PI*this.m_radius*this.m_radius}var r=this.m_radius*this.m_radius;var a=s*s;var l=r*(Math.asin(s/this.m_radius)+Math.PI/2)+s*Math.sqrt(r-a);var m=-2/3*Math.pow(r-a,1.5)/l;e.x=n.x+t.x*m;e.y=n.y+t.y*m;return l};e.prototype.GetLocalPosition=function(){return this.m_p};e.prototype.SetLocalPosition=function(t){this.m_p.SetV(t)};e.prototype.GetRadius=function(){return this.m_radius};e.prototype.SetRadius=function(t){if(t===undefined)t=0;this.m_radius=t};e.prototype.b2CircleShape=function(t){if(t===undefined)t=0;this.__super.b2Shape.call(this);this.m_type=l.e_circleShape;this.m_radius=t};n.b2EdgeChainDef=function(){};n.prototype.b2EdgeChainDef=function(){this.vertexCount=0;this.isALoop=true;this.vertices=[]};Box2D.inherit(s,Box2D.Collision.Shapes.b2Shape);s.prototype.__super=Box2D.Collision.Shapes.b2Shape.prototype;s.b2EdgeShape=function(){Box2D.Collision.Shapes.b2Shape.b2Shape.apply(this,arguments);this.s_supportVec=new u;this.m_v1=new u;this.m_v2=new u;this.m_coreV1=new u;this.m_coreV2=new u;this.m_normal=new u;this.m_direction=new u;this.m_cornerDir1=new u;this.m_cornerDir2=new u};s.prototype.TestPoint=function(t,i){return false};s.prototype.RayCast=function(t,i,o){var e;var n=i.p2.x-i.p1.x;var s=i.p2.y-i.p1.y;e=o.R;var r=o.position.x+(e.col1.x*this.m_v1.x+e.col2.x*this.m_v1.y);var a=o.position.y+(e.col1.y*this.m_v1.x+e.col2.y*this.m_v1.y);var l=o.position.y+(e.col1.y*this.m_v2.x+e.col2.y*this.m_v2.y)-a;var m=-(o.position.x+(e.col1.x*this.m_v2.x+e.col2.x*this.m_v2.y)-r);var c=100*Number.MIN_VALUE;var h=-(n*l+s*m);if(h>c){var _=i.p1.x-r;var p=i.p1.y-a;var u=_*l+p*m;if(0<=u&&u<=i.maxFraction*h){var y=-n*p+s*_;if(-c*h<=y&&y<=h*(1+c)){u/=h;t.fraction=u;var x=Math.sqrt(l*l+m*m);t.normal.x=l/x;t.normal.y=m/x;return true}}}return false};s.prototype.ComputeAABB=function(t,i){var o=i.R;var e=i.position.x+(o.col1.x*this.m_v1.x+o.col2.x*this.m_v1.y);var n=i.position.y+(o.col1.y*this.m_v1.x+o.col2.y*this.m_v1.y);var s=i.position.x+(o.col1.x*this.m_v2.x+o.col2.x*this.m_v2.y);var r=i.position.y+(o.col1.y*this.m_v2.x+o.col2.y*this.m_v2.y);if(e<s){t.lowerBound.x=e;t.upperBound.x=s}else{t.lowerBound.x=s;t.upperBound.x=e}if(n<r){t.lowerBound.y=n;t.upperBound.y=r}else{t.lowerBound.y=r;t.upperBound.y=n}};s.prototype.ComputeMass=function(t,i){if(i===undefined)i=0;t.mass=0;t.center.SetV(this.m_v1);t.I=0};s.prototype.ComputeSubmergedArea=function(t,i,o,e){if(i===undefined)i=0;var n=new u(t.x*i,t.y*i);var s=h.MulX(o,this.m_v1);var r=h.MulX(o,this.m_v2);var a=h.Dot(t,s)-i;var l=h.Dot(t,r)-i;if(a>0){if(l>0){return 0}else{s.x=-l/(a-l)*s.x+a/(a-l)*r.x;s.y=-l/(a-l)*s.y+a/(a-l)*r.y}}else{if(l>0){r.x=-l/(a-l)*s.x+a/(a-l)*r.x;r.y=-l/(a-l)*s.y+a/(a-l)*r.y}else{}}e.x=(n.x+s.x+r.x)/3;e.y=(n.y+s.y+r.y)/3;return.5*((s.x-n.x)*(r.y-n.y)-(s.y-n.y)*(r.x-n.x))};s.prototype.GetLength=function(){return this.m_length};s.prototype.GetVertex1=function(){return this.m_v1};s.prototype.GetVertex2=function(){return this.m_v2};s.prototype.GetCoreVertex1=function(){return this.m_coreV1};s.prototype.GetCoreVertex2=function(){return this.m_coreV2};s.prototype.GetNormalVector=function(){return this.m_normal};s.prototype.GetDirectionVector=function(){return this.m_direction};s.prototype.GetCorner1Vector=function(){return this.m_cornerDir1};s.prototype.GetCorner2Vector=function(){return this.m_cornerDir2};s.prototype.Corner1IsConvex=function(){return this.m_cornerConvex1};s.prototype.Corner2IsConvex=function(){return this.m_cornerConvex2};s.prototype.GetFirstVertex=function(t){var i=t.R;return new u(t.position.x+(i.col1.x*this.m_coreV1.x+i.col2.x*this.m_coreV1.y),t.position.y+(i.col1.y*this.m_coreV1.x+i.col2.y*this.m_coreV1.y))};s.prototype.GetNextEdge=function(){return this.m_nextEdge};s.prototype.GetPrevEdge=function(){return this.m_prevEdge};s.prototype.Support=function(t,i,o){if(i===undefined)i=0;if(o===undefined)o=0;var e=t.R;var n=t.position.x+(e.col1.x*this.m_coreV1.x+e.col2.x*this.m_coreV1.y);var s=t.position.y+(e.col1.y*this.m_coreV1.x+e.col2.y*this.m_coreV1.y);var r=t.position.x+(e.col1.x*this.m_coreV2.x+e.col2.x*this.m_coreV2.y);var a=t.position.y+(e.col1.y*this.m_coreV2.x+e.col2.y*this.m_coreV2.y);if(n*i+s*o>r*i+a*o){this.s_supportVec.x=n;this.s_supportVec.y=s}else{this.s_supportVec.x=r;this.s_supportVec.y=a}return this.s_supportVec};s.prototype.b2EdgeShape=function(t,i){this.__super.b2Shape.call(this);this.m_type=l.e_edgeShape;this.m_prevEdge=null;this.m_nextEdge=null;this.m_v1=t;this.m_v2=i;this.m_direction.Set(this.m_v2.x-this.m_v1.x,this.m_v2.y-this.m_v1.y);this.m_length=this.m_direction.Normalize();this.m_normal.Set(this.m_direction.y,-this.m_direction.x);this.m_coreV1.Set(-o.b2_toiSlop*(this.m_normal.x-this.m_direction.x)+this.m_v1.x,-o.b2_toiSlop*(this.m_normal.y-this.m_direction.y)+this.m_v1.y);this.m_coreV2.Set(-o.b2_toiSlop*(this.m_normal.x+this.m_direction.x)+this.m_v2.x,-o.b2_toiSlop*(this.m_normal.y+this.m_direction.y)+this.m_v2.y);this.m_cornerDir1=this.m_normal;this.m_cornerDir2.Set(-this.m_normal.x,-this.m_normal.y)};s.prototype.SetPrevEdge=function(t,i,o,e){this.m_prevEdge=t;this.m_coreV1=i;this.m_cornerDir1=o;this.m_cornerConvex1=e};s.prototype.SetNextEdge=function(t,i,o,e){this.m_nextEdge=t;this.m_coreV2=i;this.m_cornerDir2=o;this.m_cornerConvex2=e};r.b2MassData=function(){this.mass=0;this.center=new u(0,0);this.I=0};Box2D.inherit(a,Box2D.Collision.Shapes.b2Shape);a.prototype.__super=Box2D.Collision.Shapes.b2Shape.prototype;a.b2PolygonShape=function(){Box2D.Collision.Shapes.b2Shape.b2Shape.apply(this,arguments)};a.prototype.Copy=function(){var t=new a;t.Set(this);return t};a.prototype.Set=function(t){this.__super.Set.call(this,t);if(Box2D.is(t,a)){var i=t instanceof a?t:null;this.m_centroid.SetV(i.m_centroid);this.m_vertexCount=i.m_vertexCount;this.Reserve(this.m_vertexCount);for(var o=0;o<this.m_vertexCount;o++){this.m_vertices[o].SetV(i.m_vertices[o]);this.m_normals[o].SetV(i.m_normals[o])}}};a.prototype.SetAsArray=function(t,i){if(i===undefined)i=0;var o=new Box2D.Vector;var e=0,n;for(e=0;e<t.length;++e){n=t[e];o.push(n)}this.SetAsVector(o,i)};a.AsArray=function(t,i){if(i===undefined)i=0;var o=new a;o.SetAsArray(t,i);return o};a.prototype.SetAsVector=function(t,i){if(i===undefined)i=0;if(i==0)i=t.length;o.b2Assert(2<=i);this.m_vertexCount=i;this.Reserve(i);var e=0;for(e=0;e<this.m_vertexCount;e++){this.m_vertices[e].SetV(t[e])}for(e=0;e<this.m_vertexCount;++e){var n=parseInt(e);var s=parseInt(e+1<this.m_vertexCount?e+1:0);var r=h.SubtractVV(this.m_vertices[s],this.m_vertices[n]);o.b2Assert(r.LengthSquared()>Number.MIN_VALUE);this.m_normals[e].SetV(h.CrossVF(r,1));this.m_normals[e].Normalize()}this.m_centroid=a.ComputeCentroid(this.m_vertices,this.m_vertexCount)};a.AsVector=function(t,i){if(i===undefined)i=0;var o=new a;o.SetAsVector(t,i);return o};a.prototype.SetAsBox=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.m_vertexCount=4;this.Reserve(4);this.m_vertices[0].Set(-t,-i);this.m_vertices[1].Set(t,-i);this.m_vertices[2].Set(t,i);this.m_vertices[3].Set(-t,i);this.m_normals[0].Set(0,-1)
+;this.m_normals[1].Set(1,0);this.m_normals[2].Set(0,1);this.m_normals[3].Set(-1,0);this.m_centroid.SetZero()};a.AsBox=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;var o=new a;o.SetAsBox(t,i);return o};a.prototype.SetAsOrientedBox=function(t,i,o,e){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=null;if(e===undefined)e=0;this.m_vertexCount=4;this.Reserve(4);this.m_vertices[0].Set(-t,-i);this.m_vertices[1].Set(t,-i);this.m_vertices[2].Set(t,i);this.m_vertices[3].Set(-t,i);this.m_normals[0].Set(0,-1);this.m_normals[1].Set(1,0);this.m_normals[2].Set(0,1);this.m_normals[3].Set(-1,0);this.m_centroid=o;var n=new p;n.position=o;n.R.Set(e);for(var s=0;s<this.m_vertexCount;++s){this.m_vertices[s]=h.MulX(n,this.m_vertices[s]);this.m_normals[s]=h.MulMV(n.R,this.m_normals[s])}};a.AsOrientedBox=function(t,i,o,e){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=null;if(e===undefined)e=0;var n=new a;n.SetAsOrientedBox(t,i,o,e);return n};a.prototype.SetAsEdge=function(t,i){this.m_vertexCount=2;this.Reserve(2);this.m_vertices[0].SetV(t);this.m_vertices[1].SetV(i);this.m_centroid.x=.5*(t.x+i.x);this.m_centroid.y=.5*(t.y+i.y);this.m_normals[0]=h.CrossVF(h.SubtractVV(i,t),1);this.m_normals[0].Normalize();this.m_normals[1].x=-this.m_normals[0].x;this.m_normals[1].y=-this.m_normals[0].y};a.AsEdge=function(t,i){var o=new a;o.SetAsEdge(t,i);return o};a.prototype.TestPoint=function(t,i){var o;var e=t.R;var n=i.x-t.position.x;var s=i.y-t.position.y;var r=n*e.col1.x+s*e.col1.y;var a=n*e.col2.x+s*e.col2.y;for(var l=0;l<this.m_vertexCount;++l){o=this.m_vertices[l];n=r-o.x;s=a-o.y;o=this.m_normals[l];var m=o.x*n+o.y*s;if(m>0){return false}}return true};a.prototype.RayCast=function(t,i,o){var e=0;var n=i.maxFraction;var s=0;var r=0;var a;var l;s=i.p1.x-o.position.x;r=i.p1.y-o.position.y;a=o.R;var m=s*a.col1.x+r*a.col1.y;var c=s*a.col2.x+r*a.col2.y;s=i.p2.x-o.position.x;r=i.p2.y-o.position.y;a=o.R;var h=s*a.col1.x+r*a.col1.y;var _=s*a.col2.x+r*a.col2.y;var p=h-m;var u=_-c;var y=parseInt(-1);for(var x=0;x<this.m_vertexCount;++x){l=this.m_vertices[x];s=l.x-m;r=l.y-c;l=this.m_normals[x];var f=l.x*s+l.y*r;var v=l.x*p+l.y*u;if(v==0){if(f<0){return false}}else{if(v<0&&f<e*v){e=f/v;y=x}else if(v>0&&f<n*v){n=f/v}}if(n<e-Number.MIN_VALUE){return false}}if(y>=0){t.fraction=e;a=o.R;l=this.m_normals[y];t.normal.x=a.col1.x*l.x+a.col2.x*l.y;t.normal.y=a.col1.y*l.x+a.col2.y*l.y;return true}return false};a.prototype.ComputeAABB=function(t,i){var o=i.R;var e=this.m_vertices[0];var n=i.position.x+(o.col1.x*e.x+o.col2.x*e.y);var s=i.position.y+(o.col1.y*e.x+o.col2.y*e.y);var r=n;var a=s;for(var l=1;l<this.m_vertexCount;++l){e=this.m_vertices[l];var m=i.position.x+(o.col1.x*e.x+o.col2.x*e.y);var c=i.position.y+(o.col1.y*e.x+o.col2.y*e.y);n=n<m?n:m;s=s<c?s:c;r=r>m?r:m;a=a>c?a:c}t.lowerBound.x=n-this.m_radius;t.lowerBound.y=s-this.m_radius;t.upperBound.x=r+this.m_radius;t.upperBound.y=a+this.m_radius};a.prototype.ComputeMass=function(t,i){if(i===undefined)i=0;if(this.m_vertexCount==2){t.center.x=.5*(this.m_vertices[0].x+this.m_vertices[1].x);t.center.y=.5*(this.m_vertices[0].y+this.m_vertices[1].y);t.mass=0;t.I=0;return}var o=0;var e=0;var n=0;var s=0;var r=0;var a=0;var l=1/3;for(var m=0;m<this.m_vertexCount;++m){var c=this.m_vertices[m];var h=m+1<this.m_vertexCount?this.m_vertices[parseInt(m+1)]:this.m_vertices[0];var _=c.x-r;var p=c.y-a;var u=h.x-r;var y=h.y-a;var x=_*y-p*u;var f=.5*x;n+=f;o+=f*l*(r+c.x+h.x);e+=f*l*(a+c.y+h.y);var v=r;var d=a;var b=_;var D=p;var B=u;var C=y;var A=l*(.25*(b*b+B*b+B*B)+(v*b+v*B))+.5*v*v;var S=l*(.25*(D*D+C*D+C*C)+(d*D+d*C))+.5*d*d;s+=x*(A+S)}t.mass=i*n;o*=1/n;e*=1/n;t.center.Set(o,e);t.I=i*s};a.prototype.ComputeSubmergedArea=function(t,i,o,e){if(i===undefined)i=0;var n=h.MulTMV(o.R,t);var s=i-h.Dot(t,o.position);var a=new Box2D.Vector_a2j_Number;var l=0;var m=parseInt(-1);var c=parseInt(-1);var _=false;var p=0;for(p=0;p<this.m_vertexCount;++p){a[p]=h.Dot(n,this.m_vertices[p])-s;var y=a[p]<-Number.MIN_VALUE;if(p>0){if(y){if(!_){m=p-1;l++}}else{if(_){c=p-1;l++}}}_=y}switch(l){case 0:if(_){var x=new r;this.ComputeMass(x,1);e.SetV(h.MulX(o,x.center));return x.mass}else{return 0}break;case 1:if(m==-1){m=this.m_vertexCount-1}else{c=this.m_vertexCount-1}break}var f=parseInt((m+1)%this.m_vertexCount);var v=parseInt((c+1)%this.m_vertexCount);var d=(0-a[m])/(a[f]-a[m]);var b=(0-a[c])/(a[v]-a[c]);var D=new u(this.m_vertices[m].x*(1-d)+this.m_vertices[f].x*d,this.m_vertices[m].y*(1-d)+this.m_vertices[f].y*d);var B=new u(this.m_vertices[c].x*(1-b)+this.m_vertices[v].x*b,this.m_vertices[c].y*(1-b)+this.m_vertices[v].y*b);var C=0;var A=new u;var S=this.m_vertices[f];var w;p=f;while(p!=v){p=(p+1)%this.m_vertexCount;if(p==v)w=B;else w=this.m_vertices[p];var g=.5*((S.x-D.x)*(w.y-D.y)-(S.y-D.y)*(w.x-D.x));C+=g;A.x+=g*(D.x+S.x+w.x)/3;A.y+=g*(D.y+S.y+w.y)/3;S=w}A.Multiply(1/C);e.SetV(h.MulX(o,A));return C};a.prototype.GetVertexCount=function(){return this.m_vertexCount};a.prototype.GetVertices=function(){return this.m_vertices};a.prototype.GetNormals=function(){return this.m_normals};a.prototype.GetSupport=function(t){var i=0;var o=this.m_vertices[0].x*t.x+this.m_vertices[0].y*t.y;for(var e=1;e<this.m_vertexCount;++e){var n=this.m_vertices[e].x*t.x+this.m_vertices[e].y*t.y;if(n>o){i=e;o=n}}return i};a.prototype.GetSupportVertex=function(t){var i=0;var o=this.m_vertices[0].x*t.x+this.m_vertices[0].y*t.y;for(var e=1;e<this.m_vertexCount;++e){var n=this.m_vertices[e].x*t.x+this.m_vertices[e].y*t.y;if(n>o){i=e;o=n}}return this.m_vertices[i]};a.prototype.Validate=function(){return false};a.prototype.b2PolygonShape=function(){this.__super.b2Shape.call(this);this.m_type=l.e_polygonShape;this.m_centroid=new u;this.m_vertices=new Box2D.Vector;this.m_normals=new Box2D.Vector};a.prototype.Reserve=function(t){if(t===undefined)t=0;for(var i=parseInt(this.m_vertices.length);i<t;i++){this.m_vertices[i]=new u;this.m_normals[i]=new u}};a.ComputeCentroid=function(t,i){if(i===undefined)i=0;var o=new u;var e=0;var n=0;var s=0;var r=1/3;for(var a=0;a<i;++a){var l=t[a];var m=a+1<i?t[parseInt(a+1)]:t[0];var c=l.x-n;var h=l.y-s;var _=m.x-n;var p=m.y-s;var y=c*p-h*_;var x=.5*y;e+=x;o.x+=x*r*(n+l.x+m.x);o.y+=x*r*(s+l.y+m.y)}o.x*=1/e;o.y*=1/e;return o};a.ComputeOBB=function(t,i,o){if(o===undefined)o=0;var e=0;var n=new Box2D.Vector(o+1);for(e=0;e<o;++e){n[e]=i[e]}n[o]=n[0];var s=Number.MAX_VALUE;for(e=1;e<=o;++e){var r=n[parseInt(e-1)];var a=n[e].x-r.x;var l=n[e].y-r.y;var m=Math.sqrt(a*a+l*l);a/=m;l/=m;var c=-l;var h=a;var _=Number.MAX_VALUE;var p=Number.MAX_VALUE;var u=-Number.MAX_VALUE;var y=-Number.MAX_VALUE;for(var x=0;x<o;++x){var f=n[x].x-r.x;var v=n[x].y-r.y;var d=a*f+l*v;var b=c*f+h*v;if(d<_)_=d;if(b<p)p=b;if(d>u)u=d;if(b>y)y=b}var D=(u-_)*(y-p);if(D<.95*s){s=D;t.R.col1.x=a;t.R.col1.y=l;t.R.col2.x=c;t.R.col2.y=h;var B=.5*(_+u);var C=.5*(p+y);var A=t.R;t.center.x=r.x+(A.col1.x*B+A.col2.x*C);t.center.y=r.y+(A.col1.y*B+A.col2.y*C);t.extents.x=.5*(u-_);t.extents.y=.5*(y-p)}}};Box2D.postDefs.push(function(){Box2D.Collision.Shapes.b2PolygonShape.s_mat=new m});l.b2Shape=function(){};l.prototype.Copy=function(){return null};l.prototype.Set=function(t){this.m_radius=t.m_radius};l.prototype.GetType=function(){return this.m_type};l.prototype.TestPoint=function(t,i){return false};l.prototype.RayCast=function(t,i,o){return false};l.prototype.ComputeAABB=function(t,i){};l.prototype.ComputeMass=function(t,i){if(i===undefined)i=0};l.prototype.ComputeSubmergedArea=function(t,i,o,e){if(i===undefined)i=0;return 0};l.TestOverlap=function(t,i,o,e){var n=new T;n.proxyA=new N;n.proxyA.Set(t);n.proxyB=new N;n.proxyB.Set(o);n.transformA=i;n.transformB=e;n.useRadii=true;var s=new Q;s.count=0;var r=new k;R.Distance(r,s,n);return r.distance<10*Number.MIN_VALUE};l.prototype.b2Shape=function(){this.m_type=l.e_unknownShape;this.m_radius=o.b2_linearSlop};Box2D.postDefs.push(function(){Box2D.Collision.Shapes.b2Shape.e_unknownShape=parseInt(-1);Box2D.Collision.Shapes.b2Shape.e_circleShape=0;Box2D.Collision.Shapes.b2Shape.e_polygonShape=1;Box2D.Collision.Shapes.b2Shape.e_edgeShape=2;Box2D.Collision.Shapes.b2Shape.e_shapeTypeCount=3;Box2D.Collision.Shapes.b2Shape.e_hitCollide=1;Box2D.Collision.Shapes.b2Shape.e_missCollide=0;Box2D.Collision.Shapes.b2Shape.e_startsInsideCollide=parseInt(-1)})})();(function(){var t=Box2D.Common.b2Color,i=Box2D.Common.b2internal,o=Box2D.Common.b2Settings,e=Box2D.Common.Math.b2Mat22,n=Box2D.Common.Math.b2Mat33,s=Box2D.Common.Math.b2Math,r=Box2D.Common.Math.b2Sweep,a=Box2D.Common.Math.b2Transform,l=Box2D.Common.Math.b2Vec2,m=Box2D.Common.Math.b2Vec3;t.b2Color=function(){this._r=0;this._g=0;this._b=0};t.prototype.b2Color=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;this._r=Box2D.parseUInt(255*s.Clamp(t,0,1));this._g=Box2D.parseUInt(255*s.Clamp(i,0,1));this._b=Box2D.parseUInt(255*s.Clamp(o,0,1))};t.prototype.Set=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;this._r=Box2D.parseUInt(255*s.Clamp(t,0,1));this._g=Box2D.parseUInt(255*s.Clamp(i,0,1));this._b=Box2D.parseUInt(255*s.Clamp(o,0,1))};Object.defineProperty(t.prototype,"r",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._r=Box2D.parseUInt(255*s.Clamp(t,0,1))}});Object.defineProperty(t.prototype,"g",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._g=Box2D.parseUInt(255*s.Clamp(t,0,1))}});Object.defineProperty(t.prototype,"b",{enumerable:false,configurable:true,set:function(t){if(t===undefined)t=0;this._b=Box2D.parseUInt(255*s.Clamp(t,0,1))}});Object.defineProperty(t.prototype,"color",{enumerable:false,configurable:true,get:function(){return this._r<<16|this._g<<8|this._b}});o.b2Settings=function(){};o.b2MixFriction=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return Math.sqrt(t*i)};o.b2MixRestitution=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return t>i?t:i};o.b2Assert=function(t){if(!t){throw"Assertion Failed"}};Box2D.postDefs.push(function(){Box2D.Common.b2Settings.VERSION="2.1alpha";Box2D.Common.b2Settings.USHRT_MAX=65535;Box2D.Common.b2Settings.b2_pi=Math.PI;Box2D.Common.b2Settings.b2_maxManifoldPoints=2;Box2D.Common.b2Settings.b2_aabbExtension=.1;Box2D.Common.b2Settings.b2_aabbMultiplier=2;Box2D.Common.b2Settings.b2_polygonRadius=2*o.b2_linearSlop;Box2D.Common.b2Settings.b2_linearSlop=.005;Box2D.Common.b2Settings.b2_angularSlop=2/180*o.b2_pi;Box2D.Common.b2Settings.b2_toiSlop=8*o.b2_linearSlop;Box2D.Common.b2Settings.b2_maxTOIContactsPerIsland=32;Box2D.Common.b2Settings.b2_maxTOIJointsPerIsland=32;Box2D.Common.b2Settings.b2_velocityThreshold=1;Box2D.Common.b2Settings.b2_maxLinearCorrection=.2;Box2D.Common.b2Settings.b2_maxAngularCorrection=8/180*o.b2_pi;Box2D.Common.b2Settings.b2_maxTranslation=2;Box2D.Common.b2Settings.b2_maxTranslationSquared=o.b2_maxTranslation*o.b2_maxTranslation;Box2D.Common.b2Settings.b2_maxRotation=.5*o.b2_pi;Box2D.Common.b2Settings.b2_maxRotationSquared=o.b2_maxRotation*o.b2_maxRotation;Box2D.Common.b2Settings.b2_contactBaumgarte=.2;Box2D.Common.b2Settings.b2_timeToSleep=.5;Box2D.Common.b2Settings.b2_linearSleepTolerance=.01;Box2D.Common.b2Settings.b2_angularSleepTolerance=2/180*o.b2_pi})})();(function(){var t=Box2D.Collision.b2AABB,i=Box2D.Common.b2Color,o=Box2D.Common.b2internal,e=Box2D.Common.b2Settings,n=Box2D.Common.Math.b2Mat22,s=Box2D.Common.Math.b2Mat33,r=Box2D.Common.Math.b2Math,a=Box2D.Common.Math.b2Sweep,l=Box2D.Common.Math.b2Transform,m=Box2D.Common.Math.b2Vec2,c=Box2D.Common.Math.b2Vec3;n.b2Mat22=function(){this.col1=new m;this.col2=new m};n.prototype.b2Mat22=function(){this.SetIdentity()};n.FromAngle=function(t){if(t===undefined)t=0;var i=new n;i.Set(t);return i};n.FromVV=function(t,i){var o=new n;o.SetVV(t,i);return o};n.prototype.Set=function(t){if(t===undefined)t=0;var i=Math.cos(t);var o=Math.sin(t);this.col1.x=i;this.col2.x=-o;this.col1.y=o;this.col2.y=i};n.prototype.SetVV=function(t,i){this.col1.SetV(t);this.col2.SetV(i)};n.prototype.Copy=function(){var t=new n;t.SetM(this);return t};n.prototype.SetM=function(t){this.col1.SetV(t.col1);this.col2.SetV(t.col2)};n.prototype.AddM=function(t){this.col1.x+=t.col1.x;this.col1.y+=t.col1.y;this.col2.x+=t.col2.x;this.col2.y+=t.col2.y};n.prototype.SetIdentity=function(){this.col1.x=1;this.col2.x=0;this.col1.y=0;this.col2.y=1};n.prototype.SetZero=function(){this.col1.x=0;this.col2.x=0;this.col1.y=0;this.col2.y=0};n.prototype.GetAngle=function(){return Math.atan2(this.col1.y,this.col1.x)};n.prototype.GetInverse=function(t){var i=this.col1.x;var o=this.col2.x;var e=this.col1.y;var n=this.col2.y;var s=i*n-o*e;if(s!=0){s=1/s}t.col1.x=s*n;t.col2.x=-s*o;t.col1.y=-s*e;t.col2.y=s*i;return t};n.prototype.Solve=function(t,i,o){if(i===undefined)i=0;if(o===undefined)o=0;var e=this.col1.x;var n=this.col2.x;var s=this.col1.y;var r=this.col2.y;var a=e*r-n*s;if(a!=0){a=1/a}t.x=a*(r*i-n*o);t.y=a*(e*o-s*i);return t};n.prototype.Abs=function(){this.col1.Abs();this.col2.Abs()};s.b2Mat33=function(){this.col1=new c;this.col2=new c;this.col3=new c};s.prototype.b2Mat33=function(t,i,o){if(t===undefined)t=null;if(i===undefined)i=null;if(o===undefined)o=null;if(!t&&!i&&!o){this.col1.SetZero();this.col2.SetZero();this.col3.SetZero()}else{this.col1.SetV(t);this.col2.SetV(i);this.col3.SetV(o)}};s.prototype.SetVVV=function(t,i,o){this.col1.SetV(t);this.col2.SetV(i);this.col3.SetV(o)};s.prototype.Copy=function(){return new s(this.col1,this.col2,this.col3)};s.prototype.SetM=function(t){this.col1.SetV(t.col1);this.col2.SetV(t.col2);this.col3.SetV(t.col3)};s.prototype.AddM=function(t){this.col1.x+=t.col1.x;this.col1.y+=t.col1.y;this.col1.z+=t.col1.z;this.col2.x+=t.col2.x;this.col2.y+=t.col2.y;this.col2.z+=t.col2.z;this.col3.x+=t.col3.x;this.col3.y+=t.col3.y;this.col3.z+=t.col3.z};s.prototype.SetIdentity=function(){this.col1.x=1;this.col2.x=0;this.col3.x=0;this.col1.y=0;this.col2.y=1;this.col3.y=0;this.col1.z=0;this.col2.z=0;this.col3.z=1};s.prototype.SetZero=function(){this.col1.x=0;this.col2.x=0;this.col3.x=0;this.col1.y=0;this.col2.y=0;this.col3.y=0;this.col1.z=0;this.col2.z=0;this.col3.z=0};s.prototype.Solve22=function(t,i,o){if(i===undefined)i=0;if(o===undefined)o=0;var e=this.col1.x;var n=this.col2.x;var s=this.col1.y;var r=this.col2.y;var a=e*r-n*s;if(a!=0){a=1/a}t.x=a*(r*i-n*o);t.y=a*(e*o-s*i);return t};s.prototype.Solve33=function(t,i,o,e){if(i===undefined)i=0;if(o===undefined)o=0;if(e===undefined)e=0;var n=this.col1.x;var s=this.col1.y;var r=this.col1.z;var a=this.col2.x;var l=this.col2.y;var m=this.col2.z;var c=this.col3.x;var h=this.col3.y;var _=this.col3.z;var p=n*(l*_-m*h)+s*(m*c-a*_)+r*(a*h-l*c);if(p!=0){p=1/p}t.x=p*(i*(l*_-m*h)+o*(m*c-a*_)+e*(a*h-l*c));t.y=p*(n*(o*_-e*h)+s*(e*c-i*_)+r*(i*h-o*c));t.z=p*(n*(l*e-m*o)+s*(m*i-a*e)+r*(a*o-l*i));return t};r.b2Math=function(){};r.IsValid=function(t){if(t===undefined)t=0;return isFinite(t)};r.Dot=function(t,i){return t.x*i.x+t.y*i.y};r.CrossVV=function(t,i){return t.x*i.y-t.y*i.x};r.CrossVF=function(t,i){if(i===undefined)i=0;var o=new m(i*t.y,-i*t.x);return o};r.CrossFV=function(t,i){if(t===undefined)t=0;var o=new m(-t*i.y,t*i.x);return o};r.MulMV=function(t,i){var o=new m(t.col1.x*i.x+t.col2.x*i.y,t.col1.y*i.x+t.col2.y*i.y);return o};r.MulTMV=function(t,i){var o=new m(r.Dot(i,t.col1),r.Dot(i,t.col2));return o};r.MulX=function(t,i){var o=r.MulMV(t.R,i);o.x+=t.position.x;o.y+=t.position.y;return o};r.MulXT=function(t,i){var o=r.SubtractVV(i,t.position);var e=o.x*t.R.col1.x+o.y*t.R.col1.y;o.y=o.x*t.R.col2.x+o.y*t.R.col2.y;o.x=e;return o};r.AddVV=function(t,i){var o=new m(t.x+i.x,t.y+i.y);return o};r.SubtractVV=function(t,i){var o=new m(t.x-i.x,t.y-i.y);return o};r.Distance=function(t,i){var o=t.x-i.x;var e=t.y-i.y;return Math.sqrt(o*o+e*e)};r.DistanceSquared=function(t,i){var o=t.x-i.x;var e=t.y-i.y;return o*o+e*e};r.MulFV=function(t,i){if(t===undefined)t=0;var o=new m(t*i.x,t*i.y);return o};r.AddMM=function(t,i){var o=n.FromVV(r.AddVV(t.col1,i.col1),r.AddVV(t.col2,i.col2));return o};r.MulMM=function(t,i){var o=n.FromVV(r.MulMV(t,i.col1),r.MulMV(t,i.col2));return o};r.MulTMM=function(t,i){var o=new m(r.Dot(t.col1,i.col1),r.Dot(t.col2,i.col1));var e=new m(r.Dot(t.col1,i.col2),r.Dot(t.col2,i.col2));var s=n.FromVV(o,e);return s};r.Abs=function(t){if(t===undefined)t=0;return t>0?t:-t};r.AbsV=function(t){var i=new m(r.Abs(t.x),r.Abs(t.y));return i};r.AbsM=function(t){var i=n.FromVV(r.AbsV(t.col1),r.AbsV(t.col2));return i};r.Min=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return t<i?t:i};r.MinV=function(t,i){var o=new m(r.Min(t.x,i.x),r.Min(t.y,i.y));return o};r.Max=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return t>i?t:i};r.MaxV=function(t,i){var o=new m(r.Max(t.x,i.x),r.Max(t.y,i.y));return o};r.Clamp=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;return t<i?i:t>o?o:t};r.ClampV=function(t,i,o){return r.MaxV(i,r.MinV(t,o))};r.Swap=function(t,i){var o=t[0];t[0]=i[0];i[0]=o};r.Random=function(){return Math.random()*2-1};r.RandomRange=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;var o=Math.random();o=(i-t)*o+t;return o};r.NextPowerOfTwo=function(t){if(t===undefined)t=0;t|=t>>1&2147483647;t|=t>>2&1073741823;t|=t>>4&268435455;t|=t>>8&16777215;t|=t>>16&65535;return t+1};r.IsPowerOfTwo=function(t){if(t===undefined)t=0;var i=t>0&&(t&t-1)==0;return i};Box2D.postDefs.push(function(){Box2D.Common.Math.b2Math.b2Vec2_zero=new m(0,0);Box2D.Common.Math.b2Math.b2Mat22_identity=n.FromVV(new m(1,0),new m(0,1));Box2D.Common.Math.b2Math.b2Transform_identity=new l(r.b2Vec2_zero,r.b2Mat22_identity)});a.b2Sweep=function(){this.localCenter=new m;this.c0=new m;this.c=new m};a.prototype.Set=function(t){this.localCenter.SetV(t.localCenter);this.c0.SetV(t.c0);this.c.SetV(t.c);this.a0=t.a0;this.a=t.a;this.t0=t.t0};a.prototype.Copy=function(){var t=new a;t.localCenter.SetV(this.localCenter);t.c0.SetV(this.c0);t.c.SetV(this.c);t.a0=this.a0;t.a=this.a;t.t0=this.t0;return t};a.prototype.GetTransform=function(t,i){if(i===undefined)i=0;t.position.x=(1-i)*this.c0.x+i*this.c.x;t.position.y=(1-i)*this.c0.y+i*this.c.y;var o=(1-i)*this.a0+i*this.a;t.R.Set(o);var e=t.R;t.position.x-=e.col1.x*this.localCenter.x+e.col2.x*this.localCenter.y;t.position.y-=e.col1.y*this.localCenter.x+e.col2.y*this.localCenter.y};a.prototype.Advance=function(t){if(t===undefined)t=0;if(this.t0<t&&1-this.t0>Number.MIN_VALUE){var i=(t-this.t0)/(1-this.t0);this.c0.x=(1-i)*this.c0.x+i*this.c.x;this.c0.y=(1-i)*this.c0.y+i*this.c.y;this.a0=(1-i)*this.a0+i*this.a;this.t0=t}};l.b2Transform=function(){this.position=new m;this.R=new n};l.prototype.b2Transform=function(t,i){if(t===undefined)t=null;if(i===undefined)i=null;if(t){this.position.SetV(t);this.R.SetM(i)}};l.prototype.Initialize=function(t,i){this.position.SetV(t);this.R.SetM(i)};l.prototype.SetIdentity=function(){this.position.SetZero();this.R.SetIdentity()};l.prototype.Set=function(t){this.position.SetV(t.position);this.R.SetM(t.R)};l.prototype.GetAngle=function(){return Math.atan2(this.R.col1.y,this.R.col1.x)};m.b2Vec2=function(){};m.prototype.b2Vec2=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.x=t;this.y=i};m.prototype.SetZero=function(){this.x=0;this.y=0};m.prototype.Set=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.x=t;this.y=i};m.prototype.SetV=function(t){this.x=t.x;this.y=t.y};m.prototype.GetNegative=function(){return new m(-this.x,-this.y)};m.prototype.NegativeSelf=function(){this.x=-this.x;this.y=-this.y};m.Make=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;return new m(t,i)};m.prototype.Copy=function(){return new m(this.x,this.y)};m.prototype.Add=function(t){this.x+=t.x;this.y+=t.y};m.prototype.Subtract=function(t){this.x-=t.x;this.y-=t.y};m.prototype.Multiply=function(t){if(t===undefined)t=0;this.x*=t;this.y*=t};m.prototype.MulM=function(t){var i=this.x;this.x=t.col1.x*i+t.col2.x*this.y;this.y=t.col1.y*i+t.col2.y*this.y};m.prototype.MulTM=function(t){var i=r.Dot(this,t.col1);this.y=r.Dot(this,t.col2);this.x=i};m.prototype.CrossVF=function(t){if(t===undefined)t=0;var i=this.x;this.x=t*this.y;this.y=-t*i};m.prototype.CrossFV=function(t){if(t===undefined)t=0;var i=this.x;this.x=-t*this.y;this.y=t*i};m.prototype.MinV=function(t){this.x=this.x<t.x?this.x:t.x;this.y=this.y<t.y?this.y:t.y};m.prototype.MaxV=function(t){this.x=this.x>t.x?this.x:t.x;this.y=this.y>t.y?this.y:t.y};m.prototype.Abs=function(){if(this.x<0)this.x=-this.x;if(this.y<0)this.y=-this.y};m.prototype.Length=function(){return Math.sqrt(this.x*this.x+this.y*this.y)};m.prototype.LengthSquared=function(){return this.x*this.x+this.y*this.y};m.prototype.Normalize=function(){var t=Math.sqrt(this.x*this.x+this.y*this.y);if(t<Number.MIN_VALUE){return 0}var i=1/t;this.x*=i;this.y*=i;return t};m.prototype.IsValid=function(){return r.IsValid(this.x)&&r.IsValid(this.y)};c.b2Vec3=function(){};c.prototype.b2Vec3=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;this.x=t;this.y=i;this.z=o};c.prototype.SetZero=function(){this.x=this.y=this.z=0};c.prototype.Set=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;this.x=t;this.y=i;this.z=o};c.prototype.SetV=function(t){this.x=t.x;this.y=t.y;this.z=t.z};c.prototype.GetNegative=function(){return new c(-this.x,-this.y,-this.z)};c.prototype.NegativeSelf=function(){this.x=-this.x;this.y=-this.y;this.z=-this.z};c.prototype.Copy=function(){return new c(this.x,this.y,this.z)};c.prototype.Add=function(t){this.x+=t.x;this.y+=t.y;this.z+=t.z};c.prototype.Subtract=function(t){this.x-=t.x;this.y-=t.y;this.z-=t.z};c.prototype.Multiply=function(t){if(t===undefined)t=0;this.x*=t;this.y*=t;this.z*=t}})();(function(){var t=Box2D.Dynamics.Controllers.b2ControllerEdge,i=Box2D.Common.Math.b2Mat22,o=Box2D.Common.Math.b2Mat33,e=Box2D.Common.Math.b2Math,n=Box2D.Common.Math.b2Sweep,s=Box2D.Common.Math.b2Transform,r=Box2D.Common.Math.b2Vec2,a=Box2D.Common.Math.b2Vec3,l=Box2D.Common.b2Color,m=Box2D.Common.b2internal,c=Box2D.Common.b2Settings,h=Box2D.Collision.b2AABB,_=Box2D.Collision.b2Bound,p=Box2D.Collision.b2BoundValues,u=Box2D.Collision.b2Collision,y=Box2D.Collision.b2ContactID,x=Box2D.Collision.b2ContactPoint,f=Box2D.Collision.b2Distance,v=Box2D.Collision.b2DistanceInput,d=Box2D.Collision.b2DistanceOutput,b=Box2D.Collision.b2DistanceProxy,D=Box2D.Collision.b2DynamicTree,B=Box2D.Collision.b2DynamicTreeBroadPhase,C=Box2D.Collision.b2DynamicTreeNode,A=Box2D.Collision.b2DynamicTreePair,S=Box2D.Collision.b2Manifold,w=Box2D.Collision.b2ManifoldPoint,g=Box2D.Collision.b2Point,M=Box2D.Collision.b2RayCastInput,V=Box2D.Collision.b2RayCastOutput,I=Box2D.Collision.b2Segment,G=Box2D.Collision.b2SeparationFunction,L=Box2D.Collision.b2Simplex,J=Box2D.Collision.b2SimplexCache,F=Box2D.Collision.b2SimplexVertex,P=Box2D.Collision.b2TimeOfImpact,R=Box2D.Collision.b2TOIInput,T=Box2D.Collision.b2WorldManifold,k=Box2D.Collision.ClipVertex,N=Box2D.Collision.Features,z=Box2D.Collision.IBroadPhase,E=Box2D.Collision.Shapes.b2CircleShape,j=Box2D.Collision.Shapes.b2EdgeChainDef,O=Box2D.Collision.Shapes.b2EdgeShape,U=Box2D.Collision.Shapes.b2MassData,q=Box2D.Collision.Shapes.b2PolygonShape,K=Box2D.Collision.Shapes.b2Shape,W=Box2D.Dynamics.b2Body,X=Box2D.Dynamics.b2BodyDef,Z=Box2D.Dynamics.b2ContactFilter,H=Box2D.Dynamics.b2ContactImpulse,Y=Box2D.Dynamics.b2ContactListener,Q=Box2D.Dynamics.b2ContactManager,$=Box2D.Dynamics.b2DebugDraw,tt=Box2D.Dynamics.b2DestructionListener,it=Box2D.Dynamics.b2FilterData,ot=Box2D.Dynamics.b2Fixture,et=Box2D.Dynamics.b2FixtureDef,nt=Box2D.Dynamics.b2Island,st=Box2D.Dynamics.b2TimeStep,rt=Box2D.Dynamics.b2World,at=Box2D.Dynamics.Contacts.b2CircleContact,lt=Box2D.Dynamics.Contacts.b2Contact,mt=Box2D.Dynamics.Contacts.b2ContactConstraint,ct=Box2D.Dynamics.Contacts.b2ContactConstraintPoint,ht=Box2D.Dynamics.Contacts.b2ContactEdge,_t=Box2D.Dynamics.Contacts.b2ContactFactory,pt=Box2D.Dynamics.Contacts.b2ContactRegister,ut=Box2D.Dynamics.Contacts.b2ContactResult,yt=Box2D.Dynamics.Contacts.b2ContactSolver,xt=Box2D.Dynamics.Contacts.b2EdgeAndCircleContact,ft=Box2D.Dynamics.Contacts.b2NullContact,vt=Box2D.Dynamics.Contacts.b2PolyAndCircleContact,dt=Box2D.Dynamics.Contacts.b2PolyAndEdgeContact,bt=Box2D.Dynamics.Contacts.b2PolygonContact,Dt=Box2D.Dynamics.Contacts.b2PositionSolverManifold,Bt=Box2D.Dynamics.Controllers.b2Controller,Ct=Box2D.Dynamics.Joints.b2DistanceJoint,At=Box2D.Dynamics.Joints.b2DistanceJointDef,St=Box2D.Dynamics.Joints.b2FrictionJoint,wt=Box2D.Dynamics.Joints.b2FrictionJointDef,gt=Box2D.Dynamics.Joints.b2GearJoint,Mt=Box2D.Dynamics.Joints.b2GearJointDef,Vt=Box2D.Dynamics.Joints.b2Jacobian,It=Box2D.Dynamics.Joints.b2Joint,Gt=Box2D.Dynamics.Joints.b2JointDef,Lt=Box2D.Dynamics.Joints.b2JointEdge,Jt=Box2D.Dynamics.Joints.b2LineJoint,Ft=Box2D.Dynamics.Joints.b2LineJointDef,Pt=Box2D.Dynamics.Joints.b2MouseJoint,Rt=Box2D.Dynamics.Joints.b2MouseJointDef,Tt=Box2D.Dynamics.Joints.b2PrismaticJoint,kt=Box2D.Dynamics.Joints.b2PrismaticJointDef,Nt=Box2D.Dynamics.Joints.b2PulleyJoint,zt=Box2D.Dynamics.Joints.b2PulleyJointDef,Et=Box2D.Dynamics.Joints.b2RevoluteJoint,jt=Box2D.Dynamics.Joints.b2RevoluteJointDef,Ot=Box2D.Dynamics.Joints.b2WeldJoint,Ut=Box2D.Dynamics.Joints.b2WeldJointDef;W.b2Body=function(){this.m_xf=new s;this.m_sweep=new n;this.m_linearVelocity=new r;this.m_force=new r};W.prototype.connectEdges=function(t,i,o){if(o===undefined)o=0;var n=Math.atan2(i.GetDirectionVector().y,i.GetDirectionVector().x);var s=Math.tan((n-o)*.5);var r=e.MulFV(s,i.GetDirectionVector());r=e.SubtractVV(r,i.GetNormalVector());r=e.MulFV(c.b2_toiSlop,r);r=e.AddVV(r,i.GetVertex1());var a=e.AddVV(t.GetDirectionVector(),i.GetDirectionVector());a.Normalize();var l=e.Dot(t.GetDirectionVector(),i.GetNormalVector())>0;t.SetNextEdge(i,r,a,l);i.SetPrevEdge(t,r,a,l);return n};W.prototype.CreateFixture=function(t){if(this.m_world.IsLocked()==true){return null}var i=new ot;i.Create(this,this.m_xf,t);if(this.m_flags&W.e_activeFlag){var o=this.m_world.m_contactManager.m_broadPhase;i.CreateProxy(o,this.m_xf)}i.m_next=this.m_fixtureList;this.m_fixtureList=i;++this.m_fixtureCount;i.m_body=this;if(i.m_density>0){this.ResetMassData()}this.m_world.m_flags|=rt.e_newFixture;return i};W.prototype.CreateFixture2=function(t,i){if(i===undefined)i=0;var o=new et;o.shape=t;o.density=i;return this.CreateFixture(o)};W.prototype.DestroyFixture=function(t){if(this.m_world.IsLocked()==true){return}var i=this.m_fixtureList;var o=null;var e=false;while(i!=null){if(i==t){if(o)o.m_next=t.m_next;else this.m_fixtureList=t.m_next;e=true;break}o=i;i=i.m_next}var n=this.m_contactList;while(n){var s=n.contact;n=n.next;var r=s.GetFixtureA();var a=s.GetFixtureB();if(t==r||t==a){this.m_world.m_contactManager.Destroy(s)}}if(this.m_flags&W.e_activeFlag){var l=this.m_world.m_contactManager.m_broadPhase;t.DestroyProxy(l)}else{}t.Destroy();t.m_body=null;t.m_next=null;--this.m_fixtureCount;this.ResetMassData()};W.prototype.SetPositionAndAngle=function(t,i){if(i===undefined)i=0;var o;if(this.m_world.IsLocked()==true){return}this.m_xf.R.Set(i);this.m_xf.position.SetV(t);var e=this.m_xf.R;var n=this.m_sweep.localCenter;this.m_sweep.c.x=e.col1.x*n.x+e.col2.x*n.y;this.m_sweep.c.y=e.col1.y*n.x+e.col2.y*n.y;this.m_sweep.c.x+=this.m_xf.position.x;this.m_sweep.c.y+=this.m_xf.position.y;this.m_sweep.c0.SetV(this.m_sweep.c);this.m_sweep.a0=this.m_sweep.a=i;var s=this.m_world.m_contactManager.m_broadPhase;for(o=this.m_fixtureList;o;o=o.m_next){o.Synchronize(s,this.m_xf,this.m_xf)}this.m_world.m_contactManager.FindNewContacts()};W.prototype.SetTransform=function(t){this.SetPositionAndAngle(t.position,t.GetAngle())};W.prototype.GetTransform=function(){return this.m_xf};W.prototype.GetPosition=function(){return this.m_xf.position};W.prototype.SetPosition=function(t){this.SetPositionAndAngle(t,this.GetAngle())};W.prototype.GetAngle=function(){return this.m_sweep.a};W.prototype.SetAngle=function(t){if(t===undefined)t=0;this.SetPositionAndAngle(this.GetPosition(),t)};W.prototype.GetWorldCenter=function(){return this.m_sweep.c};W.prototype.GetLocalCenter=function(){return this.m_sweep.localCenter};W.prototype.SetLinearVelocity=function(t){if(this.m_type==W.b2_staticBody){return}this.m_linearVelocity.SetV(t)};W.prototype.GetLinearVelocity=function(){return this.m_linearVelocity};W.prototype.SetAngularVelocity=function(t){if(t===undefined)t=0;if(this.m_type==W.b2_staticBody){return}this.m_angularVelocity=t};W.prototype.GetAngularVelocity=function(){return this.m_angularVelocity};W.prototype.GetDefinition=function(){var t=new X;t.type=this.GetType();t.allowSleep=(this.m_flags&W.e_allowSleepFlag)==W.e_allowSleepFlag;t.angle=this.GetAngle();t.angularDamping=this.m_angularDamping;t.angularVelocity=this.m_angularVelocity;t.fixedRotation=(this.m_flags&W.e_fixedRotationFlag)==W.e_fixedRotationFlag;t.bullet=(this.m_flags&W.e_bulletFlag)==W.e_bulletFlag;t.awake=(this.m_flags&W.e_awakeFlag)==W.e_awakeFlag;t.linearDamping=this.m_linearDamping;t.linearVelocity.SetV(this.GetLinearVelocity());t.position=this.GetPosition();t.userData=this.GetUserData();return t};W.prototype.ApplyForce=function(t,i){if(this.m_type!=W.b2_dynamicBody){return}if(this.IsAwake()==false){this.SetAwake(true)}this.m_force.x+=t.x;this.m_force.y+=t.y;this.m_torque+=(i.x-this.m_sweep.c.x)*t.y-(i.y-this.m_sweep.c.y)*t.x};W.prototype.ApplyTorque=function(t){if(t===undefined)t=0;if(this.m_type!=W.b2_dynamicBody){return}if(this.IsAwake()==false){this.SetAwake(true)}this.m_torque+=t};W.prototype.ApplyImpulse=function(t,i){if(this.m_type!=W.b2_dynamicBody){return}if(this.IsAwake()==false){this.SetAwake(true)}this.m_linearVelocity.x+=this.m_invMass*t.x;this.m_linearVelocity.y+=this.m_invMass*t.y;this.m_angularVelocity+=this.m_invI*((i.x-this.m_sweep.c.x)*t.y-(i.y-this.m_sweep.c.y)*t.x)};W.prototype.Split=function(t){var i=this.GetLinearVelocity().Copy();var o=this.GetAngularVelocity();var n=this.GetWorldCenter();var s=this;var r=this.m_world.CreateBody(this.GetDefinition());var a;for(var l=s.m_fixtureList;l;){if(t(l)){var m=l.m_next;if(a){a.m_next=m}else{s.m_fixtureList=m}s.m_fixtureCount--;l.m_next=r.m_fixtureList;r.m_fixtureList=l;r.m_fixtureCount++;l.m_body=r;l=m}else{a=l;l=l.m_next}}s.ResetMassData();r.ResetMassData();var c=s.GetWorldCenter();var h=r.GetWorldCenter();var _=e.AddVV(i,e.CrossFV(o,e.SubtractVV(c,n)));var p=e.AddVV(i,e.CrossFV(o,e.SubtractVV(h,n)));s.SetLinearVelocity(_);r.SetLinearVelocity(p);s.SetAngularVelocity(o);r.SetAngularVelocity(o);s.SynchronizeFixtures();r.SynchronizeFixtures();return r};W.prototype.Merge=function(t){var i;for(i=t.m_fixtureList;i;){var o=i.m_next;t.m_fixtureCount--;i.m_next=this.m_fixtureList;this.m_fixtureList=i;this.m_fixtureCount++;i.m_body=n;i=o}e.m_fixtureCount=0;var e=this;var n=t;var s=e.GetWorldCenter();var r=n.GetWorldCenter();var a=e.GetLinearVelocity().Copy();var l=n.GetLinearVelocity().Copy();var m=e.GetAngularVelocity();var c=n.GetAngularVelocity();e.ResetMassData();this.SynchronizeFixtures()};W.prototype.GetMass=function(){return this.m_mass};W.prototype.GetInertia=function(){return this.m_I};W.prototype.GetMassData=function(t){t.mass=this.m_mass;t.I=this.m_I;t.center.SetV(this.m_sweep.localCenter)};W.prototype.SetMassData=function(t){c.b2Assert(this.m_world.IsLocked()==false);if(this.m_world.IsLocked()==true){return}if(this.m_type!=W.b2_dynamicBody){return}this.m_invMass=0;this.m_I=0;this.m_invI=0;this.m_mass=t.mass;if(this.m_mass<=0){this.m_mass=1}this.m_invMass=1/this.m_mass;if(t.I>0&&(this.m_flags&W.e_fixedRotationFlag)==0){this.m_I=t.I-this.m_mass*(t.center.x*t.center.x+t.center.y*t.center.y);this.m_invI=1/this.m_I}var i=this.m_sweep.c.Copy();this.m_sweep.localCenter.SetV(t.center);this.m_sweep.c0.SetV(e.MulX(this.m_xf,this.m_sweep.localCenter));this.m_sweep.c.SetV(this.m_sweep.c0);this.m_linearVelocity.x+=this.m_angularVelocity*-(this.m_sweep.c.y-i.y);this.m_linearVelocity.y+=this.m_angularVelocity*+(this.m_sweep.c.x-i.x)};W.prototype.ResetMassData=function(){this.m_mass=0;this.m_invMass=0;this.m_I=0;this.m_invI=0;this.m_sweep.localCenter.SetZero()
+;if(this.m_type==W.b2_staticBody||this.m_type==W.b2_kinematicBody){return}var t=r.Make(0,0);for(var i=this.m_fixtureList;i;i=i.m_next){if(i.m_density==0){continue}var o=i.GetMassData();this.m_mass+=o.mass;t.x+=o.center.x*o.mass;t.y+=o.center.y*o.mass;this.m_I+=o.I}if(this.m_mass>0){this.m_invMass=1/this.m_mass;t.x*=this.m_invMass;t.y*=this.m_invMass}else{this.m_mass=1;this.m_invMass=1}if(this.m_I>0&&(this.m_flags&W.e_fixedRotationFlag)==0){this.m_I-=this.m_mass*(t.x*t.x+t.y*t.y);this.m_I*=this.m_inertiaScale;c.b2Assert(this.m_I>0);this.m_invI=1/this.m_I}else{this.m_I=0;this.m_invI=0}var n=this.m_sweep.c.Copy();this.m_sweep.localCenter.SetV(t);this.m_sweep.c0.SetV(e.MulX(this.m_xf,this.m_sweep.localCenter));this.m_sweep.c.SetV(this.m_sweep.c0);this.m_linearVelocity.x+=this.m_angularVelocity*-(this.m_sweep.c.y-n.y);this.m_linearVelocity.y+=this.m_angularVelocity*+(this.m_sweep.c.x-n.x)};W.prototype.GetWorldPoint=function(t){var i=this.m_xf.R;var o=new r(i.col1.x*t.x+i.col2.x*t.y,i.col1.y*t.x+i.col2.y*t.y);o.x+=this.m_xf.position.x;o.y+=this.m_xf.position.y;return o};W.prototype.GetWorldVector=function(t){return e.MulMV(this.m_xf.R,t)};W.prototype.GetLocalPoint=function(t){return e.MulXT(this.m_xf,t)};W.prototype.GetLocalVector=function(t){return e.MulTMV(this.m_xf.R,t)};W.prototype.GetLinearVelocityFromWorldPoint=function(t){return new r(this.m_linearVelocity.x-this.m_angularVelocity*(t.y-this.m_sweep.c.y),this.m_linearVelocity.y+this.m_angularVelocity*(t.x-this.m_sweep.c.x))};W.prototype.GetLinearVelocityFromLocalPoint=function(t){var i=this.m_xf.R;var o=new r(i.col1.x*t.x+i.col2.x*t.y,i.col1.y*t.x+i.col2.y*t.y);o.x+=this.m_xf.position.x;o.y+=this.m_xf.position.y;return new r(this.m_linearVelocity.x-this.m_angularVelocity*(o.y-this.m_sweep.c.y),this.m_linearVelocity.y+this.m_angularVelocity*(o.x-this.m_sweep.c.x))};W.prototype.GetLinearDamping=function(){return this.m_linearDamping};W.prototype.SetLinearDamping=function(t){if(t===undefined)t=0;this.m_linearDamping=t};W.prototype.GetAngularDamping=function(){return this.m_angularDamping};W.prototype.SetAngularDamping=function(t){if(t===undefined)t=0;this.m_angularDamping=t};W.prototype.SetType=function(t){if(t===undefined)t=0;if(this.m_type==t){return}this.m_type=t;this.ResetMassData();if(this.m_type==W.b2_staticBody){this.m_linearVelocity.SetZero();this.m_angularVelocity=0}this.SetAwake(true);this.m_force.SetZero();this.m_torque=0;for(var i=this.m_contactList;i;i=i.next){i.contact.FlagForFiltering()}};W.prototype.GetType=function(){return this.m_type};W.prototype.SetBullet=function(t){if(t){this.m_flags|=W.e_bulletFlag}else{this.m_flags&=~W.e_bulletFlag}};W.prototype.IsBullet=function(){return(this.m_flags&W.e_bulletFlag)==W.e_bulletFlag};W.prototype.SetSleepingAllowed=function(t){if(t){this.m_flags|=W.e_allowSleepFlag}else{this.m_flags&=~W.e_allowSleepFlag;this.SetAwake(true)}};W.prototype.SetAwake=function(t){if(t){this.m_flags|=W.e_awakeFlag;this.m_sleepTime=0}else{this.m_flags&=~W.e_awakeFlag;this.m_sleepTime=0;this.m_linearVelocity.SetZero();this.m_angularVelocity=0;this.m_force.SetZero();this.m_torque=0}};W.prototype.IsAwake=function(){return(this.m_flags&W.e_awakeFlag)==W.e_awakeFlag};W.prototype.SetFixedRotation=function(t){if(t){this.m_flags|=W.e_fixedRotationFlag}else{this.m_flags&=~W.e_fixedRotationFlag}this.ResetMassData()};W.prototype.IsFixedRotation=function(){return(this.m_flags&W.e_fixedRotationFlag)==W.e_fixedRotationFlag};W.prototype.SetActive=function(t){if(t==this.IsActive()){return}var i;var o;if(t){this.m_flags|=W.e_activeFlag;i=this.m_world.m_contactManager.m_broadPhase;for(o=this.m_fixtureList;o;o=o.m_next){o.CreateProxy(i,this.m_xf)}}else{this.m_flags&=~W.e_activeFlag;i=this.m_world.m_contactManager.m_broadPhase;for(o=this.m_fixtureList;o;o=o.m_next){o.DestroyProxy(i)}var e=this.m_contactList;while(e){var n=e;e=e.next;this.m_world.m_contactManager.Destroy(n.contact)}this.m_contactList=null}};W.prototype.IsActive=function(){return(this.m_flags&W.e_activeFlag)==W.e_activeFlag};W.prototype.IsSleepingAllowed=function(){return(this.m_flags&W.e_allowSleepFlag)==W.e_allowSleepFlag};W.prototype.GetFixtureList=function(){return this.m_fixtureList};W.prototype.GetJointList=function(){return this.m_jointList};W.prototype.GetControllerList=function(){return this.m_controllerList};W.prototype.GetContactList=function(){return this.m_contactList};W.prototype.GetNext=function(){return this.m_next};W.prototype.GetUserData=function(){return this.m_userData};W.prototype.SetUserData=function(t){this.m_userData=t};W.prototype.GetWorld=function(){return this.m_world};W.prototype.b2Body=function(t,i){this.m_flags=0;if(t.bullet){this.m_flags|=W.e_bulletFlag}if(t.fixedRotation){this.m_flags|=W.e_fixedRotationFlag}if(t.allowSleep){this.m_flags|=W.e_allowSleepFlag}if(t.awake){this.m_flags|=W.e_awakeFlag}if(t.active){this.m_flags|=W.e_activeFlag}this.m_world=i;this.m_xf.position.SetV(t.position);this.m_xf.R.Set(t.angle);this.m_sweep.localCenter.SetZero();this.m_sweep.t0=1;this.m_sweep.a0=this.m_sweep.a=t.angle;var o=this.m_xf.R;var e=this.m_sweep.localCenter;this.m_sweep.c.x=o.col1.x*e.x+o.col2.x*e.y;this.m_sweep.c.y=o.col1.y*e.x+o.col2.y*e.y;this.m_sweep.c.x+=this.m_xf.position.x;this.m_sweep.c.y+=this.m_xf.position.y;this.m_sweep.c0.SetV(this.m_sweep.c);this.m_jointList=null;this.m_controllerList=null;this.m_contactList=null;this.m_controllerCount=0;this.m_prev=null;this.m_next=null;this.m_linearVelocity.SetV(t.linearVelocity);this.m_angularVelocity=t.angularVelocity;this.m_linearDamping=t.linearDamping;this.m_angularDamping=t.angularDamping;this.m_force.Set(0,0);this.m_torque=0;this.m_sleepTime=0;this.m_type=t.type;if(this.m_type==W.b2_dynamicBody){this.m_mass=1;this.m_invMass=1}else{this.m_mass=0;this.m_invMass=0}this.m_I=0;this.m_invI=0;this.m_inertiaScale=t.inertiaScale;this.m_userData=t.userData;this.m_fixtureList=null;this.m_fixtureCount=0};W.prototype.SynchronizeFixtures=function(){var t=W.s_xf1;t.R.Set(this.m_sweep.a0);var i=t.R;var o=this.m_sweep.localCenter;t.position.x=this.m_sweep.c0.x-(i.col1.x*o.x+i.col2.x*o.y);t.position.y=this.m_sweep.c0.y-(i.col1.y*o.x+i.col2.y*o.y);var e;var n=this.m_world.m_contactManager.m_broadPhase;for(e=this.m_fixtureList;e;e=e.m_next){e.Synchronize(n,t,this.m_xf)}};W.prototype.SynchronizeTransform=function(){this.m_xf.R.Set(this.m_sweep.a);var t=this.m_xf.R;var i=this.m_sweep.localCenter;this.m_xf.position.x=this.m_sweep.c.x-(t.col1.x*i.x+t.col2.x*i.y);this.m_xf.position.y=this.m_sweep.c.y-(t.col1.y*i.x+t.col2.y*i.y)};W.prototype.ShouldCollide=function(t){if(this.m_type!=W.b2_dynamicBody&&t.m_type!=W.b2_dynamicBody){return false}for(var i=this.m_jointList;i;i=i.next){if(i.other==t)if(i.joint.m_collideConnected==false){return false}}return true};W.prototype.Advance=function(t){if(t===undefined)t=0;this.m_sweep.Advance(t);this.m_sweep.c.SetV(this.m_sweep.c0);this.m_sweep.a=this.m_sweep.a0;this.SynchronizeTransform()};Box2D.postDefs.push(function(){Box2D.Dynamics.b2Body.s_xf1=new s;Box2D.Dynamics.b2Body.e_islandFlag=1;Box2D.Dynamics.b2Body.e_awakeFlag=2;Box2D.Dynamics.b2Body.e_allowSleepFlag=4;Box2D.Dynamics.b2Body.e_bulletFlag=8;Box2D.Dynamics.b2Body.e_fixedRotationFlag=16;Box2D.Dynamics.b2Body.e_activeFlag=32;Box2D.Dynamics.b2Body.b2_staticBody=0;Box2D.Dynamics.b2Body.b2_kinematicBody=1;Box2D.Dynamics.b2Body.b2_dynamicBody=2});X.b2BodyDef=function(){this.position=new r;this.linearVelocity=new r};X.prototype.b2BodyDef=function(){this.userData=null;this.position.Set(0,0);this.angle=0;this.linearVelocity.Set(0,0);this.angularVelocity=0;this.linearDamping=0;this.angularDamping=0;this.allowSleep=true;this.awake=true;this.fixedRotation=false;this.bullet=false;this.type=W.b2_staticBody;this.active=true;this.inertiaScale=1};Z.b2ContactFilter=function(){};Z.prototype.ShouldCollide=function(t,i){var o=t.GetFilterData();var e=i.GetFilterData();if(o.groupIndex==e.groupIndex&&o.groupIndex!=0){return o.groupIndex>0}var n=(o.maskBits&e.categoryBits)!=0&&(o.categoryBits&e.maskBits)!=0;return n};Z.prototype.RayCollide=function(t,i){if(!t)return true;return this.ShouldCollide(t instanceof ot?t:null,i)};Box2D.postDefs.push(function(){Box2D.Dynamics.b2ContactFilter.b2_defaultFilter=new Z});H.b2ContactImpulse=function(){this.normalImpulses=new Box2D.Vector_a2j_Number(c.b2_maxManifoldPoints);this.tangentImpulses=new Box2D.Vector_a2j_Number(c.b2_maxManifoldPoints)};Y.b2ContactListener=function(){};Y.prototype.BeginContact=function(t){};Y.prototype.EndContact=function(t){};Y.prototype.PreSolve=function(t,i){};Y.prototype.PostSolve=function(t,i){};Box2D.postDefs.push(function(){Box2D.Dynamics.b2ContactListener.b2_defaultListener=new Y});Q.b2ContactManager=function(){};Q.prototype.b2ContactManager=function(){this.m_world=null;this.m_contactCount=0;this.m_contactFilter=Z.b2_defaultFilter;this.m_contactListener=Y.b2_defaultListener;this.m_contactFactory=new _t(this.m_allocator);this.m_broadPhase=new B};Q.prototype.AddPair=function(t,i){var o=t instanceof ot?t:null;var e=i instanceof ot?i:null;var n=o.GetBody();var s=e.GetBody();if(n==s)return;var r=s.GetContactList();while(r){if(r.other==n){var a=r.contact.GetFixtureA();var l=r.contact.GetFixtureB();if(a==o&&l==e)return;if(a==e&&l==o)return}r=r.next}if(s.ShouldCollide(n)==false){return}if(this.m_contactFilter.ShouldCollide(o,e)==false){return}var m=this.m_contactFactory.Create(o,e);o=m.GetFixtureA();e=m.GetFixtureB();n=o.m_body;s=e.m_body;m.m_prev=null;m.m_next=this.m_world.m_contactList;if(this.m_world.m_contactList!=null){this.m_world.m_contactList.m_prev=m}this.m_world.m_contactList=m;m.m_nodeA.contact=m;m.m_nodeA.other=s;m.m_nodeA.prev=null;m.m_nodeA.next=n.m_contactList;if(n.m_contactList!=null){n.m_contactList.prev=m.m_nodeA}n.m_contactList=m.m_nodeA;m.m_nodeB.contact=m;m.m_nodeB.other=n;m.m_nodeB.prev=null;m.m_nodeB.next=s.m_contactList;if(s.m_contactList!=null){s.m_contactList.prev=m.m_nodeB}s.m_contactList=m.m_nodeB;++this.m_world.m_contactCount;return};Q.prototype.FindNewContacts=function(){this.m_broadPhase.UpdatePairs(Box2D.generateCallback(this,this.AddPair))};Q.prototype.Destroy=function(t){var i=t.GetFixtureA();var o=t.GetFixtureB();var e=i.GetBody();var n=o.GetBody();if(t.IsTouching()){this.m_contactListener.EndContact(t)}if(t.m_prev){t.m_prev.m_next=t.m_next}if(t.m_next){t.m_next.m_prev=t.m_prev}if(t==this.m_world.m_contactList){this.m_world.m_contactList=t.m_next}if(t.m_nodeA.prev){t.m_nodeA.prev.next=t.m_nodeA.next}if(t.m_nodeA.next){t.m_nodeA.next.prev=t.m_nodeA.prev}if(t.m_nodeA==e.m_contactList){e.m_contactList=t.m_nodeA.next}if(t.m_nodeB.prev){t.m_nodeB.prev.next=t.m_nodeB.next}if(t.m_nodeB.next){t.m_nodeB.next.prev=t.m_nodeB.prev}if(t.m_nodeB==n.m_contactList){n.m_contactList=t.m_nodeB.next}this.m_contactFactory.Destroy(t);--this.m_contactCount};Q.prototype.Collide=function(){var t=this.m_world.m_contactList;while(t){var i=t.GetFixtureA();var o=t.GetFixtureB();var e=i.GetBody();var n=o.GetBody();if(e.IsAwake()==false&&n.IsAwake()==false){t=t.GetNext();continue}if(t.m_flags&lt.e_filterFlag){if(n.ShouldCollide(e)==false){var s=t;t=s.GetNext();this.Destroy(s);continue}if(this.m_contactFilter.ShouldCollide(i,o)==false){s=t;t=s.GetNext();this.Destroy(s);continue}t.m_flags&=~lt.e_filterFlag}var r=i.m_proxy;var a=o.m_proxy;var l=this.m_broadPhase.TestOverlap(r,a);if(l==false){s=t;t=s.GetNext();this.Destroy(s);continue}t.Update(this.m_contactListener);t=t.GetNext()}};Box2D.postDefs.push(function(){Box2D.Dynamics.b2ContactManager.s_evalCP=new x});$.b2DebugDraw=function(){};$.prototype.b2DebugDraw=function(){};$.prototype.SetFlags=function(t){if(t===undefined)t=0};$.prototype.GetFlags=function(){};$.prototype.AppendFlags=function(t){if(t===undefined)t=0};$.prototype.ClearFlags=function(t){if(t===undefined)t=0};$.prototype.SetSprite=function(t){};$.prototype.GetSprite=function(){};$.prototype.SetDrawScale=function(t){if(t===undefined)t=0};$.prototype.GetDrawScale=function(){};$.prototype.SetLineThickness=function(t){if(t===undefined)t=0};$.prototype.GetLineThickness=function(){};$.prototype.SetAlpha=function(t){if(t===undefined)t=0};$.prototype.GetAlpha=function(){};$.prototype.SetFillAlpha=function(t){if(t===undefined)t=0};$.prototype.GetFillAlpha=function(){};$.prototype.SetXFormScale=function(t){if(t===undefined)t=0};$.prototype.GetXFormScale=function(){};$.prototype.DrawPolygon=function(t,i,o){if(i===undefined)i=0};$.prototype.DrawSolidPolygon=function(t,i,o){if(i===undefined)i=0};$.prototype.DrawCircle=function(t,i,o){if(i===undefined)i=0};$.prototype.DrawSolidCircle=function(t,i,o,e){if(i===undefined)i=0};$.prototype.DrawSegment=function(t,i,o){};$.prototype.DrawTransform=function(t){};Box2D.postDefs.push(function(){Box2D.Dynamics.b2DebugDraw.e_shapeBit=1;Box2D.Dynamics.b2DebugDraw.e_jointBit=2;Box2D.Dynamics.b2DebugDraw.e_aabbBit=4;Box2D.Dynamics.b2DebugDraw.e_pairBit=8;Box2D.Dynamics.b2DebugDraw.e_centerOfMassBit=16;Box2D.Dynamics.b2DebugDraw.e_controllerBit=32});tt.b2DestructionListener=function(){};tt.prototype.SayGoodbyeJoint=function(t){};tt.prototype.SayGoodbyeFixture=function(t){};it.b2FilterData=function(){this.categoryBits=1;this.maskBits=65535;this.groupIndex=0};it.prototype.Copy=function(){var t=new it;t.categoryBits=this.categoryBits;t.maskBits=this.maskBits;t.groupIndex=this.groupIndex;return t};ot.b2Fixture=function(){this.m_filter=new it};ot.prototype.GetType=function(){return this.m_shape.GetType()};ot.prototype.GetShape=function(){return this.m_shape};ot.prototype.SetSensor=function(t){if(this.m_isSensor==t)return;this.m_isSensor=t;if(this.m_body==null)return;var i=this.m_body.GetContactList();while(i){var o=i.contact;var e=o.GetFixtureA();var n=o.GetFixtureB();if(e==this||n==this)o.SetSensor(e.IsSensor()||n.IsSensor());i=i.next}};ot.prototype.IsSensor=function(){return this.m_isSensor};ot.prototype.SetFilterData=function(t){this.m_filter=t.Copy();if(!this.m_body)return;var i=this.m_body.GetContactList();while(i){var o=i.contact;var e=o.GetFixtureA();var n=o.GetFixtureB();if(e==this||n==this)o.FlagForFiltering();i=i.next}};ot.prototype.GetFilterData=function(){return this.m_filter.Copy()};ot.prototype.GetBody=function(){return this.m_body};ot.prototype.GetNext=function(){return this.m_next};ot.prototype.GetUserData=function(){return this.m_userData};ot.prototype.SetUserData=function(t){this.m_userData=t};ot.prototype.TestPoint=function(t){return this.m_shape.TestPoint(this.m_body.GetTransform(),t)};ot.prototype.RayCast=function(t,i){return this.m_shape.RayCast(t,i,this.m_body.GetTransform())};ot.prototype.GetMassData=function(t){if(t===undefined)t=null;if(t==null){t=new U}this.m_shape.ComputeMass(t,this.m_density);return t};ot.prototype.SetDensity=function(t){if(t===undefined)t=0;this.m_density=t};ot.prototype.GetDensity=function(){return this.m_density};ot.prototype.GetFriction=function(){return this.m_friction};ot.prototype.SetFriction=function(t){if(t===undefined)t=0;this.m_friction=t};ot.prototype.GetRestitution=function(){return this.m_restitution};ot.prototype.SetRestitution=function(t){if(t===undefined)t=0;this.m_restitution=t};ot.prototype.GetAABB=function(){return this.m_aabb};ot.prototype.b2Fixture=function(){this.m_aabb=new h;this.m_userData=null;this.m_body=null;this.m_next=null;this.m_shape=null;this.m_density=0;this.m_friction=0;this.m_restitution=0};ot.prototype.Create=function(t,i,o){this.m_userData=o.userData;this.m_friction=o.friction;this.m_restitution=o.restitution;this.m_body=t;this.m_next=null;this.m_filter=o.filter.Copy();this.m_isSensor=o.isSensor;this.m_shape=o.shape.Copy();this.m_density=o.density};ot.prototype.Destroy=function(){this.m_shape=null};ot.prototype.CreateProxy=function(t,i){this.m_shape.ComputeAABB(this.m_aabb,i);this.m_proxy=t.CreateProxy(this.m_aabb,this)};ot.prototype.DestroyProxy=function(t){if(this.m_proxy==null){return}t.DestroyProxy(this.m_proxy);this.m_proxy=null};ot.prototype.Synchronize=function(t,i,o){if(!this.m_proxy)return;var n=new h;var s=new h;this.m_shape.ComputeAABB(n,i);this.m_shape.ComputeAABB(s,o);this.m_aabb.Combine(n,s);var r=e.SubtractVV(o.position,i.position);t.MoveProxy(this.m_proxy,this.m_aabb,r)};et.b2FixtureDef=function(){this.filter=new it};et.prototype.b2FixtureDef=function(){this.shape=null;this.userData=null;this.friction=.2;this.restitution=0;this.density=0;this.filter.categoryBits=1;this.filter.maskBits=65535;this.filter.groupIndex=0;this.isSensor=false};nt.b2Island=function(){};nt.prototype.b2Island=function(){this.m_bodies=new Box2D.Vector;this.m_contacts=new Box2D.Vector;this.m_joints=new Box2D.Vector};nt.prototype.Initialize=function(t,i,o,e,n,s){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;var r=0;this.m_bodyCapacity=t;this.m_contactCapacity=i;this.m_jointCapacity=o;this.m_bodyCount=0;this.m_contactCount=0;this.m_jointCount=0;this.m_allocator=e;this.m_listener=n;this.m_contactSolver=s;for(r=this.m_bodies.length;r<t;r++)this.m_bodies[r]=null;for(r=this.m_contacts.length;r<i;r++)this.m_contacts[r]=null;for(r=this.m_joints.length;r<o;r++)this.m_joints[r]=null};nt.prototype.Clear=function(){this.m_bodyCount=0;this.m_contactCount=0;this.m_jointCount=0};nt.prototype.Solve=function(t,i,o){var n=0;var s=0;var r;var a;for(n=0;n<this.m_bodyCount;++n){r=this.m_bodies[n];if(r.GetType()!=W.b2_dynamicBody)continue;r.m_linearVelocity.x+=t.dt*(i.x+r.m_invMass*r.m_force.x);r.m_linearVelocity.y+=t.dt*(i.y+r.m_invMass*r.m_force.y);r.m_angularVelocity+=t.dt*r.m_invI*r.m_torque;r.m_linearVelocity.Multiply(e.Clamp(1-t.dt*r.m_linearDamping,0,1));r.m_angularVelocity*=e.Clamp(1-t.dt*r.m_angularDamping,0,1)}this.m_contactSolver.Initialize(t,this.m_contacts,this.m_contactCount,this.m_allocator);var l=this.m_contactSolver;l.InitVelocityConstraints(t);for(n=0;n<this.m_jointCount;++n){a=this.m_joints[n];a.InitVelocityConstraints(t)}for(n=0;n<t.velocityIterations;++n){for(s=0;s<this.m_jointCount;++s){a=this.m_joints[s];a.SolveVelocityConstraints(t)}l.SolveVelocityConstraints()}for(n=0;n<this.m_jointCount;++n){a=this.m_joints[n];a.FinalizeVelocityConstraints()}l.FinalizeVelocityConstraints();for(n=0;n<this.m_bodyCount;++n){r=this.m_bodies[n];if(r.GetType()==W.b2_staticBody)continue;var m=t.dt*r.m_linearVelocity.x;var h=t.dt*r.m_linearVelocity.y;if(m*m+h*h>c.b2_maxTranslationSquared){r.m_linearVelocity.Normalize();r.m_linearVelocity.x*=c.b2_maxTranslation*t.inv_dt;r.m_linearVelocity.y*=c.b2_maxTranslation*t.inv_dt}var _=t.dt*r.m_angularVelocity;if(_*_>c.b2_maxRotationSquared){if(r.m_angularVelocity<0){r.m_angularVelocity=-c.b2_maxRotation*t.inv_dt}else{r.m_angularVelocity=c.b2_maxRotation*t.inv_dt}}r.m_sweep.c0.SetV(r.m_sweep.c);r.m_sweep.a0=r.m_sweep.a;r.m_sweep.c.x+=t.dt*r.m_linearVelocity.x;r.m_sweep.c.y+=t.dt*r.m_linearVelocity.y;r.m_sweep.a+=t.dt*r.m_angularVelocity;r.SynchronizeTransform()}for(n=0;n<t.positionIterations;++n){var p=l.SolvePositionConstraints(c.b2_contactBaumgarte);var u=true;for(s=0;s<this.m_jointCount;++s){a=this.m_joints[s];var y=a.SolvePositionConstraints(c.b2_contactBaumgarte);u=u&&y}if(p&&u){break}}this.Report(l.m_constraints);if(o){var x=Number.MAX_VALUE;var f=c.b2_linearSleepTolerance*c.b2_linearSleepTolerance;var v=c.b2_angularSleepTolerance*c.b2_angularSleepTolerance;for(n=0;n<this.m_bodyCount;++n){r=this.m_bodies[n];if(r.GetType()==W.b2_staticBody){continue}if((r.m_flags&W.e_allowSleepFlag)==0){r.m_sleepTime=0;x=0}if((r.m_flags&W.e_allowSleepFlag)==0||r.m_angularVelocity*r.m_angularVelocity>v||e.Dot(r.m_linearVelocity,r.m_linearVelocity)>f){r.m_sleepTime=0;x=0}else{r.m_sleepTime+=t.dt;x=e.Min(x,r.m_sleepTime)}}if(x>=c.b2_timeToSleep){for(n=0;n<this.m_bodyCount;++n){r=this.m_bodies[n];r.SetAwake(false)}}}};nt.prototype.SolveTOI=function(t){var i=0;var o=0;this.m_contactSolver.Initialize(t,this.m_contacts,this.m_contactCount,this.m_allocator);var e=this.m_contactSolver;for(i=0;i<this.m_jointCount;++i){this.m_joints[i].InitVelocityConstraints(t)}for(i=0;i<t.velocityIterations;++i){e.SolveVelocityConstraints();for(o=0;o<this.m_jointCount;++o){this.m_joints[o].SolveVelocityConstraints(t)}}for(i=0;i<this.m_bodyCount;++i){var n=this.m_bodies[i];if(n.GetType()==W.b2_staticBody)continue;var s=t.dt*n.m_linearVelocity.x;var r=t.dt*n.m_linearVelocity.y;if(s*s+r*r>c.b2_maxTranslationSquared){n.m_linearVelocity.Normalize();n.m_linearVelocity.x*=c.b2_maxTranslation*t.inv_dt;n.m_linearVelocity.y*=c.b2_maxTranslation*t.inv_dt}var a=t.dt*n.m_angularVelocity;if(a*a>c.b2_maxRotationSquared){if(n.m_angularVelocity<0){n.m_angularVelocity=-c.b2_maxRotation*t.inv_dt}else{n.m_angularVelocity=c.b2_maxRotation*t.inv_dt}}n.m_sweep.c0.SetV(n.m_sweep.c);n.m_sweep.a0=n.m_sweep.a;n.m_sweep.c.x+=t.dt*n.m_linearVelocity.x;n.m_sweep.c.y+=t.dt*n.m_linearVelocity.y;n.m_sweep.a+=t.dt*n.m_angularVelocity;n.SynchronizeTransform()}var l=.75;for(i=0;i<t.positionIterations;++i){var m=e.SolvePositionConstraints(l);var h=true;for(o=0;o<this.m_jointCount;++o){var _=this.m_joints[o].SolvePositionConstraints(c.b2_contactBaumgarte);h=h&&_}if(m&&h){break}}this.Report(e.m_constraints)};nt.prototype.Report=function(t){if(this.m_listener==null){return}for(var i=0;i<this.m_contactCount;++i){var o=this.m_contacts[i];var e=t[i];for(var n=0;n<e.pointCount;++n){nt.s_impulse.normalImpulses[n]=e.points[n].normalImpulse;nt.s_impulse.tangentImpulses[n]=e.points[n].tangentImpulse}this.m_listener.PostSolve(o,nt.s_impulse)}};nt.prototype.AddBody=function(t){t.m_islandIndex=this.m_bodyCount;this.m_bodies[this.m_bodyCount++]=t};nt.prototype.AddContact=function(t){this.m_contacts[this.m_contactCount++]=t};nt.prototype.AddJoint=function(t){this.m_joints[this.m_jointCount++]=t};Box2D.postDefs.push(function(){Box2D.Dynamics.b2Island.s_impulse=new H});st.b2TimeStep=function(){};st.prototype.Set=function(t){this.dt=t.dt;this.inv_dt=t.inv_dt;this.positionIterations=t.positionIterations;this.velocityIterations=t.velocityIterations;this.warmStarting=t.warmStarting};rt.b2World=function(){this.s_stack=new Box2D.Vector;this.m_contactManager=new Q;this.m_contactSolver=new yt;this.m_island=new nt};rt.prototype.b2World=function(t,i){this.m_destructionListener=null;this.m_debugDraw=null;this.m_bodyList=null;this.m_contactList=null;this.m_jointList=null;this.m_controllerList=null;this.m_bodyCount=0;this.m_contactCount=0;this.m_jointCount=0;this.m_controllerCount=0;rt.m_warmStarting=true;rt.m_continuousPhysics=true;this.m_allowSleep=i;this.m_gravity=t;this.m_inv_dt0=0;this.m_contactManager.m_world=this;var o=new X;this.m_groundBody=this.CreateBody(o)};rt.prototype.SetDestructionListener=function(t){this.m_destructionListener=t};rt.prototype.SetContactFilter=function(t){this.m_contactManager.m_contactFilter=t};rt.prototype.SetContactListener=function(t){this.m_contactManager.m_contactListener=t};rt.prototype.SetDebugDraw=function(t){this.m_debugDraw=t};rt.prototype.SetBroadPhase=function(t){var i=this.m_contactManager.m_broadPhase;this.m_contactManager.m_broadPhase=t;for(var o=this.m_bodyList;o;o=o.m_next){for(var e=o.m_fixtureList;e;e=e.m_next){e.m_proxy=t.CreateProxy(i.GetFatAABB(e.m_proxy),e)}}};rt.prototype.Validate=function(){this.m_contactManager.m_broadPhase.Validate()};rt.prototype.GetProxyCount=function(){return this.m_contactManager.m_broadPhase.GetProxyCount()};rt.prototype.CreateBody=function(t){if(this.IsLocked()==true){return null}var i=new W(t,this);i.m_prev=null;i.m_next=this.m_bodyList;if(this.m_bodyList){this.m_bodyList.m_prev=i}this.m_bodyList=i;++this.m_bodyCount;return i};rt.prototype.DestroyBody=function(t){if(this.IsLocked()==true){return}var i=t.m_jointList;while(i){var o=i;i=i.next;if(this.m_destructionListener){this.m_destructionListener.SayGoodbyeJoint(o.joint)}this.DestroyJoint(o.joint)}var e=t.m_controllerList;while(e){var n=e;e=e.nextController;n.controller.RemoveBody(t)}var s=t.m_contactList;while(s){var r=s;s=s.next;this.m_contactManager.Destroy(r.contact)}t.m_contactList=null;var a=t.m_fixtureList;while(a){var l=a;a=a.m_next;if(this.m_destructionListener){this.m_destructionListener.SayGoodbyeFixture(l)}l.DestroyProxy(this.m_contactManager.m_broadPhase);l.Destroy()}t.m_fixtureList=null;t.m_fixtureCount=0;if(t.m_prev){t.m_prev.m_next=t.m_next}if(t.m_next){t.m_next.m_prev=t.m_prev}if(t==this.m_bodyList){this.m_bodyList=t.m_next}--this.m_bodyCount};rt.prototype.CreateJoint=function(t){var i=It.Create(t,null);i.m_prev=null;i.m_next=this.m_jointList;if(this.m_jointList){this.m_jointList.m_prev=i}this.m_jointList=i;++this.m_jointCount;i.m_edgeA.joint=i;i.m_edgeA.other=i.m_bodyB;i.m_edgeA.prev=null;i.m_edgeA.next=i.m_bodyA.m_jointList;if(i.m_bodyA.m_jointList)i.m_bodyA.m_jointList.prev=i.m_edgeA;i.m_bodyA.m_jointList=i.m_edgeA;i.m_edgeB.joint=i;i.m_edgeB.other=i.m_bodyA;i.m_edgeB.prev=null;i.m_edgeB.next=i.m_bodyB.m_jointList;if(i.m_bodyB.m_jointList)i.m_bodyB.m_jointList.prev=i.m_edgeB;i.m_bodyB.m_jointList=i.m_edgeB;var o=t.bodyA;var e=t.bodyB;if(t.collideConnected==false){var n=e.GetContactList();while(n){if(n.other==o){n.contact.FlagForFiltering()}n=n.next}}return i};rt.prototype.DestroyJoint=function(t){var i=t.m_collideConnected;if(t.m_prev){t.m_prev.m_next=t.m_next}if(t.m_next){t.m_next.m_prev=t.m_prev}if(t==this.m_jointList){this.m_jointList=t.m_next}var o=t.m_bodyA;var e=t.m_bodyB;o.SetAwake(true);e.SetAwake(true);if(t.m_edgeA.prev){t.m_edgeA.prev.next=t.m_edgeA.next}if(t.m_edgeA.next){t.m_edgeA.next.prev=t.m_edgeA.prev}if(t.m_edgeA==o.m_jointList){o.m_jointList=t.m_edgeA.next}t.m_edgeA.prev=null;t.m_edgeA.next=null;if(t.m_edgeB.prev){t.m_edgeB.prev.next=t.m_edgeB.next}if(t.m_edgeB.next){t.m_edgeB.next.prev=t.m_edgeB.prev}if(t.m_edgeB==e.m_jointList){e.m_jointList=t.m_edgeB.next}t.m_edgeB.prev=null;t.m_edgeB.next=null;It.Destroy(t,null);--this.m_jointCount;if(i==false){var n=e.GetContactList();while(n){if(n.other==o){n.contact.FlagForFiltering()}n=n.next}}};rt.prototype.AddController=function(t){t.m_next=this.m_controllerList;t.m_prev=null;this.m_controllerList=t;t.m_world=this;this.m_controllerCount++;return t};rt.prototype.RemoveController=function(t){if(t.m_prev)t.m_prev.m_next=t.m_next;if(t.m_next)t.m_next.m_prev=t.m_prev;if(this.m_controllerList==t)this.m_controllerList=t.m_next;this.m_controllerCount--};rt.prototype.CreateController=function(t){if(t.m_world!=this)throw new Error("Controller can only be a member of one world");t.m_next=this.m_controllerList;t.m_prev=null;if(this.m_controllerList)this.m_controllerList.m_prev=t;this.m_controllerList=t;++this.m_controllerCount;t.m_world=this;return t};rt.prototype.DestroyController=function(t){t.Clear();if(t.m_next)t.m_next.m_prev=t.m_prev;if(t.m_prev)t.m_prev.m_next=t.m_next;if(t==this.m_controllerList)this.m_controllerList=t.m_next;--this.m_controllerCount};rt.prototype.SetWarmStarting=function(t){rt.m_warmStarting=t};rt.prototype.SetContinuousPhysics=function(t){rt.m_continuousPhysics=t};rt.prototype.GetBodyCount=function(){return this.m_bodyCount};rt.prototype.GetJointCount=function(){return this.m_jointCount};rt.prototype.GetContactCount=function(){return this.m_contactCount};rt.prototype.SetGravity=function(t){this.m_gravity=t};rt.prototype.GetGravity=function(){return this.m_gravity};rt.prototype.GetGroundBody=function(){return this.m_groundBody};rt.prototype.Step=function(t,i,o){if(t===undefined)t=0;if(i===undefined)i=0;if(o===undefined)o=0;if(this.m_flags&rt.e_newFixture){this.m_contactManager.FindNewContacts();this.m_flags&=~rt.e_newFixture}this.m_flags|=rt.e_locked;var e=rt.s_timestep2;e.dt=t;e.velocityIterations=i;e.positionIterations=o;if(t>0){e.inv_dt=1/t}else{e.inv_dt=0}e.dtRatio=this.m_inv_dt0*t;e.warmStarting=rt.m_warmStarting;this.m_contactManager.Collide();if(e.dt>0){this.Solve(e)}if(rt.m_continuousPhysics&&e.dt>0){this.SolveTOI(e)}if(e.dt>0){this.m_inv_dt0=e.inv_dt}this.m_flags&=~rt.e_locked};rt.prototype.ClearForces=function(){for(var t=this.m_bodyList;t;t=t.m_next){t.m_force.SetZero();t.m_torque=0}};rt.prototype.DrawDebugData=function(){if(this.m_debugDraw==null){return}this.m_debugDraw.m_sprite.graphics.clear();var t=this.m_debugDraw.GetFlags();var i=0;var o;var e;var n;var s;var a;var m=new r;var c=new r;var _=new r;var p;var u=new h;var y=new h;var x=[new r,new r,new r,new r];var f=new l(0,0,0);if(t&$.e_shapeBit){for(o=this.m_bodyList;o;o=o.m_next){p=o.m_xf;for(e=o.GetFixtureList();e;e=e.m_next){n=e.GetShape();if(o.IsActive()==false){f.Set(.5,.5,.3);this.DrawShape(n,p,f)}else if(o.GetType()==W.b2_staticBody){f.Set(.5,.9,.5);this.DrawShape(n,p,f)}else if(o.GetType()==W.b2_kinematicBody){f.Set(.5,.5,.9);this.DrawShape(n,p,f)}else if(o.IsAwake()==false){f.Set(.6,.6,.6);this.DrawShape(n,p,f)}else{f.Set(.9,.7,.7);this.DrawShape(n,p,f)}}}}if(t&$.e_jointBit){for(s=this.m_jointList;s;s=s.m_next){this.DrawJoint(s)}}if(t&$.e_controllerBit){for(var v=this.m_controllerList;v;v=v.m_next){v.Draw(this.m_debugDraw)}}if(t&$.e_pairBit){f.Set(.3,.9,.9);for(var d=this.m_contactManager.m_contactList;d;d=d.GetNext()){var b=d.GetFixtureA();var D=d.GetFixtureB();var B=b.GetAABB().GetCenter();var C=D.GetAABB().GetCenter();this.m_debugDraw.DrawSegment(B,C,f)}}if(t&$.e_aabbBit){a=this.m_contactManager.m_broadPhase;x=[new r,new r,new r,new r];for(o=this.m_bodyList;o;o=o.GetNext()){if(o.IsActive()==false){continue}for(e=o.GetFixtureList();e;e=e.GetNext()){var A=a.GetFatAABB(e.m_proxy);x[0].Set(A.lowerBound.x,A.lowerBound.y);x[1].Set(A.upperBound.x,A.lowerBound.y);x[2].Set(A.upperBound.x,A.upperBound.y);x[3].Set(A.lowerBound.x,A.upperBound.y);this.m_debugDraw.DrawPolygon(x,4,f)}}}if(t&$.e_centerOfMassBit){for(o=this.m_bodyList;o;o=o.m_next){p=rt.s_xf;p.R=o.m_xf.R;p.position=o.GetWorldCenter();this.m_debugDraw.DrawTransform(p)}}};rt.prototype.QueryAABB=function(t,i){var o=this;var e=o.m_contactManager.m_broadPhase;function n(i){return t(e.GetUserData(i))}e.Query(n,i)};rt.prototype.QueryShape=function(t,i,o){var e=this;if(o===undefined)o=null;if(o==null){o=new s;o.SetIdentity()}var n=e.m_contactManager.m_broadPhase;function r(e){var s=n.GetUserData(e)instanceof ot?n.GetUserData(e):null;if(K.TestOverlap(i,o,s.GetShape(),s.GetBody().GetTransform()))return t(s);return true}var a=new h;i.ComputeAABB(a,o);n.Query(r,a)};rt.prototype.QueryPoint=function(t,i){var o=this;var e=o.m_contactManager.m_broadPhase;function n(o){var n=e.GetUserData(o)instanceof ot?e.GetUserData(o):null;if(n.TestPoint(i))return t(n);return true}var s=new h;s.lowerBound.Set(i.x-c.b2_linearSlop,i.y-c.b2_linearSlop);s.upperBound.Set(i.x+c.b2_linearSlop,i.y+c.b2_linearSlop);e.Query(n,s)};rt.prototype.RayCast=function(t,i,o){var e=this;var n=e.m_contactManager.m_broadPhase;var s=new V;function a(e,a){var l=n.GetUserData(a);var m=l instanceof ot?l:null;var c=m.RayCast(s,e);if(c){var h=s.fraction;var _=new r((1-h)*i.x+h*o.x,(1-h)*i.y+h*o.y);return t(m,_,s.normal,h)}return e.maxFraction}var l=new M(i,o);n.RayCast(a,l)};rt.prototype.RayCastOne=function(t,i){var o=this;var e;function n(t,i,o,n){if(n===undefined)n=0;e=t;return n}o.RayCast(n,t,i);return e};rt.prototype.RayCastAll=function(t,i){var o=this;var e=new Box2D.Vector;function n(t,i,o,n){if(n===undefined)n=0;e[e.length]=t;return 1}o.RayCast(n,t,i);return e};rt.prototype.GetBodyList=function(){return this.m_bodyList};rt.prototype.GetJointList=function(){return this.m_jointList};rt.prototype.GetContactList=function(){return this.m_contactList};rt.prototype.IsLocked=function(){return(this.m_flags&rt.e_locked)>0};rt.prototype.Solve=function(t){var i;for(var o=this.m_controllerList;o;o=o.m_next){o.Step(t)}var e=this.m_island;e.Initialize(this.m_bodyCount,this.m_contactCount,this.m_jointCount,null,this.m_contactManager.m_contactListener,this.m_contactSolver);for(i=this.m_bodyList;i;i=i.m_next){i.m_flags&=~W.e_islandFlag}for(var n=this.m_contactList;n;n=n.m_next){n.m_flags&=~lt.e_islandFlag}for(var s=this.m_jointList;s;s=s.m_next){s.m_islandFlag=false}var r=parseInt(this.m_bodyCount);var a=this.s_stack;for(var l=this.m_bodyList;l;l=l.m_next){if(l.m_flags&W.e_islandFlag){continue}if(l.IsAwake()==false||l.IsActive()==false){continue}if(l.GetType()==W.b2_staticBody){continue}e.Clear();var m=0;a[m++]=l;l.m_flags|=W.e_islandFlag;while(m>0){
+i=a[--m];e.AddBody(i);if(i.IsAwake()==false){i.SetAwake(true)}if(i.GetType()==W.b2_staticBody){continue}var c;for(var h=i.m_contactList;h;h=h.next){if(h.contact.m_flags&lt.e_islandFlag){continue}if(h.contact.IsSensor()==true||h.contact.IsEnabled()==false||h.contact.IsTouching()==false){continue}e.AddContact(h.contact);h.contact.m_flags|=lt.e_islandFlag;c=h.other;if(c.m_flags&W.e_islandFlag){continue}a[m++]=c;c.m_flags|=W.e_islandFlag}for(var _=i.m_jointList;_;_=_.next){if(_.joint.m_islandFlag==true){continue}c=_.other;if(c.IsActive()==false){continue}e.AddJoint(_.joint);_.joint.m_islandFlag=true;if(c.m_flags&W.e_islandFlag){continue}a[m++]=c;c.m_flags|=W.e_islandFlag}}e.Solve(t,this.m_gravity,this.m_allowSleep);for(var p=0;p<e.m_bodyCount;++p){i=e.m_bodies[p];if(i.GetType()==W.b2_staticBody){i.m_flags&=~W.e_islandFlag}}}for(p=0;p<a.length;++p){if(!a[p])break;a[p]=null}for(i=this.m_bodyList;i;i=i.m_next){if(i.IsAwake()==false||i.IsActive()==false){continue}if(i.GetType()==W.b2_staticBody){continue}i.SynchronizeFixtures()}this.m_contactManager.FindNewContacts()};rt.prototype.SolveTOI=function(t){var i;var o;var e;var n;var s;var r;var a;var l=this.m_island;l.Initialize(this.m_bodyCount,c.b2_maxTOIContactsPerIsland,c.b2_maxTOIJointsPerIsland,null,this.m_contactManager.m_contactListener,this.m_contactSolver);var m=rt.s_queue;for(i=this.m_bodyList;i;i=i.m_next){i.m_flags&=~W.e_islandFlag;i.m_sweep.t0=0}var h;for(h=this.m_contactList;h;h=h.m_next){h.m_flags&=~(lt.e_toiFlag|lt.e_islandFlag)}for(a=this.m_jointList;a;a=a.m_next){a.m_islandFlag=false}for(;;){var _=null;var p=1;for(h=this.m_contactList;h;h=h.m_next){if(h.IsSensor()==true||h.IsEnabled()==false||h.IsContinuous()==false){continue}var u=1;if(h.m_flags&lt.e_toiFlag){u=h.m_toi}else{o=h.m_fixtureA;e=h.m_fixtureB;n=o.m_body;s=e.m_body;if((n.GetType()!=W.b2_dynamicBody||n.IsAwake()==false)&&(s.GetType()!=W.b2_dynamicBody||s.IsAwake()==false)){continue}var y=n.m_sweep.t0;if(n.m_sweep.t0<s.m_sweep.t0){y=s.m_sweep.t0;n.m_sweep.Advance(y)}else if(s.m_sweep.t0<n.m_sweep.t0){y=n.m_sweep.t0;s.m_sweep.Advance(y)}u=h.ComputeTOI(n.m_sweep,s.m_sweep);c.b2Assert(0<=u&&u<=1);if(u>0&&u<1){u=(1-u)*y+u;if(u>1)u=1}h.m_toi=u;h.m_flags|=lt.e_toiFlag}if(Number.MIN_VALUE<u&&u<p){_=h;p=u}}if(_==null||1-100*Number.MIN_VALUE<p){break}o=_.m_fixtureA;e=_.m_fixtureB;n=o.m_body;s=e.m_body;rt.s_backupA.Set(n.m_sweep);rt.s_backupB.Set(s.m_sweep);n.Advance(p);s.Advance(p);_.Update(this.m_contactManager.m_contactListener);_.m_flags&=~lt.e_toiFlag;if(_.IsSensor()==true||_.IsEnabled()==false){n.m_sweep.Set(rt.s_backupA);s.m_sweep.Set(rt.s_backupB);n.SynchronizeTransform();s.SynchronizeTransform();continue}if(_.IsTouching()==false){continue}var x=n;if(x.GetType()!=W.b2_dynamicBody){x=s}l.Clear();var f=0;var v=0;m[f+v++]=x;x.m_flags|=W.e_islandFlag;while(v>0){i=m[f++];--v;l.AddBody(i);if(i.IsAwake()==false){i.SetAwake(true)}if(i.GetType()!=W.b2_dynamicBody){continue}for(r=i.m_contactList;r;r=r.next){if(l.m_contactCount==l.m_contactCapacity){break}if(r.contact.m_flags&lt.e_islandFlag){continue}if(r.contact.IsSensor()==true||r.contact.IsEnabled()==false||r.contact.IsTouching()==false){continue}l.AddContact(r.contact);r.contact.m_flags|=lt.e_islandFlag;var d=r.other;if(d.m_flags&W.e_islandFlag){continue}if(d.GetType()!=W.b2_staticBody){d.Advance(p);d.SetAwake(true)}m[f+v]=d;++v;d.m_flags|=W.e_islandFlag}for(var b=i.m_jointList;b;b=b.next){if(l.m_jointCount==l.m_jointCapacity)continue;if(b.joint.m_islandFlag==true)continue;d=b.other;if(d.IsActive()==false){continue}l.AddJoint(b.joint);b.joint.m_islandFlag=true;if(d.m_flags&W.e_islandFlag)continue;if(d.GetType()!=W.b2_staticBody){d.Advance(p);d.SetAwake(true)}m[f+v]=d;++v;d.m_flags|=W.e_islandFlag}}var D=rt.s_timestep;D.warmStarting=false;D.dt=(1-p)*t.dt;D.inv_dt=1/D.dt;D.dtRatio=0;D.velocityIterations=t.velocityIterations;D.positionIterations=t.positionIterations;l.SolveTOI(D);var B=0;for(B=0;B<l.m_bodyCount;++B){i=l.m_bodies[B];i.m_flags&=~W.e_islandFlag;if(i.IsAwake()==false){continue}if(i.GetType()!=W.b2_dynamicBody){continue}i.SynchronizeFixtures();for(r=i.m_contactList;r;r=r.next){r.contact.m_flags&=~lt.e_toiFlag}}for(B=0;B<l.m_contactCount;++B){h=l.m_contacts[B];h.m_flags&=~(lt.e_toiFlag|lt.e_islandFlag)}for(B=0;B<l.m_jointCount;++B){a=l.m_joints[B];a.m_islandFlag=false}this.m_contactManager.FindNewContacts()}};rt.prototype.DrawJoint=function(t){var i=t.GetBodyA();var o=t.GetBodyB();var e=i.m_xf;var n=o.m_xf;var s=e.position;var r=n.position;var a=t.GetAnchorA();var l=t.GetAnchorB();var m=rt.s_jointColor;switch(t.m_type){case It.e_distanceJoint:this.m_debugDraw.DrawSegment(a,l,m);break;case It.e_pulleyJoint:{var c=t instanceof Nt?t:null;var h=c.GetGroundAnchorA();var _=c.GetGroundAnchorB();this.m_debugDraw.DrawSegment(h,a,m);this.m_debugDraw.DrawSegment(_,l,m);this.m_debugDraw.DrawSegment(h,_,m)}break;case It.e_mouseJoint:this.m_debugDraw.DrawSegment(a,l,m);break;default:if(i!=this.m_groundBody)this.m_debugDraw.DrawSegment(s,a,m);this.m_debugDraw.DrawSegment(a,l,m);if(o!=this.m_groundBody)this.m_debugDraw.DrawSegment(r,l,m)}};rt.prototype.DrawShape=function(t,i,o){switch(t.m_type){case K.e_circleShape:{var n=t instanceof E?t:null;var s=e.MulX(i,n.m_p);var r=n.m_radius;var a=i.R.col1;this.m_debugDraw.DrawSolidCircle(s,r,a,o)}break;case K.e_polygonShape:{var l=0;var m=t instanceof q?t:null;var c=parseInt(m.GetVertexCount());var h=m.GetVertices();var _=new Box2D.Vector(c);for(l=0;l<c;++l){_[l]=e.MulX(i,h[l])}this.m_debugDraw.DrawSolidPolygon(_,c,o)}break;case K.e_edgeShape:{var p=t instanceof O?t:null;this.m_debugDraw.DrawSegment(e.MulX(i,p.GetVertex1()),e.MulX(i,p.GetVertex2()),o)}break}};Box2D.postDefs.push(function(){Box2D.Dynamics.b2World.s_timestep2=new st;Box2D.Dynamics.b2World.s_xf=new s;Box2D.Dynamics.b2World.s_backupA=new n;Box2D.Dynamics.b2World.s_backupB=new n;Box2D.Dynamics.b2World.s_timestep=new st;Box2D.Dynamics.b2World.s_queue=new Box2D.Vector;Box2D.Dynamics.b2World.s_jointColor=new l(.5,.8,.8);Box2D.Dynamics.b2World.e_newFixture=1;Box2D.Dynamics.b2World.e_locked=2})})();(function(){var t=Box2D.Collision.Shapes.b2CircleShape,i=Box2D.Collision.Shapes.b2EdgeChainDef,o=Box2D.Collision.Shapes.b2EdgeShape,e=Box2D.Collision.Shapes.b2MassData,n=Box2D.Collision.Shapes.b2PolygonShape,s=Box2D.Collision.Shapes.b2Shape,r=Box2D.Dynamics.Contacts.b2CircleContact,a=Box2D.Dynamics.Contacts.b2Contact,l=Box2D.Dynamics.Contacts.b2ContactConstraint,m=Box2D.Dynamics.Contacts.b2ContactConstraintPoint,c=Box2D.Dynamics.Contacts.b2ContactEdge,h=Box2D.Dynamics.Contacts.b2ContactFactory,_=Box2D.Dynamics.Contacts.b2ContactRegister,p=Box2D.Dynamics.Contacts.b2ContactResult,u=Box2D.Dynamics.Contacts.b2ContactSolver,y=Box2D.Dynamics.Contacts.b2EdgeAndCircleContact,x=Box2D.Dynamics.Contacts.b2NullContact,f=Box2D.Dynamics.Contacts.b2PolyAndCircleContact,v=Box2D.Dynamics.Contacts.b2PolyAndEdgeContact,d=Box2D.Dynamics.Contacts.b2PolygonContact,b=Box2D.Dynamics.Contacts.b2PositionSolverManifold,D=Box2D.Dynamics.b2Body,B=Box2D.Dynamics.b2BodyDef,C=Box2D.Dynamics.b2ContactFilter,A=Box2D.Dynamics.b2ContactImpulse,S=Box2D.Dynamics.b2ContactListener,w=Box2D.Dynamics.b2ContactManager,g=Box2D.Dynamics.b2DebugDraw,M=Box2D.Dynamics.b2DestructionListener,V=Box2D.Dynamics.b2FilterData,I=Box2D.Dynamics.b2Fixture,G=Box2D.Dynamics.b2FixtureDef,L=Box2D.Dynamics.b2Island,J=Box2D.Dynamics.b2TimeStep,F=Box2D.Dynamics.b2World,P=Box2D.Common.b2Color,R=Box2D.Common.b2internal,T=Box2D.Common.b2Settings,k=Box2D.Common.Math.b2Mat22,N=Box2D.Common.Math.b2Mat33,z=Box2D.Common.Math.b2Math,E=Box2D.Common.Math.b2Sweep,j=Box2D.Common.Math.b2Transform,O=Box2D.Common.Math.b2Vec2,U=Box2D.Common.Math.b2Vec3,q=Box2D.Collision.b2AABB,K=Box2D.Collision.b2Bound,W=Box2D.Collision.b2BoundValues,X=Box2D.Collision.b2Collision,Z=Box2D.Collision.b2ContactID,H=Box2D.Collision.b2ContactPoint,Y=Box2D.Collision.b2Distance,Q=Box2D.Collision.b2DistanceInput,$=Box2D.Collision.b2DistanceOutput,tt=Box2D.Collision.b2DistanceProxy,it=Box2D.Collision.b2DynamicTree,ot=Box2D.Collision.b2DynamicTreeBroadPhase,et=Box2D.Collision.b2DynamicTreeNode,nt=Box2D.Collision.b2DynamicTreePair,st=Box2D.Collision.b2Manifold,rt=Box2D.Collision.b2ManifoldPoint,at=Box2D.Collision.b2Point,lt=Box2D.Collision.b2RayCastInput,mt=Box2D.Collision.b2RayCastOutput,ct=Box2D.Collision.b2Segment,ht=Box2D.Collision.b2SeparationFunction,_t=Box2D.Collision.b2Simplex,pt=Box2D.Collision.b2SimplexCache,ut=Box2D.Collision.b2SimplexVertex,yt=Box2D.Collision.b2TimeOfImpact,xt=Box2D.Collision.b2TOIInput,ft=Box2D.Collision.b2WorldManifold,vt=Box2D.Collision.ClipVertex,dt=Box2D.Collision.Features,bt=Box2D.Collision.IBroadPhase;Box2D.inherit(r,Box2D.Dynamics.Contacts.b2Contact);r.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;r.b2CircleContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};r.Create=function(t){return new r};r.Destroy=function(t,i){};r.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i)};r.prototype.Evaluate=function(){var i=this.m_fixtureA.GetBody();var o=this.m_fixtureB.GetBody();X.CollideCircles(this.m_manifold,this.m_fixtureA.GetShape()instanceof t?this.m_fixtureA.GetShape():null,i.m_xf,this.m_fixtureB.GetShape()instanceof t?this.m_fixtureB.GetShape():null,o.m_xf)};a.b2Contact=function(){this.m_nodeA=new c;this.m_nodeB=new c;this.m_manifold=new st;this.m_oldManifold=new st};a.prototype.GetManifold=function(){return this.m_manifold};a.prototype.GetWorldManifold=function(t){var i=this.m_fixtureA.GetBody();var o=this.m_fixtureB.GetBody();var e=this.m_fixtureA.GetShape();var n=this.m_fixtureB.GetShape();t.Initialize(this.m_manifold,i.GetTransform(),e.m_radius,o.GetTransform(),n.m_radius)};a.prototype.IsTouching=function(){return(this.m_flags&a.e_touchingFlag)==a.e_touchingFlag};a.prototype.IsContinuous=function(){return(this.m_flags&a.e_continuousFlag)==a.e_continuousFlag};a.prototype.SetSensor=function(t){if(t){this.m_flags|=a.e_sensorFlag}else{this.m_flags&=~a.e_sensorFlag}};a.prototype.IsSensor=function(){return(this.m_flags&a.e_sensorFlag)==a.e_sensorFlag};a.prototype.SetEnabled=function(t){if(t){this.m_flags|=a.e_enabledFlag}else{this.m_flags&=~a.e_enabledFlag}};a.prototype.IsEnabled=function(){return(this.m_flags&a.e_enabledFlag)==a.e_enabledFlag};a.prototype.GetNext=function(){return this.m_next};a.prototype.GetFixtureA=function(){return this.m_fixtureA};a.prototype.GetFixtureB=function(){return this.m_fixtureB};a.prototype.FlagForFiltering=function(){this.m_flags|=a.e_filterFlag};a.prototype.b2Contact=function(){};a.prototype.Reset=function(t,i){if(t===undefined)t=null;if(i===undefined)i=null;this.m_flags=a.e_enabledFlag;if(!t||!i){this.m_fixtureA=null;this.m_fixtureB=null;return}if(t.IsSensor()||i.IsSensor()){this.m_flags|=a.e_sensorFlag}var o=t.GetBody();var e=i.GetBody();if(o.GetType()!=D.b2_dynamicBody||o.IsBullet()||e.GetType()!=D.b2_dynamicBody||e.IsBullet()){this.m_flags|=a.e_continuousFlag}this.m_fixtureA=t;this.m_fixtureB=i;this.m_manifold.m_pointCount=0;this.m_prev=null;this.m_next=null;this.m_nodeA.contact=null;this.m_nodeA.prev=null;this.m_nodeA.next=null;this.m_nodeA.other=null;this.m_nodeB.contact=null;this.m_nodeB.prev=null;this.m_nodeB.next=null;this.m_nodeB.other=null};a.prototype.Update=function(t){var i=this.m_oldManifold;this.m_oldManifold=this.m_manifold;this.m_manifold=i;this.m_flags|=a.e_enabledFlag;var o=false;var e=(this.m_flags&a.e_touchingFlag)==a.e_touchingFlag;var n=this.m_fixtureA.m_body;var r=this.m_fixtureB.m_body;var l=this.m_fixtureA.m_aabb.TestOverlap(this.m_fixtureB.m_aabb);if(this.m_flags&a.e_sensorFlag){if(l){var m=this.m_fixtureA.GetShape();var c=this.m_fixtureB.GetShape();var h=n.GetTransform();var _=r.GetTransform();o=s.TestOverlap(m,h,c,_)}this.m_manifold.m_pointCount=0}else{if(n.GetType()!=D.b2_dynamicBody||n.IsBullet()||r.GetType()!=D.b2_dynamicBody||r.IsBullet()){this.m_flags|=a.e_continuousFlag}else{this.m_flags&=~a.e_continuousFlag}if(l){this.Evaluate();o=this.m_manifold.m_pointCount>0;for(var p=0;p<this.m_manifold.m_pointCount;++p){var u=this.m_manifold.m_points[p];u.m_normalImpulse=0;u.m_tangentImpulse=0;var y=u.m_id;for(var x=0;x<this.m_oldManifold.m_pointCount;++x){var f=this.m_oldManifold.m_points[x];if(f.m_id.key==y.key){u.m_normalImpulse=f.m_normalImpulse;u.m_tangentImpulse=f.m_tangentImpulse;break}}}}else{this.m_manifold.m_pointCount=0}if(o!=e){n.SetAwake(true);r.SetAwake(true)}}if(o){this.m_flags|=a.e_touchingFlag}else{this.m_flags&=~a.e_touchingFlag}if(e==false&&o==true){t.BeginContact(this)}if(e==true&&o==false){t.EndContact(this)}if((this.m_flags&a.e_sensorFlag)==0){t.PreSolve(this,this.m_oldManifold)}};a.prototype.Evaluate=function(){};a.prototype.ComputeTOI=function(t,i){a.s_input.proxyA.Set(this.m_fixtureA.GetShape());a.s_input.proxyB.Set(this.m_fixtureB.GetShape());a.s_input.sweepA=t;a.s_input.sweepB=i;a.s_input.tolerance=T.b2_linearSlop;return yt.TimeOfImpact(a.s_input)};Box2D.postDefs.push(function(){Box2D.Dynamics.Contacts.b2Contact.e_sensorFlag=1;Box2D.Dynamics.Contacts.b2Contact.e_continuousFlag=2;Box2D.Dynamics.Contacts.b2Contact.e_islandFlag=4;Box2D.Dynamics.Contacts.b2Contact.e_toiFlag=8;Box2D.Dynamics.Contacts.b2Contact.e_touchingFlag=16;Box2D.Dynamics.Contacts.b2Contact.e_enabledFlag=32;Box2D.Dynamics.Contacts.b2Contact.e_filterFlag=64;Box2D.Dynamics.Contacts.b2Contact.s_input=new xt});l.b2ContactConstraint=function(){this.localPlaneNormal=new O;this.localPoint=new O;this.normal=new O;this.normalMass=new k;this.K=new k};l.prototype.b2ContactConstraint=function(){this.points=new Box2D.Vector(T.b2_maxManifoldPoints);for(var t=0;t<T.b2_maxManifoldPoints;t++){this.points[t]=new m}};m.b2ContactConstraintPoint=function(){this.localPoint=new O;this.rA=new O;this.rB=new O};c.b2ContactEdge=function(){};h.b2ContactFactory=function(){};h.prototype.b2ContactFactory=function(t){this.m_allocator=t;this.InitializeRegisters()};h.prototype.AddType=function(t,i,o,e){if(o===undefined)o=0;if(e===undefined)e=0;this.m_registers[o][e].createFcn=t;this.m_registers[o][e].destroyFcn=i;this.m_registers[o][e].primary=true;if(o!=e){this.m_registers[e][o].createFcn=t;this.m_registers[e][o].destroyFcn=i;this.m_registers[e][o].primary=false}};h.prototype.InitializeRegisters=function(){this.m_registers=new Box2D.Vector(s.e_shapeTypeCount);for(var t=0;t<s.e_shapeTypeCount;t++){this.m_registers[t]=new Box2D.Vector(s.e_shapeTypeCount);for(var i=0;i<s.e_shapeTypeCount;i++){this.m_registers[t][i]=new _}}this.AddType(r.Create,r.Destroy,s.e_circleShape,s.e_circleShape);this.AddType(f.Create,f.Destroy,s.e_polygonShape,s.e_circleShape);this.AddType(d.Create,d.Destroy,s.e_polygonShape,s.e_polygonShape);this.AddType(y.Create,y.Destroy,s.e_edgeShape,s.e_circleShape);this.AddType(v.Create,v.Destroy,s.e_polygonShape,s.e_edgeShape)};h.prototype.Create=function(t,i){var o=parseInt(t.GetType());var e=parseInt(i.GetType());var n=this.m_registers[o][e];var s;if(n.pool){s=n.pool;n.pool=s.m_next;n.poolCount--;s.Reset(t,i);return s}var r=n.createFcn;if(r!=null){if(n.primary){s=r(this.m_allocator);s.Reset(t,i);return s}else{s=r(this.m_allocator);s.Reset(i,t);return s}}else{return null}};h.prototype.Destroy=function(t){if(t.m_manifold.m_pointCount>0){t.m_fixtureA.m_body.SetAwake(true);t.m_fixtureB.m_body.SetAwake(true)}var i=parseInt(t.m_fixtureA.GetType());var o=parseInt(t.m_fixtureB.GetType());var e=this.m_registers[i][o];if(true){e.poolCount++;t.m_next=e.pool;e.pool=t}var n=e.destroyFcn;n(t,this.m_allocator)};_.b2ContactRegister=function(){};p.b2ContactResult=function(){this.position=new O;this.normal=new O;this.id=new Z};u.b2ContactSolver=function(){this.m_step=new J;this.m_constraints=new Box2D.Vector};u.prototype.b2ContactSolver=function(){};u.prototype.Initialize=function(t,i,o,e){if(o===undefined)o=0;var n;this.m_step.Set(t);this.m_allocator=e;var s=0;var r;var a;this.m_constraintCount=o;while(this.m_constraints.length<this.m_constraintCount){this.m_constraints[this.m_constraints.length]=new l}for(s=0;s<o;++s){n=i[s];var m=n.m_fixtureA;var c=n.m_fixtureB;var h=m.m_shape;var _=c.m_shape;var p=h.m_radius;var y=_.m_radius;var x=m.m_body;var f=c.m_body;var v=n.GetManifold();var d=T.b2MixFriction(m.GetFriction(),c.GetFriction());var b=T.b2MixRestitution(m.GetRestitution(),c.GetRestitution());var D=x.m_linearVelocity.x;var B=x.m_linearVelocity.y;var C=f.m_linearVelocity.x;var A=f.m_linearVelocity.y;var S=x.m_angularVelocity;var w=f.m_angularVelocity;T.b2Assert(v.m_pointCount>0);u.s_worldManifold.Initialize(v,x.m_xf,p,f.m_xf,y);var g=u.s_worldManifold.m_normal.x;var M=u.s_worldManifold.m_normal.y;var V=this.m_constraints[s];V.bodyA=x;V.bodyB=f;V.manifold=v;V.normal.x=g;V.normal.y=M;V.pointCount=v.m_pointCount;V.friction=d;V.restitution=b;V.localPlaneNormal.x=v.m_localPlaneNormal.x;V.localPlaneNormal.y=v.m_localPlaneNormal.y;V.localPoint.x=v.m_localPoint.x;V.localPoint.y=v.m_localPoint.y;V.radius=p+y;V.type=v.m_type;for(var I=0;I<V.pointCount;++I){var G=v.m_points[I];var L=V.points[I];L.normalImpulse=G.m_normalImpulse;L.tangentImpulse=G.m_tangentImpulse;L.localPoint.SetV(G.m_localPoint);var J=L.rA.x=u.s_worldManifold.m_points[I].x-x.m_sweep.c.x;var F=L.rA.y=u.s_worldManifold.m_points[I].y-x.m_sweep.c.y;var P=L.rB.x=u.s_worldManifold.m_points[I].x-f.m_sweep.c.x;var R=L.rB.y=u.s_worldManifold.m_points[I].y-f.m_sweep.c.y;var k=J*M-F*g;var N=P*M-R*g;k*=k;N*=N;var z=x.m_invMass+f.m_invMass+x.m_invI*k+f.m_invI*N;L.normalMass=1/z;var E=x.m_mass*x.m_invMass+f.m_mass*f.m_invMass;E+=x.m_mass*x.m_invI*k+f.m_mass*f.m_invI*N;L.equalizedMass=1/E;var j=M;var O=-g;var U=J*O-F*j;var q=P*O-R*j;U*=U;q*=q;var K=x.m_invMass+f.m_invMass+x.m_invI*U+f.m_invI*q;L.tangentMass=1/K;L.velocityBias=0;var W=C+-w*R-D- -S*F;var X=A+w*P-B-S*J;var Z=V.normal.x*W+V.normal.y*X;if(Z<-T.b2_velocityThreshold){L.velocityBias+=-V.restitution*Z}}if(V.pointCount==2){var H=V.points[0];var Y=V.points[1];var Q=x.m_invMass;var $=x.m_invI;var tt=f.m_invMass;var it=f.m_invI;var ot=H.rA.x*M-H.rA.y*g;var et=H.rB.x*M-H.rB.y*g;var nt=Y.rA.x*M-Y.rA.y*g;var st=Y.rB.x*M-Y.rB.y*g;var rt=Q+tt+$*ot*ot+it*et*et;var at=Q+tt+$*nt*nt+it*st*st;var lt=Q+tt+$*ot*nt+it*et*st;var mt=100;if(rt*rt<mt*(rt*at-lt*lt)){V.K.col1.Set(rt,lt);V.K.col2.Set(lt,at);V.K.GetInverse(V.normalMass)}else{V.pointCount=1}}}};u.prototype.InitVelocityConstraints=function(t){var i;var o;var e;for(var n=0;n<this.m_constraintCount;++n){var s=this.m_constraints[n];var r=s.bodyA;var a=s.bodyB;var l=r.m_invMass;var m=r.m_invI;var c=a.m_invMass;var h=a.m_invI;var _=s.normal.x;var p=s.normal.y;var u=p;var y=-_;var x=0;var f=0;var v=0;if(t.warmStarting){v=s.pointCount;for(f=0;f<v;++f){var d=s.points[f];d.normalImpulse*=t.dtRatio;d.tangentImpulse*=t.dtRatio;var b=d.normalImpulse*_+d.tangentImpulse*u;var D=d.normalImpulse*p+d.tangentImpulse*y;r.m_angularVelocity-=m*(d.rA.x*D-d.rA.y*b);r.m_linearVelocity.x-=l*b;r.m_linearVelocity.y-=l*D;a.m_angularVelocity+=h*(d.rB.x*D-d.rB.y*b);a.m_linearVelocity.x+=c*b;a.m_linearVelocity.y+=c*D}}else{v=s.pointCount;for(f=0;f<v;++f){var B=s.points[f];B.normalImpulse=0;B.tangentImpulse=0}}}};u.prototype.SolveVelocityConstraints=function(){var t=0;var i;var o=0;var e=0;var n=0;var s=0;var r=0;var a=0;var l=0;var m=0;var c=0;var h=0;var _=0;var p=0;var u=0;var y=0;var x=0;var f=0;var v=0;var d=0;var b=0;var D;var B;for(var C=0;C<this.m_constraintCount;++C){var A=this.m_constraints[C];var S=A.bodyA;var w=A.bodyB;var g=S.m_angularVelocity;var M=w.m_angularVelocity;var V=S.m_linearVelocity;var I=w.m_linearVelocity;var G=S.m_invMass;var L=S.m_invI;var J=w.m_invMass;var F=w.m_invI;var P=A.normal.x;var R=A.normal.y;var T=R;var k=-P;var N=A.friction;var E=0;for(t=0;t<A.pointCount;t++){i=A.points[t];r=I.x-M*i.rB.y-V.x+g*i.rA.y;a=I.y+M*i.rB.x-V.y-g*i.rA.x;m=r*T+a*k;c=i.tangentMass*-m;h=N*i.normalImpulse;_=z.Clamp(i.tangentImpulse+c,-h,h);c=_-i.tangentImpulse;p=c*T;u=c*k;V.x-=G*p;V.y-=G*u;g-=L*(i.rA.x*u-i.rA.y*p);I.x+=J*p;I.y+=J*u;M+=F*(i.rB.x*u-i.rB.y*p);i.tangentImpulse=_}var j=parseInt(A.pointCount);if(A.pointCount==1){i=A.points[0];r=I.x+-M*i.rB.y-V.x- -g*i.rA.y;a=I.y+M*i.rB.x-V.y-g*i.rA.x;l=r*P+a*R;c=-i.normalMass*(l-i.velocityBias);_=i.normalImpulse+c;_=_>0?_:0;c=_-i.normalImpulse;p=c*P;u=c*R;V.x-=G*p;V.y-=G*u;g-=L*(i.rA.x*u-i.rA.y*p);I.x+=J*p;I.y+=J*u;M+=F*(i.rB.x*u-i.rB.y*p);i.normalImpulse=_}else{var O=A.points[0];var U=A.points[1];var q=O.normalImpulse;var K=U.normalImpulse;var W=I.x-M*O.rB.y-V.x+g*O.rA.y;var X=I.y+M*O.rB.x-V.y-g*O.rA.x;var Z=I.x-M*U.rB.y-V.x+g*U.rA.y;var H=I.y+M*U.rB.x-V.y-g*U.rA.x;var Y=W*P+X*R;var Q=Z*P+H*R;var $=Y-O.velocityBias;var tt=Q-U.velocityBias;D=A.K;$-=D.col1.x*q+D.col2.x*K;tt-=D.col1.y*q+D.col2.y*K;var it=.001;for(;;){D=A.normalMass;var ot=-(D.col1.x*$+D.col2.x*tt);var et=-(D.col1.y*$+D.col2.y*tt);if(ot>=0&&et>=0){y=ot-q;x=et-K;f=y*P;v=y*R;d=x*P;b=x*R;V.x-=G*(f+d);V.y-=G*(v+b);g-=L*(O.rA.x*v-O.rA.y*f+U.rA.x*b-U.rA.y*d);I.x+=J*(f+d);I.y+=J*(v+b);M+=F*(O.rB.x*v-O.rB.y*f+U.rB.x*b-U.rB.y*d);O.normalImpulse=ot;U.normalImpulse=et;break}ot=-O.normalMass*$;et=0;Y=0;Q=A.K.col1.y*ot+tt;if(ot>=0&&Q>=0){y=ot-q;x=et-K;f=y*P;v=y*R;d=x*P;b=x*R;V.x-=G*(f+d);V.y-=G*(v+b);g-=L*(O.rA.x*v-O.rA.y*f+U.rA.x*b-U.rA.y*d);I.x+=J*(f+d);I.y+=J*(v+b);M+=F*(O.rB.x*v-O.rB.y*f+U.rB.x*b-U.rB.y*d);O.normalImpulse=ot;U.normalImpulse=et;break}ot=0;et=-U.normalMass*tt;Y=A.K.col2.x*et+$;Q=0;if(et>=0&&Y>=0){y=ot-q;x=et-K;f=y*P;v=y*R;d=x*P;b=x*R;V.x-=G*(f+d);V.y-=G*(v+b);g-=L*(O.rA.x*v-O.rA.y*f+U.rA.x*b-U.rA.y*d);I.x+=J*(f+d);I.y+=J*(v+b);M+=F*(O.rB.x*v-O.rB.y*f+U.rB.x*b-U.rB.y*d);O.normalImpulse=ot;U.normalImpulse=et;break}ot=0;et=0;Y=$;Q=tt;if(Y>=0&&Q>=0){y=ot-q;x=et-K;f=y*P;v=y*R;d=x*P;b=x*R;V.x-=G*(f+d);V.y-=G*(v+b);g-=L*(O.rA.x*v-O.rA.y*f+U.rA.x*b-U.rA.y*d);I.x+=J*(f+d);I.y+=J*(v+b);M+=F*(O.rB.x*v-O.rB.y*f+U.rB.x*b-U.rB.y*d);O.normalImpulse=ot;U.normalImpulse=et;break}break}}S.m_angularVelocity=g;w.m_angularVelocity=M}};u.prototype.FinalizeVelocityConstraints=function(){for(var t=0;t<this.m_constraintCount;++t){var i=this.m_constraints[t];var o=i.manifold;for(var e=0;e<i.pointCount;++e){var n=o.m_points[e];var s=i.points[e];n.m_normalImpulse=s.normalImpulse;n.m_tangentImpulse=s.tangentImpulse}}};u.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;for(var o=0;o<this.m_constraintCount;o++){var e=this.m_constraints[o];var n=e.bodyA;var s=e.bodyB;var r=n.m_mass*n.m_invMass;var a=n.m_mass*n.m_invI;var l=s.m_mass*s.m_invMass;var m=s.m_mass*s.m_invI;u.s_psm.Initialize(e);var c=u.s_psm.m_normal;for(var h=0;h<e.pointCount;h++){var _=e.points[h];var p=u.s_psm.m_points[h];var y=u.s_psm.m_separations[h];var x=p.x-n.m_sweep.c.x;var f=p.y-n.m_sweep.c.y;var v=p.x-s.m_sweep.c.x;var d=p.y-s.m_sweep.c.y;i=i<y?i:y;var b=z.Clamp(t*(y+T.b2_linearSlop),-T.b2_maxLinearCorrection,0);var D=-_.equalizedMass*b;var B=D*c.x;var C=D*c.y;n.m_sweep.c.x-=r*B;n.m_sweep.c.y-=r*C;n.m_sweep.a-=a*(x*C-f*B);n.SynchronizeTransform();s.m_sweep.c.x+=l*B;s.m_sweep.c.y+=l*C;s.m_sweep.a+=m*(v*C-d*B);s.SynchronizeTransform()}}return i>-1.5*T.b2_linearSlop};Box2D.postDefs.push(function(){Box2D.Dynamics.Contacts.b2ContactSolver.s_worldManifold=new ft;Box2D.Dynamics.Contacts.b2ContactSolver.s_psm=new b});Box2D.inherit(y,Box2D.Dynamics.Contacts.b2Contact);y.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;y.b2EdgeAndCircleContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};y.Create=function(t){return new y};y.Destroy=function(t,i){};y.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i)};y.prototype.Evaluate=function(){var i=this.m_fixtureA.GetBody();var e=this.m_fixtureB.GetBody();this.b2CollideEdgeAndCircle(this.m_manifold,this.m_fixtureA.GetShape()instanceof o?this.m_fixtureA.GetShape():null,i.m_xf,this.m_fixtureB.GetShape()instanceof t?this.m_fixtureB.GetShape():null,e.m_xf)};y.prototype.b2CollideEdgeAndCircle=function(t,i,o,e,n){};Box2D.inherit(x,Box2D.Dynamics.Contacts.b2Contact);x.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;x.b2NullContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};x.prototype.b2NullContact=function(){this.__super.b2Contact.call(this)};x.prototype.Evaluate=function(){};Box2D.inherit(f,Box2D.Dynamics.Contacts.b2Contact);f.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;f.b2PolyAndCircleContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};f.Create=function(t){return new f};f.Destroy=function(t,i){};f.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i);T.b2Assert(t.GetType()==s.e_polygonShape);T.b2Assert(i.GetType()==s.e_circleShape)};f.prototype.Evaluate=function(){var i=this.m_fixtureA.m_body;var o=this.m_fixtureB.m_body;X.CollidePolygonAndCircle(this.m_manifold,this.m_fixtureA.GetShape()instanceof n?this.m_fixtureA.GetShape():null,i.m_xf,this.m_fixtureB.GetShape()instanceof t?this.m_fixtureB.GetShape():null,o.m_xf)};Box2D.inherit(v,Box2D.Dynamics.Contacts.b2Contact);v.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;v.b2PolyAndEdgeContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};v.Create=function(t){return new v};v.Destroy=function(t,i){};v.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i);T.b2Assert(t.GetType()==s.e_polygonShape);T.b2Assert(i.GetType()==s.e_edgeShape)};v.prototype.Evaluate=function(){var t=this.m_fixtureA.GetBody();var i=this.m_fixtureB.GetBody();this.b2CollidePolyAndEdge(this.m_manifold,this.m_fixtureA.GetShape()instanceof n?this.m_fixtureA.GetShape():null,t.m_xf,this.m_fixtureB.GetShape()instanceof o?this.m_fixtureB.GetShape():null,i.m_xf)};v.prototype.b2CollidePolyAndEdge=function(t,i,o,e,n){};Box2D.inherit(d,Box2D.Dynamics.Contacts.b2Contact);d.prototype.__super=Box2D.Dynamics.Contacts.b2Contact.prototype;d.b2PolygonContact=function(){Box2D.Dynamics.Contacts.b2Contact.b2Contact.apply(this,arguments)};d.Create=function(t){return new d};d.Destroy=function(t,i){};d.prototype.Reset=function(t,i){this.__super.Reset.call(this,t,i)};d.prototype.Evaluate=function(){var t=this.m_fixtureA.GetBody();var i=this.m_fixtureB.GetBody();X.CollidePolygons(this.m_manifold,this.m_fixtureA.GetShape()instanceof n?this.m_fixtureA.GetShape():null,t.m_xf,this.m_fixtureB.GetShape()instanceof n?this.m_fixtureB.GetShape():null,i.m_xf)};b.b2PositionSolverManifold=function(){};b.prototype.b2PositionSolverManifold=function(){this.m_normal=new O;this.m_separations=new Box2D.Vector_a2j_Number(T.b2_maxManifoldPoints);this.m_points=new Box2D.Vector(T.b2_maxManifoldPoints);for(var t=0;t<T.b2_maxManifoldPoints;t++){this.m_points[t]=new O}};b.prototype.Initialize=function(t){T.b2Assert(t.pointCount>0);var i=0;var o=0;var e=0;var n;var s;var r=0;var a=0;switch(t.type){case st.e_circles:{n=t.bodyA.m_xf.R;s=t.localPoint;var l=t.bodyA.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);var m=t.bodyA.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);n=t.bodyB.m_xf.R;s=t.points[0].localPoint;var c=t.bodyB.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);var h=t.bodyB.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);var _=c-l;var p=h-m;var u=_*_+p*p;if(u>Number.MIN_VALUE*Number.MIN_VALUE){var y=Math.sqrt(u);this.m_normal.x=_/y;this.m_normal.y=p/y}else{this.m_normal.x=1;this.m_normal.y=0}this.m_points[0].x=.5*(l+c);this.m_points[0].y=.5*(m+h);this.m_separations[0]=_*this.m_normal.x+p*this.m_normal.y-t.radius}break;case st.e_faceA:{n=t.bodyA.m_xf.R;s=t.localPlaneNormal;this.m_normal.x=n.col1.x*s.x+n.col2.x*s.y;this.m_normal.y=n.col1.y*s.x+n.col2.y*s.y;n=t.bodyA.m_xf.R;s=t.localPoint;r=t.bodyA.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);a=t.bodyA.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);n=t.bodyB.m_xf.R;for(i=0;i<t.pointCount;++i){s=t.points[i].localPoint;o=t.bodyB.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);e=t.bodyB.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);this.m_separations[i]=(o-r)*this.m_normal.x+(e-a)*this.m_normal.y-t.radius;this.m_points[i].x=o;this.m_points[i].y=e}}break;case st.e_faceB:{n=t.bodyB.m_xf.R;s=t.localPlaneNormal;this.m_normal.x=n.col1.x*s.x+n.col2.x*s.y;this.m_normal.y=n.col1.y*s.x+n.col2.y*s.y;n=t.bodyB.m_xf.R;s=t.localPoint;r=t.bodyB.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);a=t.bodyB.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);n=t.bodyA.m_xf.R;for(i=0;i<t.pointCount;++i){s=t.points[i].localPoint;o=t.bodyA.m_xf.position.x+(n.col1.x*s.x+n.col2.x*s.y);e=t.bodyA.m_xf.position.y+(n.col1.y*s.x+n.col2.y*s.y);this.m_separations[i]=(o-r)*this.m_normal.x+(e-a)*this.m_normal.y-t.radius;this.m_points[i].Set(o,e)}this.m_normal.x*=-1;this.m_normal.y*=-1}break}};Box2D.postDefs.push(function(){Box2D.Dynamics.Contacts.b2PositionSolverManifold.circlePointA=new O;Box2D.Dynamics.Contacts.b2PositionSolverManifold.circlePointB=new O})})();(function(){var t=Box2D.Dynamics.b2Body,i=Box2D.Dynamics.b2BodyDef,o=Box2D.Dynamics.b2ContactFilter,e=Box2D.Dynamics.b2ContactImpulse,n=Box2D.Dynamics.b2ContactListener,s=Box2D.Dynamics.b2ContactManager,r=Box2D.Dynamics.b2DebugDraw,a=Box2D.Dynamics.b2DestructionListener,l=Box2D.Dynamics.b2FilterData,m=Box2D.Dynamics.b2Fixture,c=Box2D.Dynamics.b2FixtureDef,h=Box2D.Dynamics.b2Island,_=Box2D.Dynamics.b2TimeStep,p=Box2D.Dynamics.b2World,u=Box2D.Common.Math.b2Mat22,y=Box2D.Common.Math.b2Mat33,x=Box2D.Common.Math.b2Math,f=Box2D.Common.Math.b2Sweep,v=Box2D.Common.Math.b2Transform,d=Box2D.Common.Math.b2Vec2,b=Box2D.Common.Math.b2Vec3,D=Box2D.Common.b2Color,B=Box2D.Common.b2internal,C=Box2D.Common.b2Settings,A=Box2D.Collision.Shapes.b2CircleShape,S=Box2D.Collision.Shapes.b2EdgeChainDef,w=Box2D.Collision.Shapes.b2EdgeShape,g=Box2D.Collision.Shapes.b2MassData,M=Box2D.Collision.Shapes.b2PolygonShape,V=Box2D.Collision.Shapes.b2Shape,I=Box2D.Dynamics.Controllers.b2BuoyancyController,G=Box2D.Dynamics.Controllers.b2ConstantAccelController,L=Box2D.Dynamics.Controllers.b2ConstantForceController,J=Box2D.Dynamics.Controllers.b2Controller,F=Box2D.Dynamics.Controllers.b2ControllerEdge,P=Box2D.Dynamics.Controllers.b2GravityController,R=Box2D.Dynamics.Controllers.b2TensorDampingController;Box2D.inherit(I,Box2D.Dynamics.Controllers.b2Controller);I.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;I.b2BuoyancyController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.normal=new d(0,-1);this.offset=0;this.density=0;this.velocity=new d(0,0);this.linearDrag=2;this.angularDrag=1;this.useDensity=false;this.useWorldGravity=true;this.gravity=null};I.prototype.Step=function(t){if(!this.m_bodyList)return;if(this.useWorldGravity){this.gravity=this.GetWorld().GetGravity().Copy()}for(var i=this.m_bodyList;i;i=i.nextBody){var o=i.body;if(o.IsAwake()==false){continue}var e=new d;var n=new d;var s=0;var r=0;for(var a=o.GetFixtureList();a;a=a.GetNext()){var l=new d;var m=a.GetShape().ComputeSubmergedArea(this.normal,this.offset,o.GetTransform(),l);s+=m;e.x+=m*l.x;e.y+=m*l.y;var c=0;if(this.useDensity){c=1}else{c=1}r+=m*c;n.x+=m*l.x*c;n.y+=m*l.y*c}e.x/=s;e.y/=s;n.x/=r;n.y/=r;if(s<Number.MIN_VALUE)continue;var h=this.gravity.GetNegative();h.Multiply(this.density*s);o.ApplyForce(h,n);var _=o.GetLinearVelocityFromWorldPoint(e);_.Subtract(this.velocity);_.Multiply(-this.linearDrag*s);o.ApplyForce(_,e);o.ApplyTorque(-o.GetInertia()/o.GetMass()*s*o.GetAngularVelocity()*this.angularDrag)}};I.prototype.Draw=function(t){var i=1e3;var o=new d;var e=new d;o.x=this.normal.x*this.offset+this.normal.y*i;o.y=this.normal.y*this.offset-this.normal.x*i;e.x=this.normal.x*this.offset-this.normal.y*i;e.y=this.normal.y*this.offset+this.normal.x*i;var n=new D(0,0,1);t.DrawSegment(o,e,n)};Box2D.inherit(G,Box2D.Dynamics.Controllers.b2Controller);G.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;G.b2ConstantAccelController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.A=new d(0,0)};G.prototype.Step=function(t){var i=new d(this.A.x*t.dt,this.A.y*t.dt);for(var o=this.m_bodyList;o;o=o.nextBody){var e=o.body;if(!e.IsAwake())continue;e.SetLinearVelocity(new d(e.GetLinearVelocity().x+i.x,e.GetLinearVelocity().y+i.y))}}
+;Box2D.inherit(L,Box2D.Dynamics.Controllers.b2Controller);L.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;L.b2ConstantForceController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.F=new d(0,0)};L.prototype.Step=function(t){for(var i=this.m_bodyList;i;i=i.nextBody){var o=i.body;if(!o.IsAwake())continue;o.ApplyForce(this.F,o.GetWorldCenter())}};J.b2Controller=function(){};J.prototype.Step=function(t){};J.prototype.Draw=function(t){};J.prototype.AddBody=function(t){var i=new F;i.controller=this;i.body=t;i.nextBody=this.m_bodyList;i.prevBody=null;this.m_bodyList=i;if(i.nextBody)i.nextBody.prevBody=i;this.m_bodyCount++;i.nextController=t.m_controllerList;i.prevController=null;t.m_controllerList=i;if(i.nextController)i.nextController.prevController=i;t.m_controllerCount++};J.prototype.RemoveBody=function(t){var i=t.m_controllerList;while(i&&i.controller!=this)i=i.nextController;if(i.prevBody)i.prevBody.nextBody=i.nextBody;if(i.nextBody)i.nextBody.prevBody=i.prevBody;if(i.nextController)i.nextController.prevController=i.prevController;if(i.prevController)i.prevController.nextController=i.nextController;if(this.m_bodyList==i)this.m_bodyList=i.nextBody;if(t.m_controllerList==i)t.m_controllerList=i.nextController;t.m_controllerCount--;this.m_bodyCount--};J.prototype.Clear=function(){while(this.m_bodyList)this.RemoveBody(this.m_bodyList.body)};J.prototype.GetNext=function(){return this.m_next};J.prototype.GetWorld=function(){return this.m_world};J.prototype.GetBodyList=function(){return this.m_bodyList};F.b2ControllerEdge=function(){};Box2D.inherit(P,Box2D.Dynamics.Controllers.b2Controller);P.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;P.b2GravityController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.G=1;this.invSqr=true};P.prototype.Step=function(t){var i=null;var o=null;var e=null;var n=0;var s=null;var r=null;var a=null;var l=0;var m=0;var c=0;var h=null;if(this.invSqr){for(i=this.m_bodyList;i;i=i.nextBody){o=i.body;e=o.GetWorldCenter();n=o.GetMass();for(s=this.m_bodyList;s!=i;s=s.nextBody){r=s.body;a=r.GetWorldCenter();l=a.x-e.x;m=a.y-e.y;c=l*l+m*m;if(c<Number.MIN_VALUE)continue;h=new d(l,m);h.Multiply(this.G/c/Math.sqrt(c)*n*r.GetMass());if(o.IsAwake())o.ApplyForce(h,e);h.Multiply(-1);if(r.IsAwake())r.ApplyForce(h,a)}}}else{for(i=this.m_bodyList;i;i=i.nextBody){o=i.body;e=o.GetWorldCenter();n=o.GetMass();for(s=this.m_bodyList;s!=i;s=s.nextBody){r=s.body;a=r.GetWorldCenter();l=a.x-e.x;m=a.y-e.y;c=l*l+m*m;if(c<Number.MIN_VALUE)continue;h=new d(l,m);h.Multiply(this.G/c*n*r.GetMass());if(o.IsAwake())o.ApplyForce(h,e);h.Multiply(-1);if(r.IsAwake())r.ApplyForce(h,a)}}}};Box2D.inherit(R,Box2D.Dynamics.Controllers.b2Controller);R.prototype.__super=Box2D.Dynamics.Controllers.b2Controller.prototype;R.b2TensorDampingController=function(){Box2D.Dynamics.Controllers.b2Controller.b2Controller.apply(this,arguments);this.T=new u;this.maxTimestep=0};R.prototype.SetAxisAligned=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.T.col1.x=-t;this.T.col1.y=0;this.T.col2.x=0;this.T.col2.y=-i;if(t>0||i>0){this.maxTimestep=1/Math.max(t,i)}else{this.maxTimestep=0}};R.prototype.Step=function(t){var i=t.dt;if(i<=Number.MIN_VALUE)return;if(i>this.maxTimestep&&this.maxTimestep>0)i=this.maxTimestep;for(var o=this.m_bodyList;o;o=o.nextBody){var e=o.body;if(!e.IsAwake()){continue}var n=e.GetWorldVector(x.MulMV(this.T,e.GetLocalVector(e.GetLinearVelocity())));e.SetLinearVelocity(new d(e.GetLinearVelocity().x+n.x*i,e.GetLinearVelocity().y+n.y*i))}}})();(function(){var t=Box2D.Common.b2Color,i=Box2D.Common.b2internal,o=Box2D.Common.b2Settings,e=Box2D.Common.Math.b2Mat22,n=Box2D.Common.Math.b2Mat33,s=Box2D.Common.Math.b2Math,r=Box2D.Common.Math.b2Sweep,a=Box2D.Common.Math.b2Transform,l=Box2D.Common.Math.b2Vec2,m=Box2D.Common.Math.b2Vec3,c=Box2D.Dynamics.Joints.b2DistanceJoint,h=Box2D.Dynamics.Joints.b2DistanceJointDef,_=Box2D.Dynamics.Joints.b2FrictionJoint,p=Box2D.Dynamics.Joints.b2FrictionJointDef,u=Box2D.Dynamics.Joints.b2GearJoint,y=Box2D.Dynamics.Joints.b2GearJointDef,x=Box2D.Dynamics.Joints.b2Jacobian,f=Box2D.Dynamics.Joints.b2Joint,v=Box2D.Dynamics.Joints.b2JointDef,d=Box2D.Dynamics.Joints.b2JointEdge,b=Box2D.Dynamics.Joints.b2LineJoint,D=Box2D.Dynamics.Joints.b2LineJointDef,B=Box2D.Dynamics.Joints.b2MouseJoint,C=Box2D.Dynamics.Joints.b2MouseJointDef,A=Box2D.Dynamics.Joints.b2PrismaticJoint,S=Box2D.Dynamics.Joints.b2PrismaticJointDef,w=Box2D.Dynamics.Joints.b2PulleyJoint,g=Box2D.Dynamics.Joints.b2PulleyJointDef,M=Box2D.Dynamics.Joints.b2RevoluteJoint,V=Box2D.Dynamics.Joints.b2RevoluteJointDef,I=Box2D.Dynamics.Joints.b2WeldJoint,G=Box2D.Dynamics.Joints.b2WeldJointDef,L=Box2D.Dynamics.b2Body,J=Box2D.Dynamics.b2BodyDef,F=Box2D.Dynamics.b2ContactFilter,P=Box2D.Dynamics.b2ContactImpulse,R=Box2D.Dynamics.b2ContactListener,T=Box2D.Dynamics.b2ContactManager,k=Box2D.Dynamics.b2DebugDraw,N=Box2D.Dynamics.b2DestructionListener,z=Box2D.Dynamics.b2FilterData,E=Box2D.Dynamics.b2Fixture,j=Box2D.Dynamics.b2FixtureDef,O=Box2D.Dynamics.b2Island,U=Box2D.Dynamics.b2TimeStep,q=Box2D.Dynamics.b2World;Box2D.inherit(c,Box2D.Dynamics.Joints.b2Joint);c.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;c.b2DistanceJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_u=new l};c.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};c.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};c.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse*this.m_u.x,t*this.m_impulse*this.m_u.y)};c.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return 0};c.prototype.GetLength=function(){return this.m_length};c.prototype.SetLength=function(t){if(t===undefined)t=0;this.m_length=t};c.prototype.GetFrequency=function(){return this.m_frequencyHz};c.prototype.SetFrequency=function(t){if(t===undefined)t=0;this.m_frequencyHz=t};c.prototype.GetDampingRatio=function(){return this.m_dampingRatio};c.prototype.SetDampingRatio=function(t){if(t===undefined)t=0;this.m_dampingRatio=t};c.prototype.b2DistanceJoint=function(t){this.__super.b2Joint.call(this,t);var i;var o=0;var e=0;this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_length=t.length;this.m_frequencyHz=t.frequencyHz;this.m_dampingRatio=t.dampingRatio;this.m_impulse=0;this.m_gamma=0;this.m_bias=0};c.prototype.InitVelocityConstraints=function(t){var i;var e=0;var n=this.m_bodyA;var s=this.m_bodyB;i=n.m_xf.R;var r=this.m_localAnchor1.x-n.m_sweep.localCenter.x;var a=this.m_localAnchor1.y-n.m_sweep.localCenter.y;e=i.col1.x*r+i.col2.x*a;a=i.col1.y*r+i.col2.y*a;r=e;i=s.m_xf.R;var l=this.m_localAnchor2.x-s.m_sweep.localCenter.x;var m=this.m_localAnchor2.y-s.m_sweep.localCenter.y;e=i.col1.x*l+i.col2.x*m;m=i.col1.y*l+i.col2.y*m;l=e;this.m_u.x=s.m_sweep.c.x+l-n.m_sweep.c.x-r;this.m_u.y=s.m_sweep.c.y+m-n.m_sweep.c.y-a;var c=Math.sqrt(this.m_u.x*this.m_u.x+this.m_u.y*this.m_u.y);if(c>o.b2_linearSlop){this.m_u.Multiply(1/c)}else{this.m_u.SetZero()}var h=r*this.m_u.y-a*this.m_u.x;var _=l*this.m_u.y-m*this.m_u.x;var p=n.m_invMass+n.m_invI*h*h+s.m_invMass+s.m_invI*_*_;this.m_mass=p!=0?1/p:0;if(this.m_frequencyHz>0){var u=c-this.m_length;var y=2*Math.PI*this.m_frequencyHz;var x=2*this.m_mass*this.m_dampingRatio*y;var f=this.m_mass*y*y;this.m_gamma=t.dt*(x+t.dt*f);this.m_gamma=this.m_gamma!=0?1/this.m_gamma:0;this.m_bias=u*t.dt*f*this.m_gamma;this.m_mass=p+this.m_gamma;this.m_mass=this.m_mass!=0?1/this.m_mass:0}if(t.warmStarting){this.m_impulse*=t.dtRatio;var v=this.m_impulse*this.m_u.x;var d=this.m_impulse*this.m_u.y;n.m_linearVelocity.x-=n.m_invMass*v;n.m_linearVelocity.y-=n.m_invMass*d;n.m_angularVelocity-=n.m_invI*(r*d-a*v);s.m_linearVelocity.x+=s.m_invMass*v;s.m_linearVelocity.y+=s.m_invMass*d;s.m_angularVelocity+=s.m_invI*(l*d-m*v)}else{this.m_impulse=0}};c.prototype.SolveVelocityConstraints=function(t){var i;var o=this.m_bodyA;var e=this.m_bodyB;i=o.m_xf.R;var n=this.m_localAnchor1.x-o.m_sweep.localCenter.x;var s=this.m_localAnchor1.y-o.m_sweep.localCenter.y;var r=i.col1.x*n+i.col2.x*s;s=i.col1.y*n+i.col2.y*s;n=r;i=e.m_xf.R;var a=this.m_localAnchor2.x-e.m_sweep.localCenter.x;var l=this.m_localAnchor2.y-e.m_sweep.localCenter.y;r=i.col1.x*a+i.col2.x*l;l=i.col1.y*a+i.col2.y*l;a=r;var m=o.m_linearVelocity.x+-o.m_angularVelocity*s;var c=o.m_linearVelocity.y+o.m_angularVelocity*n;var h=e.m_linearVelocity.x+-e.m_angularVelocity*l;var _=e.m_linearVelocity.y+e.m_angularVelocity*a;var p=this.m_u.x*(h-m)+this.m_u.y*(_-c);var u=-this.m_mass*(p+this.m_bias+this.m_gamma*this.m_impulse);this.m_impulse+=u;var y=u*this.m_u.x;var x=u*this.m_u.y;o.m_linearVelocity.x-=o.m_invMass*y;o.m_linearVelocity.y-=o.m_invMass*x;o.m_angularVelocity-=o.m_invI*(n*x-s*y);e.m_linearVelocity.x+=e.m_invMass*y;e.m_linearVelocity.y+=e.m_invMass*x;e.m_angularVelocity+=e.m_invI*(a*x-l*y)};c.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i;if(this.m_frequencyHz>0){return true}var e=this.m_bodyA;var n=this.m_bodyB;i=e.m_xf.R;var r=this.m_localAnchor1.x-e.m_sweep.localCenter.x;var a=this.m_localAnchor1.y-e.m_sweep.localCenter.y;var l=i.col1.x*r+i.col2.x*a;a=i.col1.y*r+i.col2.y*a;r=l;i=n.m_xf.R;var m=this.m_localAnchor2.x-n.m_sweep.localCenter.x;var c=this.m_localAnchor2.y-n.m_sweep.localCenter.y;l=i.col1.x*m+i.col2.x*c;c=i.col1.y*m+i.col2.y*c;m=l;var h=n.m_sweep.c.x+m-e.m_sweep.c.x-r;var _=n.m_sweep.c.y+c-e.m_sweep.c.y-a;var p=Math.sqrt(h*h+_*_);h/=p;_/=p;var u=p-this.m_length;u=s.Clamp(u,-o.b2_maxLinearCorrection,o.b2_maxLinearCorrection);var y=-this.m_mass*u;this.m_u.Set(h,_);var x=y*this.m_u.x;var f=y*this.m_u.y;e.m_sweep.c.x-=e.m_invMass*x;e.m_sweep.c.y-=e.m_invMass*f;e.m_sweep.a-=e.m_invI*(r*f-a*x);n.m_sweep.c.x+=n.m_invMass*x;n.m_sweep.c.y+=n.m_invMass*f;n.m_sweep.a+=n.m_invI*(m*f-c*x);e.SynchronizeTransform();n.SynchronizeTransform();return s.Abs(u)<o.b2_linearSlop};Box2D.inherit(h,Box2D.Dynamics.Joints.b2JointDef);h.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;h.b2DistanceJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l};h.prototype.b2DistanceJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_distanceJoint;this.length=1;this.frequencyHz=0;this.dampingRatio=0};h.prototype.Initialize=function(t,i,o,e){this.bodyA=t;this.bodyB=i;this.localAnchorA.SetV(this.bodyA.GetLocalPoint(o));this.localAnchorB.SetV(this.bodyB.GetLocalPoint(e));var n=e.x-o.x;var s=e.y-o.y;this.length=Math.sqrt(n*n+s*s);this.frequencyHz=0;this.dampingRatio=0};Box2D.inherit(_,Box2D.Dynamics.Joints.b2Joint);_.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;_.b2FrictionJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchorA=new l;this.m_localAnchorB=new l;this.m_linearMass=new e;this.m_linearImpulse=new l};_.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchorA)};_.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchorB)};_.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_linearImpulse.x,t*this.m_linearImpulse.y)};_.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_angularImpulse};_.prototype.SetMaxForce=function(t){if(t===undefined)t=0;this.m_maxForce=t};_.prototype.GetMaxForce=function(){return this.m_maxForce};_.prototype.SetMaxTorque=function(t){if(t===undefined)t=0;this.m_maxTorque=t};_.prototype.GetMaxTorque=function(){return this.m_maxTorque};_.prototype.b2FrictionJoint=function(t){this.__super.b2Joint.call(this,t);this.m_localAnchorA.SetV(t.localAnchorA);this.m_localAnchorB.SetV(t.localAnchorB);this.m_linearMass.SetZero();this.m_angularMass=0;this.m_linearImpulse.SetZero();this.m_angularImpulse=0;this.m_maxForce=t.maxForce;this.m_maxTorque=t.maxTorque};_.prototype.InitVelocityConstraints=function(t){var i;var o=0;var n=this.m_bodyA;var s=this.m_bodyB;i=n.m_xf.R;var r=this.m_localAnchorA.x-n.m_sweep.localCenter.x;var a=this.m_localAnchorA.y-n.m_sweep.localCenter.y;o=i.col1.x*r+i.col2.x*a;a=i.col1.y*r+i.col2.y*a;r=o;i=s.m_xf.R;var l=this.m_localAnchorB.x-s.m_sweep.localCenter.x;var m=this.m_localAnchorB.y-s.m_sweep.localCenter.y;o=i.col1.x*l+i.col2.x*m;m=i.col1.y*l+i.col2.y*m;l=o;var c=n.m_invMass;var h=s.m_invMass;var _=n.m_invI;var p=s.m_invI;var u=new e;u.col1.x=c+h;u.col2.x=0;u.col1.y=0;u.col2.y=c+h;u.col1.x+=_*a*a;u.col2.x+=-_*r*a;u.col1.y+=-_*r*a;u.col2.y+=_*r*r;u.col1.x+=p*m*m;u.col2.x+=-p*l*m;u.col1.y+=-p*l*m;u.col2.y+=p*l*l;u.GetInverse(this.m_linearMass);this.m_angularMass=_+p;if(this.m_angularMass>0){this.m_angularMass=1/this.m_angularMass}if(t.warmStarting){this.m_linearImpulse.x*=t.dtRatio;this.m_linearImpulse.y*=t.dtRatio;this.m_angularImpulse*=t.dtRatio;var y=this.m_linearImpulse;n.m_linearVelocity.x-=c*y.x;n.m_linearVelocity.y-=c*y.y;n.m_angularVelocity-=_*(r*y.y-a*y.x+this.m_angularImpulse);s.m_linearVelocity.x+=h*y.x;s.m_linearVelocity.y+=h*y.y;s.m_angularVelocity+=p*(l*y.y-m*y.x+this.m_angularImpulse)}else{this.m_linearImpulse.SetZero();this.m_angularImpulse=0}};_.prototype.SolveVelocityConstraints=function(t){var i;var o=0;var e=this.m_bodyA;var n=this.m_bodyB;var r=e.m_linearVelocity;var a=e.m_angularVelocity;var m=n.m_linearVelocity;var c=n.m_angularVelocity;var h=e.m_invMass;var _=n.m_invMass;var p=e.m_invI;var u=n.m_invI;i=e.m_xf.R;var y=this.m_localAnchorA.x-e.m_sweep.localCenter.x;var x=this.m_localAnchorA.y-e.m_sweep.localCenter.y;o=i.col1.x*y+i.col2.x*x;x=i.col1.y*y+i.col2.y*x;y=o;i=n.m_xf.R;var f=this.m_localAnchorB.x-n.m_sweep.localCenter.x;var v=this.m_localAnchorB.y-n.m_sweep.localCenter.y;o=i.col1.x*f+i.col2.x*v;v=i.col1.y*f+i.col2.y*v;f=o;var d=0;{var b=c-a;var D=-this.m_angularMass*b;var B=this.m_angularImpulse;d=t.dt*this.m_maxTorque;this.m_angularImpulse=s.Clamp(this.m_angularImpulse+D,-d,d);D=this.m_angularImpulse-B;a-=p*D;c+=u*D}{var C=m.x-c*v-r.x+a*x;var A=m.y+c*f-r.y-a*y;var S=s.MulMV(this.m_linearMass,new l(-C,-A));var w=this.m_linearImpulse.Copy();this.m_linearImpulse.Add(S);d=t.dt*this.m_maxForce;if(this.m_linearImpulse.LengthSquared()>d*d){this.m_linearImpulse.Normalize();this.m_linearImpulse.Multiply(d)}S=s.SubtractVV(this.m_linearImpulse,w);r.x-=h*S.x;r.y-=h*S.y;a-=p*(y*S.y-x*S.x);m.x+=_*S.x;m.y+=_*S.y;c+=u*(f*S.y-v*S.x)}e.m_angularVelocity=a;n.m_angularVelocity=c};_.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;return true};Box2D.inherit(p,Box2D.Dynamics.Joints.b2JointDef);p.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;p.b2FrictionJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l};p.prototype.b2FrictionJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_frictionJoint;this.maxForce=0;this.maxTorque=0};p.prototype.Initialize=function(t,i,o){this.bodyA=t;this.bodyB=i;this.localAnchorA.SetV(this.bodyA.GetLocalPoint(o));this.localAnchorB.SetV(this.bodyB.GetLocalPoint(o))};Box2D.inherit(u,Box2D.Dynamics.Joints.b2Joint);u.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;u.b2GearJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_groundAnchor1=new l;this.m_groundAnchor2=new l;this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_J=new x};u.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};u.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};u.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse*this.m_J.linearB.x,t*this.m_impulse*this.m_J.linearB.y)};u.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;var i=this.m_bodyB.m_xf.R;var o=this.m_localAnchor1.x-this.m_bodyB.m_sweep.localCenter.x;var e=this.m_localAnchor1.y-this.m_bodyB.m_sweep.localCenter.y;var n=i.col1.x*o+i.col2.x*e;e=i.col1.y*o+i.col2.y*e;o=n;var s=this.m_impulse*this.m_J.linearB.x;var r=this.m_impulse*this.m_J.linearB.y;return t*(this.m_impulse*this.m_J.angularB-o*r+e*s)};u.prototype.GetRatio=function(){return this.m_ratio};u.prototype.SetRatio=function(t){if(t===undefined)t=0;this.m_ratio=t};u.prototype.b2GearJoint=function(t){this.__super.b2Joint.call(this,t);var i=parseInt(t.joint1.m_type);var o=parseInt(t.joint2.m_type);this.m_revolute1=null;this.m_prismatic1=null;this.m_revolute2=null;this.m_prismatic2=null;var e=0;var n=0;this.m_ground1=t.joint1.GetBodyA();this.m_bodyA=t.joint1.GetBodyB();if(i==f.e_revoluteJoint){this.m_revolute1=t.joint1 instanceof M?t.joint1:null;this.m_groundAnchor1.SetV(this.m_revolute1.m_localAnchor1);this.m_localAnchor1.SetV(this.m_revolute1.m_localAnchor2);e=this.m_revolute1.GetJointAngle()}else{this.m_prismatic1=t.joint1 instanceof A?t.joint1:null;this.m_groundAnchor1.SetV(this.m_prismatic1.m_localAnchor1);this.m_localAnchor1.SetV(this.m_prismatic1.m_localAnchor2);e=this.m_prismatic1.GetJointTranslation()}this.m_ground2=t.joint2.GetBodyA();this.m_bodyB=t.joint2.GetBodyB();if(o==f.e_revoluteJoint){this.m_revolute2=t.joint2 instanceof M?t.joint2:null;this.m_groundAnchor2.SetV(this.m_revolute2.m_localAnchor1);this.m_localAnchor2.SetV(this.m_revolute2.m_localAnchor2);n=this.m_revolute2.GetJointAngle()}else{this.m_prismatic2=t.joint2 instanceof A?t.joint2:null;this.m_groundAnchor2.SetV(this.m_prismatic2.m_localAnchor1);this.m_localAnchor2.SetV(this.m_prismatic2.m_localAnchor2);n=this.m_prismatic2.GetJointTranslation()}this.m_ratio=t.ratio;this.m_constant=e+this.m_ratio*n;this.m_impulse=0};u.prototype.InitVelocityConstraints=function(t){var i=this.m_ground1;var o=this.m_ground2;var e=this.m_bodyA;var n=this.m_bodyB;var s=0;var r=0;var a=0;var l=0;var m;var c;var h=0;var _=0;var p=0;this.m_J.SetZero();if(this.m_revolute1){this.m_J.angularA=-1;p+=e.m_invI}else{m=i.m_xf.R;c=this.m_prismatic1.m_localXAxis1;s=m.col1.x*c.x+m.col2.x*c.y;r=m.col1.y*c.x+m.col2.y*c.y;m=e.m_xf.R;a=this.m_localAnchor1.x-e.m_sweep.localCenter.x;l=this.m_localAnchor1.y-e.m_sweep.localCenter.y;_=m.col1.x*a+m.col2.x*l;l=m.col1.y*a+m.col2.y*l;a=_;h=a*r-l*s;this.m_J.linearA.Set(-s,-r);this.m_J.angularA=-h;p+=e.m_invMass+e.m_invI*h*h}if(this.m_revolute2){this.m_J.angularB=-this.m_ratio;p+=this.m_ratio*this.m_ratio*n.m_invI}else{m=o.m_xf.R;c=this.m_prismatic2.m_localXAxis1;s=m.col1.x*c.x+m.col2.x*c.y;r=m.col1.y*c.x+m.col2.y*c.y;m=n.m_xf.R;a=this.m_localAnchor2.x-n.m_sweep.localCenter.x;l=this.m_localAnchor2.y-n.m_sweep.localCenter.y;_=m.col1.x*a+m.col2.x*l;l=m.col1.y*a+m.col2.y*l;a=_;h=a*r-l*s;this.m_J.linearB.Set(-this.m_ratio*s,-this.m_ratio*r);this.m_J.angularB=-this.m_ratio*h;p+=this.m_ratio*this.m_ratio*(n.m_invMass+n.m_invI*h*h)}this.m_mass=p>0?1/p:0;if(t.warmStarting){e.m_linearVelocity.x+=e.m_invMass*this.m_impulse*this.m_J.linearA.x;e.m_linearVelocity.y+=e.m_invMass*this.m_impulse*this.m_J.linearA.y;e.m_angularVelocity+=e.m_invI*this.m_impulse*this.m_J.angularA;n.m_linearVelocity.x+=n.m_invMass*this.m_impulse*this.m_J.linearB.x;n.m_linearVelocity.y+=n.m_invMass*this.m_impulse*this.m_J.linearB.y;n.m_angularVelocity+=n.m_invI*this.m_impulse*this.m_J.angularB}else{this.m_impulse=0}};u.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e=this.m_J.Compute(i.m_linearVelocity,i.m_angularVelocity,o.m_linearVelocity,o.m_angularVelocity);var n=-this.m_mass*e;this.m_impulse+=n;i.m_linearVelocity.x+=i.m_invMass*n*this.m_J.linearA.x;i.m_linearVelocity.y+=i.m_invMass*n*this.m_J.linearA.y;i.m_angularVelocity+=i.m_invI*n*this.m_J.angularA;o.m_linearVelocity.x+=o.m_invMass*n*this.m_J.linearB.x;o.m_linearVelocity.y+=o.m_invMass*n*this.m_J.linearB.y;o.m_angularVelocity+=o.m_invI*n*this.m_J.angularB};u.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;var e=this.m_bodyA;var n=this.m_bodyB;var s=0;var r=0;if(this.m_revolute1){s=this.m_revolute1.GetJointAngle()}else{s=this.m_prismatic1.GetJointTranslation()}if(this.m_revolute2){r=this.m_revolute2.GetJointAngle()}else{r=this.m_prismatic2.GetJointTranslation()}var a=this.m_constant-(s+this.m_ratio*r);var l=-this.m_mass*a;e.m_sweep.c.x+=e.m_invMass*l*this.m_J.linearA.x;e.m_sweep.c.y+=e.m_invMass*l*this.m_J.linearA.y;e.m_sweep.a+=e.m_invI*l*this.m_J.angularA;n.m_sweep.c.x+=n.m_invMass*l*this.m_J.linearB.x;n.m_sweep.c.y+=n.m_invMass*l*this.m_J.linearB.y;n.m_sweep.a+=n.m_invI*l*this.m_J.angularB;e.SynchronizeTransform();n.SynchronizeTransform();return i<o.b2_linearSlop};Box2D.inherit(y,Box2D.Dynamics.Joints.b2JointDef);y.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;y.b2GearJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments)};y.prototype.b2GearJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_gearJoint;this.joint1=null;this.joint2=null;this.ratio=1};x.b2Jacobian=function(){this.linearA=new l;this.linearB=new l};x.prototype.SetZero=function(){this.linearA.SetZero();this.angularA=0;this.linearB.SetZero();this.angularB=0};x.prototype.Set=function(t,i,o,e){if(i===undefined)i=0;if(e===undefined)e=0;this.linearA.SetV(t);this.angularA=i;this.linearB.SetV(o);this.angularB=e};x.prototype.Compute=function(t,i,o,e){if(i===undefined)i=0;if(e===undefined)e=0;return this.linearA.x*t.x+this.linearA.y*t.y+this.angularA*i+(this.linearB.x*o.x+this.linearB.y*o.y)+this.angularB*e};f.b2Joint=function(){this.m_edgeA=new d;this.m_edgeB=new d;this.m_localCenterA=new l;this.m_localCenterB=new l};f.prototype.GetType=function(){return this.m_type};f.prototype.GetAnchorA=function(){return null};f.prototype.GetAnchorB=function(){return null};f.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return null};f.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return 0};f.prototype.GetBodyA=function(){return this.m_bodyA};f.prototype.GetBodyB=function(){return this.m_bodyB};f.prototype.GetNext=function(){return this.m_next};f.prototype.GetUserData=function(){return this.m_userData};f.prototype.SetUserData=function(t){this.m_userData=t};f.prototype.IsActive=function(){return this.m_bodyA.IsActive()&&this.m_bodyB.IsActive()};f.Create=function(t,i){var o=null;switch(t.type){case f.e_distanceJoint:{o=new c(t instanceof h?t:null)}break;case f.e_mouseJoint:{o=new B(t instanceof C?t:null)}break;case f.e_prismaticJoint:{o=new A(t instanceof S?t:null)}break;case f.e_revoluteJoint:{o=new M(t instanceof V?t:null)}break;case f.e_pulleyJoint:{o=new w(t instanceof g?t:null)}break;case f.e_gearJoint:{o=new u(t instanceof y?t:null)}break;case f.e_lineJoint:{o=new b(t instanceof D?t:null)}break;case f.e_weldJoint:{o=new I(t instanceof G?t:null)}break;case f.e_frictionJoint:{o=new _(t instanceof p?t:null)}break;default:break}return o};f.Destroy=function(t,i){};f.prototype.b2Joint=function(t){o.b2Assert(t.bodyA!=t.bodyB);this.m_type=t.type;this.m_prev=null;this.m_next=null;this.m_bodyA=t.bodyA;this.m_bodyB=t.bodyB;this.m_collideConnected=t.collideConnected;this.m_islandFlag=false;this.m_userData=t.userData};f.prototype.InitVelocityConstraints=function(t){};f.prototype.SolveVelocityConstraints=function(t){};f.prototype.FinalizeVelocityConstraints=function(){};f.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;return false};Box2D.postDefs.push(function(){Box2D.Dynamics.Joints.b2Joint.e_unknownJoint=0;Box2D.Dynamics.Joints.b2Joint.e_revoluteJoint=1;Box2D.Dynamics.Joints.b2Joint.e_prismaticJoint=2;Box2D.Dynamics.Joints.b2Joint.e_distanceJoint=3;Box2D.Dynamics.Joints.b2Joint.e_pulleyJoint=4;Box2D.Dynamics.Joints.b2Joint.e_mouseJoint=5;Box2D.Dynamics.Joints.b2Joint.e_gearJoint=6;Box2D.Dynamics.Joints.b2Joint.e_lineJoint=7;Box2D.Dynamics.Joints.b2Joint.e_weldJoint=8;Box2D.Dynamics.Joints.b2Joint.e_frictionJoint=9;Box2D.Dynamics.Joints.b2Joint.e_inactiveLimit=0;Box2D.Dynamics.Joints.b2Joint.e_atLowerLimit=1;Box2D.Dynamics.Joints.b2Joint.e_atUpperLimit=2;Box2D.Dynamics.Joints.b2Joint.e_equalLimits=3});v.b2JointDef=function(){};v.prototype.b2JointDef=function(){this.type=f.e_unknownJoint;this.userData=null;this.bodyA=null;this.bodyB=null;this.collideConnected=false};d.b2JointEdge=function(){};Box2D.inherit(b,Box2D.Dynamics.Joints.b2Joint);b.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;b.b2LineJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_localXAxis1=new l;this.m_localYAxis1=new l;this.m_axis=new l;this.m_perp=new l;this.m_K=new e;this.m_impulse=new l};b.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};b.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};b.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*(this.m_impulse.x*this.m_perp.x+(this.m_motorImpulse+this.m_impulse.y)*this.m_axis.x),t*(this.m_impulse.x*this.m_perp.y+(this.m_motorImpulse+this.m_impulse.y)*this.m_axis.y))};b.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_impulse.y};b.prototype.GetJointTranslation=function(){var t=this.m_bodyA;var i=this.m_bodyB;var o;var e=t.GetWorldPoint(this.m_localAnchor1);var n=i.GetWorldPoint(this.m_localAnchor2);var s=n.x-e.x;var r=n.y-e.y;var a=t.GetWorldVector(this.m_localXAxis1);var l=a.x*s+a.y*r;return l};b.prototype.GetJointSpeed=function(){var t=this.m_bodyA;var i=this.m_bodyB;var o;o=t.m_xf.R;var e=this.m_localAnchor1.x-t.m_sweep.localCenter.x;var n=this.m_localAnchor1.y-t.m_sweep.localCenter.y;var s=o.col1.x*e+o.col2.x*n;n=o.col1.y*e+o.col2.y*n;e=s;o=i.m_xf.R;var r=this.m_localAnchor2.x-i.m_sweep.localCenter.x;var a=this.m_localAnchor2.y-i.m_sweep.localCenter.y;s=o.col1.x*r+o.col2.x*a;a=o.col1.y*r+o.col2.y*a;r=s;var l=t.m_sweep.c.x+e;var m=t.m_sweep.c.y+n;var c=i.m_sweep.c.x+r;var h=i.m_sweep.c.y+a;var _=c-l;var p=h-m;var u=t.GetWorldVector(this.m_localXAxis1);var y=t.m_linearVelocity;var x=i.m_linearVelocity;var f=t.m_angularVelocity;var v=i.m_angularVelocity;var d=_*(-f*u.y)+p*(f*u.x)+(u.x*(x.x+-v*a-y.x- -f*n)+u.y*(x.y+v*r-y.y-f*e));return d};b.prototype.IsLimitEnabled=function(){return this.m_enableLimit};b.prototype.EnableLimit=function(t){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_enableLimit=t};b.prototype.GetLowerLimit=function(){return this.m_lowerTranslation};b.prototype.GetUpperLimit=function(){return this.m_upperTranslation};b.prototype.SetLimits=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_lowerTranslation=t;this.m_upperTranslation=i};b.prototype.IsMotorEnabled=function(){return this.m_enableMotor};b.prototype.EnableMotor=function(t){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_enableMotor=t};b.prototype.SetMotorSpeed=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_motorSpeed=t};b.prototype.GetMotorSpeed=function(){return this.m_motorSpeed};b.prototype.SetMaxMotorForce=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_maxMotorForce=t};b.prototype.GetMaxMotorForce=function(){return this.m_maxMotorForce};b.prototype.GetMotorForce=function(){return this.m_motorImpulse};b.prototype.b2LineJoint=function(t){this.__super.b2Joint.call(this,t);var i;var o=0;var e=0;this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_localXAxis1.SetV(t.localAxisA);this.m_localYAxis1.x=-this.m_localXAxis1.y;this.m_localYAxis1.y=this.m_localXAxis1.x;this.m_impulse.SetZero();this.m_motorMass=0;this.m_motorImpulse=0;this.m_lowerTranslation=t.lowerTranslation;this.m_upperTranslation=t.upperTranslation;this.m_maxMotorForce=t.maxMotorForce;this.m_motorSpeed=t.motorSpeed;this.m_enableLimit=t.enableLimit;this.m_enableMotor=t.enableMotor;this.m_limitState=f.e_inactiveLimit;this.m_axis.SetZero();this.m_perp.SetZero()};b.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyA;var e=this.m_bodyB;var n;var r=0;this.m_localCenterA.SetV(i.GetLocalCenter());this.m_localCenterB.SetV(e.GetLocalCenter());var a=i.GetTransform();var l=e.GetTransform();n=i.m_xf.R;var m=this.m_localAnchor1.x-this.m_localCenterA.x;var c=this.m_localAnchor1.y-this.m_localCenterA.y;r=n.col1.x*m+n.col2.x*c;c=n.col1.y*m+n.col2.y*c;m=r;n=e.m_xf.R;var h=this.m_localAnchor2.x-this.m_localCenterB.x;var _=this.m_localAnchor2.y-this.m_localCenterB.y;r=n.col1.x*h+n.col2.x*_;_=n.col1.y*h+n.col2.y*_;h=r;var p=e.m_sweep.c.x+h-i.m_sweep.c.x-m;var u=e.m_sweep.c.y+_-i.m_sweep.c.y-c;this.m_invMassA=i.m_invMass;this.m_invMassB=e.m_invMass;this.m_invIA=i.m_invI;this.m_invIB=e.m_invI;{this.m_axis.SetV(s.MulMV(a.R,this.m_localXAxis1));this.m_a1=(p+m)*this.m_axis.y-(u+c)*this.m_axis.x;this.m_a2=h*this.m_axis.y-_*this.m_axis.x;this.m_motorMass=this.m_invMassA+this.m_invMassB+this.m_invIA*this.m_a1*this.m_a1+this.m_invIB*this.m_a2*this.m_a2;this.m_motorMass=this.m_motorMass>Number.MIN_VALUE?1/this.m_motorMass:0}{this.m_perp.SetV(s.MulMV(a.R,this.m_localYAxis1));this.m_s1=(p+m)*this.m_perp.y-(u+c)*this.m_perp.x;this.m_s2=h*this.m_perp.y-_*this.m_perp.x;var y=this.m_invMassA;var x=this.m_invMassB;var v=this.m_invIA;var d=this.m_invIB;this.m_K.col1.x=y+x+v*this.m_s1*this.m_s1+d*this.m_s2*this.m_s2;this.m_K.col1.y=v*this.m_s1*this.m_a1+d*this.m_s2*this.m_a2;this.m_K.col2.x=this.m_K.col1.y;this.m_K.col2.y=y+x+v*this.m_a1*this.m_a1+d*this.m_a2*this.m_a2}if(this.m_enableLimit){var b=this.m_axis.x*p+this.m_axis.y*u;if(s.Abs(this.m_upperTranslation-this.m_lowerTranslation)<2*o.b2_linearSlop){this.m_limitState=f.e_equalLimits}else if(b<=this.m_lowerTranslation){if(this.m_limitState!=f.e_atLowerLimit){this.m_limitState=f.e_atLowerLimit;this.m_impulse.y=0}}else if(b>=this.m_upperTranslation){if(this.m_limitState!=f.e_atUpperLimit){this.m_limitState=f.e_atUpperLimit;this.m_impulse.y=0}}else{this.m_limitState=f.e_inactiveLimit;this.m_impulse.y=0}}else{this.m_limitState=f.e_inactiveLimit}if(this.m_enableMotor==false){this.m_motorImpulse=0}if(t.warmStarting){this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;this.m_motorImpulse*=t.dtRatio;var D=this.m_impulse.x*this.m_perp.x+(this.m_motorImpulse+this.m_impulse.y)*this.m_axis.x;var B=this.m_impulse.x*this.m_perp.y+(this.m_motorImpulse+this.m_impulse.y)*this.m_axis.y;var C=this.m_impulse.x*this.m_s1+(this.m_motorImpulse+this.m_impulse.y)*this.m_a1;var A=this.m_impulse.x*this.m_s2+(this.m_motorImpulse+this.m_impulse.y)*this.m_a2;i.m_linearVelocity.x-=this.m_invMassA*D;i.m_linearVelocity.y-=this.m_invMassA*B;i.m_angularVelocity-=this.m_invIA*C;e.m_linearVelocity.x+=this.m_invMassB*D;e.m_linearVelocity.y+=this.m_invMassB*B;e.m_angularVelocity+=this.m_invIB*A}else{this.m_impulse.SetZero();this.m_motorImpulse=0}};b.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e=i.m_linearVelocity;var n=i.m_angularVelocity;var r=o.m_linearVelocity;var a=o.m_angularVelocity;var m=0;var c=0;var h=0;var _=0;if(this.m_enableMotor&&this.m_limitState!=f.e_equalLimits){var p=this.m_axis.x*(r.x-e.x)+this.m_axis.y*(r.y-e.y)+this.m_a2*a-this.m_a1*n;var u=this.m_motorMass*(this.m_motorSpeed-p);var y=this.m_motorImpulse;var x=t.dt*this.m_maxMotorForce;this.m_motorImpulse=s.Clamp(this.m_motorImpulse+u,-x,x);u=this.m_motorImpulse-y;m=u*this.m_axis.x;c=u*this.m_axis.y;h=u*this.m_a1;_=u*this.m_a2;e.x-=this.m_invMassA*m;e.y-=this.m_invMassA*c;n-=this.m_invIA*h;r.x+=this.m_invMassB*m;r.y+=this.m_invMassB*c;a+=this.m_invIB*_}var v=this.m_perp.x*(r.x-e.x)+this.m_perp.y*(r.y-e.y)+this.m_s2*a-this.m_s1*n;if(this.m_enableLimit&&this.m_limitState!=f.e_inactiveLimit){var d=this.m_axis.x*(r.x-e.x)+this.m_axis.y*(r.y-e.y)+this.m_a2*a-this.m_a1*n;var b=this.m_impulse.Copy();var D=this.m_K.Solve(new l,-v,-d);this.m_impulse.Add(D);if(this.m_limitState==f.e_atLowerLimit){this.m_impulse.y=s.Max(this.m_impulse.y,0)
+}else if(this.m_limitState==f.e_atUpperLimit){this.m_impulse.y=s.Min(this.m_impulse.y,0)}var B=-v-(this.m_impulse.y-b.y)*this.m_K.col2.x;var C=0;if(this.m_K.col1.x!=0){C=B/this.m_K.col1.x+b.x}else{C=b.x}this.m_impulse.x=C;D.x=this.m_impulse.x-b.x;D.y=this.m_impulse.y-b.y;m=D.x*this.m_perp.x+D.y*this.m_axis.x;c=D.x*this.m_perp.y+D.y*this.m_axis.y;h=D.x*this.m_s1+D.y*this.m_a1;_=D.x*this.m_s2+D.y*this.m_a2;e.x-=this.m_invMassA*m;e.y-=this.m_invMassA*c;n-=this.m_invIA*h;r.x+=this.m_invMassB*m;r.y+=this.m_invMassB*c;a+=this.m_invIB*_}else{var A=0;if(this.m_K.col1.x!=0){A=-v/this.m_K.col1.x}else{A=0}this.m_impulse.x+=A;m=A*this.m_perp.x;c=A*this.m_perp.y;h=A*this.m_s1;_=A*this.m_s2;e.x-=this.m_invMassA*m;e.y-=this.m_invMassA*c;n-=this.m_invIA*h;r.x+=this.m_invMassB*m;r.y+=this.m_invMassB*c;a+=this.m_invIB*_}i.m_linearVelocity.SetV(e);i.m_angularVelocity=n;o.m_linearVelocity.SetV(r);o.m_angularVelocity=a};b.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;var n=0;var r=this.m_bodyA;var a=this.m_bodyB;var m=r.m_sweep.c;var c=r.m_sweep.a;var h=a.m_sweep.c;var _=a.m_sweep.a;var p;var u=0;var y=0;var x=0;var f=0;var v=0;var d=0;var b=0;var D=false;var B=0;var C=e.FromAngle(c);var A=e.FromAngle(_);p=C;var S=this.m_localAnchor1.x-this.m_localCenterA.x;var w=this.m_localAnchor1.y-this.m_localCenterA.y;u=p.col1.x*S+p.col2.x*w;w=p.col1.y*S+p.col2.y*w;S=u;p=A;var g=this.m_localAnchor2.x-this.m_localCenterB.x;var M=this.m_localAnchor2.y-this.m_localCenterB.y;u=p.col1.x*g+p.col2.x*M;M=p.col1.y*g+p.col2.y*M;g=u;var V=h.x+g-m.x-S;var I=h.y+M-m.y-w;if(this.m_enableLimit){this.m_axis=s.MulMV(C,this.m_localXAxis1);this.m_a1=(V+S)*this.m_axis.y-(I+w)*this.m_axis.x;this.m_a2=g*this.m_axis.y-M*this.m_axis.x;var G=this.m_axis.x*V+this.m_axis.y*I;if(s.Abs(this.m_upperTranslation-this.m_lowerTranslation)<2*o.b2_linearSlop){B=s.Clamp(G,-o.b2_maxLinearCorrection,o.b2_maxLinearCorrection);d=s.Abs(G);D=true}else if(G<=this.m_lowerTranslation){B=s.Clamp(G-this.m_lowerTranslation+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);d=this.m_lowerTranslation-G;D=true}else if(G>=this.m_upperTranslation){B=s.Clamp(G-this.m_upperTranslation+o.b2_linearSlop,0,o.b2_maxLinearCorrection);d=G-this.m_upperTranslation;D=true}}this.m_perp=s.MulMV(C,this.m_localYAxis1);this.m_s1=(V+S)*this.m_perp.y-(I+w)*this.m_perp.x;this.m_s2=g*this.m_perp.y-M*this.m_perp.x;var L=new l;var J=this.m_perp.x*V+this.m_perp.y*I;d=s.Max(d,s.Abs(J));b=0;if(D){y=this.m_invMassA;x=this.m_invMassB;f=this.m_invIA;v=this.m_invIB;this.m_K.col1.x=y+x+f*this.m_s1*this.m_s1+v*this.m_s2*this.m_s2;this.m_K.col1.y=f*this.m_s1*this.m_a1+v*this.m_s2*this.m_a2;this.m_K.col2.x=this.m_K.col1.y;this.m_K.col2.y=y+x+f*this.m_a1*this.m_a1+v*this.m_a2*this.m_a2;this.m_K.Solve(L,-J,-B)}else{y=this.m_invMassA;x=this.m_invMassB;f=this.m_invIA;v=this.m_invIB;var F=y+x+f*this.m_s1*this.m_s1+v*this.m_s2*this.m_s2;var P=0;if(F!=0){P=-J/F}else{P=0}L.x=P;L.y=0}var R=L.x*this.m_perp.x+L.y*this.m_axis.x;var T=L.x*this.m_perp.y+L.y*this.m_axis.y;var k=L.x*this.m_s1+L.y*this.m_a1;var N=L.x*this.m_s2+L.y*this.m_a2;m.x-=this.m_invMassA*R;m.y-=this.m_invMassA*T;c-=this.m_invIA*k;h.x+=this.m_invMassB*R;h.y+=this.m_invMassB*T;_+=this.m_invIB*N;r.m_sweep.a=c;a.m_sweep.a=_;r.SynchronizeTransform();a.SynchronizeTransform();return d<=o.b2_linearSlop&&b<=o.b2_angularSlop};Box2D.inherit(D,Box2D.Dynamics.Joints.b2JointDef);D.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;D.b2LineJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l;this.localAxisA=new l};D.prototype.b2LineJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_lineJoint;this.localAxisA.Set(1,0);this.enableLimit=false;this.lowerTranslation=0;this.upperTranslation=0;this.enableMotor=false;this.maxMotorForce=0;this.motorSpeed=0};D.prototype.Initialize=function(t,i,o,e){this.bodyA=t;this.bodyB=i;this.localAnchorA=this.bodyA.GetLocalPoint(o);this.localAnchorB=this.bodyB.GetLocalPoint(o);this.localAxisA=this.bodyA.GetLocalVector(e)};Box2D.inherit(B,Box2D.Dynamics.Joints.b2Joint);B.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;B.b2MouseJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.K=new e;this.K1=new e;this.K2=new e;this.m_localAnchor=new l;this.m_target=new l;this.m_impulse=new l;this.m_mass=new e;this.m_C=new l};B.prototype.GetAnchorA=function(){return this.m_target};B.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor)};B.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse.x,t*this.m_impulse.y)};B.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return 0};B.prototype.GetTarget=function(){return this.m_target};B.prototype.SetTarget=function(t){if(this.m_bodyB.IsAwake()==false){this.m_bodyB.SetAwake(true)}this.m_target=t};B.prototype.GetMaxForce=function(){return this.m_maxForce};B.prototype.SetMaxForce=function(t){if(t===undefined)t=0;this.m_maxForce=t};B.prototype.GetFrequency=function(){return this.m_frequencyHz};B.prototype.SetFrequency=function(t){if(t===undefined)t=0;this.m_frequencyHz=t};B.prototype.GetDampingRatio=function(){return this.m_dampingRatio};B.prototype.SetDampingRatio=function(t){if(t===undefined)t=0;this.m_dampingRatio=t};B.prototype.b2MouseJoint=function(t){this.__super.b2Joint.call(this,t);this.m_target.SetV(t.target);var i=this.m_target.x-this.m_bodyB.m_xf.position.x;var o=this.m_target.y-this.m_bodyB.m_xf.position.y;var e=this.m_bodyB.m_xf.R;this.m_localAnchor.x=i*e.col1.x+o*e.col1.y;this.m_localAnchor.y=i*e.col2.x+o*e.col2.y;this.m_maxForce=t.maxForce;this.m_impulse.SetZero();this.m_frequencyHz=t.frequencyHz;this.m_dampingRatio=t.dampingRatio;this.m_beta=0;this.m_gamma=0};B.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyB;var o=i.GetMass();var e=2*Math.PI*this.m_frequencyHz;var n=2*o*this.m_dampingRatio*e;var s=o*e*e;this.m_gamma=t.dt*(n+t.dt*s);this.m_gamma=this.m_gamma!=0?1/this.m_gamma:0;this.m_beta=t.dt*s*this.m_gamma;var r;r=i.m_xf.R;var a=this.m_localAnchor.x-i.m_sweep.localCenter.x;var l=this.m_localAnchor.y-i.m_sweep.localCenter.y;var m=r.col1.x*a+r.col2.x*l;l=r.col1.y*a+r.col2.y*l;a=m;var c=i.m_invMass;var h=i.m_invI;this.K1.col1.x=c;this.K1.col2.x=0;this.K1.col1.y=0;this.K1.col2.y=c;this.K2.col1.x=h*l*l;this.K2.col2.x=-h*a*l;this.K2.col1.y=-h*a*l;this.K2.col2.y=h*a*a;this.K.SetM(this.K1);this.K.AddM(this.K2);this.K.col1.x+=this.m_gamma;this.K.col2.y+=this.m_gamma;this.K.GetInverse(this.m_mass);this.m_C.x=i.m_sweep.c.x+a-this.m_target.x;this.m_C.y=i.m_sweep.c.y+l-this.m_target.y;i.m_angularVelocity*=.98;this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;i.m_linearVelocity.x+=c*this.m_impulse.x;i.m_linearVelocity.y+=c*this.m_impulse.y;i.m_angularVelocity+=h*(a*this.m_impulse.y-l*this.m_impulse.x)};B.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyB;var o;var e=0;var n=0;o=i.m_xf.R;var s=this.m_localAnchor.x-i.m_sweep.localCenter.x;var r=this.m_localAnchor.y-i.m_sweep.localCenter.y;e=o.col1.x*s+o.col2.x*r;r=o.col1.y*s+o.col2.y*r;s=e;var a=i.m_linearVelocity.x+-i.m_angularVelocity*r;var l=i.m_linearVelocity.y+i.m_angularVelocity*s;o=this.m_mass;e=a+this.m_beta*this.m_C.x+this.m_gamma*this.m_impulse.x;n=l+this.m_beta*this.m_C.y+this.m_gamma*this.m_impulse.y;var m=-(o.col1.x*e+o.col2.x*n);var c=-(o.col1.y*e+o.col2.y*n);var h=this.m_impulse.x;var _=this.m_impulse.y;this.m_impulse.x+=m;this.m_impulse.y+=c;var p=t.dt*this.m_maxForce;if(this.m_impulse.LengthSquared()>p*p){this.m_impulse.Multiply(p/this.m_impulse.Length())}m=this.m_impulse.x-h;c=this.m_impulse.y-_;i.m_linearVelocity.x+=i.m_invMass*m;i.m_linearVelocity.y+=i.m_invMass*c;i.m_angularVelocity+=i.m_invI*(s*c-r*m)};B.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;return true};Box2D.inherit(C,Box2D.Dynamics.Joints.b2JointDef);C.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;C.b2MouseJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.target=new l};C.prototype.b2MouseJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_mouseJoint;this.maxForce=0;this.frequencyHz=5;this.dampingRatio=.7};Box2D.inherit(A,Box2D.Dynamics.Joints.b2Joint);A.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;A.b2PrismaticJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_localXAxis1=new l;this.m_localYAxis1=new l;this.m_axis=new l;this.m_perp=new l;this.m_K=new n;this.m_impulse=new m};A.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};A.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};A.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*(this.m_impulse.x*this.m_perp.x+(this.m_motorImpulse+this.m_impulse.z)*this.m_axis.x),t*(this.m_impulse.x*this.m_perp.y+(this.m_motorImpulse+this.m_impulse.z)*this.m_axis.y))};A.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_impulse.y};A.prototype.GetJointTranslation=function(){var t=this.m_bodyA;var i=this.m_bodyB;var o;var e=t.GetWorldPoint(this.m_localAnchor1);var n=i.GetWorldPoint(this.m_localAnchor2);var s=n.x-e.x;var r=n.y-e.y;var a=t.GetWorldVector(this.m_localXAxis1);var l=a.x*s+a.y*r;return l};A.prototype.GetJointSpeed=function(){var t=this.m_bodyA;var i=this.m_bodyB;var o;o=t.m_xf.R;var e=this.m_localAnchor1.x-t.m_sweep.localCenter.x;var n=this.m_localAnchor1.y-t.m_sweep.localCenter.y;var s=o.col1.x*e+o.col2.x*n;n=o.col1.y*e+o.col2.y*n;e=s;o=i.m_xf.R;var r=this.m_localAnchor2.x-i.m_sweep.localCenter.x;var a=this.m_localAnchor2.y-i.m_sweep.localCenter.y;s=o.col1.x*r+o.col2.x*a;a=o.col1.y*r+o.col2.y*a;r=s;var l=t.m_sweep.c.x+e;var m=t.m_sweep.c.y+n;var c=i.m_sweep.c.x+r;var h=i.m_sweep.c.y+a;var _=c-l;var p=h-m;var u=t.GetWorldVector(this.m_localXAxis1);var y=t.m_linearVelocity;var x=i.m_linearVelocity;var f=t.m_angularVelocity;var v=i.m_angularVelocity;var d=_*(-f*u.y)+p*(f*u.x)+(u.x*(x.x+-v*a-y.x- -f*n)+u.y*(x.y+v*r-y.y-f*e));return d};A.prototype.IsLimitEnabled=function(){return this.m_enableLimit};A.prototype.EnableLimit=function(t){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_enableLimit=t};A.prototype.GetLowerLimit=function(){return this.m_lowerTranslation};A.prototype.GetUpperLimit=function(){return this.m_upperTranslation};A.prototype.SetLimits=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_lowerTranslation=t;this.m_upperTranslation=i};A.prototype.IsMotorEnabled=function(){return this.m_enableMotor};A.prototype.EnableMotor=function(t){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_enableMotor=t};A.prototype.SetMotorSpeed=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_motorSpeed=t};A.prototype.GetMotorSpeed=function(){return this.m_motorSpeed};A.prototype.SetMaxMotorForce=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_maxMotorForce=t};A.prototype.GetMotorForce=function(){return this.m_motorImpulse};A.prototype.b2PrismaticJoint=function(t){this.__super.b2Joint.call(this,t);var i;var o=0;var e=0;this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_localXAxis1.SetV(t.localAxisA);this.m_localYAxis1.x=-this.m_localXAxis1.y;this.m_localYAxis1.y=this.m_localXAxis1.x;this.m_refAngle=t.referenceAngle;this.m_impulse.SetZero();this.m_motorMass=0;this.m_motorImpulse=0;this.m_lowerTranslation=t.lowerTranslation;this.m_upperTranslation=t.upperTranslation;this.m_maxMotorForce=t.maxMotorForce;this.m_motorSpeed=t.motorSpeed;this.m_enableLimit=t.enableLimit;this.m_enableMotor=t.enableMotor;this.m_limitState=f.e_inactiveLimit;this.m_axis.SetZero();this.m_perp.SetZero()};A.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyA;var e=this.m_bodyB;var n;var r=0;this.m_localCenterA.SetV(i.GetLocalCenter());this.m_localCenterB.SetV(e.GetLocalCenter());var a=i.GetTransform();var l=e.GetTransform();n=i.m_xf.R;var m=this.m_localAnchor1.x-this.m_localCenterA.x;var c=this.m_localAnchor1.y-this.m_localCenterA.y;r=n.col1.x*m+n.col2.x*c;c=n.col1.y*m+n.col2.y*c;m=r;n=e.m_xf.R;var h=this.m_localAnchor2.x-this.m_localCenterB.x;var _=this.m_localAnchor2.y-this.m_localCenterB.y;r=n.col1.x*h+n.col2.x*_;_=n.col1.y*h+n.col2.y*_;h=r;var p=e.m_sweep.c.x+h-i.m_sweep.c.x-m;var u=e.m_sweep.c.y+_-i.m_sweep.c.y-c;this.m_invMassA=i.m_invMass;this.m_invMassB=e.m_invMass;this.m_invIA=i.m_invI;this.m_invIB=e.m_invI;{this.m_axis.SetV(s.MulMV(a.R,this.m_localXAxis1));this.m_a1=(p+m)*this.m_axis.y-(u+c)*this.m_axis.x;this.m_a2=h*this.m_axis.y-_*this.m_axis.x;this.m_motorMass=this.m_invMassA+this.m_invMassB+this.m_invIA*this.m_a1*this.m_a1+this.m_invIB*this.m_a2*this.m_a2;if(this.m_motorMass>Number.MIN_VALUE)this.m_motorMass=1/this.m_motorMass}{this.m_perp.SetV(s.MulMV(a.R,this.m_localYAxis1));this.m_s1=(p+m)*this.m_perp.y-(u+c)*this.m_perp.x;this.m_s2=h*this.m_perp.y-_*this.m_perp.x;var y=this.m_invMassA;var x=this.m_invMassB;var v=this.m_invIA;var d=this.m_invIB;this.m_K.col1.x=y+x+v*this.m_s1*this.m_s1+d*this.m_s2*this.m_s2;this.m_K.col1.y=v*this.m_s1+d*this.m_s2;this.m_K.col1.z=v*this.m_s1*this.m_a1+d*this.m_s2*this.m_a2;this.m_K.col2.x=this.m_K.col1.y;this.m_K.col2.y=v+d;this.m_K.col2.z=v*this.m_a1+d*this.m_a2;this.m_K.col3.x=this.m_K.col1.z;this.m_K.col3.y=this.m_K.col2.z;this.m_K.col3.z=y+x+v*this.m_a1*this.m_a1+d*this.m_a2*this.m_a2}if(this.m_enableLimit){var b=this.m_axis.x*p+this.m_axis.y*u;if(s.Abs(this.m_upperTranslation-this.m_lowerTranslation)<2*o.b2_linearSlop){this.m_limitState=f.e_equalLimits}else if(b<=this.m_lowerTranslation){if(this.m_limitState!=f.e_atLowerLimit){this.m_limitState=f.e_atLowerLimit;this.m_impulse.z=0}}else if(b>=this.m_upperTranslation){if(this.m_limitState!=f.e_atUpperLimit){this.m_limitState=f.e_atUpperLimit;this.m_impulse.z=0}}else{this.m_limitState=f.e_inactiveLimit;this.m_impulse.z=0}}else{this.m_limitState=f.e_inactiveLimit}if(this.m_enableMotor==false){this.m_motorImpulse=0}if(t.warmStarting){this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;this.m_motorImpulse*=t.dtRatio;var D=this.m_impulse.x*this.m_perp.x+(this.m_motorImpulse+this.m_impulse.z)*this.m_axis.x;var B=this.m_impulse.x*this.m_perp.y+(this.m_motorImpulse+this.m_impulse.z)*this.m_axis.y;var C=this.m_impulse.x*this.m_s1+this.m_impulse.y+(this.m_motorImpulse+this.m_impulse.z)*this.m_a1;var A=this.m_impulse.x*this.m_s2+this.m_impulse.y+(this.m_motorImpulse+this.m_impulse.z)*this.m_a2;i.m_linearVelocity.x-=this.m_invMassA*D;i.m_linearVelocity.y-=this.m_invMassA*B;i.m_angularVelocity-=this.m_invIA*C;e.m_linearVelocity.x+=this.m_invMassB*D;e.m_linearVelocity.y+=this.m_invMassB*B;e.m_angularVelocity+=this.m_invIB*A}else{this.m_impulse.SetZero();this.m_motorImpulse=0}};A.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e=i.m_linearVelocity;var n=i.m_angularVelocity;var r=o.m_linearVelocity;var a=o.m_angularVelocity;var c=0;var h=0;var _=0;var p=0;if(this.m_enableMotor&&this.m_limitState!=f.e_equalLimits){var u=this.m_axis.x*(r.x-e.x)+this.m_axis.y*(r.y-e.y)+this.m_a2*a-this.m_a1*n;var y=this.m_motorMass*(this.m_motorSpeed-u);var x=this.m_motorImpulse;var v=t.dt*this.m_maxMotorForce;this.m_motorImpulse=s.Clamp(this.m_motorImpulse+y,-v,v);y=this.m_motorImpulse-x;c=y*this.m_axis.x;h=y*this.m_axis.y;_=y*this.m_a1;p=y*this.m_a2;e.x-=this.m_invMassA*c;e.y-=this.m_invMassA*h;n-=this.m_invIA*_;r.x+=this.m_invMassB*c;r.y+=this.m_invMassB*h;a+=this.m_invIB*p}var d=this.m_perp.x*(r.x-e.x)+this.m_perp.y*(r.y-e.y)+this.m_s2*a-this.m_s1*n;var b=a-n;if(this.m_enableLimit&&this.m_limitState!=f.e_inactiveLimit){var D=this.m_axis.x*(r.x-e.x)+this.m_axis.y*(r.y-e.y)+this.m_a2*a-this.m_a1*n;var B=this.m_impulse.Copy();var C=this.m_K.Solve33(new m,-d,-b,-D);this.m_impulse.Add(C);if(this.m_limitState==f.e_atLowerLimit){this.m_impulse.z=s.Max(this.m_impulse.z,0)}else if(this.m_limitState==f.e_atUpperLimit){this.m_impulse.z=s.Min(this.m_impulse.z,0)}var A=-d-(this.m_impulse.z-B.z)*this.m_K.col3.x;var S=-b-(this.m_impulse.z-B.z)*this.m_K.col3.y;var w=this.m_K.Solve22(new l,A,S);w.x+=B.x;w.y+=B.y;this.m_impulse.x=w.x;this.m_impulse.y=w.y;C.x=this.m_impulse.x-B.x;C.y=this.m_impulse.y-B.y;C.z=this.m_impulse.z-B.z;c=C.x*this.m_perp.x+C.z*this.m_axis.x;h=C.x*this.m_perp.y+C.z*this.m_axis.y;_=C.x*this.m_s1+C.y+C.z*this.m_a1;p=C.x*this.m_s2+C.y+C.z*this.m_a2;e.x-=this.m_invMassA*c;e.y-=this.m_invMassA*h;n-=this.m_invIA*_;r.x+=this.m_invMassB*c;r.y+=this.m_invMassB*h;a+=this.m_invIB*p}else{var g=this.m_K.Solve22(new l,-d,-b);this.m_impulse.x+=g.x;this.m_impulse.y+=g.y;c=g.x*this.m_perp.x;h=g.x*this.m_perp.y;_=g.x*this.m_s1+g.y;p=g.x*this.m_s2+g.y;e.x-=this.m_invMassA*c;e.y-=this.m_invMassA*h;n-=this.m_invIA*_;r.x+=this.m_invMassB*c;r.y+=this.m_invMassB*h;a+=this.m_invIB*p}i.m_linearVelocity.SetV(e);i.m_angularVelocity=n;o.m_linearVelocity.SetV(r);o.m_angularVelocity=a};A.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;var n=0;var r=this.m_bodyA;var a=this.m_bodyB;var c=r.m_sweep.c;var h=r.m_sweep.a;var _=a.m_sweep.c;var p=a.m_sweep.a;var u;var y=0;var x=0;var f=0;var v=0;var d=0;var b=0;var D=0;var B=false;var C=0;var A=e.FromAngle(h);var S=e.FromAngle(p);u=A;var w=this.m_localAnchor1.x-this.m_localCenterA.x;var g=this.m_localAnchor1.y-this.m_localCenterA.y;y=u.col1.x*w+u.col2.x*g;g=u.col1.y*w+u.col2.y*g;w=y;u=S;var M=this.m_localAnchor2.x-this.m_localCenterB.x;var V=this.m_localAnchor2.y-this.m_localCenterB.y;y=u.col1.x*M+u.col2.x*V;V=u.col1.y*M+u.col2.y*V;M=y;var I=_.x+M-c.x-w;var G=_.y+V-c.y-g;if(this.m_enableLimit){this.m_axis=s.MulMV(A,this.m_localXAxis1);this.m_a1=(I+w)*this.m_axis.y-(G+g)*this.m_axis.x;this.m_a2=M*this.m_axis.y-V*this.m_axis.x;var L=this.m_axis.x*I+this.m_axis.y*G;if(s.Abs(this.m_upperTranslation-this.m_lowerTranslation)<2*o.b2_linearSlop){C=s.Clamp(L,-o.b2_maxLinearCorrection,o.b2_maxLinearCorrection);b=s.Abs(L);B=true}else if(L<=this.m_lowerTranslation){C=s.Clamp(L-this.m_lowerTranslation+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);b=this.m_lowerTranslation-L;B=true}else if(L>=this.m_upperTranslation){C=s.Clamp(L-this.m_upperTranslation+o.b2_linearSlop,0,o.b2_maxLinearCorrection);b=L-this.m_upperTranslation;B=true}}this.m_perp=s.MulMV(A,this.m_localYAxis1);this.m_s1=(I+w)*this.m_perp.y-(G+g)*this.m_perp.x;this.m_s2=M*this.m_perp.y-V*this.m_perp.x;var J=new m;var F=this.m_perp.x*I+this.m_perp.y*G;var P=p-h-this.m_refAngle;b=s.Max(b,s.Abs(F));D=s.Abs(P);if(B){x=this.m_invMassA;f=this.m_invMassB;v=this.m_invIA;d=this.m_invIB;this.m_K.col1.x=x+f+v*this.m_s1*this.m_s1+d*this.m_s2*this.m_s2;this.m_K.col1.y=v*this.m_s1+d*this.m_s2;this.m_K.col1.z=v*this.m_s1*this.m_a1+d*this.m_s2*this.m_a2;this.m_K.col2.x=this.m_K.col1.y;this.m_K.col2.y=v+d;this.m_K.col2.z=v*this.m_a1+d*this.m_a2;this.m_K.col3.x=this.m_K.col1.z;this.m_K.col3.y=this.m_K.col2.z;this.m_K.col3.z=x+f+v*this.m_a1*this.m_a1+d*this.m_a2*this.m_a2;this.m_K.Solve33(J,-F,-P,-C)}else{x=this.m_invMassA;f=this.m_invMassB;v=this.m_invIA;d=this.m_invIB;var R=x+f+v*this.m_s1*this.m_s1+d*this.m_s2*this.m_s2;var T=v*this.m_s1+d*this.m_s2;var k=v+d;this.m_K.col1.Set(R,T,0);this.m_K.col2.Set(T,k,0);var N=this.m_K.Solve22(new l,-F,-P);J.x=N.x;J.y=N.y;J.z=0}var z=J.x*this.m_perp.x+J.z*this.m_axis.x;var E=J.x*this.m_perp.y+J.z*this.m_axis.y;var j=J.x*this.m_s1+J.y+J.z*this.m_a1;var O=J.x*this.m_s2+J.y+J.z*this.m_a2;c.x-=this.m_invMassA*z;c.y-=this.m_invMassA*E;h-=this.m_invIA*j;_.x+=this.m_invMassB*z;_.y+=this.m_invMassB*E;p+=this.m_invIB*O;r.m_sweep.a=h;a.m_sweep.a=p;r.SynchronizeTransform();a.SynchronizeTransform();return b<=o.b2_linearSlop&&D<=o.b2_angularSlop};Box2D.inherit(S,Box2D.Dynamics.Joints.b2JointDef);S.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;S.b2PrismaticJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l;this.localAxisA=new l};S.prototype.b2PrismaticJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_prismaticJoint;this.localAxisA.Set(1,0);this.referenceAngle=0;this.enableLimit=false;this.lowerTranslation=0;this.upperTranslation=0;this.enableMotor=false;this.maxMotorForce=0;this.motorSpeed=0};S.prototype.Initialize=function(t,i,o,e){this.bodyA=t;this.bodyB=i;this.localAnchorA=this.bodyA.GetLocalPoint(o);this.localAnchorB=this.bodyB.GetLocalPoint(o);this.localAxisA=this.bodyA.GetLocalVector(e);this.referenceAngle=this.bodyB.GetAngle()-this.bodyA.GetAngle()};Box2D.inherit(w,Box2D.Dynamics.Joints.b2Joint);w.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;w.b2PulleyJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_groundAnchor1=new l;this.m_groundAnchor2=new l;this.m_localAnchor1=new l;this.m_localAnchor2=new l;this.m_u1=new l;this.m_u2=new l};w.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};w.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};w.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse*this.m_u2.x,t*this.m_impulse*this.m_u2.y)};w.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return 0};w.prototype.GetGroundAnchorA=function(){var t=this.m_ground.m_xf.position.Copy();t.Add(this.m_groundAnchor1);return t};w.prototype.GetGroundAnchorB=function(){var t=this.m_ground.m_xf.position.Copy();t.Add(this.m_groundAnchor2);return t};w.prototype.GetLength1=function(){var t=this.m_bodyA.GetWorldPoint(this.m_localAnchor1);var i=this.m_ground.m_xf.position.x+this.m_groundAnchor1.x;var o=this.m_ground.m_xf.position.y+this.m_groundAnchor1.y;var e=t.x-i;var n=t.y-o;return Math.sqrt(e*e+n*n)};w.prototype.GetLength2=function(){var t=this.m_bodyB.GetWorldPoint(this.m_localAnchor2);var i=this.m_ground.m_xf.position.x+this.m_groundAnchor2.x;var o=this.m_ground.m_xf.position.y+this.m_groundAnchor2.y;var e=t.x-i;var n=t.y-o;return Math.sqrt(e*e+n*n)};w.prototype.GetRatio=function(){return this.m_ratio};w.prototype.b2PulleyJoint=function(t){this.__super.b2Joint.call(this,t);var i;var o=0;var e=0;this.m_ground=this.m_bodyA.m_world.m_groundBody;this.m_groundAnchor1.x=t.groundAnchorA.x-this.m_ground.m_xf.position.x;this.m_groundAnchor1.y=t.groundAnchorA.y-this.m_ground.m_xf.position.y;this.m_groundAnchor2.x=t.groundAnchorB.x-this.m_ground.m_xf.position.x;this.m_groundAnchor2.y=t.groundAnchorB.y-this.m_ground.m_xf.position.y;this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_ratio=t.ratio;this.m_constant=t.lengthA+this.m_ratio*t.lengthB;this.m_maxLength1=s.Min(t.maxLengthA,this.m_constant-this.m_ratio*w.b2_minPulleyLength);this.m_maxLength2=s.Min(t.maxLengthB,(this.m_constant-w.b2_minPulleyLength)/this.m_ratio);this.m_impulse=0;this.m_limitImpulse1=0;this.m_limitImpulse2=0};w.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyA;var e=this.m_bodyB;var n;n=i.m_xf.R;var s=this.m_localAnchor1.x-i.m_sweep.localCenter.x;var r=this.m_localAnchor1.y-i.m_sweep.localCenter.y;var a=n.col1.x*s+n.col2.x*r;r=n.col1.y*s+n.col2.y*r;s=a;n=e.m_xf.R;var l=this.m_localAnchor2.x-e.m_sweep.localCenter.x;var m=this.m_localAnchor2.y-e.m_sweep.localCenter.y;a=n.col1.x*l+n.col2.x*m;m=n.col1.y*l+n.col2.y*m;l=a;var c=i.m_sweep.c.x+s;var h=i.m_sweep.c.y+r;var _=e.m_sweep.c.x+l;var p=e.m_sweep.c.y+m;var u=this.m_ground.m_xf.position.x+this.m_groundAnchor1.x;var y=this.m_ground.m_xf.position.y+this.m_groundAnchor1.y;var x=this.m_ground.m_xf.position.x+this.m_groundAnchor2.x;var v=this.m_ground.m_xf.position.y+this.m_groundAnchor2.y;this.m_u1.Set(c-u,h-y);this.m_u2.Set(_-x,p-v);var d=this.m_u1.Length();var b=this.m_u2.Length();if(d>o.b2_linearSlop){this.m_u1.Multiply(1/d)}else{this.m_u1.SetZero()}if(b>o.b2_linearSlop){this.m_u2.Multiply(1/b)}else{this.m_u2.SetZero()}var D=this.m_constant-d-this.m_ratio*b;if(D>0){this.m_state=f.e_inactiveLimit;this.m_impulse=0}else{this.m_state=f.e_atUpperLimit}if(d<this.m_maxLength1){this.m_limitState1=f.e_inactiveLimit;this.m_limitImpulse1=0}else{this.m_limitState1=f.e_atUpperLimit}if(b<this.m_maxLength2){this.m_limitState2=f.e_inactiveLimit;this.m_limitImpulse2=0}else{this.m_limitState2=f.e_atUpperLimit}var B=s*this.m_u1.y-r*this.m_u1.x;var C=l*this.m_u2.y-m*this.m_u2.x;this.m_limitMass1=i.m_invMass+i.m_invI*B*B;this.m_limitMass2=e.m_invMass+e.m_invI*C*C;this.m_pulleyMass=this.m_limitMass1+this.m_ratio*this.m_ratio*this.m_limitMass2;this.m_limitMass1=1/this.m_limitMass1;this.m_limitMass2=1/this.m_limitMass2;this.m_pulleyMass=1/this.m_pulleyMass;if(t.warmStarting){this.m_impulse*=t.dtRatio;this.m_limitImpulse1*=t.dtRatio;this.m_limitImpulse2*=t.dtRatio;var A=(-this.m_impulse-this.m_limitImpulse1)*this.m_u1.x;var S=(-this.m_impulse-this.m_limitImpulse1)*this.m_u1.y;var w=(-this.m_ratio*this.m_impulse-this.m_limitImpulse2)*this.m_u2.x;var g=(-this.m_ratio*this.m_impulse-this.m_limitImpulse2)*this.m_u2.y;i.m_linearVelocity.x+=i.m_invMass*A;i.m_linearVelocity.y+=i.m_invMass*S;i.m_angularVelocity+=i.m_invI*(s*S-r*A);e.m_linearVelocity.x+=e.m_invMass*w;e.m_linearVelocity.y+=e.m_invMass*g;e.m_angularVelocity+=e.m_invI*(l*g-m*w)}else{this.m_impulse=0;this.m_limitImpulse1=0;this.m_limitImpulse2=0}};w.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e;e=i.m_xf.R;var n=this.m_localAnchor1.x-i.m_sweep.localCenter.x;var r=this.m_localAnchor1.y-i.m_sweep.localCenter.y;var a=e.col1.x*n+e.col2.x*r;r=e.col1.y*n+e.col2.y*r;n=a;e=o.m_xf.R;var l=this.m_localAnchor2.x-o.m_sweep.localCenter.x;var m=this.m_localAnchor2.y-o.m_sweep.localCenter.y;a=e.col1.x*l+e.col2.x*m;m=e.col1.y*l+e.col2.y*m;l=a;var c=0;var h=0;var _=0;var p=0;var u=0;var y=0;var x=0;var v=0;var d=0;var b=0;var D=0;if(this.m_state==f.e_atUpperLimit){c=i.m_linearVelocity.x+-i.m_angularVelocity*r;h=i.m_linearVelocity.y+i.m_angularVelocity*n;_=o.m_linearVelocity.x+-o.m_angularVelocity*m;p=o.m_linearVelocity.y+o.m_angularVelocity*l;d=-(this.m_u1.x*c+this.m_u1.y*h)-this.m_ratio*(this.m_u2.x*_+this.m_u2.y*p);b=this.m_pulleyMass*-d;D=this.m_impulse;this.m_impulse=s.Max(0,this.m_impulse+b);b=this.m_impulse-D;u=-b*this.m_u1.x;y=-b*this.m_u1.y;x=-this.m_ratio*b*this.m_u2.x;v=-this.m_ratio*b*this.m_u2.y;i.m_linearVelocity.x+=i.m_invMass*u;i.m_linearVelocity.y+=i.m_invMass*y;i.m_angularVelocity+=i.m_invI*(n*y-r*u);o.m_linearVelocity.x+=o.m_invMass*x;o.m_linearVelocity.y+=o.m_invMass*v;o.m_angularVelocity+=o.m_invI*(l*v-m*x)}if(this.m_limitState1==f.e_atUpperLimit){c=i.m_linearVelocity.x+-i.m_angularVelocity*r;h=i.m_linearVelocity.y+i.m_angularVelocity*n;d=-(this.m_u1.x*c+this.m_u1.y*h);b=-this.m_limitMass1*d;D=this.m_limitImpulse1;this.m_limitImpulse1=s.Max(0,this.m_limitImpulse1+b);b=this.m_limitImpulse1-D;u=-b*this.m_u1.x;y=-b*this.m_u1.y;i.m_linearVelocity.x+=i.m_invMass*u;i.m_linearVelocity.y+=i.m_invMass*y;i.m_angularVelocity+=i.m_invI*(n*y-r*u)}if(this.m_limitState2==f.e_atUpperLimit){_=o.m_linearVelocity.x+-o.m_angularVelocity*m;p=o.m_linearVelocity.y+o.m_angularVelocity*l;d=-(this.m_u2.x*_+this.m_u2.y*p);b=-this.m_limitMass2*d;D=this.m_limitImpulse2;this.m_limitImpulse2=s.Max(0,this.m_limitImpulse2+b);b=this.m_limitImpulse2-D;x=-b*this.m_u2.x;v=-b*this.m_u2.y;o.m_linearVelocity.x+=o.m_invMass*x;o.m_linearVelocity.y+=o.m_invMass*v;o.m_angularVelocity+=o.m_invI*(l*v-m*x)}};w.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=this.m_bodyA;var e=this.m_bodyB;var n;var r=this.m_ground.m_xf.position.x+this.m_groundAnchor1.x;var a=this.m_ground.m_xf.position.y+this.m_groundAnchor1.y;var l=this.m_ground.m_xf.position.x+this.m_groundAnchor2.x;var m=this.m_ground.m_xf.position.y+this.m_groundAnchor2.y;var c=0;var h=0;var _=0;var p=0;var u=0;var y=0;var x=0;var v=0;var d=0;var b=0;var D=0;var B=0;var C=0;var A=0;var S=0;var w=0;if(this.m_state==f.e_atUpperLimit){n=i.m_xf.R;c=this.m_localAnchor1.x-i.m_sweep.localCenter.x;h=this.m_localAnchor1.y-i.m_sweep.localCenter.y;S=n.col1.x*c+n.col2.x*h;h=n.col1.y*c+n.col2.y*h;c=S;n=e.m_xf.R;_=this.m_localAnchor2.x-e.m_sweep.localCenter.x;p=this.m_localAnchor2.y-e.m_sweep.localCenter.y;S=n.col1.x*_+n.col2.x*p;p=n.col1.y*_+n.col2.y*p;_=S;u=i.m_sweep.c.x+c;y=i.m_sweep.c.y+h;x=e.m_sweep.c.x+_;v=e.m_sweep.c.y+p;this.m_u1.Set(u-r,y-a);this.m_u2.Set(x-l,v-m);d=this.m_u1.Length();b=this.m_u2.Length();if(d>o.b2_linearSlop){this.m_u1.Multiply(1/d)}else{this.m_u1.SetZero()}if(b>o.b2_linearSlop){this.m_u2.Multiply(1/b)}else{this.m_u2.SetZero()}D=this.m_constant-d-this.m_ratio*b;w=s.Max(w,-D);D=s.Clamp(D+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);B=-this.m_pulleyMass*D;u=-B*this.m_u1.x;y=-B*this.m_u1.y;x=-this.m_ratio*B*this.m_u2.x;v=-this.m_ratio*B*this.m_u2.y;i.m_sweep.c.x+=i.m_invMass*u;i.m_sweep.c.y+=i.m_invMass*y;i.m_sweep.a+=i.m_invI*(c*y-h*u);e.m_sweep.c.x+=e.m_invMass*x;e.m_sweep.c.y+=e.m_invMass*v;e.m_sweep.a+=e.m_invI*(_*v-p*x);i.SynchronizeTransform();e.SynchronizeTransform()}if(this.m_limitState1==f.e_atUpperLimit){n=i.m_xf.R;c=this.m_localAnchor1.x-i.m_sweep.localCenter.x;h=this.m_localAnchor1.y-i.m_sweep.localCenter.y;S=n.col1.x*c+n.col2.x*h;h=n.col1.y*c+n.col2.y*h;c=S;u=i.m_sweep.c.x+c;y=i.m_sweep.c.y+h;this.m_u1.Set(u-r,y-a);d=this.m_u1.Length();if(d>o.b2_linearSlop){this.m_u1.x*=1/d;this.m_u1.y*=1/d}else{this.m_u1.SetZero()}D=this.m_maxLength1-d;w=s.Max(w,-D);D=s.Clamp(D+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);B=-this.m_limitMass1*D;u=-B*this.m_u1.x;y=-B*this.m_u1.y;i.m_sweep.c.x+=i.m_invMass*u;i.m_sweep.c.y+=i.m_invMass*y;i.m_sweep.a+=i.m_invI*(c*y-h*u);i.SynchronizeTransform()}if(this.m_limitState2==f.e_atUpperLimit){n=e.m_xf.R;_=this.m_localAnchor2.x-e.m_sweep.localCenter.x;p=this.m_localAnchor2.y-e.m_sweep.localCenter.y;S=n.col1.x*_+n.col2.x*p;p=n.col1.y*_+n.col2.y*p;_=S;x=e.m_sweep.c.x+_;v=e.m_sweep.c.y+p;this.m_u2.Set(x-l,v-m);b=this.m_u2.Length();if(b>o.b2_linearSlop){this.m_u2.x*=1/b;this.m_u2.y*=1/b}else{this.m_u2.SetZero()}D=this.m_maxLength2-b;w=s.Max(w,-D);D=s.Clamp(D+o.b2_linearSlop,-o.b2_maxLinearCorrection,0);B=-this.m_limitMass2*D;x=-B*this.m_u2.x;v=-B*this.m_u2.y;e.m_sweep.c.x+=e.m_invMass*x;e.m_sweep.c.y+=e.m_invMass*v;e.m_sweep.a+=e.m_invI*(_*v-p*x);e.SynchronizeTransform()}return w<o.b2_linearSlop};Box2D.postDefs.push(function(){Box2D.Dynamics.Joints.b2PulleyJoint.b2_minPulleyLength=2});Box2D.inherit(g,Box2D.Dynamics.Joints.b2JointDef);g.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;g.b2PulleyJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.groundAnchorA=new l;this.groundAnchorB=new l;this.localAnchorA=new l;this.localAnchorB=new l};g.prototype.b2PulleyJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_pulleyJoint;this.groundAnchorA.Set(-1,1);this.groundAnchorB.Set(1,1);this.localAnchorA.Set(-1,0);this.localAnchorB.Set(1,0);this.lengthA=0;this.maxLengthA=0;this.lengthB=0;this.maxLengthB=0;this.ratio=1;this.collideConnected=true};g.prototype.Initialize=function(t,i,o,e,n,s,r){if(r===undefined)r=0;this.bodyA=t;this.bodyB=i;this.groundAnchorA.SetV(o);this.groundAnchorB.SetV(e);this.localAnchorA=this.bodyA.GetLocalPoint(n);this.localAnchorB=this.bodyB.GetLocalPoint(s);var a=n.x-o.x;var l=n.y-o.y;this.lengthA=Math.sqrt(a*a+l*l);var m=s.x-e.x;var c=s.y-e.y;this.lengthB=Math.sqrt(m*m+c*c);this.ratio=r;var h=this.lengthA+this.ratio*this.lengthB;this.maxLengthA=h-this.ratio*w.b2_minPulleyLength;this.maxLengthB=(h-w.b2_minPulleyLength)/this.ratio};Box2D.inherit(M,Box2D.Dynamics.Joints.b2Joint);M.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;M.b2RevoluteJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.K=new e;this.K1=new e;this.K2=new e;this.K3=new e;this.impulse3=new m;this.impulse2=new l;this.reduced=new l;this.m_localAnchor1=new l
+;this.m_localAnchor2=new l;this.m_impulse=new m;this.m_mass=new n};M.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchor1)};M.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchor2)};M.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse.x,t*this.m_impulse.y)};M.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_impulse.z};M.prototype.GetJointAngle=function(){return this.m_bodyB.m_sweep.a-this.m_bodyA.m_sweep.a-this.m_referenceAngle};M.prototype.GetJointSpeed=function(){return this.m_bodyB.m_angularVelocity-this.m_bodyA.m_angularVelocity};M.prototype.IsLimitEnabled=function(){return this.m_enableLimit};M.prototype.EnableLimit=function(t){this.m_enableLimit=t};M.prototype.GetLowerLimit=function(){return this.m_lowerAngle};M.prototype.GetUpperLimit=function(){return this.m_upperAngle};M.prototype.SetLimits=function(t,i){if(t===undefined)t=0;if(i===undefined)i=0;this.m_lowerAngle=t;this.m_upperAngle=i};M.prototype.IsMotorEnabled=function(){this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);return this.m_enableMotor};M.prototype.EnableMotor=function(t){this.m_enableMotor=t};M.prototype.SetMotorSpeed=function(t){if(t===undefined)t=0;this.m_bodyA.SetAwake(true);this.m_bodyB.SetAwake(true);this.m_motorSpeed=t};M.prototype.GetMotorSpeed=function(){return this.m_motorSpeed};M.prototype.SetMaxMotorTorque=function(t){if(t===undefined)t=0;this.m_maxMotorTorque=t};M.prototype.GetMotorTorque=function(){return this.m_maxMotorTorque};M.prototype.b2RevoluteJoint=function(t){this.__super.b2Joint.call(this,t);this.m_localAnchor1.SetV(t.localAnchorA);this.m_localAnchor2.SetV(t.localAnchorB);this.m_referenceAngle=t.referenceAngle;this.m_impulse.SetZero();this.m_motorImpulse=0;this.m_lowerAngle=t.lowerAngle;this.m_upperAngle=t.upperAngle;this.m_maxMotorTorque=t.maxMotorTorque;this.m_motorSpeed=t.motorSpeed;this.m_enableLimit=t.enableLimit;this.m_enableMotor=t.enableMotor;this.m_limitState=f.e_inactiveLimit};M.prototype.InitVelocityConstraints=function(t){var i=this.m_bodyA;var e=this.m_bodyB;var n;var r=0;if(this.m_enableMotor||this.m_enableLimit){}n=i.m_xf.R;var a=this.m_localAnchor1.x-i.m_sweep.localCenter.x;var l=this.m_localAnchor1.y-i.m_sweep.localCenter.y;r=n.col1.x*a+n.col2.x*l;l=n.col1.y*a+n.col2.y*l;a=r;n=e.m_xf.R;var m=this.m_localAnchor2.x-e.m_sweep.localCenter.x;var c=this.m_localAnchor2.y-e.m_sweep.localCenter.y;r=n.col1.x*m+n.col2.x*c;c=n.col1.y*m+n.col2.y*c;m=r;var h=i.m_invMass;var _=e.m_invMass;var p=i.m_invI;var u=e.m_invI;this.m_mass.col1.x=h+_+l*l*p+c*c*u;this.m_mass.col2.x=-l*a*p-c*m*u;this.m_mass.col3.x=-l*p-c*u;this.m_mass.col1.y=this.m_mass.col2.x;this.m_mass.col2.y=h+_+a*a*p+m*m*u;this.m_mass.col3.y=a*p+m*u;this.m_mass.col1.z=this.m_mass.col3.x;this.m_mass.col2.z=this.m_mass.col3.y;this.m_mass.col3.z=p+u;this.m_motorMass=1/(p+u);if(this.m_enableMotor==false){this.m_motorImpulse=0}if(this.m_enableLimit){var y=e.m_sweep.a-i.m_sweep.a-this.m_referenceAngle;if(s.Abs(this.m_upperAngle-this.m_lowerAngle)<2*o.b2_angularSlop){this.m_limitState=f.e_equalLimits}else if(y<=this.m_lowerAngle){if(this.m_limitState!=f.e_atLowerLimit){this.m_impulse.z=0}this.m_limitState=f.e_atLowerLimit}else if(y>=this.m_upperAngle){if(this.m_limitState!=f.e_atUpperLimit){this.m_impulse.z=0}this.m_limitState=f.e_atUpperLimit}else{this.m_limitState=f.e_inactiveLimit;this.m_impulse.z=0}}else{this.m_limitState=f.e_inactiveLimit}if(t.warmStarting){this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;this.m_motorImpulse*=t.dtRatio;var x=this.m_impulse.x;var v=this.m_impulse.y;i.m_linearVelocity.x-=h*x;i.m_linearVelocity.y-=h*v;i.m_angularVelocity-=p*(a*v-l*x+this.m_motorImpulse+this.m_impulse.z);e.m_linearVelocity.x+=_*x;e.m_linearVelocity.y+=_*v;e.m_angularVelocity+=u*(m*v-c*x+this.m_motorImpulse+this.m_impulse.z)}else{this.m_impulse.SetZero();this.m_motorImpulse=0}};M.prototype.SolveVelocityConstraints=function(t){var i=this.m_bodyA;var o=this.m_bodyB;var e;var n=0;var r=0;var a=0;var l=0;var m=0;var c=0;var h=i.m_linearVelocity;var _=i.m_angularVelocity;var p=o.m_linearVelocity;var u=o.m_angularVelocity;var y=i.m_invMass;var x=o.m_invMass;var v=i.m_invI;var d=o.m_invI;if(this.m_enableMotor&&this.m_limitState!=f.e_equalLimits){var b=u-_-this.m_motorSpeed;var D=this.m_motorMass*-b;var B=this.m_motorImpulse;var C=t.dt*this.m_maxMotorTorque;this.m_motorImpulse=s.Clamp(this.m_motorImpulse+D,-C,C);D=this.m_motorImpulse-B;_-=v*D;u+=d*D}if(this.m_enableLimit&&this.m_limitState!=f.e_inactiveLimit){e=i.m_xf.R;a=this.m_localAnchor1.x-i.m_sweep.localCenter.x;l=this.m_localAnchor1.y-i.m_sweep.localCenter.y;n=e.col1.x*a+e.col2.x*l;l=e.col1.y*a+e.col2.y*l;a=n;e=o.m_xf.R;m=this.m_localAnchor2.x-o.m_sweep.localCenter.x;c=this.m_localAnchor2.y-o.m_sweep.localCenter.y;n=e.col1.x*m+e.col2.x*c;c=e.col1.y*m+e.col2.y*c;m=n;var A=p.x+-u*c-h.x- -_*l;var S=p.y+u*m-h.y-_*a;var w=u-_;this.m_mass.Solve33(this.impulse3,-A,-S,-w);if(this.m_limitState==f.e_equalLimits){this.m_impulse.Add(this.impulse3)}else if(this.m_limitState==f.e_atLowerLimit){r=this.m_impulse.z+this.impulse3.z;if(r<0){this.m_mass.Solve22(this.reduced,-A,-S);this.impulse3.x=this.reduced.x;this.impulse3.y=this.reduced.y;this.impulse3.z=-this.m_impulse.z;this.m_impulse.x+=this.reduced.x;this.m_impulse.y+=this.reduced.y;this.m_impulse.z=0}}else if(this.m_limitState==f.e_atUpperLimit){r=this.m_impulse.z+this.impulse3.z;if(r>0){this.m_mass.Solve22(this.reduced,-A,-S);this.impulse3.x=this.reduced.x;this.impulse3.y=this.reduced.y;this.impulse3.z=-this.m_impulse.z;this.m_impulse.x+=this.reduced.x;this.m_impulse.y+=this.reduced.y;this.m_impulse.z=0}}h.x-=y*this.impulse3.x;h.y-=y*this.impulse3.y;_-=v*(a*this.impulse3.y-l*this.impulse3.x+this.impulse3.z);p.x+=x*this.impulse3.x;p.y+=x*this.impulse3.y;u+=d*(m*this.impulse3.y-c*this.impulse3.x+this.impulse3.z)}else{e=i.m_xf.R;a=this.m_localAnchor1.x-i.m_sweep.localCenter.x;l=this.m_localAnchor1.y-i.m_sweep.localCenter.y;n=e.col1.x*a+e.col2.x*l;l=e.col1.y*a+e.col2.y*l;a=n;e=o.m_xf.R;m=this.m_localAnchor2.x-o.m_sweep.localCenter.x;c=this.m_localAnchor2.y-o.m_sweep.localCenter.y;n=e.col1.x*m+e.col2.x*c;c=e.col1.y*m+e.col2.y*c;m=n;var g=p.x+-u*c-h.x- -_*l;var M=p.y+u*m-h.y-_*a;this.m_mass.Solve22(this.impulse2,-g,-M);this.m_impulse.x+=this.impulse2.x;this.m_impulse.y+=this.impulse2.y;h.x-=y*this.impulse2.x;h.y-=y*this.impulse2.y;_-=v*(a*this.impulse2.y-l*this.impulse2.x);p.x+=x*this.impulse2.x;p.y+=x*this.impulse2.y;u+=d*(m*this.impulse2.y-c*this.impulse2.x)}i.m_linearVelocity.SetV(h);i.m_angularVelocity=_;o.m_linearVelocity.SetV(p);o.m_angularVelocity=u};M.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i=0;var e=0;var n;var r=this.m_bodyA;var a=this.m_bodyB;var l=0;var m=0;var c=0;var h=0;var _=0;if(this.m_enableLimit&&this.m_limitState!=f.e_inactiveLimit){var p=a.m_sweep.a-r.m_sweep.a-this.m_referenceAngle;var u=0;if(this.m_limitState==f.e_equalLimits){e=s.Clamp(p-this.m_lowerAngle,-o.b2_maxAngularCorrection,o.b2_maxAngularCorrection);u=-this.m_motorMass*e;l=s.Abs(e)}else if(this.m_limitState==f.e_atLowerLimit){e=p-this.m_lowerAngle;l=-e;e=s.Clamp(e+o.b2_angularSlop,-o.b2_maxAngularCorrection,0);u=-this.m_motorMass*e}else if(this.m_limitState==f.e_atUpperLimit){e=p-this.m_upperAngle;l=e;e=s.Clamp(e-o.b2_angularSlop,0,o.b2_maxAngularCorrection);u=-this.m_motorMass*e}r.m_sweep.a-=r.m_invI*u;a.m_sweep.a+=a.m_invI*u;r.SynchronizeTransform();a.SynchronizeTransform()}{n=r.m_xf.R;var y=this.m_localAnchor1.x-r.m_sweep.localCenter.x;var x=this.m_localAnchor1.y-r.m_sweep.localCenter.y;c=n.col1.x*y+n.col2.x*x;x=n.col1.y*y+n.col2.y*x;y=c;n=a.m_xf.R;var v=this.m_localAnchor2.x-a.m_sweep.localCenter.x;var d=this.m_localAnchor2.y-a.m_sweep.localCenter.y;c=n.col1.x*v+n.col2.x*d;d=n.col1.y*v+n.col2.y*d;v=c;var b=a.m_sweep.c.x+v-r.m_sweep.c.x-y;var D=a.m_sweep.c.y+d-r.m_sweep.c.y-x;var B=b*b+D*D;var C=Math.sqrt(B);m=C;var A=r.m_invMass;var S=a.m_invMass;var w=r.m_invI;var g=a.m_invI;var V=10*o.b2_linearSlop;if(B>V*V){var I=b/C;var G=D/C;var L=A+S;var J=1/L;h=J*-b;_=J*-D;var F=.5;r.m_sweep.c.x-=F*A*h;r.m_sweep.c.y-=F*A*_;a.m_sweep.c.x+=F*S*h;a.m_sweep.c.y+=F*S*_;b=a.m_sweep.c.x+v-r.m_sweep.c.x-y;D=a.m_sweep.c.y+d-r.m_sweep.c.y-x}this.K1.col1.x=A+S;this.K1.col2.x=0;this.K1.col1.y=0;this.K1.col2.y=A+S;this.K2.col1.x=w*x*x;this.K2.col2.x=-w*y*x;this.K2.col1.y=-w*y*x;this.K2.col2.y=w*y*y;this.K3.col1.x=g*d*d;this.K3.col2.x=-g*v*d;this.K3.col1.y=-g*v*d;this.K3.col2.y=g*v*v;this.K.SetM(this.K1);this.K.AddM(this.K2);this.K.AddM(this.K3);this.K.Solve(M.tImpulse,-b,-D);h=M.tImpulse.x;_=M.tImpulse.y;r.m_sweep.c.x-=r.m_invMass*h;r.m_sweep.c.y-=r.m_invMass*_;r.m_sweep.a-=r.m_invI*(y*_-x*h);a.m_sweep.c.x+=a.m_invMass*h;a.m_sweep.c.y+=a.m_invMass*_;a.m_sweep.a+=a.m_invI*(v*_-d*h);r.SynchronizeTransform();a.SynchronizeTransform()}return m<=o.b2_linearSlop&&l<=o.b2_angularSlop};Box2D.postDefs.push(function(){Box2D.Dynamics.Joints.b2RevoluteJoint.tImpulse=new l});Box2D.inherit(V,Box2D.Dynamics.Joints.b2JointDef);V.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;V.b2RevoluteJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l};V.prototype.b2RevoluteJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_revoluteJoint;this.localAnchorA.Set(0,0);this.localAnchorB.Set(0,0);this.referenceAngle=0;this.lowerAngle=0;this.upperAngle=0;this.maxMotorTorque=0;this.motorSpeed=0;this.enableLimit=false;this.enableMotor=false};V.prototype.Initialize=function(t,i,o){this.bodyA=t;this.bodyB=i;this.localAnchorA=this.bodyA.GetLocalPoint(o);this.localAnchorB=this.bodyB.GetLocalPoint(o);this.referenceAngle=this.bodyB.GetAngle()-this.bodyA.GetAngle()};Box2D.inherit(I,Box2D.Dynamics.Joints.b2Joint);I.prototype.__super=Box2D.Dynamics.Joints.b2Joint.prototype;I.b2WeldJoint=function(){Box2D.Dynamics.Joints.b2Joint.b2Joint.apply(this,arguments);this.m_localAnchorA=new l;this.m_localAnchorB=new l;this.m_impulse=new m;this.m_mass=new n};I.prototype.GetAnchorA=function(){return this.m_bodyA.GetWorldPoint(this.m_localAnchorA)};I.prototype.GetAnchorB=function(){return this.m_bodyB.GetWorldPoint(this.m_localAnchorB)};I.prototype.GetReactionForce=function(t){if(t===undefined)t=0;return new l(t*this.m_impulse.x,t*this.m_impulse.y)};I.prototype.GetReactionTorque=function(t){if(t===undefined)t=0;return t*this.m_impulse.z};I.prototype.b2WeldJoint=function(t){this.__super.b2Joint.call(this,t);this.m_localAnchorA.SetV(t.localAnchorA);this.m_localAnchorB.SetV(t.localAnchorB);this.m_referenceAngle=t.referenceAngle;this.m_impulse.SetZero();this.m_mass=new n};I.prototype.InitVelocityConstraints=function(t){var i;var o=0;var e=this.m_bodyA;var n=this.m_bodyB;i=e.m_xf.R;var s=this.m_localAnchorA.x-e.m_sweep.localCenter.x;var r=this.m_localAnchorA.y-e.m_sweep.localCenter.y;o=i.col1.x*s+i.col2.x*r;r=i.col1.y*s+i.col2.y*r;s=o;i=n.m_xf.R;var a=this.m_localAnchorB.x-n.m_sweep.localCenter.x;var l=this.m_localAnchorB.y-n.m_sweep.localCenter.y;o=i.col1.x*a+i.col2.x*l;l=i.col1.y*a+i.col2.y*l;a=o;var m=e.m_invMass;var c=n.m_invMass;var h=e.m_invI;var _=n.m_invI;this.m_mass.col1.x=m+c+r*r*h+l*l*_;this.m_mass.col2.x=-r*s*h-l*a*_;this.m_mass.col3.x=-r*h-l*_;this.m_mass.col1.y=this.m_mass.col2.x;this.m_mass.col2.y=m+c+s*s*h+a*a*_;this.m_mass.col3.y=s*h+a*_;this.m_mass.col1.z=this.m_mass.col3.x;this.m_mass.col2.z=this.m_mass.col3.y;this.m_mass.col3.z=h+_;if(t.warmStarting){this.m_impulse.x*=t.dtRatio;this.m_impulse.y*=t.dtRatio;this.m_impulse.z*=t.dtRatio;e.m_linearVelocity.x-=m*this.m_impulse.x;e.m_linearVelocity.y-=m*this.m_impulse.y;e.m_angularVelocity-=h*(s*this.m_impulse.y-r*this.m_impulse.x+this.m_impulse.z);n.m_linearVelocity.x+=c*this.m_impulse.x;n.m_linearVelocity.y+=c*this.m_impulse.y;n.m_angularVelocity+=_*(a*this.m_impulse.y-l*this.m_impulse.x+this.m_impulse.z)}else{this.m_impulse.SetZero()}};I.prototype.SolveVelocityConstraints=function(t){var i;var o=0;var e=this.m_bodyA;var n=this.m_bodyB;var s=e.m_linearVelocity;var r=e.m_angularVelocity;var a=n.m_linearVelocity;var l=n.m_angularVelocity;var c=e.m_invMass;var h=n.m_invMass;var _=e.m_invI;var p=n.m_invI;i=e.m_xf.R;var u=this.m_localAnchorA.x-e.m_sweep.localCenter.x;var y=this.m_localAnchorA.y-e.m_sweep.localCenter.y;o=i.col1.x*u+i.col2.x*y;y=i.col1.y*u+i.col2.y*y;u=o;i=n.m_xf.R;var x=this.m_localAnchorB.x-n.m_sweep.localCenter.x;var f=this.m_localAnchorB.y-n.m_sweep.localCenter.y;o=i.col1.x*x+i.col2.x*f;f=i.col1.y*x+i.col2.y*f;x=o;var v=a.x-l*f-s.x+r*y;var d=a.y+l*x-s.y-r*u;var b=l-r;var D=new m;this.m_mass.Solve33(D,-v,-d,-b);this.m_impulse.Add(D);s.x-=c*D.x;s.y-=c*D.y;r-=_*(u*D.y-y*D.x+D.z);a.x+=h*D.x;a.y+=h*D.y;l+=p*(x*D.y-f*D.x+D.z);e.m_angularVelocity=r;n.m_angularVelocity=l};I.prototype.SolvePositionConstraints=function(t){if(t===undefined)t=0;var i;var e=0;var n=this.m_bodyA;var r=this.m_bodyB;i=n.m_xf.R;var a=this.m_localAnchorA.x-n.m_sweep.localCenter.x;var l=this.m_localAnchorA.y-n.m_sweep.localCenter.y;e=i.col1.x*a+i.col2.x*l;l=i.col1.y*a+i.col2.y*l;a=e;i=r.m_xf.R;var c=this.m_localAnchorB.x-r.m_sweep.localCenter.x;var h=this.m_localAnchorB.y-r.m_sweep.localCenter.y;e=i.col1.x*c+i.col2.x*h;h=i.col1.y*c+i.col2.y*h;c=e;var _=n.m_invMass;var p=r.m_invMass;var u=n.m_invI;var y=r.m_invI;var x=r.m_sweep.c.x+c-n.m_sweep.c.x-a;var f=r.m_sweep.c.y+h-n.m_sweep.c.y-l;var v=r.m_sweep.a-n.m_sweep.a-this.m_referenceAngle;var d=10*o.b2_linearSlop;var b=Math.sqrt(x*x+f*f);var D=s.Abs(v);if(b>d){u*=1;y*=1}this.m_mass.col1.x=_+p+l*l*u+h*h*y;this.m_mass.col2.x=-l*a*u-h*c*y;this.m_mass.col3.x=-l*u-h*y;this.m_mass.col1.y=this.m_mass.col2.x;this.m_mass.col2.y=_+p+a*a*u+c*c*y;this.m_mass.col3.y=a*u+c*y;this.m_mass.col1.z=this.m_mass.col3.x;this.m_mass.col2.z=this.m_mass.col3.y;this.m_mass.col3.z=u+y;var B=new m;this.m_mass.Solve33(B,-x,-f,-v);n.m_sweep.c.x-=_*B.x;n.m_sweep.c.y-=_*B.y;n.m_sweep.a-=u*(a*B.y-l*B.x+B.z);r.m_sweep.c.x+=p*B.x;r.m_sweep.c.y+=p*B.y;r.m_sweep.a+=y*(c*B.y-h*B.x+B.z);n.SynchronizeTransform();r.SynchronizeTransform();return b<=o.b2_linearSlop&&D<=o.b2_angularSlop};Box2D.inherit(G,Box2D.Dynamics.Joints.b2JointDef);G.prototype.__super=Box2D.Dynamics.Joints.b2JointDef.prototype;G.b2WeldJointDef=function(){Box2D.Dynamics.Joints.b2JointDef.b2JointDef.apply(this,arguments);this.localAnchorA=new l;this.localAnchorB=new l};G.prototype.b2WeldJointDef=function(){this.__super.b2JointDef.call(this);this.type=f.e_weldJoint;this.referenceAngle=0};G.prototype.Initialize=function(t,i,o){this.bodyA=t;this.bodyB=i;this.localAnchorA.SetV(this.bodyA.GetLocalPoint(o));this.localAnchorB.SetV(this.bodyB.GetLocalPoint(o));this.referenceAngle=this.bodyB.GetAngle()-this.bodyA.GetAngle()}})();(function(){var t=Box2D.Dynamics.b2DebugDraw;t.b2DebugDraw=function(){this.m_drawScale=1;this.m_lineThickness=1;this.m_alpha=1;this.m_fillAlpha=1;this.m_xformScale=1;var t=this;this.m_sprite={graphics:{clear:function(){t.m_ctx.clearRect(0,0,t.m_ctx.canvas.width,t.m_ctx.canvas.height)}}}};t.prototype._color=function(t,i){return"rgba("+((t&16711680)>>16)+","+((t&65280)>>8)+","+(t&255)+","+i+")"};t.prototype.b2DebugDraw=function(){this.m_drawFlags=0};t.prototype.SetFlags=function(t){if(t===undefined)t=0;this.m_drawFlags=t};t.prototype.GetFlags=function(){return this.m_drawFlags};t.prototype.AppendFlags=function(t){if(t===undefined)t=0;this.m_drawFlags|=t};t.prototype.ClearFlags=function(t){if(t===undefined)t=0;this.m_drawFlags&=~t};t.prototype.SetSprite=function(t){this.m_ctx=t};t.prototype.GetSprite=function(){return this.m_ctx};t.prototype.SetDrawScale=function(t){if(t===undefined)t=0;this.m_drawScale=t};t.prototype.GetDrawScale=function(){return this.m_drawScale};t.prototype.SetLineThickness=function(t){if(t===undefined)t=0;this.m_lineThickness=t;this.m_ctx.strokeWidth=t};t.prototype.GetLineThickness=function(){return this.m_lineThickness};t.prototype.SetAlpha=function(t){if(t===undefined)t=0;this.m_alpha=t};t.prototype.GetAlpha=function(){return this.m_alpha};t.prototype.SetFillAlpha=function(t){if(t===undefined)t=0;this.m_fillAlpha=t};t.prototype.GetFillAlpha=function(){return this.m_fillAlpha};t.prototype.SetXFormScale=function(t){if(t===undefined)t=0;this.m_xformScale=t};t.prototype.GetXFormScale=function(){return this.m_xformScale};t.prototype.DrawPolygon=function(t,i,o){if(!i)return;var e=this.m_ctx;var n=this.m_drawScale;e.beginPath();e.strokeStyle=this._color(o.color,this.m_alpha);e.moveTo(t[0].x*n,t[0].y*n);for(var s=1;s<i;s++){e.lineTo(t[s].x*n,t[s].y*n)}e.lineTo(t[0].x*n,t[0].y*n);e.closePath();e.stroke()};t.prototype.DrawSolidPolygon=function(t,i,o){if(!i)return;var e=this.m_ctx;var n=this.m_drawScale;e.beginPath();e.strokeStyle=this._color(o.color,this.m_alpha);e.fillStyle=this._color(o.color,this.m_fillAlpha);e.moveTo(t[0].x*n,t[0].y*n);for(var s=1;s<i;s++){e.lineTo(t[s].x*n,t[s].y*n)}e.lineTo(t[0].x*n,t[0].y*n);e.closePath();e.fill();e.stroke()};t.prototype.DrawCircle=function(t,i,o){if(!i)return;var e=this.m_ctx;var n=this.m_drawScale;e.beginPath();e.strokeStyle=this._color(o.color,this.m_alpha);e.arc(t.x*n,t.y*n,i*n,0,Math.PI*2,true);e.closePath();e.stroke()};t.prototype.DrawSolidCircle=function(t,i,o,e){if(!i)return;var n=this.m_ctx,s=this.m_drawScale,r=t.x*s,a=t.y*s;n.moveTo(0,0);n.beginPath();n.strokeStyle=this._color(e.color,this.m_alpha);n.fillStyle=this._color(e.color,this.m_fillAlpha);n.arc(r,a,i*s,0,Math.PI*2,true);n.moveTo(r,a);n.lineTo((t.x+o.x*i)*s,(t.y+o.y*i)*s);n.closePath();n.fill();n.stroke()};t.prototype.DrawSegment=function(t,i,o){var e=this.m_ctx,n=this.m_drawScale;e.strokeStyle=this._color(o.color,this.m_alpha);e.beginPath();e.moveTo(t.x*n,t.y*n);e.lineTo(i.x*n,i.y*n);e.closePath();e.stroke()};t.prototype.DrawTransform=function(t){var i=this.m_ctx,o=this.m_drawScale;i.beginPath();i.strokeStyle=this._color(16711680,this.m_alpha);i.moveTo(t.position.x*o,t.position.y*o);i.lineTo((t.position.x+this.m_xformScale*t.R.col1.x)*o,(t.position.y+this.m_xformScale*t.R.col1.y)*o);i.strokeStyle=this._color(65280,this.m_alpha);i.moveTo(t.position.x*o,t.position.y*o);i.lineTo((t.position.x+this.m_xformScale*t.R.col2.x)*o,(t.position.y+this.m_xformScale*t.R.col2.y)*o);i.closePath();i.stroke()}})();var i;for(i=0;i<Box2D.postDefs.length;++i)Box2D.postDefs[i]();delete Box2D.postDefs;if(typeof module!="undefined"&&module.exports)module.exports=Box2D;
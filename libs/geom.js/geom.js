@@ -1,6 +1,6 @@
 /// Copyright by Erik Weitnauer, 2012.
 
-Circle = function(cx, cy, r) {
+var Circle = function(cx, cy, r) {
   this.x = cx;
   this.y = cy;
   this.r = r;
@@ -29,11 +29,15 @@ Circle.prototype.bounding_box = function() {
 
 /// Create a circle based on an svg circle node.
 Circle.fromSVGCircle = function(node) {
-  var attrs = node.attributes;
-  if (attrs.cx && attrs.cy && attrs.r) {
-    return new Circle(Number(attrs.cx.value), Number(attrs.cy.value)
-                     ,Number(attrs.r.value));
-  } else return null;
+  var cx = node.getAttribute('cx'), cy = node.getAttribute('cy'), r = node.getAttribute('r');
+  if (cx && cy && r) return new Circle(Number(cx), Number(cy), Number(r));
+  else return null;
+}
+
+/// Returns true if the point p lies inside or on the circle.
+Circle.prototype.contains = function(p) {
+  var dx = p.x-this.x, dy = p.y-this.y;
+  return dx*dx + dy*dy <= this.r*this.r;
 }
 
 /// This method is used to parse circles in SVG created with older Inkscape
@@ -41,7 +45,7 @@ Circle.fromSVGCircle = function(node) {
 /// is still available in sodipodi:cx, sodipodi:cy, sodipodi:rx and sodipodi:ry.
 /// If exclude_ellipse is passed as true, the program will reject cases in which
 /// rx differs from ry (default: true).
-Circle.fromSVGPath = function(path_node) {
+Circle.fromSVGPath = function(path_node, exclude_ellipse) {
   if (typeof(exclude_ellipse) == 'undefined') exclude_ellipse = true;
   var ns = path_node.lookupNamespaceURI('sodipodi');
   var get_attr = function(attr) { return path_node.getAttributeNS(ns, attr) };
@@ -226,7 +230,7 @@ Matrix.prototype.min = function() {
 
 /// Constructor. Either pass a point instance or x, y coordinates. If nothing is
 /// passed, the point is initialized with 0, 0.
-Point = function(p_or_x, y) {
+var Point = function(p_or_x, y) {
   if (arguments.length==0) { this.x = 0; this.y = 0 }
   else if (arguments.length==1) { this.x = p_or_x.x; this.y = p_or_x.y }
   else { this.x = p_or_x; this.y = y }
@@ -454,7 +458,7 @@ Array.remove = function(array, from, to) {
 };
 
 /// The polygon is initialized as 'closed'.
-Polygon = function(pts) {
+var Polygon = function(pts) {
   this.pts = [];
   this.closed = true;
   this.max_error = 0.2;
@@ -558,6 +562,18 @@ Polygon.prototype.get_edge_lengths = function(sorted) {
   return a;
 }
 
+/// Returns true if the point p lies inside the polygon. Uses the even-odd rule,
+/// so it works for concave polygons as well. The polygon is treated as closed.
+Polygon.prototype.contains = function(p) {
+  var inside = false, N = this.pts.length;
+  for (var i=0, j=N-1; i<N; j=i++) {
+    var a = this.pts[i], b = this.pts[j];
+    if ((a.y > p.y) != (b.y > p.y) &&
+        p.x < (b.x-a.x) * (p.y-a.y) / (b.y-a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
 /// Returns true if the vertex is convex. (Ordered!)
 Polygon.prototype.is_convex = function(idx) {
   var N = this.pts.length;
@@ -820,61 +836,63 @@ Polygon.fromSVGPath = function(path_node, max_error, remove_duplicates) {
 
   // get the path segments, insert their start and end points and depending
   // on their type more points to interpolate curved parts
-  var segs = []
+  // use the browser's pathSegList if available, otherwise parse the 'd' attribute
+  var segs = [], S = Polygon.PATHSEG;
   var segList = path_node.pathSegList;
-  for (var i=segList.numberOfItems-1; i>=0; --i) segs[i] = segList.getItem(i);
+  if (segList) for (var i=segList.numberOfItems-1; i>=0; --i) segs[i] = segList.getItem(i);
+  else segs = Polygon.parseSVGPathData(path_node.getAttribute('d'));
 
   /// iterate over segments
   var ep = new Point(0,0), cp = null; // current end point
   for (var i=0; i<segs.length; ++i) {
     var seg = segs[i];
-    if (seg.pathSegType == SVGPathSeg.PATHSEG_CLOSEPATH) {
+    if (seg.pathSegType == S.CLOSEPATH) {
       poly.closed = true;
       break; // just take the first subpath
     } else {
       switch (seg.pathSegType) {
-        case SVGPathSeg.PATHSEG_MOVETO_ABS: ep = new Point(seg.x, seg.y); cp = ep; poly.push(ep); break;
-        case SVGPathSeg.PATHSEG_MOVETO_REL: ep = ep.add(new Point(seg.x, seg.y)); cp = ep; poly.push(ep); break;
-        case SVGPathSeg.PATHSEG_LINETO_ABS: ep = new Point(seg.x, seg.y); cp = ep; poly.push(ep); break;
-        case SVGPathSeg.PATHSEG_LINETO_REL: ep = ep.add(new Point(seg.x, seg.y)); cp = ep; poly.push(ep); break;
-        case SVGPathSeg.PATHSEG_CURVETO_CUBIC_ABS:
+        case S.MOVETO_ABS: ep = new Point(seg.x, seg.y); cp = ep; poly.push(ep); break;
+        case S.MOVETO_REL: ep = ep.add(new Point(seg.x, seg.y)); cp = ep; poly.push(ep); break;
+        case S.LINETO_ABS: ep = new Point(seg.x, seg.y); cp = ep; poly.push(ep); break;
+        case S.LINETO_REL: ep = ep.add(new Point(seg.x, seg.y)); cp = ep; poly.push(ep); break;
+        case S.CURVETO_CUBIC_ABS:
           cp = new Point(seg.x2, seg.y2);
           ep = poly.sampleBezier(ep, new Point(seg.x1, seg.y1), cp, new Point(seg.x, seg.y));
           break;
-        case SVGPathSeg.PATHSEG_CURVETO_CUBIC_REL:
+        case S.CURVETO_CUBIC_REL:
           cp = new Point(seg.x2+ep.x, seg.y2+ep.y);
           ep = poly.sampleBezier(ep, new Point(seg.x1+ep.x, seg.y1+ep.y),
             cp, new Point(seg.x+ep.x, seg.y+ep.y));
           break;
-        case SVGPathSeg.PATHSEG_CURVETO_QUADRATIC_ABS:
+        case S.CURVETO_QUADRATIC_ABS:
           cp = new Point(seg.x1, seg.y1);
           ep = poly.sampleBezier2(ep, cp, new Point(seg.x, seg.y));
           break;
-        case SVGPathSeg.PATHSEG_CURVETO_QUADRATIC_REL:
+        case S.CURVETO_QUADRATIC_REL:
           cp = new Point(seg.x1+ep.x, seg.y1+ep.y);
           ep = poly.sampleBezier2(ep, cp, new Point(seg.x+ep.x, seg.y+ep.y));
           break;
-        case SVGPathSeg.PATHSEG_ARC_ABS: throw "not implemented!";
-        case SVGPathSeg.PATHSEG_ARC_REL: throw "not implemented!";
-        case SVGPathSeg.PATHSEG_LINETO_HORIZONTAL_ABS: ep = new Point(seg.x, ep.y); cp = ep; poly.push(ep); break;
-        case SVGPathSeg.PATHSEG_LINETO_HORIZONTAL_REL: ep = new Point(seg.x+ep.x, ep.y); cp = ep; poly.push(ep); break;
-        case SVGPathSeg.PATHSEG_LINETO_VERTICAL_ABS: ep = new Point(ep.x, seg.y); cp = ep; poly.push(ep); break;
-        case SVGPathSeg.PATHSEG_LINETO_VERTICAL_REL: ep = new Point(ep.x, seg.y+ep.y); cp = ep; poly.push(ep); break;
-        case SVGPathSeg.PATHSEG_CURVETO_CUBIC_SMOOTH_ABS:
+        case S.ARC_ABS: throw "not implemented!";
+        case S.ARC_REL: throw "not implemented!";
+        case S.LINETO_HORIZONTAL_ABS: ep = new Point(seg.x, ep.y); cp = ep; poly.push(ep); break;
+        case S.LINETO_HORIZONTAL_REL: ep = new Point(seg.x+ep.x, ep.y); cp = ep; poly.push(ep); break;
+        case S.LINETO_VERTICAL_ABS: ep = new Point(ep.x, seg.y); cp = ep; poly.push(ep); break;
+        case S.LINETO_VERTICAL_REL: ep = new Point(ep.x, seg.y+ep.y); cp = ep; poly.push(ep); break;
+        case S.CURVETO_CUBIC_SMOOTH_ABS:
           var mirror_cp = new Point(2*ep.x-cp.x, 2*ep.y-cp.y);
           cp = new Point(seg.x2, seg.y2);
           ep = poly.sampleBezier(ep, mirror_cp, cp, new Point(seg.x, seg.y));
           break;
-        case SVGPathSeg.PATHSEG_CURVETO_CUBIC_SMOOTH_REL:
+        case S.CURVETO_CUBIC_SMOOTH_REL:
           var mirror_cp = new Point(2*ep.x-cp.x, 2*ep.y-cp.y);
           cp = new Point(seg.x2+ep.x, seg.y2+ep.y);
           ep = poly.sampleBezier(ep, mirror_cp, cp, new Point(seg.x+ep.x, seg.y+ep.y));
           break;
-        case SVGPathSeg.PATHSEG_CURVETO_QUADRATIC_SMOOTH_ABS:
+        case S.CURVETO_QUADRATIC_SMOOTH_ABS:
           cp = new Point(2*ep.x-cp.x, 2*ep.y-cp.y);
           ep = poly.sampleBezier2(ep, cp, new Point(seg.x, seg.y));
           break;
-        case SVGPathSeg.PATHSEG_CURVETO_QUADRATIC_SMOOTH_REL:
+        case S.CURVETO_QUADRATIC_SMOOTH_REL:
           cp = new Point(2*ep.x-cp.x, 2*ep.y-cp.y);
           ep = poly.sampleBezier2(ep, cp, new Point(seg.x+ep.x, seg.y+ep.y));
           break;
@@ -888,6 +906,51 @@ Polygon.fromSVGPath = function(path_node, max_error, remove_duplicates) {
   return poly;
 }
 
+/// Path segment types, same values as the constants of the SVGPathSeg DOM interface.
+Polygon.PATHSEG = {
+  CLOSEPATH: 1, MOVETO_ABS: 2, MOVETO_REL: 3, LINETO_ABS: 4, LINETO_REL: 5
+ ,CURVETO_CUBIC_ABS: 6, CURVETO_CUBIC_REL: 7, CURVETO_QUADRATIC_ABS: 8
+ ,CURVETO_QUADRATIC_REL: 9, ARC_ABS: 10, ARC_REL: 11, LINETO_HORIZONTAL_ABS: 12
+ ,LINETO_HORIZONTAL_REL: 13, LINETO_VERTICAL_ABS: 14, LINETO_VERTICAL_REL: 15
+ ,CURVETO_CUBIC_SMOOTH_ABS: 16, CURVETO_CUBIC_SMOOTH_REL: 17
+ ,CURVETO_QUADRATIC_SMOOTH_ABS: 18, CURVETO_QUADRATIC_SMOOTH_REL: 19
+};
+
+/// Parses the content of a path's 'd' attribute into an array of segment objects
+/// that look like the ones in the pathSegList DOM interface: each has a `pathSegType`
+/// (see Polygon.PATHSEG) and the respective x, y, x1, y1, x2, y2 fields. This is used
+/// where no pathSegList is available, e.g. in recent browsers or in node.js.
+Polygon.parseSVGPathData = function(d) {
+  var params = { M: ['x','y'], L: ['x','y'], T: ['x','y'], H: ['x'], V: ['y']
+               , C: ['x1','y1','x2','y2','x','y'], S: ['x2','y2','x','y']
+               , Q: ['x1','y1','x','y'], Z: []
+               , A: ['r1','r2','angle','largeArcFlag','sweepFlag','x','y'] };
+  var types = { M: 'MOVETO', L: 'LINETO', T: 'CURVETO_QUADRATIC_SMOOTH'
+              , H: 'LINETO_HORIZONTAL', V: 'LINETO_VERTICAL', C: 'CURVETO_CUBIC'
+              , S: 'CURVETO_CUBIC_SMOOTH', Q: 'CURVETO_QUADRATIC', A: 'ARC' };
+  var tokens = (d || '').match(/[MmLlTtHhVvCcSsQqAaZz]|[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || [];
+  var segs = [], cmd = null, i = 0;
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) cmd = tokens[i++];
+    else if (!cmd) throw "path data has to start with a command";
+    var upper = cmd.toUpperCase(), names = params[upper];
+    if (upper === 'Z') {
+      segs.push({pathSegType: Polygon.PATHSEG.CLOSEPATH});
+      cmd = null;
+      continue;
+    }
+    var seg = {pathSegType: Polygon.PATHSEG[types[upper] + (cmd === upper ? '_ABS' : '_REL')]};
+    for (var j=0; j<names.length; j++, i++) {
+      if (i >= tokens.length || /[a-z]/i.test(tokens[i])) throw "missing parameters in path data";
+      seg[names[j]] = Number(tokens[i]);
+    }
+    segs.push(seg);
+    // subsequent coordinate pairs after a moveto are implicit lineto commands
+    if (upper === 'M') cmd = (cmd === 'M' ? 'L' : 'l');
+  }
+  return segs;
+}
+
 /// The function approximates a 3rd order bezier by straight line segments that
 /// are no further away from the curve than 'this.max_error'. All points except the
 /// start and end point are added to the polygon. It returns the end point 'd'.
@@ -1035,7 +1098,6 @@ Polygon.prototype.renderOnCanvas = function(ctx, do_stroke, do_fill) {
   if (do_fill) ctx.fill();
 }
 
-if (typeof(exports) != 'undefined') { exports.Polygon = Polygon }
 /// Copyright by Erik Weitnauer, 2012.
 
 /// Decomposes the polygon into convex pieces. (Ordered!)
@@ -1364,13 +1426,16 @@ var SpatialRelationAnalyzer = function(resolution, scale, type, f_beta, f_member
 
   /// Draws the shape onto a canvas, converts it to a matrix and returns the matrix.
   /// The dimensions of the matrix might be `res` or `res-1` depending on which one
-  /// provides the better fit.
+  /// provides the better fit. If there is no html document (e.g., in node.js), the
+  /// shape is rasterized without a canvas, see `rasterizeShape`.
   var calcBodyMatrix = core.calcBodyMatrix = function(shape) {
     var w=res, h=res;
     var bb = shape.bounding_box();
     if (Math.ceil(bb.width * scale) % 2 != res%2) w = res-1;
     if (Math.ceil(bb.height * scale) % 2 != res%2) h = res-1;
 
+    if (typeof(document) == 'undefined') return rasterizeShape(shape, w, h);
+
     var can = document.createElement('canvas');
     can.width = w; can.height = h;
     var ctx = can.getContext("2d");
@@ -1390,6 +1455,33 @@ var SpatialRelationAnalyzer = function(resolution, scale, type, f_beta, f_member
     return B;
   }
 
+  /// Canvas-free version of calcBodyMatrix. Uses the same transformation as the
+  /// canvas version, but sets each matrix entry to one whose pixel center lies
+  /// inside the shape.
+  var rasterizeShape = core.rasterizeShape = function(shape, w, h) {
+    var M = Matrix.construct(h, w, 0);
+    var xmin = w, xmax = 0, ymin = h, ymax = 0;
+    // polygon vertices are relative to shape.x, shape.y, circles are not
+    var dx = 0, dy = 0;
+    if (shape instanceof Circle) { dx = shape.x; dy = shape.y }
+    var cos = Math.cos(-shape.rot || 0), sin = Math.sin(-shape.rot || 0);
+    var p = new Point();
+    for (var j=0; j<h; j++) for (var i=0; i<w; i++) {
+      // map the pixel center back into the coordinate system of the shape
+      var x = (i+0.5-w/2)/scale, y = (j+0.5-h/2)/scale;
+      p.x = x*cos - y*sin + dx; p.y = x*sin + y*cos + dy;
+      if (!shape.contains(p)) continue;
+      M[j][i] = 1;
+      xmin = Math.min(xmin, i);
+      xmax = Math.max(xmax, i);
+      ymin = Math.min(ymin, j);
+      ymax = Math.max(ymax, j);
+    }
+    M.bounding_box = {x0:xmin, y0:ymin, x1:xmax, y1: ymax};
+    if (xmin>xmax) M[Math.floor(h/2)][Math.floor(w/2)] = 1;
+    return M;
+  }
+
   /// Creates and returns a matrix such that each canvas pixel with alpha==0
   /// is translated into zero, all others to one.
   /// The matrix gets a 'bounding_box' attribute {x0,x1,y0,y1} that surrounds
@@ -1976,3 +2068,10 @@ SparseMatrixCRS.prototype.mul = function(x) {
   for (var i=0; i<this.M; i++) for (var k=this.rp[i]; k<this.rp[i+1]; k++) y[i] += this.v[k] * x[this.j[k]];
   return y;
 }
+
+if (typeof(module) != 'undefined' && module.exports) {
+  module.exports = { Circle: Circle, Point: Point, Polygon: Polygon, Matrix: Matrix
+                   , Vector: Vector, SparseVector: SparseVector, SparseMatrix: SparseMatrix
+                   , SparseMatrixCRS: SparseMatrixCRS
+                   , SpatialRelationAnalyzer: SpatialRelationAnalyzer };
+}
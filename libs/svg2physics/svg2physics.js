@@ -1,5 +1,12 @@
-s2p = (function(){
+(function (root, factory) {
+  if (typeof(module) != 'undefined' && module.exports) {
+    module.exports = factory(require('../box2dweb/Box2D.js'), require('../geom.js/geom.js'));
+  } else {
+    root.s2p = factory(root.Box2D, root);
+  }
+})(this, function(Box2D, geom) {
   var s2p = { version: "1.1.1" }; // semver
+  var Point = geom.Point, Polygon = geom.Polygon, Circle = geom.Circle;
 // Copyright Erik Weitnauer 2014.
 var
   b2BodyDef = Box2D.Dynamics.b2BodyDef
@@ -11,7 +18,7 @@ var
  ,b2FixtureDef = Box2D.Dynamics.b2FixtureDef
  ,b2AABB = Box2D.Collision.b2AABB;
 
-Box2DAdapter = function() {
+var Box2DAdapter = function() {
   var self = this;
   this.rel_curve_error_margin = 0.08;  // unit: fraction of object diameter
   this.linear_damping = 0.35;   // Set for each body. Box2D uses the formula
@@ -76,8 +83,8 @@ Box2DAdapter.prototype.loadScene = function(world, scene) {
       if (shape.movable) {
         //console.log('scale', scale_x, scale_y);
         _shape.pts.forEach(function(p) { p.x *= scale_x; p.y *= scale_y });
-      } else if (shape.id == "_") {
-         // if its the ground, move it up a bit
+      } else if (shape.id != "|") {
+         // if its the ground or another static shape, move it up a bit
          _shape.pts.forEach(function(p) { p.y += (target_width-stroke_width)*scale/4 });
       }
     } else if (_shape instanceof Circle) {
@@ -189,18 +196,18 @@ Box2DAdapter.prototype.add_fixture = function(shape, body, fixture_proto, is_dyn
   } else throw("Unkown shape type!");
 }
 
-obj_extend = function(target, src) {
-  for (x in src) {
+var obj_extend = function(target, src) {
+  for (var x in src) {
     if (src.hasOwnProperty(x)) target[x] = src[x];
   }
 }
 
-obj_extended = function(src1, src2) {
+var obj_extended = function(src1, src2) {
   var target = {};
-  for (x in src1) {
+  for (var x in src1) {
     if (src1.hasOwnProperty(x)) target[x] = src1[x];
   }
-  for (x in src2) {
+  for (var x in src2) {
     if (src2.hasOwnProperty(x)) target[x] = src2[x];
   }
   return target;
@@ -406,7 +413,7 @@ play mode when the user starts interacting.
 
 Manually set show_pos to true in order to display the current mouse position.
 */
-Simulator = function(physics_scene, canvas, scaling, show_time, auto_pause) {
+var Simulator = function(physics_scene, canvas, scaling, show_time, auto_pause) {
   this.canvas = canvas;
   this.ctx = canvas.getContext('2d');
   this.pscene = physics_scene;
@@ -814,10 +821,18 @@ var SVGSceneParser = (function() {
   }
   pub.ajaxGetUrl = ajaxGetUrl;
 
+  /// Function used by parseFile to read the content of a file. Defaults to ajaxGetUrl,
+  /// replace it where there is no XMLHttpRequest (e.g., with fs.readFileSync in node.js).
+  pub.readFile = ajaxGetUrl;
+
+  /// DOMParser implementation used to parse the svg content. Defaults to window.DOMParser,
+  /// set it where there is none (e.g., to the DOMParser of the xmldom package in node.js).
+  pub.DOMParser = (typeof(window) != 'undefined') ? window.DOMParser : null;
+
   // Parse an XML string, return as DOM tree.
   var parseXml = function(xml) {
-    if (window.DOMParser) {
-      var parser = new DOMParser();
+    if (pub.DOMParser) {
+      var parser = new pub.DOMParser();
       //return parser.parseFromString(xml, 'image/svg+xml');
       return parser.parseFromString(xml, 'image/svg+xml');
     } else {
@@ -831,8 +846,17 @@ var SVGSceneParser = (function() {
   pub.parseXml = parseXml;
 
   /// Reads all styles set for a node and returns them as a hash.
+  /// If the node has no style object (which is the case outside of an html document),
+  /// the style attribute is parsed instead.
   var readStyle = function(node, scaling) {
     var s = {};
+    if (!node.style) {
+      (node.getAttribute('style') || '').split(';').forEach(function(decl) {
+        var idx = decl.indexOf(':');
+        if (idx > 0) s[decl.slice(0, idx).trim()] = decl.slice(idx+1).trim();
+      });
+      return s;
+    }
     for (var i=0; i<node.style.length; ++i) {
       var key = node.style.item(i);
       s[key] = node.style.getPropertyValue(key);
@@ -840,17 +864,68 @@ var SVGSceneParser = (function() {
     return s;
   }
 
+  /// Returns the matrix {a, b, c, d, e, f} that is the result of multiplying m1 with m2.
+  var multiply = function(m1, m2) {
+    return { a: m1.a*m2.a + m1.c*m2.b, b: m1.b*m2.a + m1.d*m2.b
+           , c: m1.a*m2.c + m1.c*m2.d, d: m1.b*m2.c + m1.d*m2.d
+           , e: m1.a*m2.e + m1.c*m2.f + m1.e, f: m1.b*m2.e + m1.d*m2.f + m1.f };
+  }
+
+  /// Parses the content of an svg transform attribute and returns it as matrix
+  /// {a, b, c, d, e, f}.
+  var parseTransform = function(str) {
+    var m = {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0};
+    var re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g, match;
+    while ((match = re.exec(str || ''))) {
+      var v = match[2].split(/[\s,]+/).filter(function(x) { return x !== '' }).map(Number);
+      var t;
+      switch (match[1]) {
+        case 'matrix': t = {a: v[0], b: v[1], c: v[2], d: v[3], e: v[4], f: v[5]}; break;
+        case 'translate': t = {a: 1, b: 0, c: 0, d: 1, e: v[0], f: v[1] || 0}; break;
+        case 'scale': t = {a: v[0], b: 0, c: 0, d: v.length > 1 ? v[1] : v[0], e: 0, f: 0}; break;
+        case 'rotate':
+          var rad = v[0]*Math.PI/180, cos = Math.cos(rad), sin = Math.sin(rad);
+          var cx = v[1] || 0, cy = v[2] || 0;
+          t = {a: cos, b: sin, c: -sin, d: cos, e: cx - cos*cx + sin*cy, f: cy - sin*cx - cos*cy};
+          break;
+        case 'skewX': t = {a: 1, b: 0, c: Math.tan(v[0]*Math.PI/180), d: 1, e: 0, f: 0}; break;
+        case 'skewY': t = {a: 1, b: Math.tan(v[0]*Math.PI/180), c: 0, d: 1, e: 0, f: 0}; break;
+      }
+      m = multiply(m, t);
+    }
+    return m;
+  }
+  pub.parseTransform = parseTransform;
+
+  /// Returns the transformation matrix from the passed node's coordinate system to
+  /// the one of the root svg node. Uses the getCTM DOM function if available and
+  /// otherwise combines the transform attributes of the node and its ancestors.
+  var getCTM = function(node) {
+    if (node.getCTM) return node.getCTM();
+    var m = {a: 1, b: 0, c: 0, d: 1, e: 0, f: 0};
+    for (var n = node; n && n.getAttribute; n = n.parentNode) {
+      m = multiply(parseTransform(n.getAttribute('transform')), m);
+    }
+    return m;
+  }
+
   /// Returns the scaling that is done by the passed svg transformation.
   var extract_scaling = function(tf) {
     return (Point.len(tf.a, tf.b) + Point.len(tf.c, tf.d)) / 2
   }
 
-  /// Loads the shapes in the scene from the contents of an svg file (passed as string).
+  /// Loads the shapes in the scene from the svg file at the passed url.
   /// The default pixels_per_unit is 100.
   var parseFile = function(file_url, pixels_per_unit) {
-    pixels_per_unit = pixels_per_unit || 100;
     //console.log('parsing', file_url);
-    var content = ajaxGetUrl(file_url);
+    return parseString(pub.readFile(file_url), pixels_per_unit);
+  }
+  pub.parseFile = parseFile;
+
+  /// Loads the shapes in the scene from the contents of an svg file (passed as string).
+  /// The default pixels_per_unit is 100.
+  var parseString = function(content, pixels_per_unit) {
+    pixels_per_unit = pixels_per_unit || 100;
     var svg_dom = parseXml(content);
     if (!svg_dom) throw 'Error parsing ' + content;
 
@@ -858,7 +933,9 @@ var SVGSceneParser = (function() {
     // normally we would use the svg dom tree directly, but due to this bug in Firefox
     // (https://bugzilla.mozilla.org/show_bug.cgi?id=756985),
     // we need to add it to the main dom tree if we want to use getCTM() dom function.
-    var root = append_svg_to_dom(svg_dom, "hidden_svg_div");
+    // Without an html document, getCTM is replaced by our own implementation.
+    var root = (typeof(document) != 'undefined') ? append_svg_to_dom(svg_dom, "hidden_svg_div")
+                                                 : svg_dom.documentElement;
     var shapes = [];
 
     // the stroke-width must be multiplied with the scaling of the object to get the
@@ -874,7 +951,7 @@ var SVGSceneParser = (function() {
     for (var i=0; i<rects.length; i++) {
       var rect_node = rects[i];
       var shape = Polygon.fromSVGRect(rect_node);
-      shape.svg_transform = rect_node.getCTM();
+      shape.svg_transform = getCTM(rect_node);
       shape.style = readStyle(rect_node);
       scale_stroke_width(shape, extract_scaling(shape.svg_transform));
       shapes.push(shape);
@@ -895,7 +972,7 @@ var SVGSceneParser = (function() {
       if (shape instanceof Polygon) {
         shape.merge_vertices({min_dist: 1, min_vertex_count: 2});
       }
-      shape.svg_transform = path_node.getCTM();
+      shape.svg_transform = getCTM(path_node);
       shape.style = readStyle(path_node);
       scale_stroke_width(shape, extract_scaling(shape.svg_transform));
       shapes.push(shape);
@@ -905,7 +982,7 @@ var SVGSceneParser = (function() {
     for (var i=0; i<circles.length; i++) {
       var path_node = circles[i];
       var shape = Circle.fromSVGCircle(path_node);
-      shape.svg_transform = path_node.getCTM();
+      shape.svg_transform = getCTM(path_node);
       shape.style = readStyle(path_node);
       scale_stroke_width(shape, extract_scaling(shape.svg_transform));
       shapes.push(shape);
@@ -917,25 +994,24 @@ var SVGSceneParser = (function() {
       s.movable = !(color == "#000000" || color == "#000" || color == "black" || color == "rgb(0, 0, 0)");
     });
 
-    apply_transformations([frame], 0, 0, 1, root);
+    apply_transformations([frame], 0, 0, 1);
     var s  = 100/Math.abs(frame.pts[0].x-frame.pts[1].x)
        ,dx = -Math.min(frame.pts[0].x, frame.pts[1].x)*s
        ,dy = -Math.min(frame.pts[0].y, frame.pts[2].y)*s
-    apply_transformations(shapes, dx, dy, s, root);
-    apply_transformations([frame], dx, dy, s, root);
+    apply_transformations(shapes, dx, dy, s);
+    apply_transformations([frame], dx, dy, s);
 
     return new SVGScene(shapes, frame, pixels_per_unit);
   }
-  pub.parseFile = parseFile;
+  pub.parseString = parseString;
 
   /// Applies the svg transformation to each object.
-  var apply_transformations = function(shapes, dx, dy, s, svg) {
-    var svg_pt = svg.createSVGPoint(0,0);
+  var apply_transformations = function(shapes, dx, dy, s) {
     shapes.forEach(function(shape) {
       var transform = function(p) {
-        svg_pt.x = p.x; svg_pt.y = p.y;
-        if (shape.svg_transform) svg_pt = svg_pt.matrixTransform(shape.svg_transform);
-        p.x = s*svg_pt.x+dx; p.y = s*svg_pt.y+dy;
+        var x = p.x, y = p.y, m = shape.svg_transform;
+        if (m) { x = m.a*p.x + m.c*p.y + m.e; y = m.b*p.x + m.d*p.y + m.f }
+        p.x = s*x+dx; p.y = s*y+dy;
       }
       if (shape instanceof Circle) {
         var c = shape.centroid(); transform(c);
@@ -982,7 +1058,7 @@ var SVGSceneParser = (function() {
 })();
 
 
-SVGScene = function(shapes, frame, pixels_per_unit) {
+var SVGScene = function(shapes, frame, pixels_per_unit) {
   this.shapes = shapes || []; // may contain polygons or circles
   this.frame = frame;
   this.shapes.push(frame);
@@ -1015,12 +1091,22 @@ SVGScene.prototype.adjustStrokeWidth = function(width) {
   }
 }
 
+/// Movable shapes get their index as id, the frame gets '|' and the widest of the other
+/// static shapes, the ground, gets '_'. All other static shapes get their index with a
+/// leading '_', e.g. '_3'.
 SVGScene.prototype.setIds = function() {
+  var ground = null;
+  var width = function(s) { return s.bounding_box().width };
   for (var i=0; i<this.shapes.length; i++) {
-    if (this.shapes[i].movable) this.shapes[i].id = i;
-    else if (this.shapes[i] == this.frame) this.shapes[i].id = '|'
-    else this.shapes[i].id = '_';
+    var shape = this.shapes[i];
+    if (shape.movable) shape.id = i;
+    else if (shape == this.frame) shape.id = '|'
+    else {
+      shape.id = '_' + i;
+      if (!ground || width(shape) > width(ground)) ground = shape;
+    }
   }
+  if (ground) ground.id = '_';
 }
 
 /// Centers all polygon shapes onto the origin and saves their original centers in x, y.
@@ -1062,9 +1148,14 @@ PhyscisOracle:
 This class provides all functionality of the "physics black box" to the PBP Interpreter. It has the following methods:
 
 - observeCollisions(): gives back an array of collision events {a, b, dv, t} where a is the body moving faster towards the other (the active one)
+- getTrajectory(body): gives back the samples of the body's trajectory recorded during observeCollisions()
+- getBodyInStates(body, states): gives back the position and rotation of the body in each of the passed states
 - getTouchGroups(): gives back an array of arrays of dyn. bodies that directly or indirectly touch each other
 - getTouchedBodies(body): gives back an array of bodies directly touched by the passed body, potentially including the ground.
+- whatIf(interventions, duration, observer, opts): simulates the world after applying interventions like removing or freezing a body and gives back what the observer returns
 */
+var b2MassData = Box2D.Collision.Shapes.b2MassData;
+
 /// Pass a b2World.
 var PhysicsOracle = function(physics_scene) {
 	this.pscene = physics_scene;
@@ -1074,6 +1165,8 @@ var PhysicsOracle = function(physics_scene) {
   this.states = {'0'    : {time: 0, pstate: null},
                  'start': {time: 0.08, pstate: null},
                  'end'  : {time: 'end', pstate: null}};
+  this.sample_rate = 20; // trajectory samples per second, see recordTrajectories
+  this.trajectories = [];
 }
 
 /// The state can be one of the ones defined in this.states. Each state gets saved the first time
@@ -1094,11 +1187,25 @@ PhysicsOracle.prototype.gotoState = function(state) {
   this.curr_state = state;
 }
 
+/// Adds a state with the passed name at the passed time in seconds. Throws an exception
+/// if there is a state with this name already.
+PhysicsOracle.prototype.addState = function(name, time) {
+  if (name in this.states) throw 'state "' + name + '" already exists';
+  this.states[name] = {time: time, pstate: null};
+}
+
+/// Removes the state with the passed name.
+PhysicsOracle.prototype.removeState = function(name) {
+  if (!(name in this.states)) throw 'unknown state "' + name + '"';
+  if (this.curr_state === name) this.curr_state = null;
+  delete this.states[name];
+}
+
 PhysicsOracle.prototype.useCurrAsInitialState = function() {
   this.pscene.world.curr_time = 0;
   this.pscene.world.PushState();
   this.curr_state = '0';
-  d3.values(this.states).forEach(function(state) { state.pstate = null });
+  for (var name in this.states) this.states[name].pstate = null;
   this.pscene.reset();
 }
 
@@ -1112,6 +1219,22 @@ PhysicsOracle.prototype.loadPhysicsState = function(pstate) {
   this.pscene.setState(pstate);
 }
 
+/// Returns the rotation and the position of the center of the passed body in each of
+/// the passed states as object, e.g. {start: {rot, x, y}, end: {rot, x, y}}, in
+/// physics units. The physics state the oracle was in before is restored afterwards.
+PhysicsOracle.prototype.getBodyInStates = function(body, states) {
+  var curr_state = this.curr_state, pstate = this.pscene.getState();
+  var res = {};
+  for (var i=0; i<states.length; i++) {
+    this.gotoState(states[i]);
+    var c = body.GetWorldCenter();
+    res[states[i]] = { rot: body.GetAngle(), x: c.x, y: c.y };
+  }
+  this.loadPhysicsState(pstate);
+  this.curr_state = curr_state;
+  return res;
+}
+
 /// It saves the world state, calls the start_callback, simulates the world for the passed
 /// time, calls the end_callback and restores the previous world state. Returns the value
 /// returned by end_callback. Since pscene.analyzeFuture temporarily deactivates the worldChanged
@@ -1123,6 +1246,81 @@ PhysicsOracle.prototype.analyzeFuture = function(time, start_callback, end_callb
   return this.pscene.analyzeFuture(time, start_callback, end_callback, untilSleep);
 }
 
+/// Answers counterfactual questions like "what if body A was not there?". It saves the
+/// world state, applies the passed interventions, simulates the world for `duration`
+/// seconds, calls the observer and restores the previous world state, including the
+/// properties changed by the interventions. Returns the value returned by the
+/// observer. Like in analyzeFuture, the PhysicsOracle stays in the state it was in
+/// before. Calls can be nested, e.g. inside an observer, and the world
+/// state is also restored if the observer throws.
+/// Interventions are objects with a `type` and the `body` they are applied to, see
+/// PhysicsOracle.interventions:
+///   {type: 'remove', body}: the body is deactivated, other bodies pass through it
+///   {type: 'freeze', body}: the body is made static
+///   {type: 'impulse', body, impulse, point}: the impulse {x, y} is applied to the
+///     point {x, y} in world coordinates, by default the center of the body
+///   {type: 'mass', body, mass}: the mass of the body is set to `mass`
+///   {type: 'friction', body, friction}: the friction of the body is set to `friction`
+/// Options can be passed as `opts` object:
+///   wake_up: if true, all bodies are woken up before the interventions are applied,
+///     otherwise sleeping bodies only wake up when an intervention affects them
+///   until_sleep: if true, the simulation might stop before `duration`, if all bodies
+///     in the scene are at rest
+PhysicsOracle.prototype.whatIf = function(interventions, duration, observer, opts) {
+  if (duration < 0) throw "You are mistaking the past for the future."
+  opts = opts || {};
+  var pscene = this.pscene, old_emit_changes = pscene.emit_changes, undo = [];
+  pscene.emit_changes = false;
+  pscene.pushState();
+  try {
+    if (opts.wake_up) pscene.wakeUp();
+    for (var i=0; i<interventions.length; i++) {
+      var iv = interventions[i];
+      if (!(iv.type in PhysicsOracle.interventions)) throw 'unknown intervention "' + iv.type + '"';
+      undo.push(PhysicsOracle.interventions[iv.type](iv.body, iv));
+    }
+    if (duration > 0) {
+      if (opts.until_sleep) pscene.simulateUntilSleep(duration);
+      else pscene.simulate(duration);
+    }
+    return observer ? observer() : undefined;
+  } finally {
+    for (var i=undo.length-1; i>=0; i--) if (undo[i]) undo[i]();
+    pscene.popState();
+    pscene.emit_changes = old_emit_changes;
+  }
+}
+
+/// The interventions available in whatIf. Each one is a function that gets the body and
+/// the intervention object, changes the body and returns a function that undoes the
+/// changes that are not restored with the world state or nothing. New intervention
+/// types can be added here.
+PhysicsOracle.interventions = {
+  remove: function(body) { body.SetActive(false) }
+ ,freeze: function(body) { body.SetType(b2Body.b2_staticBody) }
+ ,impulse: function(body, iv) {
+    var point = iv.point ? new b2Vec2(iv.point.x, iv.point.y) : body.GetWorldCenter().Copy();
+    body.ApplyImpulse(new b2Vec2(iv.impulse.x, iv.impulse.y), point);
+  }
+ ,mass: function(body, iv) {
+    if (!(iv.mass > 0)) throw "mass must be positive";
+    var md = new b2MassData();
+    body.GetMassData(md);
+    md.I *= iv.mass/md.mass;
+    md.mass = iv.mass;
+    body.SetMassData(md);
+  }
+ ,friction: function(body, iv) {
+    var fixtures = [], frictions = [];
+    for (var f = body.GetFixtureList(); f; f = f.GetNext()) {
+      fixtures.push(f);
+      frictions.push(f.GetFriction());
+      f.SetFriction(iv.friction);
+    }
+    return function() { fixtures.forEach(function (f, i) { f.SetFriction(frictions[i]) }) };
+  }
+}
+
 /// Called when the world changed, calls synchShapes and sets curr_state to null.
 PhysicsOracle.prototype.onWorldChange = function() {
   this.curr_state = null;
@@ -1268,14 +1466,16 @@ PhysicsOracle.prototype.groupLinkedNodes = function(nodes, links) {
 }
 
 /// Gives back an array of collision events {a, b, dv, t} where a is the 'hitter' and b the
-/// 'hit' body.
+/// 'hit' body. The trajectories of all dynamic bodies are recorded at the same time, see
+/// recordTrajectories.
 PhysicsOracle.prototype.observeCollisions = function() {
 	var old_cl = this.pscene.world.m_contactManager.m_contactListener;
 	this.pscene.world.SetContactListener(this.contact_listener);
 	this.collisions = [];
   var thiz = this;
 
-  this.analyzeFuture(12, null, function() {
+  this.analyzeFuture(0, null, function() {
+    thiz.recordTrajectories(12);
     thiz.pscene.world.SetContactListener(old_cl);
     thiz.collisions = PhysicsOracle.mergeCollisions(thiz.collisions, 0);
     // save current state as end state, if we didn't cache it yet
@@ -1285,6 +1485,46 @@ PhysicsOracle.prototype.observeCollisions = function() {
   return this.collisions;
 }
 
+/// Simulates the world until all bodies are at rest, but at most `max_time` seconds, and
+/// saves the trajectories of all dynamic bodies as list of {body, samples} objects in
+/// this.trajectories. The samples are taken `sample_rate` times per second and once more
+/// when the simulation stops, see PhysicsOracle.sampleBody. Returns the trajectories.
+PhysicsOracle.prototype.recordTrajectories = function(max_time) {
+  var pscene = this.pscene, dt = 1/this.sample_rate;
+  var trajs = this.trajectories = [];
+  pscene.forEachDynamicBody(function(body) { trajs.push({body: body, samples: []}) });
+  var record = function() {
+    for (var i=0; i<trajs.length; i++) trajs[i].samples.push(PhysicsOracle.sampleBody(trajs[i].body));
+  }
+  record();
+  var t = 0, next = dt, recorded = true;
+  while (t <= max_time && pscene.countAwake() > 0) {
+    t += pscene.step();
+    recorded = (t >= next-1e-9);
+    if (recorded) record();
+    while (next <= t+1e-9) next += dt;
+  }
+  if (!recorded) record();
+  return trajs;
+}
+
+/// Returns the current state of the passed body as {t, x, y, rot, vx, vy, w} object
+/// with the time, the position, the angle, the linear and the angular velocity.
+PhysicsOracle.sampleBody = function(body) {
+  var pos = body.GetPosition(), v = body.GetLinearVelocity();
+  return { t: body.m_world.curr_time, x: pos.x, y: pos.y, rot: body.GetAngle()
+         , vx: v.x, vy: v.y, w: body.GetAngularVelocity() };
+}
+
+/// Returns the samples of the trajectory of the passed body that were recorded during
+/// the last call of observeCollisions or null if there are none.
+PhysicsOracle.prototype.getTrajectory = function(body) {
+  for (var i=0; i<this.trajectories.length; i++) {
+    if (this.trajectories[i].body === body) return this.trajectories[i].samples;
+  }
+  return null;
+}
+
 /// Merges collision of any body pair that are temporally closer than `max_dt` default: 0.25 s.
 /// It also removes any collision that happened before `min_t` default: 0.1 s (this is useful
 /// since often objects that are supposed to lie on the ground are hitting the ground in the
@@ -1368,5 +1608,6 @@ PhysicsOracle.ContactListener = function(parent) {
 }
 
 s2p.PhysicsOracle = PhysicsOracle;
+s2p.SVGScene = SVGScene;
   return s2p;
-})();
\ No newline at end of file
+});
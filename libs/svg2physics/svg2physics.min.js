@@ -1,2 +1,2 @@
 // Copyright Erik Weitnauer 2014.
-s2p=function(){var t={version:"1.1.1"};var e=Box2D.Dynamics.b2BodyDef,i=Box2D.Dynamics.b2Body,s=Box2D.Common.Math.b2Vec2,o=Box2D.Collision.Shapes.b2Shape,n=Box2D.Collision.Shapes.b2CircleShape,r=Box2D.Collision.Shapes.b2PolygonShape,a=Box2D.Dynamics.b2FixtureDef,h=Box2D.Collision.b2AABB;Box2DAdapter=function(){var t=this;this.rel_curve_error_margin=.08;this.linear_damping=.35;this.angular_damping=.35;this.cd_settings={max_vertices:32,preprocess:true,pre_order_vertices:true,pre_merge_vertices_min_dist:.01,pre_remove_vertices_max_error:0,postprocess:false,post_move_vertices_inside_dist:.02,debug_text:false}};Box2DAdapter.prototype.loadScene=function(t,e){var i=e.friction;var s=e.restitution;var o=1/e.pixels_per_unit;var n=this;var r=true;e.shapes.forEach(function(e){var r=1;var a=/^[0-9]*\.?[0-9]+/;if(a.test(e.style["stroke-width"])){r=Number(a.exec(e.style["stroke-width"])[0])}var h=Box2D.Common.b2Settings.b2_linearSlop;var l=e.copy();var p=e.bounding_box();var u=(p.width+r)/(p.width+h);var c=(p.height+r)/(p.height+h);if(l instanceof Polygon){l.pts.forEach(function(t){t.Scale(o)});if(e.movable){l.pts.forEach(function(t){t.x*=u;t.y*=c})}else if(e.id=="_"){l.pts.forEach(function(t){t.y+=(h-r)*o/4})}}else if(l instanceof Circle){l.r=(l.r+r/2)*o}else throw"Unknown object type.";e.phys_scale=o;e.synch_to_phys=function(){this.x=this.phys_obj.GetPosition().x/this.phys_scale;this.y=this.phys_obj.GetPosition().y/this.phys_scale;this.rot=this.phys_obj.GetAngle()};e.phys_obj=n.createBody(t,l,e.movable,e.x*o,e.y*o,0,1,i,s);e.phys_obj.master_obj=e;e.rot=0})};Box2DAdapter.prototype.createBody=function(t,s,o,n,r,a,h,l,p){var u=new e;if(o)u.type=i.b2_dynamicBody;u.position.Set(n,r);u.angle=a;u.angularDamping=this.angular_damping;u.linearDamping=this.linear_damping;var c=t.CreateBody(u);var f={density:h,friction:l,restitution:p};this.add_fixture(s,c,f,o);return c};Box2DAdapter.prototype.add_fixture=function(t,e,i,o){if(t instanceof Circle){var h=new n(t.r);var l=new a;obj_extend(l,i);l.shape=h;e.CreateFixture(l)}else if(t instanceof Polygon){var p=t;if(o){var u=p.convex_decomposition(this.cd_settings);u.forEach(function(t){var s=r.AsVector(t.pts);var o=new a;obj_extend(o,i);o.shape=s;e.CreateFixture(o)})}else{var c=p.pts.length;if(c<2)return;for(var f=0;f<c;++f){if(f==c-1&&!p.closed)break;var m=f==c-1?0:f+1;var h=r.AsVector([new s(p.pts[f].x,p.pts[f].y),new s(p.pts[m].x,p.pts[m].y)]);var l=new a;obj_extend(l,i);l.shape=h;e.CreateFixture(l)}}}else throw"Unkown shape type!"};obj_extend=function(t,e){for(x in e){if(e.hasOwnProperty(x))t[x]=e[x]}};obj_extended=function(t,e){var i={};for(x in t){if(t.hasOwnProperty(x))i[x]=t[x]}for(x in e){if(e.hasOwnProperty(x))i[x]=e[x]}return i};t.Box2DAdapter=Box2DAdapter;var i=Box2D.Dynamics.b2Body,l=Box2D.Dynamics.b2World,p=Box2D.Common.Math.b2Transform,u=Box2D.Common.Math.b2Sweep,c=Box2D.Collision.b2DistanceInput,f=Box2D.Collision.b2DistanceOutput,m=Box2D.Collision.b2DistanceProxy,d=Box2D.Collision.b2SimplexCache,y=Box2D.Collision.b2Distance,s=Box2D.Common.Math.b2Vec2,e=Box2D.Dynamics.b2BodyDef,a=Box2D.Dynamics.b2FixtureDef,r=Box2D.Collision.Shapes.b2PolygonShape,n=Box2D.Collision.Shapes.b2CircleShape,h=Box2D.Collision.b2AABB;s.prototype.Transformed=function(t){return new s(this.x*t.R.col1.x+this.y*t.R.col2.x+t.position.x,this.x*t.R.col1.y+this.y*t.R.col2.y+t.position.y)};i.prototype.IsCircle=function(){return this.m_fixtureList.m_shape instanceof n&&this.m_fixtureList.m_next==null};i.prototype.distance=function(t){var e=function(t,e,i,s){var o=new c;o.proxyA=new m;o.proxyA.Set(t);o.proxyB=new m;o.proxyB.Set(i);o.transformA=e;o.transformB=s;o.useRadii=true;var n=new d;n.count=0;var r=new f;y.Distance(r,n,o);return r.distance};var i=Infinity;for(var s=this.m_fixtureList;s;s=s.m_next){for(var o=t.m_fixtureList;o;o=o.m_next){var n=e(s.m_shape,this.GetTransform(),o.m_shape,t.GetTransform());if(i>n)i=n}}return i};i.prototype.setCollisionFilter=function(t){var e;for(var i=this.m_fixtureList;i;i=i.m_next){e=i.GetFilterData();if("maskBits"in t)e.maskBits=t.maskBits;if("categoryBits"in t)e.categoryBits=t.categoryBits;if("groupIndex"in t)e.groupIndex=t.groupIndex;i.SetFilterData(e)}};function _(t){this.Init(t)}_.prototype.Init=function(t){this.m_flags=t.m_flags;this.m_xf=new p;this.m_xf.Set(t.m_xf);this.m_sweep=new u;this.m_sweep.Set(t.m_sweep);this.m_linearVelocity=t.m_linearVelocity.Copy();this.m_angularVelocity=t.m_angularVelocity;this.m_linearDamping=t.m_linearDamping;this.m_angularDamping=t.m_angularDamping;this.m_force=t.m_force.Copy();this.m_torque=t.m_torque;this.m_sleepTime=t.m_sleepTime;this.m_type=t.m_type;this.m_mass=t.m_mass;this.m_invMass=t.m_invMass;this.m_I=t.m_I;this.m_invI=t.m_invI;this.m_inertiaScale=t.m_inertiaScale;this.m_islandIndex=t.m_islandIndex};_.prototype.Apply=function(t){t.m_xf.Set(this.m_xf);t.m_sweep.Set(this.m_sweep);t.m_linearVelocity=this.m_linearVelocity.Copy();t.m_angularVelocity=this.m_angularVelocity;t.m_linearDamping=this.m_linearDamping;t.m_angularDamping=this.m_angularDamping;t.m_force=this.m_force.Copy();t.m_torque=this.m_torque;t.m_sleepTime=this.m_sleepTime;t.m_type=this.m_type;t.m_mass=this.m_mass;t.m_invMass=this.m_invMass;t.m_I=this.m_I;t.m_invI=this.m_invI;t.m_inertiaScale=this.m_inertiaScale;t.m_islandIndex=this.m_islandIndex;if((this.m_flags&i.e_activeFlag)==i.e_activeFlag){t.SetActive(true)}if((this.m_flags&i.e_awakeFlag)==i.e_awakeFlag){t.SetAwake(true)}t.m_flags=this.m_flags;t.SynchronizeFixtures();this.moveAwayAndBackAgain(t)};_.prototype.moveAwayAndBackAgain=function(t){t.SetPosition({x:Infinity,y:Infinity});t.SetPosition(this.m_xf.position)};function v(t){this.Init(t)}v.prototype.Init=function(t){this.curr_time=t.curr_time};v.prototype.Apply=function(t){t.curr_time=this.curr_time};i.prototype.PushState=function(){if(!this.bodystates)this.bodystates=[];this.bodystates.push(new _(this))};i.prototype.PopState=function(){this.bodystates.pop().Apply(this)};l.prototype.PushState=function(){if(!this.worldstates)this.worldstates=[];this.worldstates.push(new v(this));for(var t=this.m_bodyList;t;t=t.m_next)t.PushState()};l.prototype.PopState=function(){this.worldstates.pop().Apply(this);for(var t=this.m_bodyList;t;t=t.m_next)t.PopState();this.m_contactManager.FindNewContacts()};l.prototype.GetState=function(){var t=[];t.push({el:this,state:new v(this)});for(var e=this.m_bodyList;e;e=e.m_next){t.push({el:e,state:new _(e)})}return t};l.prototype.SetState=function(t){t.forEach(function(t){t.state.Apply(t.el)})};var g=Box2D.Dynamics.b2DebugDraw,w=Box2D.Dynamics.Joints.b2MouseJointDef;Simulator=function(t,e,i,s,o){this.canvas=e;this.ctx=e.getContext("2d");this.pscene=t;this.step_interval=1e3/30;this.interaction_interval=1e3/30;this.show_time=s||true;this.show_pos=false;this.draw_scale=i||1;this.playing=false;this.drawing=true;this.auto_pause=o===undefined?true:o;this.init();this.draw()};Simulator.prototype.release=function(){if(this.step_timer)clearInterval(this.step_timer);if(this.interaction_timer)clearInterval(this.interaction_timer);this.pscene.onWorldChange.removeListener(this.draw)};Simulator.prototype.pause=function(){this.was_autopaused=false;if(!this.playing)return;clearInterval(this.step_timer);this.step_time=null;this.playing=false};Simulator.prototype.play=function(){if(this.playing)return;var t=this;t.was_autopaused=false;this.step_timer=setInterval(function(){t.pscene.step();if(t.auto_pause&&t.pscene.countAwake()==0){t.pause();t.was_autopaused=true}},this.step_interval);this.playing=true};Simulator.prototype.toggle=function(){if(this.playing)this.pause();else this.play()};Simulator.prototype.reset=function(){this.pscene.reset()};Simulator.prototype.init=function(){var t=this;this.dbgDraw=new g;this.dbgDraw.SetSprite(this.canvas.getContext("2d"));this.dbgDraw.SetDrawScale(this.draw_scale);this.dbgDraw.SetXFormScale(.1);this.dbgDraw.SetFillAlpha(.5);this.dbgDraw.SetLineThickness(1);this.dbgDraw.SetFlags(g.e_shapeBit|g.e_jointBit);this.pscene.world.SetDebugDraw(this.dbgDraw);this.pscene.onWorldChange.addListener(function(){t.draw.apply(t)});this.mouseDown=false;this.mousePoint=new s(0,0);this.canvas.addEventListener("mousemove",function(){t.handleMouseMove.apply(t,arguments)},true);this.canvas.addEventListener("mousedown",function(){t.mouseDown=true},true);this.canvas.addEventListener("mouseup",function(){if(!t.mouseJoint)t.toggle.apply(t);t.handleMouseUp.apply(t,arguments)},true);this.canvas.addEventListener("dblclick",function(){t.pause();t.reset()},true);this.interaction_timer=setInterval(function(){t.updateInteraction.apply(t)},this.interaction_interval);this.canvas_position=this.getElementPosition(this.canvas);window.addEventListener("scroll",function(){t.canvas_position=t.getElementPosition(t.canvas)})};Simulator.prototype.getElementPosition=function(t){var e=t.offsetLeft-document.documentElement.scrollLeft,i=t.offsetTop-document.documentElement.scrollTop;while(t=t.offsetParent){e+=t.offsetLeft-t.scrollLeft;i+=t.offsetTop-t.scrollTop}return{x:e,y:i}};Simulator.prototype.handleMouseUp=function(t){this.mouseDown=false;if(this.mouseJoint){this.pscene.world.DestroyJoint(this.mouseJoint);this.mouseJoint=null}};Simulator.prototype.handleMouseMove=function(t){this.mousePoint.x=(t.clientX-this.canvas_position.x)/this.draw_scale;this.mousePoint.y=(t.clientY-this.canvas_position.y)/this.draw_scale;if(this.mouseDown&&!this.playing){if(this.was_autopaused)this.play();else this.pscene.step()}if(this.draw_pos&&!this.mouseDown&&!this.playing)this.draw()};Simulator.prototype.getBodyAtMouse=function(){var t=new h;var e=this.mousePoint;t.lowerBound.Set(e.x-.001,e.y-.001);t.upperBound.Set(e.x+.001,e.y+.001);var s=null;var o=function(t){var o=t.GetBody();if(o.GetType()!=i.b2_staticBody&&t.GetShape().TestPoint(o.GetTransform(),e)){s=o;return false}return true};this.pscene.world.QueryAABB(o,t);return s};Simulator.prototype.updateInteraction=function(){if(this.mouseDown&&!this.mouseJoint){var t=this.getBodyAtMouse();if(t){var e=new w;e.bodyA=this.pscene.world.GetGroundBody();e.bodyB=t;e.target=this.mousePoint;e.collideConnected=true;e.maxForce=300*t.GetMass();this.mouseJoint=this.pscene.world.CreateJoint(e);t.SetAwake(true)}}if(this.mouseJoint){if(this.mouseDown){this.mouseJoint.SetTarget(this.mousePoint)}else{this.pscene.world.DestroyJoint(this.mouseJoint);this.mouseJoint=null}}};Simulator.prototype.draw=function(){if(!this.drawing)return;this.pscene.world.DrawDebugData();if(this.show_time||this.show_pos){var t="";if(this.show_pos&&this.mousePoint)t+=" x="+this.mousePoint.x.toFixed(2)+" y="+this.mousePoint.y.toFixed(2);if(this.show_time)t+=" t="+this.pscene.getTime().toFixed(2);this.ctx.fillStyle="black";this.ctx.fillText(t,5,10)}};t.Simulator=Simulator;Box2D.Common.b2Settings.b2_linearSleepTolerance=.1;Box2D.Common.b2Settings.b2_angularSleepTolerance=20/180*Math.PI;var b=function(t,e){this.world=t;this.world.curr_time=this.world.curr_time||0;this.world.PushState();this.dt=e||1/50;this.onWorldChange=new S;this.emit_changes=true};b.prototype.pushState=function(){this.world.PushState()};b.prototype.popState=function(){this.world.PopState();if(this.emit_changes)this.onWorldChange.emit(this.world.curr_time)};b.prototype.getState=function(){return this.world.GetState()};b.prototype.setState=function(t){this.world.SetState(t);if(this.emit_changes)this.onWorldChange.emit(this.world.curr_time)};b.prototype.reset=function(){this.popState();this.pushState()};b.prototype.getTime=function(){return this.world.curr_time};b.prototype.seek=function(t){if(this.world.curr_time>t)this.reset();this.simulate(t-this.world.curr_time)};b.prototype.clearForces=function(){this.world.ClearForces()};b.prototype.step=function(t){t=t||this.dt;try{this.world.Step(t,10,10)}catch(e){console.log("caught error",e,"during Box2D simulation step");console.log("trying again after finding new contacts...");var i=this.world.m_contactManager.m_broadPhase;this.forEachBody(function(t){for(var e=t.m_fixtureList;e;e=e.m_next){if(!e.m_proxy){console.log(t,e,"has no m_proxy set. Creating it now...");e.CreateProxy(i,t.m_xf)}}});this.step(t)}this.world.curr_time+=t;if(this.emit_changes)this.onWorldChange.emit(this.world.curr_time);return t};b.prototype.simulate=function(t){var e=0;while(e+this.dt<t)e+=this.step();var i=t-e;if(i>.001)this.step(i)};b.prototype.simulateUntilSleep=function(t){var t=t||Infinity;var e=0;while(e<=t&&this.countAwake()>0)e+=this.step();return e};b.prototype.analyzeFuture=function(t,e,i,s){if(t<0)throw"You are mistaking the past for the future.";var o=this.emit_changes;this.emit_changes=false;this.pushState();if(e)e();if(t>0){if(s)this.simulateUntilSleep(t);else this.simulate(t)}var n=i();this.popState();this.emit_changes=o;return n};b.prototype.forEachBody=function(t){for(var e=this.world.m_bodyList;e;e=e.m_next){if(e.master_obj)t(e)}};b.prototype.forEachDynamicBody=function(t){for(var e=this.world.m_bodyList;e;e=e.m_next){if(e.GetType()==i.b2_dynamicBody)t(e)}};b.prototype.getKineticEnergy=function(){var t=0;this.world.forEachDynamicBody(function(e){t+=.5*(e.m_I*e.m_angularVelocity*e.m_angularVelocity+e.m_mass*e.m_linearVelocity.Length()*e.m_linearVelocity.Length())});return t};b.prototype.getBodyDistance=function(t,e){e=e||t.bodystates[t.bodystates.length-1].m_xf;if(t.m_fixtureList.m_shape.GetType()==o.e_circleShape){var i=t.m_xf.position.Copy();i.Subtract(e.position);return i.Length()}else{return this.meanPointDistance(t.m_fixtureList.m_shape.GetVertices(),t.m_xf,e)}};b.prototype.meanPointDistance=function(t,e,i){var s=0;for(var o=0;o<t.length;o++){var n=t[o];var r=n.Transformed(e);r.Subtract(n.Transformed(i));s+=r.Length()}return s/t.length};b.prototype.wakeUp=function(){for(var t=this.world.m_bodyList;t;t=t.m_next)t.SetAwake(true)};b.prototype.countAwake=function(){var t=0;this.forEachDynamicBody(function(e){if(e.IsAwake())t++});return t};var S=function(){this.listeners=[]};S.prototype.addListener=function(t){this.listeners.push(t)};S.prototype.removeListener=function(t){var e=this.listeners.indexOf(t);if(e>=0)Array.remove(this.listeners,t)};S.prototype.removeAll=function(){this.listeners=[]};S.prototype.emit=function(){for(var t=0;t<this.listeners.length;t++){this.listeners[t].apply(this.listeners[t],arguments)}};t.PhysicsScene=b;var D=function(){var t="s2p-";var e={};var i=function(t){var e;if(window.XMLHttpRequest){e=new XMLHttpRequest}else{e=new ActiveXObject("Microsoft.XMLHTTP")}if(e){e.open("GET",t,false);e.send(null);return e.responseText}return null};e.ajaxGetUrl=i;var s=function(t){if(window.DOMParser){var e=new DOMParser;return e.parseFromString(t,"image/svg+xml")}else{t=t.replace(/<!DOCTYPE svg[^>]*>/,"");var i=new ActiveXObject("Microsoft.XMLDOM");i.async="false";i.loadXML(t);return i}};e.parseXml=s;var o=function(t,e){var i={};for(var s=0;s<t.style.length;++s){var o=t.style.item(s);i[o]=t.style.getPropertyValue(o)}return i};var n=function(t){return(Point.len(t.a,t.b)+Point.len(t.c,t.d))/2};var r=function(t,e){e=e||100;var r=i(t);var p=s(r);if(!p)throw"Error parsing "+r;var u=l(p,"hidden_svg_div");var c=[];var f=function(t,e){var i=t.style["stroke-width"];if(!i)return;t.style["stroke-width"]=i.replace(/^[0-9]*\.?[0-9]+/,function(t){return Number(t)*e})};var m=u.getElementsByTagName("rect");for(var d=0;d<m.length;d++){var y=m[d];var _=Polygon.fromSVGRect(y);_.svg_transform=y.getCTM();_.style=o(y);f(_,n(_.svg_transform));c.push(_)}var v=h(c);v.is_frame=true;c=c.filter(function(t){return!t.is_frame});var g=u.getElementsByTagName("path");for(var d=0;d<g.length;d++){var w=g[d];var _=Circle.fromSVGPath(w,false)||Polygon.fromSVGPath(w,1,false);if(_ instanceof Polygon){_.merge_vertices({min_dist:1,min_vertex_count:2})}_.svg_transform=w.getCTM();_.style=o(w);f(_,n(_.svg_transform));c.push(_)}var x=u.getElementsByTagName("circle");for(var d=0;d<x.length;d++){var w=x[d];var _=Circle.fromSVGCircle(w);_.svg_transform=w.getCTM();_.style=o(w);f(_,n(_.svg_transform));c.push(_)}c.forEach(function(t){var e=t.style.stroke;t.movable=!(e=="#000000"||e=="#000"||e=="black"||e=="rgb(0, 0, 0)")});a([v],0,0,1,u);var b=100/Math.abs(v.pts[0].x-v.pts[1].x),S=-Math.min(v.pts[0].x,v.pts[1].x)*b,D=-Math.min(v.pts[0].y,v.pts[2].y)*b;a(c,S,D,b,u);a([v],S,D,b,u);return new SVGScene(c,v,e)};e.parseFile=r;var a=function(t,e,i,s,o){var n=o.createSVGPoint(0,0);t.forEach(function(t){var o=function(o){n.x=o.x;n.y=o.y;if(t.svg_transform)n=n.matrixTransform(t.svg_transform);o.x=s*n.x+e;o.y=s*n.y+i};if(t instanceof Circle){var r=t.centroid();o(r);t.x=r.x;t.y=r.y;t.r*=s;if(t.svg_transform)t.r*=Math.abs(t.svg_transform.a)}else if(t instanceof Polygon)t.pts.forEach(o);else throw"Unkown object type";delete t.svg_transform})};var h=function(t){var e=0,i=null;for(var s=0;s<t.length;s++){var o=t[s].svg_transform.a;var n=Math.abs(t[s].area()*o*o);if(n>e){e=n;i=t[s]}}return i};var l=function(t,e){var i=document.getElementById(e);if(!i){i=document.body.appendChild(document.createElement("div"));i.setAttribute("id",e);i.setAttribute("style","position:absolute;width:1px;height:1px;overflow:hidden;left:-10px;")}else{var s;while(s=i.childNodes[0]){i.removeChild(s)}}return i.appendChild(t.rootElement)};return e}();SVGScene=function(t,e,i){this.shapes=t||[];this.frame=e;this.shapes.push(e);this.setIds();this.width=100;this.height=100;this.friction=.3;this.restitution=.1;this.pixels_per_unit=i;this.moveToOrigin()};SVGScene.prototype.adjustStrokeWidth=function(t){var e=/^[0-9]*\.?[0-9]+/;for(var i=0;i<this.shapes.length;i++){var s=this.shapes[i];var o=1;if(e.test(s.style["stroke-width"])){o=Number(e.exec(s.style["stroke-width"])[0])}var n=s.bounding_box();var r=(n.width+o)/(n.width+t);var a=(n.height+o)/(n.height+t);if(s instanceof Polygon&&s.id!=="|"){s.pts.forEach(function(t){t.x*=r;t.y*=a})}else if(s instanceof Circle){s.r=s.r*r}s.style["stroke-width"]=t}};SVGScene.prototype.setIds=function(){for(var t=0;t<this.shapes.length;t++){if(this.shapes[t].movable)this.shapes[t].id=t;else if(this.shapes[t]==this.frame)this.shapes[t].id="|";else this.shapes[t].id="_"}};SVGScene.prototype.moveToOrigin=function(){for(var t=0;t<this.shapes.length;t++){var e=this.shapes[t];if(!(e instanceof Polygon))continue;var i=e.centroid();e.pts.forEach(function(t){t.Sub(i)});e.x=i.x;e.y=i.y;e.rot=0}};SVGScene.prototype.renderInSvg=function(t,e,i,s,o,n){var r=t.createElementNS("http://www.w3.org/2000/svg","g");r.setAttribute("transform","translate("+i+","+s+") scale("+o+")");e.appendChild(r);var a=t.createElementNS("http://www.w3.org/2000/svg","rect");for(var h=0;h<this.shapes.length;h++){var l=this.shapes[h];var p=l.renderInSvg(document,r);for(var u in l.style)p.style.setProperty(u,l.style[u]);if(n&&this.shapes[h].movable){d3.select(e).append("text").style("fill","black").attr("x",l.x*o).attr("y",l.y*o).attr("text-anchor","middle").attr("dominant-baseline","central").text(h)}}};t.SVGSceneParser=D;var B=function(t){this.pscene=t;this.pscene.onWorldChange.addListener(this.onWorldChange.bind(this));this.contact_listener=new B.ContactListener(this);this.curr_state="0";this.states={0:{time:0,pstate:null},start:{time:.08,pstate:null},end:{time:"end",pstate:null}}};B.prototype.gotoState=function(t){if(this.curr_state===t)return;if(!(t in this.states)){this.curr_state=null;throw'unknown state "'+t+'"'}var e=this.states[t];if(e.pstate)this.loadPhysicsState(e.pstate);else{if(this.states[t].time=="end")this.pscene.simulateUntilSleep(12);else this.pscene.seek(this.states[t].time);this.savePhysicsState(t)}this.curr_state=t};B.prototype.useCurrAsInitialState=function(){this.pscene.world.curr_time=0;this.pscene.world.PushState();this.curr_state="0";d3.values(this.states).forEach(function(t){t.pstate=null});this.pscene.reset()};B.prototype.savePhysicsState=function(t){this.states[t].pstate=this.pscene.getState()};B.prototype.loadPhysicsState=function(t){this.pscene.setState(t)};B.prototype.analyzeFuture=function(t,e,i,s){return this.pscene.analyzeFuture(t,e,i,s)};B.prototype.onWorldChange=function(){this.curr_state=null;this.synchShapes()};B.prototype.synchShapes=function(){this.pscene.forEachBody(function(t){t.master_obj.synch_to_phys()})};B.prototype.isStatic=function(t){return t.m_type==i.b2_staticBody};B.prototype.applyCentralImpulse=function(t,e,i){var o=function(t,e,i){var s=i.Copy();s.Add(t.m_sweep.c);t.ApplyImpulse(e,s)};var n={small:.5,medium:1,large:1.5};var r={left:new s(-1,0),right:new s(1,0),up:new s(0,1),down:new s(0,-1)};if(typeof i=="string")i=n[i]*t.m_mass;if(typeof e=="string")e=r[e];var a=e.Copy();a.Multiply(i);o(t,a,new s(0,0))};B.prototype.getTouchGroups=function(){var t=[],e=[];this.pscene.forEachDynamicBody(function(t){e.push(t)});for(var s=this.GetContactList();s;s=s.m_next){if(!s.IsTouching())continue;var o=s.m_fixtureA.m_body,n=s.m_fixtureB.m_body;if(o.GetType()!==i.b2_dynamicBody||n.GetType()!==i.b2_dynamicBody)continue;t.push([o,n])}return this.groupLinkedNodes(e,t)};B.prototype.getClosestBodyWithDist=function(t){var e={body:null,dist:Infinity};this.pscene.forEachDynamicBody(function(i){if(i===t)return;var s=t.distance(i);if(s<e.dist){e.body=i;e.dist=s}});if(e.body===null)return null;return e};B.prototype.getTouchedBodies=function(t){var e=[];var i=t.m_world.m_groundBody;for(var s=t.m_world.GetContactList();s;s=s.m_next){if(!s.IsTouching())continue;var o=s.m_fixtureA.m_body,n=s.m_fixtureB.m_body;if(o!=t&&n!=t)continue;if(o==i||n==i)continue;o=o==t?n:o;if(e.indexOf(o)==-1)e.push(o)}return e};B.prototype.getTouchedBodiesWithPos=function(t){var e=[];var i=t.m_world.m_groundBody;var s=new Box2D.Collision.b2WorldManifold;for(var o=t.m_world.GetContactList();o;o=o.m_next){if(!o.IsTouching())continue;var n=o.m_fixtureA.m_body,r=o.m_fixtureB.m_body;if(n!=t&&r!=t)continue;if(n==i||r==i)continue;o.GetWorldManifold(s);var a=s.m_points.slice(0,o.m_manifold.m_pointCount);e.push({body:n==t?r:n,pts:a})}return e};B.prototype.getSpatialGroups=function(t,e){var i=[];if(!e){e=[];this.pscene.forEachDynamicBody(function(t){e.push(t)})}for(var s=0;s<e.length-1;s++)for(var o=s+1;o<e.length;o++){if(e[s].distance(e[o])<=t)i.push([e[s],e[o]])}return this.groupLinkedNodes(e,i)};B.prototype.groupLinkedNodes=function(t,e){var i=[];for(var s=0;s<t.length;s++){i.push([t[s]]);t[s]._ew_group_=s}for(var s=0;s<e.length;s++){var o=e[s][0],n=e[s][1];var r=o._ew_group_,a=n._ew_group_;if(r==a)continue;for(var h=0;h<i[a].length;h++){var l=i[a][h];l._ew_group_=r;i[r].push(l)}i[a]=[]}for(var s=0;s<t.length;s++)delete t[s]._ew_group_;return i.filter(function(t){return t.length})};B.prototype.observeCollisions=function(){var t=this.pscene.world.m_contactManager.m_contactListener;this.pscene.world.SetContactListener(this.contact_listener);this.collisions=[];var e=this;this.analyzeFuture(12,null,function(){e.pscene.world.SetContactListener(t);e.collisions=B.mergeCollisions(e.collisions,0);if(!e.states.end.pstate)e.savePhysicsState("end")},true);return this.collisions};B.mergeCollisions=function(t,e,i){var s=[];if(typeof i=="undefined")i=.25;if(typeof e=="undefined")e=.1;for(var o=0;o<t.length;o++){var n=t[o];if(n.t<e)continue;var r=s[s.length-1];if(r&&(r.a==n.a&&r.b==n.b||r.a==n.b&&r.b==n.a)&&Math.abs(r.t-n.t)<=i){r.dv=Math.max(r.dv,n.dv)}else{s.push(n)}}return s};B.ContactListener=function(t){var e=new Box2D.Collision.b2WorldManifold;this.BeginContact=function(t){};this.EndContact=function(t){};this.PreSolve=function(t,i){if(!t.IsTouching()){t.pointCount=0;t.process=false;return}if(t.pointCount&&t.pointCount==t.m_manifold.m_pointCount){t.process=false;return}t.pointCount=t.m_manifold.m_pointCount;t.process=true;var s=t.m_fixtureA.m_body,o=t.m_fixtureB.m_body;t.GetWorldManifold(e);var n=0,r=0;var a=e.m_normal;for(var h=0;h<t.m_manifold.m_pointCount;h++){var l=s.GetLinearVelocityFromWorldPoint(e.m_points[h]);var p=o.GetLinearVelocityFromWorldPoint(e.m_points[h]);l=l.x*a.x+l.y*a.y;p=p.x*a.x+p.y*a.y;if(Math.abs(l)>Math.abs(n))n=l;if(Math.abs(p)>Math.abs(r))r=p}t.vel_a=n;t.vel_b=r};this.PostSolve=function(e,i){if(!e.process)return;var s=Math.abs(e.vel_a-e.vel_b);if(s>.5){var o=e.m_fixtureA.m_body,n=e.m_fixtureB.m_body;var r=o.m_world;if(Math.abs(e.vel_a)>Math.abs(e.vel_b)){t.collisions.push({a:o,b:n,dv:s,t:r.curr_time})}else{t.collisions.push({a:n,b:o,dv:s,t:r.curr_time})}}}};t.PhysicsOracle=B;return t}();
\ No newline at end of file
+(function(t,e){if(typeof module!="undefined"&&module.exports){module.exports=e(require("../box2dweb/Box2D.js"),require("../geom.js/geom.js"))}else{t.s2p=e(t.Box2D,t)}})(this,function(t,e){var i={version:"1.1.1"};var s=e.Point,n=e.Polygon,r=e.Circle;var o=t.Dynamics.b2BodyDef,a=t.Dynamics.b2Body,h=t.Common.Math.b2Vec2,l=t.Collision.Shapes.b2Shape,c=t.Collision.Shapes.b2CircleShape,u=t.Collision.Shapes.b2PolygonShape,p=t.Dynamics.b2FixtureDef,f=t.Collision.b2AABB;var m=function(){var t=this;this.rel_curve_error_margin=.08;this.linear_damping=.35;this.angular_damping=.35;this.cd_settings={max_vertices:32,preprocess:true,pre_order_vertices:true,pre_merge_vertices_min_dist:.01,pre_remove_vertices_max_error:0,postprocess:false,post_move_vertices_inside_dist:.02,debug_text:false}};m.prototype.loadScene=function(e,i){var s=i.friction;var o=i.restitution;var a=1/i.pixels_per_unit;var h=this;var l=true;i.shapes.forEach(function(i){var l=1;var c=/^[0-9]*\.?[0-9]+/;if(c.test(i.style["stroke-width"])){l=Number(c.exec(i.style["stroke-width"])[0])}var u=t.Common.b2Settings.b2_linearSlop;var p=i.copy();var f=i.bounding_box();var m=(f.width+l)/(f.width+u);var d=(f.height+l)/(f.height+u);if(p instanceof n){p.pts.forEach(function(t){t.Scale(a)});if(i.movable){p.pts.forEach(function(t){t.x*=m;t.y*=d})}else if(i.id!="|"){p.pts.forEach(function(t){t.y+=(u-l)*a/4})}}else if(p instanceof r){p.r=(p.r+l/2)*a}else throw"Unknown object type.";i.phys_scale=a;i.synch_to_phys=function(){this.x=this.phys_obj.GetPosition().x/this.phys_scale;this.y=this.phys_obj.GetPosition().y/this.phys_scale;this.rot=this.phys_obj.GetAngle()};i.phys_obj=h.createBody(e,p,i.movable,i.x*a,i.y*a,0,1,s,o);i.phys_obj.master_obj=i;i.rot=0})};m.prototype.createBody=function(t,e,i,s,n,r,h,l,c){var u=new o;if(i)u.type=a.b2_dynamicBody;u.position.Set(s,n);u.angle=r;u.angularDamping=this.angular_damping;u.linearDamping=this.linear_damping;var p=t.CreateBody(u);var f={density:h,friction:l,restitution:c};this.add_fixture(e,p,f,i);return p};m.prototype.add_fixture=function(t,e,i,s){if(t instanceof r){var o=new c(t.r);var a=new p;d(a,i);a.shape=o;e.CreateFixture(a)}else if(t instanceof n){var l=t;if(s){var f=l.convex_decomposition(this.cd_settings);f.forEach(function(t){var s=u.AsVector(t.pts);var n=new p;d(n,i);n.shape=s;e.CreateFixture(n)})}else{var m=l.pts.length;if(m<2)return;for(var y=0;y<m;++y){if(y==m-1&&!l.closed)break;var v=y==m-1?0:y+1;var o=u.AsVector([new h(l.pts[y].x,l.pts[y].y),new h(l.pts[v].x,l.pts[v].y)]);var a=new p;d(a,i);a.shape=o;e.CreateFixture(a)}}}else throw"Unkown shape type!"};var d=function(t,e){for(var i in e){if(e.hasOwnProperty(i))t[i]=e[i]}};var y=function(t,e){var i={};for(var s in t){if(t.hasOwnProperty(s))i[s]=t[s]}for(var s in e){if(e.hasOwnProperty(s))i[s]=e[s]}return i};i.Box2DAdapter=m;var a=t.Dynamics.b2Body,v=t.Dynamics.b2World,_=t.Common.Math.b2Transform,g=t.Common.Math.b2Sweep,w=t.Collision.b2DistanceInput,b=t.Collision.b2DistanceOutput,x=t.Collision.b2DistanceProxy,S=t.Collision.b2SimplexCache,C=t.Collision.b2Distance,h=t.Common.Math.b2Vec2,o=t.Dynamics.b2BodyDef,p=t.Dynamics.b2FixtureDef,u=t.Collision.Shapes.b2PolygonShape,c=t.Collision.Shapes.b2CircleShape,f=t.Collision.b2AABB;h.prototype.Transformed=function(t){return new h(this.x*t.R.col1.x+this.y*t.R.col2.x+t.position.x,this.x*t.R.col1.y+this.y*t.R.col2.y+t.position.y)};a.prototype.IsCircle=function(){return this.m_fixtureList.m_shape instanceof c&&this.m_fixtureList.m_next==null};a.prototype.distance=function(t){var e=function(t,e,i,s){var n=new w;n.proxyA=new x;n.proxyA.Set(t);n.proxyB=new x;n.proxyB.Set(i);n.transformA=e;n.transformB=s;n.useRadii=true;var r=new S;r.count=0;var o=new b;C.Distance(o,r,n);return o.distance};var i=Infinity;for(var s=this.m_fixtureList;s;s=s.m_next){for(var n=t.m_fixtureList;n;n=n.m_next){var r=e(s.m_shape,this.GetTransform(),n.m_shape,t.GetTransform());if(i>r)i=r}}return i};a.prototype.setCollisionFilter=function(t){var e;for(var i=this.m_fixtureList;i;i=i.m_next){e=i.GetFilterData();if("maskBits"in t)e.maskBits=t.maskBits;if("categoryBits"in t)e.categoryBits=t.categoryBits;if("groupIndex"in t)e.groupIndex=t.groupIndex;i.SetFilterData(e)}};function D(t){this.Init(t)}D.prototype.Init=function(t){this.m_flags=t.m_flags;this.m_xf=new _;this.m_xf.Set(t.m_xf);this.m_sweep=new g;this.m_sweep.Set(t.m_sweep);this.m_linearVelocity=t.m_linearVelocity.Copy();this.m_angularVelocity=t.m_angularVelocity;this.m_linearDamping=t.m_linearDamping;this.m_angularDamping=t.m_angularDamping;this.m_force=t.m_force.Copy();this.m_torque=t.m_torque;this.m_sleepTime=t.m_sleepTime;this.m_type=t.m_type;this.m_mass=t.m_mass;this.m_invMass=t.m_invMass;this.m_I=t.m_I;this.m_invI=t.m_invI;this.m_inertiaScale=t.m_inertiaScale;this.m_islandIndex=t.m_islandIndex};D.prototype.Apply=function(t){t.m_xf.Set(this.m_xf);t.m_sweep.Set(this.m_sweep);t.m_linearVelocity=this.m_linearVelocity.Copy();t.m_angularVelocity=this.m_angularVelocity;t.m_linearDamping=this.m_linearDamping;t.m_angularDamping=this.m_angularDamping;t.m_force=this.m_force.Copy();t.m_torque=this.m_torque;t.m_sleepTime=this.m_sleepTime;t.m_type=this.m_type;t.m_mass=this.m_mass;t.m_invMass=this.m_invMass;t.m_I=this.m_I;t.m_invI=this.m_invI;t.m_inertiaScale=this.m_inertiaScale;t.m_islandIndex=this.m_islandIndex;if((this.m_flags&a.e_activeFlag)==a.e_activeFlag){t.SetActive(true)}if((this.m_flags&a.e_awakeFlag)==a.e_awakeFlag){t.SetAwake(true)}t.m_flags=this.m_flags;t.SynchronizeFixtures();this.moveAwayAndBackAgain(t)};D.prototype.moveAwayAndBackAgain=function(t){t.SetPosition({x:Infinity,y:Infinity});t.SetPosition(this.m_xf.position)};function B(t){this.Init(t)}B.prototype.Init=function(t){this.curr_time=t.curr_time};B.prototype.Apply=function(t){t.curr_time=this.curr_time};a.prototype.PushState=function(){if(!this.bodystates)this.bodystates=[];this.bodystates.push(new D(this))};a.prototype.PopState=function(){this.bodystates.pop().Apply(this)};v.prototype.PushState=function(){if(!this.worldstates)this.worldstates=[];this.worldstates.push(new B(this));for(var t=this.m_bodyList;t;t=t.m_next)t.PushState()};v.prototype.PopState=function(){this.worldstates.pop().Apply(this);for(var t=this.m_bodyList;t;t=t.m_next)t.PopState();this.m_contactManager.FindNewContacts()};v.prototype.GetState=function(){var t=[];t.push({el:this,state:new B(this)});for(var e=this.m_bodyList;e;e=e.m_next){t.push({el:e,state:new D(e)})}return t};v.prototype.SetState=function(t){t.forEach(function(t){t.state.Apply(t.el)})};var P=t.Dynamics.b2DebugDraw,M=t.Dynamics.Joints.b2MouseJointDef;var A=function(t,e,i,s,n){this.canvas=e;this.ctx=e.getContext("2d");this.pscene=t;this.step_interval=1e3/30;this.interaction_interval=1e3/30;this.show_time=s||true;this.show_pos=false;this.draw_scale=i||1;this.playing=false;this.drawing=true;this.auto_pause=n===undefined?true:n;this.init();this.draw()};A.prototype.release=function(){if(this.step_timer)clearInterval(this.step_timer);if(this.interaction_timer)clearInterval(this.interaction_timer);this.pscene.onWorldChange.removeListener(this.draw)};A.prototype.pause=function(){this.was_autopaused=false;if(!this.playing)return;clearInterval(this.step_timer);this.step_time=null;this.playing=false};A.prototype.play=function(){if(this.playing)return;var t=this;t.was_autopaused=false;this.step_timer=setInterval(function(){t.pscene.step();if(t.auto_pause&&t.pscene.countAwake()==0){t.pause();t.was_autopaused=true}},this.step_interval);this.playing=true};A.prototype.toggle=function(){if(this.playing)this.pause();else this.play()};A.prototype.reset=function(){this.pscene.reset()};A.prototype.init=function(){var t=this;this.dbgDraw=new P;this.dbgDraw.SetSprite(this.canvas.getContext("2d"));this.dbgDraw.SetDrawScale(this.draw_scale);this.dbgDraw.SetXFormScale(.1);this.dbgDraw.SetFillAlpha(.5);this.dbgDraw.SetLineThickness(1);this.dbgDraw.SetFlags(P.e_shapeBit|P.e_jointBit);this.pscene.world.SetDebugDraw(this.dbgDraw);this.pscene.onWorldChange.addListener(function(){t.draw.apply(t)});this.mouseDown=false;this.mousePoint=new h(0,0);this.canvas.addEventListener("mousemove",function(){t.handleMouseMove.apply(t,arguments)},true);this.canvas.addEventListener("mousedown",function(){t.mouseDown=true},true);this.canvas.addEventListener("mouseup",function(){if(!t.mouseJoint)t.toggle.apply(t);t.handleMouseUp.apply(t,arguments)},true);this.canvas.addEventListener("dblclick",function(){t.pause();t.reset()},true);this.interaction_timer=setInterval(function(){t.updateInteraction.apply(t)},this.interaction_interval);this.canvas_position=this.getElementPosition(this.canvas);window.addEventListener("scroll",function(){t.canvas_position=t.getElementPosition(t.canvas)})};A.prototype.getElementPosition=function(t){var e=t.offsetLeft-document.documentElement.scrollLeft,i=t.offsetTop-document.documentElement.scrollTop;while(t=t.offsetParent){e+=t.offsetLeft-t.scrollLeft;i+=t.offsetTop-t.scrollTop}return{x:e,y:i}};A.prototype.handleMouseUp=function(t){this.mouseDown=false;if(this.mouseJoint){this.pscene.world.DestroyJoint(this.mouseJoint);this.mouseJoint=null}};A.prototype.handleMouseMove=function(t){this.mousePoint.x=(t.clientX-this.canvas_position.x)/this.draw_scale;this.mousePoint.y=(t.clientY-this.canvas_position.y)/this.draw_scale;if(this.mouseDown&&!this.playing){if(this.was_autopaused)this.play();else this.pscene.step()}if(this.draw_pos&&!this.mouseDown&&!this.playing)this.draw()};A.prototype.getBodyAtMouse=function(){var t=new f;var e=this.mousePoint;t.lowerBound.Set(e.x-.001,e.y-.001);t.upperBound.Set(e.x+.001,e.y+.001);var i=null;var s=function(t){var s=t.GetBody();if(s.GetType()!=a.b2_staticBody&&t.GetShape().TestPoint(s.GetTransform(),e)){i=s;return false}return true};this.pscene.world.QueryAABB(s,t);return i};A.prototype.updateInteraction=function(){if(this.mouseDown&&!this.mouseJoint){var t=this.getBodyAtMouse();if(t){var e=new M;e.bodyA=this.pscene.world.GetGroundBody();e.bodyB=t;e.target=this.mousePoint;e.collideConnected=true;e.maxForce=300*t.GetMass();this.mouseJoint=this.pscene.world.CreateJoint(e);t.SetAwake(true)}}if(this.mouseJoint){if(this.mouseDown){this.mouseJoint.SetTarget(this.mousePoint)}else{this.pscene.world.DestroyJoint(this.mouseJoint);this.mouseJoint=null}}};A.prototype.draw=function(){if(!this.drawing)return;this.pscene.world.DrawDebugData();if(this.show_time||this.show_pos){var t="";if(this.show_pos&&this.mousePoint)t+=" x="+this.mousePoint.x.toFixed(2)+" y="+this.mousePoint.y.toFixed(2);if(this.show_time)t+=" t="+this.pscene.getTime().toFixed(2);this.ctx.fillStyle="black";this.ctx.fillText(t,5,10)}};i.Simulator=A;t.Common.b2Settings.b2_linearSleepTolerance=.1;t.Common.b2Settings.b2_angularSleepTolerance=20/180*Math.PI;var k=function(t,e){this.world=t;this.world.curr_time=this.world.curr_time||0;this.world.PushState();this.dt=e||1/50;this.onWorldChange=new I;this.emit_changes=true};k.prototype.pushState=function(){this.world.PushState()};k.prototype.popState=function(){this.world.PopState();if(this.emit_changes)this.onWorldChange.emit(this.world.curr_time)};k.prototype.getState=function(){return this.world.GetState()};k.prototype.setState=function(t){this.world.SetState(t);if(this.emit_changes)this.onWorldChange.emit(this.world.curr_time)};k.prototype.reset=function(){this.popState();this.pushState()};k.prototype.getTime=function(){return this.world.curr_time};k.prototype.seek=function(t){if(this.world.curr_time>t)this.reset();this.simulate(t-this.world.curr_time)};k.prototype.clearForces=function(){this.world.ClearForces()};k.prototype.step=function(t){t=t||this.dt;try{this.world.Step(t,10,10)}catch(i){console.log("caught error",i,"during Box2D simulation step");console.log("trying again after finding new contacts...");var e=this.world.m_contactManager.m_broadPhase;this.forEachBody(function(t){for(var i=t.m_fixtureList;i;i=i.m_next){if(!i.m_proxy){console.log(t,i,"has no m_proxy set. Creating it now...");i.CreateProxy(e,t.m_xf)}}});this.step(t)}this.world.curr_time+=t;if(this.emit_changes)this.onWorldChange.emit(this.world.curr_time);return t};k.prototype.simulate=function(t){var e=0;while(e+this.dt<t)e+=this.step();var i=t-e;if(i>.001)this.step(i)};k.prototype.simulateUntilSleep=function(t){var t=t||Infinity;var e=0;while(e<=t&&this.countAwake()>0)e+=this.step();return e};k.prototype.analyzeFuture=function(t,e,i,s){if(t<0)throw"You are mistaking the past for the future.";var n=this.emit_changes;this.emit_changes=false;this.pushState();if(e)e();if(t>0){if(s)this.simulateUntilSleep(t);else this.simulate(t)}var r=i();this.popState();this.emit_changes=n;return r};k.prototype.forEachBody=function(t){for(var e=this.world.m_bodyList;e;e=e.m_next){if(e.master_obj)t(e)}};k.prototype.forEachDynamicBody=function(t){for(var e=this.world.m_bodyList;e;e=e.m_next){if(e.GetType()==a.b2_dynamicBody)t(e)}};k.prototype.getKineticEnergy=function(){var t=0;this.world.forEachDynamicBody(function(e){t+=.5*(e.m_I*e.m_angularVelocity*e.m_angularVelocity+e.m_mass*e.m_linearVelocity.Length()*e.m_linearVelocity.Length())});return t};k.prototype.getBodyDistance=function(t,e){e=e||t.bodystates[t.bodystates.length-1].m_xf;if(t.m_fixtureList.m_shape.GetType()==l.e_circleShape){var i=t.m_xf.position.Copy();i.Subtract(e.position);return i.Length()}else{return this.meanPointDistance(t.m_fixtureList.m_shape.GetVertices(),t.m_xf,e)}};k.prototype.meanPointDistance=function(t,e,i){var s=0;for(var n=0;n<t.length;n++){var r=t[n];var o=r.Transformed(e);o.Subtract(r.Transformed(i));s+=o.Length()}return s/t.length};k.prototype.wakeUp=function(){for(var t=this.world.m_bodyList;t;t=t.m_next)t.SetAwake(true)};k.prototype.countAwake=function(){var t=0;this.forEachDynamicBody(function(e){if(e.IsAwake())t++});return t};var I=function(){this.listeners=[]};I.prototype.addListener=function(t){this.listeners.push(t)};I.prototype.removeListener=function(t){var e=this.listeners.indexOf(t);if(e>=0)Array.remove(this.listeners,t)};I.prototype.removeAll=function(){this.listeners=[]};I.prototype.emit=function(){for(var t=0;t<this.listeners.length;t++){this.listeners[t].apply(this.listeners[t],arguments)}};i.PhysicsScene=k;var L=function(){var t="s2p-";var e={};var i=function(t){var e;if(window.XMLHttpRequest){e=new XMLHttpRequest}else{e=new ActiveXObject("Microsoft.XMLHTTP")}if(e){e.open("GET",t,false);e.send(null);return e.responseText}return null};e.ajaxGetUrl=i;e.readFile=i;e.DOMParser=typeof window!="undefined"?window.DOMParser:null;var o=function(t){if(e.DOMParser){var i=new e.DOMParser;return i.parseFromString(t,"image/svg+xml")}else{t=t.replace(/<!DOCTYPE svg[^>]*>/,"");var s=new ActiveXObject("Microsoft.XMLDOM");s.async="false";s.loadXML(t);return s}};e.parseXml=o;var a=function(t,e){var i={};if(!t.style){(t.getAttribute("style")||"").split(";").forEach(function(t){var e=t.indexOf(":");if(e>0)i[t.slice(0,e).trim()]=t.slice(e+1).trim()});return i}for(var s=0;s<t.style.length;++s){var n=t.style.item(s);i[n]=t.style.getPropertyValue(n)}return i};var h=function(t,e){return{a:t.a*e.a+t.c*e.b,b:t.b*e.a+t.d*e.b,c:t.a*e.c+t.c*e.d,d:t.b*e.c+t.d*e.d,e:t.a*e.e+t.c*e.f+t.e,f:t.b*e.e+t.d*e.f+t.f}};var l=function(t){var e={a:1,b:0,c:0,d:1,e:0,f:0};var i=/(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g,s;while(s=i.exec(t||"")){var n=s[2].split(/[\s,]+/).filter(function(t){return t!==""}).map(Number);var r;switch(s[1]){case"matrix":r={a:n[0],b:n[1],c:n[2],d:n[3],e:n[4],f:n[5]};break;case"translate":r={a:1,b:0,c:0,d:1,e:n[0],f:n[1]||0};break;case"scale":r={a:n[0],b:0,c:0,d:n.length>1?n[1]:n[0],e:0,f:0};break;case"rotate":var o=n[0]*Math.PI/180,a=Math.cos(o),l=Math.sin(o);var c=n[1]||0,u=n[2]||0;r={a:a,b:l,c:-l,d:a,e:c-a*c+l*u,f:u-l*c-a*u};break;case"skewX":r={a:1,b:0,c:Math.tan(n[0]*Math.PI/180),d:1,e:0,f:0};break;case"skewY":r={a:1,b:Math.tan(n[0]*Math.PI/180),c:0,d:1,e:0,f:0};break}e=h(e,r)}return e};e.parseTransform=l;var c=function(t){if(t.getCTM)return t.getCTM();var e={a:1,b:0,c:0,d:1,e:0,f:0};for(var i=t;i&&i.getAttribute;i=i.parentNode){e=h(l(i.getAttribute("transform")),e)}return e};var u=function(t){return(s.len(t.a,t.b)+s.len(t.c,t.d))/2};var p=function(t,i){return f(e.readFile(t),i)};e.parseFile=p;var f=function(t,e){e=e||100;var i=o(t);if(!i)throw"Error parsing "+t;var s=typeof document!="undefined"?y(i,"hidden_svg_div"):i.documentElement;var h=[];var l=function(t,e){var i=t.style["stroke-width"];if(!i)return;t.style["stroke-width"]=i.replace(/^[0-9]*\.?[0-9]+/,function(t){return Number(t)*e})};var p=s.getElementsByTagName("rect");for(var f=0;f<p.length;f++){var v=p[f];var _=n.fromSVGRect(v);_.svg_transform=c(v);_.style=a(v);l(_,u(_.svg_transform));h.push(_)}var g=d(h);g.is_frame=true;h=h.filter(function(t){return!t.is_frame});var w=s.getElementsByTagName("path");for(var f=0;f<w.length;f++){var b=w[f];var _=r.fromSVGPath(b,false)||n.fromSVGPath(b,1,false);if(_ instanceof n){_.merge_vertices({min_dist:1,min_vertex_count:2})}_.svg_transform=c(b);_.style=a(b);l(_,u(_.svg_transform));h.push(_)}var x=s.getElementsByTagName("circle");for(var f=0;f<x.length;f++){var b=x[f];var _=r.fromSVGCircle(b);_.svg_transform=c(b);_.style=a(b);l(_,u(_.svg_transform));h.push(_)}h.forEach(function(t){var e=t.style.stroke;t.movable=!(e=="#000000"||e=="#000"||e=="black"||e=="rgb(0, 0, 0)")});m([g],0,0,1);var S=100/Math.abs(g.pts[0].x-g.pts[1].x),C=-Math.min(g.pts[0].x,g.pts[1].x)*S,D=-Math.min(g.pts[0].y,g.pts[2].y)*S;m(h,C,D,S);m([g],C,D,S);return new T(h,g,e)};e.parseString=f;var m=function(t,e,i,s){t.forEach(function(t){var o=function(n){var r=n.x,o=n.y,a=t.svg_transform;if(a){r=a.a*n.x+a.c*n.y+a.e;o=a.b*n.x+a.d*n.y+a.f}n.x=s*r+e;n.y=s*o+i};if(t instanceof r){var a=t.centroid();o(a);t.x=a.x;t.y=a.y;t.r*=s;if(t.svg_transform)t.r*=Math.abs(t.svg_transform.a)}else if(t instanceof n)t.pts.forEach(o);else throw"Unkown object type";delete t.svg_transform})};var d=function(t){var e=0,i=null;for(var s=0;s<t.length;s++){var n=t[s].svg_transform.a;var r=Math.abs(t[s].area()*n*n);if(r>e){e=r;i=t[s]}}return i};var y=function(t,e){var i=document.getElementById(e);if(!i){i=document.body.appendChild(document.createElement("div"));i.setAttribute("id",e);i.setAttribute("style","position:absolute;width:1px;height:1px;overflow:hidden;left:-10px;")}else{var s;while(s=i.childNodes[0]){i.removeChild(s)}}return i.appendChild(t.rootElement)};return e}();var T=function(t,e,i){this.shapes=t||[];this.frame=e;this.shapes.push(e);this.setIds();this.width=100;this.height=100;this.friction=.3;this.restitution=.1;this.pixels_per_unit=i;this.moveToOrigin()};T.prototype.adjustStrokeWidth=function(t){var e=/^[0-9]*\.?[0-9]+/;for(var i=0;i<this.shapes.length;i++){var s=this.shapes[i];var o=1;if(e.test(s.style["stroke-width"])){o=Number(e.exec(s.style["stroke-width"])[0])}var a=s.bounding_box();var h=(a.width+o)/(a.width+t);var l=(a.height+o)/(a.height+t);if(s instanceof n&&s.id!=="|"){s.pts.forEach(function(t){t.x*=h;t.y*=l})}else if(s instanceof r){s.r=s.r*h}s.style["stroke-width"]=t}};T.prototype.setIds=function(){var t=null;var e=function(t){return t.bounding_box().width};for(var i=0;i<this.shapes.length;i++){var s=this.shapes[i];if(s.movable)s.id=i;else if(s==this.frame)s.id="|";else{s.id="_"+i;if(!t||e(s)>e(t))t=s}}if(t)t.id="_"};T.prototype.moveToOrigin=function(){for(var t=0;t<this.shapes.length;t++){var e=this.shapes[t];if(!(e instanceof n))continue;var i=e.centroid();e.pts.forEach(function(t){t.Sub(i)});e.x=i.x;e.y=i.y;e.rot=0}};T.prototype.renderInSvg=function(t,e,i,s,n,r){var o=t.createElementNS("http://www.w3.org/2000/svg","g");o.setAttribute("transform","translate("+i+","+s+") scale("+n+")");e.appendChild(o);var a=t.createElementNS("http://www.w3.org/2000/svg","rect");for(var h=0;h<this.shapes.length;h++){var l=this.shapes[h];var c=l.renderInSvg(document,o);for(var u in l.style)c.style.setProperty(u,l.style[u]);if(r&&this.shapes[h].movable){d3.select(e).append("text").style("fill","black").attr("x",l.x*n).attr("y",l.y*n).attr("text-anchor","middle").attr("dominant-baseline","central").text(h)}}};i.SVGSceneParser=L;var G=t.Collision.Shapes.b2MassData;var E=function(t){this.pscene=t;this.pscene.onWorldChange.addListener(this.onWorldChange.bind(this));this.contact_listener=new E.ContactListener(this);this.curr_state="0";this.states={0:{time:0,pstate:null},start:{time:.08,pstate:null},end:{time:"end",pstate:null}};this.sample_rate=20;this.trajectories=[]};E.prototype.gotoState=function(t){if(this.curr_state===t)return;if(!(t in this.states)){this.curr_state=null;throw'unknown state "'+t+'"'}var e=this.states[t];if(e.pstate)this.loadPhysicsState(e.pstate);else{if(this.states[t].time=="end")this.pscene.simulateUntilSleep(12);else this.pscene.seek(this.states[t].time);this.savePhysicsState(t)}this.curr_state=t};E.prototype.addState=function(t,e){if(t in this.states)throw'state "'+t+'" already exists';this.states[t]={time:e,pstate:null}};E.prototype.removeState=function(t){if(!(t in this.states))throw'unknown state "'+t+'"';if(this.curr_state===t)this.curr_state=null;delete this.states[t]};E.prototype.useCurrAsInitialState=function(){this.pscene.world.curr_time=0;this.pscene.world.PushState();this.curr_state="0";for(var t in this.states)this.states[t].pstate=null;this.pscene.reset()};E.prototype.savePhysicsState=function(t){this.states[t].pstate=this.pscene.getState()};E.prototype.loadPhysicsState=function(t){this.pscene.setState(t)};E.prototype.getBodyInStates=function(t,e){var i=this.curr_state,s=this.pscene.getState();var n={};for(var r=0;r<e.length;r++){this.gotoState(e[r]);var o=t.GetWorldCenter();n[e[r]]={rot:t.GetAngle(),x:o.x,y:o.y}}this.loadPhysicsState(s);this.curr_state=i;return n};E.prototype.analyzeFuture=function(t,e,i,s){return this.pscene.analyzeFuture(t,e,i,s)};E.prototype.whatIf=function(t,e,i,s){if(e<0)throw"You are mistaking the past for the future.";s=s||{};var n=this.pscene,r=n.emit_changes,o=[];n.emit_changes=false;n.pushState();try{if(s.wake_up)n.wakeUp();for(var a=0;a<t.length;a++){var h=t[a];if(!(h.type in E.interventions))throw'unknown intervention "'+h.type+'"';o.push(E.interventions[h.type](h.body,h))}if(e>0){if(s.until_sleep)n.simulateUntilSleep(e);else n.simulate(e)}return i?i():undefined}finally{for(var a=o.length-1;a>=0;a--)if(o[a])o[a]();n.popState();n.emit_changes=r}};E.interventions={remove:function(t){t.SetActive(false)},freeze:function(t){t.SetType(a.b2_staticBody)},impulse:function(t,e){var i=e.point?new h(e.point.x,e.point.y):t.GetWorldCenter().Copy();t.ApplyImpulse(new h(e.impulse.x,e.impulse.y),i)},mass:function(t,e){if(!(e.mass>0))throw"mass must be positive";var i=new G;t.GetMassData(i);i.I*=e.mass/i.mass;i.mass=e.mass;t.SetMassData(i)},friction:function(t,e){var i=[],s=[];for(var n=t.GetFixtureList();n;n=n.GetNext()){i.push(n);s.push(n.GetFriction());n.SetFriction(e.friction)}return function(){i.forEach(function(t,e){t.SetFriction(s[e])})}}};E.prototype.onWorldChange=function(){this.curr_state=null;this.synchShapes()};E.prototype.synchShapes=function(){this.pscene.forEachBody(function(t){t.master_obj.synch_to_phys()})};E.prototype.isStatic=function(t){return t.m_type==a.b2_staticBody};E.prototype.applyCentralImpulse=function(t,e,i){var s=function(t,e,i){var s=i.Copy();s.Add(t.m_sweep.c);t.ApplyImpulse(e,s)};var n={small:.5,medium:1,large:1.5};var r={left:new h(-1,0),right:new h(1,0),up:new h(0,1),down:new h(0,-1)};if(typeof i=="string")i=n[i]*t.m_mass;if(typeof e=="string")e=r[e];var o=e.Copy();o.Multiply(i);s(t,o,new h(0,0))};E.prototype.getTouchGroups=function(){var t=[],e=[];this.pscene.forEachDynamicBody(function(t){e.push(t)});for(var i=this.GetContactList();i;i=i.m_next){if(!i.IsTouching())continue;var s=i.m_fixtureA.m_body,n=i.m_fixtureB.m_body;if(s.GetType()!==a.b2_dynamicBody||n.GetType()!==a.b2_dynamicBody)continue;t.push([s,n])}return this.groupLinkedNodes(e,t)};E.prototype.getClosestBodyWithDist=function(t){var e={body:null,dist:Infinity};this.pscene.forEachDynamicBody(function(i){if(i===t)return;var s=t.distance(i);if(s<e.dist){e.body=i;e.dist=s}});if(e.body===null)return null;return e};E.prototype.getTouchedBodies=function(t){var e=[];var i=t.m_world.m_groundBody;for(var s=t.m_world.GetContactList();s;s=s.m_next){if(!s.IsTouching())continue;var n=s.m_fixtureA.m_body,r=s.m_fixtureB.m_body;if(n!=t&&r!=t)continue;if(n==i||r==i)continue;n=n==t?r:n;if(e.indexOf(n)==-1)e.push(n)}return e};E.prototype.getTouchedBodiesWithPos=function(e){var i=[];var s=e.m_world.m_groundBody;var n=new t.Collision.b2WorldManifold;for(var r=e.m_world.GetContactList();r;r=r.m_next){if(!r.IsTouching())continue;var o=r.m_fixtureA.m_body,a=r.m_fixtureB.m_body;if(o!=e&&a!=e)continue;if(o==s||a==s)continue;r.GetWorldManifold(n);var h=n.m_points.slice(0,r.m_manifold.m_pointCount);i.push({body:o==e?a:o,pts:h})}return i};E.prototype.getSpatialGroups=function(t,e){var i=[];if(!e){e=[];this.pscene.forEachDynamicBody(function(t){e.push(t)})}for(var s=0;s<e.length-1;s++)for(var n=s+1;n<e.length;n++){if(e[s].distance(e[n])<=t)i.push([e[s],e[n]])}return this.groupLinkedNodes(e,i)};E.prototype.groupLinkedNodes=function(t,e){var i=[];for(var s=0;s<t.length;s++){i.push([t[s]]);t[s]._ew_group_=s}for(var s=0;s<e.length;s++){var n=e[s][0],r=e[s][1];var o=n._ew_group_,a=r._ew_group_;if(o==a)continue;for(var h=0;h<i[a].length;h++){var l=i[a][h];l._ew_group_=o;i[o].push(l)}i[a]=[]}for(var s=0;s<t.length;s++)delete t[s]._ew_group_;return i.filter(function(t){return t.length})};E.prototype.observeCollisions=function(){var t=this.pscene.world.m_contactManager.m_contactListener;this.pscene.world.SetContactListener(this.contact_listener);this.collisions=[];var e=this;this.analyzeFuture(0,null,function(){e.recordTrajectories(12);e.pscene.world.SetContactListener(t);e.collisions=E.mergeCollisions(e.collisions,0);if(!e.states.end.pstate)e.savePhysicsState("end")},true);return this.collisions};E.prototype.recordTrajectories=function(t){var e=this.pscene,i=1/this.sample_rate;var s=this.trajectories=[];e.forEachDynamicBody(function(t){s.push({body:t,samples:[]})});var n=function(){for(var t=0;t<s.length;t++)s[t].samples.push(E.sampleBody(s[t].body))};n();var r=0,o=i,a=true;while(r<=t&&e.countAwake()>0){r+=e.step();a=r>=o-1e-9;if(a)n();while(o<=r+1e-9)o+=i}if(!a)n();return s};E.sampleBody=function(t){var e=t.GetPosition(),i=t.GetLinearVelocity();return{t:t.m_world.curr_time,x:e.x,y:e.y,rot:t.GetAngle(),vx:i.x,vy:i.y,w:t.GetAngularVelocity()}};E.prototype.getTrajectory=function(t){for(var e=0;e<this.trajectories.length;e++){if(this.trajectories[e].body===t)return this.trajectories[e].samples}return null};E.mergeCollisions=function(t,e,i){var s=[];if(typeof i=="undefined")i=.25;if(typeof e=="undefined")e=.1;for(var n=0;n<t.length;n++){var r=t[n];if(r.t<e)continue;var o=s[s.length-1];if(o&&(o.a==r.a&&o.b==r.b||o.a==r.b&&o.b==r.a)&&Math.abs(o.t-r.t)<=i){o.dv=Math.max(o.dv,r.dv)}else{s.push(r)}}return s};E.ContactListener=function(e){var i=new t.Collision.b2WorldManifold;this.BeginContact=function(t){};this.EndContact=function(t){};this.PreSolve=function(t,e){if(!t.IsTouching()){t.pointCount=0;t.process=false;return}if(t.pointCount&&t.pointCount==t.m_manifold.m_pointCount){t.process=false;return}t.pointCount=t.m_manifold.m_pointCount;t.process=true;var s=t.m_fixtureA.m_body,n=t.m_fixtureB.m_body;t.GetWorldManifold(i);var r=0,o=0;var a=i.m_normal;for(var h=0;h<t.m_manifold.m_pointCount;h++){var l=s.GetLinearVelocityFromWorldPoint(i.m_points[h]);var c=n.GetLinearVelocityFromWorldPoint(i.m_points[h]);l=l.x*a.x+l.y*a.y;c=c.x*a.x+c.y*a.y;if(Math.abs(l)>Math.abs(r))r=l;if(Math.abs(c)>Math.abs(o))o=c}t.vel_a=r;t.vel_b=o};this.PostSolve=function(t,i){if(!t.process)return;var s=Math.abs(t.vel_a-t.vel_b);if(s>.5){var n=t.m_fixtureA.m_body,r=t.m_fixtureB.m_body;var o=n.m_world;if(Math.abs(t.vel_a)>Math.abs(t.vel_b)){e.collisions.push({a:n,b:r,dv:s,t:o.curr_time})}else{e.collisions.push({a:r,b:n,dv:s,t:o.curr_time})}}}};i.PhysicsOracle=E;i.SVGScene=T;return i});
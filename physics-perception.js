@@ -1,7 +1,30 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// All library files are concatenated between this file and end.js, so that they
+/// share one function scope and only the PBP namespace is exported. In node.js (or
+/// any other CommonJS environment), the dependencies are required explicitly and PBP
+/// is exported as module. In the browser, the dependencies are taken from the
+/// globals defined by their script tags and PBP is added as global.
+(function (root, factory) {
+  if (typeof(module) != 'undefined' && module.exports) {
+    module.exports = factory( require('./libs/geom.js/geom.js')
+                            , require('./libs/svg2physics/svg2physics.js')
+                            , require('./libs/box2dweb/Box2D.js'));
+  } else {
+    root.PBP = factory(root, root.s2p, root.Box2D);
+  }
+})(this, function(geom, s2p, Box2D) {
+var PBP = { version: "1.1.0" }; // semver
+
+var Point = geom.Point
+  , Polygon = geom.Polygon
+  , Circle = geom.Circle
+  , SpatialRelationAnalyzer = geom.SpatialRelationAnalyzer;
+
 /// Labels are only 'stable' or 'unstable', but internally there are four values:
 /// 'moving', 'unstable', 'slightly unstable' and 'stable'. The mapping of values
 /// to labels should depend on the context later, but is fixed for now.
-StabilityAttribute = function(obj) {
+var StabilityAttribute = function(obj) {
   this.perceive(obj);
 }
 StabilityAttribute.prototype.key = 'stability';
@@ -70,10 +93,90 @@ StabilityAttribute.prototype.checkStability = function(body, oracle) {
   if (is_stable('left', true) && is_stable('right', true)) return 'slightly unstable';
   return 'unstable';
 }
-/// For now, this is a all or nothing decision between "can be moved up" or "can't be moved up".
-/// Depends on whether the after applying a upward directed force for 5 seconds the object touches
-/// the upper frame.
-MovableUpAttribute = function(obj) {
+/// Helper functions shared by the can-move attributes MovableUpAttribute,
+/// MovableDownAttribute, MovableLeftAttribute and MovableRightAttribute. They pull an
+/// object into a direction and grade how far it moved.
+var Movability = {};
+
+/// Sets the `val` and `at_edge` fields of the passed movability percept for the
+/// passed direction, see Movability.check.
+Movability.perceive = function(percept, dir) {
+  var res = Movability.check(dir, percept.obj.phys_obj
+                            , percept.obj.object_node.scene_node.oracle);
+  percept.val = res.dist / percept.obj.phys_scale;
+  percept.at_edge = res.at_edge;
+}
+
+/// Returns the activity of the passed movability percept: 1 if the object reached the
+/// edge of the frame, otherwise the membership of the distance it moved.
+Movability.activity = function(percept) {
+  if (percept.at_edge) return 1;
+  var profile = PBP.getMembershipProfile(percept.obj.object_node.scene_node);
+  return Movability.membership(percept.val, profile);
+}
+
+/// Uses the 'movable' parameters of the passed membership profile or of the active one.
+Movability.membership = function(dist, profile) {
+  var p = (profile || PBP.getMembershipProfile()).movable;
+  if (dist <= 0) return 0;
+  return 1/(1+Math.exp(p.a*(p.m-dist)));
+}
+
+/// Pulls the object with a small force for 2.5 seconds into the passed direction, one
+/// of 'up', 'down', 'left' or 'right', and returns how far it moved into that direction
+/// as `dist` (in physics units) and whether it ended up touching the edge of the frame
+/// in that direction as `at_edge`. Static objects can't be moved at all.
+Movability.check = function(dir, body, oracle) {
+  if (oracle.isStatic(body)) return { dist: 0, at_edge: false };
+
+  var b2Vec2 = Box2D.Common.Math.b2Vec2, m = body.GetMass();
+  var dirs = { up: new b2Vec2(0, -1), down: new b2Vec2(0, 1)
+             , left: new b2Vec2(-1, 0), right: new b2Vec2(1, 0) };
+  if (!(dir in dirs)) throw "unknown direction '" + dir + "'";
+  var d = dirs[dir];
+  // upwards, the force needs to overcome gravity, sidewards the friction on the ground
+  var f = (dir == 'up') ? new b2Vec2(0, -m*12)
+        : (dir == 'down') ? new b2Vec2(0, m*2) : new b2Vec2(d.x*m*5, 0);
+  var start = body.GetWorldCenter().Copy();
+
+  // apply force to the body (will be cleared on reset after analyzeFuture automatically)
+  var pull = function() {
+    body.SetSleepingAllowed(false);
+    body.ApplyForce(f, body.GetWorldCenter());
+  }
+
+  return oracle.analyzeFuture(2.5, pull, function() {
+    var center = body.GetWorldCenter();
+    var dist = Math.max(0, (center.x-start.x)*d.x + (center.y-start.y)*d.y);
+    // check whether object touches the frame at its border in the pull direction, and
+    // not only at one of the borders next to it
+    var res = oracle.getTouchedBodiesWithPos(body);
+    var at_edge = res.some(function (e) {
+      if (e.body.master_obj.id !== "|") return false;
+      var border = Movability.getFrameBorder(e.body.master_obj, dir);
+      for (var i=0; i<e.pts.length; i++) {
+        if (border - (e.pts[i].x*d.x + e.pts[i].y*d.y) < 0.02) return true;
+      }
+    });
+    return { dist: dist, at_edge: at_edge };
+  });
+}
+
+/// Returns the position of the border of the passed frame shape in the passed direction
+/// in physics units, projected onto that direction. E.g., for 'left' this is the
+/// negated x-coordinate of the left border, so that points further left are larger.
+Movability.getFrameBorder = function(frame, dir) {
+  var s = frame.phys_scale, bb = frame.bounding_box();
+  if (dir == 'up') return -(frame.y+bb.y)*s;
+  if (dir == 'down') return (frame.y+bb.y+bb.height)*s;
+  if (dir == 'left') return -(frame.x+bb.x)*s;
+  return (frame.x+bb.x+bb.width)*s;
+}
+/// Reflects whether an object can be moved up. Depends on how far the object moves
+/// when an upward directed force is applied for 2.5 seconds. If it reaches the upper
+/// edge of the frame, the activity is 1, otherwise it is graded by the distance the
+/// object moved up (see Movability.membership).
+var MovableUpAttribute = function(obj) {
   this.perceive(obj);
 }
 MovableUpAttribute.prototype.key = 'can_move_up';
@@ -82,52 +185,570 @@ MovableUpAttribute.prototype.arity = 1;
 MovableUpAttribute.prototype.constant = false;
 
 /// Returns an MovableUpAttribute instance, which is the perception of whether the passed
-/// object can be moved up. Possible values are 1 or 0.
+/// object can be moved up. The `val` is the distance the object moved up and `at_edge`
+/// is true if it reached the edge of the frame.
 MovableUpAttribute.prototype.perceive = function(obj) {
   this.obj = obj;
-  this.val = this.checkMovability('up', obj.phys_obj, obj.object_node.scene_node.oracle);
+  Movability.perceive(this, 'up');
 }
 
 MovableUpAttribute.prototype.get_activity = function() {
-  return this.val ? 1 : 0;
+  return Movability.activity(this);
 }
 
 MovableUpAttribute.prototype.get_label = function() {
 	return 'can-move-up';
 }
+/// Reflects whether an object can be moved down. Depends on how far the object moves
+/// when a small downward directed force is applied for 2.5 seconds, see
+/// Movability.
+var MovableDownAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovableDownAttribute.prototype.key = 'can_move_down';
+MovableDownAttribute.prototype.targetType = 'obj';
+MovableDownAttribute.prototype.arity = 1;
+MovableDownAttribute.prototype.constant = false;
 
-/// Returns true if the object can be moved towards the passed direction, one of
-/// 'up', 'left' or 'right'. This is the case if pulling the object with a small force
-/// for 4 seconds into the respective direction will result in the object beeing at
-/// the respective edge of the frame or having moved substantially far in the direction.
-/// For now only works for 'up'.
-MovableUpAttribute.prototype.checkMovability = function(dir, body, oracle) {
-	if (oracle.isStatic(body)) return false;
+MovableDownAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  Movability.perceive(this, 'down');
+}
 
-  var f = new Box2D.Common.Math.b2Vec2(0, -body.GetMass()*12);
-  //if (dir == 'up') f = new b2Vec2(0, -body.GetMass()*12);
-  //else if (dir == 'left') f = new b2Vec2(-body.GetMass()*2, 0);
-  //else if (dir == 'right') f = new b2Vec2(body.GetMass()*2, 0);
-  //else throw "unknown direction '" + dir + "'";
+MovableDownAttribute.prototype.get_activity = function() {
+  return Movability.activity(this);
+}
 
-  // apply force to the body (will be cleared on reset after analyzeFuture automatically)
-  var pull = function() {
-    body.SetSleepingAllowed(false);
-    body.ApplyForce(f, body.GetWorldCenter());
+MovableDownAttribute.prototype.get_label = function() {
+  return 'can-move-down';
+}
+/// Reflects whether an object can be moved left. Depends on how far the object moves
+/// when a small force directed to the left is applied for 2.5 seconds, see
+/// Movability.
+var MovableLeftAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovableLeftAttribute.prototype.key = 'can_move_left';
+MovableLeftAttribute.prototype.targetType = 'obj';
+MovableLeftAttribute.prototype.arity = 1;
+MovableLeftAttribute.prototype.constant = false;
+
+MovableLeftAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  Movability.perceive(this, 'left');
+}
+
+MovableLeftAttribute.prototype.get_activity = function() {
+  return Movability.activity(this);
+}
+
+MovableLeftAttribute.prototype.get_label = function() {
+  return 'can-move-left';
+}
+/// Reflects whether an object can be moved right. Depends on how far the object moves
+/// when a small force directed to the right is applied for 2.5 seconds, see
+/// Movability.
+var MovableRightAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovableRightAttribute.prototype.key = 'can_move_right';
+MovableRightAttribute.prototype.targetType = 'obj';
+MovableRightAttribute.prototype.arity = 1;
+MovableRightAttribute.prototype.constant = false;
+
+MovableRightAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  Movability.perceive(this, 'right');
+}
+
+MovableRightAttribute.prototype.get_activity = function() {
+  return Movability.activity(this);
+}
+
+MovableRightAttribute.prototype.get_label = function() {
+  return 'can-move-right';
+}
+/// Reflects whether an object falls over during the simulation. Compares the object's
+/// orientation and the height of its center in the oracle's 'start' and 'end' state.
+/// The activity grows with the rotation of the object, unless its center was lifted
+/// up, which means it was pushed rather than falling. The label is 'topples-left' or
+/// 'topples-right', depending on the direction the object fell to. Circles can't
+/// topple, as they roll instead.
+var TopplesAttribute = function(obj) {
+  this.perceive(obj);
+}
+TopplesAttribute.prototype.key = 'topples';
+TopplesAttribute.prototype.targetType = 'obj';
+TopplesAttribute.prototype.arity = 1;
+TopplesAttribute.prototype.constant = true;
+
+/// Sets `val` to the rotation between start and end in degrees, `drop` to how much
+/// the center of the object got lower in scene units and `direction` to 'left' or
+/// 'right'.
+TopplesAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.val = 0;
+  this.drop = 0;
+  this.direction = 'right';
+  var body = obj.phys_obj, oracle = obj.object_node.scene_node.oracle;
+  if (oracle.isStatic(body) || body.IsCircle()) return;
+  var s = TopplesAttribute.getStartAndEnd(body, oracle);
+  var drot = Point.norm_angle(s.end.rot - s.start.rot);
+  this.val = Math.abs(drot)*180/Math.PI;
+  this.drop = (s.end.y - s.start.y) / obj.phys_scale;
+  // y points down, so a positive angle is a clockwise rotation
+  this.direction = drot < 0 ? 'left' : 'right';
+}
+
+TopplesAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return TopplesAttribute.membership(this.val, this.drop, profile);
+}
+
+TopplesAttribute.prototype.get_label = function() {
+  return 'topples-' + this.direction;
+}
+
+/// Uses the 'topples' parameters of the passed membership profile or of the active one.
+/// Rotations are in degrees, drops in scene units.
+TopplesAttribute.membership = function(rot, drop, profile) {
+  var p = (profile || PBP.getMembershipProfile()).topples;
+  if (drop < -p.max_rise) return 0;
+  return 1/(1+Math.exp(p.a*(p.m-rot)));
+}
+
+/// Returns the rotation and the position of the center of the passed body in the
+/// oracle's 'start' and 'end' state as {start: {rot, x, y}, end: {rot, x, y}}. The
+/// physics state the oracle was in before is restored afterwards.
+TopplesAttribute.getStartAndEnd = function(body, oracle) {
+  return oracle.getBodyInStates(body, ['start', 'end']);
+}
+/// Reflects how an object moves. Samples the linear and angular velocity of the object
+/// and its contacts with other objects during a short time window starting at the
+/// current state of the simulation. Each sample is categorized as 'rests', 'falls-freely'
+/// (moving without touching anything), 'rolls' or 'slides' (moving along something it
+/// touches). A rolling object does not slip at its contact points, so for a rolling
+/// circle, its angular velocity times its radius matches its speed relative to the
+/// surface. A sliding object slips along the surface it touches. An object that moves
+/// together with everything it touches is counted as falling. An object 'bounces' if its vertical
+/// velocity turns from downward to upward within the time window. The memberships of
+/// all categories sum up to 1.
+var MotionAttribute = function(obj) {
+  this.perceive(obj);
+}
+MotionAttribute.prototype.key = 'motion';
+MotionAttribute.prototype.targetType = 'obj';
+MotionAttribute.prototype.arity = 1;
+MotionAttribute.prototype.constant = false;
+
+MotionAttribute.labels = ['rests', 'falls-freely', 'rolls', 'slides', 'bounces'];
+
+/// Sets `samples` to an array of {v, w, vy, contact, rel, slip} objects, see
+/// MotionAttribute.sample, which are taken during the 'window' seconds given in the
+/// membership profile.
+MotionAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var body = obj.phys_obj, oracle = obj.object_node.scene_node.oracle;
+  var window = PBP.getMembershipProfile(obj.object_node.scene_node).motion.window;
+  var samples = this.samples = [MotionAttribute.sample(body, oracle)];
+  if (oracle.isStatic(body)) return;
+  oracle.analyzeFuture(0, null, function() {
+    for (var t=0; t<window; t+=oracle.pscene.step()) {
+      samples.push(MotionAttribute.sample(body, oracle));
+    }
+  });
+}
+
+/// Returns the speed `v`, the angular speed `w`, the vertical velocity `vy` (positive
+/// is down) of the passed body, whether it touches other bodies as `contact`, its speed
+/// relative to the body it touches as `rel` and how fast it slips along that body as
+/// `slip`. A circle that rolls along a body does not slip, as its angular speed times
+/// its radius equals its speed relative to that body. Anything else slips with its
+/// relative speed. If several bodies are touched, the one with the least slip is used.
+/// All values are in physics units.
+MotionAttribute.sample = function(body, oracle) {
+  var vel = body.GetLinearVelocity(), center = body.GetWorldCenter();
+  var w = body.GetAngularVelocity();
+  var res = { v: vel.Length(), w: Math.abs(w), vy: vel.y, contact: false, rel: 0, slip: Infinity };
+  var r = body.IsCircle() ? body.GetFixtureList().GetShape().GetRadius() : 0;
+  oracle.getTouchedBodies(body).forEach(function (other) {
+    var rel = vel.Copy();
+    rel.Subtract(other.GetLinearVelocityFromWorldPoint(center));
+    var slip = Math.abs(rel.Length() - Math.abs(w)*r);
+    res.contact = true;
+    if (slip < res.slip) { res.slip = slip; res.rel = rel.Length() }
+  });
+  if (!res.contact) res.slip = 0;
+  return res;
+}
+
+/// Returns the memberships of the passed samples to all motion categories. Uses the
+/// 'moves' parameters of the membership profile to decide whether a sample is moving,
+/// both in total and relative to the touched body, and the 'motion' parameters to
+/// decide at which ratio of slipping speed and relative speed it is sliding and at
+/// which upward speed after moving down it bounces.
+MotionAttribute.membership = function(samples, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.motion, res = {};
+  MotionAttribute.labels.forEach(function (l) { res[l] = 0 });
+  samples.forEach(function (s) {
+    var moving = MovesAttribute.membership(s.v, profile);
+    var along = s.contact ? MovesAttribute.membership(s.rel, profile) : 0;
+    var sliding = 1/(1+Math.exp(p.a*(p.m-s.slip/Math.max(s.rel, 1e-6))));
+    res['rests'] += (1-moving) / samples.length;
+    res['falls-freely'] += moving*(1-along) / samples.length;
+    res['slides'] += moving*along*sliding / samples.length;
+    res['rolls'] += moving*along*(1-sliding) / samples.length;
+  });
+  // a bounce is a turn from moving down to moving up, after which the object leaves
+  // the surface it hit
+  var bounce = 0;
+  for (var i=1; i<samples.length; i++) {
+    if (samples[i-1].vy <= 0 || samples[i].vy >= 0) continue;
+    for (var j=i; j<samples.length && samples[j].vy < 0 && samples[j].contact; j++);
+    if (j == samples.length || samples[j].vy >= 0) continue;
+    bounce = Math.max(bounce, 1/(1+Math.exp(p.bounce_a*(p.bounce_m+samples[i].vy))));
   }
+  MotionAttribute.labels.forEach(function (l) { res[l] *= 1-bounce });
+  res['bounces'] = bounce;
+  return res;
+}
 
-  return oracle.analyzeFuture(2.5, pull, function() {
-    // check whether object is close to top of frame
-    var res = oracle.getTouchedBodiesWithPos(body);
-    return res.some(function (e) {
-      if (e.body.master_obj.id !== "|") return false;
-      for (var i=0; i<e.pts.length; i++) {
-        if (e.pts[i].y < 0.1) return true;
-      }
-    });
+/// Returns the memberships of the object's motion to all categories.
+MotionAttribute.prototype.get_memberships = function() {
+  return MotionAttribute.membership(this.samples, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+MotionAttribute.prototype.get_activity = function() {
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the category with the highest membership.
+MotionAttribute.prototype.get_label = function() {
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
+/// Reflects how far an object moved between two states, per default from the 'start'
+/// to the 'end' state. Compares the positions of the object's centroid and its
+/// orientations in both states. An object 'stays-put' if its centroid moved only a
+/// little, otherwise it 'moves-left', 'moves-right', 'moves-up' or 'moves-down',
+/// depending on the direction of its displacement. The memberships of all labels sum
+/// up to 1.
+var DisplacementAttribute = function(obj) {
+  this.perceive(obj);
+}
+DisplacementAttribute.prototype.key = 'displacement';
+DisplacementAttribute.prototype.targetType = 'obj';
+DisplacementAttribute.prototype.arity = 1;
+DisplacementAttribute.prototype.constant = true;
+/// the states between which the displacement is measured
+DisplacementAttribute.prototype.from = 'start';
+DisplacementAttribute.prototype.to = 'end';
+
+DisplacementAttribute.labels = ['stays-put', 'moves-left', 'moves-right', 'moves-up', 'moves-down'];
+
+/// Sets `dx` and `dy` to the displacement of the centroid in scene units (dy is positive
+/// downwards), `val` to its length and `rot` to the rotation of the object in degrees
+/// (positive is clockwise).
+DisplacementAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.dx = this.dy = this.val = this.rot = 0;
+  var body = obj.phys_obj, oracle = obj.object_node.scene_node.oracle;
+  if (oracle.isStatic(body)) return;
+  var s = oracle.getBodyInStates(body, [this.from, this.to]);
+  var a = s[this.from], b = s[this.to];
+  this.dx = (b.x - a.x) / obj.phys_scale;
+  this.dy = (b.y - a.y) / obj.phys_scale;
+  this.val = Math.sqrt(this.dx*this.dx + this.dy*this.dy);
+  this.rot = Point.norm_angle(b.rot - a.rot)*180/Math.PI;
+}
+
+/// Returns the memberships of the passed displacement in scene units to all labels.
+/// Uses the 'displacement' parameters of the passed membership profile or of the
+/// active one for deciding whether the object moved far. The membership of moving far
+/// is distributed between the directions by the squared cosine of the angle between
+/// the displacement and each direction.
+DisplacementAttribute.membership = function(dx, dy, profile) {
+  var p = (profile || PBP.getMembershipProfile()).displacement;
+  var dist = Math.sqrt(dx*dx + dy*dy);
+  var far = 1/(1+Math.exp(p.a*(p.m-dist)));
+  var h = dist ? dx*dx/(dist*dist) : 0, v = dist ? dy*dy/(dist*dist) : 0;
+  return { 'stays-put': 1-far
+         , 'moves-left': dx < 0 ? far*h : 0, 'moves-right': dx > 0 ? far*h : 0
+         , 'moves-up': dy < 0 ? far*v : 0, 'moves-down': dy > 0 ? far*v : 0 };
+}
+
+/// Returns the memberships of the object's displacement to all labels.
+DisplacementAttribute.prototype.get_memberships = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return DisplacementAttribute.membership(this.dx, this.dy, profile);
+}
+
+DisplacementAttribute.prototype.get_activity = function() {
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the label with the highest membership.
+DisplacementAttribute.prototype.get_label = function() {
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
+/// Helper functions shared by the speed and direction attributes FastAttribute,
+/// SlowAttribute, MovingLeftAttribute, MovingRightAttribute, MovingUpAttribute and
+/// FallingAttribute. The velocity of an object is sampled only once per state and
+/// shared by all of them.
+var Velocity = {};
+
+/// Uses the 'velocity' parameters of the passed membership profile or of the active one.
+/// Used by all moving direction attributes.
+Velocity.membership = function(vel, profile) {
+  var p = (profile || PBP.getMembershipProfile()).velocity;
+  return 1/(1+Math.exp(p.a*(p.m-vel)));
+}
+
+/// Returns the velocity of the passed object, see Velocity.sample. The result is cached
+/// in the object node for the current state of the oracle, so the time window is only
+/// simulated once per object and state. Nothing is cached if the oracle is in no
+/// named state, e.g. after the world was changed.
+Velocity.get = function(obj) {
+  var oracle = obj.object_node.scene_node.oracle;
+  var window = PBP.getMembershipProfile(obj.object_node.scene_node).velocity.window;
+  if (oracle.curr_state === null) return Velocity.sample(obj, window);
+  var key = [oracle.curr_state, oracle.pscene.getTime(), window].join()
+    , cache = obj.object_node.velocity_cache || (obj.object_node.velocity_cache = {});
+  if (!(key in cache)) cache[key] = Velocity.sample(obj, window);
+  return cache[key];
+}
+
+/// Returns the current velocity of the passed object as {x, y, speed} in physics units
+/// (y points down) together with the highest speed and the highest velocity components
+/// to the left, right, up and down that occur during the passed time window in seconds,
+/// starting now, as `peak: {speed, left, right, up, down}`.
+Velocity.sample = function(obj, window) {
+  var body = obj.phys_obj, oracle = obj.object_node.scene_node.oracle;
+  var v = body.m_linearVelocity;
+  var res = { x: v.x, y: v.y, speed: v.Length()
+            , peak: { speed: v.Length(), left: -v.x, right: v.x, up: -v.y, down: v.y } };
+  if (oracle.isStatic(body)) return res;
+  var update = function() {
+    var v = body.m_linearVelocity, p = res.peak;
+    p.speed = Math.max(p.speed, v.Length());
+    p.left = Math.max(p.left, -v.x);
+    p.right = Math.max(p.right, v.x);
+    p.up = Math.max(p.up, -v.y);
+    p.down = Math.max(p.down, v.y);
+  }
+  oracle.analyzeFuture(0, null, function() {
+    for (var t=0; t<window; t+=oracle.pscene.step()) update();
   });
+  return res;
+}
+/// Reflects whether an object moves fast. The attribute stores the object's speed at the
+/// current state as `val` and the highest speed during the following time window as
+/// `peak`. The activity depends on the peak, so an object that is about to be fast is
+/// fast already.
+var FastAttribute = function(obj) {
+  this.perceive(obj);
+}
+FastAttribute.prototype.key = 'fast';
+FastAttribute.prototype.targetType = 'obj';
+FastAttribute.prototype.arity = 1;
+FastAttribute.prototype.constant = false;
+
+/// Uses the 'fast' parameters of the passed membership profile or of the active one.
+FastAttribute.membership = function(speed, profile) {
+  var p = (profile || PBP.getMembershipProfile()).fast;
+  return 1/(1+Math.exp(p.a*(p.m-speed)));
+}
+
+FastAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = v.speed;
+  this.peak = v.peak.speed;
+}
+
+FastAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return FastAttribute.membership(this.peak, profile);
+}
+
+FastAttribute.prototype.get_label = function() {
+  return 'fast';
+}
+/// Reflects whether an object moves slowly or not at all. Like the FastAttribute, it
+/// stores the current speed as `val` and the highest speed during the following time
+/// window as `peak` and the activity depends on the peak.
+var SlowAttribute = function(obj) {
+  this.perceive(obj);
+}
+SlowAttribute.prototype.key = 'slow';
+SlowAttribute.prototype.targetType = 'obj';
+SlowAttribute.prototype.arity = 1;
+SlowAttribute.prototype.constant = false;
+
+/// Uses the 'slow' parameters of the passed membership profile or of the active one.
+SlowAttribute.membership = function(speed, profile) {
+  var p = (profile || PBP.getMembershipProfile()).slow;
+  return 1-1/(1+Math.exp(p.a*(p.m-speed)));
+}
+
+SlowAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = v.speed;
+  this.peak = v.peak.speed;
+}
+
+SlowAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return SlowAttribute.membership(this.peak, profile);
+}
+
+SlowAttribute.prototype.get_label = function() {
+  return 'slow';
+}
+/// Reflects whether an object moves to the left. The attribute stores the current velocity
+/// component in that direction as `val` and its highest value during the following time
+/// window as `peak` (see Velocity.sample). The activity depends on the peak.
+var MovingLeftAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovingLeftAttribute.prototype.key = 'moving_left';
+MovingLeftAttribute.prototype.targetType = 'obj';
+MovingLeftAttribute.prototype.arity = 1;
+MovingLeftAttribute.prototype.constant = false;
+
+MovingLeftAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = -v.x;
+  this.peak = v.peak.left;
+}
+
+MovingLeftAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Velocity.membership(this.peak, profile);
+}
+
+MovingLeftAttribute.prototype.get_label = function() {
+  return 'moving-left';
+}
+/// Reflects whether an object moves to the right. The attribute stores the current velocity
+/// component in that direction as `val` and its highest value during the following time
+/// window as `peak` (see Velocity.sample). The activity depends on the peak.
+var MovingRightAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovingRightAttribute.prototype.key = 'moving_right';
+MovingRightAttribute.prototype.targetType = 'obj';
+MovingRightAttribute.prototype.arity = 1;
+MovingRightAttribute.prototype.constant = false;
+
+MovingRightAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = v.x;
+  this.peak = v.peak.right;
+}
+
+MovingRightAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Velocity.membership(this.peak, profile);
+}
+
+MovingRightAttribute.prototype.get_label = function() {
+  return 'moving-right';
+}
+/// Reflects whether an object moves up. The attribute stores the current velocity
+/// component in that direction as `val` and its highest value during the following time
+/// window as `peak` (see Velocity.sample). The activity depends on the peak.
+var MovingUpAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovingUpAttribute.prototype.key = 'moving_up';
+MovingUpAttribute.prototype.targetType = 'obj';
+MovingUpAttribute.prototype.arity = 1;
+MovingUpAttribute.prototype.constant = false;
+
+MovingUpAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = -v.y;
+  this.peak = v.peak.up;
+}
+
+MovingUpAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Velocity.membership(this.peak, profile);
+}
+
+MovingUpAttribute.prototype.get_label = function() {
+  return 'moving-up';
+}
+/// Reflects whether an object falls, which means it moves down. The attribute stores
+/// the current downward velocity as `val` and its highest value during the following
+/// time window as `peak` (see Velocity.sample). The activity depends on the
+/// peak.
+var FallingAttribute = function(obj) {
+  this.perceive(obj);
+}
+FallingAttribute.prototype.key = 'falling';
+FallingAttribute.prototype.targetType = 'obj';
+FallingAttribute.prototype.arity = 1;
+FallingAttribute.prototype.constant = false;
+
+FallingAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = v.y;
+  this.peak = v.peak.down;
+}
+
+FallingAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Velocity.membership(this.peak, profile);
+}
+
+FallingAttribute.prototype.get_label = function() {
+  return 'falling';
+}
+/// Reflects whether an object is the first one in the scene that starts to move, see
+/// MovesBeforeRelationship.getStartTime. The activity is how much it starts before the
+/// next object does (see MovesBeforeRelationship.membership), so it is 0 for objects
+/// starting at the same time and if no other object moves.
+var FirstToMoveAttribute = function(obj) {
+  this.perceive(obj);
+}
+FirstToMoveAttribute.prototype.key = 'first_to_move';
+FirstToMoveAttribute.prototype.targetType = 'obj';
+FirstToMoveAttribute.prototype.arity = 1;
+FirstToMoveAttribute.prototype.constant = true;
+
+/// Sets `val` to the time the object starts to move in seconds or to null if it does
+/// not move and `next` to the earliest start time of all other objects in the scene.
+FirstToMoveAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.val = MovesBeforeRelationship.getStartTime(obj);
+  this.next = null;
+  var objs = obj.object_node.scene_node.objs;
+  for (var i=0; i<objs.length; i++) {
+    if (objs[i].obj === obj) continue;
+    var t = MovesBeforeRelationship.getStartTime(objs[i].obj);
+    if (t !== null && (this.next === null || t < this.next)) this.next = t;
+  }
 }
-ShapeAttribute = function(obj) {
+
+FirstToMoveAttribute.prototype.get_activity = function() {
+  return MovesBeforeRelationship.membership(this.val, this.next, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+FirstToMoveAttribute.prototype.get_label = function() {
+  return 'first-to-move';
+}
+var ShapeAttribute = function(obj) {
   this.perceive(obj);
 }
 ShapeAttribute.prototype.key = 'shape';
@@ -178,7 +799,7 @@ ShapeAttribute.isRectangle = function(poly) {
   return true;
 }
 
-CircleAttribute = function(obj) {
+var CircleAttribute = function(obj) {
   this.perceive(obj);
 }
 CircleAttribute.prototype.key = 'circle';
@@ -211,7 +832,7 @@ CircleAttribute.circleness = function(shape) {
   // then see how much the difference between the convex hull corner & midpoints
   // and the "radius" of the convex hull
 }
-SquareAttribute = function(obj) {
+var SquareAttribute = function(obj) {
   this.perceive(obj);
 }
 SquareAttribute.prototype.key = 'square';
@@ -258,7 +879,7 @@ SquareAttribute.isRectangle = function(poly) {
   }
   return true;
 }
-RectangleAttribute = function(obj) {
+var RectangleAttribute = function(obj) {
   this.perceive(obj);
 }
 RectangleAttribute.prototype.key = 'rect';
@@ -305,7 +926,7 @@ RectangleAttribute.isRectangle = function(poly) {
   }
   return true;
 }
-TriangleAttribute = function(obj) {
+var TriangleAttribute = function(obj) {
   this.perceive(obj);
 }
 TriangleAttribute.prototype.key = 'triangle';
@@ -335,7 +956,7 @@ TriangleAttribute.triangleness = function(shape) {
 }
 /// Reflects whether an object is moving at the moment or will be moving 0.1 seconds
 /// in the future. The activation is 0.5 for a linear velocity of 0.1.
-MovesAttribute = function(obj) {
+var MovesAttribute = function(obj) {
   this.perceive(obj);
 }
 MovesAttribute.prototype.key = 'moves';
@@ -344,10 +965,10 @@ MovesAttribute.prototype.arity = 1;
 MovesAttribute.prototype.constant = true;
 
 // google: "plot from -0.5 to 5, 1/(1+exp(40*(0.1-x)))"
-MovesAttribute.membership = function(lin_vel) {
-  var a = 40; // steepness of sigmoid function
-  var m = 0.1; // linear velocity at which sigmoid is 0.5
-  return 1/(1+Math.exp(a*(m-lin_vel)));
+/// Uses the 'moves' parameters of the passed membership profile or of the active one.
+MovesAttribute.membership = function(lin_vel, profile) {
+  var p = (profile || PBP.getMembershipProfile()).moves;
+  return 1/(1+Math.exp(p.a*(p.m-lin_vel)));
 }
 
 MovesAttribute.prototype.perceive = function(obj) {
@@ -362,13 +983,14 @@ MovesAttribute.prototype.perceive = function(obj) {
 }
 
 MovesAttribute.prototype.get_activity = function() {
-  return Math.max(MovesAttribute.membership(this.val), MovesAttribute.membership(this.val_soon));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Math.max(MovesAttribute.membership(this.val, profile), MovesAttribute.membership(this.val_soon, profile));
 }
 
 MovesAttribute.prototype.get_label = function() {
   return 'moves';
 }
-SmallAttribute = function(obj) {
+var SmallAttribute = function(obj) {
   this.perceive(obj);
 }
 SmallAttribute.prototype.key = 'small';
@@ -377,11 +999,11 @@ SmallAttribute.prototype.arity = 1;
 SmallAttribute.prototype.constant = true;
 
 // google: "plot from -10 to 1000, 1-1/(1+exp(4*(1.8-x/100)))"
-SmallAttribute.membership = function(area) {
-  var a = 4; // steepness of sigmoid function
-  var m = 1.8; // area at which sigmoid is 0.5 (whole scene has area 100)
-  var size = 100;
-  return 1-1/(1+Math.exp(a*(m-area/size/size*100)));
+/// Uses the 'small' parameters of the passed membership profile or of the active one.
+SmallAttribute.membership = function(area, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.small, size = profile.scene_size;
+  return 1-1/(1+Math.exp(p.a*(p.m-area/size/size*100)));
 }
 
 SmallAttribute.prototype.perceive = function(obj) {
@@ -390,13 +1012,14 @@ SmallAttribute.prototype.perceive = function(obj) {
 }
 
 SmallAttribute.prototype.get_activity = function() {
-  return SmallAttribute.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return SmallAttribute.membership(this.val, profile);
 }
 
 SmallAttribute.prototype.get_label = function() {
   return 'small';
 }
-LargeAttribute = function(obj) {
+var LargeAttribute = function(obj) {
   this.perceive(obj);
 }
 LargeAttribute.prototype.key = 'large';
@@ -405,11 +1028,11 @@ LargeAttribute.prototype.arity = 1;
 LargeAttribute.prototype.constant = true;
 
 // google: "plot from -10 to 1000, 1/(1+exp(4*(2-x/100)))"
-LargeAttribute.membership = function(area) {
-  var a = 4; // steepness of sigmoid function
-  var m = 2.0; // area at which sigmoid is 0.5 (whole scene has area 100)
-  var size = 100;
-  return 1/(1+Math.exp(a*(m-area/size/size*100)));
+/// Uses the 'large' parameters of the passed membership profile or of the active one.
+LargeAttribute.membership = function(area, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.large, size = profile.scene_size;
+  return 1/(1+Math.exp(p.a*(p.m-area/size/size*100)));
 }
 
 LargeAttribute.prototype.perceive = function(obj) {
@@ -418,23 +1041,24 @@ LargeAttribute.prototype.perceive = function(obj) {
 }
 
 LargeAttribute.prototype.get_activity = function() {
-  return LargeAttribute.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return LargeAttribute.membership(this.val, profile);
 }
 
 LargeAttribute.prototype.get_label = function() {
   return 'large';
 }
-LeftAttribute = function(obj) {
+var LeftAttribute = function(obj) {
   this.perceive(obj);
 }
 LeftAttribute.prototype.key = "left_pos";
 LeftAttribute.prototype.targetType = 'obj';
 LeftAttribute.prototype.arity = 1;
-LeftAttribute.prototype.size = 100; // scene size
 LeftAttribute.prototype.constant = false;
 
 LeftAttribute.prototype.membership = function(x) {
-	return 1-1/(1+Math.exp(20*(0.4-x/this.size)));
+	var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node), p = profile.left;
+	return 1-1/(1+Math.exp(p.a*(p.m-x/profile.scene_size)));
 }
 
 LeftAttribute.prototype.perceive = function(obj) {
@@ -449,7 +1073,7 @@ LeftAttribute.prototype.get_activity = function() {
 LeftAttribute.prototype.get_label = function() {
   return 'left';
 }
-LeftMostAttribute = function(obj) {
+var LeftMostAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.objs);
   this.perceive(obj);
 }
@@ -472,7 +1096,8 @@ LeftMostAttribute.prototype.adaptDomain = function(objs) {
 }
 
 LeftMostAttribute.prototype.membership = function(x) {
-  return CloseRelationship.membership(2.5*Math.abs(this.val-this.leftmost_x));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CloseRelationship.membership(profile.most.dist_scale*Math.abs(x-this.leftmost_x), profile);
 }
 
 LeftMostAttribute.prototype.perceive = function(obj) {
@@ -487,7 +1112,7 @@ LeftMostAttribute.prototype.get_activity = function() {
 LeftMostAttribute.prototype.get_label = function() {
   return 'left-most';
 }
-RightAttribute = function(obj) {
+var RightAttribute = function(obj) {
   this.perceive(obj);
 }
 RightAttribute.prototype.key = "right_pos";
@@ -496,8 +1121,12 @@ RightAttribute.prototype.arity = 1;
 RightAttribute.prototype.size = 100; // scene size
 RightAttribute.prototype.constant = false;
 
-RightAttribute.prototype.membership = function(x) {
-	return 1-1/(1+Math.exp(20*(0.4-x/this.size)));
+/// Takes the distance to the right border of a scene of the default `size` and measures
+/// it against the border of a scene of the profile's scene_size.
+RightAttribute.prototype.membership = function(dist) {
+	var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node), p = profile.right;
+	var x = this.size-dist;
+	return 1-1/(1+Math.exp(p.a*(p.m-(profile.scene_size-x)/profile.scene_size)));
 }
 
 RightAttribute.prototype.perceive = function(obj) {
@@ -512,7 +1141,7 @@ RightAttribute.prototype.get_activity = function() {
 RightAttribute.prototype.get_label = function() {
   return 'right';
 }
-RightMostAttribute = function(obj) {
+var RightMostAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.objs);
   this.perceive(obj);
 }
@@ -535,7 +1164,8 @@ RightMostAttribute.prototype.adaptDomain = function(objs) {
 }
 
 RightMostAttribute.prototype.membership = function(x) {
-  return CloseRelationship.membership(2.5*Math.abs(this.val-this.rightmost_x));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CloseRelationship.membership(profile.most.dist_scale*Math.abs(x-this.rightmost_x), profile);
 }
 
 RightMostAttribute.prototype.perceive = function(obj) {
@@ -550,7 +1180,7 @@ RightMostAttribute.prototype.get_activity = function() {
 RightMostAttribute.prototype.get_label = function() {
   return 'right-most';
 }
-BottomAttribute = function(obj) {
+var BottomAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.ground);
   this.perceive(obj);
 }
@@ -565,7 +1195,8 @@ BottomAttribute.prototype.adaptDomain = function(ground) {
 }
 
 BottomAttribute.prototype.membership = function(x) {
-	return 1-1/(1+Math.exp(20*(0.3-x/this.maxy)));
+	var p = PBP.getMembershipProfile(this.obj.object_node.scene_node).bottom;
+	return 1-1/(1+Math.exp(p.a*(p.m-x/this.maxy)));
 }
 
 BottomAttribute.prototype.perceive = function(obj) {
@@ -582,7 +1213,7 @@ BottomAttribute.prototype.get_label = function() {
 }
 /// Reflects whether an object is moving at the moment or will be moving 0.1 seconds
 /// in the future. The activation is 0.5 for a linear velocity of 0.1.
-SingleAttribute = function(obj) {
+var SingleAttribute = function(obj) {
   this.perceive(obj);
 }
 SingleAttribute.prototype.key = 'single';
@@ -591,11 +1222,11 @@ SingleAttribute.prototype.arity = 1;
 SingleAttribute.prototype.constant = false;
 
 // Input this at google: plot 1/(1+exp(30*(0.05-x/100))) from -10 to 110
-SingleAttribute.membership = function(dist) {
-  var a_far = 40; // steepness of sigmoid function
-  var m_far = 0.03; // distance at which sigmoid is 0.5 (on scale 0...1)
-  var size = 100; // scene width and height
-  return 1/(1+Math.exp(a_far*(m_far-dist/size)));
+/// Uses the 'single' parameters of the passed membership profile or of the active one.
+SingleAttribute.membership = function(dist, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.single;
+  return 1/(1+Math.exp(p.a*(p.m-dist/profile.scene_size)));
 }
 
 SingleAttribute.prototype.perceive = function(obj) {
@@ -606,14 +1237,15 @@ SingleAttribute.prototype.perceive = function(obj) {
 }
 
 SingleAttribute.prototype.get_activity = function() {
-  return Math.max(0, SingleAttribute.membership(this.val)
-                   - TouchRelationship.membership(this.val));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Math.max(0, SingleAttribute.membership(this.val, profile)
+                   - TouchRelationship.membership(this.val, profile));
 }
 
 SingleAttribute.prototype.get_label = function() {
   return 'single';
 }
-TopAttribute = function(obj) {
+var TopAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.ground);
   this.perceive(obj);
 }
@@ -633,7 +1265,8 @@ TopAttribute.prototype.adaptDomain = function(ground) {
 }
 
 TopAttribute.prototype.membership = function(x) {
-	return 1-1/(1+Math.exp(20*(0.45-x/this.maxy)));
+	var p = PBP.getMembershipProfile(this.obj.object_node.scene_node).top;
+	return 1-1/(1+Math.exp(p.a*(p.m-x/this.maxy)));
 }
 
 TopAttribute.prototype.perceive = function(obj) {
@@ -648,7 +1281,7 @@ TopAttribute.prototype.get_activity = function() {
 TopAttribute.prototype.get_label = function() {
   return 'top';
 }
-TopMostAttribute = function(obj) {
+var TopMostAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.objs);
   this.perceive(obj);
 }
@@ -671,7 +1304,8 @@ TopMostAttribute.prototype.adaptDomain = function(objs) {
 }
 
 TopMostAttribute.prototype.membership = function(x) {
-  return CloseRelationship.membership(2.5*Math.abs(this.val-this.topmost_y));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CloseRelationship.membership(profile.most.dist_scale*Math.abs(x-this.topmost_y), profile);
 }
 
 TopMostAttribute.prototype.perceive = function(obj) {
@@ -686,7 +1320,7 @@ TopMostAttribute.prototype.get_activity = function() {
 TopMostAttribute.prototype.get_label = function() {
   return 'top-most';
 }
-OnGroundAttribute = function(obj) {
+var OnGroundAttribute = function(obj) {
 	this.ground = obj.object_node.scene_node.ground;
   this.perceive(obj);
 }
@@ -709,7 +1343,7 @@ OnGroundAttribute.prototype.get_label = function() {
   return 'on-ground';
 }
 /// Object beeing left to other object on a scale from 1 (very) to 0 (not at all).
-LeftRelationship = function(obj, other) {
+var LeftRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 LeftRelationship.prototype.key = "left_of";
@@ -735,7 +1369,7 @@ LeftRelationship.prototype.get_label = function() {
   return 'left-of';
 }
 /// Object beeing right to other object on a scale from 1 (very) to 0 (not at all).
-RightRelationship = function(obj, other) {
+var RightRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 RightRelationship.prototype.key = "right_of";
@@ -762,7 +1396,7 @@ RightRelationship.prototype.get_label = function() {
   return 'right-of';
 }
 /// Object being left or right to another object on a scale from 1 (very) to 0 (not at all).
-BesideRelationship = function(obj, other) {
+var BesideRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 BesideRelationship.prototype.key = "beside";
@@ -789,7 +1423,7 @@ BesideRelationship.prototype.get_label = function() {
   return 'beside';
 }
 /// Object beeing below to other object on a scale from 1 (very) to 0 (not at all).
-BelowRelationship = function(obj, other) {
+var BelowRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 BelowRelationship.prototype.key = "below";
@@ -816,7 +1450,7 @@ BelowRelationship.prototype.get_label = function() {
   return 'below';
 }
 /// Object beeing above to other object on a scale from 1 (very) to 0 (not at all).
-AboveRelationship = function(obj, other) {
+var AboveRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 AboveRelationship.prototype.key = "above";
@@ -843,7 +1477,7 @@ AboveRelationship.prototype.get_activity = function() {
 AboveRelationship.prototype.get_label = function() {
   return 'above';
 }
-TouchRelationship = function(obj, other) {
+var TouchRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 TouchRelationship.prototype.key = "touch";
@@ -852,8 +1486,9 @@ TouchRelationship.prototype.arity = 2;
 TouchRelationship.prototype.symmetric = true;
 TouchRelationship.prototype.constant = false;
 
-TouchRelationship.membership = function(dist) {
-	return dist <= 0.5 ? 1 : 0;
+/// Uses the 'touch' parameters of the passed membership profile or of the active one.
+TouchRelationship.membership = function(dist, profile) {
+	return dist <= (profile || PBP.getMembershipProfile()).touch.max_dist ? 1 : 0;
 }
 
 TouchRelationship.prototype.perceive = function(obj, other) {
@@ -863,14 +1498,15 @@ TouchRelationship.prototype.perceive = function(obj, other) {
 }
 
 TouchRelationship.prototype.get_activity = function() {
-  return TouchRelationship.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return TouchRelationship.membership(this.val, profile);
 }
 
 TouchRelationship.prototype.get_label = function() {
   return 'touches';
 }
 /// Object is on top of another object if it is above and touches it.
-OnTopRelationship = function(obj, other) {
+var OnTopRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 OnTopRelationship.prototype.key = "on_top_of";
@@ -895,7 +1531,7 @@ OnTopRelationship.prototype.get_activity = function() {
 OnTopRelationship.prototype.get_label = function() {
   return 'on-top-of';
 }
-FarRelationship = function(obj, other) {
+var FarRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 FarRelationship.prototype.key = "far";
@@ -905,11 +1541,11 @@ FarRelationship.prototype.symmetric = true;
 FarRelationship.prototype.constant = false;
 
 // Input this at google: plot 1/(1+exp(20*(0.35-x/100))) from -10 to 110, 1-1/(1+exp(30*(0.2-x/100)))
-FarRelationship.membership = function(dist) {
-  var a_far = 20; // steepness of sigmoid function
-  var m_far = 0.25; // distance at which sigmoid is 0.5 (on scale 0...1)
-  var size = 100; // scene width and height
-  return 1/(1+Math.exp(a_far*(m_far-dist/size)));
+/// Uses the 'far' parameters of the passed membership profile or of the active one.
+FarRelationship.membership = function(dist, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.far;
+  return 1/(1+Math.exp(p.a*(p.m-dist/profile.scene_size)));
 }
 
 FarRelationship.prototype.perceive = function(obj, other) {
@@ -919,7 +1555,8 @@ FarRelationship.prototype.perceive = function(obj, other) {
 }
 
 FarRelationship.prototype.get_activity = function() {
-  return FarRelationship.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return FarRelationship.membership(this.val, profile);
 }
 
 FarRelationship.prototype.get_label = function() {
@@ -927,7 +1564,7 @@ FarRelationship.prototype.get_label = function() {
 }
 /// Group attribute. A group is as far as the smallest distance of
 /// any two members is far. Groups with 1 or 0 objects are not far.
-FarAttribute = function(group) {
+var FarAttribute = function(group) {
   this.perceive(group);
 }
 FarAttribute.prototype.key = "far";
@@ -948,13 +1585,14 @@ FarAttribute.prototype.perceive = function(group) {
 }
 
 FarAttribute.prototype.get_activity = function() {
-  return isNaN(this.val) ? 0 : FarRelationship.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.group.scene_node);
+  return isNaN(this.val) ? 0 : FarRelationship.membership(this.val, profile);
 }
 
 FarAttribute.prototype.get_label = function() {
   return 'far';
 }
-CloseRelationship = function(obj, other) {
+var CloseRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 CloseRelationship.prototype.key = "close";
@@ -964,11 +1602,11 @@ CloseRelationship.prototype.symmetric = true;
 CloseRelationship.prototype.constant = false;
 
 // Input this at google: plot 1/(1+exp(20*(0.35-x/100))) from -10 to 110, 1-1/(1+exp(30*(0.2-x/100)))
-CloseRelationship.membership = function(dist) {
-  var a_close = 30; // steepness of sigmoid function
-  var m_close = 0.2; // distance at which sigmoid is 0.5 (on scale 0...1)
-  var size = 100; // scene width and height
-  return 1-1/(1+Math.exp(a_close*(m_close-dist/size)));
+/// Uses the 'close' parameters of the passed membership profile or of the active one.
+CloseRelationship.membership = function(dist, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.close;
+  return 1-1/(1+Math.exp(p.a*(p.m-dist/profile.scene_size)));
 }
 
 CloseRelationship.prototype.perceive = function(obj, other) {
@@ -988,7 +1626,8 @@ CloseRelationship.prototype.perceive = function(obj, other) {
 }
 
 CloseRelationship.prototype.get_activity = function() {
-  return CloseRelationship.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CloseRelationship.membership(this.val, profile);
 }
 
 CloseRelationship.prototype.get_label = function() {
@@ -1000,7 +1639,7 @@ CloseRelationship.prototype.get_label = function() {
 /// Groups with 1 or 0 objects are not close.
 /// This is a Minimum Spanning Tree problem, and we'll use the Kruskal's algorithm to solve
 /// it (see http://en.wikipedia.org/wiki/Kruskal%27s_algorithm).
-CloseAttribute = function(group) {
+var CloseAttribute = function(group) {
   this.perceive(group);
 }
 CloseAttribute.prototype.key = "close";
@@ -1029,7 +1668,8 @@ CloseAttribute.prototype.perceive = function(group) {
 }
 
 CloseAttribute.prototype.get_activity = function() {
-  return (isNaN(this.val) ? 0 : CloseRelationship.membership(this.val));
+  var profile = PBP.getMembershipProfile(this.group.scene_node);
+  return (isNaN(this.val) ? 0 : CloseRelationship.membership(this.val, profile));
 }
 
 CloseAttribute.prototype.get_label = function() {
@@ -1055,7 +1695,7 @@ CloseAttribute.getMST = function(nodes, edges) {
   }
   return mst;
 }
-HitsRelationship = function(obj, other) {
+var HitsRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 HitsRelationship.prototype.key = "hits";
@@ -1072,7 +1712,7 @@ HitsRelationship.prototype.perceive = function(obj, other) {
   );
   // save the speed of the strongest collision in val
   this.val = this.collisions.length == 0 ? 0
-             : d3.max(this.collisions, function (coll) { return coll.dv });
+             : Math.max.apply(null, this.collisions.map(function (coll) { return coll.dv }));
 }
 
 HitsRelationship.prototype.get_activity = function() {
@@ -1082,7 +1722,7 @@ HitsRelationship.prototype.get_activity = function() {
 HitsRelationship.prototype.get_label = function() {
   return 'hits';
 }
-GetsHitRelationship = function(obj, other) {
+var GetsHitRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 GetsHitRelationship.prototype.key = "gets_hit";
@@ -1099,7 +1739,7 @@ GetsHitRelationship.prototype.perceive = function(obj, other) {
   );
   // save the speed of the strongest collision in val
   this.val = this.collisions.length == 0 ? 0
-             : d3.max(this.collisions, function (coll) { return coll.dv });
+             : Math.max.apply(null, this.collisions.map(function (coll) { return coll.dv }));
 }
 
 GetsHitRelationship.prototype.get_activity = function() {
@@ -1109,7 +1749,7 @@ GetsHitRelationship.prototype.get_activity = function() {
 GetsHitRelationship.prototype.get_label = function() {
   return 'gets-hit-by';
 }
-CollidesRelationship = function(obj, other) {
+var CollidesRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 CollidesRelationship.prototype.key = "collides";
@@ -1127,7 +1767,7 @@ CollidesRelationship.prototype.perceive = function(obj, other) {
   );
   // save the speed of the strongest collision in val
   this.val = this.collisions.length == 0 ? 0
-             : d3.max(this.collisions, function (coll) { return coll.dv });
+             : Math.max.apply(null, this.collisions.map(function (coll) { return coll.dv }));
 }
 
 CollidesRelationship.prototype.get_activity = function() {
@@ -1144,7 +1784,7 @@ CollidesRelationship.prototype.get_label = function() {
 /// 0   ... A does not support B
 /// See the checkSupport method for more details.
 /// Which activity is still considered as active will depend on the context.
-SupportsRelationship = function(obj, other) {
+var SupportsRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 SupportsRelationship.prototype.key = "supports";
@@ -1197,12 +1837,11 @@ SupportsRelationship.prototype.checkSupports = function(A, B, oracle) {
   var touch = A.getRel('touch', {other: B}).get_activity() > touches_threshold;
 
   // is B moving when A is removed?
-  var bodyA = A.obj.phys_obj;
-  var before = function() { oracle.pscene.wakeUp(); bodyA.SetActive(false); }
-  var B_moves = oracle.analyzeFuture(0, before, function() {
+  var remove_A = [{type: 'remove', body: A.obj.phys_obj}];
+  var B_moves = oracle.whatIf(remove_A, 0, function() {
     var moves_attr = new MovesAttribute(B.obj);
     return moves_attr.get_activity() > moves_threshold;
-  });
+  }, {wake_up: true});
 
   if (B_moves) return touch ? 'directly': 'indirectly';
 
@@ -1215,10 +1854,10 @@ SupportsRelationship.prototype.checkSupports = function(A, B, oracle) {
   if (near) {
     var B_stable = B.getAttr('stability').get_label() == 'stable';
     if (B_stable) {
-      var B_stable_without_A = oracle.analyzeFuture(0, before, function() {
+      var B_stable_without_A = oracle.whatIf(remove_A, 0, function() {
         var stable_attr = new StabilityAttribute(B.obj);
         return stable_attr.get_label() == 'stable';
-      });
+      }, {wake_up: true});
       if (!B_stable_without_A) return 'stabilizes';
     }
   }
@@ -1226,7 +1865,7 @@ SupportsRelationship.prototype.checkSupports = function(A, B, oracle) {
   return 'not';
 }
 /// Group attribute, number of objects in the group.
-CountAttribute = function(group) {
+var CountAttribute = function(group) {
   this.perceive(group);
 }
 CountAttribute.prototype.key = "count";
@@ -1250,7 +1889,7 @@ CountAttribute.prototype.get_label = function() {
 /// Group attribute. A group is touching if all objects in the group are connected
 /// to each other by a sequence of touching objects. Groups with 1 or 0 objects are
 /// not touching.
-TouchAttribute = function(group) {
+var TouchAttribute = function(group) {
   this.perceive(group);
 }
 TouchAttribute.prototype.key = "touching";
@@ -1275,7 +1914,8 @@ TouchAttribute.prototype.perceive = function(group) {
 }
 
 TouchAttribute.prototype.get_activity = function() {
-  return (isNaN(this.val) ? 0 : TouchRelationship.membership(this.val));
+  var profile = PBP.getMembershipProfile(this.group.scene_node);
+  return (isNaN(this.val) ? 0 : TouchRelationship.membership(this.val, profile));
 }
 
 TouchAttribute.prototype.get_label = function() {
@@ -1285,7 +1925,7 @@ TouchAttribute.prototype.get_label = function() {
 /// other objects static and then check whether this object moves at the moment
 /// or will be moving 0.1 seconds in the future. The activation is 0.5 for a
 /// linear velocity of 0.1.
-IsSupportedAttribute = function(obj) {
+var IsSupportedAttribute = function(obj) {
   this.perceive(obj);
 }
 IsSupportedAttribute.prototype.key = 'is_supported';
@@ -1294,20 +1934,18 @@ IsSupportedAttribute.prototype.arity = 1;
 IsSupportedAttribute.prototype.constant = false;
 
 // google: "plot from -0.5 to 5, 1/(1+exp(40*(0.1-x)))"
-IsSupportedAttribute.membership = function(lin_vel) {
-  var a = 40; // steepness of sigmoid function
-  var m = 0.1; // linear velocity at which sigmoid is 0.5
-  return 1/(1+Math.exp(a*(m-lin_vel)));
+/// Uses the 'is_supported' parameters of the passed membership profile or of the active one.
+IsSupportedAttribute.membership = function(lin_vel, profile) {
+  var p = (profile || PBP.getMembershipProfile()).is_supported;
+  return 1/(1+Math.exp(p.a*(p.m-lin_vel)));
 }
 
 IsSupportedAttribute.prototype.perceive = function(obj) {
   var oracle = obj.object_node.scene_node.oracle;
-  function before_sim() {
-    oracle.pscene.forEachDynamicBody(function(body) {
-      if (body === obj.phys_obj) return;
-      body.SetType(Box2D.Dynamics.b2Body.b2_staticBody);
-    });
-  }
+  var freeze_others = [];
+  oracle.pscene.forEachDynamicBody(function(body) {
+    if (body !== obj.phys_obj) freeze_others.push({type: 'freeze', body: body});
+  });
   function after_sim() {
     this.val_soon = body.m_linearVelocity.Length();
   }
@@ -1316,69 +1954,1218 @@ IsSupportedAttribute.prototype.perceive = function(obj) {
   var body = obj.phys_obj;
   this.val = body.m_linearVelocity.Length();
   // vel. in 0.1 seconds
-  oracle.analyzeFuture(0.1, before_sim, after_sim.bind(this));
+  oracle.whatIf(freeze_others, 0.1, after_sim.bind(this));
 }
 
 IsSupportedAttribute.prototype.get_activity = function() {
-  return 1-Math.max(IsSupportedAttribute.membership(this.val), IsSupportedAttribute.membership(this.val_soon));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return 1-Math.max(IsSupportedAttribute.membership(this.val, profile), IsSupportedAttribute.membership(this.val_soon, profile));
 }
 
 IsSupportedAttribute.prototype.get_label = function() {
   return 'is-supported';
 }
-var pbpSettings = (function() {
-	res = {
+/// Reflects the perceived color category of an object, which is derived from its fill
+/// color or, if it has none, from its stroke color. Possible categories are the hues
+/// red, orange, yellow, green, blue and purple and the achromatic colors black, gray
+/// and white. Colors between two categories belong to both to a graded degree and the
+/// memberships of all categories sum up to 1. Objects without any color are 'unknown'.
+var ColorAttribute = function(obj) {
+  this.perceive(obj);
+}
+ColorAttribute.prototype.key = 'color';
+ColorAttribute.prototype.targetType = 'obj';
+ColorAttribute.prototype.arity = 1;
+ColorAttribute.prototype.constant = true;
+
+/// Prototypical hues (in degrees) and lightnesses (on scale 0...1) of the categories,
+/// each sorted ascending.
+ColorAttribute.hues = [ {label: 'red', hue: 0}, {label: 'orange', hue: 30}
+                      , {label: 'yellow', hue: 60}, {label: 'green', hue: 120}
+                      , {label: 'blue', hue: 240}, {label: 'purple', hue: 285} ];
+ColorAttribute.lightnesses = [ {label: 'black', l: 0}, {label: 'gray', l: 0.5}
+                             , {label: 'white', l: 1} ];
+
+ColorAttribute.named_colors = {
+  black: '#000000', white: '#ffffff', gray: '#808080', grey: '#808080', silver: '#c0c0c0'
+ ,red: '#ff0000', maroon: '#800000', orange: '#ffa500', yellow: '#ffff00', olive: '#808000'
+ ,lime: '#00ff00', green: '#008000', aqua: '#00ffff', cyan: '#00ffff', teal: '#008080'
+ ,blue: '#0000ff', navy: '#000080', fuchsia: '#ff00ff', magenta: '#ff00ff', purple: '#800080'
+};
+
+/// Parses a css color string like '#f00', '#ff0000', 'rgb(255, 0, 0)' or 'red' and
+/// returns an {r, g, b} object with values on scale 0...1. Returns null for 'none'
+/// and unknown colors.
+ColorAttribute.parseColor = function(str) {
+  if (typeof(str) !== 'string') return null;
+  str = str.trim().toLowerCase();
+  if (str in ColorAttribute.named_colors) str = ColorAttribute.named_colors[str];
+  var m;
+  if (m = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(str)) {
+    return { r: parseInt(m[1]+m[1], 16)/255, g: parseInt(m[2]+m[2], 16)/255
+           , b: parseInt(m[3]+m[3], 16)/255 };
+  }
+  if (m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/.exec(str)) {
+    return { r: parseInt(m[1], 16)/255, g: parseInt(m[2], 16)/255, b: parseInt(m[3], 16)/255 };
+  }
+  if (m = /^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/.exec(str)) {
+    return { r: Math.min(255, m[1])/255, g: Math.min(255, m[2])/255, b: Math.min(255, m[3])/255 };
+  }
+  return null;
+}
+
+/// Returns the color of the passed shape as {r, g, b} object or null.
+ColorAttribute.getColor = function(shape) {
+  var style = shape.style || {};
+  return ColorAttribute.parseColor(style.fill) || ColorAttribute.parseColor(style.stroke);
+}
+
+/// Linearly distributes a membership of 1 between the two neighboring prototypes
+/// of val in the passed sorted array and adds it, multiplied by the weight, to res.
+/// If period is passed, the prototypes wrap around.
+ColorAttribute.interpolate = function(res, protos, field, val, weight, period) {
+  var n = protos.length;
+  for (var i=0; i<n; i++) {
+    var lo = protos[i], hi = protos[(i+1)%n];
+    var lo_v = lo[field], hi_v = hi[field];
+    if (i == n-1) {
+      if (!period) { res[lo.label] += weight; return res } // val is beyond the last one
+      hi_v += period;
+      if (val < lo_v) val += period;
+    }
+    if (val >= lo_v && val <= hi_v) {
+      var t = (val-lo_v) / (hi_v-lo_v);
+      res[lo.label] += weight*(1-t);
+      res[hi.label] += weight*t;
+      return res;
+    }
+  }
+  return res;
+}
+
+/// Returns the memberships of the passed {r, g, b} color to all categories. The
+/// 'color' parameters of the membership profile define at which chroma (difference
+/// between largest and smallest rgb component) a color is chromatic.
+ColorAttribute.membership = function(rgb, profile) {
+  var res = {};
+  ColorAttribute.hues.concat(ColorAttribute.lightnesses).forEach(function (c) { res[c.label] = 0 });
+  if (!rgb) return res;
+  var p = (profile || PBP.getMembershipProfile()).color;
+  var max = Math.max(rgb.r, rgb.g, rgb.b), min = Math.min(rgb.r, rgb.g, rgb.b);
+  var chroma = max-min;
+  var chromatic = 1/(1+Math.exp(p.a*(p.m-chroma)));
+  if (chroma > 0) {
+    var hue;
+    if (max == rgb.r) hue = 60*(((rgb.g-rgb.b)/chroma+6)%6);
+    else if (max == rgb.g) hue = 60*((rgb.b-rgb.r)/chroma+2);
+    else hue = 60*((rgb.r-rgb.g)/chroma+4);
+    ColorAttribute.interpolate(res, ColorAttribute.hues, 'hue', hue, chromatic, 360);
+  } else chromatic = 0;
+  ColorAttribute.interpolate(res, ColorAttribute.lightnesses, 'l', (max+min)/2, 1-chromatic);
+  return res;
+}
+
+ColorAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.val = ColorAttribute.getColor(obj);
+}
+
+/// Returns the memberships of the object's color to all categories.
+ColorAttribute.prototype.get_memberships = function() {
+  return ColorAttribute.membership(this.val, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+ColorAttribute.prototype.get_activity = function() {
+  if (!this.val) return 0;
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the category with the highest membership.
+ColorAttribute.prototype.get_label = function() {
+  if (!this.val) return 'unknown';
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
+/// Two objects have the same color to the degree their color categories overlap,
+/// which is the sum of the minimum memberships of both colors over all categories
+/// (see ColorAttribute). Objects without color don't have the same color as anything.
+var SameColorRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+SameColorRelationship.prototype.key = "same_color";
+SameColorRelationship.prototype.targetType = 'obj';
+SameColorRelationship.prototype.arity = 2;
+SameColorRelationship.prototype.symmetric = true;
+SameColorRelationship.prototype.constant = true;
+
+SameColorRelationship.membership = function(rgb, other_rgb, profile) {
+  if (!rgb || !other_rgb) return 0;
+  var ms = ColorAttribute.membership(rgb, profile)
+    , other_ms = ColorAttribute.membership(other_rgb, profile);
+  var res = 0;
+  for (var label in ms) res += Math.min(ms[label], other_ms[label]);
+  return Math.min(1, res);
+}
+
+SameColorRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.val = ColorAttribute.getColor(obj);
+  this.other_val = ColorAttribute.getColor(other);
+}
+
+SameColorRelationship.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return SameColorRelationship.membership(this.val, this.other_val, profile);
+}
+
+SameColorRelationship.prototype.get_label = function() {
+  return 'same-color-as';
+}
+/// Reflects how an object is rotated. The perception depends on the object's shape:
+/// Triangles are 'pointing-up', 'pointing-down', 'pointing-left' or 'pointing-right',
+/// depending on the direction of their apex. Rectangles are 'lying' or 'standing',
+/// depending on the direction of their long axis. All other polygons are 'upright',
+/// 'tilted' or 'upside-down' relative to their orientation in the scene description.
+/// Squares are upright when their edges are horizontal and vertical and can't be
+/// upside-down. The orientation of circles is 'unknown'.
+/// The labels are graded, e.g. a triangle pointing to the upper left is to some
+/// degree pointing-up and pointing-left.
+var OrientationAttribute = function(obj) {
+  this.perceive(obj);
+}
+OrientationAttribute.prototype.key = 'orientation';
+OrientationAttribute.prototype.targetType = 'obj';
+OrientationAttribute.prototype.arity = 1;
+OrientationAttribute.prototype.constant = false;
+
+/// Sets `type` to 'pointing', 'axis', 'tilt' or null and `val` to the according angle
+/// in degrees: the direction of the apex (0 is right, 90 is up), the angle between the
+/// long axis and the horizontal (0...90) or the deviation from the initial orientation
+/// (0...180, for squares 0...45).
+OrientationAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.type = null;
+  this.val = NaN;
+  if (!(obj instanceof Polygon) || !obj.closed || obj.pts.length < 3) return;
+  var shape = ShapeAttribute.determineShape(obj);
+  var rot = obj.rot || 0;
+  if (shape == 'triangle') {
+    var dir = OrientationAttribute.getApexDirection(obj).rotate(rot);
+    this.type = 'pointing';
+    this.val = OrientationAttribute.normalize(Math.atan2(-dir.y, dir.x)*180/Math.PI);
+  } else if (shape == 'rectangle' || shape == 'square') {
+    var p = obj.pts, a = p[1].sub(p[0]), b = p[2].sub(p[1]);
+    var axis = (a.len() >= b.len() ? a : b).rotate(rot);
+    var deg = Math.atan2(Math.abs(axis.y), Math.abs(axis.x))*180/Math.PI;
+    if (shape == 'rectangle') {
+      this.type = 'axis';
+      this.val = deg;
+    } else {
+      this.type = 'tilt';
+      this.val = Math.min(deg, 90-deg);
+    }
+  } else {
+    this.type = 'tilt';
+    this.val = Math.abs(OrientationAttribute.normalize(rot*180/Math.PI+180)-180);
+  }
+}
+
+/// Maps an angle in degrees to [0, 360).
+OrientationAttribute.normalize = function(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/// Returns the vector from the center of a triangle to its apex in the triangle's
+/// coordinate system. The apex is the vertex whose angle differs most from the other
+/// two, which is the tip of an isosceles triangle.
+OrientationAttribute.getApexDirection = function(tri) {
+  var angles = [tri.angle(0), tri.angle(1), tri.angle(2)], best = 0, best_diff = -1;
+  for (var i=0; i<3; i++) {
+    var diff = Math.abs(angles[i] - (angles[(i+1)%3] + angles[(i+2)%3])/2);
+    if (diff > best_diff) { best = i; best_diff = diff }
+  }
+  return tri.pts[best].sub(tri.centroid());
+}
+
+/// Returns the memberships of the passed angle to all labels of the passed type
+/// (see perceive). The 'orientation' parameters of the membership profile set the
+/// steepness `a` and the tilt `m` (both in degrees) up to which an object is upright.
+OrientationAttribute.membership = function(type, deg, profile) {
+  var p = (profile || PBP.getMembershipProfile()).orientation;
+  var near = function(dist, m) { return 1/(1+Math.exp(p.a*(dist-m))) };
+  var dist = function(a, b) { var d = Math.abs(a-b) % 360; return Math.min(d, 360-d) };
+  if (type == 'pointing') return { 'pointing-right': near(dist(deg, 0), 45)
+                                 , 'pointing-up': near(dist(deg, 90), 45)
+                                 , 'pointing-left': near(dist(deg, 180), 45)
+                                 , 'pointing-down': near(dist(deg, 270), 45) };
+  if (type == 'axis') {
+    var lying = near(deg, 45);
+    return { 'lying': lying, 'standing': 1-lying };
+  }
+  if (type == 'tilt') {
+    var upright = near(deg, p.m), upside_down = near(180-deg, p.m);
+    return { 'upright': upright, 'tilted': Math.max(0, 1-upright-upside_down)
+           , 'upside-down': upside_down };
+  }
+  return {};
+}
+
+OrientationAttribute.prototype.get_memberships = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return OrientationAttribute.membership(this.type, this.val, profile);
+}
+
+OrientationAttribute.prototype.get_activity = function() {
+  if (!this.type) return 0;
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the label with the highest membership.
+OrientationAttribute.prototype.get_label = function() {
+  if (!this.type) return 'unknown';
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
+/// Reflects how elongated an object is. The elongation is the ratio between the
+/// lengths of the principal axes of the object's area, which is the ratio of width and
+/// height for rectangles and 1 for circles and squares. Objects are 'long' or
+/// 'compact' to a graded degree; circles are not long at all.
+var ElongationAttribute = function(obj) {
+  this.perceive(obj);
+}
+ElongationAttribute.prototype.key = 'elongated';
+ElongationAttribute.prototype.targetType = 'obj';
+ElongationAttribute.prototype.arity = 1;
+ElongationAttribute.prototype.constant = true;
+
+ElongationAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.val = ElongationAttribute.elongation(obj);
+}
+
+/// Returns the elongation of the passed shape (>= 1) or NaN for open or degenerate
+/// polygons.
+ElongationAttribute.elongation = function(shape) {
+  if (shape instanceof Circle) return 1;
+  if (!(shape instanceof Polygon) || !shape.closed || shape.pts.length < 3) return NaN;
+  var axes = ElongationAttribute.principalAxes(shape);
+  if (!(axes.minor > 0)) return NaN;
+  return axes.major / axes.minor;
+}
+
+/// Returns the lengths of the principal axes {major, minor} of a polygon's area and
+/// the angle of the major axis, based on the second moments of the area. The lengths
+/// are the standard deviations of the area along the axes.
+ElongationAttribute.principalAxes = function(poly) {
+  var A = 0, cx = 0, cy = 0, xx = 0, yy = 0, xy = 0, N = poly.pts.length;
+  for (var i=0; i<N; i++) {
+    var p = poly.pts[i], q = poly.pts[(i+1)%N];
+    var c = p.x*q.y - q.x*p.y;
+    A += c;
+    cx += (p.x+q.x)*c;
+    cy += (p.y+q.y)*c;
+    xx += (p.x*p.x + p.x*q.x + q.x*q.x)*c;
+    yy += (p.y*p.y + p.y*q.y + q.y*q.y)*c;
+    xy += (p.x*q.y + 2*p.x*p.y + 2*q.x*q.y + q.x*p.y)*c;
+  }
+  A /= 2; cx /= 6*A; cy /= 6*A;
+  // central second moments, normalized by the area
+  xx = xx/(12*A) - cx*cx;
+  yy = yy/(12*A) - cy*cy;
+  xy = xy/(24*A) - cx*cy;
+  var d = Math.sqrt((xx-yy)*(xx-yy)/4 + xy*xy);
+  return { major: Math.sqrt(Math.max(0, (xx+yy)/2 + d))
+         , minor: Math.sqrt(Math.max(0, (xx+yy)/2 - d))
+         , angle: Math.atan2(2*xy, xx-yy)/2 };
+}
+
+/// Returns the membership of the passed elongation to 'long', based on the
+/// 'elongated' parameters of the passed membership profile or of the active one.
+ElongationAttribute.membership = function(elongation, profile) {
+  var p = (profile || PBP.getMembershipProfile()).elongated;
+  if (elongation <= 1) return 0;
+  return 1/(1+Math.exp(p.a*(p.m-elongation)));
+}
+
+ElongationAttribute.prototype.get_memberships = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  var long = ElongationAttribute.membership(this.val, profile);
+  return { 'long': long, 'compact': 1-long };
+}
+
+ElongationAttribute.prototype.get_activity = function() {
+  if (isNaN(this.val)) return 0;
+  return this.get_memberships()[this.get_label()];
+}
+
+ElongationAttribute.prototype.get_label = function() {
+  if (isNaN(this.val)) return 'unknown';
+  var ms = this.get_memberships();
+  return ms['long'] >= ms['compact'] ? 'long' : 'compact';
+}
+/// Reflects whether an object is a container like a cup, bowl or U-shape and which
+/// direction its opening faces. The biggest pocket of a polygon is the biggest region
+/// enclosed by a run of its concave vertices and the line that closes it, which is
+/// the opening. The deeper the pocket is relative to the width of its opening, the more
+/// the object is a container. The labels are 'open-up', 'open-down', 'open-left' and
+/// 'open-right' for containers and 'convex' for all other objects, including circles.
+/// Use `get_interior()` or `ContainerAttribute.getInterior(shape)` to get the region
+/// inside the container.
+var ContainerAttribute = function(obj) {
+  this.perceive(obj);
+}
+ContainerAttribute.prototype.key = 'container';
+ContainerAttribute.prototype.targetType = 'obj';
+ContainerAttribute.prototype.arity = 1;
+ContainerAttribute.prototype.constant = false;
+
+/// Sets `val` to the ratio of depth and opening width of the biggest pocket (0 if there
+/// is none) and `opening` to the direction of the opening in degrees (0 is right, 90 is up).
+ContainerAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var pocket = ContainerAttribute.findPocket(obj, PBP.getMembershipProfile(obj.object_node.scene_node));
+  this.val = pocket ? pocket.depth/pocket.width : 0;
+  this.opening = NaN;
+  this.interior = null;
+  if (!pocket) return;
+  var dir = pocket.normal.rotate(obj.rot || 0);
+  this.opening = OrientationAttribute.normalize(Math.atan2(-dir.y, dir.x)*180/Math.PI);
+  this.interior = ContainerAttribute.toSceneCoords(obj, pocket.region);
+}
+
+/// Returns the biggest pocket of a closed polygon as {region, width, depth, normal} in
+/// the polygon's coordinate system or null if there is none. A pocket is a run of
+/// concave vertices (notches, see Polygon.find_notch and Polygon.is_convex) between two
+/// convex vertices, which are connected by the opening. The region is the polygon
+/// bounded by the pocket's vertices and the opening; the normal points out of the
+/// opening. Pockets whose opening crosses the polygon and pockets smaller than the
+/// 'container.min_area' fraction of the polygon's area including the pocket are ignored.
+ContainerAttribute.findPocket = function(shape, profile) {
+  if (!(shape instanceof Polygon) || !shape.closed || shape.pts.length < 4) return null;
+  var p = (profile || PBP.getMembershipProfile()).container;
+  var poly = shape.copy();
+  poly.order_vertices();
+  var pts = poly.pts, N = pts.length;
+  if (poly.find_notch() == N) return null; // convex
+  var poly_area = Math.abs(poly.area()), best = null;
+  for (var a=0; a<N; a++) {
+    if (!poly.is_convex(a) || poly.is_convex((a+1)%N)) continue;
+    var b = (a+1)%N;
+    while (!poly.is_convex(b)) b = (b+1)%N;
+    var lid = pts[b].sub(pts[a]), width = lid.len();
+    if (width < Point.EPS) continue;
+    var hit = new Point();
+    if (poly.find_intersection(pts[a], lid, hit, a, b) < N && hit.dist2(pts[a]) < width*width) continue;
+    var region = new Polygon();
+    for (var i=a; i!=b; i=(i+1)%N) region.push(pts[i].copy());
+    region.push(pts[b].copy());
+    var area = Math.abs(region.area());
+    if (area < p.min_area*(poly_area+area) || (best && best.area >= area)) continue;
+    var depth = 0, deepest = null;
+    for (var j=1; j<region.pts.length-1; j++) {
+      var d = Math.abs(lid.cross(region.pts[j].sub(pts[a]))) / width;
+      if (d > depth) { depth = d; deepest = region.pts[j] }
+    }
+    // the normal of the opening that points away from the pocket
+    var normal = new Point(-lid.y, lid.x).normalize();
+    if (normal.mul(pts[a].sub(deepest)) < 0) normal = normal.scale(-1);
+    best = { region: region, width: width, depth: depth, normal: normal, area: area };
+  }
+  return best;
+}
+
+/// Returns a copy of the passed polygon (in the coordinate system of the shape)
+/// transformed into scene coordinates, using the current position and rotation.
+ContainerAttribute.toSceneCoords = function(shape, poly) {
+  var res = new Polygon(), rot = shape.rot || 0;
+  for (var i=0; i<poly.pts.length; i++) {
+    var p = poly.pts[i].rotate(rot);
+    res.push(new Point(p.x+shape.x, p.y+shape.y));
+  }
+  return res;
+}
+
+/// Returns the interior region of a container shape in its current position as
+/// Polygon in scene coordinates or null if the shape has no pocket.
+ContainerAttribute.getInterior = function(shape, profile) {
+  var pocket = ContainerAttribute.findPocket(shape, profile);
+  return pocket ? ContainerAttribute.toSceneCoords(shape, pocket.region) : null;
+}
+
+/// Returns the memberships to all labels for the passed ratio of depth and opening
+/// width and the direction of the opening, based on the 'container' parameters of
+/// the membership profile.
+ContainerAttribute.membership = function(ratio, opening, profile) {
+  var p = (profile || PBP.getMembershipProfile()).container;
+  var container = ratio > 0 ? 1/(1+Math.exp(p.a*(p.m-ratio))) : 0;
+  var res = { 'convex': 1-container };
+  var dirs = { 'open-right': 0, 'open-up': 90, 'open-left': 180, 'open-down': 270 };
+  for (var label in dirs) {
+    var d = Math.abs(opening-dirs[label]) % 360;
+    d = Math.min(d, 360-d);
+    res[label] = isNaN(d) ? 0 : container/(1+Math.exp(0.2*(d-45)));
+  }
+  return res;
+}
+
+ContainerAttribute.prototype.get_memberships = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return ContainerAttribute.membership(this.val, this.opening, profile);
+}
+
+/// Returns the interior region of the container at the time of the perception as
+/// Polygon in scene coordinates or null.
+ContainerAttribute.prototype.get_interior = function() {
+  return this.interior;
+}
+
+ContainerAttribute.prototype.get_activity = function() {
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the label with the highest membership.
+ContainerAttribute.prototype.get_label = function() {
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
+/// Reflects how much of an object lies inside the interior of another object, which
+/// is the biggest pocket of a container (see ContainerAttribute). The activity is the
+/// fraction of the object's area inside the interior, so a ball that sticks out of a
+/// cup by half is inside of it to a degree of 0.5. The relationship is also perceived
+/// with static objects like U-shaped ground pieces as other objects.
+var InsideRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+InsideRelationship.prototype.key = "inside_of";
+InsideRelationship.prototype.targetType = 'obj';
+InsideRelationship.prototype.arity = 2;
+InsideRelationship.prototype.symmetric = false;
+InsideRelationship.prototype.constant = false;
+InsideRelationship.prototype.static_others = true;
+
+/// Number of sample points per dimension used to estimate the overlap.
+InsideRelationship.samples = 12;
+
+InsideRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  var profile = PBP.getMembershipProfile(other.object_node && other.object_node.scene_node);
+  var interior = ContainerAttribute.getInterior(other, profile);
+  this.val = interior ? InsideRelationship.overlap(obj, interior) : 0;
+}
+
+/// Returns the fraction of the area of the shape that lies inside the passed polygon in
+/// scene coordinates. The fraction is estimated by sampling points on a regular grid
+/// inside the shape.
+InsideRelationship.overlap = function(shape, region) {
+  var n = InsideRelationship.samples, total = 0, inside = 0;
+  var bb = shape.bounding_box(), rot = shape.rot || 0;
+  var is_poly = shape instanceof Polygon;
+  for (var i=0; i<n; i++) for (var j=0; j<n; j++) {
+    // polygon vertices are relative to shape.x, shape.y, circles are not
+    var p = new Point(bb.x+(i+0.5)*bb.width/n, bb.y+(j+0.5)*bb.height/n);
+    if (!shape.contains(p)) continue;
+    if (is_poly) p = p.rotate(rot).add(new Point(shape.x, shape.y));
+    total++;
+    if (region.contains(p)) inside++;
+  }
+  return total ? inside/total : 0;
+}
+
+InsideRelationship.prototype.get_activity = function() {
+  return this.val;
+}
+
+InsideRelationship.prototype.get_label = function() {
+  return 'inside-of';
+}
+/// An object is larger than another object to a graded degree, depending on the ratio
+/// of their areas. The activity is 0.5 at the ratio `m` of the 'larger' parameters of
+/// the membership profile.
+var LargerRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+LargerRelationship.prototype.key = "larger_than";
+LargerRelationship.prototype.targetType = 'obj';
+LargerRelationship.prototype.arity = 2;
+LargerRelationship.prototype.symmetric = false;
+LargerRelationship.prototype.constant = true;
+
+/// Uses the 'larger' parameters of the passed membership profile or of the active one.
+LargerRelationship.membership = function(ratio, profile) {
+  var p = (profile || PBP.getMembershipProfile()).larger;
+  return 1/(1+Math.exp(p.a*(p.m-ratio)));
+}
+
+/// Returns the ratio of the areas of the two shapes.
+LargerRelationship.areaRatio = function(obj, other) {
+  var a = Math.abs(obj.area()), b = Math.abs(other.area());
+  if (b === 0) return a === 0 ? 1 : Infinity;
+  return a / b;
+}
+
+LargerRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.val = LargerRelationship.areaRatio(obj, other);
+}
+
+LargerRelationship.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return LargerRelationship.membership(this.val, profile);
+}
+
+LargerRelationship.prototype.get_label = function() {
+  return 'larger-than';
+}
+/// Inverse of the LargerRelationship: an object is smaller than another object to
+/// the degree the other object is larger than it.
+var SmallerRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+SmallerRelationship.prototype.key = "smaller_than";
+SmallerRelationship.prototype.targetType = 'obj';
+SmallerRelationship.prototype.arity = 2;
+SmallerRelationship.prototype.symmetric = false;
+SmallerRelationship.prototype.constant = true;
+
+SmallerRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.val = LargerRelationship.areaRatio(other, obj);
+}
+
+SmallerRelationship.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return LargerRelationship.membership(this.val, profile);
+}
+
+SmallerRelationship.prototype.get_label = function() {
+  return 'smaller-than';
+}
+/// Group attribute. A group has objects of the same size to the degree the ratio of
+/// the areas of its largest and smallest object is close to 1. Groups with 1 or 0
+/// objects are not same-size.
+var SameSizeAttribute = function(group) {
+  this.perceive(group);
+}
+SameSizeAttribute.prototype.key = "same_size";
+SameSizeAttribute.prototype.targetType = 'group';
+SameSizeAttribute.prototype.arity = 1;
+SameSizeAttribute.prototype.constant = true;
+
+/// Uses the 'same_size' parameters of the passed membership profile or of the active one.
+SameSizeAttribute.membership = function(ratio, profile) {
+  var p = (profile || PBP.getMembershipProfile()).same_size;
+  return 1/(1+Math.exp(p.a*(ratio-p.m)));
+}
+
+SameSizeAttribute.prototype.perceive = function(group) {
+  this.group = group;
+  if (group.objs.length < 2) this.val = NaN;
+  else {
+    var areas = group.objs.map(function (obj) { return Math.abs(obj.area()) });
+    var min = Math.min.apply(null, areas), max = Math.max.apply(null, areas);
+    this.val = min > 0 ? max/min : Infinity;
+  }
+}
+
+SameSizeAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.group.scene_node);
+  return isNaN(this.val) ? 0 : SameSizeAttribute.membership(this.val, profile);
+}
+
+SameSizeAttribute.prototype.get_label = function() {
+  return 'same-size';
+}
+/// Two objects have the same shape to the degree their outlines are similar,
+/// independent of their size, rotation and position. The outlines are compared by
+/// their turning functions, which map the position along the normalized perimeter to
+/// the accumulated turning angle. The distance of two shapes is the root mean square
+/// difference of their turning functions, minimized over all starting points and
+/// rotations. Circles are treated as regular polygons with many vertices.
+var SameShapeRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+SameShapeRelationship.prototype.key = "same_shape";
+SameShapeRelationship.prototype.targetType = 'obj';
+SameShapeRelationship.prototype.arity = 2;
+SameShapeRelationship.prototype.symmetric = true;
+SameShapeRelationship.prototype.constant = true;
+
+/// Number of samples of the turning functions.
+SameShapeRelationship.samples = 100;
+
+/// Uses the 'same_shape' parameters of the passed membership profile or of the active one.
+SameShapeRelationship.membership = function(dist, profile) {
+  var p = (profile || PBP.getMembershipProfile()).same_shape;
+  return 1/(1+Math.exp(p.a*(dist-p.m)));
+}
+
+SameShapeRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.val = SameShapeRelationship.distance(obj, other);
+}
+
+/// Returns the sampled turning function of the passed shape or null if it is no closed
+/// shape. The function starts at 0 and is increasing for counter-clockwise polygons.
+SameShapeRelationship.turningFunction = function(shape) {
+  var pts;
+  if (shape instanceof Circle) {
+    pts = [];
+    for (var i=0; i<32; i++) pts.push(new Point(Math.cos(i*Math.PI/16), Math.sin(i*Math.PI/16)));
+  } else if (shape instanceof Polygon && shape.closed && shape.pts.length >= 3) {
+    var poly = shape.copy();
+    poly.order_vertices();
+    pts = poly.pts;
+  } else return null;
+  var N = pts.length, edges = [], perimeter = 0;
+  for (var i=0; i<N; i++) {
+    var e = pts[(i+1)%N].sub(pts[i]), len = e.len();
+    if (len < Point.EPS) continue;
+    edges.push({ angle: Math.atan2(e.y, e.x), len: len });
+    perimeter += len;
+  }
+  if (edges.length < 2) return null;
+  // accumulate the turning angles between the edges
+  var angles = [0];
+  for (var i=1; i<edges.length; i++) {
+    var turn = edges[i].angle - edges[i-1].angle;
+    while (turn > Math.PI) turn -= 2*Math.PI;
+    while (turn < -Math.PI) turn += 2*Math.PI;
+    angles.push(angles[i-1] + turn);
+  }
+  var K = SameShapeRelationship.samples, res = [], e = 0, pos = edges[0].len/perimeter;
+  for (var k=0; k<K; k++) {
+    var s = (k+0.5)/K;
+    while (s > pos && e < edges.length-1) pos += edges[++e].len/perimeter;
+    res.push(angles[e]);
+  }
+  return res;
+}
+
+/// Returns the distance between the turning functions of two shapes (0 for identical
+/// shapes) or Infinity if one of them is no closed shape.
+SameShapeRelationship.distance = function(shape, other) {
+  var f = SameShapeRelationship.turningFunction(shape)
+    , g = SameShapeRelationship.turningFunction(other);
+  if (!f || !g) return Infinity;
+  var K = f.length, best = Infinity;
+  // the turning function of a closed, simple polygon increases by 2*PI in total
+  var total = Math.abs(f[K-1]-f[0]) > Math.abs(g[K-1]-g[0]) ? f[K-1]-f[0] : g[K-1]-g[0];
+  var wrap = total >= 0 ? 2*Math.PI : -2*Math.PI;
+  for (var j=0; j<K; j++) {
+    // shift the starting point of g by j samples
+    var diff = [], mean = 0;
+    for (var k=0; k<K; k++) {
+      var gk = g[(k+j)%K] + (k+j >= K ? wrap : 0);
+      diff.push(f[k]-gk);
+      mean += f[k]-gk;
+    }
+    mean /= K;
+    // the best rotation is the one that shifts the turning function by the mean difference
+    var sum = 0;
+    for (var k=0; k<K; k++) sum += (diff[k]-mean)*(diff[k]-mean);
+    best = Math.min(best, Math.sqrt(sum/K));
+  }
+  return best;
+}
+
+SameShapeRelationship.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return SameShapeRelationship.membership(this.val, profile);
+}
+
+SameShapeRelationship.prototype.get_label = function() {
+  return 'same-shape-as';
+}
+/// Relationship of arity 3. An object is between two other objects if it is
+/// horizontally between them (right of one and left of the other) or vertically
+/// between them (above one and below the other). The activity is the larger of both,
+/// which are based on the spatial memberships of the SpatialRelationAnalyzer, like
+/// the left-of and above relationships.
+var BetweenRelationship = function(obj, other, other2) {
+  this.perceive(obj, other, other2);
+}
+BetweenRelationship.prototype.key = "between";
+BetweenRelationship.prototype.targetType = 'obj';
+BetweenRelationship.prototype.arity = 3;
+BetweenRelationship.prototype.symmetric = true; // in the two other objects
+BetweenRelationship.prototype.constant = false;
+
+/// Returns how much obj is left of, right of, above and below other on a scale from
+/// 0 to 1. The result is cached in the object node of obj as long as both objects keep
+/// their positions, since each object pair is part of many object triples.
+BetweenRelationship.directions = function(obj, other) {
+  var pos = [obj.x, obj.y, obj.rot, other.x, other.y, other.rot].join()
+    , cache = obj.object_node.between_cache || (obj.object_node.between_cache = {});
+  if (!cache[other.id] || cache[other.id].pos !== pos) {
+    cache[other.id] = { pos: pos, dirs: BetweenRelationship.getDirections(obj, other) };
+  }
+  return cache[other.id].dirs;
+}
+
+/// Like directions, but always runs the SpatialRelationAnalyzer.
+BetweenRelationship.getDirections = function(obj, other) {
+  var m = function(dir) {
+    return SpatialRelationAnalyzer(100, 100/2/100, dir).getMembership(obj, other)[1];
+  }
+  var left = m('left'), right = m('right'), above = m('above'), below = m('below');
+  return { left: Math.max(0, left-right), right: Math.max(0, right-left)
+         , above: Math.max(0, above-below), below: Math.max(0, below-above) };
+}
+
+BetweenRelationship.prototype.perceive = function(obj, other, other2) {
+  this.obj = obj;
+  this.other = other;
+  this.other2 = other2;
+  var a = BetweenRelationship.directions(obj, other)
+    , b = BetweenRelationship.directions(obj, other2);
+  this.horizontal = Math.max(Math.min(a.right, b.left), Math.min(a.left, b.right));
+  this.vertical = Math.max(Math.min(a.above, b.below), Math.min(a.below, b.above));
+  this.val = Math.max(this.horizontal, this.vertical);
+}
+
+BetweenRelationship.prototype.get_activity = function() {
+  return this.val;
+}
+
+BetweenRelationship.prototype.get_label = function() {
+  return 'between';
+}
+/// Reflects whether an object causes the motion of another one, like the first domino
+/// in a row of falling dominos causes the motion of the last one. A causes the motion of
+/// C if there is a chain of collisions from A to C, where A hits B and B then hits C
+/// within a time window and so on. The chain may also consist of A hitting C directly.
+/// This is confirmed counterfactually by disabling A and simulating the scene again from
+/// the start: the activity depends on how much farther C moves with A than without it.
+var CausesMotionRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+CausesMotionRelationship.prototype.key = "causes_motion_of";
+CausesMotionRelationship.prototype.targetType = 'obj';
+CausesMotionRelationship.prototype.arity = 2;
+CausesMotionRelationship.prototype.symmetric = false;
+CausesMotionRelationship.prototype.constant = true;
+
+/// Sets `chain` to the list of collisions leading from obj to other or null if there is
+/// none. If there is a chain, `val` is the distance in scene units the other object
+/// moved between the 'start' and the 'end' state, and `val_without` is the distance it
+/// moved when obj was removed from the scene at the start.
+CausesMotionRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  var sn = obj.object_node.scene_node;
+  var window = PBP.getMembershipProfile(sn).causes_motion.window;
+  this.chain = CausesMotionRelationship.findChain(sn.collisions, obj, other, window);
+  this.val = this.val_without = 0;
+  if (!this.chain) return;
+  var oracle = sn.oracle, body = other.phys_obj;
+  var s = oracle.getBodyInStates(body, ['start', 'end']);
+  this.val = CausesMotionRelationship.distance(s.start, s.end) / other.phys_scale;
+  this.val_without = CausesMotionRelationship.simulateWithout(obj.phys_obj, body, oracle) / other.phys_scale;
+}
+
+CausesMotionRelationship.prototype.get_activity = function() {
+  if (!this.chain) return 0;
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CausesMotionRelationship.membership(this.val - this.val_without, profile);
+}
+
+CausesMotionRelationship.prototype.get_label = function() {
+  return 'causes-motion-of';
+}
+
+/// Uses the 'causes_motion' parameters of the passed membership profile or of the active
+/// one. The passed value is the additional distance in scene units the other object
+/// moved because of the first one.
+CausesMotionRelationship.membership = function(dist, profile) {
+  var p = (profile || PBP.getMembershipProfile()).causes_motion;
+  return 1/(1+Math.exp(p.a*(p.m-dist)));
+}
+
+/// Returns the first chain of collisions {a, b, dv, t} found in the passed list in which
+/// A hits some object, this object then hits the next one within `window` seconds and
+/// so on, until C is hit. Returns null if there is no such chain.
+CausesMotionRelationship.findChain = function(collisions, A, C, window) {
+  var search = function(obj, t, chain) {
+    for (var i=0; i<collisions.length; i++) {
+      var c = collisions[i];
+      if (c.a !== obj || c.t < t || (chain.length > 0 && c.t > t + window)) continue;
+      if (c.b === A || chain.some(function (link) { return link.a === c.b })) continue;
+      if (c.b === C) return chain.concat([c]);
+      var res = search(c.b, c.t, chain.concat([c]));
+      if (res) return res;
+    }
+    return null;
+  }
+  return search(A, -Infinity, []);
+}
+
+/// Returns the distance between the two passed positions {x, y}.
+CausesMotionRelationship.distance = function(p, q) {
+  return Math.sqrt((q.x-p.x)*(q.x-p.x) + (q.y-p.y)*(q.y-p.y));
+}
+
+/// Disables body A in the oracle's 'start' state, simulates the scene until all bodies
+/// rest and returns the distance body C moved in physics units. The physics state the
+/// oracle was in before is restored afterwards.
+CausesMotionRelationship.simulateWithout = function(A, C, oracle) {
+  var curr_state = oracle.curr_state, pstate = oracle.pscene.getState();
+  oracle.gotoState('start');
+  var start = C.GetWorldCenter().Copy();
+  var dist = oracle.whatIf([{type: 'remove', body: A}], 12, function() {
+    return CausesMotionRelationship.distance(start, C.GetWorldCenter());
+  }, {wake_up: true, until_sleep: true});
+  oracle.loadPhysicsState(pstate);
+  oracle.curr_state = curr_state;
+  return dist;
+}
+/// Reflects whether an object hits something before the other object does, see
+/// MovesBeforeRelationship.membership. The activity is 0 if the other object does not
+/// hit anything. The collision times are taken from the collision graph of the scene.
+var HitsBeforeRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+HitsBeforeRelationship.prototype.key = "hits_before";
+HitsBeforeRelationship.prototype.targetType = 'obj';
+HitsBeforeRelationship.prototype.arity = 2;
+HitsBeforeRelationship.prototype.symmetric = false;
+HitsBeforeRelationship.prototype.constant = true;
+
+/// Sets `t` and `other_t` to the times of the first hits of both objects in seconds
+/// or to null if an object does not hit anything.
+HitsBeforeRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  var cg = obj.object_node.scene_node.collision_graph;
+  var first_hit = function(o) { var hits = cg.getHits(o); return hits.length > 0 ? hits[0].t : null };
+  this.t = first_hit(obj);
+  this.other_t = first_hit(other);
+}
+
+HitsBeforeRelationship.prototype.get_activity = function() {
+  return MovesBeforeRelationship.membership(this.t, this.other_t, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+HitsBeforeRelationship.prototype.get_label = function() {
+  return 'hits-before';
+}
+/// Reflects whether an object starts to move before the other object does. The
+/// activity grows with the time between both starts, it is 0 if both objects start
+/// at the same time or if one of them does not move at all. The start times are taken
+/// from the trajectories recorded by SceneNode.perceiveCollisions.
+var MovesBeforeRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+MovesBeforeRelationship.prototype.key = "moves_before";
+MovesBeforeRelationship.prototype.targetType = 'obj';
+MovesBeforeRelationship.prototype.arity = 2;
+MovesBeforeRelationship.prototype.symmetric = false;
+MovesBeforeRelationship.prototype.constant = true;
+
+/// Sets `t` and `other_t` to the times both objects start to move in seconds or to
+/// null if an object does not move.
+MovesBeforeRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.t = MovesBeforeRelationship.getStartTime(obj);
+  this.other_t = MovesBeforeRelationship.getStartTime(other);
+}
+
+MovesBeforeRelationship.prototype.get_activity = function() {
+  return MovesBeforeRelationship.membership(this.t, this.other_t, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+MovesBeforeRelationship.prototype.get_label = function() {
+  return 'moves-before';
+}
+
+/// Returns how much the event at time `t` precedes the event at time `other_t` using
+/// the 'before' parameters of the passed membership profile or of the active one.
+/// Returns 0 if one of the times is null or if `t` is not earlier than `other_t`.
+MovesBeforeRelationship.membership = function(t, other_t, profile) {
+  if (t === null || other_t === null || t >= other_t) return 0;
+  var p = (profile || PBP.getMembershipProfile()).before;
+  return 1/(1+Math.exp(p.a*(p.m-(other_t-t))));
+}
+
+/// Returns the time of the first trajectory sample in which the passed object is
+/// faster than Box2D's sleep tolerance or null if there is no such sample.
+MovesBeforeRelationship.getStartTime = function(obj) {
+  var samples = obj.object_node.scene_node.getTrajectory(obj);
+  if (!samples) return null;
+  var max_v = Box2D.Common.b2Settings.b2_linearSleepTolerance / obj.phys_scale;
+  for (var i=0; i<samples.length; i++) {
+    var s = samples[i];
+    if (Math.sqrt(s.vx*s.vx+s.vy*s.vy) > max_v) return s.t;
+  }
+  return null;
+}
+var pbpSettings = {
     max_dist: 0.06 // maximal distance of an objects to a spatial group to belong to it /* TODO: use this everywhere */
    ,activation_threshold: 0.5 /* TODO: use this everywhere */
    ,obj_attrs: {}
    ,obj_rels: {}
    ,group_attrs: {}
-	};
-	// object attributes
-	[LeftAttribute,
-	 LeftMostAttribute,
-	 RightAttribute,
-	 RightMostAttribute,
-	 BottomAttribute,
-	 TopAttribute,
-	 TopMostAttribute,
-	 SingleAttribute,
-	 OnGroundAttribute,
-	 CircleAttribute,
-	 SquareAttribute,
-	 RectangleAttribute,
-	 TriangleAttribute,
-	 ShapeAttribute,
-	 StabilityAttribute,
-	 SmallAttribute,
-	 LargeAttribute,
-	 MovesAttribute,
-	 MovableUpAttribute,
-	 IsSupportedAttribute].forEach(function (attr) { res.obj_attrs[attr.prototype.key] = attr });
-	// group attributes
-	[CloseAttribute,
-	 CountAttribute,
-	 FarAttribute,
-	 TouchAttribute
-	].forEach(function (attr) { res.group_attrs[attr.prototype.key] = attr });
-	// object relations
-	[AboveRelationship,
-	BelowRelationship,
-	LeftRelationship,
-	RightRelationship,
-	BesideRelationship,
-	FarRelationship,
-	CloseRelationship,
-	OnTopRelationship,
-	TouchRelationship,
-	HitsRelationship,
-	GetsHitRelationship,
-	CollidesRelationship,
-	SupportsRelationship].forEach(function (rel) { res.obj_rels[rel.prototype.key] = rel });
-	return res;
-})();
+   ,membership_profile: 'default' // name of the active membership profile
+   ,membership_profiles: {}
+   ,states: [] // additional named states {name, time} of all scenes, see PBP.registerState
+};
 
-var PBP = PBP || {};
+/// The parameters of the membership functions of the features. Most of them are
+/// sigmoid functions with steepness `a` and midpoint `m`, which is the value where the
+/// membership is 0.5. Distances, positions and areas are relative to the `scene_size`,
+/// which is the scene width and height.
+pbpSettings.membership_profiles['default'] = {
+  name: 'default'
+ ,scene_size: 100
+ ,close: { a: 30, m: 0.2 }   // distance on scale 0...1
+ ,far: { a: 20, m: 0.25 }    // distance on scale 0...1
+ ,single: { a: 40, m: 0.03 } // distance to closest object on scale 0...1
+ ,touch: { max_dist: 0.5 }   // maximal distance of touching objects
+ ,small: { a: 4, m: 1.8 }    // area, whole scene has area 100
+ ,large: { a: 4, m: 2.0 }    // area, whole scene has area 100
+ ,moves: { a: 40, m: 0.1 }   // linear velocity
+ ,is_supported: { a: 40, m: 0.1 } // linear velocity
+ ,left: { a: 20, m: 0.4 }    // x-position on scale 0...1
+ ,right: { a: 20, m: 0.4 }   // distance to right border on scale 0...1
+ ,top: { a: 20, m: 0.45 }    // y-position relative to the ground
+ ,bottom: { a: 20, m: 0.3 }  // distance to the ground relative to its position
+ ,most: { dist_scale: 2.5 }  // left-most etc. use 'close' on the scaled distance to the extreme
+ ,color: { a: 20, m: 0.2 }   // chroma (max-min of the rgb values on scale 0...1)
+ ,orientation: { a: 0.2, m: 15 } // tilt in degrees up to which an object is upright
+ ,elongated: { a: 3, m: 2.5 }  // ratio of the lengths of the principal axes
+ ,container: { a: 10, m: 0.3, min_area: 0.05 } // ratio of depth and opening width of
+                                                // pockets larger than min_area*(area+pocket)
+ ,larger: { a: 4, m: 1.5 }   // ratio of the areas of two objects
+ ,same_size: { a: 4, m: 1.5 } // ratio of the areas of the largest and smallest object
+ ,same_shape: { a: 20, m: 0.25 } // distance of the turning functions in radians
+ ,movable: { a: 0.5, m: 10 }  // distance an object moved when pulled, in scene units
+ ,topples: { a: 0.15, m: 30, max_rise: 1 } // rotation in degrees, rise of the center in scene units
+ ,motion: { a: 10, m: 0.5, bounce_a: 10, bounce_m: 0.8, window: 0.5 } // slip/relative speed ratio, upward speed, seconds
+ ,displacement: { a: 0.4, m: 10 } // distance the centroid moved between two states, in scene units
+ ,fast: { a: 6, m: 1.0 }     // linear velocity
+ ,slow: { a: 10, m: 0.4 }    // linear velocity
+ ,velocity: { a: 15, m: 0.4, window: 0.5 } // velocity in a direction, seconds to look ahead for the peak
+ ,causes_motion: { a: 0.4, m: 5, window: 2 } // additional distance in scene units, seconds between hits
+ ,before: { a: 40, m: 0.1 }  // time in seconds by which one event precedes another
+};
+
+/// Returns a deep copy of the passed profile with all parameters in `params` set. Throws
+/// an exception if `params` contains a parameter that does not exist in the profile.
+var mergeMembershipProfile = function(profile, params) {
+  var res = JSON.parse(JSON.stringify(profile));
+  for (var key in params) {
+    if (key === 'name') { res.name = params.name; continue }
+    if (!(key in res)) throw "unknown membership parameter '" + key + "'";
+    if (typeof(res[key]) !== 'object') { res[key] = params[key]; continue }
+    for (var p in params[key]) {
+      if (!(p in res[key])) throw "unknown membership parameter '" + key + '.' + p + "'";
+      res[key][p] = params[key][p];
+    }
+  }
+  return res;
+}
+
+/// Adds a membership profile under the passed name (replacing an existing one). The
+/// `params` only need to contain the parameters that differ from the default profile,
+/// e.g. `{close: {m: 0.15}}`. Returns the complete profile.
+PBP.loadMembershipProfile = function(name, params) {
+  var profile = mergeMembershipProfile(pbpSettings.membership_profiles['default'], params);
+  profile.name = name;
+  pbpSettings.membership_profiles[name] = profile;
+  return profile;
+}
+
+/// Sets the membership profile with the passed name as the active one. It is used for
+/// all scenes that don't have their own profile (see SceneNode.setMembershipProfile).
+PBP.useMembershipProfile = function(name) {
+  if (!(name in pbpSettings.membership_profiles)) throw "unknown membership profile '" + name + "'";
+  pbpSettings.membership_profile = name;
+}
+
+/// Returns the membership profile that is used for the passed SceneNode. Without
+/// a SceneNode or if it has no own profile, the active profile is returned.
+PBP.getMembershipProfile = function(scene_node) {
+  if (scene_node && scene_node.membership_profile) return scene_node.membership_profile;
+  return pbpSettings.membership_profiles[pbpSettings.membership_profile];
+}
+
+/// Throws an exception if `time` is neither a number of seconds >= 0 nor an event
+/// object (see SceneNode.getEventTime).
+var checkStateTime = function(name, time) {
+  if (typeof(time) === 'number' && time >= 0) return;
+  if (time && (time.event === 'hit' || time.event === 'rest')) return;
+  throw "time of state '" + name + "' must be a number >= 0 or an event";
+}
+
+/// Registers a named state for all scenes. Pass the time in seconds, e.g.
+/// `PBP.registerState('mid', 1.5)`, or an event the state is anchored at, e.g.
+/// `PBP.registerState('after_first_hit', {event: 'hit', delay: 0.1})`, see
+/// SceneNode.getEventTime for the possible events. Scene nodes perceive the state in
+/// temporal order together with the built-in 'start' and 'end' states, and selectors
+/// can match features at it. Only scene nodes created afterwards know the state, use
+/// SceneNode.addState for existing ones.
+PBP.registerState = function(name, time) {
+  if (typeof(name) !== 'string' || name === '') throw "state name must be a non-empty string";
+  if (name === '0' || name === 'start' || name === 'end'
+     || pbpSettings.states.some(function (s) { return s.name === name })) {
+    throw "state '" + name + "' is already in use";
+  }
+  checkStateTime(name, time);
+  pbpSettings.states.push({name: name, time: time});
+}
+
+/// Removes the named state registered with PBP.registerState. Scene nodes that were
+/// already created keep it.
+PBP.unregisterState = function(name) {
+  for (var i=0; i<pbpSettings.states.length; i++) {
+    if (pbpSettings.states[i].name === name) return pbpSettings.states.splice(i, 1)[0];
+  }
+  throw "unknown state '" + name + "'";
+}
+
+/// Returns the table in pbpSettings a feature with the passed prototype belongs to
+/// based on its targetType and arity or throws an exception if there is none.
+var getFeatureTable = function(proto) {
+  if (proto.targetType === 'obj' && proto.arity === 1) return pbpSettings.obj_attrs;
+  if (proto.targetType === 'obj' && (proto.arity === 2 || proto.arity === 3)) return pbpSettings.obj_rels;
+  if (proto.targetType === 'group' && proto.arity === 1) return pbpSettings.group_attrs;
+  throw "unsupported combination of targetType '" + proto.targetType + "' and arity "
+       + proto.arity + " for feature '" + proto.key + "'";
+}
+
+/// Returns the tables in pbpSettings that contain a feature with the passed key.
+var findFeatureTables = function(key) {
+  return [pbpSettings.obj_attrs, pbpSettings.obj_rels, pbpSettings.group_attrs].filter(
+    function (table) { return table.hasOwnProperty(key) });
+}
+
+/// Adds a new feature to the object attributes, group attributes or object
+/// relationships, depending on its targetType and arity. Pass the feature's constructor.
+/// Its prototype must define `key`, `targetType` ('obj' or 'group'), `arity` (1, 2 or 3,
+/// only 1 for groups), `constant` (true or false) and the methods `get_activity` and
+/// `get_label`. Relationships of arity 3 relate an object to two other objects; their
+/// constructor is called with the object and both other objects, which must be stored
+/// in the `other` and `other2` fields. Throws an exception if the feature is invalid
+/// or its key is already in use. The only keys that may be shared are those of a group
+/// attribute and an object relationship that describe the same concept, like the
+/// built-in 'close' and 'far'.
+/// All ObjectNodes and GroupNodes immediately use the new feature. Returns the constructor.
+PBP.registerFeature = function(ctor) {
+  if (typeof(ctor) !== 'function') throw "feature must be a constructor function";
+  var proto = ctor.prototype;
+  if (typeof(proto.key) !== 'string' || proto.key === '') throw "feature key must be a non-empty string";
+  if (proto.targetType !== 'obj' && proto.targetType !== 'group') {
+    throw "targetType of feature '" + proto.key + "' must be 'obj' or 'group'";
+  }
+  if (proto.arity !== 1 && proto.arity !== 2 && proto.arity !== 3) {
+    throw "arity of feature '" + proto.key + "' must be 1, 2 or 3";
+  }
+  if (typeof(proto.constant) !== 'boolean') throw "constant of feature '" + proto.key + "' must be a boolean";
+  if (typeof(proto.get_activity) !== 'function') throw "feature '" + proto.key + "' has no get_activity method";
+  if (typeof(proto.get_label) !== 'function') throw "feature '" + proto.key + "' has no get_label method";
+  var table = getFeatureTable(proto);
+  if (table[proto.key] === ctor) return ctor;
+  var used = findFeatureTables(proto.key).some(function (other) {
+    return other === table || other === pbpSettings.obj_attrs || table === pbpSettings.obj_attrs;
+  });
+  if (used) throw "feature key '" + proto.key + "' is already in use";
+  table[proto.key] = ctor;
+  return ctor;
+}
+
+/// Removes a feature that was registered before. Pass its constructor or its key. If a
+/// group attribute and an object relationship share the key, the constructor must be
+/// passed. Percepts of the feature that are already cached in the nodes are kept.
+/// Throws an exception if there is no such feature. Returns the removed constructor.
+PBP.unregisterFeature = function(feature) {
+  var key = typeof(feature) === 'function' ? feature.prototype.key : feature;
+  var tables = findFeatureTables(key);
+  if (typeof(feature) === 'function') {
+    tables = tables.filter(function (table) { return table[key] === feature });
+  }
+  if (tables.length === 0) throw "unknown feature '" + key + "'";
+  if (tables.length > 1) throw "feature key '" + key + "' is ambiguous, pass the constructor";
+  var ctor = tables[0][key];
+  delete tables[0][key];
+  return ctor;
+};
+
+// the built-in features
+// object attributes
+[LeftAttribute,
+ LeftMostAttribute,
+ RightAttribute,
+ RightMostAttribute,
+ BottomAttribute,
+ TopAttribute,
+ TopMostAttribute,
+ SingleAttribute,
+ OnGroundAttribute,
+ CircleAttribute,
+ SquareAttribute,
+ RectangleAttribute,
+ TriangleAttribute,
+ ShapeAttribute,
+ StabilityAttribute,
+ SmallAttribute,
+ LargeAttribute,
+ MovesAttribute,
+ MovableUpAttribute,
+ MovableDownAttribute,
+ MovableLeftAttribute,
+ MovableRightAttribute,
+ TopplesAttribute,
+ MotionAttribute,
+ DisplacementAttribute,
+ FastAttribute,
+ SlowAttribute,
+ MovingLeftAttribute,
+ MovingRightAttribute,
+ MovingUpAttribute,
+ FallingAttribute,
+ FirstToMoveAttribute,
+ IsSupportedAttribute,
+ ColorAttribute,
+ OrientationAttribute,
+ ElongationAttribute,
+ ContainerAttribute].forEach(PBP.registerFeature);
+// group attributes
+[CloseAttribute,
+ CountAttribute,
+ FarAttribute,
+ TouchAttribute,
+ SameSizeAttribute].forEach(PBP.registerFeature);
+// object relations
+[AboveRelationship,
+ BelowRelationship,
+ LeftRelationship,
+ RightRelationship,
+ BesideRelationship,
+ FarRelationship,
+ CloseRelationship,
+ OnTopRelationship,
+ TouchRelationship,
+ HitsRelationship,
+ GetsHitRelationship,
+ CollidesRelationship,
+ SupportsRelationship,
+ SameColorRelationship,
+ InsideRelationship,
+ LargerRelationship,
+ SmallerRelationship,
+ SameShapeRelationship,
+ BetweenRelationship,
+ CausesMotionRelationship,
+ HitsBeforeRelationship,
+ MovesBeforeRelationship].forEach(PBP.registerFeature);
 
 /// Adds all keys+values in b to a (overwrites if exists) and returns a. If b is not an object, just
 /// return a.
@@ -1391,7 +3178,7 @@ PBP.extend = function(a, b) {
 /// A GroupNode represents a group of objects in one scene. Pass the SceneNode the
 /// group belongs to. Optionally, pass an selector array that was used to create the
 /// group node.
-GroupNode = function(scene_node, objs, selectors) {
+var GroupNode = function(scene_node, objs, selectors) {
   this.scene_node = scene_node;
   this.objs = objs || [];   // shapes
   this.times = {};
@@ -1456,6 +3243,7 @@ GroupNode.prototype.perceive = function(time) {
 
 /// Returns the attribute for the passed time in the opts object (default is 'start').
 /// If it was not perceived yet, it is perceived now, unless 'cache_only' is true in opts.
+/// Returns false for a state anchored at an event that does not happen in the scene.
 GroupNode.prototype.getAttr = function(key, opts) {
   var o = PBP.extend({}, opts);
   // if time was not passed, use the current state of the oracle
@@ -1467,7 +3255,7 @@ GroupNode.prototype.getAttr = function(key, opts) {
     //this.dispatchEvent('retrieved', {percept: res, target: this, time: o.time});
     return res;
   }
-  if (o.cache_only) return false;
+  if (o.cache_only || this.scene_node.skipsState(o.time)) return false;
   // otherwise, goto the state and perceive it
   if (o.time) this.scene_node.oracle.gotoState(o.time);
   var res = new GroupNode.attrs[key](this);
@@ -1496,7 +3284,7 @@ GroupNode.prototype.describe = function() {
 
 /// An ObjectNode represents a single object. Pass the object (shape) it represents
 /// and the SceneNode it is part of.
-ObjectNode = function(scene_node, obj) {
+var ObjectNode = function(scene_node, obj) {
 	this.obj = obj; obj.object_node = this;
   this.scene_node = scene_node;
 	this.times = {};
@@ -1514,18 +3302,32 @@ ObjectNode.rels = pbpSettings.obj_rels;
 //asEventListener.call(ObjectNode.prototype);
 
 /// Returns true if there is the passed relation type with the passed activity
-/// with the passed other object node.
-ObjectNode.prototype.hasRelation = function(key, time, active, other) {
+/// with the passed other object node. For relationships of arity 3, pass the
+/// second other object node as `other2`.
+ObjectNode.prototype.hasRelation = function(key, time, active, other, other2) {
   if (!(time in this.times)) return false;
   if (!(key in ObjectNode.rels) || !(key in this.times[time])) return false;
   return this.times[time][key].some((function(rel) {
-    return rel.other === other.obj && (rel.get_activity() >= pbpSettings.activation_threshold) == active;
+    return ObjectNode.relatesTo(rel, other, other2)
+        && (rel.get_activity() >= pbpSettings.activation_threshold) == active;
   }).bind(this));
 };
 
+/// Returns true if the passed relationship percept is the one with the passed other
+/// object node(s). The second other object node is only used for arity 3, where
+/// the order of the other objects does not matter for symmetric relationships.
+ObjectNode.relatesTo = function(rel, other, other2) {
+  if (rel.arity !== 3) return rel.other === other.obj;
+  if (rel.other === other.obj && rel.other2 === other2.obj) return true;
+  return !!rel.symmetric && rel.other === other2.obj && rel.other2 === other.obj;
+}
+
 /// Perceives all object attributes and all relations to all other objects
 /// in the scene at the current situation and saves the results under the
-/// passed time.
+/// passed time. Relationships that have the `static_others` flag set are also
+/// perceived with the static objects of the scene. Relationships of arity 3 are
+/// perceived with all pairs of other objects, only in one order if they are
+/// symmetric in the two other objects.
 ObjectNode.prototype.perceive = function(time) {
   var res = {};
   for (var a in ObjectNode.attrs) {
@@ -1536,7 +3338,11 @@ ObjectNode.prototype.perceive = function(time) {
     var rel = ObjectNode.rels[r];
     res[r] = [];
     var objs = this.scene_node.objs;
-    for (var i=0; i<objs.length; i++) {
+    if (rel.prototype.static_others) {
+      objs = objs.concat(this.scene_node.statics.map(function (s) { return s.object_node }));
+    }
+    if (rel.prototype.arity === 3) this.perceiveTernary(rel, objs, res[r]);
+    else for (var i=0; i<objs.length; i++) {
       if (objs[i] == this) continue;
       if (typeof(GroupNode) != 'undefined' && objs[i] instanceof GroupNode) {
         if (rel.ObjectToGroup) res[r].push(rel.ObjectToGroup(this.obj, objs[i].objs, this.scene_node));
@@ -1549,9 +3355,20 @@ ObjectNode.prototype.perceive = function(time) {
   this.times[time] = res;
 }
 
+/// Perceives the passed relationship of arity 3 with all pairs of the passed nodes
+/// except this node and pushes the results into `res`. Groups are not used.
+ObjectNode.prototype.perceiveTernary = function(rel, nodes, res) {
+  nodes = nodes.filter(function (n) { return n !== this && n instanceof ObjectNode }, this);
+  for (var i=0; i<nodes.length; i++) for (var j=0; j<nodes.length; j++) {
+    if (i == j || (rel.prototype.symmetric && j < i)) continue;
+    res.push(new rel(this.obj, nodes[i].obj, nodes[j].obj, this.scene_node));
+  }
+}
+
 /// Dynamically retrieves and caches an attribute or feature. Optionally pass the time
 /// as `time` field in the `opts` object. When getting a relationship feature, pass the
-/// other ObjectNode as `other` field in `opts`.
+/// other ObjectNode as `other` field in `opts` and for relationships of arity 3 the
+/// second other ObjectNode as `other2` field.
 /// To just get a perception from the cache and return false if its not there, put
 /// `cache_only: true` in the `opts`.
 ObjectNode.prototype.get = function(key, opts) {
@@ -1569,7 +3386,8 @@ ObjectNode.prototype.getFromCache = function(key, opts) {
 /// Returns the attribute named `key`. If given, the `time` in the `opts` object is used,
 /// otherwise the current state of the oracle is used. If the oracle is in no named state,
 /// the perceived attribute is not cached, otherwise its returned if in cache or perceived,
-/// cached and returned if not in cache.
+/// cached and returned if not in cache. Returns false for a state that is anchored at an
+/// event that does not happen in the scene (see SceneNode.addState).
 ObjectNode.prototype.getAttr = function(key, opts) {
   var o = PBP.extend({}, opts);
   // if time was not passed, use the current state of the oracle
@@ -1581,7 +3399,7 @@ ObjectNode.prototype.getAttr = function(key, opts) {
     //this.dispatchEvent('retrieved', {percept: res, target: this, time: o.time});
     return res;
   }
-  if (o.cache_only) return false;
+  if (o.cache_only || this.scene_node.skipsState(o.time)) return false;
   // otherwise, goto the state and perceive it
   if (o.time) this.scene_node.oracle.gotoState(o.time);
   var res = new ObjectNode.attrs[key](this.obj);
@@ -1595,10 +3413,12 @@ ObjectNode.prototype.getAttr = function(key, opts) {
 }
 
 /// Returns the relationship named `key` with the `other` object node in the `opts` object.
+/// For relationships of arity 3, pass the second other object node as `opts.other2`.
 /// If given, the `time` in the `opts` object is used,
 /// otherwise the current state of the oracle is used. If the oracle is in no named state,
 /// the perceived relationship is not cached, otherwise its returned if in cache or perceived,
-/// cached and returned if not in cache.
+/// cached and returned if not in cache. Returns false for a state that is anchored at an
+/// event that does not happen in the scene (see SceneNode.addState).
 /// If opts.get_all is set, the method will return an array of all relationships
 /// that were perceived for the object so far. Use only in combination with opts.cache_only!
 ObjectNode.prototype.getRel = function(key, opts) {
@@ -1610,16 +3430,18 @@ ObjectNode.prototype.getRel = function(key, opts) {
   if ((o.time in this.times) && (key in this.times[o.time])) {
     var cache = this.times[o.time][key];
     if (o.get_all) return cache;
-    var res = cache.filter(function (rel) { return rel.other === o.other.obj })[0];
+    var res = cache.filter(function (rel) { return ObjectNode.relatesTo(rel, o.other, o.other2) })[0];
     if (res) {
       //this.dispatchEvent('retrieved', {percept: res, target: this, time: o.time});
       return res;
     }
   }
-  if (o.cache_only) return o.get_all ? [] : false;
+  if (o.cache_only || this.scene_node.skipsState(o.time)) return o.get_all ? [] : false;
   // otherwise, goto the state and perceive it
   if (o.time) this.scene_node.oracle.gotoState(o.time);
-  var res = new ObjectNode.rels[key](this.obj, o.other.obj);
+  var rel = ObjectNode.rels[key];
+  var res = (rel.prototype.arity === 3 ? new rel(this.obj, o.other.obj, o.other2.obj)
+                                       : new rel(this.obj, o.other.obj));
   // cache it, if the state is a known one
   if (o.time) {
     if (!this.times[o.time]) this.times[o.time] = {};
@@ -1637,11 +3459,19 @@ ObjectNode.prototype.getRel = function(key, opts) {
 ObjectNode.prototype.describe = function(prefix) {
   prefix = prefix || '';
   var res = [prefix + 'Obj. ' + this.obj.id + ':'];
-  var times = d3.keys(this.times);
-  for (var time in this.times) res.push(prefix + this.describeState(time, '  '));
+  var times = this.getRecordedTimes();
+  for (var i=0; i<times.length; i++) res.push(prefix + this.describeState(times[i], '  '));
   return res.join("\n");
 }
 
+/// Returns the names of all times at which percepts are cached. The states of the
+/// scene come first in temporal order, followed by any other times.
+ObjectNode.prototype.getRecordedTimes = function() {
+  var times = this.scene_node.times.filter(function (t) { return t in this.times }, this);
+  for (var t in this.times) if (times.indexOf(t) == -1) times.push(t);
+  return times;
+}
+
 /// Returns a human readable description of the passed time (see the `describe` method).
 ObjectNode.prototype.describeState = function(time, prefix) {
   prefix = prefix || '';
@@ -1658,15 +3488,147 @@ ObjectNode.prototype.describeState = function(time, prefix) {
     for (var i=0; i<rels.length; i++) {
       if (!rels[i]) continue;
       var active = rels[i].get_activity() >= 0.5;
-      out.push((active ? '' : '!') + rels[i].get_label() + ' ' + rels[i].other.id);
+      out.push((active ? '' : '!') + rels[i].get_label() + ' ' + rels[i].other.id
+              + (rels[i].arity === 3 ? ' ' + rels[i].other2.id : ''));
     }
   }
   return prefix + time + ": " + out.join(', ');
 };
+
+/// Returns the samples of the trajectory the object took during the simulation, see
+/// SceneNode.perceiveCollisions, or null if it wasn't recorded.
+ObjectNode.prototype.getTrajectory = function() {
+  return this.scene_node.getTrajectory(this.obj);
+}
+
+/// Returns the perceived attributes and relationships at all recorded times as
+/// object that can be serialized with JSON.stringify. Each percept is represented
+/// by its label and activity, relationships also by the id of the other object(s).
+/// The recorded trajectory of the object is included as well.
+ObjectNode.prototype.toJSON = function() {
+  var times = {};
+  for (var time in this.times) {
+    var res = times[time] = {};
+    for (var key in this.times[time]) {
+      var percept = this.times[time][key];
+      if (!Array.isArray(percept)) {
+        res[key] = { label: percept.get_label(), activity: percept.get_activity() };
+      } else res[key] = percept.filter(function (rel) { return rel }).map(function (rel) {
+        var json = { other: rel.other.id, label: rel.get_label(), activity: rel.get_activity() };
+        if (rel.arity === 3) json.other2 = rel.other2.id;
+        return json;
+      });
+    }
+  }
+  return { id: this.obj.id, times: times, trajectory: this.getTrajectory() };
+}
+// Copyright 2014, Erik Weitnauer.
+
+/// The collisions of a scene as a directed graph. Its nodes are all shapes of the scene,
+/// including the ground and the frame, and its edges are the {a, b, dv, t} collisions
+/// in temporal order, pointing from the hitting object a to the object b it hits.
+/// The query methods accept either a shape or its id for the objects.
+var CollisionGraph = function(nodes, edges) {
+  this.nodes = nodes;
+  this.edges = edges.slice().sort(function (e1, e2) { return e1.t - e2.t });
+}
+
+/// Returns true if the passed object is the passed shape or id. Undefined matches all.
+CollisionGraph.matches = function(obj, o) {
+  return o === undefined || o === obj || String(obj.id) === String(o);
+}
+
+/// Returns the node with the passed id or null if there is none.
+CollisionGraph.prototype.getNode = function(id) {
+  for (var i=0; i<this.nodes.length; i++) {
+    if (CollisionGraph.matches(this.nodes[i], id)) return this.nodes[i];
+  }
+  return null;
+}
+
+/// Returns the edges in temporal order in which a hits b. Leave out a or b to get all
+/// edges from a or to b.
+CollisionGraph.prototype.getHits = function(a, b) {
+  return this.edges.filter(function (e) {
+    return CollisionGraph.matches(e.a, a) && CollisionGraph.matches(e.b, b);
+  });
+}
+
+/// Returns the edges in temporal order that involve the passed object as hitter or
+/// as the one being hit.
+CollisionGraph.prototype.getCollisions = function(obj) {
+  return this.edges.filter(function (e) {
+    return CollisionGraph.matches(e.a, obj) || CollisionGraph.matches(e.b, obj);
+  });
+}
+
+/// Returns the object that hits the passed object first or null if it is never hit.
+CollisionGraph.prototype.getFirstHitter = function(obj) {
+  var hits = this.getHits(undefined, obj);
+  return hits.length > 0 ? hits[0].a : null;
+}
+
+/// Returns the last edge that involves the passed object or null if there is none.
+CollisionGraph.prototype.getLastHit = function(obj) {
+  var hits = this.getCollisions(obj);
+  return hits.length > 0 ? hits[hits.length-1] : null;
+}
+
+/// Returns the distinct objects the passed object collides with in the order of
+/// their first collision.
+CollisionGraph.prototype.getPartners = function(obj) {
+  var res = [];
+  this.getCollisions(obj).forEach(function (e) {
+    var other = CollisionGraph.matches(e.a, obj) ? e.b : e.a;
+    if (res.indexOf(other) === -1) res.push(other);
+  });
+  return res;
+}
+
+/// Returns the number of distinct objects the passed object collides with.
+CollisionGraph.prototype.countPartners = function(obj) {
+  return this.getPartners(obj).length;
+}
+
+/// Returns the objects that take part in collisions in the order of their first
+/// collision.
+CollisionGraph.prototype.getTemporalOrder = function() {
+  var res = [];
+  this.edges.forEach(function (e) {
+    if (res.indexOf(e.a) === -1) res.push(e.a);
+    if (res.indexOf(e.b) === -1) res.push(e.b);
+  });
+  return res;
+}
+
+/// Returns the time of the first collision of the passed object or null if it does not
+/// collide with anything.
+CollisionGraph.prototype.getFirstCollisionTime = function(obj) {
+  var hits = this.getCollisions(obj);
+  return hits.length > 0 ? hits[0].t : null;
+}
+
+/// Returns -1 if the first collision of object a happens before the first collision of
+/// object b, 1 if it happens after it and 0 if they happen at the same time. Objects
+/// without collisions are sorted last.
+CollisionGraph.prototype.compare = function(a, b) {
+  var ta = this.getFirstCollisionTime(a), tb = this.getFirstCollisionTime(b);
+  if (ta === null) ta = Infinity;
+  if (tb === null) tb = Infinity;
+  return ta < tb ? -1 : (ta > tb ? 1 : 0);
+}
+
+/// Returns the graph as object that can be serialized with JSON.stringify. Nodes are
+/// {id, movable} objects and edges are {a, b, dv, t} objects with the ids of the shapes.
+CollisionGraph.prototype.toJSON = function() {
+  return { nodes: this.nodes.map(function (n) { return { id: n.id, movable: !!n.movable } })
+         , edges: this.edges.map(function (e) { return { a: e.a.id, b: e.b.id, dv: e.dv, t: e.t } })
+         };
+}
 /// Copyright by Erik Weitnauer, 2013.
 
 /// A SceneNode is a collection of several objects.
-SceneNode = function(scene, oracle) {
+var SceneNode = function(scene, oracle) {
   this.scene = scene;
   this.side = scene.side;
   this.id = scene.name || ('s'+Math.round(Math.random()*10000));
@@ -1675,37 +3637,120 @@ SceneNode = function(scene, oracle) {
   this.groups = [];    // list of object groups in the scene
   this.ground = null;
   this.frame = null;
+  this.statics = [];   // list of static objects in the scene except the frame, including the ground
   this.collisions = []; // list of collisions
-  this.times = ['start', 'end'];
+  this.collision_graph = new CollisionGraph(scene.shapes, []); // see perceiveCollisions
+  this.trajectories = []; // list of {obj, samples} objects, see perceiveCollisions
+  this.times = ['start', 'end']; // names of the states that are perceived, in temporal order
+  this.event_states = []; // list of {name, event} objects, see addState
+  this.membership_profile = null; // own membership profile, see setMembershipProfile
   this.init();
+  for (var i=0; i<pbpSettings.states.length; i++) {
+    this.addState(pbpSettings.states[i].name, pbpSettings.states[i].time);
+  }
+}
+
+/// Loads the passed SVGScene (see svg2physics) into a new Box2D world and returns a
+/// SceneNode for it that has all its objects registered. Needs no DOM, so it can be
+/// used in node.js as well.
+SceneNode.fromSVGScene = function(scene) {
+  scene.adjustStrokeWidth(0.5*scene.pixels_per_unit/100);
+  var world = new Box2D.Dynamics.b2World(new Box2D.Common.Math.b2Vec2(0, 10), true);
+  var adapter = new s2p.Box2DAdapter();
+  adapter.loadScene(world, scene, true, false);
+  var sn = new SceneNode(scene, new s2p.PhysicsOracle(new s2p.PhysicsScene(world)));
+  sn.registerObjects();
+  return sn;
+}
+
+/// Sets the membership profile that is used for the features of this scene. Pass the
+/// name of a profile (see PBP.loadMembershipProfile), an object with parameters that
+/// override those of the profile currently used for this scene, e.g. `{far: {a: 10}}`,
+/// or null to use the active profile again. The activities of features are calculated
+/// from their perceived values on demand, so there is no need to perceive the scene again.
+SceneNode.prototype.setMembershipProfile = function(profile) {
+  if (profile === null) this.membership_profile = null;
+  else if (typeof(profile) === 'string') {
+    if (!(profile in pbpSettings.membership_profiles)) throw "unknown membership profile '" + profile + "'";
+    this.membership_profile = pbpSettings.membership_profiles[profile];
+  } else {
+    this.membership_profile = mergeMembershipProfile(PBP.getMembershipProfile(this), profile);
+  }
+}
+
+/// Adds a named state at the passed time in seconds to the oracle of this scene and
+/// inserts it into `times` according to its time, so it is perceived by perceiveAll.
+/// Instead of a time, an event the state is anchored at can be passed (see
+/// getEventTime). Such a state is resolved to the time of the event by
+/// perceiveCollisions, so it must be added before. If the event does not happen in the
+/// scene, the state is skipped and no features are perceived at it.
+/// See PBP.registerState for adding states to all scenes.
+SceneNode.prototype.addState = function(name, time) {
+  checkStateTime(name, time);
+  if (typeof(time) === 'number') return this.insertState(name, time);
+  if (name in this.oracle.states || this.isEventState(name)) throw "state '" + name + "' already exists";
+  this.event_states.push({name: name, event: time});
+}
+
+/// Returns true if the passed name belongs to a state anchored at an event.
+SceneNode.prototype.isEventState = function(name) {
+  return this.event_states.some(function (es) { return es.name === name });
+}
+
+/// Returns true if the passed state is anchored at an event that does not happen in
+/// this scene.
+SceneNode.prototype.skipsState = function(name) {
+  return this.isEventState(name) && !(name in this.oracle.states);
+}
+
+/// Adds a state at the passed time to the oracle and inserts it into `times`.
+SceneNode.prototype.insertState = function(name, time) {
+  this.oracle.addState(name, time);
+  var states = this.oracle.states;
+  var getTime = function(name) { return states[name].time === 'end' ? Infinity : states[name].time };
+  var i = 0;
+  while (i < this.times.length && getTime(this.times[i]) <= time) i++;
+  this.times.splice(i, 0, name);
 }
 
 SceneNode.prototype.getAllGroup = function() {
   return GroupNode.sceneGroup(this);
 }
 
+/// Sorts the shapes of the scene into movables, the frame and the statics. The ground
+/// is the static shape with the id '_', see SVGScene.setIds.
 SceneNode.prototype.init = function() {
   var movables = [], shapes = this.scene.shapes;
   for (var i=0; i<shapes.length; i++) {
     if (shapes[i].movable) movables.push(shapes[i]);
-    else if (shapes[i].id == '_') this.ground = shapes[i];
     else if (shapes[i].id == '|') this.frame = shapes[i];
+    else {
+      if (shapes[i].id == '_') this.ground = shapes[i];
+      this.statics.push(shapes[i]);
+    }
   }
 }
 
 /// Creates an empty ObjectNode for each shape in the scene that does not have an
-/// associated ObjectNode yet.
+/// associated ObjectNode yet. Only the ObjectNodes of movable shapes are added to
+/// `objs`, the ones of static shapes are available through the `object_node` field
+/// of the shapes in `statics`.
 SceneNode.prototype.registerObjects = function() {
   var movables = this.scene.shapes.filter(function(s) { return s.movable });
   for (var i=0; i<movables.length; i++) {
     if (!movables[i].object_node) this.objs.push(new ObjectNode(this, movables[i]));
   }
-  if (this.ground && !this.ground.object_node)
-    this.ground.object_node = new ObjectNode(this, this.ground);
+  for (var i=0; i<this.statics.length; i++) {
+    var s = this.statics[i];
+    if (!s.object_node) s.object_node = new ObjectNode(this, s);
+  }
 }
 
 /// Records the start state, simulates till the end state while recording all
-/// collisions and records the end state.
+/// collisions and the trajectories of all movable objects and records the end state.
+/// The samples of the trajectories are {t, x, y, rot, vx, vy, w} objects in scene
+/// coordinates, the rate they are taken at is the `sample_rate` of the oracle.
+/// The collisions are also available as `collision_graph`, see CollisionGraph.
 SceneNode.prototype.perceiveCollisions = function() {
   this.oracle.gotoState("start");
   this.collisions = this.oracle.observeCollisions();
@@ -1714,12 +3759,80 @@ SceneNode.prototype.perceiveCollisions = function() {
     this.collisions[i].a = this.collisions[i].a.master_obj;
     this.collisions[i].b = this.collisions[i].b.master_obj;
   }
+  this.collision_graph = new CollisionGraph(this.scene.shapes, this.collisions);
+  this.trajectories = this.oracle.trajectories.map(function (tr) {
+    var obj = tr.body.master_obj, s = obj.phys_scale;
+    return { obj: obj, samples: tr.samples.map(function (p) {
+      return { t: p.t, x: p.x/s, y: p.y/s, rot: p.rot, vx: p.vx/s, vy: p.vy/s, w: p.w };
+    })};
+  });
+  this.resolveEventStates();
+}
+
+/// Sets the time of all states that are anchored at events to the time the event
+/// happens in this scene, see getEventTime. States whose event does not happen are
+/// removed from the oracle and from `times`.
+SceneNode.prototype.resolveEventStates = function() {
+  for (var i=0; i<this.event_states.length; i++) {
+    var name = this.event_states[i].name, idx = this.times.indexOf(name);
+    if (idx != -1) this.times.splice(idx, 1);
+    if (name in this.oracle.states) this.oracle.removeState(name);
+    var t = this.getEventTime(this.event_states[i].event);
+    if (t !== null) this.insertState(name, t);
+  }
+}
+
+/// Returns the time in seconds at which the passed event happens in this scene or
+/// null if it does not happen. The events are resolved from the collisions and
+/// trajectories recorded by perceiveCollisions. Possible events are:
+///   {event: 'hit', obj, other, nth}: the nth collision (default: 1) that involves
+///     the objects with the ids `obj` and `other`, e.g. '_' for the ground. Without
+///     them, any collision counts.
+///   {event: 'rest', obj}: the object with the id `obj` or, without it, all objects
+///     came to rest. If an object still moves or spins at the end of its trajectory,
+///     the event does not happen.
+/// An optional `delay` in seconds is added to the time of the event.
+SceneNode.prototype.getEventTime = function(event) {
+  var t = null;
+  var matches = function(obj, id) { return id === undefined || String(obj.id) === String(id) };
+  if (event.event === 'hit') {
+    var hits = this.collisions.filter(function (c) {
+      return (matches(c.a, event.obj) || matches(c.b, event.obj))
+          && (matches(c.a, event.other) || matches(c.b, event.other));
+    });
+    var hit = hits[(event.nth || 1)-1];
+    if (hit) t = hit.t;
+  } else if (event.event === 'rest') {
+    var settings = Box2D.Common.b2Settings, never = false;
+    this.trajectories.forEach(function (tr) {
+      if (!matches(tr.obj, event.obj)) return;
+      // the object rests after the last sample it was faster than Box2D's sleep tolerances
+      var max_v = settings.b2_linearSleepTolerance / tr.obj.phys_scale
+        , max_w = settings.b2_angularSleepTolerance;
+      var moves = function(s) { return Math.sqrt(s.vx*s.vx+s.vy*s.vy) > max_v || Math.abs(s.w) > max_w };
+      var last = tr.samples.length-1, rest = tr.samples[0].t;
+      if (moves(tr.samples[last])) never = true;
+      for (var i=0; i<last; i++) if (moves(tr.samples[i])) rest = tr.samples[i+1].t;
+      t = Math.max(t, rest);
+    });
+    if (never) t = null;
+  }
+  return t === null ? null : t + (event.delay || 0);
+}
+
+/// Returns the samples of the trajectory of the passed shape, see perceiveCollisions,
+/// or null if there is none.
+SceneNode.prototype.getTrajectory = function(obj) {
+  for (var i=0; i<this.trajectories.length; i++) {
+    if (this.trajectories[i].obj === obj) return this.trajectories[i].samples;
+  }
+  return null;
 }
 
 /// Returns an SceneNode instance, which is the perception of the passed scene.
 /// For now brute force: All movable objects in the scene are automatically
 /// with all their attributes and relationships with each other for one snapshot
-/// at the beginning and one snapshot at the end of time.
+/// at each of the `times`, by default at the beginning and at the end of time.
 SceneNode.prototype.perceiveAll = function() {
   this.perceiveCollisions();
   for (var t=0; t<this.times.length; t++) {
@@ -1748,6 +3861,19 @@ SceneNode.prototype.describe = function(prefix) {
   };
   return res.join("\n");
 }
+
+/// Returns the perceived results of the scene as object that can be serialized with
+/// JSON.stringify. It contains the perceptions of all objects at all recorded times,
+/// the collisions and the membership profile the activities were calculated with.
+SceneNode.prototype.toJSON = function() {
+  return { id: this.id
+         , side: this.side
+         , membership_profile: PBP.getMembershipProfile(this)
+         , objs: this.objs.map(function (on) { return on.toJSON() })
+         , collisions: this.collisions.map(function (c) {
+             return { a: c.a.id, b: c.b.id, dv: c.dv, t: c.t } })
+         };
+}
 // Copyright 2014, Erik Weitnauer.
 
 /** The Selector is used to focus on a subset of objects in a scene based on
@@ -1813,14 +3939,20 @@ Selector.prototype.featureCount = function() {
 /// Calls the passed function once for each feature that is part of the
 /// selector.
 Selector.prototype.forEachFeature = function(fn) {
+	// change matchers use the features of both their matchers
+	var call = function(matcher, table) {
+		if (matcher instanceof Selector.ChangeMatcher) {
+			fn(table[matcher.from.key]);
+			if (matcher.to.key !== matcher.from.key) fn(table[matcher.to.key]);
+		} else fn(table[matcher.key]);
+	}
 	var i;
-	for (i=0; i<this.obj_attrs.length; i++)
-		fn(pbpSettings.obj_attrs[this.obj_attrs[i].key]);
-	for (i=0; i<this.grp_attrs.length; i++)
-		fn(pbpSettings.group_attrs[this.grp_attrs[i].key]);
+	for (i=0; i<this.obj_attrs.length; i++) call(this.obj_attrs[i], pbpSettings.obj_attrs);
+	for (i=0; i<this.grp_attrs.length; i++) call(this.grp_attrs[i], pbpSettings.group_attrs);
 	for (i=0; i<this.rels.length; i++) {
-		fn(pbpSettings.obj_rels[this.rels[i].key]);
+		call(this.rels[i], pbpSettings.obj_rels);
 		this.rels[i].other_sel.forEachFeature(fn);
+		if (this.rels[i].other_sel2) this.rels[i].other_sel2.forEachFeature(fn);
 	}
 }
 
@@ -1879,20 +4011,21 @@ Selector.prototype.add_attr = function(attr_matcher) {
 
 /// Will extract the relation key, label, activation, constant and symmetry properties. Pass the time
 /// at which the attribute values should match (default: 'start'). Pass a selector that selects the other
-/// object.
-Selector.prototype.use_rel = function(other_sel, rel, time) {
-	this.add_rel(Selector.RelMatcher.fromRelationship(other_sel, rel, time));
+/// object and for relationships of arity 3 a second selector that selects the second other object.
+Selector.prototype.use_rel = function(other_sel, rel, time, other_sel2) {
+	this.add_rel(Selector.RelMatcher.fromRelationship(other_sel, rel, time, other_sel2));
 	return this;
 };
 
-/// Adds the passed RelMatcher. Will replace if a rel with the same key, target object
+/// Adds the passed RelMatcher. Will replace if a rel with the same key, target object(s)
 /// and time is in the list already.
 Selector.prototype.add_rel = function(rel_matcher) {
 	// if we have an attr of same type, replace
 	for (var i=0; i<this.rels.length; i++) {
 		var rel = this.rels[i];
 	  if (rel.key === rel_matcher.key && rel.time == rel_matcher.time &&
-	  	  rel.other_sel.equals(rel_matcher.other_sel)) {
+	  	  rel.other_sel.equals(rel_matcher.other_sel) &&
+	  	  Selector.equalOrNone(rel.other_sel2, rel_matcher.other_sel2)) {
 	  	this.rels[i] = rel_matcher;
 	  	return this;
 	  }
@@ -1902,6 +4035,14 @@ Selector.prototype.add_rel = function(rel_matcher) {
 	return this;
 };
 
+/// Adds the passed ChangeMatcher to the attributes or relationships, depending on the
+/// matchers it compares. Will replace a change of the same feature(s), times and, for
+/// relationships, target object(s).
+Selector.prototype.add_change = function(change_matcher) {
+	if (change_matcher.from instanceof Selector.RelMatcher) return this.add_rel(change_matcher);
+	return this.add_attr(change_matcher);
+};
+
 /// Returns true if the passed other selector has the same relationships and attributes.
 /// They might be in a different order.
 Selector.prototype.equals = function(other) {
@@ -1922,6 +4063,12 @@ Selector.prototype.equals = function(other) {
 	return true;
 }
 
+/// Returns true if both selectors are missing or equal.
+Selector.equalOrNone = function(sel, other) {
+	if (!sel || !other) return !sel && !other;
+	return sel.equals(other);
+}
+
 /// Returns true if the passed object node matches the selector's object
 /// attributes and relations. Optionally, an array of nodes that will be
 /// condisered as relationship partners can be passed as second parameter. If
@@ -2064,8 +4211,11 @@ Selector.AttrMatcher.prototype.describe = function() {
 
 /// CAUTION: other_sel is not allowed to use RelMatchers, itself! Otherwise
 /// we could get into infinite recursion!
-Selector.RelMatcher = function(other_sel, key, label, active, time) {
+/// For relationships of arity 3, pass the selector of the second other object as
+/// `other_sel2`. The same holds for it.
+Selector.RelMatcher = function(other_sel, key, label, active, time, other_sel2) {
 	this.other_sel = other_sel;
+	this.other_sel2 = other_sel2 || null;
 	this.key = key;
 	this.label = label;
 	this.active = typeof(active) === 'undefined' ? true : active;
@@ -2076,7 +4226,7 @@ Selector.RelMatcher = function(other_sel, key, label, active, time) {
 
 Selector.RelMatcher.prototype.clone = function() {
 	return new Selector.RelMatcher( this.other_sel, this.key, this.label
-		                            , this.active, this.time);
+		                            , this.active, this.time, this.other_sel2);
 }
 
 Selector.RelMatcher.prototype.getComplexity = function() {
@@ -2084,6 +4234,7 @@ Selector.RelMatcher.prototype.getComplexity = function() {
 	if (this.time !== 'start') c++;
 	if (!this.active) c += 2;
 	c += this.other_sel.getComplexity();
+	if (this.other_sel2) c += this.other_sel2.getComplexity();
 	return c;
 }
 
@@ -2091,26 +4242,29 @@ Selector.RelMatcher.prototype.getComplexity = function() {
 Selector.RelMatcher.prototype.equals = function(other) {
 	return (this.key === other.key && this.label === other.label &&
 	        this.active === other.active && this.time === other.time &&
-	        this.other_sel.equals(other.other_sel));
+	        this.other_sel.equals(other.other_sel) &&
+	        Selector.equalOrNone(this.other_sel2, other.other_sel2));
 }
 
 /// First uses its 'other' selector on the passed 'others' array of nodes. Returns true
 /// if the passed 'node' can supply the relationship to any of the selected nodes and
 /// the activation and label match.
-/// If others is not passed, all nodes in the scene except the 'node' are used.
+/// If others is not passed, all nodes in the scene except the 'node' are used, for
+/// relationships with the `static_others` flag also the static objects.
+/// For relationships of arity 3, all pairs of different nodes in 'others' are used
+/// instead, see matchesTernary.
 Selector.RelMatcher.prototype.matches = function(node, others) {
 	if (this.other_sel.rels.length > 0) throw "the other-selector of"
 	// select all other nodes in the scene as 'others', if they were not passed
-	others = others || node.scene_node.objs.filter(function (on) { return on !== node });
+	if (!others) others = this.getOthers(node);
+
+	if (this.other_sel2) return this.matchesTernary(node, others);
 
 	var self = this;
 
 	var test_fn = function(other) {
 		if (other === node) return false;
-		var rel = node.getRel(self.key, {other: other, time: self.time});
-		if (!rel) return false;
-	  var active = rel.get_activity() >= pbpSettings.activation_threshold;
-		return (active == self.active && rel.get_label() == self.label);
+		return self.matchesRel(node, other);
 	}
 
 	var match_fn = function(other) {
@@ -2124,27 +4278,175 @@ Selector.RelMatcher.prototype.matches = function(node, others) {
 	return matching_others.length > 0;
 }
 
+/// Returns all nodes in the scene of the passed node except the node itself and, for
+/// relationships with the `static_others` flag, the static objects of the scene.
+Selector.RelMatcher.prototype.getOthers = function(node) {
+	var sn = node.scene_node;
+	var others = sn.objs.filter(function (on) { return on !== node });
+	if (pbpSettings.obj_rels[this.key].prototype.static_others) {
+		others = others.concat(sn.statics.map(function (s) { return s.object_node }));
+	}
+	return others;
+}
+
+/// Returns true if the passed node can supply the relationship with the passed other
+/// node(s) and its activation and label match. The other-selectors are not used.
+Selector.RelMatcher.prototype.matchesRel = function(node, other, other2) {
+	var rel = node.getRel(this.key, {other: other, other2: other2, time: this.time});
+	if (!rel) return false;
+	var active = rel.get_activity() >= pbpSettings.activation_threshold;
+	return (active == this.active && rel.get_label() == this.label);
+}
+
+/// Like `matches`, but for relationships of arity 3. The first other node of a pair
+/// must match the first other-selector and the second one the second other-selector.
+/// If the matcher is not active, the relationship must not be active for any pair.
+/// If one of the other-selectors is unique, exactly one pair must match. For symmetric
+/// relationships, each unordered pair is only counted once and matches if one of its
+/// orderings does.
+Selector.RelMatcher.prototype.matchesTernary = function(node, others) {
+	if (this.other_sel2.rels.length > 0) throw "the second other-selector of a RelMatcher must not have relationships";
+	var self = this, pairs = [];
+	var symmetric = !!this.symmetric;
+	for (var i=0; i<others.length; i++) for (var j=0; j<others.length; j++) {
+		if (i === j || (symmetric && j < i)) continue;
+		if (others[i] !== node && others[j] !== node) pairs.push([others[i], others[j]]);
+	}
+
+	var matches_ordered = function(other, other2) {
+		if (!self.other_sel.matchesObject(other, null, function() { return true })) return false;
+		if (!self.other_sel2.matchesObject(other2, null, function() { return true })) return false;
+		return self.matchesRel(node, other, other2);
+	}
+
+	var match_fn = function(pair) {
+		return matches_ordered(pair[0], pair[1]) || (symmetric && matches_ordered(pair[1], pair[0]));
+	}
+
+	var matching_pairs = pairs.filter(match_fn);
+
+	if (!this.active) return matching_pairs.length === pairs.length;
+	if ((this.other_sel.unique || this.other_sel2.unique) && matching_pairs.length != 1) return false;
+	return matching_pairs.length > 0;
+}
+
 /// Will extract the relation key, label, activation, constant and symmetry properties. Pass the time
 /// at which the attribute values should match (default: 'start'). Pass a selector that selects the other
-/// object.
-Selector.RelMatcher.fromRelationship = function(other, rel, time) {
+/// object and for relationships of arity 3 one that selects the second other object.
+Selector.RelMatcher.fromRelationship = function(other, rel, time, other2) {
 	return new Selector.RelMatcher(
 		other, rel.key, rel.get_label()
 	 ,rel.get_activity() >= pbpSettings.activation_threshold
-	 ,time);
+	 ,time, other2);
 }
 
 Selector.RelMatcher.prototype.describe = function() {
 	return (this.active ? '' : 'not ') + this.label + " " +
 				 this.other_sel.describe() +
+				 (this.other_sel2 ? ' and ' + this.other_sel2.describe() : '') +
 				 (this.constant || this.time == "start" ? '' : ' at the ' + this.time);
-}// Copyright 2014, Erik Weitnauer.
+}
+
+/// Matches a change of a feature between two times, like 'becomes on-ground', 'no
+/// longer touches (any object)' or 'was left-of X at the start and is right-of X at
+/// the end'. Pass two AttrMatchers or two RelMatchers with different times. The first
+/// one must match at its time and the second one at its time. RelMatchers must use
+/// equal other-selectors and both must match with the same other object(s). The
+/// features must not be constant, since constant features can't change.
+/// The `time` of a ChangeMatcher names the transition, e.g. 'start-end'.
+Selector.ChangeMatcher = function(from, to) {
+	var is_rel = from instanceof Selector.RelMatcher;
+	if (is_rel !== (to instanceof Selector.RelMatcher)) throw "a change must be between two attributes or two relationships";
+	if (from.time === to.time) throw "a change must be between two different times";
+	if (from.constant || to.constant) throw "constant features can't change";
+	if (is_rel && !(from.other_sel.equals(to.other_sel) && Selector.equalOrNone(from.other_sel2, to.other_sel2))) {
+		throw "a change of relationships must be with the same objects";
+	}
+	if (!is_rel && from.type !== to.type) throw "a change must be between attributes of the same type";
+	this.from = from;
+	this.to = to;
+	this.key = to.key;
+	this.type = to.type;
+	this.time = from.time + '-' + to.time;
+	this.constant = false;
+	if (is_rel) {
+		this.other_sel = from.other_sel;
+		this.other_sel2 = from.other_sel2;
+	}
+}
+
+Selector.ChangeMatcher.prototype.clone = function() {
+	return new Selector.ChangeMatcher(this.from.clone(), this.to.clone());
+}
+
+/// A change is more complex than matching a feature at a single time.
+Selector.ChangeMatcher.prototype.getComplexity = function() {
+	var c = 2;
+	if (this.from.key !== this.to.key || this.from.label !== this.to.label) c++;
+	if (this.from.time !== 'start' || this.to.time !== 'end') c++;
+	if (this.other_sel) c += this.other_sel.getComplexity();
+	if (this.other_sel2) c += this.other_sel2.getComplexity();
+	return c;
+}
+
+/// Returns true if the other ChangeMatcher is the same as this one.
+Selector.ChangeMatcher.prototype.equals = function(other) {
+	return (other instanceof Selector.ChangeMatcher &&
+	        this.from.equals(other.from) && this.to.equals(other.to));
+}
+
+/// Returns true if the passed node matches the first matcher at its time and the second
+/// one at its time. For relationships, there must be other node(s) selected by the
+/// other-selector(s) that both relationship matchers match with. Pass the nodes that
+/// are considered as other objects as `others`, per default all other nodes of the scene
+/// are used (see RelMatcher.matches).
+Selector.ChangeMatcher.prototype.matches = function(node, others) {
+	if (!this.other_sel) return this.from.matches(node) && this.to.matches(node);
+	if (this.other_sel.rels.length > 0) throw "the other-selector of a ChangeMatcher must not have relationships";
+	if (!others) others = this.from.getOthers(node);
+	var self = this, any = function() { return true };
+	var candidates = [];
+	for (var i=0; i<others.length; i++) {
+		if (others[i] === node || !this.other_sel.matchesObject(others[i], null, any)) continue;
+		if (!this.other_sel2) candidates.push([others[i]]);
+		else for (var j=0; j<others.length; j++) {
+			if (j === i || others[j] === node) continue;
+			if (this.other_sel2.matchesObject(others[j], null, any)) candidates.push([others[i], others[j]]);
+		}
+	}
+	var matching = candidates.filter(function (c) {
+		return self.from.matchesRel(node, c[0], c[1]) && self.to.matchesRel(node, c[0], c[1]);
+	});
+	if ((this.other_sel.unique || (this.other_sel2 && this.other_sel2.unique)) && matching.length != 1) return false;
+	return matching.length > 0;
+}
+
+/// Returns e.g. 'becomes on-ground', 'no longer touches (any object)' or 'changes
+/// from left-of to right-of [the small object]'.
+Selector.ChangeMatcher.prototype.describe = function() {
+	var from = this.from, to = this.to;
+	var res;
+	if (from.key === to.key && from.label === to.label && from.active !== to.active) {
+		res = (to.active ? 'becomes ' : 'no longer ') + to.label;
+	} else if (from.active && to.active) {
+		res = 'changes from ' + from.label + ' to ' + to.label;
+	} else return 'was ' + from.describe() + ' and is ' + to.describe();
+	if (this.other_sel) {
+		res += ' ' + this.other_sel.describe() +
+		       (this.other_sel2 ? ' and ' + this.other_sel2.describe() : '');
+	}
+	if (from.time !== 'start' || to.time !== 'end') {
+		res += ' between the ' + from.time + ' and the ' + to.time;
+	}
+	return res;
+}
+// Copyright 2014, Erik Weitnauer.
 
 /// Holds an array of selectors.
 /// Can be in one of 3 different modes: 'unique', 'exists', 'all'
 /// (the default is 'exists').
 /// main_side is either 'left', 'right', 'both'
-Solution = function(selector, main_side, mode) {
+var Solution = function(selector, main_side, mode) {
 	this.sel = selector;
 	this.mode = mode || 'exists';
 	this.setMainSide(main_side);
@@ -2262,4 +4564,88 @@ Solution.prototype.describe = function() {
 	if (this.main_side) str += this.main_side === 'both' ? "In all scenes, " : "Only in the " + this.main_side + " scenes, ";
 	str += this.mode + ': ' + this.sel.describe();
 	return str;
-};
\ No newline at end of file
+};
+PBP.settings = pbpSettings;
+PBP.SceneNode = SceneNode;
+PBP.ObjectNode = ObjectNode;
+PBP.GroupNode = GroupNode;
+PBP.Selector = Selector;
+PBP.Solution = Solution;
+PBP.CollisionGraph = CollisionGraph;
+
+// object attributes
+PBP.LeftAttribute = LeftAttribute;
+PBP.LeftMostAttribute = LeftMostAttribute;
+PBP.RightAttribute = RightAttribute;
+PBP.RightMostAttribute = RightMostAttribute;
+PBP.BottomAttribute = BottomAttribute;
+PBP.TopAttribute = TopAttribute;
+PBP.TopMostAttribute = TopMostAttribute;
+PBP.SingleAttribute = SingleAttribute;
+PBP.OnGroundAttribute = OnGroundAttribute;
+PBP.CircleAttribute = CircleAttribute;
+PBP.SquareAttribute = SquareAttribute;
+PBP.RectangleAttribute = RectangleAttribute;
+PBP.TriangleAttribute = TriangleAttribute;
+PBP.ShapeAttribute = ShapeAttribute;
+PBP.StabilityAttribute = StabilityAttribute;
+PBP.SmallAttribute = SmallAttribute;
+PBP.LargeAttribute = LargeAttribute;
+PBP.MovesAttribute = MovesAttribute;
+PBP.MovableUpAttribute = MovableUpAttribute;
+PBP.MovableDownAttribute = MovableDownAttribute;
+PBP.MovableLeftAttribute = MovableLeftAttribute;
+PBP.MovableRightAttribute = MovableRightAttribute;
+PBP.TopplesAttribute = TopplesAttribute;
+PBP.MotionAttribute = MotionAttribute;
+PBP.DisplacementAttribute = DisplacementAttribute;
+PBP.FastAttribute = FastAttribute;
+PBP.SlowAttribute = SlowAttribute;
+PBP.MovingLeftAttribute = MovingLeftAttribute;
+PBP.MovingRightAttribute = MovingRightAttribute;
+PBP.MovingUpAttribute = MovingUpAttribute;
+PBP.FallingAttribute = FallingAttribute;
+PBP.FirstToMoveAttribute = FirstToMoveAttribute;
+PBP.IsSupportedAttribute = IsSupportedAttribute;
+PBP.ColorAttribute = ColorAttribute;
+PBP.OrientationAttribute = OrientationAttribute;
+PBP.ElongationAttribute = ElongationAttribute;
+PBP.ContainerAttribute = ContainerAttribute;
+
+// group attributes
+PBP.CloseAttribute = CloseAttribute;
+PBP.CountAttribute = CountAttribute;
+PBP.FarAttribute = FarAttribute;
+PBP.TouchAttribute = TouchAttribute;
+PBP.SameSizeAttribute = SameSizeAttribute;
+
+// object relationships
+PBP.AboveRelationship = AboveRelationship;
+PBP.BelowRelationship = BelowRelationship;
+PBP.LeftRelationship = LeftRelationship;
+PBP.RightRelationship = RightRelationship;
+PBP.BesideRelationship = BesideRelationship;
+PBP.FarRelationship = FarRelationship;
+PBP.CloseRelationship = CloseRelationship;
+PBP.OnTopRelationship = OnTopRelationship;
+PBP.TouchRelationship = TouchRelationship;
+PBP.HitsRelationship = HitsRelationship;
+PBP.GetsHitRelationship = GetsHitRelationship;
+PBP.CollidesRelationship = CollidesRelationship;
+PBP.SupportsRelationship = SupportsRelationship;
+PBP.SameColorRelationship = SameColorRelationship;
+PBP.InsideRelationship = InsideRelationship;
+PBP.LargerRelationship = LargerRelationship;
+PBP.SmallerRelationship = SmallerRelationship;
+PBP.SameShapeRelationship = SameShapeRelationship;
+PBP.BetweenRelationship = BetweenRelationship;
+PBP.CausesMotionRelationship = CausesMotionRelationship;
+PBP.HitsBeforeRelationship = HitsBeforeRelationship;
+PBP.MovesBeforeRelationship = MovesBeforeRelationship;
+
+// the instances of the dependencies the library uses
+PBP.s2p = s2p;
+PBP.Box2D = Box2D;
+
+return PBP;
+});
@@ -1,3 +1,4 @@
 // Copyright Erik Weitnauer 2014.
-StabilityAttribute=function(t){this.perceive(t)};StabilityAttribute.prototype.key="stability";StabilityAttribute.prototype.targetType="obj";StabilityAttribute.prototype.arity=1;StabilityAttribute.prototype.constant=false;StabilityAttribute.prototype.perceive=function(t){this.obj=t;this.val=this.checkStability(t.phys_obj,t.object_node.scene_node.oracle)};StabilityAttribute.prototype.get_activity=function(){return this.val?1:0};StabilityAttribute.prototype.get_label=function(){if(this.val=="stable"||this.val=="slightly unstable")return"stable";if(this.val=="moving"||this.val=="unstable")return"unstable"};StabilityAttribute.prototype.checkStability=function(t,e){var i=.25;var o=.4;var r=.2;var n=1.047,s=.157;if(e.isStatic(t))return"stable";var a=function(i,a){var p=t.GetAngle();var h=function(){e.applyCentralImpulse(t,i,a?"small":"medium")};return e.analyzeFuture(.3,h,function(){var i=t.m_linearVelocity.Length();var h=a?2/3:1;if(i>=o*h)return false;var l=e.pscene.getBodyDistance(t);if(l>=r*h)return false;var u=Point.norm_angle(t.GetAngle()-p);if(t.IsCircle()&&Math.abs(u)>=n*h||!t.IsCircle()&&Math.abs(u)>=s*h)return false;return true})};var p=t.m_linearVelocity.Length();if(p>i)return"moving";if(a("left",false)&&a("right",false))return"stable";if(a("left",true)&&a("right",true))return"slightly unstable";return"unstable"};MovableUpAttribute=function(t){this.perceive(t)};MovableUpAttribute.prototype.key="can_move_up";MovableUpAttribute.prototype.targetType="obj";MovableUpAttribute.prototype.arity=1;MovableUpAttribute.prototype.constant=false;MovableUpAttribute.prototype.perceive=function(t){this.obj=t;this.val=this.checkMovability("up",t.phys_obj,t.object_node.scene_node.oracle)};MovableUpAttribute.prototype.get_activity=function(){return this.val?1:0};MovableUpAttribute.prototype.get_label=function(){return"can-move-up"};MovableUpAttribute.prototype.checkMovability=function(t,e,i){if(i.isStatic(e))return false;var o=new Box2D.Common.Math.b2Vec2(0,-e.GetMass()*12);var r=function(){e.SetSleepingAllowed(false);e.ApplyForce(o,e.GetWorldCenter())};return i.analyzeFuture(2.5,r,function(){var t=i.getTouchedBodiesWithPos(e);return t.some(function(t){if(t.body.master_obj.id!=="|")return false;for(var e=0;e<t.pts.length;e++){if(t.pts[e].y<.1)return true}})})};ShapeAttribute=function(t){this.perceive(t)};ShapeAttribute.prototype.key="shape";ShapeAttribute.prototype.targetType="obj";ShapeAttribute.prototype.arity=1;ShapeAttribute.prototype.constant=true;ShapeAttribute.prototype.perceive=function(t){this.obj=t;this.val=ShapeAttribute.determineShape(t)};ShapeAttribute.prototype.get_activity=function(){return this.val=="?"?0:1};ShapeAttribute.prototype.get_label=function(){return this.val};ShapeAttribute.determineShape=function(t){if(t instanceof Polygon){if(!t.closed)return"unknown";t.order_vertices();if(t.pts.length==3)return"triangle";if(ShapeAttribute.isRectangle(t)){var e=t.get_edge_lengths(true);if(e[0]/e[3]<.7)return"rectangle";else return"square"}else return"unknown"}else if(t instanceof Circle)return"circle";else return"unknown"};ShapeAttribute.isRectangle=function(t){if(t.pts.length!=4)return false;var e=110*Math.PI/180,i=70*Math.PI/180;for(var o=0;o<t.pts.length;++o){if(t.angle(o)>e||t.angle(o)<i)return false}return true};CircleAttribute=function(t){this.perceive(t)};CircleAttribute.prototype.key="circle";CircleAttribute.prototype.targetType="obj";CircleAttribute.prototype.arity=1;CircleAttribute.prototype.constant=true;CircleAttribute.prototype.perceive=function(t){this.obj=t;this.val=CircleAttribute.circleness(t)};CircleAttribute.prototype.get_activity=function(){return this.val};CircleAttribute.prototype.get_label=function(){return this.key};CircleAttribute.circleness=function(t){if(t instanceof Circle)return 1;else return 0};SquareAttribute=function(t){this.perceive(t)};SquareAttribute.prototype.key="square";SquareAttribute.prototype.targetType="obj";SquareAttribute.prototype.arity=1;SquareAttribute.prototype.constant=true;SquareAttribute.prototype.perceive=function(t){this.obj=t;this.val=SquareAttribute.squareness(t)};SquareAttribute.prototype.get_activity=function(){return this.val};SquareAttribute.prototype.get_label=function(){return this.key};SquareAttribute.squareness=function(t){if(t instanceof Polygon){if(!t.closed)return 0;t.order_vertices();if(SquareAttribute.isRectangle(t)){var e=t.get_edge_lengths(true);if(e[0]/e[3]<.7)return.3;else return 1}}return 0};SquareAttribute.isRectangle=function(t){if(t.pts.length!=4)return false;var e=110*Math.PI/180,i=70*Math.PI/180;for(var o=0;o<t.pts.length;++o){if(t.angle(o)>e||t.angle(o)<i)return false}return true};RectangleAttribute=function(t){this.perceive(t)};RectangleAttribute.prototype.key="rect";RectangleAttribute.prototype.targetType="obj";RectangleAttribute.prototype.arity=1;RectangleAttribute.prototype.constant=true;RectangleAttribute.prototype.perceive=function(t){this.obj=t;this.val=RectangleAttribute.rectness(t)};RectangleAttribute.prototype.get_activity=function(){return this.val};RectangleAttribute.prototype.get_label=function(){return this.key};RectangleAttribute.rectness=function(t){if(t instanceof Polygon){if(!t.closed)return 0;t.order_vertices();if(RectangleAttribute.isRectangle(t)){var e=t.get_edge_lengths(true);if(e[0]/e[3]<.7)return 1;else return.4}}return 0};RectangleAttribute.isRectangle=function(t){if(t.pts.length!=4)return false;var e=110*Math.PI/180,i=70*Math.PI/180;for(var o=0;o<t.pts.length;++o){if(t.angle(o)>e||t.angle(o)<i)return false}return true};TriangleAttribute=function(t){this.perceive(t)};TriangleAttribute.prototype.key="triangle";TriangleAttribute.prototype.targetType="obj";TriangleAttribute.prototype.arity=1;TriangleAttribute.prototype.constant=true;TriangleAttribute.prototype.perceive=function(t){this.obj=t;this.val=TriangleAttribute.triangleness(t)};TriangleAttribute.prototype.get_activity=function(){return this.val};TriangleAttribute.prototype.get_label=function(){return this.key};TriangleAttribute.triangleness=function(t){if(t instanceof Polygon&&t.closed&&t.pts.length===3)return 1;return 0};MovesAttribute=function(t){this.perceive(t)};MovesAttribute.prototype.key="moves";MovesAttribute.prototype.targetType="obj";MovesAttribute.prototype.arity=1;MovesAttribute.prototype.constant=true;MovesAttribute.membership=function(t){var e=40;var i=.1;return 1/(1+Math.exp(e*(i-t)))};MovesAttribute.prototype.perceive=function(t){this.obj=t;var e=t.phys_obj;this.val=e.m_linearVelocity.Length();t.object_node.scene_node.oracle.analyzeFuture(.1,null,function(){this.val_soon=e.m_linearVelocity.Length()}.bind(this))};MovesAttribute.prototype.get_activity=function(){return Math.max(MovesAttribute.membership(this.val),MovesAttribute.membership(this.val_soon))};MovesAttribute.prototype.get_label=function(){return"moves"};SmallAttribute=function(t){this.perceive(t)};SmallAttribute.prototype.key="small";SmallAttribute.prototype.targetType="obj";SmallAttribute.prototype.arity=1;SmallAttribute.prototype.constant=true;SmallAttribute.membership=function(t){var e=4;var i=1.8;var o=100;return 1-1/(1+Math.exp(e*(i-t/o/o*100)))};SmallAttribute.prototype.perceive=function(t){this.obj=t;this.val=Math.abs(t.area())};SmallAttribute.prototype.get_activity=function(){return SmallAttribute.membership(this.val)};SmallAttribute.prototype.get_label=function(){return"small"};LargeAttribute=function(t){this.perceive(t)};LargeAttribute.prototype.key="large";LargeAttribute.prototype.targetType="obj";LargeAttribute.prototype.arity=1;LargeAttribute.prototype.constant=true;LargeAttribute.membership=function(t){var e=4;var i=2;var o=100;return 1/(1+Math.exp(e*(i-t/o/o*100)))};LargeAttribute.prototype.perceive=function(t){this.obj=t;this.val=Math.abs(t.area())};LargeAttribute.prototype.get_activity=function(){return LargeAttribute.membership(this.val)};LargeAttribute.prototype.get_label=function(){return"large"};LeftAttribute=function(t){this.perceive(t)};LeftAttribute.prototype.key="left_pos";LeftAttribute.prototype.targetType="obj";LeftAttribute.prototype.arity=1;LeftAttribute.prototype.size=100;LeftAttribute.prototype.constant=false;LeftAttribute.prototype.membership=function(t){return 1-1/(1+Math.exp(20*(.4-t/this.size)))};LeftAttribute.prototype.perceive=function(t){this.obj=t;this.val=t.x};LeftAttribute.prototype.get_activity=function(){return this.membership(this.val)};LeftAttribute.prototype.get_label=function(){return"left"};LeftMostAttribute=function(t){this.adaptDomain(t.object_node.scene_node.objs);this.perceive(t)};LeftMostAttribute.prototype.key="left_most";LeftMostAttribute.prototype.targetType="obj";LeftMostAttribute.prototype.arity=1;LeftMostAttribute.prototype.constant=false;LeftMostAttribute.prototype.adaptDomain=function(t){var e,i=null;for(var o=0;o<t.length;o++){if(!(t[o]instanceof ObjectNode))continue;var r=t[o].obj.phys_obj.GetPosition().x;if(!i||e>r){i=t[o];e=r}}this.leftmost_x=i.obj.x};LeftMostAttribute.prototype.membership=function(t){return CloseRelationship.membership(2.5*Math.abs(this.val-this.leftmost_x))};LeftMostAttribute.prototype.perceive=function(t){this.obj=t;this.val=t.x};LeftMostAttribute.prototype.get_activity=function(){return this.membership(this.val)};LeftMostAttribute.prototype.get_label=function(){return"left-most"};RightAttribute=function(t){this.perceive(t)};RightAttribute.prototype.key="right_pos";RightAttribute.prototype.targetType="obj";RightAttribute.prototype.arity=1;RightAttribute.prototype.size=100;RightAttribute.prototype.constant=false;RightAttribute.prototype.membership=function(t){return 1-1/(1+Math.exp(20*(.4-t/this.size)))};RightAttribute.prototype.perceive=function(t){this.obj=t;this.val=this.size-t.x};RightAttribute.prototype.get_activity=function(){return this.membership(this.val)};RightAttribute.prototype.get_label=function(){return"right"};RightMostAttribute=function(t){this.adaptDomain(t.object_node.scene_node.objs);this.perceive(t)};RightMostAttribute.prototype.key="right_most";RightMostAttribute.prototype.targetType="obj";RightMostAttribute.prototype.arity=1;RightMostAttribute.prototype.constant=false;RightMostAttribute.prototype.adaptDomain=function(t){var e,i=null;for(var o=0;o<t.length;o++){if(!(t[o]instanceof ObjectNode))continue;var r=t[o].obj.phys_obj.GetPosition().x;if(!i||e<r){i=t[o];e=r}}this.rightmost_x=i.obj.x};RightMostAttribute.prototype.membership=function(t){return CloseRelationship.membership(2.5*Math.abs(this.val-this.rightmost_x))};RightMostAttribute.prototype.perceive=function(t){this.obj=t;this.val=t.x};RightMostAttribute.prototype.get_activity=function(){return this.membership(this.val)};RightMostAttribute.prototype.get_label=function(){return"right-most"};BottomAttribute=function(t){this.adaptDomain(t.object_node.scene_node.ground);this.perceive(t)};BottomAttribute.prototype.key="bottom_pos";BottomAttribute.prototype.targetType="obj";BottomAttribute.prototype.arity=1;BottomAttribute.prototype.constant=false;BottomAttribute.prototype.adaptDomain=function(t){var e=t.bounding_box();this.maxy=t.y+e.y+e.height};BottomAttribute.prototype.membership=function(t){return 1-1/(1+Math.exp(20*(.3-t/this.maxy)))};BottomAttribute.prototype.perceive=function(t){this.obj=t;this.val=this.maxy-t.y};BottomAttribute.prototype.get_activity=function(){return this.membership(this.val)};BottomAttribute.prototype.get_label=function(){return"bottom"};SingleAttribute=function(t){this.perceive(t)};SingleAttribute.prototype.key="single";SingleAttribute.prototype.targetType="obj";SingleAttribute.prototype.arity=1;SingleAttribute.prototype.constant=false;SingleAttribute.membership=function(t){var e=40;var i=.03;var o=100;return 1/(1+Math.exp(e*(i-t/o)))};SingleAttribute.prototype.perceive=function(t){this.obj=t;var e=t.object_node.scene_node.oracle.getClosestBodyWithDist(t.phys_obj);if(!e)this.val=100;else this.val=e.dist/t.phys_scale};SingleAttribute.prototype.get_activity=function(){return Math.max(0,SingleAttribute.membership(this.val)-TouchRelationship.membership(this.val))};SingleAttribute.prototype.get_label=function(){return"single"};TopAttribute=function(t){this.adaptDomain(t.object_node.scene_node.ground);this.perceive(t)};TopAttribute.prototype.key="top_pos";TopAttribute.prototype.targetType="obj";TopAttribute.prototype.arity=1;TopAttribute.prototype.constant=false;TopAttribute.prototype.adaptDomain=function(t){if(t){var e=t.bounding_box();this.maxy=t.y+e.y+e.height}else{this.maxy=100}};TopAttribute.prototype.membership=function(t){return 1-1/(1+Math.exp(20*(.45-t/this.maxy)))};TopAttribute.prototype.perceive=function(t){this.obj=t;this.val=t.y};TopAttribute.prototype.get_activity=function(){return this.membership(this.val)};TopAttribute.prototype.get_label=function(){return"top"};TopMostAttribute=function(t){this.adaptDomain(t.object_node.scene_node.objs);this.perceive(t)};TopMostAttribute.prototype.key="top_most";TopMostAttribute.prototype.targetType="obj";TopMostAttribute.prototype.arity=1;TopMostAttribute.prototype.constant=false;TopMostAttribute.prototype.adaptDomain=function(t){var e,i=null;for(var o=0;o<t.length;o++){if(!(t[o]instanceof ObjectNode))continue;var r=t[o].obj.phys_obj.GetPosition().y;if(!i||e>r){i=t[o];e=r}}this.topmost_y=i.obj.y};TopMostAttribute.prototype.membership=function(t){return CloseRelationship.membership(2.5*Math.abs(this.val-this.topmost_y))};TopMostAttribute.prototype.perceive=function(t){this.obj=t;this.val=t.y};TopMostAttribute.prototype.get_activity=function(){return this.membership(this.val)};TopMostAttribute.prototype.get_label=function(){return"top-most"};OnGroundAttribute=function(t){this.ground=t.object_node.scene_node.ground;this.perceive(t)};OnGroundAttribute.prototype.key="on_ground";OnGroundAttribute.prototype.targetType="obj";OnGroundAttribute.prototype.arity=1;OnGroundAttribute.prototype.constant=false;OnGroundAttribute.prototype.perceive=function(t){this.obj=t;var e=t.object_node.getRel("touch",{other:this.ground.object_node});this.val=e.get_activity()};OnGroundAttribute.prototype.get_activity=function(){return this.val=="?"?0:this.val};OnGroundAttribute.prototype.get_label=function(){return"on-ground"};LeftRelationship=function(t,e){this.perceive(t,e)};LeftRelationship.prototype.key="left_of";LeftRelationship.prototype.arity=2;LeftRelationship.prototype.targetType="obj";LeftRelationship.prototype.symmetry=false;LeftRelationship.prototype.constant=false;LeftRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;var i=SpatialRelationAnalyzer(100,100/2/100,"left").getMembership(t,e);var o=SpatialRelationAnalyzer(100,100/2/100,"right").getMembership(t,e);this.val=Math.max(0,i[1]-o[1])};LeftRelationship.prototype.get_activity=function(){if(this.val=="?")return 0;return this.val};LeftRelationship.prototype.get_label=function(){return"left-of"};RightRelationship=function(t,e){this.perceive(t,e)};RightRelationship.prototype.key="right_of";RightRelationship.prototype.targetType="obj";RightRelationship.prototype.arity=2;RightRelationship.prototype.symmetry=false;RightRelationship.prototype.constant=false;RightRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;var i=SpatialRelationAnalyzer(100,100/2/100,"left").getMembership(t,e);var o=SpatialRelationAnalyzer(100,100/2/100,"right").getMembership(t,e);this.val=Math.max(0,o[1]-i[1])};RightRelationship.prototype.get_activity=function(){if(this.val=="?")return 0;return this.val};RightRelationship.prototype.get_label=function(){return"right-of"};BesideRelationship=function(t,e){this.perceive(t,e)};BesideRelationship.prototype.key="beside";BesideRelationship.prototype.targetType="obj";BesideRelationship.prototype.arity=2;BesideRelationship.prototype.symmetric=true;BesideRelationship.prototype.constant=false;BesideRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;var i=SpatialRelationAnalyzer(100,100/2/100,"left").getMembership(t,e);var o=SpatialRelationAnalyzer(100,100/2/100,"right").getMembership(t,e);var r=Math.max(0,i[1]-o[1]);var n=Math.max(0,o[1]-i[1]);this.val=Math.max(r,n)};BesideRelationship.prototype.get_activity=function(){return this.val=="?"?0:this.val};BesideRelationship.prototype.get_label=function(){return"beside"};BelowRelationship=function(t,e){this.perceive(t,e)};BelowRelationship.prototype.key="below";BelowRelationship.prototype.targetType="obj";BelowRelationship.prototype.arity=2;BelowRelationship.prototype.symmetry=false;BelowRelationship.prototype.constant=false;BelowRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;var i=SpatialRelationAnalyzer(100,100/2/100,"above").getMembership(t,e);var o=SpatialRelationAnalyzer(100,100/2/100,"below").getMembership(t,e);this.val=Math.max(0,o[1]-i[1])};BelowRelationship.prototype.get_activity=function(){if(this.val=="?")return 0;else return this.val};BelowRelationship.prototype.get_label=function(){return"below"};AboveRelationship=function(t,e){this.perceive(t,e)};AboveRelationship.prototype.key="above";AboveRelationship.prototype.targetType="obj";AboveRelationship.prototype.arity=2;AboveRelationship.prototype.symmetry=false;AboveRelationship.prototype.constant=false;AboveRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;var i=SpatialRelationAnalyzer(100,100/2/100,"above").getMembership(t,e);var o=SpatialRelationAnalyzer(100,100/2/100,"below").getMembership(t,e);this.val_max=i[2];this.val_min=i[0];this.val=Math.max(0,i[1]-o[1])};AboveRelationship.prototype.get_activity=function(){if(this.val=="?")return 0;else return this.val};AboveRelationship.prototype.get_label=function(){return"above"};TouchRelationship=function(t,e){this.perceive(t,e)};TouchRelationship.prototype.key="touch";TouchRelationship.prototype.targetType="obj";TouchRelationship.prototype.arity=2;TouchRelationship.prototype.symmetric=true;TouchRelationship.prototype.constant=false;TouchRelationship.membership=function(t){return t<=.5?1:0};TouchRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=t.phys_obj.distance(e.phys_obj)/t.phys_scale};TouchRelationship.prototype.get_activity=function(){return TouchRelationship.membership(this.val)};TouchRelationship.prototype.get_label=function(){return"touches"};OnTopRelationship=function(t,e){this.perceive(t,e)};OnTopRelationship.prototype.key="on_top_of";OnTopRelationship.prototype.targetType="obj";OnTopRelationship.prototype.arity=2;OnTopRelationship.prototype.symmetric=false;OnTopRelationship.prototype.constant=false;OnTopRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;var i=t.object_node.getRel("touch",{other:e.object_node}).get_activity();var o=Math.max(t.object_node.getRel("above",{other:e.object_node}).get_activity(),e.object_node.getRel("below",{other:t.object_node}).get_activity());this.val=i*o};OnTopRelationship.prototype.get_activity=function(){return this.val=="?"?0:this.val};OnTopRelationship.prototype.get_label=function(){return"on-top-of"};FarRelationship=function(t,e){this.perceive(t,e)};FarRelationship.prototype.key="far";FarRelationship.prototype.targetType="obj";FarRelationship.prototype.arity=2;FarRelationship.prototype.symmetric=true;FarRelationship.prototype.constant=false;FarRelationship.membership=function(t){var e=20;var i=.25;var o=100;return 1/(1+Math.exp(e*(i-t/o)))};FarRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=t.phys_obj.distance(e.phys_obj)/t.phys_scale};FarRelationship.prototype.get_activity=function(){return FarRelationship.membership(this.val)};FarRelationship.prototype.get_label=function(){return"far"};FarAttribute=function(t){this.perceive(t)};FarAttribute.prototype.key="far";FarAttribute.prototype.targetType="group";FarAttribute.prototype.arity=1;FarAttribute.prototype.constant=false;FarAttribute.prototype.perceive=function(t){this.group=t;if(t.objs.length<2)this.val=NaN;else{this.val=Infinity;for(var e=1;e<t.objs.length;e++)for(var i=0;i<e;i++){var o=t.objs[e].phys_obj.distance(t.objs[i].phys_obj)/t.objs[0].phys_scale;if(this.val>o)this.val=o}}};FarAttribute.prototype.get_activity=function(){return isNaN(this.val)?0:FarRelationship.membership(this.val)};FarAttribute.prototype.get_label=function(){return"far"};CloseRelationship=function(t,e){this.perceive(t,e)};CloseRelationship.prototype.key="close";CloseRelationship.prototype.targetType="obj";CloseRelationship.prototype.arity=2;CloseRelationship.prototype.symmetric=true;CloseRelationship.prototype.constant=false;CloseRelationship.membership=function(t){var e=30;var i=.2;var o=100;return 1-1/(1+Math.exp(e*(i-t/o)))};CloseRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;if(t.object_node.scene_node===e.object_node.scene_node){this.val=t.phys_obj.distance(e.phys_obj)/t.phys_scale}else{this.val=Point.len(t.x-e.x,t.y-e.y)*2/3}};CloseRelationship.prototype.get_activity=function(){return CloseRelationship.membership(this.val)};CloseRelationship.prototype.get_label=function(){return"close"};CloseAttribute=function(t){this.perceive(t)};CloseAttribute.prototype.key="close";CloseAttribute.prototype.targetType="group";CloseAttribute.prototype.arity=1;CloseAttribute.prototype.constant=false;CloseAttribute.prototype.perceive=function(t){this.group=t;if(t.objs.length<2)this.val=NaN;else{var e=[];for(var i=0;i<t.objs.length;i++){e.push(i)}var o=[],r=t.objs[0].phys_scale;for(var i=1;i<t.objs.length;i++)for(var n=0;n<i;n++){o.push({a:i,b:n,dist:t.objs[i].phys_obj.distance(t.objs[n].phys_obj)/r})}var s=CloseAttribute.getMST(e,o);this.val=s[s.length-1].dist}};CloseAttribute.prototype.get_activity=function(){return isNaN(this.val)?0:CloseRelationship.membership(this.val)};CloseAttribute.prototype.get_label=function(){return"close"};CloseAttribute.getMST=function(t,e){var i=[];var o=t.map(function(t){var e={};e[t]=true;return e});e.sort(function(t,e){return t.dist-e.dist});for(var r=0;r<e.length;r++){var n=e[r].a,s=e[r].b;var a,p;for(var h=0;h<o.length;h++){if(n in o[h])a=h;if(s in o[h])p=h}if(a===p)continue;i.push(e[r]);for(var l in o[p])o[a][l]=true;o[p]={}}return i};HitsRelationship=function(t,e){this.perceive(t,e)};HitsRelationship.prototype.key="hits";HitsRelationship.prototype.targetType="obj";HitsRelationship.prototype.arity=2;HitsRelationship.prototype.symmetric=false;HitsRelationship.prototype.constant=true;HitsRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.collisions=t.object_node.scene_node.collisions.filter(function(i){return i.a===t&&i.b===e});this.val=this.collisions.length==0?0:d3.max(this.collisions,function(t){return t.dv})};HitsRelationship.prototype.get_activity=function(){return this.val==0?0:1};HitsRelationship.prototype.get_label=function(){return"hits"};GetsHitRelationship=function(t,e){this.perceive(t,e)};GetsHitRelationship.prototype.key="gets_hit";GetsHitRelationship.prototype.targetType="obj";GetsHitRelationship.prototype.arity=2;GetsHitRelationship.prototype.symmetric=false;GetsHitRelationship.prototype.constant=true;GetsHitRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.collisions=t.object_node.scene_node.collisions.filter(function(i){return i.b===t&&i.a===e});this.val=this.collisions.length==0?0:d3.max(this.collisions,function(t){return t.dv})};GetsHitRelationship.prototype.get_activity=function(){return this.val==0?0:1};GetsHitRelationship.prototype.get_label=function(){return"gets-hit-by"};CollidesRelationship=function(t,e){this.perceive(t,e)};CollidesRelationship.prototype.key="collides";CollidesRelationship.prototype.targetType="obj";CollidesRelationship.prototype.arity=2;CollidesRelationship.prototype.symmetric=true;CollidesRelationship.prototype.constant=true;CollidesRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.collisions=t.object_node.scene_node.collisions.filter(function(i){return i.a===t&&i.b===e||i.b===t&&i.a===e});this.val=this.collisions.length==0?0:d3.max(this.collisions,function(t){return t.dv})};CollidesRelationship.prototype.get_activity=function(){return this.val==0?0:1};CollidesRelationship.prototype.get_label=function(){return"collides-with"};SupportsRelationship=function(t,e){this.perceive(t,e)};SupportsRelationship.prototype.key="supports";SupportsRelationship.prototype.targetType="obj";SupportsRelationship.prototype.arity=2;SupportsRelationship.prototype.symmetry=false;SupportsRelationship.prototype.constant=false;SupportsRelationship.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=this.checkSupports(t.object_node,e.object_node,t.object_node.scene_node.oracle)};SupportsRelationship.prototype.get_activity=function(){if(this.val=="directly")return 1;if(this.val=="indirectly")return.7;if(this.val=="stabilizes")return.4;if(this.val=="not")return 0;throw"unknown support value"};SupportsRelationship.prototype.get_label=function(){return"supporting"};SupportsRelationship.prototype.checkSupports=function(t,e,i){var o=.5,r=.5,n=.5,s=.5;if(t===e)return"not";if(e.getAttr("moves").get_activity()>o)return"not";var a=t.getRel("touch",{other:e}).get_activity()>r;var p=t.obj.phys_obj;var h=function(){i.pscene.wakeUp();p.SetActive(false)};var l=i.analyzeFuture(0,h,function(){var t=new MovesAttribute(e.obj);return t.get_activity()>o});if(l)return a?"directly":"indirectly";var u=e.getRel("on_top_of",{other:t}).get_activity()>n;if(u)return"stabilizes";var c=t.getRel("close",{other:e}).get_activity()>s;if(c){var b=e.getAttr("stability").get_label()=="stable";if(b){var y=i.analyzeFuture(0,h,function(){var t=new StabilityAttribute(e.obj);return t.get_label()=="stable"});if(!y)return"stabilizes"}}return"not"};CountAttribute=function(t){this.perceive(t)};CountAttribute.prototype.key="count";CountAttribute.prototype.targetType="group";CountAttribute.prototype.arity=1;CountAttribute.prototype.constant=true;CountAttribute.prototype.perceive=function(t){this.group=t;this.val=t.objs.length};CountAttribute.prototype.get_activity=function(){return 1};CountAttribute.prototype.get_label=function(){if(this.val<4)return this.val;return">=4"};TouchAttribute=function(t){this.perceive(t)};TouchAttribute.prototype.key="touching";TouchAttribute.prototype.targetType="group";TouchAttribute.prototype.arity=1;TouchAttribute.prototype.constant=false;TouchAttribute.prototype.perceive=function(t){this.group=t;if(t.objs.length<2)this.val=100;else{var e=[];for(var i=0;i<t.objs.length;i++){e.push(i)}var o=[],r=t.objs[0].phys_scale;for(var i=1;i<t.objs.length;i++)for(var n=0;n<i;n++){o.push({a:i,b:n,dist:t.objs[i].phys_obj.distance(t.objs[n].phys_obj)/r})}var s=CloseAttribute.getMST(e,o);this.val=s[s.length-1].dist}};TouchAttribute.prototype.get_activity=function(){return isNaN(this.val)?0:TouchRelationship.membership(this.val)};TouchAttribute.prototype.get_label=function(){return"touching"};IsSupportedAttribute=function(t){this.perceive(t)};IsSupportedAttribute.prototype.key="is_supported";IsSupportedAttribute.prototype.targetType="obj";IsSupportedAttribute.prototype.arity=1;IsSupportedAttribute.prototype.constant=false;IsSupportedAttribute.membership=function(t){var e=40;var i=.1;return 1/(1+Math.exp(e*(i-t)))};IsSupportedAttribute.prototype.perceive=function(t){var e=t.object_node.scene_node.oracle;function i(){e.pscene.forEachDynamicBody(function(e){if(e===t.phys_obj)return;e.SetType(Box2D.Dynamics.b2Body.b2_staticBody)})}function o(){this.val_soon=r.m_linearVelocity.Length()}this.obj=t;var r=t.phys_obj;this.val=r.m_linearVelocity.Length();e.analyzeFuture(.1,i,o.bind(this))};IsSupportedAttribute.prototype.get_activity=function(){return 1-Math.max(IsSupportedAttribute.membership(this.val),IsSupportedAttribute.membership(this.val_soon))};IsSupportedAttribute.prototype.get_label=function(){return"is-supported"};var pbpSettings=function(){res={max_dist:.06,activation_threshold:.5,obj_attrs:{},obj_rels:{},group_attrs:{}};[LeftAttribute,LeftMostAttribute,RightAttribute,RightMostAttribute,BottomAttribute,TopAttribute,TopMostAttribute,SingleAttribute,OnGroundAttribute,CircleAttribute,SquareAttribute,RectangleAttribute,TriangleAttribute,ShapeAttribute,StabilityAttribute,SmallAttribute,LargeAttribute,MovesAttribute,MovableUpAttribute,IsSupportedAttribute].forEach(function(t){res.obj_attrs[t.prototype.key]=t});[CloseAttribute,CountAttribute,FarAttribute,TouchAttribute].forEach(function(t){res.group_attrs[t.prototype.key]=t});[AboveRelationship,BelowRelationship,LeftRelationship,RightRelationship,BesideRelationship,FarRelationship,CloseRelationship,OnTopRelationship,TouchRelationship,HitsRelationship,GetsHitRelationship,CollidesRelationship,SupportsRelationship].forEach(function(t){res.obj_rels[t.prototype.key]=t});return res}();var PBP=PBP||{};PBP.extend=function(t,e){if(typeof e==="object")for(var i in e)t[i]=e[i];return t};GroupNode=function(t,e,i){this.scene_node=t;this.objs=e||[];this.times={};this.selectors=i?Array.isArray(i)?i.slice():[i]:[new Selector]};GroupNode.prototype.empty=function(){return this.objs.length===0};GroupNode.prototype.clone=function(){var t=new GroupNode(this.scene_node,this.objs.slice(),this.selectors);t.times=this.times;return t};GroupNode.sceneGroup=function(t,e){var i=new GroupNode(t);for(var o=0;o<t.objs.length;o++){var r=t.objs[o];if(r!=e&&r instanceof ObjectNode)i.objs.push(r.obj)}return i};GroupNode.spatialGroups=function(t,e){var i=[];if(typeof e==="undefined")e=.06;var o=t.oracle.getSpatialGroups(e);for(var r=0;r<o.length;r++){if(o[r].length>0)i.push(new GroupNode(t,o[r].map(function(t){return t.master_obj.obj})))}return i};GroupNode.attrs=pbpSettings.group_attrs;GroupNode.prototype.perceive=function(t){var e={};for(var i in GroupNode.attrs){var o=GroupNode.attrs[i];e[i]=new o(this)}this.times[t]=e};GroupNode.prototype.getAttr=function(t,e){var i=PBP.extend({},e);if(!i.time)i.time=this.scene_node.oracle.curr_state;if(GroupNode.attrs[t].constant)i.time="start";if(i.time in this.times&&t in this.times[i.time]){var o=this.times[i.time][t];return o}if(i.cache_only)return false;if(i.time)this.scene_node.oracle.gotoState(i.time);var o=new GroupNode.attrs[t](this);if(i.time){if(!this.times[i.time])this.times[i.time]={};this.times[i.time][t]=o}return o};GroupNode.prototype.getFromCache=function(t,e){e=e||{};e.cache_only=true;return this.getAttr(t,e)};GroupNode.prototype.get=GroupNode.prototype.getAttr;GroupNode.prototype.describe=function(){console.log(this)};ObjectNode=function(t,e){this.obj=e;e.object_node=this;this.scene_node=t;this.times={};this.selectors=[]};ObjectNode.attrs=pbpSettings.obj_attrs;ObjectNode.rels=pbpSettings.obj_rels;ObjectNode.prototype.hasRelation=function(t,e,i,o){if(!(e in this.times))return false;if(!(t in ObjectNode.rels)||!(t in this.times[e]))return false;return this.times[e][t].some(function(t){return t.other===o.obj&&t.get_activity()>=pbpSettings.activation_threshold==i}.bind(this))};ObjectNode.prototype.perceive=function(t){var e={};for(var i in ObjectNode.attrs){var o=ObjectNode.attrs[i];e[i]=new o(this.obj,this.scene_node)}for(var r in ObjectNode.rels){var n=ObjectNode.rels[r];e[r]=[];var s=this.scene_node.objs;for(var a=0;a<s.length;a++){if(s[a]==this)continue;if(typeof GroupNode!="undefined"&&s[a]instanceof GroupNode){if(n.ObjectToGroup)e[r].push(n.ObjectToGroup(this.obj,s[a].objs,this.scene_node))}else if(s[a]instanceof ObjectNode){e[r].push(new n(this.obj,s[a].obj,this.scene_node))}}if(e[r].length==0)delete e[r]}this.times[t]=e};ObjectNode.prototype.get=function(t,e){if(t in ObjectNode.attrs)return this.getAttr(t,e);else if(t in ObjectNode.rels)return this.getRel(t,e);else throw"unknown feature '"+t+"'"};ObjectNode.prototype.getFromCache=function(t,e){e=e||{};e.cache_only=true;return this.get(t,e)};ObjectNode.prototype.getAttr=function(t,e){var i=PBP.extend({},e);if(!i.time)i.time=this.scene_node.oracle.curr_state;if(ObjectNode.attrs[t].constant)i.time="start";if(i.time in this.times&&t in this.times[i.time]){var o=this.times[i.time][t];return o}if(i.cache_only)return false;if(i.time)this.scene_node.oracle.gotoState(i.time);var o=new ObjectNode.attrs[t](this.obj);if(i.time){if(!this.times[i.time])this.times[i.time]={};
-this.times[i.time][t]=o}return o};ObjectNode.prototype.getRel=function(t,e){var i=PBP.extend({},e);if(!i.time)i.time=this.scene_node.oracle.curr_state;if(ObjectNode.rels[t].constant)i.time="start";if(i.time in this.times&&t in this.times[i.time]){var o=this.times[i.time][t];if(i.get_all)return o;var r=o.filter(function(t){return t.other===i.other.obj})[0];if(r){return r}}if(i.cache_only)return i.get_all?[]:false;if(i.time)this.scene_node.oracle.gotoState(i.time);var r=new ObjectNode.rels[t](this.obj,i.other.obj);if(i.time){if(!this.times[i.time])this.times[i.time]={};if(!this.times[i.time][t])this.times[i.time][t]=[];this.times[i.time][t].push(r)}return r};ObjectNode.prototype.describe=function(t){t=t||"";var e=[t+"Obj. "+this.obj.id+":"];var i=d3.keys(this.times);for(var o in this.times)e.push(t+this.describeState(o,"  "));return e.join("\n")};ObjectNode.prototype.describeState=function(t,e){e=e||"";var i=[];for(var o in ObjectNode.attrs){var r=this.times[t][o];if(!r)continue;var n=r.get_activity()>=.5;i.push((n?"":"!")+r.get_label())}for(var s in ObjectNode.rels){var a=this.times[t][s];if(!a)continue;for(var p=0;p<a.length;p++){if(!a[p])continue;var n=a[p].get_activity()>=.5;i.push((n?"":"!")+a[p].get_label()+" "+a[p].other.id)}}return e+t+": "+i.join(", ")};SceneNode=function(t,e){this.scene=t;this.side=t.side;this.id=t.name||"s"+Math.round(Math.random()*1e4);this.oracle=e;this.objs=[];this.groups=[];this.ground=null;this.frame=null;this.collisions=[];this.times=["start","end"];this.init()};SceneNode.prototype.getAllGroup=function(){return GroupNode.sceneGroup(this)};SceneNode.prototype.init=function(){var t=[],e=this.scene.shapes;for(var i=0;i<e.length;i++){if(e[i].movable)t.push(e[i]);else if(e[i].id=="_")this.ground=e[i];else if(e[i].id=="|")this.frame=e[i]}};SceneNode.prototype.registerObjects=function(){var t=this.scene.shapes.filter(function(t){return t.movable});for(var e=0;e<t.length;e++){if(!t[e].object_node)this.objs.push(new ObjectNode(this,t[e]))}if(this.ground&&!this.ground.object_node)this.ground.object_node=new ObjectNode(this,this.ground)};SceneNode.prototype.perceiveCollisions=function(){this.oracle.gotoState("start");this.collisions=this.oracle.observeCollisions();for(var t=0;t<this.collisions.length;t++){this.collisions[t].a=this.collisions[t].a.master_obj;this.collisions[t].b=this.collisions[t].b.master_obj}};SceneNode.prototype.perceiveAll=function(){this.perceiveCollisions();for(var t=0;t<this.times.length;t++){this.oracle.gotoState(this.times[t]);this.perceiveCurrent(this.times[t])}};SceneNode.prototype.perceiveCurrent=function(t){t=t||"current";this.registerObjects();for(var e=0;e<this.objs.length;e++)this.objs[e].perceive(t)};SceneNode.prototype.describe=function(t){t=t||"";var e=[t+"Objects:"];for(var i=0;i<this.objs.length;i++){e.push(this.objs[i].describe(t+"  "))}e.push(t+"Collisions:");for(var i=0;i<this.collisions.length;i++){var o=this.collisions[i];e.push(t+"  "+o.a.id+" hits "+o.b.id)}return e.join("\n")};var Selector=function(t){this.obj_attrs=[];this.grp_attrs=[];this.rels=[];this.unique=!!t;this.cached_complexity=null};Selector.prototype.getType=function(){if(this.blank())return"object";if(this.grp_attrs.length===0)return"object";if(this.obj_attrs.length===0&&this.rels.length===0)return"group";return"mixed"};Selector.prototype.getComplexity=function(){var t=0;for(var e=0;e<this.obj_attrs.length;e++){t+=this.obj_attrs[e].getComplexity()}for(var e=0;e<this.grp_attrs.length;e++){t+=this.grp_attrs[e].getComplexity()}for(var e=0;e<this.rels.length;e++){t+=this.rels[e].getComplexity()}if(this.cached_complexity===null)this.cached_complexity=t;if(this.cached_complexity!==t)throw"cached complexity got stale!";return t};Selector.prototype.blank=function(){return this.obj_attrs.length===0&&this.grp_attrs.length===0&&this.rels.length===0};Selector.prototype.hasRelationships=function(){return this.rels.length>0};Selector.prototype.featureCount=function(){return this.obj_attrs.length+this.grp_attrs.length+this.rels.length};Selector.prototype.forEachFeature=function(t){var e;for(e=0;e<this.obj_attrs.length;e++)t(pbpSettings.obj_attrs[this.obj_attrs[e].key]);for(e=0;e<this.grp_attrs.length;e++)t(pbpSettings.group_attrs[this.grp_attrs[e].key]);for(e=0;e<this.rels.length;e++){t(pbpSettings.obj_rels[this.rels[e].key]);this.rels[e].other_sel.forEachFeature(t)}};Selector.prototype.mergedWith=function(t){var e=new Selector;var i=function(t){e.add_attr(t)};var o=function(t){e.add_rel(t)};this.obj_attrs.forEach(i);t.obj_attrs.forEach(i);this.grp_attrs.forEach(i);t.grp_attrs.forEach(i);this.rels.forEach(o);t.rels.forEach(o);return e};Selector.prototype.clone=function(){var t=new Selector(this.unique);var e=function(e){t.add_attr(e)};var i=function(e){t.add_rel(e)};this.obj_attrs.forEach(e);this.grp_attrs.forEach(e);this.rels.forEach(i);return t};Selector.prototype.use_attr=function(t,e){this.add_attr(Selector.AttrMatcher.fromAttribute(t,e));return this};Selector.prototype.add_attr=function(t){var e=t.type==="group"?this.grp_attrs:this.obj_attrs;for(var i=0;i<e.length;i++){var o=e[i];if(o.key===t.key&&o.time===t.time&&o.type===o.type){e[i]=t;return this}}e.push(t);return this};Selector.prototype.use_rel=function(t,e,i){this.add_rel(Selector.RelMatcher.fromRelationship(t,e,i));return this};Selector.prototype.add_rel=function(t){for(var e=0;e<this.rels.length;e++){var i=this.rels[e];if(i.key===t.key&&i.time==t.time&&i.other_sel.equals(t.other_sel)){this.rels[e]=t;return this}}this.rels.push(t);return this};Selector.prototype.equals=function(t){if(!t)return false;if(this===t)return true;if(this.obj_attrs.length!==t.obj_attrs.length)return false;if(this.grp_attrs.length!==t.grp_attrs.length)return false;if(this.rels.length!==t.rels.length)return false;var e=this;var i=function(i){return!e[i].every(function(e){return t[i].some(function(t){return e.equals(t)})})};if(i("grp_attrs")||i("obj_attrs")||i("rels"))return false;return true};Selector.prototype.matchesObject=function(t,e,i){return this.obj_attrs.every(function(e){return e.matches(t)})&&(i?i(t):this.rels.every(function(i){return i.matches(t,e)}))};Selector.prototype.matchesGroup=function(t){return this.grp_attrs.every(function(e){return e.matches(t)})};Selector.prototype.select=function(t,e,i){if(this.blank())return t;var o=this.mergedWith(t.selectors[0]);var r=t.clone();var n=this.getType();var s=this;r.selectors=[o];if(n==="mixed"||n==="object"){var a=r.objs.map(function(t){return t.object_node}).filter(function(t){return s.matchesObject(t,null,i)}).map(function(t){return t.obj});r=new GroupNode(e,a,o)}if(n==="mixed"||n==="group"){if(!this.matchesGroup(r))r=new GroupNode(e,[],o)}return r};Selector.prototype.applyToScene=function(t){var e=this.select(GroupNode.sceneGroup(t),t);e.selectors=[this];return e};Selector.prototype.describe=function(){if(this.blank())return this.unique?"[the object]":"(any object)";var t=this.obj_attrs.map(function(t){return t.describe()}).join(" and ");var e=this.grp_attrs.map(function(t){return t.describe()});var i=this.rels.map(function(t){return t.describe()});i=i.concat(e).join(" and ");if(this.unique)return"[the "+t+" object"+(i===""?"":" that is "+i)+"]";return"("+t+" objects"+(i===""?"":" that are "+i)+")"};Selector.prototype.describe2=function(t){if(this.blank()){if(t)return"*";return this.unique?"there is exactly one object":"any object"}var e=this.obj_attrs.map(function(t){return t.describe()});var i=this.grp_attrs.map(function(t){return t.describe()}).join(" and ");var o=this.rels.map(function(t){return t.describe()});var r=e.concat(o).concat(i).join(" and ");if(t){if(this.unique)return"[that is "+r+"]";else return"[that are "+r+"]"}else{if(this.unique)return"[exactly one object is "+r+"]";else return"(objects that are "+r+")"}};Selector.AttrMatcher=function(t,e,i,o,r){this.key=t;this.label=e;this.active=typeof i==="undefined"?true:i;if(t in pbpSettings.obj_attrs){this.type="object";this.constant=pbpSettings.obj_attrs[t].prototype.constant}else{this.type="group";this.constant=pbpSettings.group_attrs[t].prototype.constant}this.time=o||"start"};Selector.AttrMatcher.prototype.clone=function(){return new Selector.AttrMatcher(this.key,this.label,this.active,this.time,this.type)};Selector.AttrMatcher.fromAttribute=function(t,e){return new Selector.AttrMatcher(t.key,t.get_label(),t.get_activity()>=pbpSettings.activation_threshold,e)};Selector.AttrMatcher.prototype.getComplexity=function(){var t=1;if(this.time!=="start")t++;if(!this.active)t+=2;return t};Selector.AttrMatcher.prototype.equals=function(t){return this.key===t.key&&this.label===t.label&&this.active===t.active&&this.time===t.time};Selector.AttrMatcher.prototype.matches=function(t){var e=t.getAttr(this.key,{time:this.time});if(!e)return false;var i=e.get_activity()>=pbpSettings.activation_threshold;return i==this.active&&e.get_label()==this.label};Selector.AttrMatcher.prototype.describe=function(){return(this.active?"":"not ")+this.label+(this.constant||this.time=="start"?"":" at the "+this.time)};Selector.RelMatcher=function(t,e,i,o,r){this.other_sel=t;this.key=e;this.label=i;this.active=typeof o==="undefined"?true:o;this.constant=pbpSettings.obj_rels[e].prototype.constant;this.symmetric=pbpSettings.obj_rels[e].prototype.symmetric;this.time=r||"start"};Selector.RelMatcher.prototype.clone=function(){return new Selector.RelMatcher(this.other_sel,this.key,this.label,this.active,this.time)};Selector.RelMatcher.prototype.getComplexity=function(){var t=1;if(this.time!=="start")t++;if(!this.active)t+=2;t+=this.other_sel.getComplexity();return t};Selector.RelMatcher.prototype.equals=function(t){return this.key===t.key&&this.label===t.label&&this.active===t.active&&this.time===t.time&&this.other_sel.equals(t.other_sel)};Selector.RelMatcher.prototype.matches=function(t,e){if(this.other_sel.rels.length>0)throw"the other-selector of";e=e||t.scene_node.objs.filter(function(e){return e!==t});var i=this;var o=function(e){if(e===t)return false;var o=t.getRel(i.key,{other:e,time:i.time});if(!o)return false;var r=o.get_activity()>=pbpSettings.activation_threshold;return r==i.active&&o.get_label()==i.label};var r=function(t){return i.other_sel.matchesObject(t,null,o)};var n=e.filter(r);if(!this.active)return n.length===e.length;if(this.other_sel.unique&&n.length!=1)return false;return n.length>0};Selector.RelMatcher.fromRelationship=function(t,e,i){return new Selector.RelMatcher(t,e.key,e.get_label(),e.get_activity()>=pbpSettings.activation_threshold,i)};Selector.RelMatcher.prototype.describe=function(){return(this.active?"":"not ")+this.label+" "+this.other_sel.describe()+(this.constant||this.time=="start"?"":" at the "+this.time)};Solution=function(t,e,i){this.sel=t;this.mode=i||"exists";this.setMainSide(e);this.matchedAgainst=[];this.lchecks=0;this.rchecks=0;this.lmatches=0;this.rmatches=0;this.scene_pair_count=8;this.selects_single_objs=true};Solution.prototype.setMainSide=function(t){this.main_side=t||"both";this.other_side={left:"right",right:"left"}[this.main_side];return this};Solution.prototype.wasMatchedAgainst=function(t){return this.matchedAgainst.indexOf(t)!==-1};Solution.prototype.isSolution=function(){return this.rmatches===0&&this.lmatches==this.scene_pair_count||this.lmatches===0&&this.rmatches==this.scene_pair_count};Solution.prototype.compatibleWith=function(t){if(this.lmatches<this.lchecks&&t.rmatches<t.rchecks)return false;if(this.rmatches<this.rchecks&&t.lmatches<t.lchecks)return false;return true};Solution.prototype.checkScenePair=function(t,e){var i=this;var o=[];t.forEach(function(t){var e=i.sel.applyToScene(t);o.push(e);if(e.objs.length>1)i.selects_single_objs=false;var r=!e.empty();if(t.side==="left"){i.lchecks++;if(r)i.lmatches++}if(t.side==="right"){i.rchecks++;if(r)i.rmatches++}});this.matchedAgainst.push(e);if(this.lmatches===0&&this.rmatches===this.rchecks)this.setMainSide("right");else if(this.rmatches===0&&this.lmatches===this.lchecks)this.setMainSide("left");else if(this.lmatches>0&&this.rmatches===this.rchecks)this.setMainSide("both");else if(this.rmatches>0&&this.lmatches===this.lchecks)this.setMainSide("both");else this.setMainSide("fail");return o};Solution.prototype.check=function(t,e){if(this.side!=="left"&&this.side!=="right")return false;var i=this.main_side=="left"?t:e,o=this.main_side=="right"?t:e;return i.every(this.check_scene.bind(this))&&!o.some(this.check_scene.bind(this))};Solution.prototype.equals=function(t){return this.mode===t.mode&&this.sel.equals(t.sel)};Solution.prototype.mergedWith=function(t){var e=this.mode===t.mode?e:"exists";var i;if(t.main_side===this.main_side)i=this.main_side;else if(this.main_side==="both")i=t.main_side;else if(t.main_side==="both")i=this.main_side;else return null;return new Solution(this.sel.mergedWith(t.sel),i,e)};Solution.prototype.clone=function(){return new Solution(this.sel.clone(),this.main_side,this.mode)};Solution.prototype.applyToScene=function(t){if(this.main_side==="left"&&t.side!=="left")return new GroupNode(null,[],this.sel);if(this.main_side==="right"&&t.side!=="right")return new GroupNode(null,[],this.sel);return this.sel.applyToScene(t)};Solution.prototype.check_scene=function(t){var e=GroupNode.sceneGroup(t);var i=this.sel.select(e,t);var o=i.objs.length;var r=false;if(this.mode=="unique"&&o==1)r=1;else if(this.mode=="exists"&&o>0)r=o;else if(this.mode=="all"&&o>0&&e.objs.length==o)r=o;t.fits_solution=!!r;return r};Solution.prototype.describe=function(){var t="";if(this.main_side)t+=this.main_side==="both"?"In all scenes, ":"Only in the "+this.main_side+" scenes, ";t+=this.mode+": "+this.sel.describe();return t};
\ No newline at end of file
+(function(t,e){if(typeof module!="undefined"&&module.exports){module.exports=e(require("./libs/geom.js/geom.js"),require("./libs/svg2physics/svg2physics.js"),require("./libs/box2dweb/Box2D.js"))}else{t.PBP=e(t,t.s2p,t.Box2D)}})(this,function(t,e,r){var o={version:"1.1.0"};var i=t.Point,n=t.Polygon,s=t.Circle,a=t.SpatialRelationAnalyzer;var p=function(t){this.perceive(t)};p.prototype.key="stability";p.prototype.targetType="obj";p.prototype.arity=1;p.prototype.constant=false;p.prototype.perceive=function(t){this.obj=t;this.val=this.checkStability(t.phys_obj,t.object_node.scene_node.oracle)};p.prototype.get_activity=function(){return this.val?1:0};p.prototype.get_label=function(){if(this.val=="stable"||this.val=="slightly unstable")return"stable";if(this.val=="moving"||this.val=="unstable")return"unstable"};p.prototype.checkStability=function(t,e){var r=.25;var o=.4;var n=.2;var s=1.047,a=.157;if(e.isStatic(t))return"stable";var p=function(r,p){var h=t.GetAngle();var c=function(){e.applyCentralImpulse(t,r,p?"small":"medium")};return e.analyzeFuture(.3,c,function(){var r=t.m_linearVelocity.Length();var c=p?2/3:1;if(r>=o*c)return false;var l=e.pscene.getBodyDistance(t);if(l>=n*c)return false;var u=i.norm_angle(t.GetAngle()-h);if(t.IsCircle()&&Math.abs(u)>=s*c||!t.IsCircle()&&Math.abs(u)>=a*c)return false;return true})};var h=t.m_linearVelocity.Length();if(h>r)return"moving";if(p("left",false)&&p("right",false))return"stable";if(p("left",true)&&p("right",true))return"slightly unstable";return"unstable"};var h={};h.perceive=function(t,e){var r=h.check(e,t.obj.phys_obj,t.obj.object_node.scene_node.oracle);t.val=r.dist/t.obj.phys_scale;t.at_edge=r.at_edge};h.activity=function(t){if(t.at_edge)return 1;var e=o.getMembershipProfile(t.obj.object_node.scene_node);return h.membership(t.val,e)};h.membership=function(t,e){var r=(e||o.getMembershipProfile()).movable;if(t<=0)return 0;return 1/(1+Math.exp(r.a*(r.m-t)))};h.check=function(t,e,o){if(o.isStatic(e))return{dist:0,at_edge:false};var i=r.Common.Math.b2Vec2,n=e.GetMass();var s={up:new i(0,-1),down:new i(0,1),left:new i(-1,0),right:new i(1,0)};if(!(t in s))throw"unknown direction '"+t+"'";var a=s[t];var p=t=="up"?new i(0,-n*12):t=="down"?new i(0,n*2):new i(a.x*n*5,0);var c=e.GetWorldCenter().Copy();var l=function(){e.SetSleepingAllowed(false);e.ApplyForce(p,e.GetWorldCenter())};return o.analyzeFuture(2.5,l,function(){var r=e.GetWorldCenter();var i=Math.max(0,(r.x-c.x)*a.x+(r.y-c.y)*a.y);var n=o.getTouchedBodiesWithPos(e);var s=n.some(function(e){if(e.body.master_obj.id!=="|")return false;var r=h.getFrameBorder(e.body.master_obj,t);for(var o=0;o<e.pts.length;o++){if(r-(e.pts[o].x*a.x+e.pts[o].y*a.y)<.02)return true}});return{dist:i,at_edge:s}})};h.getFrameBorder=function(t,e){var r=t.phys_scale,o=t.bounding_box();if(e=="up")return-(t.y+o.y)*r;if(e=="down")return(t.y+o.y+o.height)*r;if(e=="left")return-(t.x+o.x)*r;return(t.x+o.x+o.width)*r};var c=function(t){this.perceive(t)};c.prototype.key="can_move_up";c.prototype.targetType="obj";c.prototype.arity=1;c.prototype.constant=false;c.prototype.perceive=function(t){this.obj=t;h.perceive(this,"up")};c.prototype.get_activity=function(){return h.activity(this)};c.prototype.get_label=function(){return"can-move-up"};var l=function(t){this.perceive(t)};l.prototype.key="can_move_down";l.prototype.targetType="obj";l.prototype.arity=1;l.prototype.constant=false;l.prototype.perceive=function(t){this.obj=t;h.perceive(this,"down")};l.prototype.get_activity=function(){return h.activity(this)};l.prototype.get_label=function(){return"can-move-down"};var u=function(t){this.perceive(t)};u.prototype.key="can_move_left";u.prototype.targetType="obj";u.prototype.arity=1;u.prototype.constant=false;u.prototype.perceive=function(t){this.obj=t;h.perceive(this,"left")};u.prototype.get_activity=function(){return h.activity(this)};u.prototype.get_label=function(){return"can-move-left"};var f=function(t){this.perceive(t)};f.prototype.key="can_move_right";f.prototype.targetType="obj";f.prototype.arity=1;f.prototype.constant=false;f.prototype.perceive=function(t){this.obj=t;h.perceive(this,"right")};f.prototype.get_activity=function(){return h.activity(this)};f.prototype.get_label=function(){return"can-move-right"};var y=function(t){this.perceive(t)};y.prototype.key="topples";y.prototype.targetType="obj";y.prototype.arity=1;y.prototype.constant=true;y.prototype.perceive=function(t){this.obj=t;this.val=0;this.drop=0;this.direction="right";var e=t.phys_obj,r=t.object_node.scene_node.oracle;if(r.isStatic(e)||e.IsCircle())return;var o=y.getStartAndEnd(e,r);var n=i.norm_angle(o.end.rot-o.start.rot);this.val=Math.abs(n)*180/Math.PI;this.drop=(o.end.y-o.start.y)/t.phys_scale;this.direction=n<0?"left":"right"};y.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return y.membership(this.val,this.drop,t)};y.prototype.get_label=function(){return"topples-"+this.direction};y.membership=function(t,e,r){var i=(r||o.getMembershipProfile()).topples;if(e<-i.max_rise)return 0;return 1/(1+Math.exp(i.a*(i.m-t)))};y.getStartAndEnd=function(t,e){return e.getBodyInStates(t,["start","end"])};var v=function(t){this.perceive(t)};v.prototype.key="motion";v.prototype.targetType="obj";v.prototype.arity=1;v.prototype.constant=false;v.labels=["rests","falls-freely","rolls","slides","bounces"];v.prototype.perceive=function(t){this.obj=t;var e=t.phys_obj,r=t.object_node.scene_node.oracle;var i=o.getMembershipProfile(t.object_node.scene_node).motion.window;var n=this.samples=[v.sample(e,r)];if(r.isStatic(e))return;r.analyzeFuture(0,null,function(){for(var t=0;t<i;t+=r.pscene.step()){n.push(v.sample(e,r))}})};v.sample=function(t,e){var r=t.GetLinearVelocity(),o=t.GetWorldCenter();var i=t.GetAngularVelocity();var n={v:r.Length(),w:Math.abs(i),vy:r.y,contact:false,rel:0,slip:Infinity};var s=t.IsCircle()?t.GetFixtureList().GetShape().GetRadius():0;e.getTouchedBodies(t).forEach(function(t){var e=r.Copy();e.Subtract(t.GetLinearVelocityFromWorldPoint(o));var a=Math.abs(e.Length()-Math.abs(i)*s);n.contact=true;if(a<n.slip){n.slip=a;n.rel=e.Length()}});if(!n.contact)n.slip=0;return n};v.membership=function(t,e){e=e||o.getMembershipProfile();var r=e.motion,i={};v.labels.forEach(function(t){i[t]=0});t.forEach(function(o){var n=C.membership(o.v,e);var s=o.contact?C.membership(o.rel,e):0;var a=1/(1+Math.exp(r.a*(r.m-o.slip/Math.max(o.rel,1e-6))));i["rests"]+=(1-n)/t.length;i["falls-freely"]+=n*(1-s)/t.length;i["slides"]+=n*s*a/t.length;i["rolls"]+=n*s*(1-a)/t.length});var n=0;for(var s=1;s<t.length;s++){if(t[s-1].vy<=0||t[s].vy>=0)continue;for(var a=s;a<t.length&&t[a].vy<0&&t[a].contact;a++);if(a==t.length||t[a].vy>=0)continue;n=Math.max(n,1/(1+Math.exp(r.bounce_a*(r.bounce_m+t[s].vy))))}v.labels.forEach(function(t){i[t]*=1-n});i["bounces"]=n;return i};v.prototype.get_memberships=function(){return v.membership(this.samples,o.getMembershipProfile(this.obj.object_node.scene_node))};v.prototype.get_activity=function(){return this.get_memberships()[this.get_label()]};v.prototype.get_label=function(){var t=this.get_memberships(),e=null;for(var r in t)if(e===null||t[r]>t[e])e=r;return e};var m=function(t){this.perceive(t)};m.prototype.key="displacement";m.prototype.targetType="obj";m.prototype.arity=1;m.prototype.constant=true;m.prototype.from="start";m.prototype.to="end";m.labels=["stays-put","moves-left","moves-right","moves-up","moves-down"];m.prototype.perceive=function(t){this.obj=t;this.dx=this.dy=this.val=this.rot=0;var e=t.phys_obj,r=t.object_node.scene_node.oracle;if(r.isStatic(e))return;var o=r.getBodyInStates(e,[this.from,this.to]);var n=o[this.from],s=o[this.to];this.dx=(s.x-n.x)/t.phys_scale;this.dy=(s.y-n.y)/t.phys_scale;this.val=Math.sqrt(this.dx*this.dx+this.dy*this.dy);this.rot=i.norm_angle(s.rot-n.rot)*180/Math.PI};m.membership=function(t,e,r){var i=(r||o.getMembershipProfile()).displacement;var n=Math.sqrt(t*t+e*e);var s=1/(1+Math.exp(i.a*(i.m-n)));var a=n?t*t/(n*n):0,p=n?e*e/(n*n):0;return{"stays-put":1-s,"moves-left":t<0?s*a:0,"moves-right":t>0?s*a:0,"moves-up":e<0?s*p:0,"moves-down":e>0?s*p:0}};m.prototype.get_memberships=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return m.membership(this.dx,this.dy,t)};m.prototype.get_activity=function(){return this.get_memberships()[this.get_label()]};m.prototype.get_label=function(){var t=this.get_memberships(),e=null;for(var r in t)if(e===null||t[r]>t[e])e=r;return e};var b={};b.membership=function(t,e){var r=(e||o.getMembershipProfile()).velocity;return 1/(1+Math.exp(r.a*(r.m-t)))};b.get=function(t){var e=t.object_node.scene_node.oracle;var r=o.getMembershipProfile(t.object_node.scene_node).velocity.window;if(e.curr_state===null)return b.sample(t,r);var i=[e.curr_state,e.pscene.getTime(),r].join(),n=t.object_node.velocity_cache||(t.object_node.velocity_cache={});if(!(i in n))n[i]=b.sample(t,r);return n[i]};b.sample=function(t,e){var r=t.phys_obj,o=t.object_node.scene_node.oracle;var i=r.m_linearVelocity;var n={x:i.x,y:i.y,speed:i.Length(),peak:{speed:i.Length(),left:-i.x,right:i.x,up:-i.y,down:i.y}};if(o.isStatic(r))return n;var s=function(){var t=r.m_linearVelocity,e=n.peak;e.speed=Math.max(e.speed,t.Length());e.left=Math.max(e.left,-t.x);e.right=Math.max(e.right,t.x);e.up=Math.max(e.up,-t.y);e.down=Math.max(e.down,t.y)};o.analyzeFuture(0,null,function(){for(var t=0;t<e;t+=o.pscene.step())s()});return n};var g=function(t){this.perceive(t)};g.prototype.key="fast";g.prototype.targetType="obj";g.prototype.arity=1;g.prototype.constant=false;g.membership=function(t,e){var r=(e||o.getMembershipProfile()).fast;return 1/(1+Math.exp(r.a*(r.m-t)))};g.prototype.perceive=function(t){this.obj=t;var e=b.get(t);this.val=e.speed;this.peak=e.peak.speed};g.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return g.membership(this.peak,t)};g.prototype.get_label=function(){return"fast"};var _=function(t){this.perceive(t)};_.prototype.key="slow";_.prototype.targetType="obj";_.prototype.arity=1;_.prototype.constant=false;_.membership=function(t,e){var r=(e||o.getMembershipProfile()).slow;return 1-1/(1+Math.exp(r.a*(r.m-t)))};_.prototype.perceive=function(t){this.obj=t;var e=b.get(t);this.val=e.speed;this.peak=e.peak.speed};_.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return _.membership(this.peak,t)};_.prototype.get_label=function(){return"slow"};var d=function(t){this.perceive(t)};d.prototype.key="moving_left";d.prototype.targetType="obj";d.prototype.arity=1;d.prototype.constant=false;d.prototype.perceive=function(t){this.obj=t;var e=b.get(t);this.val=-e.x;this.peak=e.peak.left};d.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return b.membership(this.peak,t)};d.prototype.get_label=function(){return"moving-left"};var j=function(t){this.perceive(t)};j.prototype.key="moving_right";j.prototype.targetType="obj";j.prototype.arity=1;j.prototype.constant=false;j.prototype.perceive=function(t){this.obj=t;var e=b.get(t);this.val=e.x;this.peak=e.peak.right};j.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return b.membership(this.peak,t)};j.prototype.get_label=function(){return"moving-right"};var M=function(t){this.perceive(t)};M.prototype.key="moving_up";M.prototype.targetType="obj";M.prototype.arity=1;M.prototype.constant=false;M.prototype.perceive=function(t){this.obj=t;var e=b.get(t);this.val=-e.y;this.peak=e.peak.up};M.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return b.membership(this.peak,t)};M.prototype.get_label=function(){return"moving-up"};var x=function(t){this.perceive(t)};x.prototype.key="falling";x.prototype.targetType="obj";x.prototype.arity=1;x.prototype.constant=false;x.prototype.perceive=function(t){this.obj=t;var e=b.get(t);this.val=e.y;this.peak=e.peak.down};x.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return b.membership(this.peak,t)};x.prototype.get_label=function(){return"falling"};var k=function(t){this.perceive(t)};k.prototype.key="first_to_move";k.prototype.targetType="obj";k.prototype.arity=1;k.prototype.constant=true;k.prototype.perceive=function(t){this.obj=t;this.val=_t.getStartTime(t);this.next=null;var e=t.object_node.scene_node.objs;for(var r=0;r<e.length;r++){if(e[r].obj===t)continue;var o=_t.getStartTime(e[r].obj);if(o!==null&&(this.next===null||o<this.next))this.next=o}};k.prototype.get_activity=function(){return _t.membership(this.val,this.next,o.getMembershipProfile(this.obj.object_node.scene_node))};k.prototype.get_label=function(){return"first-to-move"};var w=function(t){this.perceive(t)};w.prototype.key="shape";w.prototype.targetType="obj";w.prototype.arity=1;w.prototype.constant=true;w.prototype.perceive=function(t){this.obj=t;this.val=w.determineShape(t)};w.prototype.get_activity=function(){return this.val=="?"?0:1};w.prototype.get_label=function(){return this.val};w.determineShape=function(t){if(t instanceof n){if(!t.closed)return"unknown";t.order_vertices();if(t.pts.length==3)return"triangle";if(w.isRectangle(t)){var e=t.get_edge_lengths(true);if(e[0]/e[3]<.7)return"rectangle";else return"square"}else return"unknown"}else if(t instanceof s)return"circle";else return"unknown"};w.isRectangle=function(t){if(t.pts.length!=4)return false;var e=110*Math.PI/180,r=70*Math.PI/180;for(var o=0;o<t.pts.length;++o){if(t.angle(o)>e||t.angle(o)<r)return false}return true};var T=function(t){this.perceive(t)};T.prototype.key="circle";T.prototype.targetType="obj";T.prototype.arity=1;T.prototype.constant=true;T.prototype.perceive=function(t){this.obj=t;this.val=T.circleness(t)};T.prototype.get_activity=function(){return this.val};T.prototype.get_label=function(){return this.key};T.circleness=function(t){if(t instanceof s)return 1;else return 0};var P=function(t){this.perceive(t)};P.prototype.key="square";P.prototype.targetType="obj";P.prototype.arity=1;P.prototype.constant=true;P.prototype.perceive=function(t){this.obj=t;this.val=P.squareness(t)};P.prototype.get_activity=function(){return this.val};P.prototype.get_label=function(){return this.key};P.squareness=function(t){if(t instanceof n){if(!t.closed)return 0;t.order_vertices();if(P.isRectangle(t)){var e=t.get_edge_lengths(true);if(e[0]/e[3]<.7)return.3;else return 1}}return 0};P.isRectangle=function(t){if(t.pts.length!=4)return false;var e=110*Math.PI/180,r=70*Math.PI/180;for(var o=0;o<t.pts.length;++o){if(t.angle(o)>e||t.angle(o)<r)return false}return true};var S=function(t){this.perceive(t)};S.prototype.key="rect";S.prototype.targetType="obj";S.prototype.arity=1;S.prototype.constant=true;S.prototype.perceive=function(t){this.obj=t;this.val=S.rectness(t)};S.prototype.get_activity=function(){return this.val};S.prototype.get_label=function(){return this.key};S.rectness=function(t){if(t instanceof n){if(!t.closed)return 0;t.order_vertices();if(S.isRectangle(t)){var e=t.get_edge_lengths(true);if(e[0]/e[3]<.7)return 1;else return.4}}return 0};S.isRectangle=function(t){if(t.pts.length!=4)return false;var e=110*Math.PI/180,r=70*Math.PI/180;for(var o=0;o<t.pts.length;++o){if(t.angle(o)>e||t.angle(o)<r)return false}return true};var A=function(t){this.perceive(t)};A.prototype.key="triangle";A.prototype.targetType="obj";A.prototype.arity=1;A.prototype.constant=true;A.prototype.perceive=function(t){this.obj=t;this.val=A.triangleness(t)};A.prototype.get_activity=function(){return this.val};A.prototype.get_label=function(){return this.key};A.triangleness=function(t){if(t instanceof n&&t.closed&&t.pts.length===3)return 1;return 0};var C=function(t){this.perceive(t)};C.prototype.key="moves";C.prototype.targetType="obj";C.prototype.arity=1;C.prototype.constant=true;C.membership=function(t,e){var r=(e||o.getMembershipProfile()).moves;return 1/(1+Math.exp(r.a*(r.m-t)))};C.prototype.perceive=function(t){this.obj=t;var e=t.phys_obj;this.val=e.m_linearVelocity.Length();t.object_node.scene_node.oracle.analyzeFuture(.1,null,function(){this.val_soon=e.m_linearVelocity.Length()}.bind(this))};C.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return Math.max(C.membership(this.val,t),C.membership(this.val_soon,t))};C.prototype.get_label=function(){return"moves"};var R=function(t){this.perceive(t)};R.prototype.key="small";R.prototype.targetType="obj";R.prototype.arity=1;R.prototype.constant=true;R.membership=function(t,e){e=e||o.getMembershipProfile();var r=e.small,i=e.scene_size;return 1-1/(1+Math.exp(r.a*(r.m-t/i/i*100)))};R.prototype.perceive=function(t){this.obj=t;this.val=Math.abs(t.area())};R.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return R.membership(this.val,t)};R.prototype.get_label=function(){return"small"};var I=function(t){this.perceive(t)};I.prototype.key="large";I.prototype.targetType="obj";I.prototype.arity=1;I.prototype.constant=true;I.membership=function(t,e){e=e||o.getMembershipProfile();var r=e.large,i=e.scene_size;return 1/(1+Math.exp(r.a*(r.m-t/i/i*100)))};I.prototype.perceive=function(t){this.obj=t;this.val=Math.abs(t.area())};I.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return I.membership(this.val,t)};I.prototype.get_label=function(){return"large"};var q=function(t){this.perceive(t)};q.prototype.key="left_pos";q.prototype.targetType="obj";q.prototype.arity=1;q.prototype.constant=false;q.prototype.membership=function(t){var e=o.getMembershipProfile(this.obj.object_node.scene_node),r=e.left;return 1-1/(1+Math.exp(r.a*(r.m-t/e.scene_size)))};q.prototype.perceive=function(t){this.obj=t;this.val=t.x};q.prototype.get_activity=function(){return this.membership(this.val)};q.prototype.get_label=function(){return"left"};var N=function(t){this.adaptDomain(t.object_node.scene_node.objs);this.perceive(t)};N.prototype.key="left_most";N.prototype.targetType="obj";N.prototype.arity=1;N.prototype.constant=false;N.prototype.adaptDomain=function(t){var e,r=null;for(var o=0;o<t.length;o++){if(!(t[o]instanceof Tt))continue;var i=t[o].obj.phys_obj.GetPosition().x;if(!r||e>i){r=t[o];e=i}}this.leftmost_x=r.obj.x};N.prototype.membership=function(t){var e=o.getMembershipProfile(this.obj.object_node.scene_node);return X.membership(e.most.dist_scale*Math.abs(t-this.leftmost_x),e)};N.prototype.perceive=function(t){this.obj=t;this.val=t.x};N.prototype.get_activity=function(){return this.membership(this.val)};N.prototype.get_label=function(){return"left-most"};var O=function(t){this.perceive(t)};O.prototype.key="right_pos";O.prototype.targetType="obj";O.prototype.arity=1;O.prototype.size=100;O.prototype.constant=false;O.prototype.membership=function(t){var e=o.getMembershipProfile(this.obj.object_node.scene_node),r=e.right;var i=this.size-t;return 1-1/(1+Math.exp(r.a*(r.m-(e.scene_size-i)/e.scene_size)))};O.prototype.perceive=function(t){this.obj=t;this.val=this.size-t.x};O.prototype.get_activity=function(){return this.membership(this.val)};O.prototype.get_label=function(){return"right"};var E=function(t){this.adaptDomain(t.object_node.scene_node.objs);this.perceive(t)};E.prototype.key="right_most";E.prototype.targetType="obj";E.prototype.arity=1;E.prototype.constant=false;E.prototype.adaptDomain=function(t){var e,r=null;for(var o=0;o<t.length;o++){if(!(t[o]instanceof Tt))continue;var i=t[o].obj.phys_obj.GetPosition().x;if(!r||e<i){r=t[o];e=i}}this.rightmost_x=r.obj.x};E.prototype.membership=function(t){var e=o.getMembershipProfile(this.obj.object_node.scene_node);return X.membership(e.most.dist_scale*Math.abs(t-this.rightmost_x),e)};E.prototype.perceive=function(t){this.obj=t;this.val=t.x};E.prototype.get_activity=function(){return this.membership(this.val)};E.prototype.get_label=function(){return"right-most"};var z=function(t){this.adaptDomain(t.object_node.scene_node.ground);this.perceive(t)};z.prototype.key="bottom_pos";z.prototype.targetType="obj";z.prototype.arity=1;z.prototype.constant=false;z.prototype.adaptDomain=function(t){var e=t.bounding_box();this.maxy=t.y+e.y+e.height};z.prototype.membership=function(t){var e=o.getMembershipProfile(this.obj.object_node.scene_node).bottom;return 1-1/(1+Math.exp(e.a*(e.m-t/this.maxy)))};z.prototype.perceive=function(t){this.obj=t;this.val=this.maxy-t.y};z.prototype.get_activity=function(){return this.membership(this.val)};z.prototype.get_label=function(){return"bottom"};var G=function(t){this.perceive(t)};G.prototype.key="single";G.prototype.targetType="obj";G.prototype.arity=1;G.prototype.constant=false;G.membership=function(t,e){e=e||o.getMembershipProfile();var r=e.single;return 1/(1+Math.exp(r.a*(r.m-t/e.scene_size)))};G.prototype.perceive=function(t){this.obj=t;var e=t.object_node.scene_node.oracle.getClosestBodyWithDist(t.phys_obj);if(!e)this.val=100;else this.val=e.dist/t.phys_scale};G.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return Math.max(0,G.membership(this.val,t)-$.membership(this.val,t))};G.prototype.get_label=function(){return"single"};var F=function(t){this.adaptDomain(t.object_node.scene_node.ground);this.perceive(t)};F.prototype.key="top_pos";F.prototype.targetType="obj";F.prototype.arity=1;F.prototype.constant=false;F.prototype.adaptDomain=function(t){if(t){var e=t.bounding_box();this.maxy=t.y+e.y+e.height}else{this.maxy=100}};F.prototype.membership=function(t){var e=o.getMembershipProfile(this.obj.object_node.scene_node).top;return 1-1/(1+Math.exp(e.a*(e.m-t/this.maxy)))};F.prototype.perceive=function(t){this.obj=t;this.val=t.y};F.prototype.get_activity=function(){return this.membership(this.val)};F.prototype.get_label=function(){return"top"};var D=function(t){this.adaptDomain(t.object_node.scene_node.objs);this.perceive(t)};D.prototype.key="top_most";D.prototype.targetType="obj";D.prototype.arity=1;D.prototype.constant=false;D.prototype.adaptDomain=function(t){var e,r=null;for(var o=0;o<t.length;o++){if(!(t[o]instanceof Tt))continue;var i=t[o].obj.phys_obj.GetPosition().y;if(!r||e>i){r=t[o];e=i}}this.topmost_y=r.obj.y};D.prototype.membership=function(t){var e=o.getMembershipProfile(this.obj.object_node.scene_node);return X.membership(e.most.dist_scale*Math.abs(t-this.topmost_y),e)};D.prototype.perceive=function(t){this.obj=t;this.val=t.y};D.prototype.get_activity=function(){return this.membership(this.val)};D.prototype.get_label=function(){return"top-most"};var L=function(t){this.ground=t.object_node.scene_node.ground;this.perceive(t)};L.prototype.key="on_ground";L.prototype.targetType="obj";L.prototype.arity=1;L.prototype.constant=false;L.prototype.perceive=function(t){this.obj=t;var e=t.object_node.getRel("touch",{other:this.ground.object_node});this.val=e.get_activity()};L.prototype.get_activity=function(){return this.val=="?"?0:this.val};L.prototype.get_label=function(){return"on-ground"};var B=function(t,e){this.perceive(t,e)};B.prototype.key="left_of";B.prototype.arity=2;B.prototype.targetType="obj";B.prototype.symmetry=false;B.prototype.constant=false;B.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=a(100,100/2/100,"left").getMembership(t,e);var o=a(100,100/2/100,"right").getMembership(t,e);this.val=Math.max(0,r[1]-o[1])};B.prototype.get_activity=function(){if(this.val=="?")return 0;return this.val};B.prototype.get_label=function(){return"left-of"};var W=function(t,e){this.perceive(t,e)};W.prototype.key="right_of";W.prototype.targetType="obj";W.prototype.arity=2;W.prototype.symmetry=false;W.prototype.constant=false;W.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=a(100,100/2/100,"left").getMembership(t,e);var o=a(100,100/2/100,"right").getMembership(t,e);this.val=Math.max(0,o[1]-r[1])};W.prototype.get_activity=function(){if(this.val=="?")return 0;return this.val};W.prototype.get_label=function(){return"right-of"};var V=function(t,e){this.perceive(t,e)};V.prototype.key="beside";V.prototype.targetType="obj";V.prototype.arity=2;V.prototype.symmetric=true;V.prototype.constant=false;V.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=a(100,100/2/100,"left").getMembership(t,e);var o=a(100,100/2/100,"right").getMembership(t,e);var i=Math.max(0,r[1]-o[1]);var n=Math.max(0,o[1]-r[1]);this.val=Math.max(i,n)};V.prototype.get_activity=function(){return this.val=="?"?0:this.val};V.prototype.get_label=function(){return"beside"};var H=function(t,e){this.perceive(t,e)};H.prototype.key="below";H.prototype.targetType="obj";H.prototype.arity=2;H.prototype.symmetry=false;H.prototype.constant=false;H.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=a(100,100/2/100,"above").getMembership(t,e);var o=a(100,100/2/100,"below").getMembership(t,e);this.val=Math.max(0,o[1]-r[1])};H.prototype.get_activity=function(){if(this.val=="?")return 0;else return this.val};H.prototype.get_label=function(){return"below"};var J=function(t,e){this.perceive(t,e)};J.prototype.key="above";J.prototype.targetType="obj";J.prototype.arity=2;J.prototype.symmetry=false;J.prototype.constant=false;J.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=a(100,100/2/100,"above").getMembership(t,e);var o=a(100,100/2/100,"below").getMembership(t,e);this.val_max=r[2];this.val_min=r[0];this.val=Math.max(0,r[1]-o[1])};J.prototype.get_activity=function(){if(this.val=="?")return 0;else return this.val};J.prototype.get_label=function(){return"above"};var $=function(t,e){this.perceive(t,e)};$.prototype.key="touch";$.prototype.targetType="obj";$.prototype.arity=2;$.prototype.symmetric=true;$.prototype.constant=false;$.membership=function(t,e){return t<=(e||o.getMembershipProfile()).touch.max_dist?1:0};$.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=t.phys_obj.distance(e.phys_obj)/t.phys_scale};$.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return $.membership(this.val,t)};$.prototype.get_label=function(){return"touches"};var U=function(t,e){this.perceive(t,e)};U.prototype.key="on_top_of";U.prototype.targetType="obj";U.prototype.arity=2;U.prototype.symmetric=false;U.prototype.constant=false;U.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=t.object_node.getRel("touch",{other:e.object_node}).get_activity();var o=Math.max(t.object_node.getRel("above",{other:e.object_node}).get_activity(),e.object_node.getRel("below",{other:t.object_node}).get_activity());this.val=r*o};U.prototype.get_activity=function(){return this.val=="?"?0:this.val};U.prototype.get_label=function(){return"on-top-of"};var K=function(t,e){this.perceive(t,e)};K.prototype.key="far";K.prototype.targetType="obj";K.prototype.arity=2;K.prototype.symmetric=true;K.prototype.constant=false;K.membership=function(t,e){e=e||o.getMembershipProfile();var r=e.far;return 1/(1+Math.exp(r.a*(r.m-t/e.scene_size)))};K.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=t.phys_obj.distance(e.phys_obj)/t.phys_scale};K.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return K.membership(this.val,t)};K.prototype.get_label=function(){return"far"};var Q=function(t){this.perceive(t)};Q.prototype.key="far";Q.prototype.targetType="group";Q.prototype.arity=1;Q.prototype.constant=false;Q.prototype.perceive=function(t){this.group=t;if(t.objs.length<2)this.val=NaN;else{this.val=Infinity;for(var e=1;e<t.objs.length;e++)for(var r=0;r<e;r++){var o=t.objs[e].phys_obj.distance(t.objs[r].phys_obj)/t.objs[0].phys_scale;if(this.val>o)this.val=o}}};Q.prototype.get_activity=function(){var t=o.getMembershipProfile(this.group.scene_node);return isNaN(this.val)?0:K.membership(this.val,t)};Q.prototype.get_label=function(){return"far"};var X=function(t,e){this.perceive(t,e)};X.prototype.key="close";X.prototype.targetType="obj";X.prototype.arity=2;X.prototype.symmetric=true;X.prototype.constant=false;X.membership=function(t,e){e=e||o.getMembershipProfile();var r=e.close;return 1-1/(1+Math.exp(r.a*(r.m-t/e.scene_size)))};X.prototype.perceive=function(t,e){this.obj=t;this.other=e;if(t.object_node.scene_node===e.object_node.scene_node){this.val=t.phys_obj.distance(e.phys_obj)/t.phys_scale}else{this.val=i.len(t.x-e.x,t.y-e.y)*2/3}};X.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return X.membership(this.val,t)};X.prototype.get_label=function(){return"close"};var Y=function(t){this.perceive(t)};Y.prototype.key="close";Y.prototype.targetType="group";Y.prototype.arity=1;Y.prototype.constant=false;Y.prototype.perceive=function(t){this.group=t;if(t.objs.length<2)this.val=NaN;else{var e=[];for(var r=0;r<t.objs.length;r++){e.push(r)}var o=[],i=t.objs[0].phys_scale;for(var r=1;r<t.objs.length;r++)for(var n=0;n<r;n++){o.push({a:r,b:n,dist:t.objs[r].phys_obj.distance(t.objs[n].phys_obj)/i})}var s=Y.getMST(e,o);this.val=s[s.length-1].dist}};Y.prototype.get_activity=function(){var t=o.getMembershipProfile(this.group.scene_node);return isNaN(this.val)?0:X.membership(this.val,t)};Y.prototype.get_label=function(){return"close"};Y.getMST=function(t,e){var r=[];var o=t.map(function(t){var e={};e[t]=true;return e});e.sort(function(t,e){return t.dist-e.dist});for(var i=0;i<e.length;i++){var n=e[i].a,s=e[i].b;var a,p;for(var h=0;h<o.length;h++){if(n in o[h])a=h;if(s in o[h])p=h}if(a===p)continue;r.push(e[i]);for(var c in o[p])o[a][c]=true;o[p]={}}return r};var Z=function(t,e){this.perceive(t,e)};Z.prototype.key="hits";Z.prototype.targetType="obj";Z.prototype.arity=2;Z.prototype.symmetric=false;Z.prototype.constant=true;Z.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.collisions=t.object_node.scene_node.collisions.filter(function(r){return r.a===t&&r.b===e});this.val=this.collisions.length==0?0:Math.max.apply(null,this.collisions.map(function(t){return t.dv}))};Z.prototype.get_activity=function(){return this.val==0?0:1};Z.prototype.get_label=function(){return"hits"};var tt=function(t,e){this.perceive(t,e)};tt.prototype.key="gets_hit";tt.prototype.targetType="obj";tt.prototype.arity=2;tt.prototype.symmetric=false;tt.prototype.constant=true;tt.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.collisions=t.object_node.scene_node.collisions.filter(function(r){return r.b===t&&r.a===e});this.val=this.collisions.length==0?0:Math.max.apply(null,this.collisions.map(function(t){return t.dv}))};tt.prototype.get_activity=function(){return this.val==0?0:1};tt.prototype.get_label=function(){return"gets-hit-by"};var et=function(t,e){this.perceive(t,e)};et.prototype.key="collides";et.prototype.targetType="obj";et.prototype.arity=2;et.prototype.symmetric=true;et.prototype.constant=true;et.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.collisions=t.object_node.scene_node.collisions.filter(function(r){return r.a===t&&r.b===e||r.b===t&&r.a===e});this.val=this.collisions.length==0?0:Math.max.apply(null,this.collisions.map(function(t){return t.dv}))};et.prototype.get_activity=function(){return this.val==0?0:1};et.prototype.get_label=function(){return"collides-with"};var rt=function(t,e){this.perceive(t,e)};rt.prototype.key="supports";rt.prototype.targetType="obj";rt.prototype.arity=2;rt.prototype.symmetry=false;rt.prototype.constant=false;rt.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=this.checkSupports(t.object_node,e.object_node,t.object_node.scene_node.oracle)};rt.prototype.get_activity=function(){if(this.val=="directly")return 1;if(this.val=="indirectly")return.7;if(this.val=="stabilizes")return.4;if(this.val=="not")return 0;throw"unknown support value"};rt.prototype.get_label=function(){return"supporting"};rt.prototype.checkSupports=function(t,e,r){var o=.5,i=.5,n=.5,s=.5;if(t===e)return"not";if(e.getAttr("moves").get_activity()>o)return"not";var a=t.getRel("touch",{other:e}).get_activity()>i;var h=[{type:"remove",body:t.obj.phys_obj}];var c=r.whatIf(h,0,function(){var t=new C(e.obj);return t.get_activity()>o},{
+wake_up:true});if(c)return a?"directly":"indirectly";var l=e.getRel("on_top_of",{other:t}).get_activity()>n;if(l)return"stabilizes";var u=t.getRel("close",{other:e}).get_activity()>s;if(u){var f=e.getAttr("stability").get_label()=="stable";if(f){var y=r.whatIf(h,0,function(){var t=new p(e.obj);return t.get_label()=="stable"},{wake_up:true});if(!y)return"stabilizes"}}return"not"};var ot=function(t){this.perceive(t)};ot.prototype.key="count";ot.prototype.targetType="group";ot.prototype.arity=1;ot.prototype.constant=true;ot.prototype.perceive=function(t){this.group=t;this.val=t.objs.length};ot.prototype.get_activity=function(){return 1};ot.prototype.get_label=function(){if(this.val<4)return this.val;return">=4"};var it=function(t){this.perceive(t)};it.prototype.key="touching";it.prototype.targetType="group";it.prototype.arity=1;it.prototype.constant=false;it.prototype.perceive=function(t){this.group=t;if(t.objs.length<2)this.val=100;else{var e=[];for(var r=0;r<t.objs.length;r++){e.push(r)}var o=[],i=t.objs[0].phys_scale;for(var r=1;r<t.objs.length;r++)for(var n=0;n<r;n++){o.push({a:r,b:n,dist:t.objs[r].phys_obj.distance(t.objs[n].phys_obj)/i})}var s=Y.getMST(e,o);this.val=s[s.length-1].dist}};it.prototype.get_activity=function(){var t=o.getMembershipProfile(this.group.scene_node);return isNaN(this.val)?0:$.membership(this.val,t)};it.prototype.get_label=function(){return"touching"};var nt=function(t){this.perceive(t)};nt.prototype.key="is_supported";nt.prototype.targetType="obj";nt.prototype.arity=1;nt.prototype.constant=false;nt.membership=function(t,e){var r=(e||o.getMembershipProfile()).is_supported;return 1/(1+Math.exp(r.a*(r.m-t)))};nt.prototype.perceive=function(t){var e=t.object_node.scene_node.oracle;var r=[];e.pscene.forEachDynamicBody(function(e){if(e!==t.phys_obj)r.push({type:"freeze",body:e})});function o(){this.val_soon=i.m_linearVelocity.Length()}this.obj=t;var i=t.phys_obj;this.val=i.m_linearVelocity.Length();e.whatIf(r,.1,o.bind(this))};nt.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return 1-Math.max(nt.membership(this.val,t),nt.membership(this.val_soon,t))};nt.prototype.get_label=function(){return"is-supported"};var st=function(t){this.perceive(t)};st.prototype.key="color";st.prototype.targetType="obj";st.prototype.arity=1;st.prototype.constant=true;st.hues=[{label:"red",hue:0},{label:"orange",hue:30},{label:"yellow",hue:60},{label:"green",hue:120},{label:"blue",hue:240},{label:"purple",hue:285}];st.lightnesses=[{label:"black",l:0},{label:"gray",l:.5},{label:"white",l:1}];st.named_colors={black:"#000000",white:"#ffffff",gray:"#808080",grey:"#808080",silver:"#c0c0c0",red:"#ff0000",maroon:"#800000",orange:"#ffa500",yellow:"#ffff00",olive:"#808000",lime:"#00ff00",green:"#008000",aqua:"#00ffff",cyan:"#00ffff",teal:"#008080",blue:"#0000ff",navy:"#000080",fuchsia:"#ff00ff",magenta:"#ff00ff",purple:"#800080"};st.parseColor=function(t){if(typeof t!=="string")return null;t=t.trim().toLowerCase();if(t in st.named_colors)t=st.named_colors[t];var e;if(e=/^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(t)){return{r:parseInt(e[1]+e[1],16)/255,g:parseInt(e[2]+e[2],16)/255,b:parseInt(e[3]+e[3],16)/255}}if(e=/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/.exec(t)){return{r:parseInt(e[1],16)/255,g:parseInt(e[2],16)/255,b:parseInt(e[3],16)/255}}if(e=/^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/.exec(t)){return{r:Math.min(255,e[1])/255,g:Math.min(255,e[2])/255,b:Math.min(255,e[3])/255}}return null};st.getColor=function(t){var e=t.style||{};return st.parseColor(e.fill)||st.parseColor(e.stroke)};st.interpolate=function(t,e,r,o,i,n){var s=e.length;for(var a=0;a<s;a++){var p=e[a],h=e[(a+1)%s];var c=p[r],l=h[r];if(a==s-1){if(!n){t[p.label]+=i;return t}l+=n;if(o<c)o+=n}if(o>=c&&o<=l){var u=(o-c)/(l-c);t[p.label]+=i*(1-u);t[h.label]+=i*u;return t}}return t};st.membership=function(t,e){var r={};st.hues.concat(st.lightnesses).forEach(function(t){r[t.label]=0});if(!t)return r;var i=(e||o.getMembershipProfile()).color;var n=Math.max(t.r,t.g,t.b),s=Math.min(t.r,t.g,t.b);var a=n-s;var p=1/(1+Math.exp(i.a*(i.m-a)));if(a>0){var h;if(n==t.r)h=60*(((t.g-t.b)/a+6)%6);else if(n==t.g)h=60*((t.b-t.r)/a+2);else h=60*((t.r-t.g)/a+4);st.interpolate(r,st.hues,"hue",h,p,360)}else p=0;st.interpolate(r,st.lightnesses,"l",(n+s)/2,1-p);return r};st.prototype.perceive=function(t){this.obj=t;this.val=st.getColor(t)};st.prototype.get_memberships=function(){return st.membership(this.val,o.getMembershipProfile(this.obj.object_node.scene_node))};st.prototype.get_activity=function(){if(!this.val)return 0;return this.get_memberships()[this.get_label()]};st.prototype.get_label=function(){if(!this.val)return"unknown";var t=this.get_memberships(),e=null;for(var r in t)if(e===null||t[r]>t[e])e=r;return e};var at=function(t,e){this.perceive(t,e)};at.prototype.key="same_color";at.prototype.targetType="obj";at.prototype.arity=2;at.prototype.symmetric=true;at.prototype.constant=true;at.membership=function(t,e,r){if(!t||!e)return 0;var o=st.membership(t,r),i=st.membership(e,r);var n=0;for(var s in o)n+=Math.min(o[s],i[s]);return Math.min(1,n)};at.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=st.getColor(t);this.other_val=st.getColor(e)};at.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return at.membership(this.val,this.other_val,t)};at.prototype.get_label=function(){return"same-color-as"};var pt=function(t){this.perceive(t)};pt.prototype.key="orientation";pt.prototype.targetType="obj";pt.prototype.arity=1;pt.prototype.constant=false;pt.prototype.perceive=function(t){this.obj=t;this.type=null;this.val=NaN;if(!(t instanceof n)||!t.closed||t.pts.length<3)return;var e=w.determineShape(t);var r=t.rot||0;if(e=="triangle"){var o=pt.getApexDirection(t).rotate(r);this.type="pointing";this.val=pt.normalize(Math.atan2(-o.y,o.x)*180/Math.PI)}else if(e=="rectangle"||e=="square"){var i=t.pts,s=i[1].sub(i[0]),a=i[2].sub(i[1]);var p=(s.len()>=a.len()?s:a).rotate(r);var h=Math.atan2(Math.abs(p.y),Math.abs(p.x))*180/Math.PI;if(e=="rectangle"){this.type="axis";this.val=h}else{this.type="tilt";this.val=Math.min(h,90-h)}}else{this.type="tilt";this.val=Math.abs(pt.normalize(r*180/Math.PI+180)-180)}};pt.normalize=function(t){return(t%360+360)%360};pt.getApexDirection=function(t){var e=[t.angle(0),t.angle(1),t.angle(2)],r=0,o=-1;for(var i=0;i<3;i++){var n=Math.abs(e[i]-(e[(i+1)%3]+e[(i+2)%3])/2);if(n>o){r=i;o=n}}return t.pts[r].sub(t.centroid())};pt.membership=function(t,e,r){var i=(r||o.getMembershipProfile()).orientation;var n=function(t,e){return 1/(1+Math.exp(i.a*(t-e)))};var s=function(t,e){var r=Math.abs(t-e)%360;return Math.min(r,360-r)};if(t=="pointing")return{"pointing-right":n(s(e,0),45),"pointing-up":n(s(e,90),45),"pointing-left":n(s(e,180),45),"pointing-down":n(s(e,270),45)};if(t=="axis"){var a=n(e,45);return{lying:a,standing:1-a}}if(t=="tilt"){var p=n(e,i.m),h=n(180-e,i.m);return{upright:p,tilted:Math.max(0,1-p-h),"upside-down":h}}return{}};pt.prototype.get_memberships=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return pt.membership(this.type,this.val,t)};pt.prototype.get_activity=function(){if(!this.type)return 0;return this.get_memberships()[this.get_label()]};pt.prototype.get_label=function(){if(!this.type)return"unknown";var t=this.get_memberships(),e=null;for(var r in t)if(e===null||t[r]>t[e])e=r;return e};var ht=function(t){this.perceive(t)};ht.prototype.key="elongated";ht.prototype.targetType="obj";ht.prototype.arity=1;ht.prototype.constant=true;ht.prototype.perceive=function(t){this.obj=t;this.val=ht.elongation(t)};ht.elongation=function(t){if(t instanceof s)return 1;if(!(t instanceof n)||!t.closed||t.pts.length<3)return NaN;var e=ht.principalAxes(t);if(!(e.minor>0))return NaN;return e.major/e.minor};ht.principalAxes=function(t){var e=0,r=0,o=0,i=0,n=0,s=0,a=t.pts.length;for(var p=0;p<a;p++){var h=t.pts[p],c=t.pts[(p+1)%a];var l=h.x*c.y-c.x*h.y;e+=l;r+=(h.x+c.x)*l;o+=(h.y+c.y)*l;i+=(h.x*h.x+h.x*c.x+c.x*c.x)*l;n+=(h.y*h.y+h.y*c.y+c.y*c.y)*l;s+=(h.x*c.y+2*h.x*h.y+2*c.x*c.y+c.x*h.y)*l}e/=2;r/=6*e;o/=6*e;i=i/(12*e)-r*r;n=n/(12*e)-o*o;s=s/(24*e)-r*o;var u=Math.sqrt((i-n)*(i-n)/4+s*s);return{major:Math.sqrt(Math.max(0,(i+n)/2+u)),minor:Math.sqrt(Math.max(0,(i+n)/2-u)),angle:Math.atan2(2*s,i-n)/2}};ht.membership=function(t,e){var r=(e||o.getMembershipProfile()).elongated;if(t<=1)return 0;return 1/(1+Math.exp(r.a*(r.m-t)))};ht.prototype.get_memberships=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);var e=ht.membership(this.val,t);return{long:e,compact:1-e}};ht.prototype.get_activity=function(){if(isNaN(this.val))return 0;return this.get_memberships()[this.get_label()]};ht.prototype.get_label=function(){if(isNaN(this.val))return"unknown";var t=this.get_memberships();return t["long"]>=t["compact"]?"long":"compact"};var ct=function(t){this.perceive(t)};ct.prototype.key="container";ct.prototype.targetType="obj";ct.prototype.arity=1;ct.prototype.constant=false;ct.prototype.perceive=function(t){this.obj=t;var e=ct.findPocket(t,o.getMembershipProfile(t.object_node.scene_node));this.val=e?e.depth/e.width:0;this.opening=NaN;this.interior=null;if(!e)return;var r=e.normal.rotate(t.rot||0);this.opening=pt.normalize(Math.atan2(-r.y,r.x)*180/Math.PI);this.interior=ct.toSceneCoords(t,e.region)};ct.findPocket=function(t,e){if(!(t instanceof n)||!t.closed||t.pts.length<4)return null;var r=(e||o.getMembershipProfile()).container;var s=t.copy();s.order_vertices();var a=s.pts,p=a.length;if(s.find_notch()==p)return null;var h=Math.abs(s.area()),c=null;for(var l=0;l<p;l++){if(!s.is_convex(l)||s.is_convex((l+1)%p))continue;var u=(l+1)%p;while(!s.is_convex(u))u=(u+1)%p;var f=a[u].sub(a[l]),y=f.len();if(y<i.EPS)continue;var v=new i;if(s.find_intersection(a[l],f,v,l,u)<p&&v.dist2(a[l])<y*y)continue;var m=new n;for(var b=l;b!=u;b=(b+1)%p)m.push(a[b].copy());m.push(a[u].copy());var g=Math.abs(m.area());if(g<r.min_area*(h+g)||c&&c.area>=g)continue;var _=0,d=null;for(var j=1;j<m.pts.length-1;j++){var M=Math.abs(f.cross(m.pts[j].sub(a[l])))/y;if(M>_){_=M;d=m.pts[j]}}var x=new i(-f.y,f.x).normalize();if(x.mul(a[l].sub(d))<0)x=x.scale(-1);c={region:m,width:y,depth:_,normal:x,area:g}}return c};ct.toSceneCoords=function(t,e){var r=new n,o=t.rot||0;for(var s=0;s<e.pts.length;s++){var a=e.pts[s].rotate(o);r.push(new i(a.x+t.x,a.y+t.y))}return r};ct.getInterior=function(t,e){var r=ct.findPocket(t,e);return r?ct.toSceneCoords(t,r.region):null};ct.membership=function(t,e,r){var i=(r||o.getMembershipProfile()).container;var n=t>0?1/(1+Math.exp(i.a*(i.m-t))):0;var s={convex:1-n};var a={"open-right":0,"open-up":90,"open-left":180,"open-down":270};for(var p in a){var h=Math.abs(e-a[p])%360;h=Math.min(h,360-h);s[p]=isNaN(h)?0:n/(1+Math.exp(.2*(h-45)))}return s};ct.prototype.get_memberships=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return ct.membership(this.val,this.opening,t)};ct.prototype.get_interior=function(){return this.interior};ct.prototype.get_activity=function(){return this.get_memberships()[this.get_label()]};ct.prototype.get_label=function(){var t=this.get_memberships(),e=null;for(var r in t)if(e===null||t[r]>t[e])e=r;return e};var lt=function(t,e){this.perceive(t,e)};lt.prototype.key="inside_of";lt.prototype.targetType="obj";lt.prototype.arity=2;lt.prototype.symmetric=false;lt.prototype.constant=false;lt.prototype.static_others=true;lt.samples=12;lt.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=o.getMembershipProfile(e.object_node&&e.object_node.scene_node);var i=ct.getInterior(e,r);this.val=i?lt.overlap(t,i):0};lt.overlap=function(t,e){var r=lt.samples,o=0,s=0;var a=t.bounding_box(),p=t.rot||0;var h=t instanceof n;for(var c=0;c<r;c++)for(var l=0;l<r;l++){var u=new i(a.x+(c+.5)*a.width/r,a.y+(l+.5)*a.height/r);if(!t.contains(u))continue;if(h)u=u.rotate(p).add(new i(t.x,t.y));o++;if(e.contains(u))s++}return o?s/o:0};lt.prototype.get_activity=function(){return this.val};lt.prototype.get_label=function(){return"inside-of"};var ut=function(t,e){this.perceive(t,e)};ut.prototype.key="larger_than";ut.prototype.targetType="obj";ut.prototype.arity=2;ut.prototype.symmetric=false;ut.prototype.constant=true;ut.membership=function(t,e){var r=(e||o.getMembershipProfile()).larger;return 1/(1+Math.exp(r.a*(r.m-t)))};ut.areaRatio=function(t,e){var r=Math.abs(t.area()),o=Math.abs(e.area());if(o===0)return r===0?1:Infinity;return r/o};ut.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=ut.areaRatio(t,e)};ut.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return ut.membership(this.val,t)};ut.prototype.get_label=function(){return"larger-than"};var ft=function(t,e){this.perceive(t,e)};ft.prototype.key="smaller_than";ft.prototype.targetType="obj";ft.prototype.arity=2;ft.prototype.symmetric=false;ft.prototype.constant=true;ft.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=ut.areaRatio(e,t)};ft.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return ut.membership(this.val,t)};ft.prototype.get_label=function(){return"smaller-than"};var yt=function(t){this.perceive(t)};yt.prototype.key="same_size";yt.prototype.targetType="group";yt.prototype.arity=1;yt.prototype.constant=true;yt.membership=function(t,e){var r=(e||o.getMembershipProfile()).same_size;return 1/(1+Math.exp(r.a*(t-r.m)))};yt.prototype.perceive=function(t){this.group=t;if(t.objs.length<2)this.val=NaN;else{var e=t.objs.map(function(t){return Math.abs(t.area())});var r=Math.min.apply(null,e),o=Math.max.apply(null,e);this.val=r>0?o/r:Infinity}};yt.prototype.get_activity=function(){var t=o.getMembershipProfile(this.group.scene_node);return isNaN(this.val)?0:yt.membership(this.val,t)};yt.prototype.get_label=function(){return"same-size"};var vt=function(t,e){this.perceive(t,e)};vt.prototype.key="same_shape";vt.prototype.targetType="obj";vt.prototype.arity=2;vt.prototype.symmetric=true;vt.prototype.constant=true;vt.samples=100;vt.membership=function(t,e){var r=(e||o.getMembershipProfile()).same_shape;return 1/(1+Math.exp(r.a*(t-r.m)))};vt.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.val=vt.distance(t,e)};vt.turningFunction=function(t){var e;if(t instanceof s){e=[];for(var r=0;r<32;r++)e.push(new i(Math.cos(r*Math.PI/16),Math.sin(r*Math.PI/16)))}else if(t instanceof n&&t.closed&&t.pts.length>=3){var o=t.copy();o.order_vertices();e=o.pts}else return null;var a=e.length,p=[],h=0;for(var r=0;r<a;r++){var c=e[(r+1)%a].sub(e[r]),l=c.len();if(l<i.EPS)continue;p.push({angle:Math.atan2(c.y,c.x),len:l});h+=l}if(p.length<2)return null;var u=[0];for(var r=1;r<p.length;r++){var f=p[r].angle-p[r-1].angle;while(f>Math.PI)f-=2*Math.PI;while(f<-Math.PI)f+=2*Math.PI;u.push(u[r-1]+f)}var y=vt.samples,v=[],c=0,m=p[0].len/h;for(var b=0;b<y;b++){var g=(b+.5)/y;while(g>m&&c<p.length-1)m+=p[++c].len/h;v.push(u[c])}return v};vt.distance=function(t,e){var r=vt.turningFunction(t),o=vt.turningFunction(e);if(!r||!o)return Infinity;var i=r.length,n=Infinity;var s=Math.abs(r[i-1]-r[0])>Math.abs(o[i-1]-o[0])?r[i-1]-r[0]:o[i-1]-o[0];var a=s>=0?2*Math.PI:-2*Math.PI;for(var p=0;p<i;p++){var h=[],c=0;for(var l=0;l<i;l++){var u=o[(l+p)%i]+(l+p>=i?a:0);h.push(r[l]-u);c+=r[l]-u}c/=i;var f=0;for(var l=0;l<i;l++)f+=(h[l]-c)*(h[l]-c);n=Math.min(n,Math.sqrt(f/i))}return n};vt.prototype.get_activity=function(){var t=o.getMembershipProfile(this.obj.object_node.scene_node);return vt.membership(this.val,t)};vt.prototype.get_label=function(){return"same-shape-as"};var mt=function(t,e,r){this.perceive(t,e,r)};mt.prototype.key="between";mt.prototype.targetType="obj";mt.prototype.arity=3;mt.prototype.symmetric=true;mt.prototype.constant=false;mt.directions=function(t,e){var r=[t.x,t.y,t.rot,e.x,e.y,e.rot].join(),o=t.object_node.between_cache||(t.object_node.between_cache={});if(!o[e.id]||o[e.id].pos!==r){o[e.id]={pos:r,dirs:mt.getDirections(t,e)}}return o[e.id].dirs};mt.getDirections=function(t,e){var r=function(r){return a(100,100/2/100,r).getMembership(t,e)[1]};var o=r("left"),i=r("right"),n=r("above"),s=r("below");return{left:Math.max(0,o-i),right:Math.max(0,i-o),above:Math.max(0,n-s),below:Math.max(0,s-n)}};mt.prototype.perceive=function(t,e,r){this.obj=t;this.other=e;this.other2=r;var o=mt.directions(t,e),i=mt.directions(t,r);this.horizontal=Math.max(Math.min(o.right,i.left),Math.min(o.left,i.right));this.vertical=Math.max(Math.min(o.above,i.below),Math.min(o.below,i.above));this.val=Math.max(this.horizontal,this.vertical)};mt.prototype.get_activity=function(){return this.val};mt.prototype.get_label=function(){return"between"};var bt=function(t,e){this.perceive(t,e)};bt.prototype.key="causes_motion_of";bt.prototype.targetType="obj";bt.prototype.arity=2;bt.prototype.symmetric=false;bt.prototype.constant=true;bt.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=t.object_node.scene_node;var i=o.getMembershipProfile(r).causes_motion.window;this.chain=bt.findChain(r.collisions,t,e,i);this.val=this.val_without=0;if(!this.chain)return;var n=r.oracle,s=e.phys_obj;var a=n.getBodyInStates(s,["start","end"]);this.val=bt.distance(a.start,a.end)/e.phys_scale;this.val_without=bt.simulateWithout(t.phys_obj,s,n)/e.phys_scale};bt.prototype.get_activity=function(){if(!this.chain)return 0;var t=o.getMembershipProfile(this.obj.object_node.scene_node);return bt.membership(this.val-this.val_without,t)};bt.prototype.get_label=function(){return"causes-motion-of"};bt.membership=function(t,e){var r=(e||o.getMembershipProfile()).causes_motion;return 1/(1+Math.exp(r.a*(r.m-t)))};bt.findChain=function(t,e,r,o){var i=function(n,s,a){for(var p=0;p<t.length;p++){var h=t[p];if(h.a!==n||h.t<s||a.length>0&&h.t>s+o)continue;if(h.b===e||a.some(function(t){return t.a===h.b}))continue;if(h.b===r)return a.concat([h]);var c=i(h.b,h.t,a.concat([h]));if(c)return c}return null};return i(e,-Infinity,[])};bt.distance=function(t,e){return Math.sqrt((e.x-t.x)*(e.x-t.x)+(e.y-t.y)*(e.y-t.y))};bt.simulateWithout=function(t,e,r){var o=r.curr_state,i=r.pscene.getState();r.gotoState("start");var n=e.GetWorldCenter().Copy();var s=r.whatIf([{type:"remove",body:t}],12,function(){return bt.distance(n,e.GetWorldCenter())},{wake_up:true,until_sleep:true});r.loadPhysicsState(i);r.curr_state=o;return s};var gt=function(t,e){this.perceive(t,e)};gt.prototype.key="hits_before";gt.prototype.targetType="obj";gt.prototype.arity=2;gt.prototype.symmetric=false;gt.prototype.constant=true;gt.prototype.perceive=function(t,e){this.obj=t;this.other=e;var r=t.object_node.scene_node.collision_graph;var o=function(t){var e=r.getHits(t);return e.length>0?e[0].t:null};this.t=o(t);this.other_t=o(e)};gt.prototype.get_activity=function(){return _t.membership(this.t,this.other_t,o.getMembershipProfile(this.obj.object_node.scene_node))};gt.prototype.get_label=function(){return"hits-before"};var _t=function(t,e){this.perceive(t,e)};_t.prototype.key="moves_before";_t.prototype.targetType="obj";_t.prototype.arity=2;_t.prototype.symmetric=false;_t.prototype.constant=true;_t.prototype.perceive=function(t,e){this.obj=t;this.other=e;this.t=_t.getStartTime(t);this.other_t=_t.getStartTime(e)};_t.prototype.get_activity=function(){return _t.membership(this.t,this.other_t,o.getMembershipProfile(this.obj.object_node.scene_node))};_t.prototype.get_label=function(){return"moves-before"};_t.membership=function(t,e,r){if(t===null||e===null||t>=e)return 0;var i=(r||o.getMembershipProfile()).before;return 1/(1+Math.exp(i.a*(i.m-(e-t))))};_t.getStartTime=function(t){var e=t.object_node.scene_node.getTrajectory(t);if(!e)return null;var o=r.Common.b2Settings.b2_linearSleepTolerance/t.phys_scale;for(var i=0;i<e.length;i++){var n=e[i];if(Math.sqrt(n.vx*n.vx+n.vy*n.vy)>o)return n.t}return null};var dt={max_dist:.06,activation_threshold:.5,obj_attrs:{},obj_rels:{},group_attrs:{},membership_profile:"default",membership_profiles:{},states:[]};dt.membership_profiles["default"]={name:"default",scene_size:100,close:{a:30,m:.2},far:{a:20,m:.25},single:{a:40,m:.03},touch:{max_dist:.5},small:{a:4,m:1.8},large:{a:4,m:2},moves:{a:40,m:.1},is_supported:{a:40,m:.1},left:{a:20,m:.4},right:{a:20,m:.4},top:{a:20,m:.45},bottom:{a:20,m:.3},most:{dist_scale:2.5},color:{a:20,m:.2},orientation:{a:.2,m:15},elongated:{a:3,m:2.5},container:{a:10,m:.3,min_area:.05},larger:{a:4,m:1.5},same_size:{a:4,m:1.5},same_shape:{a:20,m:.25},movable:{a:.5,m:10},topples:{a:.15,m:30,max_rise:1},motion:{a:10,m:.5,bounce_a:10,bounce_m:.8,window:.5},displacement:{a:.4,m:10},fast:{a:6,m:1},slow:{a:10,m:.4},velocity:{a:15,m:.4,window:.5},causes_motion:{a:.4,m:5,window:2},before:{a:40,m:.1}};var jt=function(t,e){var r=JSON.parse(JSON.stringify(t));for(var o in e){if(o==="name"){r.name=e.name;continue}if(!(o in r))throw"unknown membership parameter '"+o+"'";if(typeof r[o]!=="object"){r[o]=e[o];continue}for(var i in e[o]){if(!(i in r[o]))throw"unknown membership parameter '"+o+"."+i+"'";r[o][i]=e[o][i]}}return r};o.loadMembershipProfile=function(t,e){var r=jt(dt.membership_profiles["default"],e);r.name=t;dt.membership_profiles[t]=r;return r};o.useMembershipProfile=function(t){if(!(t in dt.membership_profiles))throw"unknown membership profile '"+t+"'";dt.membership_profile=t};o.getMembershipProfile=function(t){if(t&&t.membership_profile)return t.membership_profile;return dt.membership_profiles[dt.membership_profile]};var Mt=function(t,e){if(typeof e==="number"&&e>=0)return;if(e&&(e.event==="hit"||e.event==="rest"))return;throw"time of state '"+t+"' must be a number >= 0 or an event"};o.registerState=function(t,e){if(typeof t!=="string"||t==="")throw"state name must be a non-empty string";if(t==="0"||t==="start"||t==="end"||dt.states.some(function(e){return e.name===t})){throw"state '"+t+"' is already in use"}Mt(t,e);dt.states.push({name:t,time:e})};o.unregisterState=function(t){for(var e=0;e<dt.states.length;e++){if(dt.states[e].name===t)return dt.states.splice(e,1)[0]}throw"unknown state '"+t+"'"};var xt=function(t){if(t.targetType==="obj"&&t.arity===1)return dt.obj_attrs;if(t.targetType==="obj"&&(t.arity===2||t.arity===3))return dt.obj_rels;if(t.targetType==="group"&&t.arity===1)return dt.group_attrs;throw"unsupported combination of targetType '"+t.targetType+"' and arity "+t.arity+" for feature '"+t.key+"'"};var kt=function(t){return[dt.obj_attrs,dt.obj_rels,dt.group_attrs].filter(function(e){return e.hasOwnProperty(t)})};o.registerFeature=function(t){if(typeof t!=="function")throw"feature must be a constructor function";var e=t.prototype;if(typeof e.key!=="string"||e.key==="")throw"feature key must be a non-empty string";if(e.targetType!=="obj"&&e.targetType!=="group"){throw"targetType of feature '"+e.key+"' must be 'obj' or 'group'"}if(e.arity!==1&&e.arity!==2&&e.arity!==3){throw"arity of feature '"+e.key+"' must be 1, 2 or 3"}if(typeof e.constant!=="boolean")throw"constant of feature '"+e.key+"' must be a boolean";if(typeof e.get_activity!=="function")throw"feature '"+e.key+"' has no get_activity method";if(typeof e.get_label!=="function")throw"feature '"+e.key+"' has no get_label method";var r=xt(e);if(r[e.key]===t)return t;var o=kt(e.key).some(function(t){return t===r||t===dt.obj_attrs||r===dt.obj_attrs});if(o)throw"feature key '"+e.key+"' is already in use";r[e.key]=t;return t};o.unregisterFeature=function(t){var e=typeof t==="function"?t.prototype.key:t;var r=kt(e);if(typeof t==="function"){r=r.filter(function(r){return r[e]===t})}if(r.length===0)throw"unknown feature '"+e+"'";if(r.length>1)throw"feature key '"+e+"' is ambiguous, pass the constructor";var o=r[0][e];delete r[0][e];return o};[q,N,O,E,z,F,D,G,L,T,P,S,A,w,p,R,I,C,c,l,u,f,y,v,m,g,_,d,j,M,x,k,nt,st,pt,ht,ct].forEach(o.registerFeature);[Y,ot,Q,it,yt].forEach(o.registerFeature);[J,H,B,W,V,K,X,U,$,Z,tt,et,rt,at,lt,ut,ft,vt,mt,bt,gt,_t].forEach(o.registerFeature);o.extend=function(t,e){if(typeof e==="object")for(var r in e)t[r]=e[r];return t};var wt=function(t,e,r){this.scene_node=t;this.objs=e||[];this.times={};this.selectors=r?Array.isArray(r)?r.slice():[r]:[new At]};wt.prototype.empty=function(){return this.objs.length===0};wt.prototype.clone=function(){var t=new wt(this.scene_node,this.objs.slice(),this.selectors);t.times=this.times;return t};wt.sceneGroup=function(t,e){var r=new wt(t);for(var o=0;o<t.objs.length;o++){var i=t.objs[o];if(i!=e&&i instanceof Tt)r.objs.push(i.obj)}return r};wt.spatialGroups=function(t,e){var r=[];if(typeof e==="undefined")e=.06;var o=t.oracle.getSpatialGroups(e);for(var i=0;i<o.length;i++){if(o[i].length>0)r.push(new wt(t,o[i].map(function(t){return t.master_obj.obj})))}return r};wt.attrs=dt.group_attrs;wt.prototype.perceive=function(t){var e={};for(var r in wt.attrs){var o=wt.attrs[r];e[r]=new o(this)}this.times[t]=e};wt.prototype.getAttr=function(t,e){var r=o.extend({},e);if(!r.time)r.time=this.scene_node.oracle.curr_state;if(wt.attrs[t].constant)r.time="start";if(r.time in this.times&&t in this.times[r.time]){var i=this.times[r.time][t];return i}if(r.cache_only||this.scene_node.skipsState(r.time))return false;if(r.time)this.scene_node.oracle.gotoState(r.time);var i=new wt.attrs[t](this);if(r.time){if(!this.times[r.time])this.times[r.time]={};this.times[r.time][t]=i}return i};wt.prototype.getFromCache=function(t,e){e=e||{};e.cache_only=true;return this.getAttr(t,e)};wt.prototype.get=wt.prototype.getAttr;wt.prototype.describe=function(){console.log(this)};var Tt=function(t,e){this.obj=e;e.object_node=this;this.scene_node=t;this.times={};this.selectors=[]};Tt.attrs=dt.obj_attrs;Tt.rels=dt.obj_rels;Tt.prototype.hasRelation=function(t,e,r,o,i){if(!(e in this.times))return false;if(!(t in Tt.rels)||!(t in this.times[e]))return false;return this.times[e][t].some(function(t){return Tt.relatesTo(t,o,i)&&t.get_activity()>=dt.activation_threshold==r}.bind(this))};Tt.relatesTo=function(t,e,r){if(t.arity!==3)return t.other===e.obj;if(t.other===e.obj&&t.other2===r.obj)return true;return!!t.symmetric&&t.other===r.obj&&t.other2===e.obj};Tt.prototype.perceive=function(t){var e={};for(var r in Tt.attrs){var o=Tt.attrs[r];e[r]=new o(this.obj,this.scene_node)}for(var i in Tt.rels){var n=Tt.rels[i];e[i]=[];var s=this.scene_node.objs;if(n.prototype.static_others){s=s.concat(this.scene_node.statics.map(function(t){return t.object_node}))}if(n.prototype.arity===3)this.perceiveTernary(n,s,e[i]);else for(var a=0;a<s.length;a++){if(s[a]==this)continue;if(typeof wt!="undefined"&&s[a]instanceof wt){if(n.ObjectToGroup)e[i].push(n.ObjectToGroup(this.obj,s[a].objs,this.scene_node))}else if(s[a]instanceof Tt){e[i].push(new n(this.obj,s[a].obj,this.scene_node))}}if(e[i].length==0)delete e[i]}this.times[t]=e};Tt.prototype.perceiveTernary=function(t,e,r){e=e.filter(function(t){return t!==this&&t instanceof Tt},this);for(var o=0;o<e.length;o++)for(var i=0;i<e.length;i++){if(o==i||t.prototype.symmetric&&i<o)continue;r.push(new t(this.obj,e[o].obj,e[i].obj,this.scene_node))}};Tt.prototype.get=function(t,e){if(t in Tt.attrs)return this.getAttr(t,e);else if(t in Tt.rels)return this.getRel(t,e);else throw"unknown feature '"+t+"'"};Tt.prototype.getFromCache=function(t,e){e=e||{};e.cache_only=true;return this.get(t,e)};Tt.prototype.getAttr=function(t,e){var r=o.extend({},e);if(!r.time)r.time=this.scene_node.oracle.curr_state;if(Tt.attrs[t].constant)r.time="start";if(r.time in this.times&&t in this.times[r.time]){var i=this.times[r.time][t];return i}if(r.cache_only||this.scene_node.skipsState(r.time))return false;if(r.time)this.scene_node.oracle.gotoState(r.time);var i=new Tt.attrs[t](this.obj);if(r.time){if(!this.times[r.time])this.times[r.time]={};this.times[r.time][t]=i}return i};Tt.prototype.getRel=function(t,e){var r=o.extend({},e);if(!r.time)r.time=this.scene_node.oracle.curr_state;if(Tt.rels[t].constant)r.time="start";if(r.time in this.times&&t in this.times[r.time]){var i=this.times[r.time][t];if(r.get_all)return i;var n=i.filter(function(t){return Tt.relatesTo(t,r.other,r.other2)})[0];if(n){return n}}if(r.cache_only||this.scene_node.skipsState(r.time))return r.get_all?[]:false;if(r.time)this.scene_node.oracle.gotoState(r.time);var s=Tt.rels[t];var n=s.prototype.arity===3?new s(this.obj,r.other.obj,r.other2.obj):new s(this.obj,r.other.obj);if(r.time){if(!this.times[r.time])this.times[r.time]={};if(!this.times[r.time][t])this.times[r.time][t]=[];this.times[r.time][t].push(n)}return n};Tt.prototype.describe=function(t){t=t||"";var e=[t+"Obj. "+this.obj.id+":"];var r=this.getRecordedTimes();for(var o=0;o<r.length;o++)e.push(t+this.describeState(r[o],"  "));return e.join("\n")};Tt.prototype.getRecordedTimes=function(){var t=this.scene_node.times.filter(function(t){return t in this.times},this);for(var e in this.times)if(t.indexOf(e)==-1)t.push(e);return t};Tt.prototype.describeState=function(t,e){e=e||"";var r=[];for(var o in Tt.attrs){var i=this.times[t][o];if(!i)continue;var n=i.get_activity()>=.5;r.push((n?"":"!")+i.get_label())}for(var s in Tt.rels){var a=this.times[t][s];if(!a)continue;for(var p=0;p<a.length;p++){if(!a[p])continue;var n=a[p].get_activity()>=.5;r.push((n?"":"!")+a[p].get_label()+" "+a[p].other.id+(a[p].arity===3?" "+a[p].other2.id:""))}}return e+t+": "+r.join(", ")};Tt.prototype.getTrajectory=function(){return this.scene_node.getTrajectory(this.obj)};Tt.prototype.toJSON=function(){var t={};for(var e in this.times){var r=t[e]={};for(var o in this.times[e]){var i=this.times[e][o];if(!Array.isArray(i)){r[o]={label:i.get_label(),activity:i.get_activity()}}else r[o]=i.filter(function(t){return t}).map(function(t){var e={other:t.other.id,label:t.get_label(),activity:t.get_activity()};if(t.arity===3)e.other2=t.other2.id;return e})}}return{id:this.obj.id,times:t,trajectory:this.getTrajectory()}};var Pt=function(t,e){this.nodes=t;this.edges=e.slice().sort(function(t,e){return t.t-e.t})};Pt.matches=function(t,e){return e===undefined||e===t||String(t.id)===String(e)};Pt.prototype.getNode=function(t){for(var e=0;e<this.nodes.length;e++){if(Pt.matches(this.nodes[e],t))return this.nodes[e]}return null};Pt.prototype.getHits=function(t,e){return this.edges.filter(function(r){return Pt.matches(r.a,t)&&Pt.matches(r.b,e)})};Pt.prototype.getCollisions=function(t){return this.edges.filter(function(e){return Pt.matches(e.a,t)||Pt.matches(e.b,t)})};Pt.prototype.getFirstHitter=function(t){var e=this.getHits(undefined,t);return e.length>0?e[0].a:null};Pt.prototype.getLastHit=function(t){var e=this.getCollisions(t);return e.length>0?e[e.length-1]:null};Pt.prototype.getPartners=function(t){var e=[];this.getCollisions(t).forEach(function(r){var o=Pt.matches(r.a,t)?r.b:r.a;if(e.indexOf(o)===-1)e.push(o)});return e};Pt.prototype.countPartners=function(t){return this.getPartners(t).length};Pt.prototype.getTemporalOrder=function(){var t=[];this.edges.forEach(function(e){if(t.indexOf(e.a)===-1)t.push(e.a);if(t.indexOf(e.b)===-1)t.push(e.b)});return t};Pt.prototype.getFirstCollisionTime=function(t){var e=this.getCollisions(t);return e.length>0?e[0].t:null};Pt.prototype.compare=function(t,e){var r=this.getFirstCollisionTime(t),o=this.getFirstCollisionTime(e);if(r===null)r=Infinity;if(o===null)o=Infinity;return r<o?-1:r>o?1:0};Pt.prototype.toJSON=function(){return{nodes:this.nodes.map(function(t){return{id:t.id,movable:!!t.movable}}),edges:this.edges.map(function(t){return{a:t.a.id,b:t.b.id,dv:t.dv,t:t.t}})}};var St=function(t,e){this.scene=t;this.side=t.side;this.id=t.name||"s"+Math.round(Math.random()*1e4);this.oracle=e;this.objs=[];this.groups=[];this.ground=null;this.frame=null;this.statics=[];this.collisions=[];this.collision_graph=new Pt(t.shapes,[]);this.trajectories=[];this.times=["start","end"];this.event_states=[];this.membership_profile=null;this.init();for(var r=0;r<dt.states.length;r++){this.addState(dt.states[r].name,dt.states[r].time)}};St.fromSVGScene=function(t){t.adjustStrokeWidth(.5*t.pixels_per_unit/100);var o=new r.Dynamics.b2World(new r.Common.Math.b2Vec2(0,10),true);var i=new e.Box2DAdapter
+;i.loadScene(o,t,true,false);var n=new St(t,new e.PhysicsOracle(new e.PhysicsScene(o)));n.registerObjects();return n};St.prototype.setMembershipProfile=function(t){if(t===null)this.membership_profile=null;else if(typeof t==="string"){if(!(t in dt.membership_profiles))throw"unknown membership profile '"+t+"'";this.membership_profile=dt.membership_profiles[t]}else{this.membership_profile=jt(o.getMembershipProfile(this),t)}};St.prototype.addState=function(t,e){Mt(t,e);if(typeof e==="number")return this.insertState(t,e);if(t in this.oracle.states||this.isEventState(t))throw"state '"+t+"' already exists";this.event_states.push({name:t,event:e})};St.prototype.isEventState=function(t){return this.event_states.some(function(e){return e.name===t})};St.prototype.skipsState=function(t){return this.isEventState(t)&&!(t in this.oracle.states)};St.prototype.insertState=function(t,e){this.oracle.addState(t,e);var r=this.oracle.states;var o=function(t){return r[t].time==="end"?Infinity:r[t].time};var i=0;while(i<this.times.length&&o(this.times[i])<=e)i++;this.times.splice(i,0,t)};St.prototype.getAllGroup=function(){return wt.sceneGroup(this)};St.prototype.init=function(){var t=[],e=this.scene.shapes;for(var r=0;r<e.length;r++){if(e[r].movable)t.push(e[r]);else if(e[r].id=="|")this.frame=e[r];else{if(e[r].id=="_")this.ground=e[r];this.statics.push(e[r])}}};St.prototype.registerObjects=function(){var t=this.scene.shapes.filter(function(t){return t.movable});for(var e=0;e<t.length;e++){if(!t[e].object_node)this.objs.push(new Tt(this,t[e]))}for(var e=0;e<this.statics.length;e++){var r=this.statics[e];if(!r.object_node)r.object_node=new Tt(this,r)}};St.prototype.perceiveCollisions=function(){this.oracle.gotoState("start");this.collisions=this.oracle.observeCollisions();for(var t=0;t<this.collisions.length;t++){this.collisions[t].a=this.collisions[t].a.master_obj;this.collisions[t].b=this.collisions[t].b.master_obj}this.collision_graph=new Pt(this.scene.shapes,this.collisions);this.trajectories=this.oracle.trajectories.map(function(t){var e=t.body.master_obj,r=e.phys_scale;return{obj:e,samples:t.samples.map(function(t){return{t:t.t,x:t.x/r,y:t.y/r,rot:t.rot,vx:t.vx/r,vy:t.vy/r,w:t.w}})}});this.resolveEventStates()};St.prototype.resolveEventStates=function(){for(var t=0;t<this.event_states.length;t++){var e=this.event_states[t].name,r=this.times.indexOf(e);if(r!=-1)this.times.splice(r,1);if(e in this.oracle.states)this.oracle.removeState(e);var o=this.getEventTime(this.event_states[t].event);if(o!==null)this.insertState(e,o)}};St.prototype.getEventTime=function(t){var e=null;var o=function(t,e){return e===undefined||String(t.id)===String(e)};if(t.event==="hit"){var i=this.collisions.filter(function(e){return(o(e.a,t.obj)||o(e.b,t.obj))&&(o(e.a,t.other)||o(e.b,t.other))});var n=i[(t.nth||1)-1];if(n)e=n.t}else if(t.event==="rest"){var s=r.Common.b2Settings,a=false;this.trajectories.forEach(function(r){if(!o(r.obj,t.obj))return;var i=s.b2_linearSleepTolerance/r.obj.phys_scale,n=s.b2_angularSleepTolerance;var p=function(t){return Math.sqrt(t.vx*t.vx+t.vy*t.vy)>i||Math.abs(t.w)>n};var h=r.samples.length-1,c=r.samples[0].t;if(p(r.samples[h]))a=true;for(var l=0;l<h;l++)if(p(r.samples[l]))c=r.samples[l+1].t;e=Math.max(e,c)});if(a)e=null}return e===null?null:e+(t.delay||0)};St.prototype.getTrajectory=function(t){for(var e=0;e<this.trajectories.length;e++){if(this.trajectories[e].obj===t)return this.trajectories[e].samples}return null};St.prototype.perceiveAll=function(){this.perceiveCollisions();for(var t=0;t<this.times.length;t++){this.oracle.gotoState(this.times[t]);this.perceiveCurrent(this.times[t])}};St.prototype.perceiveCurrent=function(t){t=t||"current";this.registerObjects();for(var e=0;e<this.objs.length;e++)this.objs[e].perceive(t)};St.prototype.describe=function(t){t=t||"";var e=[t+"Objects:"];for(var r=0;r<this.objs.length;r++){e.push(this.objs[r].describe(t+"  "))}e.push(t+"Collisions:");for(var r=0;r<this.collisions.length;r++){var o=this.collisions[r];e.push(t+"  "+o.a.id+" hits "+o.b.id)}return e.join("\n")};St.prototype.toJSON=function(){return{id:this.id,side:this.side,membership_profile:o.getMembershipProfile(this),objs:this.objs.map(function(t){return t.toJSON()}),collisions:this.collisions.map(function(t){return{a:t.a.id,b:t.b.id,dv:t.dv,t:t.t}})}};var At=function(t){this.obj_attrs=[];this.grp_attrs=[];this.rels=[];this.unique=!!t;this.cached_complexity=null};At.prototype.getType=function(){if(this.blank())return"object";if(this.grp_attrs.length===0)return"object";if(this.obj_attrs.length===0&&this.rels.length===0)return"group";return"mixed"};At.prototype.getComplexity=function(){var t=0;for(var e=0;e<this.obj_attrs.length;e++){t+=this.obj_attrs[e].getComplexity()}for(var e=0;e<this.grp_attrs.length;e++){t+=this.grp_attrs[e].getComplexity()}for(var e=0;e<this.rels.length;e++){t+=this.rels[e].getComplexity()}if(this.cached_complexity===null)this.cached_complexity=t;if(this.cached_complexity!==t)throw"cached complexity got stale!";return t};At.prototype.blank=function(){return this.obj_attrs.length===0&&this.grp_attrs.length===0&&this.rels.length===0};At.prototype.hasRelationships=function(){return this.rels.length>0};At.prototype.featureCount=function(){return this.obj_attrs.length+this.grp_attrs.length+this.rels.length};At.prototype.forEachFeature=function(t){var e=function(e,r){if(e instanceof At.ChangeMatcher){t(r[e.from.key]);if(e.to.key!==e.from.key)t(r[e.to.key])}else t(r[e.key])};var r;for(r=0;r<this.obj_attrs.length;r++)e(this.obj_attrs[r],dt.obj_attrs);for(r=0;r<this.grp_attrs.length;r++)e(this.grp_attrs[r],dt.group_attrs);for(r=0;r<this.rels.length;r++){e(this.rels[r],dt.obj_rels);this.rels[r].other_sel.forEachFeature(t);if(this.rels[r].other_sel2)this.rels[r].other_sel2.forEachFeature(t)}};At.prototype.mergedWith=function(t){var e=new At;var r=function(t){e.add_attr(t)};var o=function(t){e.add_rel(t)};this.obj_attrs.forEach(r);t.obj_attrs.forEach(r);this.grp_attrs.forEach(r);t.grp_attrs.forEach(r);this.rels.forEach(o);t.rels.forEach(o);return e};At.prototype.clone=function(){var t=new At(this.unique);var e=function(e){t.add_attr(e)};var r=function(e){t.add_rel(e)};this.obj_attrs.forEach(e);this.grp_attrs.forEach(e);this.rels.forEach(r);return t};At.prototype.use_attr=function(t,e){this.add_attr(At.AttrMatcher.fromAttribute(t,e));return this};At.prototype.add_attr=function(t){var e=t.type==="group"?this.grp_attrs:this.obj_attrs;for(var r=0;r<e.length;r++){var o=e[r];if(o.key===t.key&&o.time===t.time&&o.type===o.type){e[r]=t;return this}}e.push(t);return this};At.prototype.use_rel=function(t,e,r,o){this.add_rel(At.RelMatcher.fromRelationship(t,e,r,o));return this};At.prototype.add_rel=function(t){for(var e=0;e<this.rels.length;e++){var r=this.rels[e];if(r.key===t.key&&r.time==t.time&&r.other_sel.equals(t.other_sel)&&At.equalOrNone(r.other_sel2,t.other_sel2)){this.rels[e]=t;return this}}this.rels.push(t);return this};At.prototype.add_change=function(t){if(t.from instanceof At.RelMatcher)return this.add_rel(t);return this.add_attr(t)};At.prototype.equals=function(t){if(!t)return false;if(this===t)return true;if(this.obj_attrs.length!==t.obj_attrs.length)return false;if(this.grp_attrs.length!==t.grp_attrs.length)return false;if(this.rels.length!==t.rels.length)return false;var e=this;var r=function(r){return!e[r].every(function(e){return t[r].some(function(t){return e.equals(t)})})};if(r("grp_attrs")||r("obj_attrs")||r("rels"))return false;return true};At.equalOrNone=function(t,e){if(!t||!e)return!t&&!e;return t.equals(e)};At.prototype.matchesObject=function(t,e,r){return this.obj_attrs.every(function(e){return e.matches(t)})&&(r?r(t):this.rels.every(function(r){return r.matches(t,e)}))};At.prototype.matchesGroup=function(t){return this.grp_attrs.every(function(e){return e.matches(t)})};At.prototype.select=function(t,e,r){if(this.blank())return t;var o=this.mergedWith(t.selectors[0]);var i=t.clone();var n=this.getType();var s=this;i.selectors=[o];if(n==="mixed"||n==="object"){var a=i.objs.map(function(t){return t.object_node}).filter(function(t){return s.matchesObject(t,null,r)}).map(function(t){return t.obj});i=new wt(e,a,o)}if(n==="mixed"||n==="group"){if(!this.matchesGroup(i))i=new wt(e,[],o)}return i};At.prototype.applyToScene=function(t){var e=this.select(wt.sceneGroup(t),t);e.selectors=[this];return e};At.prototype.describe=function(){if(this.blank())return this.unique?"[the object]":"(any object)";var t=this.obj_attrs.map(function(t){return t.describe()}).join(" and ");var e=this.grp_attrs.map(function(t){return t.describe()});var r=this.rels.map(function(t){return t.describe()});r=r.concat(e).join(" and ");if(this.unique)return"[the "+t+" object"+(r===""?"":" that is "+r)+"]";return"("+t+" objects"+(r===""?"":" that are "+r)+")"};At.prototype.describe2=function(t){if(this.blank()){if(t)return"*";return this.unique?"there is exactly one object":"any object"}var e=this.obj_attrs.map(function(t){return t.describe()});var r=this.grp_attrs.map(function(t){return t.describe()}).join(" and ");var o=this.rels.map(function(t){return t.describe()});var i=e.concat(o).concat(r).join(" and ");if(t){if(this.unique)return"[that is "+i+"]";else return"[that are "+i+"]"}else{if(this.unique)return"[exactly one object is "+i+"]";else return"(objects that are "+i+")"}};At.AttrMatcher=function(t,e,r,o,i){this.key=t;this.label=e;this.active=typeof r==="undefined"?true:r;if(t in dt.obj_attrs){this.type="object";this.constant=dt.obj_attrs[t].prototype.constant}else{this.type="group";this.constant=dt.group_attrs[t].prototype.constant}this.time=o||"start"};At.AttrMatcher.prototype.clone=function(){return new At.AttrMatcher(this.key,this.label,this.active,this.time,this.type)};At.AttrMatcher.fromAttribute=function(t,e){return new At.AttrMatcher(t.key,t.get_label(),t.get_activity()>=dt.activation_threshold,e)};At.AttrMatcher.prototype.getComplexity=function(){var t=1;if(this.time!=="start")t++;if(!this.active)t+=2;return t};At.AttrMatcher.prototype.equals=function(t){return this.key===t.key&&this.label===t.label&&this.active===t.active&&this.time===t.time};At.AttrMatcher.prototype.matches=function(t){var e=t.getAttr(this.key,{time:this.time});if(!e)return false;var r=e.get_activity()>=dt.activation_threshold;return r==this.active&&e.get_label()==this.label};At.AttrMatcher.prototype.describe=function(){return(this.active?"":"not ")+this.label+(this.constant||this.time=="start"?"":" at the "+this.time)};At.RelMatcher=function(t,e,r,o,i,n){this.other_sel=t;this.other_sel2=n||null;this.key=e;this.label=r;this.active=typeof o==="undefined"?true:o;this.constant=dt.obj_rels[e].prototype.constant;this.symmetric=dt.obj_rels[e].prototype.symmetric;this.time=i||"start"};At.RelMatcher.prototype.clone=function(){return new At.RelMatcher(this.other_sel,this.key,this.label,this.active,this.time,this.other_sel2)};At.RelMatcher.prototype.getComplexity=function(){var t=1;if(this.time!=="start")t++;if(!this.active)t+=2;t+=this.other_sel.getComplexity();if(this.other_sel2)t+=this.other_sel2.getComplexity();return t};At.RelMatcher.prototype.equals=function(t){return this.key===t.key&&this.label===t.label&&this.active===t.active&&this.time===t.time&&this.other_sel.equals(t.other_sel)&&At.equalOrNone(this.other_sel2,t.other_sel2)};At.RelMatcher.prototype.matches=function(t,e){if(this.other_sel.rels.length>0)throw"the other-selector of";if(!e)e=this.getOthers(t);if(this.other_sel2)return this.matchesTernary(t,e);var r=this;var o=function(e){if(e===t)return false;return r.matchesRel(t,e)};var i=function(t){return r.other_sel.matchesObject(t,null,o)};var n=e.filter(i);if(!this.active)return n.length===e.length;if(this.other_sel.unique&&n.length!=1)return false;return n.length>0};At.RelMatcher.prototype.getOthers=function(t){var e=t.scene_node;var r=e.objs.filter(function(e){return e!==t});if(dt.obj_rels[this.key].prototype.static_others){r=r.concat(e.statics.map(function(t){return t.object_node}))}return r};At.RelMatcher.prototype.matchesRel=function(t,e,r){var o=t.getRel(this.key,{other:e,other2:r,time:this.time});if(!o)return false;var i=o.get_activity()>=dt.activation_threshold;return i==this.active&&o.get_label()==this.label};At.RelMatcher.prototype.matchesTernary=function(t,e){if(this.other_sel2.rels.length>0)throw"the second other-selector of a RelMatcher must not have relationships";var r=this,o=[];var i=!!this.symmetric;for(var n=0;n<e.length;n++)for(var s=0;s<e.length;s++){if(n===s||i&&s<n)continue;if(e[n]!==t&&e[s]!==t)o.push([e[n],e[s]])}var a=function(e,o){if(!r.other_sel.matchesObject(e,null,function(){return true}))return false;if(!r.other_sel2.matchesObject(o,null,function(){return true}))return false;return r.matchesRel(t,e,o)};var p=function(t){return a(t[0],t[1])||i&&a(t[1],t[0])};var h=o.filter(p);if(!this.active)return h.length===o.length;if((this.other_sel.unique||this.other_sel2.unique)&&h.length!=1)return false;return h.length>0};At.RelMatcher.fromRelationship=function(t,e,r,o){return new At.RelMatcher(t,e.key,e.get_label(),e.get_activity()>=dt.activation_threshold,r,o)};At.RelMatcher.prototype.describe=function(){return(this.active?"":"not ")+this.label+" "+this.other_sel.describe()+(this.other_sel2?" and "+this.other_sel2.describe():"")+(this.constant||this.time=="start"?"":" at the "+this.time)};At.ChangeMatcher=function(t,e){var r=t instanceof At.RelMatcher;if(r!==e instanceof At.RelMatcher)throw"a change must be between two attributes or two relationships";if(t.time===e.time)throw"a change must be between two different times";if(t.constant||e.constant)throw"constant features can't change";if(r&&!(t.other_sel.equals(e.other_sel)&&At.equalOrNone(t.other_sel2,e.other_sel2))){throw"a change of relationships must be with the same objects"}if(!r&&t.type!==e.type)throw"a change must be between attributes of the same type";this.from=t;this.to=e;this.key=e.key;this.type=e.type;this.time=t.time+"-"+e.time;this.constant=false;if(r){this.other_sel=t.other_sel;this.other_sel2=t.other_sel2}};At.ChangeMatcher.prototype.clone=function(){return new At.ChangeMatcher(this.from.clone(),this.to.clone())};At.ChangeMatcher.prototype.getComplexity=function(){var t=2;if(this.from.key!==this.to.key||this.from.label!==this.to.label)t++;if(this.from.time!=="start"||this.to.time!=="end")t++;if(this.other_sel)t+=this.other_sel.getComplexity();if(this.other_sel2)t+=this.other_sel2.getComplexity();return t};At.ChangeMatcher.prototype.equals=function(t){return t instanceof At.ChangeMatcher&&this.from.equals(t.from)&&this.to.equals(t.to)};At.ChangeMatcher.prototype.matches=function(t,e){if(!this.other_sel)return this.from.matches(t)&&this.to.matches(t);if(this.other_sel.rels.length>0)throw"the other-selector of a ChangeMatcher must not have relationships";if(!e)e=this.from.getOthers(t);var r=this,o=function(){return true};var i=[];for(var n=0;n<e.length;n++){if(e[n]===t||!this.other_sel.matchesObject(e[n],null,o))continue;if(!this.other_sel2)i.push([e[n]]);else for(var s=0;s<e.length;s++){if(s===n||e[s]===t)continue;if(this.other_sel2.matchesObject(e[s],null,o))i.push([e[n],e[s]])}}var a=i.filter(function(e){return r.from.matchesRel(t,e[0],e[1])&&r.to.matchesRel(t,e[0],e[1])});if((this.other_sel.unique||this.other_sel2&&this.other_sel2.unique)&&a.length!=1)return false;return a.length>0};At.ChangeMatcher.prototype.describe=function(){var t=this.from,e=this.to;var r;if(t.key===e.key&&t.label===e.label&&t.active!==e.active){r=(e.active?"becomes ":"no longer ")+e.label}else if(t.active&&e.active){r="changes from "+t.label+" to "+e.label}else return"was "+t.describe()+" and is "+e.describe();if(this.other_sel){r+=" "+this.other_sel.describe()+(this.other_sel2?" and "+this.other_sel2.describe():"")}if(t.time!=="start"||e.time!=="end"){r+=" between the "+t.time+" and the "+e.time}return r};var Ct=function(t,e,r){this.sel=t;this.mode=r||"exists";this.setMainSide(e);this.matchedAgainst=[];this.lchecks=0;this.rchecks=0;this.lmatches=0;this.rmatches=0;this.scene_pair_count=8;this.selects_single_objs=true};Ct.prototype.setMainSide=function(t){this.main_side=t||"both";this.other_side={left:"right",right:"left"}[this.main_side];return this};Ct.prototype.wasMatchedAgainst=function(t){return this.matchedAgainst.indexOf(t)!==-1};Ct.prototype.isSolution=function(){return this.rmatches===0&&this.lmatches==this.scene_pair_count||this.lmatches===0&&this.rmatches==this.scene_pair_count};Ct.prototype.compatibleWith=function(t){if(this.lmatches<this.lchecks&&t.rmatches<t.rchecks)return false;if(this.rmatches<this.rchecks&&t.lmatches<t.lchecks)return false;return true};Ct.prototype.checkScenePair=function(t,e){var r=this;var o=[];t.forEach(function(t){var e=r.sel.applyToScene(t);o.push(e);if(e.objs.length>1)r.selects_single_objs=false;var i=!e.empty();if(t.side==="left"){r.lchecks++;if(i)r.lmatches++}if(t.side==="right"){r.rchecks++;if(i)r.rmatches++}});this.matchedAgainst.push(e);if(this.lmatches===0&&this.rmatches===this.rchecks)this.setMainSide("right");else if(this.rmatches===0&&this.lmatches===this.lchecks)this.setMainSide("left");else if(this.lmatches>0&&this.rmatches===this.rchecks)this.setMainSide("both");else if(this.rmatches>0&&this.lmatches===this.lchecks)this.setMainSide("both");else this.setMainSide("fail");return o};Ct.prototype.check=function(t,e){if(this.side!=="left"&&this.side!=="right")return false;var r=this.main_side=="left"?t:e,o=this.main_side=="right"?t:e;return r.every(this.check_scene.bind(this))&&!o.some(this.check_scene.bind(this))};Ct.prototype.equals=function(t){return this.mode===t.mode&&this.sel.equals(t.sel)};Ct.prototype.mergedWith=function(t){var e=this.mode===t.mode?e:"exists";var r;if(t.main_side===this.main_side)r=this.main_side;else if(this.main_side==="both")r=t.main_side;else if(t.main_side==="both")r=this.main_side;else return null;return new Ct(this.sel.mergedWith(t.sel),r,e)};Ct.prototype.clone=function(){return new Ct(this.sel.clone(),this.main_side,this.mode)};Ct.prototype.applyToScene=function(t){if(this.main_side==="left"&&t.side!=="left")return new wt(null,[],this.sel);if(this.main_side==="right"&&t.side!=="right")return new wt(null,[],this.sel);return this.sel.applyToScene(t)};Ct.prototype.check_scene=function(t){var e=wt.sceneGroup(t);var r=this.sel.select(e,t);var o=r.objs.length;var i=false;if(this.mode=="unique"&&o==1)i=1;else if(this.mode=="exists"&&o>0)i=o;else if(this.mode=="all"&&o>0&&e.objs.length==o)i=o;t.fits_solution=!!i;return i};Ct.prototype.describe=function(){var t="";if(this.main_side)t+=this.main_side==="both"?"In all scenes, ":"Only in the "+this.main_side+" scenes, ";t+=this.mode+": "+this.sel.describe();return t};o.settings=dt;o.SceneNode=St;o.ObjectNode=Tt;o.GroupNode=wt;o.Selector=At;o.Solution=Ct;o.CollisionGraph=Pt;o.LeftAttribute=q;o.LeftMostAttribute=N;o.RightAttribute=O;o.RightMostAttribute=E;o.BottomAttribute=z;o.TopAttribute=F;o.TopMostAttribute=D;o.SingleAttribute=G;o.OnGroundAttribute=L;o.CircleAttribute=T;o.SquareAttribute=P;o.RectangleAttribute=S;o.TriangleAttribute=A;o.ShapeAttribute=w;o.StabilityAttribute=p;o.SmallAttribute=R;o.LargeAttribute=I;o.MovesAttribute=C;o.MovableUpAttribute=c;o.MovableDownAttribute=l;o.MovableLeftAttribute=u;o.MovableRightAttribute=f;o.TopplesAttribute=y;o.MotionAttribute=v;o.DisplacementAttribute=m;o.FastAttribute=g;o.SlowAttribute=_;o.MovingLeftAttribute=d;o.MovingRightAttribute=j;o.MovingUpAttribute=M;o.FallingAttribute=x;o.FirstToMoveAttribute=k;o.IsSupportedAttribute=nt;o.ColorAttribute=st;o.OrientationAttribute=pt;o.ElongationAttribute=ht;o.ContainerAttribute=ct;o.CloseAttribute=Y;o.CountAttribute=ot;o.FarAttribute=Q;o.TouchAttribute=it;o.SameSizeAttribute=yt;o.AboveRelationship=J;o.BelowRelationship=H;o.LeftRelationship=B;o.RightRelationship=W;o.BesideRelationship=V;o.FarRelationship=K;o.CloseRelationship=X;o.OnTopRelationship=U;o.TouchRelationship=$;o.HitsRelationship=Z;o.GetsHitRelationship=tt;o.CollidesRelationship=et;o.SupportsRelationship=rt;o.SameColorRelationship=at;o.InsideRelationship=lt;o.LargerRelationship=ut;o.SmallerRelationship=ft;o.SameShapeRelationship=vt;o.BetweenRelationship=mt;o.CausesMotionRelationship=bt;o.HitsBeforeRelationship=gt;o.MovesBeforeRelationship=_t;o.s2p=e;o.Box2D=r;return o});
@@ -0,0 +1,103 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// The collisions of a scene as a directed graph. Its nodes are all shapes of the scene,
+/// including the ground and the frame, and its edges are the {a, b, dv, t} collisions
+/// in temporal order, pointing from the hitting object a to the object b it hits.
+/// The query methods accept either a shape or its id for the objects.
+var CollisionGraph = function(nodes, edges) {
+  this.nodes = nodes;
+  this.edges = edges.slice().sort(function (e1, e2) { return e1.t - e2.t });
+}
+
+/// Returns true if the passed object is the passed shape or id. Undefined matches all.
+CollisionGraph.matches = function(obj, o) {
+  return o === undefined || o === obj || String(obj.id) === String(o);
+}
+
+/// Returns the node with the passed id or null if there is none.
+CollisionGraph.prototype.getNode = function(id) {
+  for (var i=0; i<this.nodes.length; i++) {
+    if (CollisionGraph.matches(this.nodes[i], id)) return this.nodes[i];
+  }
+  return null;
+}
+
+/// Returns the edges in temporal order in which a hits b. Leave out a or b to get all
+/// edges from a or to b.
+CollisionGraph.prototype.getHits = function(a, b) {
+  return this.edges.filter(function (e) {
+    return CollisionGraph.matches(e.a, a) && CollisionGraph.matches(e.b, b);
+  });
+}
+
+/// Returns the edges in temporal order that involve the passed object as hitter or
+/// as the one being hit.
+CollisionGraph.prototype.getCollisions = function(obj) {
+  return this.edges.filter(function (e) {
+    return CollisionGraph.matches(e.a, obj) || CollisionGraph.matches(e.b, obj);
+  });
+}
+
+/// Returns the object that hits the passed object first or null if it is never hit.
+CollisionGraph.prototype.getFirstHitter = function(obj) {
+  var hits = this.getHits(undefined, obj);
+  return hits.length > 0 ? hits[0].a : null;
+}
+
+/// Returns the last edge that involves the passed object or null if there is none.
+CollisionGraph.prototype.getLastHit = function(obj) {
+  var hits = this.getCollisions(obj);
+  return hits.length > 0 ? hits[hits.length-1] : null;
+}
+
+/// Returns the distinct objects the passed object collides with in the order of
+/// their first collision.
+CollisionGraph.prototype.getPartners = function(obj) {
+  var res = [];
+  this.getCollisions(obj).forEach(function (e) {
+    var other = CollisionGraph.matches(e.a, obj) ? e.b : e.a;
+    if (res.indexOf(other) === -1) res.push(other);
+  });
+  return res;
+}
+
+/// Returns the number of distinct objects the passed object collides with.
+CollisionGraph.prototype.countPartners = function(obj) {
+  return this.getPartners(obj).length;
+}
+
+/// Returns the objects that take part in collisions in the order of their first
+/// collision.
+CollisionGraph.prototype.getTemporalOrder = function() {
+  var res = [];
+  this.edges.forEach(function (e) {
+    if (res.indexOf(e.a) === -1) res.push(e.a);
+    if (res.indexOf(e.b) === -1) res.push(e.b);
+  });
+  return res;
+}
+
+/// Returns the time of the first collision of the passed object or null if it does not
+/// collide with anything.
+CollisionGraph.prototype.getFirstCollisionTime = function(obj) {
+  var hits = this.getCollisions(obj);
+  return hits.length > 0 ? hits[0].t : null;
+}
+
+/// Returns -1 if the first collision of object a happens before the first collision of
+/// object b, 1 if it happens after it and 0 if they happen at the same time. Objects
+/// without collisions are sorted last.
+CollisionGraph.prototype.compare = function(a, b) {
+  var ta = this.getFirstCollisionTime(a), tb = this.getFirstCollisionTime(b);
+  if (ta === null) ta = Infinity;
+  if (tb === null) tb = Infinity;
+  return ta < tb ? -1 : (ta > tb ? 1 : 0);
+}
+
+/// Returns the graph as object that can be serialized with JSON.stringify. Nodes are
+/// {id, movable} objects and edges are {a, b, dv, t} objects with the ids of the shapes.
+CollisionGraph.prototype.toJSON = function() {
+  return { nodes: this.nodes.map(function (n) { return { id: n.id, movable: !!n.movable } })
+         , edges: this.edges.map(function (e) { return { a: e.a.id, b: e.b.id, dv: e.dv, t: e.t } })
+         };
+}
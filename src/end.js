@@ -0,0 +1,85 @@
+
+PBP.settings = pbpSettings;
+PBP.SceneNode = SceneNode;
+PBP.ObjectNode = ObjectNode;
+PBP.GroupNode = GroupNode;
+PBP.Selector = Selector;
+PBP.Solution = Solution;
+PBP.CollisionGraph = CollisionGraph;
+
+// object attributes
+PBP.LeftAttribute = LeftAttribute;
+PBP.LeftMostAttribute = LeftMostAttribute;
+PBP.RightAttribute = RightAttribute;
+PBP.RightMostAttribute = RightMostAttribute;
+PBP.BottomAttribute = BottomAttribute;
+PBP.TopAttribute = TopAttribute;
+PBP.TopMostAttribute = TopMostAttribute;
+PBP.SingleAttribute = SingleAttribute;
+PBP.OnGroundAttribute = OnGroundAttribute;
+PBP.CircleAttribute = CircleAttribute;
+PBP.SquareAttribute = SquareAttribute;
+PBP.RectangleAttribute = RectangleAttribute;
+PBP.TriangleAttribute = TriangleAttribute;
+PBP.ShapeAttribute = ShapeAttribute;
+PBP.StabilityAttribute = StabilityAttribute;
+PBP.SmallAttribute = SmallAttribute;
+PBP.LargeAttribute = LargeAttribute;
+PBP.MovesAttribute = MovesAttribute;
+PBP.MovableUpAttribute = MovableUpAttribute;
+PBP.MovableDownAttribute = MovableDownAttribute;
+PBP.MovableLeftAttribute = MovableLeftAttribute;
+PBP.MovableRightAttribute = MovableRightAttribute;
+PBP.TopplesAttribute = TopplesAttribute;
+PBP.MotionAttribute = MotionAttribute;
+PBP.DisplacementAttribute = DisplacementAttribute;
+PBP.FastAttribute = FastAttribute;
+PBP.SlowAttribute = SlowAttribute;
+PBP.MovingLeftAttribute = MovingLeftAttribute;
+PBP.MovingRightAttribute = MovingRightAttribute;
+PBP.MovingUpAttribute = MovingUpAttribute;
+PBP.FallingAttribute = FallingAttribute;
+PBP.FirstToMoveAttribute = FirstToMoveAttribute;
+PBP.IsSupportedAttribute = IsSupportedAttribute;
+PBP.ColorAttribute = ColorAttribute;
+PBP.OrientationAttribute = OrientationAttribute;
+PBP.ElongationAttribute = ElongationAttribute;
+PBP.ContainerAttribute = ContainerAttribute;
+
+// group attributes
+PBP.CloseAttribute = CloseAttribute;
+PBP.CountAttribute = CountAttribute;
+PBP.FarAttribute = FarAttribute;
+PBP.TouchAttribute = TouchAttribute;
+PBP.SameSizeAttribute = SameSizeAttribute;
+
+// object relationships
+PBP.AboveRelationship = AboveRelationship;
+PBP.BelowRelationship = BelowRelationship;
+PBP.LeftRelationship = LeftRelationship;
+PBP.RightRelationship = RightRelationship;
+PBP.BesideRelationship = BesideRelationship;
+PBP.FarRelationship = FarRelationship;
+PBP.CloseRelationship = CloseRelationship;
+PBP.OnTopRelationship = OnTopRelationship;
+PBP.TouchRelationship = TouchRelationship;
+PBP.HitsRelationship = HitsRelationship;
+PBP.GetsHitRelationship = GetsHitRelationship;
+PBP.CollidesRelationship = CollidesRelationship;
+PBP.SupportsRelationship = SupportsRelationship;
+PBP.SameColorRelationship = SameColorRelationship;
+PBP.InsideRelationship = InsideRelationship;
+PBP.LargerRelationship = LargerRelationship;
+PBP.SmallerRelationship = SmallerRelationship;
+PBP.SameShapeRelationship = SameShapeRelationship;
+PBP.BetweenRelationship = BetweenRelationship;
+PBP.CausesMotionRelationship = CausesMotionRelationship;
+PBP.HitsBeforeRelationship = HitsBeforeRelationship;
+PBP.MovesBeforeRelationship = MovesBeforeRelationship;
+
+// the instances of the dependencies the library uses
+PBP.s2p = s2p;
+PBP.Box2D = Box2D;
+
+return PBP;
+});
@@ -1,5 +1,5 @@
 /// Object beeing above to other object on a scale from 1 (very) to 0 (not at all).
-AboveRelationship = function(obj, other) {
+var AboveRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 AboveRelationship.prototype.key = "above";
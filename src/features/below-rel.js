@@ -1,5 +1,5 @@
 /// Object beeing below to other object on a scale from 1 (very) to 0 (not at all).
-BelowRelationship = function(obj, other) {
+var BelowRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 BelowRelationship.prototype.key = "below";
@@ -1,5 +1,5 @@
 /// Object being left or right to another object on a scale from 1 (very) to 0 (not at all).
-BesideRelationship = function(obj, other) {
+var BesideRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 BesideRelationship.prototype.key = "beside";
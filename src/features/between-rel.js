@@ -0,0 +1,54 @@
+/// Relationship of arity 3. An object is between two other objects if it is
+/// horizontally between them (right of one and left of the other) or vertically
+/// between them (above one and below the other). The activity is the larger of both,
+/// which are based on the spatial memberships of the SpatialRelationAnalyzer, like
+/// the left-of and above relationships.
+var BetweenRelationship = function(obj, other, other2) {
+  this.perceive(obj, other, other2);
+}
+BetweenRelationship.prototype.key = "between";
+BetweenRelationship.prototype.targetType = 'obj';
+BetweenRelationship.prototype.arity = 3;
+BetweenRelationship.prototype.symmetric = true; // in the two other objects
+BetweenRelationship.prototype.constant = false;
+
+/// Returns how much obj is left of, right of, above and below other on a scale from
+/// 0 to 1. The result is cached in the object node of obj as long as both objects keep
+/// their positions, since each object pair is part of many object triples.
+BetweenRelationship.directions = function(obj, other) {
+  var pos = [obj.x, obj.y, obj.rot, other.x, other.y, other.rot].join()
+    , cache = obj.object_node.between_cache || (obj.object_node.between_cache = {});
+  if (!cache[other.id] || cache[other.id].pos !== pos) {
+    cache[other.id] = { pos: pos, dirs: BetweenRelationship.getDirections(obj, other) };
+  }
+  return cache[other.id].dirs;
+}
+
+/// Like directions, but always runs the SpatialRelationAnalyzer.
+BetweenRelationship.getDirections = function(obj, other) {
+  var m = function(dir) {
+    return SpatialRelationAnalyzer(100, 100/2/100, dir).getMembership(obj, other)[1];
+  }
+  var left = m('left'), right = m('right'), above = m('above'), below = m('below');
+  return { left: Math.max(0, left-right), right: Math.max(0, right-left)
+         , above: Math.max(0, above-below), below: Math.max(0, below-above) };
+}
+
+BetweenRelationship.prototype.perceive = function(obj, other, other2) {
+  this.obj = obj;
+  this.other = other;
+  this.other2 = other2;
+  var a = BetweenRelationship.directions(obj, other)
+    , b = BetweenRelationship.directions(obj, other2);
+  this.horizontal = Math.max(Math.min(a.right, b.left), Math.min(a.left, b.right));
+  this.vertical = Math.max(Math.min(a.above, b.below), Math.min(a.below, b.above));
+  this.val = Math.max(this.horizontal, this.vertical);
+}
+
+BetweenRelationship.prototype.get_activity = function() {
+  return this.val;
+}
+
+BetweenRelationship.prototype.get_label = function() {
+  return 'between';
+}
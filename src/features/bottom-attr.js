@@ -1,4 +1,4 @@
-BottomAttribute = function(obj) {
+var BottomAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.ground);
   this.perceive(obj);
 }
@@ -13,7 +13,8 @@ BottomAttribute.prototype.adaptDomain = function(ground) {
 }
 
 BottomAttribute.prototype.membership = function(x) {
-	return 1-1/(1+Math.exp(20*(0.3-x/this.maxy)));
+	var p = PBP.getMembershipProfile(this.obj.object_node.scene_node).bottom;
+	return 1-1/(1+Math.exp(p.a*(p.m-x/this.maxy)));
 }
 
 BottomAttribute.prototype.perceive = function(obj) {
@@ -0,0 +1,88 @@
+/// Reflects whether an object causes the motion of another one, like the first domino
+/// in a row of falling dominos causes the motion of the last one. A causes the motion of
+/// C if there is a chain of collisions from A to C, where A hits B and B then hits C
+/// within a time window and so on. The chain may also consist of A hitting C directly.
+/// This is confirmed counterfactually by disabling A and simulating the scene again from
+/// the start: the activity depends on how much farther C moves with A than without it.
+var CausesMotionRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+CausesMotionRelationship.prototype.key = "causes_motion_of";
+CausesMotionRelationship.prototype.targetType = 'obj';
+CausesMotionRelationship.prototype.arity = 2;
+CausesMotionRelationship.prototype.symmetric = false;
+CausesMotionRelationship.prototype.constant = true;
+
+/// Sets `chain` to the list of collisions leading from obj to other or null if there is
+/// none. If there is a chain, `val` is the distance in scene units the other object
+/// moved between the 'start' and the 'end' state, and `val_without` is the distance it
+/// moved when obj was removed from the scene at the start.
+CausesMotionRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  var sn = obj.object_node.scene_node;
+  var window = PBP.getMembershipProfile(sn).causes_motion.window;
+  this.chain = CausesMotionRelationship.findChain(sn.collisions, obj, other, window);
+  this.val = this.val_without = 0;
+  if (!this.chain) return;
+  var oracle = sn.oracle, body = other.phys_obj;
+  var s = oracle.getBodyInStates(body, ['start', 'end']);
+  this.val = CausesMotionRelationship.distance(s.start, s.end) / other.phys_scale;
+  this.val_without = CausesMotionRelationship.simulateWithout(obj.phys_obj, body, oracle) / other.phys_scale;
+}
+
+CausesMotionRelationship.prototype.get_activity = function() {
+  if (!this.chain) return 0;
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CausesMotionRelationship.membership(this.val - this.val_without, profile);
+}
+
+CausesMotionRelationship.prototype.get_label = function() {
+  return 'causes-motion-of';
+}
+
+/// Uses the 'causes_motion' parameters of the passed membership profile or of the active
+/// one. The passed value is the additional distance in scene units the other object
+/// moved because of the first one.
+CausesMotionRelationship.membership = function(dist, profile) {
+  var p = (profile || PBP.getMembershipProfile()).causes_motion;
+  return 1/(1+Math.exp(p.a*(p.m-dist)));
+}
+
+/// Returns the first chain of collisions {a, b, dv, t} found in the passed list in which
+/// A hits some object, this object then hits the next one within `window` seconds and
+/// so on, until C is hit. Returns null if there is no such chain.
+CausesMotionRelationship.findChain = function(collisions, A, C, window) {
+  var search = function(obj, t, chain) {
+    for (var i=0; i<collisions.length; i++) {
+      var c = collisions[i];
+      if (c.a !== obj || c.t < t || (chain.length > 0 && c.t > t + window)) continue;
+      if (c.b === A || chain.some(function (link) { return link.a === c.b })) continue;
+      if (c.b === C) return chain.concat([c]);
+      var res = search(c.b, c.t, chain.concat([c]));
+      if (res) return res;
+    }
+    return null;
+  }
+  return search(A, -Infinity, []);
+}
+
+/// Returns the distance between the two passed positions {x, y}.
+CausesMotionRelationship.distance = function(p, q) {
+  return Math.sqrt((q.x-p.x)*(q.x-p.x) + (q.y-p.y)*(q.y-p.y));
+}
+
+/// Disables body A in the oracle's 'start' state, simulates the scene until all bodies
+/// rest and returns the distance body C moved in physics units. The physics state the
+/// oracle was in before is restored afterwards.
+CausesMotionRelationship.simulateWithout = function(A, C, oracle) {
+  var curr_state = oracle.curr_state, pstate = oracle.pscene.getState();
+  oracle.gotoState('start');
+  var start = C.GetWorldCenter().Copy();
+  var dist = oracle.whatIf([{type: 'remove', body: A}], 12, function() {
+    return CausesMotionRelationship.distance(start, C.GetWorldCenter());
+  }, {wake_up: true, until_sleep: true});
+  oracle.loadPhysicsState(pstate);
+  oracle.curr_state = curr_state;
+  return dist;
+}
@@ -1,4 +1,4 @@
-CircleAttribute = function(obj) {
+var CircleAttribute = function(obj) {
   this.perceive(obj);
 }
 CircleAttribute.prototype.key = 'circle';
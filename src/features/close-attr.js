@@ -4,7 +4,7 @@
 /// Groups with 1 or 0 objects are not close.
 /// This is a Minimum Spanning Tree problem, and we'll use the Kruskal's algorithm to solve
 /// it (see http://en.wikipedia.org/wiki/Kruskal%27s_algorithm).
-CloseAttribute = function(group) {
+var CloseAttribute = function(group) {
   this.perceive(group);
 }
 CloseAttribute.prototype.key = "close";
@@ -33,7 +33,8 @@ CloseAttribute.prototype.perceive = function(group) {
 }
 
 CloseAttribute.prototype.get_activity = function() {
-  return (isNaN(this.val) ? 0 : CloseRelationship.membership(this.val));
+  var profile = PBP.getMembershipProfile(this.group.scene_node);
+  return (isNaN(this.val) ? 0 : CloseRelationship.membership(this.val, profile));
 }
 
 CloseAttribute.prototype.get_label = function() {
@@ -1,4 +1,4 @@
-CloseRelationship = function(obj, other) {
+var CloseRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 CloseRelationship.prototype.key = "close";
@@ -8,11 +8,11 @@ CloseRelationship.prototype.symmetric = true;
 CloseRelationship.prototype.constant = false;
 
 // Input this at google: plot 1/(1+exp(20*(0.35-x/100))) from -10 to 110, 1-1/(1+exp(30*(0.2-x/100)))
-CloseRelationship.membership = function(dist) {
-  var a_close = 30; // steepness of sigmoid function
-  var m_close = 0.2; // distance at which sigmoid is 0.5 (on scale 0...1)
-  var size = 100; // scene width and height
-  return 1-1/(1+Math.exp(a_close*(m_close-dist/size)));
+/// Uses the 'close' parameters of the passed membership profile or of the active one.
+CloseRelationship.membership = function(dist, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.close;
+  return 1-1/(1+Math.exp(p.a*(p.m-dist/profile.scene_size)));
 }
 
 CloseRelationship.prototype.perceive = function(obj, other) {
@@ -32,7 +32,8 @@ CloseRelationship.prototype.perceive = function(obj, other) {
 }
 
 CloseRelationship.prototype.get_activity = function() {
-  return CloseRelationship.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CloseRelationship.membership(this.val, profile);
 }
 
 CloseRelationship.prototype.get_label = function() {
@@ -1,4 +1,4 @@
-CollidesRelationship = function(obj, other) {
+var CollidesRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 CollidesRelationship.prototype.key = "collides";
@@ -16,7 +16,7 @@ CollidesRelationship.prototype.perceive = function(obj, other) {
   );
   // save the speed of the strongest collision in val
   this.val = this.collisions.length == 0 ? 0
-             : d3.max(this.collisions, function (coll) { return coll.dv });
+             : Math.max.apply(null, this.collisions.map(function (coll) { return coll.dv }));
 }
 
 CollidesRelationship.prototype.get_activity = function() {
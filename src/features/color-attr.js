@@ -0,0 +1,122 @@
+/// Reflects the perceived color category of an object, which is derived from its fill
+/// color or, if it has none, from its stroke color. Possible categories are the hues
+/// red, orange, yellow, green, blue and purple and the achromatic colors black, gray
+/// and white. Colors between two categories belong to both to a graded degree and the
+/// memberships of all categories sum up to 1. Objects without any color are 'unknown'.
+var ColorAttribute = function(obj) {
+  this.perceive(obj);
+}
+ColorAttribute.prototype.key = 'color';
+ColorAttribute.prototype.targetType = 'obj';
+ColorAttribute.prototype.arity = 1;
+ColorAttribute.prototype.constant = true;
+
+/// Prototypical hues (in degrees) and lightnesses (on scale 0...1) of the categories,
+/// each sorted ascending.
+ColorAttribute.hues = [ {label: 'red', hue: 0}, {label: 'orange', hue: 30}
+                      , {label: 'yellow', hue: 60}, {label: 'green', hue: 120}
+                      , {label: 'blue', hue: 240}, {label: 'purple', hue: 285} ];
+ColorAttribute.lightnesses = [ {label: 'black', l: 0}, {label: 'gray', l: 0.5}
+                             , {label: 'white', l: 1} ];
+
+ColorAttribute.named_colors = {
+  black: '#000000', white: '#ffffff', gray: '#808080', grey: '#808080', silver: '#c0c0c0'
+ ,red: '#ff0000', maroon: '#800000', orange: '#ffa500', yellow: '#ffff00', olive: '#808000'
+ ,lime: '#00ff00', green: '#008000', aqua: '#00ffff', cyan: '#00ffff', teal: '#008080'
+ ,blue: '#0000ff', navy: '#000080', fuchsia: '#ff00ff', magenta: '#ff00ff', purple: '#800080'
+};
+
+/// Parses a css color string like '#f00', '#ff0000', 'rgb(255, 0, 0)' or 'red' and
+/// returns an {r, g, b} object with values on scale 0...1. Returns null for 'none'
+/// and unknown colors.
+ColorAttribute.parseColor = function(str) {
+  if (typeof(str) !== 'string') return null;
+  str = str.trim().toLowerCase();
+  if (str in ColorAttribute.named_colors) str = ColorAttribute.named_colors[str];
+  var m;
+  if (m = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(str)) {
+    return { r: parseInt(m[1]+m[1], 16)/255, g: parseInt(m[2]+m[2], 16)/255
+           , b: parseInt(m[3]+m[3], 16)/255 };
+  }
+  if (m = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/.exec(str)) {
+    return { r: parseInt(m[1], 16)/255, g: parseInt(m[2], 16)/255, b: parseInt(m[3], 16)/255 };
+  }
+  if (m = /^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/.exec(str)) {
+    return { r: Math.min(255, m[1])/255, g: Math.min(255, m[2])/255, b: Math.min(255, m[3])/255 };
+  }
+  return null;
+}
+
+/// Returns the color of the passed shape as {r, g, b} object or null.
+ColorAttribute.getColor = function(shape) {
+  var style = shape.style || {};
+  return ColorAttribute.parseColor(style.fill) || ColorAttribute.parseColor(style.stroke);
+}
+
+/// Linearly distributes a membership of 1 between the two neighboring prototypes
+/// of val in the passed sorted array and adds it, multiplied by the weight, to res.
+/// If period is passed, the prototypes wrap around.
+ColorAttribute.interpolate = function(res, protos, field, val, weight, period) {
+  var n = protos.length;
+  for (var i=0; i<n; i++) {
+    var lo = protos[i], hi = protos[(i+1)%n];
+    var lo_v = lo[field], hi_v = hi[field];
+    if (i == n-1) {
+      if (!period) { res[lo.label] += weight; return res } // val is beyond the last one
+      hi_v += period;
+      if (val < lo_v) val += period;
+    }
+    if (val >= lo_v && val <= hi_v) {
+      var t = (val-lo_v) / (hi_v-lo_v);
+      res[lo.label] += weight*(1-t);
+      res[hi.label] += weight*t;
+      return res;
+    }
+  }
+  return res;
+}
+
+/// Returns the memberships of the passed {r, g, b} color to all categories. The
+/// 'color' parameters of the membership profile define at which chroma (difference
+/// between largest and smallest rgb component) a color is chromatic.
+ColorAttribute.membership = function(rgb, profile) {
+  var res = {};
+  ColorAttribute.hues.concat(ColorAttribute.lightnesses).forEach(function (c) { res[c.label] = 0 });
+  if (!rgb) return res;
+  var p = (profile || PBP.getMembershipProfile()).color;
+  var max = Math.max(rgb.r, rgb.g, rgb.b), min = Math.min(rgb.r, rgb.g, rgb.b);
+  var chroma = max-min;
+  var chromatic = 1/(1+Math.exp(p.a*(p.m-chroma)));
+  if (chroma > 0) {
+    var hue;
+    if (max == rgb.r) hue = 60*(((rgb.g-rgb.b)/chroma+6)%6);
+    else if (max == rgb.g) hue = 60*((rgb.b-rgb.r)/chroma+2);
+    else hue = 60*((rgb.r-rgb.g)/chroma+4);
+    ColorAttribute.interpolate(res, ColorAttribute.hues, 'hue', hue, chromatic, 360);
+  } else chromatic = 0;
+  ColorAttribute.interpolate(res, ColorAttribute.lightnesses, 'l', (max+min)/2, 1-chromatic);
+  return res;
+}
+
+ColorAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.val = ColorAttribute.getColor(obj);
+}
+
+/// Returns the memberships of the object's color to all categories.
+ColorAttribute.prototype.get_memberships = function() {
+  return ColorAttribute.membership(this.val, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+ColorAttribute.prototype.get_activity = function() {
+  if (!this.val) return 0;
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the category with the highest membership.
+ColorAttribute.prototype.get_label = function() {
+  if (!this.val) return 'unknown';
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
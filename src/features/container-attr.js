@@ -0,0 +1,126 @@
+/// Reflects whether an object is a container like a cup, bowl or U-shape and which
+/// direction its opening faces. The biggest pocket of a polygon is the biggest region
+/// enclosed by a run of its concave vertices and the line that closes it, which is
+/// the opening. The deeper the pocket is relative to the width of its opening, the more
+/// the object is a container. The labels are 'open-up', 'open-down', 'open-left' and
+/// 'open-right' for containers and 'convex' for all other objects, including circles.
+/// Use `get_interior()` or `ContainerAttribute.getInterior(shape)` to get the region
+/// inside the container.
+var ContainerAttribute = function(obj) {
+  this.perceive(obj);
+}
+ContainerAttribute.prototype.key = 'container';
+ContainerAttribute.prototype.targetType = 'obj';
+ContainerAttribute.prototype.arity = 1;
+ContainerAttribute.prototype.constant = false;
+
+/// Sets `val` to the ratio of depth and opening width of the biggest pocket (0 if there
+/// is none) and `opening` to the direction of the opening in degrees (0 is right, 90 is up).
+ContainerAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var pocket = ContainerAttribute.findPocket(obj, PBP.getMembershipProfile(obj.object_node.scene_node));
+  this.val = pocket ? pocket.depth/pocket.width : 0;
+  this.opening = NaN;
+  this.interior = null;
+  if (!pocket) return;
+  var dir = pocket.normal.rotate(obj.rot || 0);
+  this.opening = OrientationAttribute.normalize(Math.atan2(-dir.y, dir.x)*180/Math.PI);
+  this.interior = ContainerAttribute.toSceneCoords(obj, pocket.region);
+}
+
+/// Returns the biggest pocket of a closed polygon as {region, width, depth, normal} in
+/// the polygon's coordinate system or null if there is none. A pocket is a run of
+/// concave vertices (notches, see Polygon.find_notch and Polygon.is_convex) between two
+/// convex vertices, which are connected by the opening. The region is the polygon
+/// bounded by the pocket's vertices and the opening; the normal points out of the
+/// opening. Pockets whose opening crosses the polygon and pockets smaller than the
+/// 'container.min_area' fraction of the polygon's area including the pocket are ignored.
+ContainerAttribute.findPocket = function(shape, profile) {
+  if (!(shape instanceof Polygon) || !shape.closed || shape.pts.length < 4) return null;
+  var p = (profile || PBP.getMembershipProfile()).container;
+  var poly = shape.copy();
+  poly.order_vertices();
+  var pts = poly.pts, N = pts.length;
+  if (poly.find_notch() == N) return null; // convex
+  var poly_area = Math.abs(poly.area()), best = null;
+  for (var a=0; a<N; a++) {
+    if (!poly.is_convex(a) || poly.is_convex((a+1)%N)) continue;
+    var b = (a+1)%N;
+    while (!poly.is_convex(b)) b = (b+1)%N;
+    var lid = pts[b].sub(pts[a]), width = lid.len();
+    if (width < Point.EPS) continue;
+    var hit = new Point();
+    if (poly.find_intersection(pts[a], lid, hit, a, b) < N && hit.dist2(pts[a]) < width*width) continue;
+    var region = new Polygon();
+    for (var i=a; i!=b; i=(i+1)%N) region.push(pts[i].copy());
+    region.push(pts[b].copy());
+    var area = Math.abs(region.area());
+    if (area < p.min_area*(poly_area+area) || (best && best.area >= area)) continue;
+    var depth = 0, deepest = null;
+    for (var j=1; j<region.pts.length-1; j++) {
+      var d = Math.abs(lid.cross(region.pts[j].sub(pts[a]))) / width;
+      if (d > depth) { depth = d; deepest = region.pts[j] }
+    }
+    // the normal of the opening that points away from the pocket
+    var normal = new Point(-lid.y, lid.x).normalize();
+    if (normal.mul(pts[a].sub(deepest)) < 0) normal = normal.scale(-1);
+    best = { region: region, width: width, depth: depth, normal: normal, area: area };
+  }
+  return best;
+}
+
+/// Returns a copy of the passed polygon (in the coordinate system of the shape)
+/// transformed into scene coordinates, using the current position and rotation.
+ContainerAttribute.toSceneCoords = function(shape, poly) {
+  var res = new Polygon(), rot = shape.rot || 0;
+  for (var i=0; i<poly.pts.length; i++) {
+    var p = poly.pts[i].rotate(rot);
+    res.push(new Point(p.x+shape.x, p.y+shape.y));
+  }
+  return res;
+}
+
+/// Returns the interior region of a container shape in its current position as
+/// Polygon in scene coordinates or null if the shape has no pocket.
+ContainerAttribute.getInterior = function(shape, profile) {
+  var pocket = ContainerAttribute.findPocket(shape, profile);
+  return pocket ? ContainerAttribute.toSceneCoords(shape, pocket.region) : null;
+}
+
+/// Returns the memberships to all labels for the passed ratio of depth and opening
+/// width and the direction of the opening, based on the 'container' parameters of
+/// the membership profile.
+ContainerAttribute.membership = function(ratio, opening, profile) {
+  var p = (profile || PBP.getMembershipProfile()).container;
+  var container = ratio > 0 ? 1/(1+Math.exp(p.a*(p.m-ratio))) : 0;
+  var res = { 'convex': 1-container };
+  var dirs = { 'open-right': 0, 'open-up': 90, 'open-left': 180, 'open-down': 270 };
+  for (var label in dirs) {
+    var d = Math.abs(opening-dirs[label]) % 360;
+    d = Math.min(d, 360-d);
+    res[label] = isNaN(d) ? 0 : container/(1+Math.exp(0.2*(d-45)));
+  }
+  return res;
+}
+
+ContainerAttribute.prototype.get_memberships = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return ContainerAttribute.membership(this.val, this.opening, profile);
+}
+
+/// Returns the interior region of the container at the time of the perception as
+/// Polygon in scene coordinates or null.
+ContainerAttribute.prototype.get_interior = function() {
+  return this.interior;
+}
+
+ContainerAttribute.prototype.get_activity = function() {
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the label with the highest membership.
+ContainerAttribute.prototype.get_label = function() {
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
@@ -1,5 +1,5 @@
 /// Group attribute, number of objects in the group.
-CountAttribute = function(group) {
+var CountAttribute = function(group) {
   this.perceive(group);
 }
 CountAttribute.prototype.key = "count";
@@ -0,0 +1,66 @@
+/// Reflects how far an object moved between two states, per default from the 'start'
+/// to the 'end' state. Compares the positions of the object's centroid and its
+/// orientations in both states. An object 'stays-put' if its centroid moved only a
+/// little, otherwise it 'moves-left', 'moves-right', 'moves-up' or 'moves-down',
+/// depending on the direction of its displacement. The memberships of all labels sum
+/// up to 1.
+var DisplacementAttribute = function(obj) {
+  this.perceive(obj);
+}
+DisplacementAttribute.prototype.key = 'displacement';
+DisplacementAttribute.prototype.targetType = 'obj';
+DisplacementAttribute.prototype.arity = 1;
+DisplacementAttribute.prototype.constant = true;
+/// the states between which the displacement is measured
+DisplacementAttribute.prototype.from = 'start';
+DisplacementAttribute.prototype.to = 'end';
+
+DisplacementAttribute.labels = ['stays-put', 'moves-left', 'moves-right', 'moves-up', 'moves-down'];
+
+/// Sets `dx` and `dy` to the displacement of the centroid in scene units (dy is positive
+/// downwards), `val` to its length and `rot` to the rotation of the object in degrees
+/// (positive is clockwise).
+DisplacementAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.dx = this.dy = this.val = this.rot = 0;
+  var body = obj.phys_obj, oracle = obj.object_node.scene_node.oracle;
+  if (oracle.isStatic(body)) return;
+  var s = oracle.getBodyInStates(body, [this.from, this.to]);
+  var a = s[this.from], b = s[this.to];
+  this.dx = (b.x - a.x) / obj.phys_scale;
+  this.dy = (b.y - a.y) / obj.phys_scale;
+  this.val = Math.sqrt(this.dx*this.dx + this.dy*this.dy);
+  this.rot = Point.norm_angle(b.rot - a.rot)*180/Math.PI;
+}
+
+/// Returns the memberships of the passed displacement in scene units to all labels.
+/// Uses the 'displacement' parameters of the passed membership profile or of the
+/// active one for deciding whether the object moved far. The membership of moving far
+/// is distributed between the directions by the squared cosine of the angle between
+/// the displacement and each direction.
+DisplacementAttribute.membership = function(dx, dy, profile) {
+  var p = (profile || PBP.getMembershipProfile()).displacement;
+  var dist = Math.sqrt(dx*dx + dy*dy);
+  var far = 1/(1+Math.exp(p.a*(p.m-dist)));
+  var h = dist ? dx*dx/(dist*dist) : 0, v = dist ? dy*dy/(dist*dist) : 0;
+  return { 'stays-put': 1-far
+         , 'moves-left': dx < 0 ? far*h : 0, 'moves-right': dx > 0 ? far*h : 0
+         , 'moves-up': dy < 0 ? far*v : 0, 'moves-down': dy > 0 ? far*v : 0 };
+}
+
+/// Returns the memberships of the object's displacement to all labels.
+DisplacementAttribute.prototype.get_memberships = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return DisplacementAttribute.membership(this.dx, this.dy, profile);
+}
+
+DisplacementAttribute.prototype.get_activity = function() {
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the label with the highest membership.
+DisplacementAttribute.prototype.get_label = function() {
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
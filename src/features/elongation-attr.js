@@ -0,0 +1,77 @@
+/// Reflects how elongated an object is. The elongation is the ratio between the
+/// lengths of the principal axes of the object's area, which is the ratio of width and
+/// height for rectangles and 1 for circles and squares. Objects are 'long' or
+/// 'compact' to a graded degree; circles are not long at all.
+var ElongationAttribute = function(obj) {
+  this.perceive(obj);
+}
+ElongationAttribute.prototype.key = 'elongated';
+ElongationAttribute.prototype.targetType = 'obj';
+ElongationAttribute.prototype.arity = 1;
+ElongationAttribute.prototype.constant = true;
+
+ElongationAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.val = ElongationAttribute.elongation(obj);
+}
+
+/// Returns the elongation of the passed shape (>= 1) or NaN for open or degenerate
+/// polygons.
+ElongationAttribute.elongation = function(shape) {
+  if (shape instanceof Circle) return 1;
+  if (!(shape instanceof Polygon) || !shape.closed || shape.pts.length < 3) return NaN;
+  var axes = ElongationAttribute.principalAxes(shape);
+  if (!(axes.minor > 0)) return NaN;
+  return axes.major / axes.minor;
+}
+
+/// Returns the lengths of the principal axes {major, minor} of a polygon's area and
+/// the angle of the major axis, based on the second moments of the area. The lengths
+/// are the standard deviations of the area along the axes.
+ElongationAttribute.principalAxes = function(poly) {
+  var A = 0, cx = 0, cy = 0, xx = 0, yy = 0, xy = 0, N = poly.pts.length;
+  for (var i=0; i<N; i++) {
+    var p = poly.pts[i], q = poly.pts[(i+1)%N];
+    var c = p.x*q.y - q.x*p.y;
+    A += c;
+    cx += (p.x+q.x)*c;
+    cy += (p.y+q.y)*c;
+    xx += (p.x*p.x + p.x*q.x + q.x*q.x)*c;
+    yy += (p.y*p.y + p.y*q.y + q.y*q.y)*c;
+    xy += (p.x*q.y + 2*p.x*p.y + 2*q.x*q.y + q.x*p.y)*c;
+  }
+  A /= 2; cx /= 6*A; cy /= 6*A;
+  // central second moments, normalized by the area
+  xx = xx/(12*A) - cx*cx;
+  yy = yy/(12*A) - cy*cy;
+  xy = xy/(24*A) - cx*cy;
+  var d = Math.sqrt((xx-yy)*(xx-yy)/4 + xy*xy);
+  return { major: Math.sqrt(Math.max(0, (xx+yy)/2 + d))
+         , minor: Math.sqrt(Math.max(0, (xx+yy)/2 - d))
+         , angle: Math.atan2(2*xy, xx-yy)/2 };
+}
+
+/// Returns the membership of the passed elongation to 'long', based on the
+/// 'elongated' parameters of the passed membership profile or of the active one.
+ElongationAttribute.membership = function(elongation, profile) {
+  var p = (profile || PBP.getMembershipProfile()).elongated;
+  if (elongation <= 1) return 0;
+  return 1/(1+Math.exp(p.a*(p.m-elongation)));
+}
+
+ElongationAttribute.prototype.get_memberships = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  var long = ElongationAttribute.membership(this.val, profile);
+  return { 'long': long, 'compact': 1-long };
+}
+
+ElongationAttribute.prototype.get_activity = function() {
+  if (isNaN(this.val)) return 0;
+  return this.get_memberships()[this.get_label()];
+}
+
+ElongationAttribute.prototype.get_label = function() {
+  if (isNaN(this.val)) return 'unknown';
+  var ms = this.get_memberships();
+  return ms['long'] >= ms['compact'] ? 'long' : 'compact';
+}
@@ -0,0 +1,27 @@
+/// Reflects whether an object falls, which means it moves down. The attribute stores
+/// the current downward velocity as `val` and its highest value during the following
+/// time window as `peak` (see Velocity.sample). The activity depends on the
+/// peak.
+var FallingAttribute = function(obj) {
+  this.perceive(obj);
+}
+FallingAttribute.prototype.key = 'falling';
+FallingAttribute.prototype.targetType = 'obj';
+FallingAttribute.prototype.arity = 1;
+FallingAttribute.prototype.constant = false;
+
+FallingAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = v.y;
+  this.peak = v.peak.down;
+}
+
+FallingAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Velocity.membership(this.peak, profile);
+}
+
+FallingAttribute.prototype.get_label = function() {
+  return 'falling';
+}
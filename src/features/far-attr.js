@@ -1,6 +1,6 @@
 /// Group attribute. A group is as far as the smallest distance of
 /// any two members is far. Groups with 1 or 0 objects are not far.
-FarAttribute = function(group) {
+var FarAttribute = function(group) {
   this.perceive(group);
 }
 FarAttribute.prototype.key = "far";
@@ -21,7 +21,8 @@ FarAttribute.prototype.perceive = function(group) {
 }
 
 FarAttribute.prototype.get_activity = function() {
-  return isNaN(this.val) ? 0 : FarRelationship.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.group.scene_node);
+  return isNaN(this.val) ? 0 : FarRelationship.membership(this.val, profile);
 }
 
 FarAttribute.prototype.get_label = function() {
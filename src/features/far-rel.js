@@ -1,4 +1,4 @@
-FarRelationship = function(obj, other) {
+var FarRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 FarRelationship.prototype.key = "far";
@@ -8,11 +8,11 @@ FarRelationship.prototype.symmetric = true;
 FarRelationship.prototype.constant = false;
 
 // Input this at google: plot 1/(1+exp(20*(0.35-x/100))) from -10 to 110, 1-1/(1+exp(30*(0.2-x/100)))
-FarRelationship.membership = function(dist) {
-  var a_far = 20; // steepness of sigmoid function
-  var m_far = 0.25; // distance at which sigmoid is 0.5 (on scale 0...1)
-  var size = 100; // scene width and height
-  return 1/(1+Math.exp(a_far*(m_far-dist/size)));
+/// Uses the 'far' parameters of the passed membership profile or of the active one.
+FarRelationship.membership = function(dist, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.far;
+  return 1/(1+Math.exp(p.a*(p.m-dist/profile.scene_size)));
 }
 
 FarRelationship.prototype.perceive = function(obj, other) {
@@ -22,7 +22,8 @@ FarRelationship.prototype.perceive = function(obj, other) {
 }
 
 FarRelationship.prototype.get_activity = function() {
-  return FarRelationship.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return FarRelationship.membership(this.val, profile);
 }
 
 FarRelationship.prototype.get_label = function() {
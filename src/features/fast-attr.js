@@ -0,0 +1,33 @@
+/// Reflects whether an object moves fast. The attribute stores the object's speed at the
+/// current state as `val` and the highest speed during the following time window as
+/// `peak`. The activity depends on the peak, so an object that is about to be fast is
+/// fast already.
+var FastAttribute = function(obj) {
+  this.perceive(obj);
+}
+FastAttribute.prototype.key = 'fast';
+FastAttribute.prototype.targetType = 'obj';
+FastAttribute.prototype.arity = 1;
+FastAttribute.prototype.constant = false;
+
+/// Uses the 'fast' parameters of the passed membership profile or of the active one.
+FastAttribute.membership = function(speed, profile) {
+  var p = (profile || PBP.getMembershipProfile()).fast;
+  return 1/(1+Math.exp(p.a*(p.m-speed)));
+}
+
+FastAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = v.speed;
+  this.peak = v.peak.speed;
+}
+
+FastAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return FastAttribute.membership(this.peak, profile);
+}
+
+FastAttribute.prototype.get_label = function() {
+  return 'fast';
+}
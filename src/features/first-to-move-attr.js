@@ -0,0 +1,33 @@
+/// Reflects whether an object is the first one in the scene that starts to move, see
+/// MovesBeforeRelationship.getStartTime. The activity is how much it starts before the
+/// next object does (see MovesBeforeRelationship.membership), so it is 0 for objects
+/// starting at the same time and if no other object moves.
+var FirstToMoveAttribute = function(obj) {
+  this.perceive(obj);
+}
+FirstToMoveAttribute.prototype.key = 'first_to_move';
+FirstToMoveAttribute.prototype.targetType = 'obj';
+FirstToMoveAttribute.prototype.arity = 1;
+FirstToMoveAttribute.prototype.constant = true;
+
+/// Sets `val` to the time the object starts to move in seconds or to null if it does
+/// not move and `next` to the earliest start time of all other objects in the scene.
+FirstToMoveAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.val = MovesBeforeRelationship.getStartTime(obj);
+  this.next = null;
+  var objs = obj.object_node.scene_node.objs;
+  for (var i=0; i<objs.length; i++) {
+    if (objs[i].obj === obj) continue;
+    var t = MovesBeforeRelationship.getStartTime(objs[i].obj);
+    if (t !== null && (this.next === null || t < this.next)) this.next = t;
+  }
+}
+
+FirstToMoveAttribute.prototype.get_activity = function() {
+  return MovesBeforeRelationship.membership(this.val, this.next, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+FirstToMoveAttribute.prototype.get_label = function() {
+  return 'first-to-move';
+}
@@ -1,4 +1,4 @@
-GetsHitRelationship = function(obj, other) {
+var GetsHitRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 GetsHitRelationship.prototype.key = "gets_hit";
@@ -15,7 +15,7 @@ GetsHitRelationship.prototype.perceive = function(obj, other) {
   );
   // save the speed of the strongest collision in val
   this.val = this.collisions.length == 0 ? 0
-             : d3.max(this.collisions, function (coll) { return coll.dv });
+             : Math.max.apply(null, this.collisions.map(function (coll) { return coll.dv }));
 }
 
 GetsHitRelationship.prototype.get_activity = function() {
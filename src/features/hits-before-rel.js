@@ -0,0 +1,30 @@
+/// Reflects whether an object hits something before the other object does, see
+/// MovesBeforeRelationship.membership. The activity is 0 if the other object does not
+/// hit anything. The collision times are taken from the collision graph of the scene.
+var HitsBeforeRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+HitsBeforeRelationship.prototype.key = "hits_before";
+HitsBeforeRelationship.prototype.targetType = 'obj';
+HitsBeforeRelationship.prototype.arity = 2;
+HitsBeforeRelationship.prototype.symmetric = false;
+HitsBeforeRelationship.prototype.constant = true;
+
+/// Sets `t` and `other_t` to the times of the first hits of both objects in seconds
+/// or to null if an object does not hit anything.
+HitsBeforeRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  var cg = obj.object_node.scene_node.collision_graph;
+  var first_hit = function(o) { var hits = cg.getHits(o); return hits.length > 0 ? hits[0].t : null };
+  this.t = first_hit(obj);
+  this.other_t = first_hit(other);
+}
+
+HitsBeforeRelationship.prototype.get_activity = function() {
+  return MovesBeforeRelationship.membership(this.t, this.other_t, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+HitsBeforeRelationship.prototype.get_label = function() {
+  return 'hits-before';
+}
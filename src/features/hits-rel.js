@@ -1,4 +1,4 @@
-HitsRelationship = function(obj, other) {
+var HitsRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 HitsRelationship.prototype.key = "hits";
@@ -15,7 +15,7 @@ HitsRelationship.prototype.perceive = function(obj, other) {
   );
   // save the speed of the strongest collision in val
   this.val = this.collisions.length == 0 ? 0
-             : d3.max(this.collisions, function (coll) { return coll.dv });
+             : Math.max.apply(null, this.collisions.map(function (coll) { return coll.dv }));
 }
 
 HitsRelationship.prototype.get_activity = function() {
@@ -0,0 +1,51 @@
+/// Reflects how much of an object lies inside the interior of another object, which
+/// is the biggest pocket of a container (see ContainerAttribute). The activity is the
+/// fraction of the object's area inside the interior, so a ball that sticks out of a
+/// cup by half is inside of it to a degree of 0.5. The relationship is also perceived
+/// with static objects like U-shaped ground pieces as other objects.
+var InsideRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+InsideRelationship.prototype.key = "inside_of";
+InsideRelationship.prototype.targetType = 'obj';
+InsideRelationship.prototype.arity = 2;
+InsideRelationship.prototype.symmetric = false;
+InsideRelationship.prototype.constant = false;
+InsideRelationship.prototype.static_others = true;
+
+/// Number of sample points per dimension used to estimate the overlap.
+InsideRelationship.samples = 12;
+
+InsideRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  var profile = PBP.getMembershipProfile(other.object_node && other.object_node.scene_node);
+  var interior = ContainerAttribute.getInterior(other, profile);
+  this.val = interior ? InsideRelationship.overlap(obj, interior) : 0;
+}
+
+/// Returns the fraction of the area of the shape that lies inside the passed polygon in
+/// scene coordinates. The fraction is estimated by sampling points on a regular grid
+/// inside the shape.
+InsideRelationship.overlap = function(shape, region) {
+  var n = InsideRelationship.samples, total = 0, inside = 0;
+  var bb = shape.bounding_box(), rot = shape.rot || 0;
+  var is_poly = shape instanceof Polygon;
+  for (var i=0; i<n; i++) for (var j=0; j<n; j++) {
+    // polygon vertices are relative to shape.x, shape.y, circles are not
+    var p = new Point(bb.x+(i+0.5)*bb.width/n, bb.y+(j+0.5)*bb.height/n);
+    if (!shape.contains(p)) continue;
+    if (is_poly) p = p.rotate(rot).add(new Point(shape.x, shape.y));
+    total++;
+    if (region.contains(p)) inside++;
+  }
+  return total ? inside/total : 0;
+}
+
+InsideRelationship.prototype.get_activity = function() {
+  return this.val;
+}
+
+InsideRelationship.prototype.get_label = function() {
+  return 'inside-of';
+}
@@ -1,4 +1,4 @@
-LargeAttribute = function(obj) {
+var LargeAttribute = function(obj) {
   this.perceive(obj);
 }
 LargeAttribute.prototype.key = 'large';
@@ -7,11 +7,11 @@ LargeAttribute.prototype.arity = 1;
 LargeAttribute.prototype.constant = true;
 
 // google: "plot from -10 to 1000, 1/(1+exp(4*(2-x/100)))"
-LargeAttribute.membership = function(area) {
-  var a = 4; // steepness of sigmoid function
-  var m = 2.0; // area at which sigmoid is 0.5 (whole scene has area 100)
-  var size = 100;
-  return 1/(1+Math.exp(a*(m-area/size/size*100)));
+/// Uses the 'large' parameters of the passed membership profile or of the active one.
+LargeAttribute.membership = function(area, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.large, size = profile.scene_size;
+  return 1/(1+Math.exp(p.a*(p.m-area/size/size*100)));
 }
 
 LargeAttribute.prototype.perceive = function(obj) {
@@ -20,7 +20,8 @@ LargeAttribute.prototype.perceive = function(obj) {
 }
 
 LargeAttribute.prototype.get_activity = function() {
-  return LargeAttribute.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return LargeAttribute.membership(this.val, profile);
 }
 
 LargeAttribute.prototype.get_label = function() {
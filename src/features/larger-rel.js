@@ -0,0 +1,39 @@
+/// An object is larger than another object to a graded degree, depending on the ratio
+/// of their areas. The activity is 0.5 at the ratio `m` of the 'larger' parameters of
+/// the membership profile.
+var LargerRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+LargerRelationship.prototype.key = "larger_than";
+LargerRelationship.prototype.targetType = 'obj';
+LargerRelationship.prototype.arity = 2;
+LargerRelationship.prototype.symmetric = false;
+LargerRelationship.prototype.constant = true;
+
+/// Uses the 'larger' parameters of the passed membership profile or of the active one.
+LargerRelationship.membership = function(ratio, profile) {
+  var p = (profile || PBP.getMembershipProfile()).larger;
+  return 1/(1+Math.exp(p.a*(p.m-ratio)));
+}
+
+/// Returns the ratio of the areas of the two shapes.
+LargerRelationship.areaRatio = function(obj, other) {
+  var a = Math.abs(obj.area()), b = Math.abs(other.area());
+  if (b === 0) return a === 0 ? 1 : Infinity;
+  return a / b;
+}
+
+LargerRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.val = LargerRelationship.areaRatio(obj, other);
+}
+
+LargerRelationship.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return LargerRelationship.membership(this.val, profile);
+}
+
+LargerRelationship.prototype.get_label = function() {
+  return 'larger-than';
+}
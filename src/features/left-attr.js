@@ -1,14 +1,14 @@
-LeftAttribute = function(obj) {
+var LeftAttribute = function(obj) {
   this.perceive(obj);
 }
 LeftAttribute.prototype.key = "left_pos";
 LeftAttribute.prototype.targetType = 'obj';
 LeftAttribute.prototype.arity = 1;
-LeftAttribute.prototype.size = 100; // scene size
 LeftAttribute.prototype.constant = false;
 
 LeftAttribute.prototype.membership = function(x) {
-	return 1-1/(1+Math.exp(20*(0.4-x/this.size)));
+	var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node), p = profile.left;
+	return 1-1/(1+Math.exp(p.a*(p.m-x/profile.scene_size)));
 }
 
 LeftAttribute.prototype.perceive = function(obj) {
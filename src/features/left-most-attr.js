@@ -1,4 +1,4 @@
-LeftMostAttribute = function(obj) {
+var LeftMostAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.objs);
   this.perceive(obj);
 }
@@ -21,7 +21,8 @@ LeftMostAttribute.prototype.adaptDomain = function(objs) {
 }
 
 LeftMostAttribute.prototype.membership = function(x) {
-  return CloseRelationship.membership(2.5*Math.abs(this.val-this.leftmost_x));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CloseRelationship.membership(profile.most.dist_scale*Math.abs(x-this.leftmost_x), profile);
 }
 
 LeftMostAttribute.prototype.perceive = function(obj) {
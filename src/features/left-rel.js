@@ -1,5 +1,5 @@
 /// Object beeing left to other object on a scale from 1 (very) to 0 (not at all).
-LeftRelationship = function(obj, other) {
+var LeftRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 LeftRelationship.prototype.key = "left_of";
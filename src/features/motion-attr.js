@@ -0,0 +1,106 @@
+/// Reflects how an object moves. Samples the linear and angular velocity of the object
+/// and its contacts with other objects during a short time window starting at the
+/// current state of the simulation. Each sample is categorized as 'rests', 'falls-freely'
+/// (moving without touching anything), 'rolls' or 'slides' (moving along something it
+/// touches). A rolling object does not slip at its contact points, so for a rolling
+/// circle, its angular velocity times its radius matches its speed relative to the
+/// surface. A sliding object slips along the surface it touches. An object that moves
+/// together with everything it touches is counted as falling. An object 'bounces' if its vertical
+/// velocity turns from downward to upward within the time window. The memberships of
+/// all categories sum up to 1.
+var MotionAttribute = function(obj) {
+  this.perceive(obj);
+}
+MotionAttribute.prototype.key = 'motion';
+MotionAttribute.prototype.targetType = 'obj';
+MotionAttribute.prototype.arity = 1;
+MotionAttribute.prototype.constant = false;
+
+MotionAttribute.labels = ['rests', 'falls-freely', 'rolls', 'slides', 'bounces'];
+
+/// Sets `samples` to an array of {v, w, vy, contact, rel, slip} objects, see
+/// MotionAttribute.sample, which are taken during the 'window' seconds given in the
+/// membership profile.
+MotionAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var body = obj.phys_obj, oracle = obj.object_node.scene_node.oracle;
+  var window = PBP.getMembershipProfile(obj.object_node.scene_node).motion.window;
+  var samples = this.samples = [MotionAttribute.sample(body, oracle)];
+  if (oracle.isStatic(body)) return;
+  oracle.analyzeFuture(0, null, function() {
+    for (var t=0; t<window; t+=oracle.pscene.step()) {
+      samples.push(MotionAttribute.sample(body, oracle));
+    }
+  });
+}
+
+/// Returns the speed `v`, the angular speed `w`, the vertical velocity `vy` (positive
+/// is down) of the passed body, whether it touches other bodies as `contact`, its speed
+/// relative to the body it touches as `rel` and how fast it slips along that body as
+/// `slip`. A circle that rolls along a body does not slip, as its angular speed times
+/// its radius equals its speed relative to that body. Anything else slips with its
+/// relative speed. If several bodies are touched, the one with the least slip is used.
+/// All values are in physics units.
+MotionAttribute.sample = function(body, oracle) {
+  var vel = body.GetLinearVelocity(), center = body.GetWorldCenter();
+  var w = body.GetAngularVelocity();
+  var res = { v: vel.Length(), w: Math.abs(w), vy: vel.y, contact: false, rel: 0, slip: Infinity };
+  var r = body.IsCircle() ? body.GetFixtureList().GetShape().GetRadius() : 0;
+  oracle.getTouchedBodies(body).forEach(function (other) {
+    var rel = vel.Copy();
+    rel.Subtract(other.GetLinearVelocityFromWorldPoint(center));
+    var slip = Math.abs(rel.Length() - Math.abs(w)*r);
+    res.contact = true;
+    if (slip < res.slip) { res.slip = slip; res.rel = rel.Length() }
+  });
+  if (!res.contact) res.slip = 0;
+  return res;
+}
+
+/// Returns the memberships of the passed samples to all motion categories. Uses the
+/// 'moves' parameters of the membership profile to decide whether a sample is moving,
+/// both in total and relative to the touched body, and the 'motion' parameters to
+/// decide at which ratio of slipping speed and relative speed it is sliding and at
+/// which upward speed after moving down it bounces.
+MotionAttribute.membership = function(samples, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.motion, res = {};
+  MotionAttribute.labels.forEach(function (l) { res[l] = 0 });
+  samples.forEach(function (s) {
+    var moving = MovesAttribute.membership(s.v, profile);
+    var along = s.contact ? MovesAttribute.membership(s.rel, profile) : 0;
+    var sliding = 1/(1+Math.exp(p.a*(p.m-s.slip/Math.max(s.rel, 1e-6))));
+    res['rests'] += (1-moving) / samples.length;
+    res['falls-freely'] += moving*(1-along) / samples.length;
+    res['slides'] += moving*along*sliding / samples.length;
+    res['rolls'] += moving*along*(1-sliding) / samples.length;
+  });
+  // a bounce is a turn from moving down to moving up, after which the object leaves
+  // the surface it hit
+  var bounce = 0;
+  for (var i=1; i<samples.length; i++) {
+    if (samples[i-1].vy <= 0 || samples[i].vy >= 0) continue;
+    for (var j=i; j<samples.length && samples[j].vy < 0 && samples[j].contact; j++);
+    if (j == samples.length || samples[j].vy >= 0) continue;
+    bounce = Math.max(bounce, 1/(1+Math.exp(p.bounce_a*(p.bounce_m+samples[i].vy))));
+  }
+  MotionAttribute.labels.forEach(function (l) { res[l] *= 1-bounce });
+  res['bounces'] = bounce;
+  return res;
+}
+
+/// Returns the memberships of the object's motion to all categories.
+MotionAttribute.prototype.get_memberships = function() {
+  return MotionAttribute.membership(this.samples, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+MotionAttribute.prototype.get_activity = function() {
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the category with the highest membership.
+MotionAttribute.prototype.get_label = function() {
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
@@ -0,0 +1,79 @@
+/// Helper functions shared by the can-move attributes MovableUpAttribute,
+/// MovableDownAttribute, MovableLeftAttribute and MovableRightAttribute. They pull an
+/// object into a direction and grade how far it moved.
+var Movability = {};
+
+/// Sets the `val` and `at_edge` fields of the passed movability percept for the
+/// passed direction, see Movability.check.
+Movability.perceive = function(percept, dir) {
+  var res = Movability.check(dir, percept.obj.phys_obj
+                            , percept.obj.object_node.scene_node.oracle);
+  percept.val = res.dist / percept.obj.phys_scale;
+  percept.at_edge = res.at_edge;
+}
+
+/// Returns the activity of the passed movability percept: 1 if the object reached the
+/// edge of the frame, otherwise the membership of the distance it moved.
+Movability.activity = function(percept) {
+  if (percept.at_edge) return 1;
+  var profile = PBP.getMembershipProfile(percept.obj.object_node.scene_node);
+  return Movability.membership(percept.val, profile);
+}
+
+/// Uses the 'movable' parameters of the passed membership profile or of the active one.
+Movability.membership = function(dist, profile) {
+  var p = (profile || PBP.getMembershipProfile()).movable;
+  if (dist <= 0) return 0;
+  return 1/(1+Math.exp(p.a*(p.m-dist)));
+}
+
+/// Pulls the object with a small force for 2.5 seconds into the passed direction, one
+/// of 'up', 'down', 'left' or 'right', and returns how far it moved into that direction
+/// as `dist` (in physics units) and whether it ended up touching the edge of the frame
+/// in that direction as `at_edge`. Static objects can't be moved at all.
+Movability.check = function(dir, body, oracle) {
+  if (oracle.isStatic(body)) return { dist: 0, at_edge: false };
+
+  var b2Vec2 = Box2D.Common.Math.b2Vec2, m = body.GetMass();
+  var dirs = { up: new b2Vec2(0, -1), down: new b2Vec2(0, 1)
+             , left: new b2Vec2(-1, 0), right: new b2Vec2(1, 0) };
+  if (!(dir in dirs)) throw "unknown direction '" + dir + "'";
+  var d = dirs[dir];
+  // upwards, the force needs to overcome gravity, sidewards the friction on the ground
+  var f = (dir == 'up') ? new b2Vec2(0, -m*12)
+        : (dir == 'down') ? new b2Vec2(0, m*2) : new b2Vec2(d.x*m*5, 0);
+  var start = body.GetWorldCenter().Copy();
+
+  // apply force to the body (will be cleared on reset after analyzeFuture automatically)
+  var pull = function() {
+    body.SetSleepingAllowed(false);
+    body.ApplyForce(f, body.GetWorldCenter());
+  }
+
+  return oracle.analyzeFuture(2.5, pull, function() {
+    var center = body.GetWorldCenter();
+    var dist = Math.max(0, (center.x-start.x)*d.x + (center.y-start.y)*d.y);
+    // check whether object touches the frame at its border in the pull direction, and
+    // not only at one of the borders next to it
+    var res = oracle.getTouchedBodiesWithPos(body);
+    var at_edge = res.some(function (e) {
+      if (e.body.master_obj.id !== "|") return false;
+      var border = Movability.getFrameBorder(e.body.master_obj, dir);
+      for (var i=0; i<e.pts.length; i++) {
+        if (border - (e.pts[i].x*d.x + e.pts[i].y*d.y) < 0.02) return true;
+      }
+    });
+    return { dist: dist, at_edge: at_edge };
+  });
+}
+
+/// Returns the position of the border of the passed frame shape in the passed direction
+/// in physics units, projected onto that direction. E.g., for 'left' this is the
+/// negated x-coordinate of the left border, so that points further left are larger.
+Movability.getFrameBorder = function(frame, dir) {
+  var s = frame.phys_scale, bb = frame.bounding_box();
+  if (dir == 'up') return -(frame.y+bb.y)*s;
+  if (dir == 'down') return (frame.y+bb.y+bb.height)*s;
+  if (dir == 'left') return -(frame.x+bb.x)*s;
+  return (frame.x+bb.x+bb.width)*s;
+}
@@ -0,0 +1,23 @@
+/// Reflects whether an object can be moved down. Depends on how far the object moves
+/// when a small downward directed force is applied for 2.5 seconds, see
+/// Movability.
+var MovableDownAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovableDownAttribute.prototype.key = 'can_move_down';
+MovableDownAttribute.prototype.targetType = 'obj';
+MovableDownAttribute.prototype.arity = 1;
+MovableDownAttribute.prototype.constant = false;
+
+MovableDownAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  Movability.perceive(this, 'down');
+}
+
+MovableDownAttribute.prototype.get_activity = function() {
+  return Movability.activity(this);
+}
+
+MovableDownAttribute.prototype.get_label = function() {
+  return 'can-move-down';
+}
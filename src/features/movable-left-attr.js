@@ -0,0 +1,23 @@
+/// Reflects whether an object can be moved left. Depends on how far the object moves
+/// when a small force directed to the left is applied for 2.5 seconds, see
+/// Movability.
+var MovableLeftAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovableLeftAttribute.prototype.key = 'can_move_left';
+MovableLeftAttribute.prototype.targetType = 'obj';
+MovableLeftAttribute.prototype.arity = 1;
+MovableLeftAttribute.prototype.constant = false;
+
+MovableLeftAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  Movability.perceive(this, 'left');
+}
+
+MovableLeftAttribute.prototype.get_activity = function() {
+  return Movability.activity(this);
+}
+
+MovableLeftAttribute.prototype.get_label = function() {
+  return 'can-move-left';
+}
@@ -0,0 +1,23 @@
+/// Reflects whether an object can be moved right. Depends on how far the object moves
+/// when a small force directed to the right is applied for 2.5 seconds, see
+/// Movability.
+var MovableRightAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovableRightAttribute.prototype.key = 'can_move_right';
+MovableRightAttribute.prototype.targetType = 'obj';
+MovableRightAttribute.prototype.arity = 1;
+MovableRightAttribute.prototype.constant = false;
+
+MovableRightAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  Movability.perceive(this, 'right');
+}
+
+MovableRightAttribute.prototype.get_activity = function() {
+  return Movability.activity(this);
+}
+
+MovableRightAttribute.prototype.get_label = function() {
+  return 'can-move-right';
+}
@@ -1,6 +1,6 @@
 /// Reflects whether an object is moving at the moment or will be moving 0.1 seconds
 /// in the future. The activation is 0.5 for a linear velocity of 0.1.
-MovesAttribute = function(obj) {
+var MovesAttribute = function(obj) {
   this.perceive(obj);
 }
 MovesAttribute.prototype.key = 'moves';
@@ -9,10 +9,10 @@ MovesAttribute.prototype.arity = 1;
 MovesAttribute.prototype.constant = true;
 
 // google: "plot from -0.5 to 5, 1/(1+exp(40*(0.1-x)))"
-MovesAttribute.membership = function(lin_vel) {
-  var a = 40; // steepness of sigmoid function
-  var m = 0.1; // linear velocity at which sigmoid is 0.5
-  return 1/(1+Math.exp(a*(m-lin_vel)));
+/// Uses the 'moves' parameters of the passed membership profile or of the active one.
+MovesAttribute.membership = function(lin_vel, profile) {
+  var p = (profile || PBP.getMembershipProfile()).moves;
+  return 1/(1+Math.exp(p.a*(p.m-lin_vel)));
 }
 
 MovesAttribute.prototype.perceive = function(obj) {
@@ -27,7 +27,8 @@ MovesAttribute.prototype.perceive = function(obj) {
 }
 
 MovesAttribute.prototype.get_activity = function() {
-  return Math.max(MovesAttribute.membership(this.val), MovesAttribute.membership(this.val_soon));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Math.max(MovesAttribute.membership(this.val, profile), MovesAttribute.membership(this.val_soon, profile));
 }
 
 MovesAttribute.prototype.get_label = function() {
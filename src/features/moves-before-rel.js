@@ -0,0 +1,51 @@
+/// Reflects whether an object starts to move before the other object does. The
+/// activity grows with the time between both starts, it is 0 if both objects start
+/// at the same time or if one of them does not move at all. The start times are taken
+/// from the trajectories recorded by SceneNode.perceiveCollisions.
+var MovesBeforeRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+MovesBeforeRelationship.prototype.key = "moves_before";
+MovesBeforeRelationship.prototype.targetType = 'obj';
+MovesBeforeRelationship.prototype.arity = 2;
+MovesBeforeRelationship.prototype.symmetric = false;
+MovesBeforeRelationship.prototype.constant = true;
+
+/// Sets `t` and `other_t` to the times both objects start to move in seconds or to
+/// null if an object does not move.
+MovesBeforeRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.t = MovesBeforeRelationship.getStartTime(obj);
+  this.other_t = MovesBeforeRelationship.getStartTime(other);
+}
+
+MovesBeforeRelationship.prototype.get_activity = function() {
+  return MovesBeforeRelationship.membership(this.t, this.other_t, PBP.getMembershipProfile(this.obj.object_node.scene_node));
+}
+
+MovesBeforeRelationship.prototype.get_label = function() {
+  return 'moves-before';
+}
+
+/// Returns how much the event at time `t` precedes the event at time `other_t` using
+/// the 'before' parameters of the passed membership profile or of the active one.
+/// Returns 0 if one of the times is null or if `t` is not earlier than `other_t`.
+MovesBeforeRelationship.membership = function(t, other_t, profile) {
+  if (t === null || other_t === null || t >= other_t) return 0;
+  var p = (profile || PBP.getMembershipProfile()).before;
+  return 1/(1+Math.exp(p.a*(p.m-(other_t-t))));
+}
+
+/// Returns the time of the first trajectory sample in which the passed object is
+/// faster than Box2D's sleep tolerance or null if there is no such sample.
+MovesBeforeRelationship.getStartTime = function(obj) {
+  var samples = obj.object_node.scene_node.getTrajectory(obj);
+  if (!samples) return null;
+  var max_v = Box2D.Common.b2Settings.b2_linearSleepTolerance / obj.phys_scale;
+  for (var i=0; i<samples.length; i++) {
+    var s = samples[i];
+    if (Math.sqrt(s.vx*s.vx+s.vy*s.vy) > max_v) return s.t;
+  }
+  return null;
+}
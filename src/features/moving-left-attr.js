@@ -0,0 +1,26 @@
+/// Reflects whether an object moves to the left. The attribute stores the current velocity
+/// component in that direction as `val` and its highest value during the following time
+/// window as `peak` (see Velocity.sample). The activity depends on the peak.
+var MovingLeftAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovingLeftAttribute.prototype.key = 'moving_left';
+MovingLeftAttribute.prototype.targetType = 'obj';
+MovingLeftAttribute.prototype.arity = 1;
+MovingLeftAttribute.prototype.constant = false;
+
+MovingLeftAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = -v.x;
+  this.peak = v.peak.left;
+}
+
+MovingLeftAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Velocity.membership(this.peak, profile);
+}
+
+MovingLeftAttribute.prototype.get_label = function() {
+  return 'moving-left';
+}
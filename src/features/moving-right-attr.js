@@ -0,0 +1,26 @@
+/// Reflects whether an object moves to the right. The attribute stores the current velocity
+/// component in that direction as `val` and its highest value during the following time
+/// window as `peak` (see Velocity.sample). The activity depends on the peak.
+var MovingRightAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovingRightAttribute.prototype.key = 'moving_right';
+MovingRightAttribute.prototype.targetType = 'obj';
+MovingRightAttribute.prototype.arity = 1;
+MovingRightAttribute.prototype.constant = false;
+
+MovingRightAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = v.x;
+  this.peak = v.peak.right;
+}
+
+MovingRightAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Velocity.membership(this.peak, profile);
+}
+
+MovingRightAttribute.prototype.get_label = function() {
+  return 'moving-right';
+}
@@ -0,0 +1,26 @@
+/// Reflects whether an object moves up. The attribute stores the current velocity
+/// component in that direction as `val` and its highest value during the following time
+/// window as `peak` (see Velocity.sample). The activity depends on the peak.
+var MovingUpAttribute = function(obj) {
+  this.perceive(obj);
+}
+MovingUpAttribute.prototype.key = 'moving_up';
+MovingUpAttribute.prototype.targetType = 'obj';
+MovingUpAttribute.prototype.arity = 1;
+MovingUpAttribute.prototype.constant = false;
+
+MovingUpAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = -v.y;
+  this.peak = v.peak.up;
+}
+
+MovingUpAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return Velocity.membership(this.peak, profile);
+}
+
+MovingUpAttribute.prototype.get_label = function() {
+  return 'moving-up';
+}
@@ -1,4 +1,4 @@
-OnGroundAttribute = function(obj) {
+var OnGroundAttribute = function(obj) {
 	this.ground = obj.object_node.scene_node.ground;
   this.perceive(obj);
 }
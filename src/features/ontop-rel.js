@@ -1,5 +1,5 @@
 /// Object is on top of another object if it is above and touches it.
-OnTopRelationship = function(obj, other) {
+var OnTopRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 OnTopRelationship.prototype.key = "on_top_of";
@@ -0,0 +1,106 @@
+/// Reflects how an object is rotated. The perception depends on the object's shape:
+/// Triangles are 'pointing-up', 'pointing-down', 'pointing-left' or 'pointing-right',
+/// depending on the direction of their apex. Rectangles are 'lying' or 'standing',
+/// depending on the direction of their long axis. All other polygons are 'upright',
+/// 'tilted' or 'upside-down' relative to their orientation in the scene description.
+/// Squares are upright when their edges are horizontal and vertical and can't be
+/// upside-down. The orientation of circles is 'unknown'.
+/// The labels are graded, e.g. a triangle pointing to the upper left is to some
+/// degree pointing-up and pointing-left.
+var OrientationAttribute = function(obj) {
+  this.perceive(obj);
+}
+OrientationAttribute.prototype.key = 'orientation';
+OrientationAttribute.prototype.targetType = 'obj';
+OrientationAttribute.prototype.arity = 1;
+OrientationAttribute.prototype.constant = false;
+
+/// Sets `type` to 'pointing', 'axis', 'tilt' or null and `val` to the according angle
+/// in degrees: the direction of the apex (0 is right, 90 is up), the angle between the
+/// long axis and the horizontal (0...90) or the deviation from the initial orientation
+/// (0...180, for squares 0...45).
+OrientationAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.type = null;
+  this.val = NaN;
+  if (!(obj instanceof Polygon) || !obj.closed || obj.pts.length < 3) return;
+  var shape = ShapeAttribute.determineShape(obj);
+  var rot = obj.rot || 0;
+  if (shape == 'triangle') {
+    var dir = OrientationAttribute.getApexDirection(obj).rotate(rot);
+    this.type = 'pointing';
+    this.val = OrientationAttribute.normalize(Math.atan2(-dir.y, dir.x)*180/Math.PI);
+  } else if (shape == 'rectangle' || shape == 'square') {
+    var p = obj.pts, a = p[1].sub(p[0]), b = p[2].sub(p[1]);
+    var axis = (a.len() >= b.len() ? a : b).rotate(rot);
+    var deg = Math.atan2(Math.abs(axis.y), Math.abs(axis.x))*180/Math.PI;
+    if (shape == 'rectangle') {
+      this.type = 'axis';
+      this.val = deg;
+    } else {
+      this.type = 'tilt';
+      this.val = Math.min(deg, 90-deg);
+    }
+  } else {
+    this.type = 'tilt';
+    this.val = Math.abs(OrientationAttribute.normalize(rot*180/Math.PI+180)-180);
+  }
+}
+
+/// Maps an angle in degrees to [0, 360).
+OrientationAttribute.normalize = function(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/// Returns the vector from the center of a triangle to its apex in the triangle's
+/// coordinate system. The apex is the vertex whose angle differs most from the other
+/// two, which is the tip of an isosceles triangle.
+OrientationAttribute.getApexDirection = function(tri) {
+  var angles = [tri.angle(0), tri.angle(1), tri.angle(2)], best = 0, best_diff = -1;
+  for (var i=0; i<3; i++) {
+    var diff = Math.abs(angles[i] - (angles[(i+1)%3] + angles[(i+2)%3])/2);
+    if (diff > best_diff) { best = i; best_diff = diff }
+  }
+  return tri.pts[best].sub(tri.centroid());
+}
+
+/// Returns the memberships of the passed angle to all labels of the passed type
+/// (see perceive). The 'orientation' parameters of the membership profile set the
+/// steepness `a` and the tilt `m` (both in degrees) up to which an object is upright.
+OrientationAttribute.membership = function(type, deg, profile) {
+  var p = (profile || PBP.getMembershipProfile()).orientation;
+  var near = function(dist, m) { return 1/(1+Math.exp(p.a*(dist-m))) };
+  var dist = function(a, b) { var d = Math.abs(a-b) % 360; return Math.min(d, 360-d) };
+  if (type == 'pointing') return { 'pointing-right': near(dist(deg, 0), 45)
+                                 , 'pointing-up': near(dist(deg, 90), 45)
+                                 , 'pointing-left': near(dist(deg, 180), 45)
+                                 , 'pointing-down': near(dist(deg, 270), 45) };
+  if (type == 'axis') {
+    var lying = near(deg, 45);
+    return { 'lying': lying, 'standing': 1-lying };
+  }
+  if (type == 'tilt') {
+    var upright = near(deg, p.m), upside_down = near(180-deg, p.m);
+    return { 'upright': upright, 'tilted': Math.max(0, 1-upright-upside_down)
+           , 'upside-down': upside_down };
+  }
+  return {};
+}
+
+OrientationAttribute.prototype.get_memberships = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return OrientationAttribute.membership(this.type, this.val, profile);
+}
+
+OrientationAttribute.prototype.get_activity = function() {
+  if (!this.type) return 0;
+  return this.get_memberships()[this.get_label()];
+}
+
+/// Returns the label with the highest membership.
+OrientationAttribute.prototype.get_label = function() {
+  if (!this.type) return 'unknown';
+  var ms = this.get_memberships(), best = null;
+  for (var label in ms) if (best === null || ms[label] > ms[best]) best = label;
+  return best;
+}
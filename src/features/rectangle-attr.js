@@ -1,4 +1,4 @@
-RectangleAttribute = function(obj) {
+var RectangleAttribute = function(obj) {
   this.perceive(obj);
 }
 RectangleAttribute.prototype.key = 'rect';
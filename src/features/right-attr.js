@@ -1,4 +1,4 @@
-RightAttribute = function(obj) {
+var RightAttribute = function(obj) {
   this.perceive(obj);
 }
 RightAttribute.prototype.key = "right_pos";
@@ -7,8 +7,12 @@ RightAttribute.prototype.arity = 1;
 RightAttribute.prototype.size = 100; // scene size
 RightAttribute.prototype.constant = false;
 
-RightAttribute.prototype.membership = function(x) {
-	return 1-1/(1+Math.exp(20*(0.4-x/this.size)));
+/// Takes the distance to the right border of a scene of the default `size` and measures
+/// it against the border of a scene of the profile's scene_size.
+RightAttribute.prototype.membership = function(dist) {
+	var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node), p = profile.right;
+	var x = this.size-dist;
+	return 1-1/(1+Math.exp(p.a*(p.m-(profile.scene_size-x)/profile.scene_size)));
 }
 
 RightAttribute.prototype.perceive = function(obj) {
@@ -1,4 +1,4 @@
-RightMostAttribute = function(obj) {
+var RightMostAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.objs);
   this.perceive(obj);
 }
@@ -21,7 +21,8 @@ RightMostAttribute.prototype.adaptDomain = function(objs) {
 }
 
 RightMostAttribute.prototype.membership = function(x) {
-  return CloseRelationship.membership(2.5*Math.abs(this.val-this.rightmost_x));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CloseRelationship.membership(profile.most.dist_scale*Math.abs(x-this.rightmost_x), profile);
 }
 
 RightMostAttribute.prototype.perceive = function(obj) {
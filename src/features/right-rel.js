@@ -1,5 +1,5 @@
 /// Object beeing right to other object on a scale from 1 (very) to 0 (not at all).
-RightRelationship = function(obj, other) {
+var RightRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 RightRelationship.prototype.key = "right_of";
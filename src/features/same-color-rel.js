@@ -0,0 +1,36 @@
+/// Two objects have the same color to the degree their color categories overlap,
+/// which is the sum of the minimum memberships of both colors over all categories
+/// (see ColorAttribute). Objects without color don't have the same color as anything.
+var SameColorRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+SameColorRelationship.prototype.key = "same_color";
+SameColorRelationship.prototype.targetType = 'obj';
+SameColorRelationship.prototype.arity = 2;
+SameColorRelationship.prototype.symmetric = true;
+SameColorRelationship.prototype.constant = true;
+
+SameColorRelationship.membership = function(rgb, other_rgb, profile) {
+  if (!rgb || !other_rgb) return 0;
+  var ms = ColorAttribute.membership(rgb, profile)
+    , other_ms = ColorAttribute.membership(other_rgb, profile);
+  var res = 0;
+  for (var label in ms) res += Math.min(ms[label], other_ms[label]);
+  return Math.min(1, res);
+}
+
+SameColorRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.val = ColorAttribute.getColor(obj);
+  this.other_val = ColorAttribute.getColor(other);
+}
+
+SameColorRelationship.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return SameColorRelationship.membership(this.val, this.other_val, profile);
+}
+
+SameColorRelationship.prototype.get_label = function() {
+  return 'same-color-as';
+}
@@ -0,0 +1,102 @@
+/// Two objects have the same shape to the degree their outlines are similar,
+/// independent of their size, rotation and position. The outlines are compared by
+/// their turning functions, which map the position along the normalized perimeter to
+/// the accumulated turning angle. The distance of two shapes is the root mean square
+/// difference of their turning functions, minimized over all starting points and
+/// rotations. Circles are treated as regular polygons with many vertices.
+var SameShapeRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+SameShapeRelationship.prototype.key = "same_shape";
+SameShapeRelationship.prototype.targetType = 'obj';
+SameShapeRelationship.prototype.arity = 2;
+SameShapeRelationship.prototype.symmetric = true;
+SameShapeRelationship.prototype.constant = true;
+
+/// Number of samples of the turning functions.
+SameShapeRelationship.samples = 100;
+
+/// Uses the 'same_shape' parameters of the passed membership profile or of the active one.
+SameShapeRelationship.membership = function(dist, profile) {
+  var p = (profile || PBP.getMembershipProfile()).same_shape;
+  return 1/(1+Math.exp(p.a*(dist-p.m)));
+}
+
+SameShapeRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.val = SameShapeRelationship.distance(obj, other);
+}
+
+/// Returns the sampled turning function of the passed shape or null if it is no closed
+/// shape. The function starts at 0 and is increasing for counter-clockwise polygons.
+SameShapeRelationship.turningFunction = function(shape) {
+  var pts;
+  if (shape instanceof Circle) {
+    pts = [];
+    for (var i=0; i<32; i++) pts.push(new Point(Math.cos(i*Math.PI/16), Math.sin(i*Math.PI/16)));
+  } else if (shape instanceof Polygon && shape.closed && shape.pts.length >= 3) {
+    var poly = shape.copy();
+    poly.order_vertices();
+    pts = poly.pts;
+  } else return null;
+  var N = pts.length, edges = [], perimeter = 0;
+  for (var i=0; i<N; i++) {
+    var e = pts[(i+1)%N].sub(pts[i]), len = e.len();
+    if (len < Point.EPS) continue;
+    edges.push({ angle: Math.atan2(e.y, e.x), len: len });
+    perimeter += len;
+  }
+  if (edges.length < 2) return null;
+  // accumulate the turning angles between the edges
+  var angles = [0];
+  for (var i=1; i<edges.length; i++) {
+    var turn = edges[i].angle - edges[i-1].angle;
+    while (turn > Math.PI) turn -= 2*Math.PI;
+    while (turn < -Math.PI) turn += 2*Math.PI;
+    angles.push(angles[i-1] + turn);
+  }
+  var K = SameShapeRelationship.samples, res = [], e = 0, pos = edges[0].len/perimeter;
+  for (var k=0; k<K; k++) {
+    var s = (k+0.5)/K;
+    while (s > pos && e < edges.length-1) pos += edges[++e].len/perimeter;
+    res.push(angles[e]);
+  }
+  return res;
+}
+
+/// Returns the distance between the turning functions of two shapes (0 for identical
+/// shapes) or Infinity if one of them is no closed shape.
+SameShapeRelationship.distance = function(shape, other) {
+  var f = SameShapeRelationship.turningFunction(shape)
+    , g = SameShapeRelationship.turningFunction(other);
+  if (!f || !g) return Infinity;
+  var K = f.length, best = Infinity;
+  // the turning function of a closed, simple polygon increases by 2*PI in total
+  var total = Math.abs(f[K-1]-f[0]) > Math.abs(g[K-1]-g[0]) ? f[K-1]-f[0] : g[K-1]-g[0];
+  var wrap = total >= 0 ? 2*Math.PI : -2*Math.PI;
+  for (var j=0; j<K; j++) {
+    // shift the starting point of g by j samples
+    var diff = [], mean = 0;
+    for (var k=0; k<K; k++) {
+      var gk = g[(k+j)%K] + (k+j >= K ? wrap : 0);
+      diff.push(f[k]-gk);
+      mean += f[k]-gk;
+    }
+    mean /= K;
+    // the best rotation is the one that shifts the turning function by the mean difference
+    var sum = 0;
+    for (var k=0; k<K; k++) sum += (diff[k]-mean)*(diff[k]-mean);
+    best = Math.min(best, Math.sqrt(sum/K));
+  }
+  return best;
+}
+
+SameShapeRelationship.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return SameShapeRelationship.membership(this.val, profile);
+}
+
+SameShapeRelationship.prototype.get_label = function() {
+  return 'same-shape-as';
+}
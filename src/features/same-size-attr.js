@@ -0,0 +1,35 @@
+/// Group attribute. A group has objects of the same size to the degree the ratio of
+/// the areas of its largest and smallest object is close to 1. Groups with 1 or 0
+/// objects are not same-size.
+var SameSizeAttribute = function(group) {
+  this.perceive(group);
+}
+SameSizeAttribute.prototype.key = "same_size";
+SameSizeAttribute.prototype.targetType = 'group';
+SameSizeAttribute.prototype.arity = 1;
+SameSizeAttribute.prototype.constant = true;
+
+/// Uses the 'same_size' parameters of the passed membership profile or of the active one.
+SameSizeAttribute.membership = function(ratio, profile) {
+  var p = (profile || PBP.getMembershipProfile()).same_size;
+  return 1/(1+Math.exp(p.a*(ratio-p.m)));
+}
+
+SameSizeAttribute.prototype.perceive = function(group) {
+  this.group = group;
+  if (group.objs.length < 2) this.val = NaN;
+  else {
+    var areas = group.objs.map(function (obj) { return Math.abs(obj.area()) });
+    var min = Math.min.apply(null, areas), max = Math.max.apply(null, areas);
+    this.val = min > 0 ? max/min : Infinity;
+  }
+}
+
+SameSizeAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.group.scene_node);
+  return isNaN(this.val) ? 0 : SameSizeAttribute.membership(this.val, profile);
+}
+
+SameSizeAttribute.prototype.get_label = function() {
+  return 'same-size';
+}
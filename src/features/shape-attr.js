@@ -1,4 +1,4 @@
-ShapeAttribute = function(obj) {
+var ShapeAttribute = function(obj) {
   this.perceive(obj);
 }
 ShapeAttribute.prototype.key = 'shape';
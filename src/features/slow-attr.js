@@ -0,0 +1,32 @@
+/// Reflects whether an object moves slowly or not at all. Like the FastAttribute, it
+/// stores the current speed as `val` and the highest speed during the following time
+/// window as `peak` and the activity depends on the peak.
+var SlowAttribute = function(obj) {
+  this.perceive(obj);
+}
+SlowAttribute.prototype.key = 'slow';
+SlowAttribute.prototype.targetType = 'obj';
+SlowAttribute.prototype.arity = 1;
+SlowAttribute.prototype.constant = false;
+
+/// Uses the 'slow' parameters of the passed membership profile or of the active one.
+SlowAttribute.membership = function(speed, profile) {
+  var p = (profile || PBP.getMembershipProfile()).slow;
+  return 1-1/(1+Math.exp(p.a*(p.m-speed)));
+}
+
+SlowAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  var v = Velocity.get(obj);
+  this.val = v.speed;
+  this.peak = v.peak.speed;
+}
+
+SlowAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return SlowAttribute.membership(this.peak, profile);
+}
+
+SlowAttribute.prototype.get_label = function() {
+  return 'slow';
+}
@@ -1,4 +1,4 @@
-SmallAttribute = function(obj) {
+var SmallAttribute = function(obj) {
   this.perceive(obj);
 }
 SmallAttribute.prototype.key = 'small';
@@ -7,11 +7,11 @@ SmallAttribute.prototype.arity = 1;
 SmallAttribute.prototype.constant = true;
 
 // google: "plot from -10 to 1000, 1-1/(1+exp(4*(1.8-x/100)))"
-SmallAttribute.membership = function(area) {
-  var a = 4; // steepness of sigmoid function
-  var m = 1.8; // area at which sigmoid is 0.5 (whole scene has area 100)
-  var size = 100;
-  return 1-1/(1+Math.exp(a*(m-area/size/size*100)));
+/// Uses the 'small' parameters of the passed membership profile or of the active one.
+SmallAttribute.membership = function(area, profile) {
+  profile = profile || PBP.getMembershipProfile();
+  var p = profile.small, size = profile.scene_size;
+  return 1-1/(1+Math.exp(p.a*(p.m-area/size/size*100)));
 }
 
 SmallAttribute.prototype.perceive = function(obj) {
@@ -20,7 +20,8 @@ SmallAttribute.prototype.perceive = function(obj) {
 }
 
 SmallAttribute.prototype.get_activity = function() {
-  return SmallAttribute.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return SmallAttribute.membership(this.val, profile);
 }
 
 SmallAttribute.prototype.get_label = function() {
@@ -0,0 +1,25 @@
+/// Inverse of the LargerRelationship: an object is smaller than another object to
+/// the degree the other object is larger than it.
+var SmallerRelationship = function(obj, other) {
+  this.perceive(obj, other);
+}
+SmallerRelationship.prototype.key = "smaller_than";
+SmallerRelationship.prototype.targetType = 'obj';
+SmallerRelationship.prototype.arity = 2;
+SmallerRelationship.prototype.symmetric = false;
+SmallerRelationship.prototype.constant = true;
+
+SmallerRelationship.prototype.perceive = function(obj, other) {
+  this.obj = obj;
+  this.other = other;
+  this.val = LargerRelationship.areaRatio(other, obj);
+}
+
+SmallerRelationship.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return LargerRelationship.membership(this.val, profile);
+}
+
+SmallerRelationship.prototype.get_label = function() {
+  return 'smaller-than';
+}
@@ -1,4 +1,4 @@
-SquareAttribute = function(obj) {
+var SquareAttribute = function(obj) {
   this.perceive(obj);
 }
 SquareAttribute.prototype.key = 'square';
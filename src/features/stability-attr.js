@@ -1,7 +1,7 @@
 /// Labels are only 'stable' or 'unstable', but internally there are four values:
 /// 'moving', 'unstable', 'slightly unstable' and 'stable'. The mapping of values
 /// to labels should depend on the context later, but is fixed for now.
-StabilityAttribute = function(obj) {
+var StabilityAttribute = function(obj) {
   this.perceive(obj);
 }
 StabilityAttribute.prototype.key = 'stability';
@@ -5,7 +5,7 @@
 /// 0   ... A does not support B
 /// See the checkSupport method for more details.
 /// Which activity is still considered as active will depend on the context.
-SupportsRelationship = function(obj, other) {
+var SupportsRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 SupportsRelationship.prototype.key = "supports";
@@ -58,12 +58,11 @@ SupportsRelationship.prototype.checkSupports = function(A, B, oracle) {
   var touch = A.getRel('touch', {other: B}).get_activity() > touches_threshold;
 
   // is B moving when A is removed?
-  var bodyA = A.obj.phys_obj;
-  var before = function() { oracle.pscene.wakeUp(); bodyA.SetActive(false); }
-  var B_moves = oracle.analyzeFuture(0, before, function() {
+  var remove_A = [{type: 'remove', body: A.obj.phys_obj}];
+  var B_moves = oracle.whatIf(remove_A, 0, function() {
     var moves_attr = new MovesAttribute(B.obj);
     return moves_attr.get_activity() > moves_threshold;
-  });
+  }, {wake_up: true});
 
   if (B_moves) return touch ? 'directly': 'indirectly';
 
@@ -76,10 +75,10 @@ SupportsRelationship.prototype.checkSupports = function(A, B, oracle) {
   if (near) {
     var B_stable = B.getAttr('stability').get_label() == 'stable';
     if (B_stable) {
-      var B_stable_without_A = oracle.analyzeFuture(0, before, function() {
+      var B_stable_without_A = oracle.whatIf(remove_A, 0, function() {
         var stable_attr = new StabilityAttribute(B.obj);
         return stable_attr.get_label() == 'stable';
-      });
+      }, {wake_up: true});
       if (!B_stable_without_A) return 'stabilizes';
     }
   }
@@ -1,4 +1,4 @@
-TopAttribute = function(obj) {
+var TopAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.ground);
   this.perceive(obj);
 }
@@ -18,7 +18,8 @@ TopAttribute.prototype.adaptDomain = function(ground) {
 }
 
 TopAttribute.prototype.membership = function(x) {
-	return 1-1/(1+Math.exp(20*(0.45-x/this.maxy)));
+	var p = PBP.getMembershipProfile(this.obj.object_node.scene_node).top;
+	return 1-1/(1+Math.exp(p.a*(p.m-x/this.maxy)));
 }
 
 TopAttribute.prototype.perceive = function(obj) {
@@ -1,4 +1,4 @@
-TopMostAttribute = function(obj) {
+var TopMostAttribute = function(obj) {
   this.adaptDomain(obj.object_node.scene_node.objs);
   this.perceive(obj);
 }
@@ -21,7 +21,8 @@ TopMostAttribute.prototype.adaptDomain = function(objs) {
 }
 
 TopMostAttribute.prototype.membership = function(x) {
-  return CloseRelationship.membership(2.5*Math.abs(this.val-this.topmost_y));
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return CloseRelationship.membership(profile.most.dist_scale*Math.abs(x-this.topmost_y), profile);
 }
 
 TopMostAttribute.prototype.perceive = function(obj) {
@@ -0,0 +1,55 @@
+/// Reflects whether an object falls over during the simulation. Compares the object's
+/// orientation and the height of its center in the oracle's 'start' and 'end' state.
+/// The activity grows with the rotation of the object, unless its center was lifted
+/// up, which means it was pushed rather than falling. The label is 'topples-left' or
+/// 'topples-right', depending on the direction the object fell to. Circles can't
+/// topple, as they roll instead.
+var TopplesAttribute = function(obj) {
+  this.perceive(obj);
+}
+TopplesAttribute.prototype.key = 'topples';
+TopplesAttribute.prototype.targetType = 'obj';
+TopplesAttribute.prototype.arity = 1;
+TopplesAttribute.prototype.constant = true;
+
+/// Sets `val` to the rotation between start and end in degrees, `drop` to how much
+/// the center of the object got lower in scene units and `direction` to 'left' or
+/// 'right'.
+TopplesAttribute.prototype.perceive = function(obj) {
+  this.obj = obj;
+  this.val = 0;
+  this.drop = 0;
+  this.direction = 'right';
+  var body = obj.phys_obj, oracle = obj.object_node.scene_node.oracle;
+  if (oracle.isStatic(body) || body.IsCircle()) return;
+  var s = TopplesAttribute.getStartAndEnd(body, oracle);
+  var drot = Point.norm_angle(s.end.rot - s.start.rot);
+  this.val = Math.abs(drot)*180/Math.PI;
+  this.drop = (s.end.y - s.start.y) / obj.phys_scale;
+  // y points down, so a positive angle is a clockwise rotation
+  this.direction = drot < 0 ? 'left' : 'right';
+}
+
+TopplesAttribute.prototype.get_activity = function() {
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return TopplesAttribute.membership(this.val, this.drop, profile);
+}
+
+TopplesAttribute.prototype.get_label = function() {
+  return 'topples-' + this.direction;
+}
+
+/// Uses the 'topples' parameters of the passed membership profile or of the active one.
+/// Rotations are in degrees, drops in scene units.
+TopplesAttribute.membership = function(rot, drop, profile) {
+  var p = (profile || PBP.getMembershipProfile()).topples;
+  if (drop < -p.max_rise) return 0;
+  return 1/(1+Math.exp(p.a*(p.m-rot)));
+}
+
+/// Returns the rotation and the position of the center of the passed body in the
+/// oracle's 'start' and 'end' state as {start: {rot, x, y}, end: {rot, x, y}}. The
+/// physics state the oracle was in before is restored afterwards.
+TopplesAttribute.getStartAndEnd = function(body, oracle) {
+  return oracle.getBodyInStates(body, ['start', 'end']);
+}
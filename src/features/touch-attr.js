@@ -1,7 +1,7 @@
 /// Group attribute. A group is touching if all objects in the group are connected
 /// to each other by a sequence of touching objects. Groups with 1 or 0 objects are
 /// not touching.
-TouchAttribute = function(group) {
+var TouchAttribute = function(group) {
   this.perceive(group);
 }
 TouchAttribute.prototype.key = "touching";
@@ -26,7 +26,8 @@ TouchAttribute.prototype.perceive = function(group) {
 }
 
 TouchAttribute.prototype.get_activity = function() {
-  return (isNaN(this.val) ? 0 : TouchRelationship.membership(this.val));
+  var profile = PBP.getMembershipProfile(this.group.scene_node);
+  return (isNaN(this.val) ? 0 : TouchRelationship.membership(this.val, profile));
 }
 
 TouchAttribute.prototype.get_label = function() {
@@ -1,4 +1,4 @@
-TouchRelationship = function(obj, other) {
+var TouchRelationship = function(obj, other) {
   this.perceive(obj, other);
 }
 TouchRelationship.prototype.key = "touch";
@@ -7,8 +7,9 @@ TouchRelationship.prototype.arity = 2;
 TouchRelationship.prototype.symmetric = true;
 TouchRelationship.prototype.constant = false;
 
-TouchRelationship.membership = function(dist) {
-	return dist <= 0.5 ? 1 : 0;
+/// Uses the 'touch' parameters of the passed membership profile or of the active one.
+TouchRelationship.membership = function(dist, profile) {
+	return dist <= (profile || PBP.getMembershipProfile()).touch.max_dist ? 1 : 0;
 }
 
 TouchRelationship.prototype.perceive = function(obj, other) {
@@ -18,7 +19,8 @@ TouchRelationship.prototype.perceive = function(obj, other) {
 }
 
 TouchRelationship.prototype.get_activity = function() {
-  return TouchRelationship.membership(this.val);
+  var profile = PBP.getMembershipProfile(this.obj.object_node.scene_node);
+  return TouchRelationship.membership(this.val, profile);
 }
 
 TouchRelationship.prototype.get_label = function() {
@@ -1,4 +1,4 @@
-TriangleAttribute = function(obj) {
+var TriangleAttribute = function(obj) {
   this.perceive(obj);
 }
 TriangleAttribute.prototype.key = 'triangle';
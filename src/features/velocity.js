@@ -0,0 +1,50 @@
+/// Helper functions shared by the speed and direction attributes FastAttribute,
+/// SlowAttribute, MovingLeftAttribute, MovingRightAttribute, MovingUpAttribute and
+/// FallingAttribute. The velocity of an object is sampled only once per state and
+/// shared by all of them.
+var Velocity = {};
+
+/// Uses the 'velocity' parameters of the passed membership profile or of the active one.
+/// Used by all moving direction attributes.
+Velocity.membership = function(vel, profile) {
+  var p = (profile || PBP.getMembershipProfile()).velocity;
+  return 1/(1+Math.exp(p.a*(p.m-vel)));
+}
+
+/// Returns the velocity of the passed object, see Velocity.sample. The result is cached
+/// in the object node for the current state of the oracle, so the time window is only
+/// simulated once per object and state. Nothing is cached if the oracle is in no
+/// named state, e.g. after the world was changed.
+Velocity.get = function(obj) {
+  var oracle = obj.object_node.scene_node.oracle;
+  var window = PBP.getMembershipProfile(obj.object_node.scene_node).velocity.window;
+  if (oracle.curr_state === null) return Velocity.sample(obj, window);
+  var key = [oracle.curr_state, oracle.pscene.getTime(), window].join()
+    , cache = obj.object_node.velocity_cache || (obj.object_node.velocity_cache = {});
+  if (!(key in cache)) cache[key] = Velocity.sample(obj, window);
+  return cache[key];
+}
+
+/// Returns the current velocity of the passed object as {x, y, speed} in physics units
+/// (y points down) together with the highest speed and the highest velocity components
+/// to the left, right, up and down that occur during the passed time window in seconds,
+/// starting now, as `peak: {speed, left, right, up, down}`.
+Velocity.sample = function(obj, window) {
+  var body = obj.phys_obj, oracle = obj.object_node.scene_node.oracle;
+  var v = body.m_linearVelocity;
+  var res = { x: v.x, y: v.y, speed: v.Length()
+            , peak: { speed: v.Length(), left: -v.x, right: v.x, up: -v.y, down: v.y } };
+  if (oracle.isStatic(body)) return res;
+  var update = function() {
+    var v = body.m_linearVelocity, p = res.peak;
+    p.speed = Math.max(p.speed, v.Length());
+    p.left = Math.max(p.left, -v.x);
+    p.right = Math.max(p.right, v.x);
+    p.up = Math.max(p.up, -v.y);
+    p.down = Math.max(p.down, v.y);
+  }
+  oracle.analyzeFuture(0, null, function() {
+    for (var t=0; t<window; t+=oracle.pscene.step()) update();
+  });
+  return res;
+}
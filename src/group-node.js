@@ -3,7 +3,7 @@
 /// A GroupNode represents a group of objects in one scene. Pass the SceneNode the
 /// group belongs to. Optionally, pass an selector array that was used to create the
 /// group node.
-GroupNode = function(scene_node, objs, selectors) {
+var GroupNode = function(scene_node, objs, selectors) {
   this.scene_node = scene_node;
   this.objs = objs || [];   // shapes
   this.times = {};
@@ -68,6 +68,7 @@ GroupNode.prototype.perceive = function(time) {
 
 /// Returns the attribute for the passed time in the opts object (default is 'start').
 /// If it was not perceived yet, it is perceived now, unless 'cache_only' is true in opts.
+/// Returns false for a state anchored at an event that does not happen in the scene.
 GroupNode.prototype.getAttr = function(key, opts) {
   var o = PBP.extend({}, opts);
   // if time was not passed, use the current state of the oracle
@@ -79,7 +80,7 @@ GroupNode.prototype.getAttr = function(key, opts) {
     //this.dispatchEvent('retrieved', {percept: res, target: this, time: o.time});
     return res;
   }
-  if (o.cache_only) return false;
+  if (o.cache_only || this.scene_node.skipsState(o.time)) return false;
   // otherwise, goto the state and perceive it
   if (o.time) this.scene_node.oracle.gotoState(o.time);
   var res = new GroupNode.attrs[key](this);
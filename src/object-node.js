@@ -2,7 +2,7 @@
 
 /// An ObjectNode represents a single object. Pass the object (shape) it represents
 /// and the SceneNode it is part of.
-ObjectNode = function(scene_node, obj) {
+var ObjectNode = function(scene_node, obj) {
 	this.obj = obj; obj.object_node = this;
   this.scene_node = scene_node;
 	this.times = {};
@@ -20,18 +20,32 @@ ObjectNode.rels = pbpSettings.obj_rels;
 //asEventListener.call(ObjectNode.prototype);
 
 /// Returns true if there is the passed relation type with the passed activity
-/// with the passed other object node.
-ObjectNode.prototype.hasRelation = function(key, time, active, other) {
+/// with the passed other object node. For relationships of arity 3, pass the
+/// second other object node as `other2`.
+ObjectNode.prototype.hasRelation = function(key, time, active, other, other2) {
   if (!(time in this.times)) return false;
   if (!(key in ObjectNode.rels) || !(key in this.times[time])) return false;
   return this.times[time][key].some((function(rel) {
-    return rel.other === other.obj && (rel.get_activity() >= pbpSettings.activation_threshold) == active;
+    return ObjectNode.relatesTo(rel, other, other2)
+        && (rel.get_activity() >= pbpSettings.activation_threshold) == active;
   }).bind(this));
 };
 
+/// Returns true if the passed relationship percept is the one with the passed other
+/// object node(s). The second other object node is only used for arity 3, where
+/// the order of the other objects does not matter for symmetric relationships.
+ObjectNode.relatesTo = function(rel, other, other2) {
+  if (rel.arity !== 3) return rel.other === other.obj;
+  if (rel.other === other.obj && rel.other2 === other2.obj) return true;
+  return !!rel.symmetric && rel.other === other2.obj && rel.other2 === other.obj;
+}
+
 /// Perceives all object attributes and all relations to all other objects
 /// in the scene at the current situation and saves the results under the
-/// passed time.
+/// passed time. Relationships that have the `static_others` flag set are also
+/// perceived with the static objects of the scene. Relationships of arity 3 are
+/// perceived with all pairs of other objects, only in one order if they are
+/// symmetric in the two other objects.
 ObjectNode.prototype.perceive = function(time) {
   var res = {};
   for (var a in ObjectNode.attrs) {
@@ -42,7 +56,11 @@ ObjectNode.prototype.perceive = function(time) {
     var rel = ObjectNode.rels[r];
     res[r] = [];
     var objs = this.scene_node.objs;
-    for (var i=0; i<objs.length; i++) {
+    if (rel.prototype.static_others) {
+      objs = objs.concat(this.scene_node.statics.map(function (s) { return s.object_node }));
+    }
+    if (rel.prototype.arity === 3) this.perceiveTernary(rel, objs, res[r]);
+    else for (var i=0; i<objs.length; i++) {
       if (objs[i] == this) continue;
       if (typeof(GroupNode) != 'undefined' && objs[i] instanceof GroupNode) {
         if (rel.ObjectToGroup) res[r].push(rel.ObjectToGroup(this.obj, objs[i].objs, this.scene_node));
@@ -55,9 +73,20 @@ ObjectNode.prototype.perceive = function(time) {
   this.times[time] = res;
 }
 
+/// Perceives the passed relationship of arity 3 with all pairs of the passed nodes
+/// except this node and pushes the results into `res`. Groups are not used.
+ObjectNode.prototype.perceiveTernary = function(rel, nodes, res) {
+  nodes = nodes.filter(function (n) { return n !== this && n instanceof ObjectNode }, this);
+  for (var i=0; i<nodes.length; i++) for (var j=0; j<nodes.length; j++) {
+    if (i == j || (rel.prototype.symmetric && j < i)) continue;
+    res.push(new rel(this.obj, nodes[i].obj, nodes[j].obj, this.scene_node));
+  }
+}
+
 /// Dynamically retrieves and caches an attribute or feature. Optionally pass the time
 /// as `time` field in the `opts` object. When getting a relationship feature, pass the
-/// other ObjectNode as `other` field in `opts`.
+/// other ObjectNode as `other` field in `opts` and for relationships of arity 3 the
+/// second other ObjectNode as `other2` field.
 /// To just get a perception from the cache and return false if its not there, put
 /// `cache_only: true` in the `opts`.
 ObjectNode.prototype.get = function(key, opts) {
@@ -75,7 +104,8 @@ ObjectNode.prototype.getFromCache = function(key, opts) {
 /// Returns the attribute named `key`. If given, the `time` in the `opts` object is used,
 /// otherwise the current state of the oracle is used. If the oracle is in no named state,
 /// the perceived attribute is not cached, otherwise its returned if in cache or perceived,
-/// cached and returned if not in cache.
+/// cached and returned if not in cache. Returns false for a state that is anchored at an
+/// event that does not happen in the scene (see SceneNode.addState).
 ObjectNode.prototype.getAttr = function(key, opts) {
   var o = PBP.extend({}, opts);
   // if time was not passed, use the current state of the oracle
@@ -87,7 +117,7 @@ ObjectNode.prototype.getAttr = function(key, opts) {
     //this.dispatchEvent('retrieved', {percept: res, target: this, time: o.time});
     return res;
   }
-  if (o.cache_only) return false;
+  if (o.cache_only || this.scene_node.skipsState(o.time)) return false;
   // otherwise, goto the state and perceive it
   if (o.time) this.scene_node.oracle.gotoState(o.time);
   var res = new ObjectNode.attrs[key](this.obj);
@@ -101,10 +131,12 @@ ObjectNode.prototype.getAttr = function(key, opts) {
 }
 
 /// Returns the relationship named `key` with the `other` object node in the `opts` object.
+/// For relationships of arity 3, pass the second other object node as `opts.other2`.
 /// If given, the `time` in the `opts` object is used,
 /// otherwise the current state of the oracle is used. If the oracle is in no named state,
 /// the perceived relationship is not cached, otherwise its returned if in cache or perceived,
-/// cached and returned if not in cache.
+/// cached and returned if not in cache. Returns false for a state that is anchored at an
+/// event that does not happen in the scene (see SceneNode.addState).
 /// If opts.get_all is set, the method will return an array of all relationships
 /// that were perceived for the object so far. Use only in combination with opts.cache_only!
 ObjectNode.prototype.getRel = function(key, opts) {
@@ -116,16 +148,18 @@ ObjectNode.prototype.getRel = function(key, opts) {
   if ((o.time in this.times) && (key in this.times[o.time])) {
     var cache = this.times[o.time][key];
     if (o.get_all) return cache;
-    var res = cache.filter(function (rel) { return rel.other === o.other.obj })[0];
+    var res = cache.filter(function (rel) { return ObjectNode.relatesTo(rel, o.other, o.other2) })[0];
     if (res) {
       //this.dispatchEvent('retrieved', {percept: res, target: this, time: o.time});
       return res;
     }
   }
-  if (o.cache_only) return o.get_all ? [] : false;
+  if (o.cache_only || this.scene_node.skipsState(o.time)) return o.get_all ? [] : false;
   // otherwise, goto the state and perceive it
   if (o.time) this.scene_node.oracle.gotoState(o.time);
-  var res = new ObjectNode.rels[key](this.obj, o.other.obj);
+  var rel = ObjectNode.rels[key];
+  var res = (rel.prototype.arity === 3 ? new rel(this.obj, o.other.obj, o.other2.obj)
+                                       : new rel(this.obj, o.other.obj));
   // cache it, if the state is a known one
   if (o.time) {
     if (!this.times[o.time]) this.times[o.time] = {};
@@ -143,11 +177,19 @@ ObjectNode.prototype.getRel = function(key, opts) {
 ObjectNode.prototype.describe = function(prefix) {
   prefix = prefix || '';
   var res = [prefix + 'Obj. ' + this.obj.id + ':'];
-  var times = d3.keys(this.times);
-  for (var time in this.times) res.push(prefix + this.describeState(time, '  '));
+  var times = this.getRecordedTimes();
+  for (var i=0; i<times.length; i++) res.push(prefix + this.describeState(times[i], '  '));
   return res.join("\n");
 }
 
+/// Returns the names of all times at which percepts are cached. The states of the
+/// scene come first in temporal order, followed by any other times.
+ObjectNode.prototype.getRecordedTimes = function() {
+  var times = this.scene_node.times.filter(function (t) { return t in this.times }, this);
+  for (var t in this.times) if (times.indexOf(t) == -1) times.push(t);
+  return times;
+}
+
 /// Returns a human readable description of the passed time (see the `describe` method).
 ObjectNode.prototype.describeState = function(time, prefix) {
   prefix = prefix || '';
@@ -164,8 +206,37 @@ ObjectNode.prototype.describeState = function(time, prefix) {
     for (var i=0; i<rels.length; i++) {
       if (!rels[i]) continue;
       var active = rels[i].get_activity() >= 0.5;
-      out.push((active ? '' : '!') + rels[i].get_label() + ' ' + rels[i].other.id);
+      out.push((active ? '' : '!') + rels[i].get_label() + ' ' + rels[i].other.id
+              + (rels[i].arity === 3 ? ' ' + rels[i].other2.id : ''));
     }
   }
   return prefix + time + ": " + out.join(', ');
 };
+
+/// Returns the samples of the trajectory the object took during the simulation, see
+/// SceneNode.perceiveCollisions, or null if it wasn't recorded.
+ObjectNode.prototype.getTrajectory = function() {
+  return this.scene_node.getTrajectory(this.obj);
+}
+
+/// Returns the perceived attributes and relationships at all recorded times as
+/// object that can be serialized with JSON.stringify. Each percept is represented
+/// by its label and activity, relationships also by the id of the other object(s).
+/// The recorded trajectory of the object is included as well.
+ObjectNode.prototype.toJSON = function() {
+  var times = {};
+  for (var time in this.times) {
+    var res = times[time] = {};
+    for (var key in this.times[time]) {
+      var percept = this.times[time][key];
+      if (!Array.isArray(percept)) {
+        res[key] = { label: percept.get_label(), activity: percept.get_activity() };
+      } else res[key] = percept.filter(function (rel) { return rel }).map(function (rel) {
+        var json = { other: rel.other.id, label: rel.get_label(), activity: rel.get_activity() };
+        if (rel.arity === 3) json.other2 = rel.other2.id;
+        return json;
+      });
+    }
+  }
+  return { id: this.obj.id, times: times, trajectory: this.getTrajectory() };
+}
@@ -1,7 +1,7 @@
 /// Copyright by Erik Weitnauer, 2013.
 
 /// A SceneNode is a collection of several objects.
-SceneNode = function(scene, oracle) {
+var SceneNode = function(scene, oracle) {
   this.scene = scene;
   this.side = scene.side;
   this.id = scene.name || ('s'+Math.round(Math.random()*10000));
@@ -10,37 +10,120 @@ SceneNode = function(scene, oracle) {
   this.groups = [];    // list of object groups in the scene
   this.ground = null;
   this.frame = null;
+  this.statics = [];   // list of static objects in the scene except the frame, including the ground
   this.collisions = []; // list of collisions
-  this.times = ['start', 'end'];
+  this.collision_graph = new CollisionGraph(scene.shapes, []); // see perceiveCollisions
+  this.trajectories = []; // list of {obj, samples} objects, see perceiveCollisions
+  this.times = ['start', 'end']; // names of the states that are perceived, in temporal order
+  this.event_states = []; // list of {name, event} objects, see addState
+  this.membership_profile = null; // own membership profile, see setMembershipProfile
   this.init();
+  for (var i=0; i<pbpSettings.states.length; i++) {
+    this.addState(pbpSettings.states[i].name, pbpSettings.states[i].time);
+  }
+}
+
+/// Loads the passed SVGScene (see svg2physics) into a new Box2D world and returns a
+/// SceneNode for it that has all its objects registered. Needs no DOM, so it can be
+/// used in node.js as well.
+SceneNode.fromSVGScene = function(scene) {
+  scene.adjustStrokeWidth(0.5*scene.pixels_per_unit/100);
+  var world = new Box2D.Dynamics.b2World(new Box2D.Common.Math.b2Vec2(0, 10), true);
+  var adapter = new s2p.Box2DAdapter();
+  adapter.loadScene(world, scene, true, false);
+  var sn = new SceneNode(scene, new s2p.PhysicsOracle(new s2p.PhysicsScene(world)));
+  sn.registerObjects();
+  return sn;
+}
+
+/// Sets the membership profile that is used for the features of this scene. Pass the
+/// name of a profile (see PBP.loadMembershipProfile), an object with parameters that
+/// override those of the profile currently used for this scene, e.g. `{far: {a: 10}}`,
+/// or null to use the active profile again. The activities of features are calculated
+/// from their perceived values on demand, so there is no need to perceive the scene again.
+SceneNode.prototype.setMembershipProfile = function(profile) {
+  if (profile === null) this.membership_profile = null;
+  else if (typeof(profile) === 'string') {
+    if (!(profile in pbpSettings.membership_profiles)) throw "unknown membership profile '" + profile + "'";
+    this.membership_profile = pbpSettings.membership_profiles[profile];
+  } else {
+    this.membership_profile = mergeMembershipProfile(PBP.getMembershipProfile(this), profile);
+  }
+}
+
+/// Adds a named state at the passed time in seconds to the oracle of this scene and
+/// inserts it into `times` according to its time, so it is perceived by perceiveAll.
+/// Instead of a time, an event the state is anchored at can be passed (see
+/// getEventTime). Such a state is resolved to the time of the event by
+/// perceiveCollisions, so it must be added before. If the event does not happen in the
+/// scene, the state is skipped and no features are perceived at it.
+/// See PBP.registerState for adding states to all scenes.
+SceneNode.prototype.addState = function(name, time) {
+  checkStateTime(name, time);
+  if (typeof(time) === 'number') return this.insertState(name, time);
+  if (name in this.oracle.states || this.isEventState(name)) throw "state '" + name + "' already exists";
+  this.event_states.push({name: name, event: time});
+}
+
+/// Returns true if the passed name belongs to a state anchored at an event.
+SceneNode.prototype.isEventState = function(name) {
+  return this.event_states.some(function (es) { return es.name === name });
+}
+
+/// Returns true if the passed state is anchored at an event that does not happen in
+/// this scene.
+SceneNode.prototype.skipsState = function(name) {
+  return this.isEventState(name) && !(name in this.oracle.states);
+}
+
+/// Adds a state at the passed time to the oracle and inserts it into `times`.
+SceneNode.prototype.insertState = function(name, time) {
+  this.oracle.addState(name, time);
+  var states = this.oracle.states;
+  var getTime = function(name) { return states[name].time === 'end' ? Infinity : states[name].time };
+  var i = 0;
+  while (i < this.times.length && getTime(this.times[i]) <= time) i++;
+  this.times.splice(i, 0, name);
 }
 
 SceneNode.prototype.getAllGroup = function() {
   return GroupNode.sceneGroup(this);
 }
 
+/// Sorts the shapes of the scene into movables, the frame and the statics. The ground
+/// is the static shape with the id '_', see SVGScene.setIds.
 SceneNode.prototype.init = function() {
   var movables = [], shapes = this.scene.shapes;
   for (var i=0; i<shapes.length; i++) {
     if (shapes[i].movable) movables.push(shapes[i]);
-    else if (shapes[i].id == '_') this.ground = shapes[i];
     else if (shapes[i].id == '|') this.frame = shapes[i];
+    else {
+      if (shapes[i].id == '_') this.ground = shapes[i];
+      this.statics.push(shapes[i]);
+    }
   }
 }
 
 /// Creates an empty ObjectNode for each shape in the scene that does not have an
-/// associated ObjectNode yet.
+/// associated ObjectNode yet. Only the ObjectNodes of movable shapes are added to
+/// `objs`, the ones of static shapes are available through the `object_node` field
+/// of the shapes in `statics`.
 SceneNode.prototype.registerObjects = function() {
   var movables = this.scene.shapes.filter(function(s) { return s.movable });
   for (var i=0; i<movables.length; i++) {
     if (!movables[i].object_node) this.objs.push(new ObjectNode(this, movables[i]));
   }
-  if (this.ground && !this.ground.object_node)
-    this.ground.object_node = new ObjectNode(this, this.ground);
+  for (var i=0; i<this.statics.length; i++) {
+    var s = this.statics[i];
+    if (!s.object_node) s.object_node = new ObjectNode(this, s);
+  }
 }
 
 /// Records the start state, simulates till the end state while recording all
-/// collisions and records the end state.
+/// collisions and the trajectories of all movable objects and records the end state.
+/// The samples of the trajectories are {t, x, y, rot, vx, vy, w} objects in scene
+/// coordinates, the rate they are taken at is the `sample_rate` of the oracle.
+/// The collisions are also available as `collision_graph`, see CollisionGraph.
 SceneNode.prototype.perceiveCollisions = function() {
   this.oracle.gotoState("start");
   this.collisions = this.oracle.observeCollisions();
@@ -49,12 +132,80 @@ SceneNode.prototype.perceiveCollisions = function() {
     this.collisions[i].a = this.collisions[i].a.master_obj;
     this.collisions[i].b = this.collisions[i].b.master_obj;
   }
+  this.collision_graph = new CollisionGraph(this.scene.shapes, this.collisions);
+  this.trajectories = this.oracle.trajectories.map(function (tr) {
+    var obj = tr.body.master_obj, s = obj.phys_scale;
+    return { obj: obj, samples: tr.samples.map(function (p) {
+      return { t: p.t, x: p.x/s, y: p.y/s, rot: p.rot, vx: p.vx/s, vy: p.vy/s, w: p.w };
+    })};
+  });
+  this.resolveEventStates();
+}
+
+/// Sets the time of all states that are anchored at events to the time the event
+/// happens in this scene, see getEventTime. States whose event does not happen are
+/// removed from the oracle and from `times`.
+SceneNode.prototype.resolveEventStates = function() {
+  for (var i=0; i<this.event_states.length; i++) {
+    var name = this.event_states[i].name, idx = this.times.indexOf(name);
+    if (idx != -1) this.times.splice(idx, 1);
+    if (name in this.oracle.states) this.oracle.removeState(name);
+    var t = this.getEventTime(this.event_states[i].event);
+    if (t !== null) this.insertState(name, t);
+  }
+}
+
+/// Returns the time in seconds at which the passed event happens in this scene or
+/// null if it does not happen. The events are resolved from the collisions and
+/// trajectories recorded by perceiveCollisions. Possible events are:
+///   {event: 'hit', obj, other, nth}: the nth collision (default: 1) that involves
+///     the objects with the ids `obj` and `other`, e.g. '_' for the ground. Without
+///     them, any collision counts.
+///   {event: 'rest', obj}: the object with the id `obj` or, without it, all objects
+///     came to rest. If an object still moves or spins at the end of its trajectory,
+///     the event does not happen.
+/// An optional `delay` in seconds is added to the time of the event.
+SceneNode.prototype.getEventTime = function(event) {
+  var t = null;
+  var matches = function(obj, id) { return id === undefined || String(obj.id) === String(id) };
+  if (event.event === 'hit') {
+    var hits = this.collisions.filter(function (c) {
+      return (matches(c.a, event.obj) || matches(c.b, event.obj))
+          && (matches(c.a, event.other) || matches(c.b, event.other));
+    });
+    var hit = hits[(event.nth || 1)-1];
+    if (hit) t = hit.t;
+  } else if (event.event === 'rest') {
+    var settings = Box2D.Common.b2Settings, never = false;
+    this.trajectories.forEach(function (tr) {
+      if (!matches(tr.obj, event.obj)) return;
+      // the object rests after the last sample it was faster than Box2D's sleep tolerances
+      var max_v = settings.b2_linearSleepTolerance / tr.obj.phys_scale
+        , max_w = settings.b2_angularSleepTolerance;
+      var moves = function(s) { return Math.sqrt(s.vx*s.vx+s.vy*s.vy) > max_v || Math.abs(s.w) > max_w };
+      var last = tr.samples.length-1, rest = tr.samples[0].t;
+      if (moves(tr.samples[last])) never = true;
+      for (var i=0; i<last; i++) if (moves(tr.samples[i])) rest = tr.samples[i+1].t;
+      t = Math.max(t, rest);
+    });
+    if (never) t = null;
+  }
+  return t === null ? null : t + (event.delay || 0);
+}
+
+/// Returns the samples of the trajectory of the passed shape, see perceiveCollisions,
+/// or null if there is none.
+SceneNode.prototype.getTrajectory = function(obj) {
+  for (var i=0; i<this.trajectories.length; i++) {
+    if (this.trajectories[i].obj === obj) return this.trajectories[i].samples;
+  }
+  return null;
 }
 
 /// Returns an SceneNode instance, which is the perception of the passed scene.
 /// For now brute force: All movable objects in the scene are automatically
 /// with all their attributes and relationships with each other for one snapshot
-/// at the beginning and one snapshot at the end of time.
+/// at each of the `times`, by default at the beginning and at the end of time.
 SceneNode.prototype.perceiveAll = function() {
   this.perceiveCollisions();
   for (var t=0; t<this.times.length; t++) {
@@ -83,3 +234,16 @@ SceneNode.prototype.describe = function(prefix) {
   };
   return res.join("\n");
 }
+
+/// Returns the perceived results of the scene as object that can be serialized with
+/// JSON.stringify. It contains the perceptions of all objects at all recorded times,
+/// the collisions and the membership profile the activities were calculated with.
+SceneNode.prototype.toJSON = function() {
+  return { id: this.id
+         , side: this.side
+         , membership_profile: PBP.getMembershipProfile(this)
+         , objs: this.objs.map(function (on) { return on.toJSON() })
+         , collisions: this.collisions.map(function (c) {
+             return { a: c.a.id, b: c.b.id, dv: c.dv, t: c.t } })
+         };
+}
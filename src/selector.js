@@ -63,14 +63,20 @@ Selector.prototype.featureCount = function() {
 /// Calls the passed function once for each feature that is part of the
 /// selector.
 Selector.prototype.forEachFeature = function(fn) {
+	// change matchers use the features of both their matchers
+	var call = function(matcher, table) {
+		if (matcher instanceof Selector.ChangeMatcher) {
+			fn(table[matcher.from.key]);
+			if (matcher.to.key !== matcher.from.key) fn(table[matcher.to.key]);
+		} else fn(table[matcher.key]);
+	}
 	var i;
-	for (i=0; i<this.obj_attrs.length; i++)
-		fn(pbpSettings.obj_attrs[this.obj_attrs[i].key]);
-	for (i=0; i<this.grp_attrs.length; i++)
-		fn(pbpSettings.group_attrs[this.grp_attrs[i].key]);
+	for (i=0; i<this.obj_attrs.length; i++) call(this.obj_attrs[i], pbpSettings.obj_attrs);
+	for (i=0; i<this.grp_attrs.length; i++) call(this.grp_attrs[i], pbpSettings.group_attrs);
 	for (i=0; i<this.rels.length; i++) {
-		fn(pbpSettings.obj_rels[this.rels[i].key]);
+		call(this.rels[i], pbpSettings.obj_rels);
 		this.rels[i].other_sel.forEachFeature(fn);
+		if (this.rels[i].other_sel2) this.rels[i].other_sel2.forEachFeature(fn);
 	}
 }
 
@@ -129,20 +135,21 @@ Selector.prototype.add_attr = function(attr_matcher) {
 
 /// Will extract the relation key, label, activation, constant and symmetry properties. Pass the time
 /// at which the attribute values should match (default: 'start'). Pass a selector that selects the other
-/// object.
-Selector.prototype.use_rel = function(other_sel, rel, time) {
-	this.add_rel(Selector.RelMatcher.fromRelationship(other_sel, rel, time));
+/// object and for relationships of arity 3 a second selector that selects the second other object.
+Selector.prototype.use_rel = function(other_sel, rel, time, other_sel2) {
+	this.add_rel(Selector.RelMatcher.fromRelationship(other_sel, rel, time, other_sel2));
 	return this;
 };
 
-/// Adds the passed RelMatcher. Will replace if a rel with the same key, target object
+/// Adds the passed RelMatcher. Will replace if a rel with the same key, target object(s)
 /// and time is in the list already.
 Selector.prototype.add_rel = function(rel_matcher) {
 	// if we have an attr of same type, replace
 	for (var i=0; i<this.rels.length; i++) {
 		var rel = this.rels[i];
 	  if (rel.key === rel_matcher.key && rel.time == rel_matcher.time &&
-	  	  rel.other_sel.equals(rel_matcher.other_sel)) {
+	  	  rel.other_sel.equals(rel_matcher.other_sel) &&
+	  	  Selector.equalOrNone(rel.other_sel2, rel_matcher.other_sel2)) {
 	  	this.rels[i] = rel_matcher;
 	  	return this;
 	  }
@@ -152,6 +159,14 @@ Selector.prototype.add_rel = function(rel_matcher) {
 	return this;
 };
 
+/// Adds the passed ChangeMatcher to the attributes or relationships, depending on the
+/// matchers it compares. Will replace a change of the same feature(s), times and, for
+/// relationships, target object(s).
+Selector.prototype.add_change = function(change_matcher) {
+	if (change_matcher.from instanceof Selector.RelMatcher) return this.add_rel(change_matcher);
+	return this.add_attr(change_matcher);
+};
+
 /// Returns true if the passed other selector has the same relationships and attributes.
 /// They might be in a different order.
 Selector.prototype.equals = function(other) {
@@ -172,6 +187,12 @@ Selector.prototype.equals = function(other) {
 	return true;
 }
 
+/// Returns true if both selectors are missing or equal.
+Selector.equalOrNone = function(sel, other) {
+	if (!sel || !other) return !sel && !other;
+	return sel.equals(other);
+}
+
 /// Returns true if the passed object node matches the selector's object
 /// attributes and relations. Optionally, an array of nodes that will be
 /// condisered as relationship partners can be passed as second parameter. If
@@ -314,8 +335,11 @@ Selector.AttrMatcher.prototype.describe = function() {
 
 /// CAUTION: other_sel is not allowed to use RelMatchers, itself! Otherwise
 /// we could get into infinite recursion!
-Selector.RelMatcher = function(other_sel, key, label, active, time) {
+/// For relationships of arity 3, pass the selector of the second other object as
+/// `other_sel2`. The same holds for it.
+Selector.RelMatcher = function(other_sel, key, label, active, time, other_sel2) {
 	this.other_sel = other_sel;
+	this.other_sel2 = other_sel2 || null;
 	this.key = key;
 	this.label = label;
 	this.active = typeof(active) === 'undefined' ? true : active;
@@ -326,7 +350,7 @@ Selector.RelMatcher = function(other_sel, key, label, active, time) {
 
 Selector.RelMatcher.prototype.clone = function() {
 	return new Selector.RelMatcher( this.other_sel, this.key, this.label
-		                            , this.active, this.time);
+		                            , this.active, this.time, this.other_sel2);
 }
 
 Selector.RelMatcher.prototype.getComplexity = function() {
@@ -334,6 +358,7 @@ Selector.RelMatcher.prototype.getComplexity = function() {
 	if (this.time !== 'start') c++;
 	if (!this.active) c += 2;
 	c += this.other_sel.getComplexity();
+	if (this.other_sel2) c += this.other_sel2.getComplexity();
 	return c;
 }
 
@@ -341,26 +366,29 @@ Selector.RelMatcher.prototype.getComplexity = function() {
 Selector.RelMatcher.prototype.equals = function(other) {
 	return (this.key === other.key && this.label === other.label &&
 	        this.active === other.active && this.time === other.time &&
-	        this.other_sel.equals(other.other_sel));
+	        this.other_sel.equals(other.other_sel) &&
+	        Selector.equalOrNone(this.other_sel2, other.other_sel2));
 }
 
 /// First uses its 'other' selector on the passed 'others' array of nodes. Returns true
 /// if the passed 'node' can supply the relationship to any of the selected nodes and
 /// the activation and label match.
-/// If others is not passed, all nodes in the scene except the 'node' are used.
+/// If others is not passed, all nodes in the scene except the 'node' are used, for
+/// relationships with the `static_others` flag also the static objects.
+/// For relationships of arity 3, all pairs of different nodes in 'others' are used
+/// instead, see matchesTernary.
 Selector.RelMatcher.prototype.matches = function(node, others) {
 	if (this.other_sel.rels.length > 0) throw "the other-selector of"
 	// select all other nodes in the scene as 'others', if they were not passed
-	others = others || node.scene_node.objs.filter(function (on) { return on !== node });
+	if (!others) others = this.getOthers(node);
+
+	if (this.other_sel2) return this.matchesTernary(node, others);
 
 	var self = this;
 
 	var test_fn = function(other) {
 		if (other === node) return false;
-		var rel = node.getRel(self.key, {other: other, time: self.time});
-		if (!rel) return false;
-	  var active = rel.get_activity() >= pbpSettings.activation_threshold;
-		return (active == self.active && rel.get_label() == self.label);
+		return self.matchesRel(node, other);
 	}
 
 	var match_fn = function(other) {
@@ -374,18 +402,165 @@ Selector.RelMatcher.prototype.matches = function(node, others) {
 	return matching_others.length > 0;
 }
 
+/// Returns all nodes in the scene of the passed node except the node itself and, for
+/// relationships with the `static_others` flag, the static objects of the scene.
+Selector.RelMatcher.prototype.getOthers = function(node) {
+	var sn = node.scene_node;
+	var others = sn.objs.filter(function (on) { return on !== node });
+	if (pbpSettings.obj_rels[this.key].prototype.static_others) {
+		others = others.concat(sn.statics.map(function (s) { return s.object_node }));
+	}
+	return others;
+}
+
+/// Returns true if the passed node can supply the relationship with the passed other
+/// node(s) and its activation and label match. The other-selectors are not used.
+Selector.RelMatcher.prototype.matchesRel = function(node, other, other2) {
+	var rel = node.getRel(this.key, {other: other, other2: other2, time: this.time});
+	if (!rel) return false;
+	var active = rel.get_activity() >= pbpSettings.activation_threshold;
+	return (active == this.active && rel.get_label() == this.label);
+}
+
+/// Like `matches`, but for relationships of arity 3. The first other node of a pair
+/// must match the first other-selector and the second one the second other-selector.
+/// If the matcher is not active, the relationship must not be active for any pair.
+/// If one of the other-selectors is unique, exactly one pair must match. For symmetric
+/// relationships, each unordered pair is only counted once and matches if one of its
+/// orderings does.
+Selector.RelMatcher.prototype.matchesTernary = function(node, others) {
+	if (this.other_sel2.rels.length > 0) throw "the second other-selector of a RelMatcher must not have relationships";
+	var self = this, pairs = [];
+	var symmetric = !!this.symmetric;
+	for (var i=0; i<others.length; i++) for (var j=0; j<others.length; j++) {
+		if (i === j || (symmetric && j < i)) continue;
+		if (others[i] !== node && others[j] !== node) pairs.push([others[i], others[j]]);
+	}
+
+	var matches_ordered = function(other, other2) {
+		if (!self.other_sel.matchesObject(other, null, function() { return true })) return false;
+		if (!self.other_sel2.matchesObject(other2, null, function() { return true })) return false;
+		return self.matchesRel(node, other, other2);
+	}
+
+	var match_fn = function(pair) {
+		return matches_ordered(pair[0], pair[1]) || (symmetric && matches_ordered(pair[1], pair[0]));
+	}
+
+	var matching_pairs = pairs.filter(match_fn);
+
+	if (!this.active) return matching_pairs.length === pairs.length;
+	if ((this.other_sel.unique || this.other_sel2.unique) && matching_pairs.length != 1) return false;
+	return matching_pairs.length > 0;
+}
+
 /// Will extract the relation key, label, activation, constant and symmetry properties. Pass the time
 /// at which the attribute values should match (default: 'start'). Pass a selector that selects the other
-/// object.
-Selector.RelMatcher.fromRelationship = function(other, rel, time) {
+/// object and for relationships of arity 3 one that selects the second other object.
+Selector.RelMatcher.fromRelationship = function(other, rel, time, other2) {
 	return new Selector.RelMatcher(
 		other, rel.key, rel.get_label()
 	 ,rel.get_activity() >= pbpSettings.activation_threshold
-	 ,time);
+	 ,time, other2);
 }
 
 Selector.RelMatcher.prototype.describe = function() {
 	return (this.active ? '' : 'not ') + this.label + " " +
 				 this.other_sel.describe() +
+				 (this.other_sel2 ? ' and ' + this.other_sel2.describe() : '') +
 				 (this.constant || this.time == "start" ? '' : ' at the ' + this.time);
-}
\ No newline at end of file
+}
+
+/// Matches a change of a feature between two times, like 'becomes on-ground', 'no
+/// longer touches (any object)' or 'was left-of X at the start and is right-of X at
+/// the end'. Pass two AttrMatchers or two RelMatchers with different times. The first
+/// one must match at its time and the second one at its time. RelMatchers must use
+/// equal other-selectors and both must match with the same other object(s). The
+/// features must not be constant, since constant features can't change.
+/// The `time` of a ChangeMatcher names the transition, e.g. 'start-end'.
+Selector.ChangeMatcher = function(from, to) {
+	var is_rel = from instanceof Selector.RelMatcher;
+	if (is_rel !== (to instanceof Selector.RelMatcher)) throw "a change must be between two attributes or two relationships";
+	if (from.time === to.time) throw "a change must be between two different times";
+	if (from.constant || to.constant) throw "constant features can't change";
+	if (is_rel && !(from.other_sel.equals(to.other_sel) && Selector.equalOrNone(from.other_sel2, to.other_sel2))) {
+		throw "a change of relationships must be with the same objects";
+	}
+	if (!is_rel && from.type !== to.type) throw "a change must be between attributes of the same type";
+	this.from = from;
+	this.to = to;
+	this.key = to.key;
+	this.type = to.type;
+	this.time = from.time + '-' + to.time;
+	this.constant = false;
+	if (is_rel) {
+		this.other_sel = from.other_sel;
+		this.other_sel2 = from.other_sel2;
+	}
+}
+
+Selector.ChangeMatcher.prototype.clone = function() {
+	return new Selector.ChangeMatcher(this.from.clone(), this.to.clone());
+}
+
+/// A change is more complex than matching a feature at a single time.
+Selector.ChangeMatcher.prototype.getComplexity = function() {
+	var c = 2;
+	if (this.from.key !== this.to.key || this.from.label !== this.to.label) c++;
+	if (this.from.time !== 'start' || this.to.time !== 'end') c++;
+	if (this.other_sel) c += this.other_sel.getComplexity();
+	if (this.other_sel2) c += this.other_sel2.getComplexity();
+	return c;
+}
+
+/// Returns true if the other ChangeMatcher is the same as this one.
+Selector.ChangeMatcher.prototype.equals = function(other) {
+	return (other instanceof Selector.ChangeMatcher &&
+	        this.from.equals(other.from) && this.to.equals(other.to));
+}
+
+/// Returns true if the passed node matches the first matcher at its time and the second
+/// one at its time. For relationships, there must be other node(s) selected by the
+/// other-selector(s) that both relationship matchers match with. Pass the nodes that
+/// are considered as other objects as `others`, per default all other nodes of the scene
+/// are used (see RelMatcher.matches).
+Selector.ChangeMatcher.prototype.matches = function(node, others) {
+	if (!this.other_sel) return this.from.matches(node) && this.to.matches(node);
+	if (this.other_sel.rels.length > 0) throw "the other-selector of a ChangeMatcher must not have relationships";
+	if (!others) others = this.from.getOthers(node);
+	var self = this, any = function() { return true };
+	var candidates = [];
+	for (var i=0; i<others.length; i++) {
+		if (others[i] === node || !this.other_sel.matchesObject(others[i], null, any)) continue;
+		if (!this.other_sel2) candidates.push([others[i]]);
+		else for (var j=0; j<others.length; j++) {
+			if (j === i || others[j] === node) continue;
+			if (this.other_sel2.matchesObject(others[j], null, any)) candidates.push([others[i], others[j]]);
+		}
+	}
+	var matching = candidates.filter(function (c) {
+		return self.from.matchesRel(node, c[0], c[1]) && self.to.matchesRel(node, c[0], c[1]);
+	});
+	if ((this.other_sel.unique || (this.other_sel2 && this.other_sel2.unique)) && matching.length != 1) return false;
+	return matching.length > 0;
+}
+
+/// Returns e.g. 'becomes on-ground', 'no longer touches (any object)' or 'changes
+/// from left-of to right-of [the small object]'.
+Selector.ChangeMatcher.prototype.describe = function() {
+	var from = this.from, to = this.to;
+	var res;
+	if (from.key === to.key && from.label === to.label && from.active !== to.active) {
+		res = (to.active ? 'becomes ' : 'no longer ') + to.label;
+	} else if (from.active && to.active) {
+		res = 'changes from ' + from.label + ' to ' + to.label;
+	} else return 'was ' + from.describe() + ' and is ' + to.describe();
+	if (this.other_sel) {
+		res += ' ' + this.other_sel.describe() +
+		       (this.other_sel2 ? ' and ' + this.other_sel2.describe() : '');
+	}
+	if (from.time !== 'start' || to.time !== 'end') {
+		res += ' between the ' + from.time + ' and the ' + to.time;
+	}
+	return res;
+}
@@ -1,56 +1,262 @@
-var pbpSettings = (function() {
-	res = {
+var pbpSettings = {
     max_dist: 0.06 // maximal distance of an objects to a spatial group to belong to it /* TODO: use this everywhere */
    ,activation_threshold: 0.5 /* TODO: use this everywhere */
    ,obj_attrs: {}
    ,obj_rels: {}
    ,group_attrs: {}
-	};
-	// object attributes
-	[LeftAttribute,
-	 LeftMostAttribute,
-	 RightAttribute,
-	 RightMostAttribute,
-	 BottomAttribute,
-	 TopAttribute,
-	 TopMostAttribute,
-	 SingleAttribute,
-	 OnGroundAttribute,
-	 CircleAttribute,
-	 SquareAttribute,
-	 RectangleAttribute,
-	 TriangleAttribute,
-	 ShapeAttribute,
-	 StabilityAttribute,
-	 SmallAttribute,
-	 LargeAttribute,
-	 MovesAttribute,
-	 MovableUpAttribute,
-	 IsSupportedAttribute].forEach(function (attr) { res.obj_attrs[attr.prototype.key] = attr });
-	// group attributes
-	[CloseAttribute,
-	 CountAttribute,
-	 FarAttribute,
-	 TouchAttribute
-	].forEach(function (attr) { res.group_attrs[attr.prototype.key] = attr });
-	// object relations
-	[AboveRelationship,
-	BelowRelationship,
-	LeftRelationship,
-	RightRelationship,
-	BesideRelationship,
-	FarRelationship,
-	CloseRelationship,
-	OnTopRelationship,
-	TouchRelationship,
-	HitsRelationship,
-	GetsHitRelationship,
-	CollidesRelationship,
-	SupportsRelationship].forEach(function (rel) { res.obj_rels[rel.prototype.key] = rel });
-	return res;
-})();
-
-var PBP = PBP || {};
+   ,membership_profile: 'default' // name of the active membership profile
+   ,membership_profiles: {}
+   ,states: [] // additional named states {name, time} of all scenes, see PBP.registerState
+};
+
+/// The parameters of the membership functions of the features. Most of them are
+/// sigmoid functions with steepness `a` and midpoint `m`, which is the value where the
+/// membership is 0.5. Distances, positions and areas are relative to the `scene_size`,
+/// which is the scene width and height.
+pbpSettings.membership_profiles['default'] = {
+  name: 'default'
+ ,scene_size: 100
+ ,close: { a: 30, m: 0.2 }   // distance on scale 0...1
+ ,far: { a: 20, m: 0.25 }    // distance on scale 0...1
+ ,single: { a: 40, m: 0.03 } // distance to closest object on scale 0...1
+ ,touch: { max_dist: 0.5 }   // maximal distance of touching objects
+ ,small: { a: 4, m: 1.8 }    // area, whole scene has area 100
+ ,large: { a: 4, m: 2.0 }    // area, whole scene has area 100
+ ,moves: { a: 40, m: 0.1 }   // linear velocity
+ ,is_supported: { a: 40, m: 0.1 } // linear velocity
+ ,left: { a: 20, m: 0.4 }    // x-position on scale 0...1
+ ,right: { a: 20, m: 0.4 }   // distance to right border on scale 0...1
+ ,top: { a: 20, m: 0.45 }    // y-position relative to the ground
+ ,bottom: { a: 20, m: 0.3 }  // distance to the ground relative to its position
+ ,most: { dist_scale: 2.5 }  // left-most etc. use 'close' on the scaled distance to the extreme
+ ,color: { a: 20, m: 0.2 }   // chroma (max-min of the rgb values on scale 0...1)
+ ,orientation: { a: 0.2, m: 15 } // tilt in degrees up to which an object is upright
+ ,elongated: { a: 3, m: 2.5 }  // ratio of the lengths of the principal axes
+ ,container: { a: 10, m: 0.3, min_area: 0.05 } // ratio of depth and opening width of
+                                                // pockets larger than min_area*(area+pocket)
+ ,larger: { a: 4, m: 1.5 }   // ratio of the areas of two objects
+ ,same_size: { a: 4, m: 1.5 } // ratio of the areas of the largest and smallest object
+ ,same_shape: { a: 20, m: 0.25 } // distance of the turning functions in radians
+ ,movable: { a: 0.5, m: 10 }  // distance an object moved when pulled, in scene units
+ ,topples: { a: 0.15, m: 30, max_rise: 1 } // rotation in degrees, rise of the center in scene units
+ ,motion: { a: 10, m: 0.5, bounce_a: 10, bounce_m: 0.8, window: 0.5 } // slip/relative speed ratio, upward speed, seconds
+ ,displacement: { a: 0.4, m: 10 } // distance the centroid moved between two states, in scene units
+ ,fast: { a: 6, m: 1.0 }     // linear velocity
+ ,slow: { a: 10, m: 0.4 }    // linear velocity
+ ,velocity: { a: 15, m: 0.4, window: 0.5 } // velocity in a direction, seconds to look ahead for the peak
+ ,causes_motion: { a: 0.4, m: 5, window: 2 } // additional distance in scene units, seconds between hits
+ ,before: { a: 40, m: 0.1 }  // time in seconds by which one event precedes another
+};
+
+/// Returns a deep copy of the passed profile with all parameters in `params` set. Throws
+/// an exception if `params` contains a parameter that does not exist in the profile.
+var mergeMembershipProfile = function(profile, params) {
+  var res = JSON.parse(JSON.stringify(profile));
+  for (var key in params) {
+    if (key === 'name') { res.name = params.name; continue }
+    if (!(key in res)) throw "unknown membership parameter '" + key + "'";
+    if (typeof(res[key]) !== 'object') { res[key] = params[key]; continue }
+    for (var p in params[key]) {
+      if (!(p in res[key])) throw "unknown membership parameter '" + key + '.' + p + "'";
+      res[key][p] = params[key][p];
+    }
+  }
+  return res;
+}
+
+/// Adds a membership profile under the passed name (replacing an existing one). The
+/// `params` only need to contain the parameters that differ from the default profile,
+/// e.g. `{close: {m: 0.15}}`. Returns the complete profile.
+PBP.loadMembershipProfile = function(name, params) {
+  var profile = mergeMembershipProfile(pbpSettings.membership_profiles['default'], params);
+  profile.name = name;
+  pbpSettings.membership_profiles[name] = profile;
+  return profile;
+}
+
+/// Sets the membership profile with the passed name as the active one. It is used for
+/// all scenes that don't have their own profile (see SceneNode.setMembershipProfile).
+PBP.useMembershipProfile = function(name) {
+  if (!(name in pbpSettings.membership_profiles)) throw "unknown membership profile '" + name + "'";
+  pbpSettings.membership_profile = name;
+}
+
+/// Returns the membership profile that is used for the passed SceneNode. Without
+/// a SceneNode or if it has no own profile, the active profile is returned.
+PBP.getMembershipProfile = function(scene_node) {
+  if (scene_node && scene_node.membership_profile) return scene_node.membership_profile;
+  return pbpSettings.membership_profiles[pbpSettings.membership_profile];
+}
+
+/// Throws an exception if `time` is neither a number of seconds >= 0 nor an event
+/// object (see SceneNode.getEventTime).
+var checkStateTime = function(name, time) {
+  if (typeof(time) === 'number' && time >= 0) return;
+  if (time && (time.event === 'hit' || time.event === 'rest')) return;
+  throw "time of state '" + name + "' must be a number >= 0 or an event";
+}
+
+/// Registers a named state for all scenes. Pass the time in seconds, e.g.
+/// `PBP.registerState('mid', 1.5)`, or an event the state is anchored at, e.g.
+/// `PBP.registerState('after_first_hit', {event: 'hit', delay: 0.1})`, see
+/// SceneNode.getEventTime for the possible events. Scene nodes perceive the state in
+/// temporal order together with the built-in 'start' and 'end' states, and selectors
+/// can match features at it. Only scene nodes created afterwards know the state, use
+/// SceneNode.addState for existing ones.
+PBP.registerState = function(name, time) {
+  if (typeof(name) !== 'string' || name === '') throw "state name must be a non-empty string";
+  if (name === '0' || name === 'start' || name === 'end'
+     || pbpSettings.states.some(function (s) { return s.name === name })) {
+    throw "state '" + name + "' is already in use";
+  }
+  checkStateTime(name, time);
+  pbpSettings.states.push({name: name, time: time});
+}
+
+/// Removes the named state registered with PBP.registerState. Scene nodes that were
+/// already created keep it.
+PBP.unregisterState = function(name) {
+  for (var i=0; i<pbpSettings.states.length; i++) {
+    if (pbpSettings.states[i].name === name) return pbpSettings.states.splice(i, 1)[0];
+  }
+  throw "unknown state '" + name + "'";
+}
+
+/// Returns the table in pbpSettings a feature with the passed prototype belongs to
+/// based on its targetType and arity or throws an exception if there is none.
+var getFeatureTable = function(proto) {
+  if (proto.targetType === 'obj' && proto.arity === 1) return pbpSettings.obj_attrs;
+  if (proto.targetType === 'obj' && (proto.arity === 2 || proto.arity === 3)) return pbpSettings.obj_rels;
+  if (proto.targetType === 'group' && proto.arity === 1) return pbpSettings.group_attrs;
+  throw "unsupported combination of targetType '" + proto.targetType + "' and arity "
+       + proto.arity + " for feature '" + proto.key + "'";
+}
+
+/// Returns the tables in pbpSettings that contain a feature with the passed key.
+var findFeatureTables = function(key) {
+  return [pbpSettings.obj_attrs, pbpSettings.obj_rels, pbpSettings.group_attrs].filter(
+    function (table) { return table.hasOwnProperty(key) });
+}
+
+/// Adds a new feature to the object attributes, group attributes or object
+/// relationships, depending on its targetType and arity. Pass the feature's constructor.
+/// Its prototype must define `key`, `targetType` ('obj' or 'group'), `arity` (1, 2 or 3,
+/// only 1 for groups), `constant` (true or false) and the methods `get_activity` and
+/// `get_label`. Relationships of arity 3 relate an object to two other objects; their
+/// constructor is called with the object and both other objects, which must be stored
+/// in the `other` and `other2` fields. Throws an exception if the feature is invalid
+/// or its key is already in use. The only keys that may be shared are those of a group
+/// attribute and an object relationship that describe the same concept, like the
+/// built-in 'close' and 'far'.
+/// All ObjectNodes and GroupNodes immediately use the new feature. Returns the constructor.
+PBP.registerFeature = function(ctor) {
+  if (typeof(ctor) !== 'function') throw "feature must be a constructor function";
+  var proto = ctor.prototype;
+  if (typeof(proto.key) !== 'string' || proto.key === '') throw "feature key must be a non-empty string";
+  if (proto.targetType !== 'obj' && proto.targetType !== 'group') {
+    throw "targetType of feature '" + proto.key + "' must be 'obj' or 'group'";
+  }
+  if (proto.arity !== 1 && proto.arity !== 2 && proto.arity !== 3) {
+    throw "arity of feature '" + proto.key + "' must be 1, 2 or 3";
+  }
+  if (typeof(proto.constant) !== 'boolean') throw "constant of feature '" + proto.key + "' must be a boolean";
+  if (typeof(proto.get_activity) !== 'function') throw "feature '" + proto.key + "' has no get_activity method";
+  if (typeof(proto.get_label) !== 'function') throw "feature '" + proto.key + "' has no get_label method";
+  var table = getFeatureTable(proto);
+  if (table[proto.key] === ctor) return ctor;
+  var used = findFeatureTables(proto.key).some(function (other) {
+    return other === table || other === pbpSettings.obj_attrs || table === pbpSettings.obj_attrs;
+  });
+  if (used) throw "feature key '" + proto.key + "' is already in use";
+  table[proto.key] = ctor;
+  return ctor;
+}
+
+/// Removes a feature that was registered before. Pass its constructor or its key. If a
+/// group attribute and an object relationship share the key, the constructor must be
+/// passed. Percepts of the feature that are already cached in the nodes are kept.
+/// Throws an exception if there is no such feature. Returns the removed constructor.
+PBP.unregisterFeature = function(feature) {
+  var key = typeof(feature) === 'function' ? feature.prototype.key : feature;
+  var tables = findFeatureTables(key);
+  if (typeof(feature) === 'function') {
+    tables = tables.filter(function (table) { return table[key] === feature });
+  }
+  if (tables.length === 0) throw "unknown feature '" + key + "'";
+  if (tables.length > 1) throw "feature key '" + key + "' is ambiguous, pass the constructor";
+  var ctor = tables[0][key];
+  delete tables[0][key];
+  return ctor;
+};
+
+// the built-in features
+// object attributes
+[LeftAttribute,
+ LeftMostAttribute,
+ RightAttribute,
+ RightMostAttribute,
+ BottomAttribute,
+ TopAttribute,
+ TopMostAttribute,
+ SingleAttribute,
+ OnGroundAttribute,
+ CircleAttribute,
+ SquareAttribute,
+ RectangleAttribute,
+ TriangleAttribute,
+ ShapeAttribute,
+ StabilityAttribute,
+ SmallAttribute,
+ LargeAttribute,
+ MovesAttribute,
+ MovableUpAttribute,
+ MovableDownAttribute,
+ MovableLeftAttribute,
+ MovableRightAttribute,
+ TopplesAttribute,
+ MotionAttribute,
+ DisplacementAttribute,
+ FastAttribute,
+ SlowAttribute,
+ MovingLeftAttribute,
+ MovingRightAttribute,
+ MovingUpAttribute,
+ FallingAttribute,
+ FirstToMoveAttribute,
+ IsSupportedAttribute,
+ ColorAttribute,
+ OrientationAttribute,
+ ElongationAttribute,
+ ContainerAttribute].forEach(PBP.registerFeature);
+// group attributes
+[CloseAttribute,
+ CountAttribute,
+ FarAttribute,
+ TouchAttribute,
+ SameSizeAttribute].forEach(PBP.registerFeature);
+// object relations
+[AboveRelationship,
+ BelowRelationship,
+ LeftRelationship,
+ RightRelationship,
+ BesideRelationship,
+ FarRelationship,
+ CloseRelationship,
+ OnTopRelationship,
+ TouchRelationship,
+ HitsRelationship,
+ GetsHitRelationship,
+ CollidesRelationship,
+ SupportsRelationship,
+ SameColorRelationship,
+ InsideRelationship,
+ LargerRelationship,
+ SmallerRelationship,
+ SameShapeRelationship,
+ BetweenRelationship,
+ CausesMotionRelationship,
+ HitsBeforeRelationship,
+ MovesBeforeRelationship].forEach(PBP.registerFeature);
 
 /// Adds all keys+values in b to a (overwrites if exists) and returns a. If b is not an object, just
 /// return a.
@@ -4,7 +4,7 @@
 /// Can be in one of 3 different modes: 'unique', 'exists', 'all'
 /// (the default is 'exists').
 /// main_side is either 'left', 'right', 'both'
-Solution = function(selector, main_side, mode) {
+var Solution = function(selector, main_side, mode) {
 	this.sel = selector;
 	this.mode = mode || 'exists';
 	this.setMainSide(main_side);
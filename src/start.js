@@ -0,0 +1,23 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// All library files are concatenated between this file and end.js, so that they
+/// share one function scope and only the PBP namespace is exported. In node.js (or
+/// any other CommonJS environment), the dependencies are required explicitly and PBP
+/// is exported as module. In the browser, the dependencies are taken from the
+/// globals defined by their script tags and PBP is added as global.
+(function (root, factory) {
+  if (typeof(module) != 'undefined' && module.exports) {
+    module.exports = factory( require('./libs/geom.js/geom.js')
+                            , require('./libs/svg2physics/svg2physics.js')
+                            , require('./libs/box2dweb/Box2D.js'));
+  } else {
+    root.PBP = factory(root, root.s2p, root.Box2D);
+  }
+})(this, function(geom, s2p, Box2D) {
+var PBP = { version: "1.1.0" }; // semver
+
+var Point = geom.Point
+  , Polygon = geom.Polygon
+  , Circle = geom.Circle
+  , SpatialRelationAnalyzer = geom.SpatialRelationAnalyzer;
+
@@ -0,0 +1,25 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the between relationship and relationships of arity 3 in general.
+var assert = require('assert')
+  , scene = require('./scene');
+
+var sn = scene(['<rect x="10" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="45" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="80" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="45" y="20" width="10" height="10" style="fill:#ff0000"/>']);
+var between = function(id, other, other2) {
+  return scene.obj(sn, id).getRel('between', {other: scene.obj(sn, other), other2: scene.obj(sn, other2)
+                                             , time: 'start'}).get_activity();
+}
+assert.ok(between(1, 0, 2) > 0.9);
+assert.ok(between(0, 1, 2) < 0.1);
+assert.ok(between(3, 0, 2) < 0.5);
+
+// symmetric relationships of arity 3 are perceived once per pair of other objects
+sn.perceiveAll();
+var rels = scene.obj(sn, 1).getRel('between', {time: 'start', get_all: true, cache_only: true});
+assert.strictEqual(rels.length, 3);
+assert.strictEqual(between(1, 2, 0), between(1, 0, 2));
+assert.ok(scene.obj(sn, 1).hasRelation('between', 'start', true, scene.obj(sn, 2), scene.obj(sn, 0)));
+assert.ok(!scene.obj(sn, 0).hasRelation('between', 'start', true, scene.obj(sn, 1), scene.obj(sn, 2)));
@@ -0,0 +1,41 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the causes_motion_of relationship.
+var assert = require('assert')
+  , scene = require('./scene');
+
+var sn = scene(['<rect x="90" y="85" width="8" height="10" style="fill:#ff0000"/>'
+               ,'<path d="M 5,30 L 5,95 L 45,95 Z" style="fill:none;stroke:#000000"/>'
+               ,'<circle cx="11" cy="25" r="5" style="fill:#ff0000"/>'
+               ,'<circle cx="55" cy="91" r="4" style="fill:#ff0000"/>'
+               ,'<circle cx="65" cy="91" r="4" style="fill:#ff0000"/>']);
+sn.perceiveCollisions();
+var causes = function(a, b) {
+  return scene.obj(sn, a).getRel('causes_motion_of', {other: scene.obj(sn, b)});
+}
+
+// the ball rolling down the ramp hits the first ball, which then hits the second one
+var direct = causes(3, 4), indirect = causes(3, 5);
+assert.strictEqual(direct.chain.length, 1);
+assert.ok(direct.val > 10 && direct.val_without < 1);
+assert.ok(direct.get_activity() > 0.9);
+assert.deepStrictEqual(indirect.chain.map(function (c) { return c.a.id + '>' + c.b.id }),
+                       ['3>4', '4>5']);
+assert.ok(indirect.get_activity() > 0.9);
+
+// without the first ball, the second one would be hit by the rolling ball instead
+assert.strictEqual(causes(4, 5).chain.length, 1);
+assert.ok(causes(4, 5).val_without > 10);
+assert.ok(causes(4, 5).get_activity() < 0.5);
+
+// there is no chain of collisions backwards or to the box that is never hit
+assert.strictEqual(causes(5, 4).chain, null);
+assert.strictEqual(causes(5, 4).get_activity(), 0);
+assert.strictEqual(causes(3, 0).chain, null);
+
+// the counterfactual simulations leave the perceived end state unchanged
+sn.oracle.gotoState('end');
+var end = scene.obj(sn, 5).obj.phys_obj.GetPosition().x;
+causes(3, 5).perceive(scene.obj(sn, 3).obj, scene.obj(sn, 5).obj);
+sn.oracle.gotoState('end');
+assert.strictEqual(scene.obj(sn, 5).obj.phys_obj.GetPosition().x, end);
@@ -0,0 +1,40 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests selectors with ChangeMatchers.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP
+  , Selector = PBP.Selector;
+
+// a small box falls onto a large box on the ground
+var sn = scene(['<rect x="30" y="20" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="25" y="75" width="20" height="20" style="fill:#0000ff"/>'
+               ,'<rect x="70" y="85" width="10" height="10" style="fill:#ff0000"/>']);
+sn.perceiveAll();
+var ids = function(sel) { return sel.select(sn.getAllGroup(), sn).objs.map(function (o) { return o.id }) };
+var attr = function(key, label, active, time) { return new Selector.AttrMatcher(key, label, active, time) };
+
+var lands = new Selector.ChangeMatcher(attr('stability', 'unstable', true, 'start'), attr('stability', 'stable', true, 'end'));
+assert.strictEqual(lands.time, 'start-end');
+assert.strictEqual(lands.describe(), 'changes from unstable to stable');
+assert.deepStrictEqual(ids(new Selector().add_change(lands)), [0]);
+assert.ok(lands.getComplexity() > attr('stability', 'stable', true, 'end').getComplexity());
+
+// relationship changes must happen with the same other object
+var large = new Selector().add_attr(attr('large', 'large', true));
+var rel = function(active, time) { return new Selector.RelMatcher(large, 'touch', 'touches', active, time) };
+var starts_touching = new Selector.ChangeMatcher(rel(false, 'start'), rel(true, 'end'));
+assert.strictEqual(starts_touching.describe(), 'becomes touches (large objects)');
+assert.deepStrictEqual(ids(new Selector().add_change(starts_touching)), [0]);
+var stops_touching = new Selector.ChangeMatcher(rel(true, 'start'), rel(false, 'end'));
+assert.deepStrictEqual(ids(new Selector().add_change(stops_touching)), []);
+
+// a selector keeps one change per feature and times
+var sel = new Selector().add_change(lands).add_change(lands.clone());
+assert.strictEqual(sel.obj_attrs.length, 1);
+assert.ok(sel.equals(new Selector().add_change(lands.clone())));
+
+// invalid changes
+assert.throws(function () { new Selector.ChangeMatcher(attr('stability', 'stable', false, 'start'), rel(true, 'end')) });
+assert.throws(function () { new Selector.ChangeMatcher(attr('stability', 'stable', false, 'end'), attr('stability', 'stable', true, 'end')) });
+assert.throws(function () { new Selector.ChangeMatcher(attr('small', 'small', false, 'start'), attr('small', 'small', true, 'end')) });
@@ -0,0 +1,51 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the queries of the CollisionGraph.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var A = {id: 0, movable: true}, B = {id: 1, movable: true}, C = {id: 2, movable: true}
+  , D = {id: 3, movable: true}, G = {id: '_', movable: false};
+var g = new PBP.CollisionGraph([A, B, C, D, G],
+  [ {a: B, b: C, dv: 1, t: 0.8}
+  , {a: A, b: G, dv: 2, t: 0.5}
+  , {a: A, b: B, dv: 3, t: 0.6}
+  , {a: C, b: G, dv: 1, t: 1.2} ]);
+
+// edges are sorted by time and objects can be passed as shapes or ids
+assert.deepStrictEqual(g.edges.map(function (e) { return e.t }), [0.5, 0.6, 0.8, 1.2]);
+assert.strictEqual(g.getNode('_'), G);
+assert.strictEqual(g.getNode(1), B);
+assert.strictEqual(g.getNode('1'), B);
+assert.strictEqual(g.getNode(7), null);
+assert.strictEqual(g.getHits(A, B).length, 1);
+assert.strictEqual(g.getHits(0).length, 2);
+assert.strictEqual(g.getHits(undefined, '_').length, 2);
+assert.strictEqual(g.getHits(B, A).length, 0);
+assert.deepStrictEqual(g.getCollisions(B).map(function (e) { return e.t }), [0.6, 0.8]);
+
+assert.strictEqual(g.getFirstHitter(G), A);
+assert.strictEqual(g.getFirstHitter(A), null);
+assert.strictEqual(g.getLastHit(C).t, 1.2);
+assert.strictEqual(g.getLastHit(D), null);
+assert.deepStrictEqual(g.getPartners(B), [A, C]);
+assert.strictEqual(g.countPartners(G), 2);
+assert.strictEqual(g.countPartners(D), 0);
+assert.deepStrictEqual(g.getTemporalOrder(), [A, G, B, C]);
+assert.strictEqual(g.getFirstCollisionTime(C), 0.8);
+assert.strictEqual(g.getFirstCollisionTime(D), null);
+assert.strictEqual(g.compare(A, B), -1);
+assert.strictEqual(g.compare(C, B), 1);
+assert.strictEqual(g.compare(A, G), 0);
+assert.strictEqual(g.compare(D, C), 1);
+
+assert.deepStrictEqual(JSON.parse(JSON.stringify(g)).edges[1], {a: 0, b: 1, dv: 3, t: 0.6});
+assert.deepStrictEqual(g.toJSON().nodes[4], {id: '_', movable: false});
+
+// the scene node builds the graph from its perceived collisions
+var sn = scene(['<rect x="10" y="20" width="10" height="10" style="fill:#ff0000"/>']);
+sn.perceiveCollisions();
+assert.ok(sn.collision_graph instanceof PBP.CollisionGraph);
+assert.strictEqual(sn.collision_graph.getFirstHitter('_').id, 0);
+assert.strictEqual(sn.collision_graph.toJSON().nodes.filter(function (n) { return n.id === '|' })[0].movable, false);
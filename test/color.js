@@ -0,0 +1,40 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the color attribute and the same_color relationship.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sum = function(ms) { var s = 0; for (var l in ms) s += ms[l]; return s };
+
+assert.deepStrictEqual(PBP.ColorAttribute.parseColor('#f00'), {r: 1, g: 0, b: 0});
+assert.deepStrictEqual(PBP.ColorAttribute.parseColor('rgb(0, 255, 0)'), {r: 0, g: 1, b: 0});
+assert.deepStrictEqual(PBP.ColorAttribute.parseColor('Blue'), {r: 0, g: 0, b: 1});
+assert.strictEqual(PBP.ColorAttribute.parseColor('none'), null);
+
+// colors between two categories belong to both
+var ms = PBP.ColorAttribute.membership({r: 1, g: 0.25, b: 0});
+assert.ok(ms.red > 0.3 && ms.orange > 0.3);
+assert.ok(Math.abs(sum(ms)-1) < 1e-9);
+ms = PBP.ColorAttribute.membership({r: 0.5, g: 0.5, b: 0.5});
+assert.ok(ms.gray > 0.99);
+
+var sn = scene(['<rect x="10" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="30" y="85" width="10" height="10" style="fill:#e01010"/>'
+               ,'<rect x="50" y="85" width="10" height="10" style="fill:#0000ff"/>'
+               ,'<rect x="70" y="85" width="10" height="10" style="fill:none;stroke:#00ff00"/>'
+               ,'<rect x="85" y="85" width="10" height="10" style="fill:none"/>']);
+var color = function(id) { return scene.obj(sn, id).getAttr('color', {time: 'start'}) };
+var same = function(id, other) {
+  return scene.obj(sn, id).getRel('same_color', {other: scene.obj(sn, other), time: 'start'}).get_activity();
+}
+assert.strictEqual(color(0).get_label(), 'red');
+assert.ok(color(0).get_activity() > 0.9);
+assert.strictEqual(color(1).get_label(), 'red');
+assert.strictEqual(color(2).get_label(), 'blue');
+assert.strictEqual(color(3).get_label(), 'green');
+assert.strictEqual(color(4).get_label(), 'unknown');
+assert.strictEqual(color(4).get_activity(), 0);
+assert.ok(same(0, 1) > 0.8);
+assert.ok(same(0, 2) < 0.1);
+assert.strictEqual(same(0, 4), 0);
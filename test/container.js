@@ -0,0 +1,42 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the container attribute.
+var assert = require('assert')
+  , scene = require('./scene')
+  , geom = require('../libs/geom.js/geom.js')
+  , PBP = scene.PBP;
+
+var sn = scene(['<rect x="80" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<path d="M 10,70 L 10,94 L 30,94 L 30,70 L 27,70 L 27,91 L 13,91 L 13,70 Z" style="fill:#ff0000"/>'
+               ,'<path d="M 40,94 L 40,70 L 60,70 L 60,94 L 57,94 L 57,73 L 43,73 L 43,94 Z" style="fill:#ff0000"/>'
+               ,'<path d="M 65,80 L 75,70 L 75,90 Z" style="fill:#ff0000"/>'
+               ,'<circle cx="90" cy="70" r="5" style="fill:#ff0000"/>']);
+var container = function(id) { return scene.obj(sn, id).getAttr('container', {time: 'start'}) };
+
+assert.strictEqual(container(0).get_label(), 'convex');
+assert.strictEqual(container(0).get_interior(), null);
+assert.strictEqual(container(2).get_label(), 'open-up');
+assert.ok(container(2).get_activity() > 0.9);
+assert.ok(Math.abs(container(2).val - 21/14) < 0.2);
+assert.strictEqual(container(3).get_label(), 'open-down');
+assert.strictEqual(container(4).get_label(), 'convex');
+assert.strictEqual(container(5).get_label(), 'convex');
+
+// the interior is in scene coordinates
+var interior = container(2).get_interior();
+assert.ok(interior.contains(new geom.Point(20, 85)));
+assert.ok(!interior.contains(new geom.Point(20, 60)));
+var bb = interior.bounding_box();
+assert.ok(Math.abs(bb.x-13) < 1 && Math.abs(bb.x+bb.width-27) < 1);
+assert.ok(Math.abs(bb.y-70) < 1 && Math.abs(bb.y+bb.height-91) < 1);
+
+// the container follows the rotation of the object
+var cup = scene.obj(sn, 2).obj;
+cup.rot = Math.PI/2; // clockwise
+assert.strictEqual(new PBP.ContainerAttribute(cup).get_label(), 'open-right');
+cup.rot = 0;
+
+// small pockets don't make containers
+var notch = new geom.Polygon([[0, 0], [10, 0], [10, 10], [5.5, 10], [5, 9.5], [4.5, 10], [0, 10]]);
+notch.closed = true;
+assert.strictEqual(PBP.ContainerAttribute.findPocket(notch), null);
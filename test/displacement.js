@@ -0,0 +1,37 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the displacement attribute.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sum = function(ms) { var s = 0; for (var l in ms) s += ms[l]; return s };
+
+var sn = scene(['<rect x="65" y="20" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="85" y="70" width="8" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="60" y="80" width="35" height="15" style="fill:none;stroke:#000000"/>'
+               ,'<path d="M 5,60 L 5,95 L 40,95 Z" style="fill:none;stroke:#000000"/>'
+               ,'<circle cx="10" cy="57" r="4" style="fill:#0000ff"/>']);
+var displacement = function(id) { return scene.obj(sn, id).getAttr('displacement', {time: 'end'}) };
+
+assert.strictEqual(displacement(0).get_label(), 'moves-down');
+assert.ok(displacement(0).dy > 40 && Math.abs(displacement(0).dx) < 0.1);
+assert.strictEqual(displacement(1).get_label(), 'stays-put');
+assert.ok(displacement(1).val < 0.5);
+assert.ok(displacement(5).dx > 20);
+assert.strictEqual(displacement(5).get_label(), 'moves-right');
+assert.ok(Math.abs(sum(displacement(5).get_memberships())-1) < 1e-9);
+assert.strictEqual(displacement('_2').val, 0);
+
+// the states the displacement is measured between can be changed in sub-classes
+sn.addState('mid', 0.2);
+var EarlyDisplacement = function(obj) { this.perceive(obj) };
+EarlyDisplacement.prototype = Object.create(PBP.DisplacementAttribute.prototype);
+EarlyDisplacement.prototype.to = 'mid';
+sn.oracle.gotoState('end');
+var body = scene.obj(sn, 0).obj.phys_obj, y = body.GetPosition().y;
+var early = new EarlyDisplacement(scene.obj(sn, 0).obj);
+assert.ok(early.dy > 5 && early.dy < displacement(0).dy - 10);
+// perceiving it does not change the state of the scene
+assert.strictEqual(sn.oracle.curr_state, 'end');
+assert.strictEqual(body.GetPosition().y, y);
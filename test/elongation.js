@@ -0,0 +1,30 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the elongated attribute.
+var assert = require('assert')
+  , scene = require('./scene')
+  , geom = require('../libs/geom.js/geom.js')
+  , PBP = scene.PBP;
+
+var sn = scene(['<rect x="5" y="80" width="30" height="5" style="fill:#ff0000"/>'
+               ,'<rect x="40" y="80" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="55" y="80" width="12" height="10" style="fill:#ff0000"/>'
+               ,'<circle cx="80" cy="80" r="5" style="fill:#ff0000"/>']);
+var elongated = function(id) { return scene.obj(sn, id).getAttr('elongated', {time: 'start'}) };
+
+assert.ok(Math.abs(elongated(0).val - 6) < 0.5);
+assert.strictEqual(elongated(0).get_label(), 'long');
+assert.ok(Math.abs(elongated(1).val - 1) < 0.05);
+assert.strictEqual(elongated(1).get_label(), 'compact');
+assert.strictEqual(elongated(2).get_label(), 'compact');
+assert.strictEqual(elongated(4).val, 1);
+assert.strictEqual(elongated(4).get_activity(), 1);
+
+// the elongation of a polygon does not depend on its rotation
+var poly = new geom.Polygon([[0, 0], [6, 0], [6, 1], [0, 1]]);
+poly.closed = true;
+var rotated = new geom.Polygon(poly.pts.map(function (p) { p = p.rotate(0.7); return [p.x, p.y] }));
+rotated.closed = true;
+assert.ok(Math.abs(PBP.ElongationAttribute.elongation(poly) - 6) < 1e-9);
+assert.ok(Math.abs(PBP.ElongationAttribute.elongation(rotated) - 6) < 1e-9);
+assert.ok(isNaN(PBP.ElongationAttribute.elongation(new geom.Polygon([[0, 0], [1, 1]]))));
@@ -0,0 +1,54 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests PBP.registerFeature and PBP.unregisterFeature.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var HeavyAttribute = function(obj) { this.perceive(obj) }
+HeavyAttribute.prototype.key = 'heavy';
+HeavyAttribute.prototype.targetType = 'obj';
+HeavyAttribute.prototype.arity = 1;
+HeavyAttribute.prototype.constant = true;
+HeavyAttribute.prototype.perceive = function(obj) { this.obj = obj; this.val = obj.area() }
+HeavyAttribute.prototype.get_activity = function() { return this.val > 50 ? 1 : 0 }
+HeavyAttribute.prototype.get_label = function() { return 'heavy' }
+
+var sn = scene(['<rect x="10" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="50" y="91" width="4" height="4" style="fill:#ff0000"/>']);
+
+assert.strictEqual(PBP.registerFeature(HeavyAttribute), HeavyAttribute);
+assert.strictEqual(PBP.settings.obj_attrs.heavy, HeavyAttribute);
+// registering the same feature again is fine
+PBP.registerFeature(HeavyAttribute);
+assert.strictEqual(scene.obj(sn, 0).getAttr('heavy', {time: 'start'}).get_activity(), 1);
+assert.strictEqual(scene.obj(sn, 1).getAttr('heavy', {time: 'start'}).get_activity(), 0);
+
+// keys are unique, except for a group attribute and an object relationship
+var Other = function() {};
+Other.prototype = Object.create(HeavyAttribute.prototype);
+assert.throws(function () { PBP.registerFeature(Other) }, /already in use/);
+var CloseRel = function() {};
+CloseRel.prototype = Object.create(PBP.CloseRelationship.prototype);
+assert.throws(function () { PBP.registerFeature(CloseRel) }, /already in use/);
+
+// invalid features
+var Invalid = function() {};
+Invalid.prototype.key = 'invalid';
+Invalid.prototype.targetType = 'scene';
+assert.throws(function () { PBP.registerFeature(Invalid) }, /targetType/);
+Invalid.prototype.targetType = 'obj';
+Invalid.prototype.arity = 1;
+assert.throws(function () { PBP.registerFeature(Invalid) }, /constant/);
+Invalid.prototype.constant = false;
+assert.throws(function () { PBP.registerFeature(Invalid) }, /get_activity/);
+assert.throws(function () { PBP.registerFeature('heavy') }, /constructor/);
+
+// unregistering by key or constructor
+assert.strictEqual(PBP.unregisterFeature('heavy'), HeavyAttribute);
+assert.ok(!('heavy' in PBP.settings.obj_attrs));
+assert.throws(function () { PBP.unregisterFeature('heavy') }, /unknown feature/);
+assert.throws(function () { PBP.unregisterFeature('close') }, /ambiguous/);
+assert.strictEqual(PBP.unregisterFeature(PBP.CloseAttribute), PBP.CloseAttribute);
+assert.ok('close' in PBP.settings.obj_rels);
+assert.ok(!('close' in PBP.settings.group_attrs));
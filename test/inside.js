@@ -0,0 +1,38 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the inside_of relationship.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sn = scene(['<path d="M 10,70 L 10,94 L 40,94 L 40,70 L 37,70 L 37,91 L 13,91 L 13,70 Z" style="fill:#ff0000"/>'
+               ,'<circle cx="25" cy="85" r="5" style="fill:#00ff00"/>'
+               ,'<circle cx="70" cy="89" r="5" style="fill:#0000ff"/>']);
+var inside = function(id, other, time) {
+  return scene.obj(sn, id).getRel('inside_of', {other: scene.obj(sn, other), time: time}).get_activity();
+}
+sn.perceiveAll();
+assert.ok(inside(2, 1, 'start') > 0.9);
+assert.ok(inside(2, 1, 'end') > 0.9);
+assert.strictEqual(inside(3, 1, 'end'), 0);
+assert.strictEqual(inside(1, 2, 'end'), 0);
+
+// a ball that sticks out of the cup is partly inside of it
+var ball = scene.obj(sn, 2).obj, x = ball.x, y = ball.y;
+ball.y = 70;
+var half = new PBP.InsideRelationship(ball, scene.obj(sn, 1).obj).get_activity();
+assert.ok(half > 0.3 && half < 0.7);
+ball.x = x; ball.y = y;
+
+// static containers next to the ground have their own ids
+sn = scene(['<path d="M 20,60 L 20,95 L 50,95 L 50,60 L 45,60 L 45,90 L 25,90 L 25,60 Z" style="fill:none;stroke:#000000"/>'
+           ,'<circle cx="35" cy="80" r="5" style="fill:#00ff00"/>'
+           ,'<circle cx="75" cy="85" r="5" style="fill:#0000ff"/>']);
+assert.deepStrictEqual(sn.statics.map(function (s) { return s.id }), ['_', '_1']);
+assert.strictEqual(sn.ground.id, '_');
+sn.perceiveAll();
+assert.ok(inside(2, '_1', 'end') > 0.9);
+assert.strictEqual(inside(2, '_', 'end'), 0);
+assert.strictEqual(inside(3, '_1', 'end'), 0);
+assert.ok(sn.collisions.some(function (c) { return c.a.id === 2 && c.b.id === '_1' }));
+assert.ok(sn.collisions.some(function (c) { return c.a.id === 3 && c.b.id === '_' }));
@@ -0,0 +1,46 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the motion attribute.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sum = function(ms) { var s = 0; for (var l in ms) s += ms[l]; return s };
+
+var motion = function(sn, id) { return scene.obj(sn, id).getAttr('motion', {time: 'start'}) };
+
+// a ball rolling down a ramp
+var sn = scene(['<path d="M 5,60 L 5,95 L 60,95 Z" style="fill:none;stroke:#000000"/>'
+               ,'<circle cx="10" cy="57" r="4" style="fill:#0000ff"/>']);
+assert.strictEqual(motion(sn, 2).get_label(), 'rolls');
+assert.ok(motion(sn, 2).get_activity() > 0.9);
+assert.ok(Math.abs(sum(motion(sn, 2).get_memberships())-1) < 1e-9);
+
+// a box sliding down a steeper ramp
+sn = scene(['<path d="M 5,40 L 5,95 L 45,95 Z" style="fill:none;stroke:#000000"/>'
+           ,'<path d="M 12.24,49.42 L 16.95,55.90 L 23.42,51.19 L 18.71,44.72 Z" style="fill:#00ff00"/>']);
+assert.strictEqual(motion(sn, 2).get_label(), 'slides');
+assert.ok(motion(sn, 2).get_activity() > 0.8);
+
+// a falling ball and a box resting on the ground
+sn = scene(['<rect x="10" y="85" width="10" height="10" style="fill:#ff0000"/>'
+           ,'<circle cx="70" cy="20" r="4" style="fill:#0000ff"/>']);
+assert.strictEqual(motion(sn, 2).get_label(), 'falls-freely');
+assert.strictEqual(motion(sn, 0).get_label(), 'rests');
+assert.ok(motion(sn, 0).get_activity() > 0.9);
+
+// an object that turns from moving down to moving up and leaves the ground bounces
+var samples = [ { v: 2, w: 0, vy: 2, contact: false, slip: 0 }
+              , { v: 2, w: 0, vy: -2, contact: true, slip: 2 }
+              , { v: 2, w: 0, vy: -2, contact: false, slip: 0 } ];
+assert.ok(PBP.MotionAttribute.membership(samples).bounces > 0.9);
+
+// objects that move together with the objects they touch neither roll nor slide
+sn = scene(['<rect x="40" y="20" width="20" height="10" style="fill:#ff0000"/>'
+           ,'<path d="M 45,20 L 55,20 L 50,12 Z" style="fill:#00ff00"/>']);
+assert.strictEqual(motion(sn, 2).get_label(), 'falls-freely');
+assert.ok(motion(sn, 2).get_memberships().rolls < 0.1);
+samples = [ { v: 2, w: 0, vy: 2, contact: true, rel: 0, slip: 0 } ];
+assert.ok(PBP.MotionAttribute.membership(samples)['falls-freely'] > 0.9);
+samples = [ { v: 2, w: 0, vy: 2, contact: true, rel: 2, slip: 2 } ];
+assert.ok(PBP.MotionAttribute.membership(samples).slides > 0.9);
@@ -0,0 +1,34 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the can_move_left, can_move_right, can_move_down and can_move_up attributes.
+var assert = require('assert')
+  , scene = require('./scene');
+
+var sn = scene(['<rect x="30" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="71" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="60" y="50" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="60" y="60" width="10" height="35" style="fill:none;stroke:#000000"/>']);
+var can_move = function(id, dir) {
+  return scene.obj(sn, id).getAttr('can_move_' + dir, {time: 'start'});
+}
+assert.ok(can_move(0, 'left').get_activity() > 0.9);
+assert.ok(can_move(0, 'right').get_activity() > 0.9);
+assert.ok(can_move(0, 'down').get_activity() < 0.1);
+assert.ok(can_move(0, 'up').get_activity() > 0.9);
+
+// a static wall blocks the object, the frame does not
+assert.ok(can_move(1, 'left').get_activity() < 0.1);
+assert.ok(can_move(1, 'right').get_activity() > 0.9);
+assert.ok(can_move(1, 'right').at_edge);
+assert.ok(can_move(0, 'left').at_edge);
+
+// an object on top of the wall can't move down
+assert.ok(can_move(2, 'down').get_activity() < 0.1);
+assert.ok(!can_move(2, 'down').at_edge);
+assert.ok(!can_move(2, 'left').at_edge);
+
+// static objects can't be moved
+var wall = scene.obj(sn, '_3');
+['left', 'right', 'up', 'down'].forEach(function (dir) {
+  assert.strictEqual(wall.getAttr('can_move_' + dir, {time: 'start'}).get_activity(), 0);
+});
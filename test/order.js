@@ -0,0 +1,42 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the first_to_move attribute and the moves_before and hits_before relationships.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sn = scene(['<rect x="85" y="85" width="8" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="68" y="85" width="8" height="10" style="fill:#ff0000"/>'
+               ,'<path d="M 5,30 L 5,95 L 45,95 Z" style="fill:none;stroke:#000000"/>'
+               ,'<circle cx="11" cy="25" r="5" style="fill:#ff0000"/>'
+               ,'<circle cx="55" cy="91" r="4" style="fill:#ff0000"/>']);
+sn.perceiveCollisions();
+var obj = function(id) { return scene.obj(sn, id) }
+  , rel = function(key, a, b) { return obj(a).getRel(key, {other: obj(b)}) };
+
+// the ball on the ramp starts to roll right away, hits the ball on the ground, which
+// then hits the box next to it; the box on the right never moves
+assert.ok(obj(4).getAttr('first_to_move').get_activity() > 0.9);
+[0, 1, 5].forEach(function (id) {
+  assert.strictEqual(obj(id).getAttr('first_to_move').get_activity(), 0);
+});
+assert.strictEqual(obj(0).getAttr('first_to_move').val, null);
+assert.ok(rel('moves_before', 4, 5).get_activity() > 0.9);
+assert.ok(rel('moves_before', 5, 1).get_activity() > 0);
+assert.strictEqual(rel('moves_before', 5, 4).get_activity(), 0);
+assert.strictEqual(rel('moves_before', 4, 0).get_activity(), 0);
+assert.strictEqual(rel('moves_before', 0, 4).get_activity(), 0);
+
+assert.ok(rel('hits_before', 4, 5).t < rel('hits_before', 4, 5).other_t);
+assert.ok(rel('hits_before', 4, 5).get_activity() > 0);
+assert.strictEqual(rel('hits_before', 5, 4).get_activity(), 0);
+assert.strictEqual(rel('hits_before', 4, 1).other_t, null);
+assert.strictEqual(rel('hits_before', 4, 1).get_activity(), 0);
+
+// the activity grows with the time difference and is 0 for ties
+var membership = PBP.MovesBeforeRelationship.membership;
+assert.strictEqual(membership(0.5, 0.5), 0);
+assert.strictEqual(membership(0.5, null), 0);
+assert.ok(membership(0.5, 0.52) < 0.1);
+assert.ok(membership(0.5, 0.6) < membership(0.5, 0.8));
+assert.ok(membership(0.5, 0.8) > 0.9);
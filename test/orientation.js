@@ -0,0 +1,37 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the orientation attribute.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sn = scene(['<rect x="5" y="80" width="20" height="5" style="fill:#ff0000"/>'
+               ,'<rect x="30" y="70" width="5" height="20" style="fill:#ff0000"/>'
+               ,'<path d="M 40,90 L 50,90 L 45,75 Z" style="fill:#ff0000"/>'
+               ,'<path d="M 55,75 L 65,75 L 60,90 Z" style="fill:#ff0000"/>'
+               ,'<path d="M 70,80 L 85,75 L 85,85 Z" style="fill:#ff0000"/>'
+               ,'<circle cx="92" cy="80" r="3" style="fill:#ff0000"/>']);
+var orientation = function(id) { return scene.obj(sn, id).getAttr('orientation', {time: 'start'}) };
+
+assert.strictEqual(orientation(0).get_label(), 'lying');
+assert.strictEqual(orientation(1).get_label(), 'standing');
+assert.strictEqual(orientation(3).get_label(), 'pointing-up');
+assert.strictEqual(orientation(4).get_label(), 'pointing-down');
+assert.strictEqual(orientation(5).get_label(), 'pointing-left');
+assert.ok(orientation(3).get_activity() > 0.9);
+assert.strictEqual(orientation(6).get_label(), 'unknown');
+
+// the orientation changes with the rotation of the object
+var tri = scene.obj(sn, 3).obj;
+tri.rot = -Math.PI/4; // counter-clockwise
+var ms = new PBP.OrientationAttribute(tri).get_memberships();
+assert.ok(ms['pointing-up'] > 0.4 && ms['pointing-left'] > 0.4);
+tri.rot = 0;
+
+// other polygons are upright, tilted or upside-down
+var ms = PBP.OrientationAttribute.membership('tilt', 0);
+assert.ok(ms.upright > 0.9);
+ms = PBP.OrientationAttribute.membership('tilt', 90);
+assert.ok(ms.tilted > 0.9);
+ms = PBP.OrientationAttribute.membership('tilt', 178);
+assert.ok(ms['upside-down'] > 0.9);
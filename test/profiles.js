@@ -0,0 +1,47 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the membership profiles.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sn = scene(['<rect x="10" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="30" y="85" width="10" height="10" style="fill:#ff0000"/>']);
+var a = scene.obj(sn, 0), b = scene.obj(sn, 1);
+sn.perceiveAll();
+
+var close = a.getRel('close', {other: b, time: 'start'});
+var activity = close.get_activity();
+assert.ok(activity > 0.5);
+
+// loading a profile does not change the active one
+var profile = PBP.loadMembershipProfile('strict', {close: {m: 0.05}});
+assert.strictEqual(profile.name, 'strict');
+assert.strictEqual(profile.close.a, PBP.getMembershipProfile().close.a);
+assert.strictEqual(PBP.getMembershipProfile().name, 'default');
+assert.strictEqual(close.get_activity(), activity);
+assert.throws(function () { PBP.loadMembershipProfile('bad', {close: {b: 1}}) }, /unknown membership parameter/);
+assert.throws(function () { PBP.useMembershipProfile('bad') }, /unknown membership profile/);
+
+// activities use the new profile without perceiving again
+PBP.useMembershipProfile('strict');
+assert.ok(close.get_activity() < 0.5);
+PBP.useMembershipProfile('default');
+assert.strictEqual(close.get_activity(), activity);
+
+// a scene can have its own profile or override parameters of the one in use
+sn.setMembershipProfile('strict');
+assert.strictEqual(PBP.getMembershipProfile(sn).name, 'strict');
+assert.ok(close.get_activity() < 0.5);
+sn.setMembershipProfile({close: {m: 0.5}});
+assert.ok(close.get_activity() > activity);
+sn.setMembershipProfile(null);
+assert.strictEqual(close.get_activity(), activity);
+
+// right_pos is the distance to the right border, which is measured with the scene
+// size of the profile
+var right = b.getAttr('right_pos', {time: 'start'});
+assert.ok(Math.abs(right.val - 65) < 1);
+assert.ok(right.get_activity() < 0.5);
+sn.setMembershipProfile({scene_size: 50});
+assert.ok(right.get_activity() > 0.5);
@@ -0,0 +1,23 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Runs all test files in this directory, each in its own node.js process, since the
+/// library keeps registered features, states and profiles in global settings. Test
+/// files are plain scripts that throw (e.g. through `assert`) if a test fails. Run
+/// with `npm test`.
+var fs = require('fs')
+  , path = require('path')
+  , spawnSync = require('child_process').spawnSync;
+
+var helpers = ['run.js', 'scene.js'];
+var files = fs.readdirSync(__dirname).filter(function (f) {
+  return /\.js$/.test(f) && helpers.indexOf(f) === -1;
+}).sort();
+
+var failed = files.filter(function (f) {
+  var res = spawnSync(process.execPath, [path.join(__dirname, f)], { stdio: 'inherit' });
+  if (res.status !== 0) console.error('FAILED: ' + f);
+  return res.status !== 0;
+});
+
+console.log((files.length-failed.length) + ' of ' + files.length + ' test files passed');
+if (failed.length > 0) process.exit(1);
@@ -0,0 +1,27 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the same_shape relationship.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sn = scene(['<rect x="5" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<path d="M 25,88 L 31,82 L 37,88 L 31,94 Z" style="fill:#ff0000"/>'
+               ,'<path d="M 45,94 L 65,94 L 55,77 Z" style="fill:#ff0000"/>'
+               ,'<path d="M 70,94 L 80,94 L 75,85.5 Z" style="fill:#ff0000"/>'
+               ,'<circle cx="90" cy="90" r="5" style="fill:#ff0000"/>']);
+var same = function(id, other) {
+  return scene.obj(sn, id).getRel('same_shape', {other: scene.obj(sn, other), time: 'start'}).get_activity();
+}
+// a rotated square, a triangle of different size
+assert.ok(same(0, 2) > 0.9);
+assert.ok(same(3, 4) > 0.9);
+assert.ok(same(0, 3) < 0.1);
+assert.ok(same(0, 5) < 0.5);
+
+// the vertex order of the shapes is not changed
+var tri = scene.obj(sn, 3).obj;
+tri.pts.reverse();
+var pts = JSON.stringify(tri.pts);
+PBP.SameShapeRelationship.turningFunction(tri);
+assert.strictEqual(JSON.stringify(tri.pts), pts);
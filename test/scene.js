@@ -0,0 +1,24 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Helper for the tests. Returns a SceneNode of a 100x100 scene that contains the
+/// frame, a ground line at y=95 and the passed svg elements. Shapes with a black
+/// stroke are static, all others are movable. The ids of the movable shapes are their
+/// indices in the scene, which lists the rects, then the paths starting with the ground
+/// and then the circles, each in the passed order.
+var PBP = require('..');
+
+module.exports = function(elements) {
+  var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100">'
+          + '<rect x="0" y="0" width="100" height="100" style="fill:none;stroke:#000000"/>'
+          + '<path d="M 0,95 L 100,95" style="fill:none;stroke:#000000"/>'
+          + (elements || []).join('') + '</svg>';
+  return PBP.SceneNode.fromSVGScene(PBP.s2p.SVGSceneParser.parseString(svg));
+}
+
+/// Returns the ObjectNode of the shape with the passed id.
+module.exports.obj = function(sn, id) {
+  return sn.objs.concat(sn.statics.map(function (s) { return s.object_node }))
+           .filter(function (on) { return on.obj.id === id })[0];
+}
+
+module.exports.PBP = PBP;
@@ -0,0 +1,26 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the larger_than and smaller_than relationships and the same_size group attribute.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var sn = scene(['<rect x="10" y="75" width="20" height="20" style="fill:#ff0000"/>'
+               ,'<rect x="40" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="60" y="85" width="11" height="10" style="fill:#ff0000"/>']);
+var rel = function(key, id, other) {
+  return scene.obj(sn, id).getRel(key, {other: scene.obj(sn, other), time: 'start'}).get_activity();
+}
+assert.ok(rel('larger_than', 0, 1) > 0.9);
+assert.ok(rel('larger_than', 1, 0) < 0.1);
+assert.ok(rel('larger_than', 2, 1) < 0.5);
+assert.ok(rel('smaller_than', 1, 0) > 0.9);
+assert.ok(rel('smaller_than', 0, 1) < 0.1);
+
+var same_size = function(ids) {
+  var group = new PBP.GroupNode(sn, ids.map(function (id) { return scene.obj(sn, id).obj }));
+  return group.getAttr('same_size', {time: 'start'}).get_activity();
+}
+assert.ok(same_size([1, 2]) > 0.8);
+assert.ok(same_size([0, 1, 2]) < 0.1);
+assert.strictEqual(same_size([1]), 0);
@@ -0,0 +1,62 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Smoke test of the headless node.js pipeline: checks that the committed bundle is
+/// built from the current sources, parses examples/perceive/scene.svg, perceives it
+/// and checks a few known labels and the JSON output. Run with `npm test`.
+var assert = require('assert')
+  , fs = require('fs')
+  , path = require('path')
+  , url = require('url');
+
+var root = path.join(__dirname, '..');
+
+// the bundle must be the concatenation of the sources listed in the Makefile
+var makefile = fs.readFileSync(path.join(root, 'Makefile'), 'utf8');
+var sources = makefile.match(/src\/[\w\/-]+\.js/g);
+var bundle = sources.map(function (f) { return fs.readFileSync(path.join(root, f), 'utf8') }).join('');
+assert.ok(fs.readFileSync(path.join(root, 'physics-perception.js'), 'utf8') === bundle,
+          'physics-perception.js is out of date, run `make`');
+
+var PBP = require(root);
+assert.strictEqual(PBP.version, require(path.join(root, 'package.json')).version);
+
+var scene = PBP.s2p.SVGSceneParser.parseFile(path.join(root, 'examples/perceive/scene.svg'));
+var sn = PBP.SceneNode.fromSVGScene(scene);
+sn.perceiveAll();
+
+var obj = function(id) { return sn.objs.filter(function (on) { return on.obj.id === id })[0] };
+var label = function(id, key, time) {
+  var attr = obj(id).getAttr(key, {time: time});
+  return attr.get_activity() >= PBP.settings.activation_threshold ? attr.get_label() : null;
+}
+
+assert.deepStrictEqual(sn.objs.map(function (on) { return on.obj.id }), [0, 1, 3, 4]);
+assert.strictEqual(obj(0).getAttr('shape', {time: 'start'}).get_label(), 'rectangle');
+assert.strictEqual(obj(1).getAttr('shape', {time: 'start'}).get_label(), 'square');
+assert.strictEqual(obj(3).getAttr('shape', {time: 'start'}).get_label(), 'triangle');
+assert.strictEqual(label(0, 'large', 'start'), 'large');
+assert.strictEqual(label(1, 'small', 'start'), 'small');
+[1, 3, 4].forEach(function (id) { assert.strictEqual(label(id, 'on_ground', 'end'), 'on-ground') });
+assert.strictEqual(label(0, 'on_ground', 'end'), null);
+sn.objs.forEach(function (on) { assert.strictEqual(label(on.obj.id, 'stability', 'end'), 'stable') });
+assert.ok(obj(3).getRel('left_of', {other: obj(4), time: 'end'}).get_activity() > 0.5);
+assert.ok(sn.collisions.some(function (c) { return c.a.id === 3 && c.b.id === '_' }));
+
+var json = JSON.parse(JSON.stringify(sn));
+assert.strictEqual(json.objs.length, 4);
+assert.deepStrictEqual(Object.keys(json.objs[1].times), ['start', 'end']);
+assert.deepStrictEqual(json.objs[1].times.end.on_ground.label, 'on-ground');
+assert.ok(json.objs[1].trajectory.length > 0);
+assert.deepStrictEqual(json.collisions.map(function (c) { return c.a + '>' + c.b }),
+                       sn.collisions.map(function (c) { return c.a.id + '>' + c.b.id }));
+assert.strictEqual(json.membership_profile.far.a, PBP.getMembershipProfile(sn).far.a);
+
+// the ES module entry exports the same namespace
+import(url.pathToFileURL(path.join(root, 'index.mjs')).href).then(function (mod) {
+  assert.strictEqual(mod.default, PBP);
+  assert.strictEqual(mod.SceneNode, PBP.SceneNode);
+  console.log('smoke test passed');
+}).catch(function (err) {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests named states at fixed times.
+var assert = require('assert')
+  , scene = require('./scene')
+  , PBP = scene.PBP;
+
+var shapes = ['<rect x="10" y="20" width="10" height="10" style="fill:#ff0000"/>'];
+
+PBP.registerState('mid', 0.3);
+assert.throws(function () { PBP.registerState('mid', 0.5) }, /already in use/);
+assert.throws(function () { PBP.registerState('end', 0.5) }, /already in use/);
+assert.throws(function () { PBP.registerState('later', -1) }, /must be a number/);
+var sn = scene(shapes);
+sn.addState('early', 0.1);
+assert.throws(function () { sn.addState('early', 0.2) });
+assert.deepStrictEqual(sn.times, ['start', 'early', 'mid', 'end']);
+
+// all states are perceived and can be used as times of features
+sn.perceiveAll();
+var box = scene.obj(sn, 0);
+assert.deepStrictEqual(Object.keys(box.times), sn.times);
+var ys = sn.times.map(function (time) { sn.oracle.gotoState(time); return box.obj.y });
+assert.ok(ys[0] < ys[1] && ys[1] < ys[2] && ys[2] < ys[3]);
+assert.ok(box.getAttr('on_ground', {time: 'mid'}).get_activity() < 0.5);
+assert.deepStrictEqual(Object.keys(JSON.parse(JSON.stringify(sn)).objs[0].times), sn.times);
+
+// selectors can match features at the states
+var on_ground = function(time) {
+  var sel = new PBP.Selector().add_attr(new PBP.Selector.AttrMatcher('on_ground', 'on-ground', true, time));
+  return sel.select(sn.getAllGroup(), sn).objs.length;
+}
+assert.strictEqual(on_ground('mid'), 0);
+assert.strictEqual(on_ground('end'), 1);
+
+// unregistered states are not known to scenes created afterwards
+PBP.unregisterState('mid');
+assert.throws(function () { PBP.unregisterState('mid') }, /unknown state/);
+assert.deepStrictEqual(scene(shapes).times, ['start', 'end']);
+
+// states anchored at events
+PBP.registerState('lands', {event: 'hit', obj: 0, other: '_'});
+assert.throws(function () { PBP.registerState('bad', {event: 'jump'}) }, /must be a number/);
+sn = scene(shapes.concat(['<rect x="50" y="85" width="10" height="10" style="fill:#00ff00"/>']));
+sn.addState('after_rest', {event: 'rest', delay: 0.1});
+sn.addState('hits_other', {event: 'hit', obj: 0, other: 1});
+assert.deepStrictEqual(sn.times, ['start', 'end']);
+sn.perceiveAll();
+var landing = sn.collisions.filter(function (c) { return c.a.id === 0 && c.b.id === '_' })[0];
+assert.strictEqual(sn.getEventTime({event: 'hit', obj: 0, other: '_'}), landing.t);
+assert.strictEqual(sn.getEventTime({event: 'hit', obj: '_', other: 0, delay: 0.5}), landing.t+0.5);
+assert.strictEqual(sn.getEventTime({event: 'hit', obj: 0, nth: 2}), null);
+var rest = sn.getEventTime({event: 'rest'});
+assert.ok(rest > landing.t);
+assert.ok(sn.getEventTime({event: 'rest', obj: 1}) < landing.t);
+assert.deepStrictEqual(sn.times, ['start', 'lands', 'after_rest', 'end']);
+assert.ok(Math.abs(sn.oracle.states.after_rest.time - rest - 0.1) < 1e-9);
+sn.oracle.gotoState('lands');
+assert.ok(scene.obj(sn, 0).obj.y > 80);
+
+// states of events that don't happen are skipped
+assert.ok(sn.skipsState('hits_other'));
+assert.strictEqual(scene.obj(sn, 0).getAttr('on_ground', {time: 'hits_other'}), false);
+assert.ok(!('hits_other' in scene.obj(sn, 0).times));
+
+// objects that still move at the end of the simulation never rest
+var samples = sn.getTrajectory(scene.obj(sn, 0).obj), last = samples[samples.length-1];
+samples.push({t: last.t+0.05, x: last.x+1, y: last.y, rot: last.rot, vx: 20, vy: 0, w: 0});
+assert.strictEqual(sn.getEventTime({event: 'rest', obj: 0}), null);
+assert.strictEqual(sn.getEventTime({event: 'rest'}), null);
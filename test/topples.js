@@ -0,0 +1,19 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the topples attribute.
+var assert = require('assert')
+  , scene = require('./scene');
+
+var sn = scene(['<rect x="40" y="50" width="6" height="35" style="fill:#ff0000"/>'
+               ,'<rect x="10" y="60" width="6" height="35" style="fill:#ff0000"/>'
+               ,'<rect x="30" y="85" width="12" height="10" style="fill:none;stroke:#000000"/>'
+               ,'<circle cx="80" cy="80" r="5" style="fill:#ff0000"/>']);
+var topples = function(id) { return scene.obj(sn, id).getAttr('topples', {time: 'end'}) };
+
+// the first plank stands on the edge of a step and falls over to the right
+assert.ok(topples(0).val > 60);
+assert.ok(topples(0).drop > 5);
+assert.ok(topples(0).get_activity() > 0.9);
+assert.strictEqual(topples(0).get_label(), 'topples-right');
+assert.ok(topples(1).get_activity() < 0.1);
+assert.strictEqual(topples(4).val, 0);
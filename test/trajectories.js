@@ -0,0 +1,27 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the trajectories recorded by SceneNode.perceiveCollisions.
+var assert = require('assert')
+  , scene = require('./scene');
+
+var sn = scene(['<rect x="10" y="40" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="50" y="85" width="10" height="10" style="fill:#ff0000"/>']);
+sn.perceiveAll();
+
+var falling = scene.obj(sn, 0).getTrajectory(), resting = scene.obj(sn, 1).getTrajectory();
+assert.strictEqual(sn.trajectories.length, 2);
+assert.strictEqual(sn.getTrajectory(scene.obj(sn, '_').obj), null);
+assert.deepStrictEqual(Object.keys(falling[0]), ['t', 'x', 'y', 'rot', 'vx', 'vy', 'w']);
+// the samples are taken at the sample rate of the oracle
+for (var i=1; i<falling.length; i++) assert.ok(falling[i].t > falling[i-1].t);
+var duration = falling[falling.length-1].t - falling[0].t;
+assert.ok(Math.abs(falling.length - duration*sn.oracle.sample_rate) <= 2);
+// the first box falls down to the ground, the second does not move
+var last = falling[falling.length-1];
+assert.ok(Math.abs(falling[0].x - 15) < 0.1 && falling[0].y < 50);
+assert.ok(Math.abs(last.y - resting[0].y) < 1 && Math.abs(last.x - 15) < 0.5);
+assert.ok(Math.max.apply(null, falling.map(function (s) { return s.vy })) > 50);
+resting.forEach(function (s) { assert.ok(Math.abs(s.y - 89) < 1 && s.x === 55) });
+
+var json = JSON.parse(JSON.stringify(sn));
+assert.deepStrictEqual(json.objs[0].trajectory, JSON.parse(JSON.stringify(falling)));
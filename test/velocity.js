@@ -0,0 +1,40 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests the fast, slow and moving direction attributes.
+var assert = require('assert')
+  , scene = require('./scene');
+
+var sn = scene(['<rect x="55" y="20" width="8" height="8" style="fill:#ff0000"/>'
+               ,'<rect x="85" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<path d="M 5,60 L 5,95 L 40,95 Z" style="fill:none;stroke:#000000"/>'
+               ,'<circle cx="10" cy="57" r="4" style="fill:#ff0000"/>']);
+var attr = function(id, key, time) { return scene.obj(sn, id).getAttr(key, {time: time}) };
+
+// the falling box and the ball rolling down the ramp are slow at the start, but will be
+// fast during the following time window
+assert.ok(attr(0, 'fast', 'start').val < 1);
+assert.ok(attr(0, 'fast', 'start').peak > 2);
+assert.ok(attr(0, 'fast', 'start').get_activity() > 0.9);
+assert.ok(attr(0, 'slow', 'start').get_activity() < 0.1);
+assert.ok(attr(0, 'falling', 'start').get_activity() > 0.9);
+assert.ok(attr(0, 'moving_left', 'start').get_activity() < 0.1);
+assert.ok(attr(4, 'moving_right', 'start').get_activity() > 0.9);
+assert.ok(attr(4, 'moving_left', 'start').get_activity() < 0.1);
+assert.ok(attr(4, 'moving_up', 'start').get_activity() < 0.1);
+
+// the resting box never moves
+['fast', 'moving_left', 'moving_right', 'moving_up', 'falling'].forEach(function(key) {
+  assert.ok(attr(1, key, 'start').get_activity() < 0.1, key);
+});
+assert.ok(attr(1, 'slow', 'start').get_activity() > 0.9);
+
+// at the end, everything rests
+[0, 1, 4].forEach(function(id) {
+  assert.ok(attr(id, 'fast', 'end').get_activity() < 0.1);
+  assert.ok(attr(id, 'slow', 'end').get_activity() > 0.9);
+});
+
+// all attributes share one velocity sample per object and state
+var on = scene.obj(sn, 4);
+assert.strictEqual(Object.keys(on.velocity_cache).filter(function(key) {
+  return key.split(',')[0] === 'start' }).length, 1);
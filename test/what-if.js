@@ -0,0 +1,85 @@
+// Copyright 2014, Erik Weitnauer.
+
+/// Tests counterfactual simulations with oracle.whatIf.
+var assert = require('assert')
+  , scene = require('./scene');
+
+var sn = scene(['<rect x="10" y="75" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="10" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<rect x="50" y="85" width="10" height="10" style="fill:#ff0000"/>'
+               ,'<circle cx="80" cy="60" r="4" style="fill:#ff0000"/>']);
+var oracle = sn.oracle, world = oracle.pscene.world;
+var body = function(id) { return scene.obj(sn, id).obj.phys_obj }
+  , pos = function(id) { var p = body(id).GetPosition(); return {x: p.x, y: p.y} }
+  , stacks = function() {
+      var bodies = [];
+      for (var b = world.GetBodyList(); b; b = b.GetNext()) bodies.push(b.bodystates.length);
+      return {world: world.worldstates.length, bodies: bodies};
+    };
+
+oracle.gotoState('start');
+var start = [0, 1, 2, 4].map(pos), stacks_before = stacks();
+var unchanged = function() {
+  assert.deepStrictEqual([0, 1, 2, 4].map(pos), start);
+  assert.deepStrictEqual(stacks(), stacks_before);
+  assert.strictEqual(oracle.curr_state, 'start');
+  assert.strictEqual(oracle.pscene.emit_changes, true);
+  assert.ok(body(1).IsActive());
+  assert.ok(!oracle.isStatic(body(4)));
+}
+
+// without the box below it, the upper box falls down
+var base = oracle.whatIf([], 1, function() { return pos(0).y });
+var fallen = oracle.whatIf([{type: 'remove', body: body(1)}], 1, function() { return pos(0).y });
+assert.ok(fallen - base > 0.05);
+unchanged();
+
+// a frozen ball stays in the air
+var frozen = oracle.whatIf([{type: 'freeze', body: body(4)}], 1, function() { return pos(4) });
+assert.deepStrictEqual(frozen, start[3]);
+assert.ok(oracle.whatIf([], 1, function() { return pos(4).y }) > start[3].y + 0.05);
+unchanged();
+
+// an impulse to the right pushes the box to the right
+var pushed = oracle.whatIf([{type: 'impulse', body: body(2), impulse: {x: 2*body(2).GetMass(), y: 0}}]
+                          , 0.5, function() { return pos(2).x });
+assert.ok(pushed > start[2].x + 0.05);
+unchanged();
+
+// mass and friction are changed during the simulation and restored afterwards
+var mass = body(2).GetMass(), friction = body(2).GetFixtureList().GetFriction();
+assert.strictEqual(oracle.whatIf([{type: 'mass', body: body(2), mass: 5}], 0, function() {
+  return body(2).GetMass() }), 5);
+assert.strictEqual(body(2).GetMass(), mass);
+assert.throws(function () { oracle.whatIf([{type: 'mass', body: body(2), mass: 0}], 0) }, /positive/);
+assert.strictEqual(body(2).GetMass(), mass);
+assert.strictEqual(oracle.whatIf([{type: 'friction', body: body(2), friction: 0}], 0, function() {
+  return body(2).GetFixtureList().GetFriction() }), 0);
+assert.strictEqual(body(2).GetFixtureList().GetFriction(), friction);
+unchanged();
+
+// calls can be nested, the inner interventions are undone before the outer ones
+oracle.whatIf([{type: 'freeze', body: body(4)}], 0.2, function() {
+  var inner = oracle.whatIf([{type: 'remove', body: body(1)}], 0.2, function() {
+    assert.ok(oracle.isStatic(body(4)));
+    return body(1).IsActive();
+  });
+  assert.strictEqual(inner, false);
+  assert.ok(body(1).IsActive());
+  assert.ok(oracle.isStatic(body(4)));
+});
+unchanged();
+
+// the world is restored if the observer throws or an intervention is unknown
+assert.throws(function () {
+  oracle.whatIf([{type: 'remove', body: body(1)}, {type: 'friction', body: body(2), friction: 0}], 0.5
+               , function() { throw 'observer failed' });
+}, /observer failed/);
+assert.strictEqual(body(2).GetFixtureList().GetFriction(), friction);
+unchanged();
+assert.throws(function () {
+  oracle.whatIf([{type: 'freeze', body: body(4)}, {type: 'teleport', body: body(4)}], 0.5);
+}, /unknown intervention "teleport"/);
+unchanged();
+assert.throws(function () { oracle.whatIf([], -1) });
+unchanged();